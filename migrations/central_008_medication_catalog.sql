@@ -0,0 +1,49 @@
+-- Migration: central_008_medication_catalog.sql
+-- Local copy of the reference medication databases (CIMA for now)
+-- Normalized records with a TTL, searched with trigrams without accents, so
+-- /medications/search keeps answering when the upstream API is slow or down.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+-- unaccent() is only STABLE (its dictionary could change): wrap it with an
+-- explicit dictionary so it can be used in a generated column and an index
+CREATE OR REPLACE FUNCTION medication_search_text(value TEXT)
+RETURNS TEXT AS $$
+  SELECT lower(public.unaccent('public.unaccent'::regdictionary, COALESCE(value, '')))
+$$ LANGUAGE sql IMMUTABLE PARALLEL SAFE;
+
+CREATE TABLE IF NOT EXISTS medication_catalog (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(20) NOT NULL,
+    external_id VARCHAR(50) NOT NULL,
+    name VARCHAR(500) NOT NULL,
+    ingredients TEXT NOT NULL DEFAULT '',
+    is_marketed BOOLEAN NOT NULL DEFAULT true,
+    search_text TEXT GENERATED ALWAYS AS (medication_search_text(name || ' ' || ingredients)) STORED,
+    -- Normalized search result, as returned by the provider
+    summary JSONB NOT NULL,
+    -- Normalized detail and document sections ({ "4.2": { html, fetchedAt } }), fetched on demand
+    detail JSONB,
+    sections JSONB NOT NULL DEFAULT '{}'::jsonb,
+    fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    detail_fetched_at TIMESTAMP,
+    detail_expires_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+DO $$
+BEGIN
+    ALTER TABLE medication_catalog
+        ADD CONSTRAINT medication_catalog_source_external_id_unique UNIQUE (source, external_id);
+EXCEPTION WHEN duplicate_object OR duplicate_table THEN NULL;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_medication_catalog_search_text
+    ON medication_catalog USING gin (search_text gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_medication_catalog_source_expires
+    ON medication_catalog(source, expires_at);
+
+COMMENT ON TABLE medication_catalog IS 'Cached reference medications (CIMA), served while stale and refreshed in the background';
@@ -0,0 +1,21 @@
+-- Migration: clinic_065_messaging_settings
+-- Per-clinic SMS / WhatsApp configuration (transport, sender numbers, Twilio credentials)
+-- and the new sms_reminder appointment action type
+
+ALTER TABLE clinic_settings
+  ADD COLUMN IF NOT EXISTS messaging_settings JSONB DEFAULT '{
+    "transport": "twilio",
+    "sms": {"enabled": false, "from": null},
+    "whatsapp": {"enabled": false, "from": null}
+  }'::jsonb;
+
+-- Allow sms_reminder actions
+ALTER TABLE appointment_actions DROP CONSTRAINT IF EXISTS chk_action_type;
+
+DO $$ BEGIN
+    ALTER TABLE appointment_actions
+    ADD CONSTRAINT chk_action_type
+    CHECK (action_type IN ('confirmation_email', 'whatsapp_reminder', 'sms_reminder', 'send_quote', 'send_consent', 'prepare_invoice'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,77 @@
+-- Migration: clinic_066_inbound_messages
+-- Inbound patient replies (SMS / WhatsApp / email) received through public webhooks
+-- Every message is kept as an audit trail; unmatched ones form the reception inbox
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS inbound_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- Origin
+    channel VARCHAR(20) NOT NULL,
+    -- Values: 'sms', 'whatsapp', 'email'
+    from_address VARCHAR(255) NOT NULL,
+    to_address VARCHAR(255),
+    subject VARCHAR(500),
+    body TEXT,
+    provider VARCHAR(50),
+    provider_message_id VARCHAR(255),
+
+    -- Interpretation
+    intent VARCHAR(20) NOT NULL DEFAULT 'unknown',
+    -- Values: 'confirm', 'cancel', 'unknown'
+
+    -- Matching
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    patient_id UUID REFERENCES patients(id) ON DELETE SET NULL,
+    match_method VARCHAR(20),
+    -- Values: 'token', 'phone', 'email', 'manual'
+
+    -- Processing
+    status VARCHAR(20) NOT NULL DEFAULT 'received',
+    -- Values: 'received', 'processed', 'unmatched', 'failed', 'resolved', 'dismissed'
+    processing_result JSONB DEFAULT '{}',
+    error_message TEXT,
+
+    -- Manual handling by reception staff
+    handled_by UUID,
+    handled_at TIMESTAMP,
+    handling_note TEXT,
+
+    raw_payload JSONB DEFAULT '{}',
+
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_messages_status ON inbound_messages(status);
+CREATE INDEX IF NOT EXISTS idx_inbound_messages_appointment ON inbound_messages(appointment_id);
+CREATE INDEX IF NOT EXISTS idx_inbound_messages_received ON inbound_messages(received_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inbound_messages_provider_id
+    ON inbound_messages(provider, provider_message_id)
+    WHERE provider_message_id IS NOT NULL;
+
+DO $$ BEGIN
+    ALTER TABLE inbound_messages
+    ADD CONSTRAINT chk_inbound_channel
+    CHECK (channel IN ('sms', 'whatsapp', 'email'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE inbound_messages
+    ADD CONSTRAINT chk_inbound_intent
+    CHECK (intent IN ('confirm', 'cancel', 'unknown'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE inbound_messages
+    ADD CONSTRAINT chk_inbound_status
+    CHECK (status IN ('received', 'processed', 'unmatched', 'failed', 'resolved', 'dismissed'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,69 @@
+-- Migration: clinic_067_message_outbox
+-- Every outgoing patient message (email, SMS, WhatsApp) is recorded here and
+-- delivered by the job scheduler with exponential backoff on failure
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS message_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- What is sent
+    channel VARCHAR(20) NOT NULL,
+    -- Values: 'email', 'sms', 'whatsapp'
+    template_type VARCHAR(50) NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    recipient_name VARCHAR(255),
+    language VARCHAR(5) DEFAULT 'fr',
+    payload JSONB NOT NULL DEFAULT '{}',
+    -- Template data, kept so the message can be retried or resent identically
+
+    -- Related entities
+    patient_id UUID REFERENCES patients(id) ON DELETE SET NULL,
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    appointment_action_id UUID REFERENCES appointment_actions(id) ON DELETE SET NULL,
+    document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+    consent_request_id UUID REFERENCES consent_signing_requests(id) ON DELETE SET NULL,
+
+    -- Delivery
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    -- Values: 'pending', 'sending', 'sent', 'failed', 'cancelled'
+    provider VARCHAR(50),
+    provider_message_id VARCHAR(255),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    sent_at TIMESTAMP,
+
+    -- Manual resend
+    resend_of UUID REFERENCES message_outbox(id) ON DELETE SET NULL,
+    created_by UUID,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_outbox_due ON message_outbox(next_attempt_at)
+    WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_message_outbox_status ON message_outbox(status);
+CREATE INDEX IF NOT EXISTS idx_message_outbox_patient ON message_outbox(patient_id);
+CREATE INDEX IF NOT EXISTS idx_message_outbox_appointment ON message_outbox(appointment_id);
+CREATE INDEX IF NOT EXISTS idx_message_outbox_document ON message_outbox(document_id);
+CREATE INDEX IF NOT EXISTS idx_message_outbox_consent_request ON message_outbox(consent_request_id);
+CREATE INDEX IF NOT EXISTS idx_message_outbox_created ON message_outbox(created_at DESC);
+
+DO $$ BEGIN
+    ALTER TABLE message_outbox
+    ADD CONSTRAINT chk_outbox_channel
+    CHECK (channel IN ('email', 'sms', 'whatsapp'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE message_outbox
+    ADD CONSTRAINT chk_outbox_status
+    CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,21 @@
+-- Migration: clinic_068_scheduled_jobs_in_progress
+-- The ScheduledJob model marks running jobs as 'in_progress' but the original
+-- constraint only allowed 'processing'. Also track when a job started so jobs
+-- left running by a crashed scheduler instance can be released.
+
+ALTER TABLE scheduled_jobs ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+
+UPDATE scheduled_jobs SET status = 'in_progress' WHERE status = 'processing';
+
+ALTER TABLE scheduled_jobs DROP CONSTRAINT IF EXISTS chk_job_status;
+
+DO $$ BEGIN
+    ALTER TABLE scheduled_jobs
+    ADD CONSTRAINT chk_job_status
+    CHECK (status IN ('scheduled', 'in_progress', 'completed', 'failed', 'cancelled'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_started ON scheduled_jobs(started_at)
+    WHERE status = 'in_progress';
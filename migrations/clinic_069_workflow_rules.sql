@@ -0,0 +1,6 @@
+-- Migration: clinic_069_workflow_rules
+-- Per-clinic appointment workflow rules (which actions fire on each state and
+-- how long before the appointment). NULL means the built-in default rules apply.
+
+ALTER TABLE clinic_settings
+  ADD COLUMN IF NOT EXISTS workflow_rules JSONB DEFAULT NULL;
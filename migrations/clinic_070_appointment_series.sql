@@ -0,0 +1,58 @@
+-- Migration: clinic_070_appointment_series
+-- Recurring appointment series (RRULE subset: daily/weekly/monthly, count/until, exceptions).
+-- Each occurrence is a regular appointment linked to its series.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+
+    -- Recurrence rule
+    rrule VARCHAR(255) NOT NULL,
+    -- e.g. 'FREQ=WEEKLY;BYDAY=MO,TH;COUNT=10'
+    frequency VARCHAR(20) NOT NULL,
+    -- Values: 'daily', 'weekly', 'monthly'
+    interval INTEGER NOT NULL DEFAULT 1,
+    by_weekday JSONB,
+    occurrence_count INTEGER,
+    until_date DATE,
+    start_date DATE NOT NULL,
+    exceptions JSONB NOT NULL DEFAULT '[]',
+    -- Dates excluded from the series (YYYY-MM-DD), incl. cancelled single occurrences
+
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    -- Values: 'active', 'cancelled'
+
+    created_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_series_patient ON appointment_series(patient_id);
+CREATE INDEX IF NOT EXISTS idx_appointment_series_status ON appointment_series(status);
+
+DO $$ BEGIN
+    ALTER TABLE appointment_series
+    ADD CONSTRAINT chk_appointment_series_frequency
+    CHECK (frequency IN ('daily', 'weekly', 'monthly'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE appointment_series
+    ADD CONSTRAINT chk_appointment_series_status
+    CHECK (status IN ('active', 'cancelled'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Link appointments to their series
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES appointment_series(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS series_index INTEGER,
+  ADD COLUMN IF NOT EXISTS series_modified BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(series_id, appointment_date)
+    WHERE series_id IS NOT NULL;
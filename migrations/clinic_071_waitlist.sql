@@ -0,0 +1,120 @@
+-- Migration: clinic_071_waitlist
+-- Waiting list: patients waiting for an earlier slot, and the time-limited
+-- offers sent to them when an appointment is cancelled or missed (no_show).
+-- All offers sent for one freed slot share an offer_group_id: the first accepted wins.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    facility_id UUID,
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+
+    -- What the patient is waiting for
+    category VARCHAR(20) NOT NULL,
+    -- Values: 'treatment', 'consultation'
+    service_id UUID REFERENCES products_services(id) ON DELETE SET NULL,
+    provider_id UUID REFERENCES healthcare_providers(id) ON DELETE SET NULL,
+    duration_minutes INTEGER NOT NULL,
+
+    -- Acceptable window
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    preferred_days JSONB NOT NULL DEFAULT '[]',
+    -- Weekdays (0 = Sunday ... 6 = Saturday), empty = any day
+    time_from TIME,
+    time_to TIME,
+
+    priority VARCHAR(20) NOT NULL DEFAULT 'normal',
+    -- Values: 'low', 'normal', 'high', 'urgent'
+    notes TEXT,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+    -- Values: 'waiting', 'offered', 'booked', 'expired', 'cancelled'
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    -- Appointment booked from an accepted offer
+
+    created_by UUID,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_patient ON waitlist_entries(patient_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_matching ON waitlist_entries(status, category, date_from, date_to);
+
+DO $$ BEGIN
+    ALTER TABLE waitlist_entries
+    ADD CONSTRAINT chk_waitlist_entries_category
+    CHECK (category IN ('treatment', 'consultation'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE waitlist_entries
+    ADD CONSTRAINT chk_waitlist_entries_priority
+    CHECK (priority IN ('low', 'normal', 'high', 'urgent'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE waitlist_entries
+    ADD CONSTRAINT chk_waitlist_entries_status
+    CHECK (status IN ('waiting', 'offered', 'booked', 'expired', 'cancelled'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE waitlist_entries
+    ADD CONSTRAINT chk_waitlist_entries_dates
+    CHECK (date_to >= date_from);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    waitlist_entry_id UUID NOT NULL REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+    offer_group_id UUID NOT NULL,
+    source_appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    -- Cancelled / no_show appointment that freed the slot
+
+    token VARCHAR(64) NOT NULL UNIQUE,
+
+    -- Offered slot
+    appointment_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    machine_id UUID REFERENCES machines(id) ON DELETE SET NULL,
+    provider_id UUID REFERENCES healthcare_providers(id) ON DELETE SET NULL,
+    service_id UUID REFERENCES products_services(id) ON DELETE SET NULL,
+
+    channel VARCHAR(20),
+    message_id UUID,
+    -- Outbox entry of the offer message
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    -- Values: 'pending', 'accepted', 'declined', 'expired', 'superseded'
+    expires_at TIMESTAMP NOT NULL,
+    responded_at TIMESTAMP,
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_entry ON waitlist_offers(waitlist_entry_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_group ON waitlist_offers(offer_group_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_source ON waitlist_offers(source_appointment_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_pending ON waitlist_offers(expires_at)
+    WHERE status = 'pending';
+
+DO $$ BEGIN
+    ALTER TABLE waitlist_offers
+    ADD CONSTRAINT chk_waitlist_offers_status
+    CHECK (status IN ('pending', 'accepted', 'declined', 'expired', 'superseded'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,64 @@
+-- Migration: clinic_072_online_booking
+-- Public online booking:
+-- - per-treatment "bookable online" flag and minimum lead time
+-- - clinic-level online booking settings (enabled, default lead time, horizon, practitioners)
+-- - one-time codes (email / SMS) verifying the patient's contact before booking
+
+ALTER TABLE products_services
+  ADD COLUMN IF NOT EXISTS bookable_online BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE products_services
+  ADD COLUMN IF NOT EXISTS online_min_lead_minutes INTEGER DEFAULT NULL;
+-- NULL = clinic default (clinic_settings.online_booking.minLeadMinutes)
+
+DO $$ BEGIN
+    ALTER TABLE products_services
+    ADD CONSTRAINT chk_products_services_online_min_lead
+    CHECK (online_min_lead_minutes IS NULL OR online_min_lead_minutes >= 0);
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_products_services_bookable_online
+  ON products_services(bookable_online) WHERE bookable_online = true;
+
+ALTER TABLE clinic_settings
+  ADD COLUMN IF NOT EXISTS online_booking JSONB DEFAULT NULL;
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS online_booking_verifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token VARCHAR(64) NOT NULL UNIQUE,
+    -- Public reference of the verification, sent back with the booking
+
+    channel VARCHAR(20) NOT NULL,
+    -- Values: 'email', 'sms'
+    contact VARCHAR(255) NOT NULL,
+    -- Normalized email (lowercase) or phone (digits and leading +)
+    code_hash VARCHAR(64) NOT NULL,
+    -- SHA-256 of token + code, the code itself is never stored
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    verified_at TIMESTAMP,
+    consumed_at TIMESTAMP,
+    -- Set when the verification has been used to book
+
+    patient_id UUID REFERENCES patients(id) ON DELETE SET NULL,
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    ip_address VARCHAR(45),
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_online_booking_verifications_contact
+  ON online_booking_verifications(channel, contact, created_at);
+
+DO $$ BEGIN
+    ALTER TABLE online_booking_verifications
+    ADD CONSTRAINT chk_online_booking_verifications_channel
+    CHECK (channel IN ('email', 'sms'));
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,17 @@
+-- Migration: clinic_073_calendar_feeds
+-- iCalendar (RFC 5545) support:
+-- - secret per-provider token for the subscribable planning feed (.ics URL)
+-- - SEQUENCE counter per appointment so calendar clients apply updates / cancellations
+
+ALTER TABLE healthcare_providers
+  ADD COLUMN IF NOT EXISTS calendar_feed_token VARCHAR(64) DEFAULT NULL;
+
+ALTER TABLE healthcare_providers
+  ADD COLUMN IF NOT EXISTS calendar_feed_created_at TIMESTAMP DEFAULT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_healthcare_providers_calendar_feed_token
+  ON healthcare_providers(calendar_feed_token) WHERE calendar_feed_token IS NOT NULL;
+
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS ical_sequence INTEGER NOT NULL DEFAULT 0;
+-- Incremented whenever date, time, practitioner, treatment or cancellation changes
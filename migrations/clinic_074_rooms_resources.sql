@@ -0,0 +1,63 @@
+-- Migration: clinic_074_rooms_resources
+-- Resource capacity model for treatment scheduling:
+-- - rooms with a capacity (e.g. infusion room with 3 chairs = 3 simultaneous treatments)
+-- - machine type, so a treatment can require "any machine of this type"
+-- - per-treatment requirements: room type, machine type, assistant
+-- - room booked by an appointment
+
+CREATE TABLE IF NOT EXISTS rooms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    room_type VARCHAR(50),           -- Free label matched against products_services.required_room_type
+    capacity INTEGER NOT NULL DEFAULT 1,
+    description TEXT,
+    color VARCHAR(7) DEFAULT '#10B981',
+    location VARCHAR(200),
+    company_id UUID NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE rooms ADD CONSTRAINT rooms_capacity_check CHECK (capacity >= 1);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_rooms_company_id ON rooms(company_id);
+CREATE INDEX IF NOT EXISTS idx_rooms_room_type ON rooms(room_type) WHERE is_active = true;
+
+DROP TRIGGER IF EXISTS update_rooms_updated_at ON rooms;
+CREATE TRIGGER update_rooms_updated_at
+    BEFORE UPDATE ON rooms
+    FOR EACH ROW EXECUTE FUNCTION update_products_updated_at();
+
+ALTER TABLE machines
+  ADD COLUMN IF NOT EXISTS machine_type VARCHAR(50) DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_machines_machine_type ON machines(machine_type) WHERE is_active = true;
+
+ALTER TABLE products_services
+  ADD COLUMN IF NOT EXISTS required_room_type VARCHAR(50) DEFAULT NULL;
+
+ALTER TABLE products_services
+  ADD COLUMN IF NOT EXISTS required_machine_type VARCHAR(50) DEFAULT NULL;
+
+ALTER TABLE products_services
+  ADD COLUMN IF NOT EXISTS requires_assistant BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE appointments
+  ADD COLUMN IF NOT EXISTS room_id UUID DEFAULT NULL;
+
+DO $$ BEGIN
+  ALTER TABLE appointments ADD CONSTRAINT appointments_room_id_fkey
+    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE SET NULL;
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_room_date ON appointments(room_id, appointment_date)
+  WHERE room_id IS NOT NULL;
+
+COMMENT ON TABLE rooms IS 'Treatment rooms; capacity = number of appointments the room can host at the same time';
+COMMENT ON COLUMN products_services.required_machine_type IS 'Any active machine of this type can be used (instead of the machines linked in machine_treatments)';
+COMMENT ON COLUMN products_services.requires_assistant IS 'An assistant (nurse / practitioner) must be free for the whole treatment';
@@ -0,0 +1,62 @@
+-- Migration: clinic_075_document_payments
+-- Payment ledger of billing documents (one row per payment instead of a single counter):
+-- - invoices: payments received (patient, insurer, other payer), several methods per invoice
+-- - credit notes: refunds paid back to the buyer
+-- documents.amount_paid / amount_due are recomputed from the non-voided rows.
+-- Payments are never deleted: a mistake is voided (voided_at + reason) and stays visible.
+
+CREATE TABLE IF NOT EXISTS document_payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    facility_id UUID NOT NULL REFERENCES medical_facilities(id) ON DELETE CASCADE,
+
+    -- payment = money received on an invoice, refund = money paid back on a credit note
+    payment_type VARCHAR(10) NOT NULL DEFAULT 'payment',
+    payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    amount DECIMAL(12,2) NOT NULL,
+    payment_method VARCHAR(30) NOT NULL,
+    reference VARCHAR(100),           -- Cheque number, card receipt, transfer reference...
+    payer_type VARCHAR(10) NOT NULL DEFAULT 'patient',
+    payer_name VARCHAR(255),
+    notes TEXT,
+
+    recorded_by UUID,
+    voided_at TIMESTAMP WITH TIME ZONE,
+    voided_by UUID,
+    void_reason TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE document_payments ADD CONSTRAINT document_payments_amount_check CHECK (amount > 0);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE document_payments ADD CONSTRAINT document_payments_type_check
+    CHECK (payment_type IN ('payment', 'refund'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE document_payments ADD CONSTRAINT document_payments_payer_type_check
+    CHECK (payer_type IN ('patient', 'insurer', 'other'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_document_payments_document ON document_payments(document_id);
+CREATE INDEX IF NOT EXISTS idx_document_payments_date ON document_payments(facility_id, payment_date)
+  WHERE voided_at IS NULL;
+
+-- Existing amount_paid counters become one ledger row each, so recomputing gives the same totals
+INSERT INTO document_payments (document_id, facility_id, payment_type, payment_date, amount, payment_method, notes)
+SELECT d.id, d.facility_id, 'payment', COALESCE(d.paid_at, d.updated_at, NOW())::date, d.amount_paid,
+       COALESCE(NULLIF(d.payment_method, ''), 'other'), 'Recorded before the payment ledger'
+FROM documents d
+WHERE d.document_type = 'invoice'
+  AND d.amount_paid > 0
+  AND NOT EXISTS (SELECT 1 FROM document_payments p WHERE p.document_id = d.id);
+
+COMMENT ON TABLE document_payments IS 'Payment ledger: payments on invoices, refunds on credit notes (voided rows are kept)';
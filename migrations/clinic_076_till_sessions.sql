@@ -0,0 +1,129 @@
+-- Migration: clinic_076_till_sessions
+-- Front desk cash register (till) sessions:
+-- - a session is opened with a cash float, payments taken at the desk are linked to it
+-- - closing stores the expected amounts per payment method, the counted amounts and the discrepancies
+-- - a closed session is immutable (Z-report): the session row and the payments linked to it
+--   can no longer be modified, enforced by the triggers below
+
+CREATE TABLE IF NOT EXISTS till_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    facility_id UUID NOT NULL REFERENCES medical_facilities(id) ON DELETE CASCADE,
+
+    -- Z-report number, sequential per facility
+    session_number INTEGER NOT NULL,
+    register_name VARCHAR(50) NOT NULL DEFAULT 'main',
+    status VARCHAR(10) NOT NULL DEFAULT 'open',
+
+    opening_float DECIMAL(12,2) NOT NULL DEFAULT 0,
+    opened_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    opened_by UUID,
+    opening_notes TEXT,
+
+    closed_at TIMESTAMP WITH TIME ZONE,
+    closed_by UUID,
+    closing_notes TEXT,
+
+    -- Per payment method: { payments, refunds, net, count, expected } / counted amount / counted - expected
+    expected_amounts JSONB,
+    counted_amounts JSONB,
+    discrepancies JSONB,
+    total_expected DECIMAL(12,2),
+    total_counted DECIMAL(12,2),
+    total_discrepancy DECIMAL(12,2),
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE till_sessions ADD CONSTRAINT till_sessions_status_check CHECK (status IN ('open', 'closed'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE till_sessions ADD CONSTRAINT till_sessions_float_check CHECK (opening_float >= 0);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE till_sessions ADD CONSTRAINT till_sessions_number_unique UNIQUE (facility_id, session_number);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+-- One open session per register
+CREATE UNIQUE INDEX IF NOT EXISTS idx_till_sessions_open_register ON till_sessions(facility_id, register_name)
+  WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_till_sessions_opened_at ON till_sessions(facility_id, opened_at);
+
+CREATE OR REPLACE FUNCTION update_till_sessions_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_till_sessions_updated_at ON till_sessions;
+CREATE TRIGGER trg_till_sessions_updated_at
+    BEFORE UPDATE ON till_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_till_sessions_updated_at();
+
+-- Closed sessions are never modified nor deleted
+CREATE OR REPLACE FUNCTION prevent_closed_till_session_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status = 'closed' THEN
+        RAISE EXCEPTION 'Till session % is closed and cannot be modified', OLD.session_number;
+    END IF;
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_till_sessions_immutable ON till_sessions;
+CREATE TRIGGER trg_till_sessions_immutable
+    BEFORE UPDATE OR DELETE ON till_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_closed_till_session_change();
+
+-- Payments taken at the desk
+ALTER TABLE document_payments ADD COLUMN IF NOT EXISTS till_session_id UUID;
+
+DO $$ BEGIN
+  ALTER TABLE document_payments ADD CONSTRAINT document_payments_till_session_fk
+    FOREIGN KEY (till_session_id) REFERENCES till_sessions(id) ON DELETE RESTRICT;
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_document_payments_till_session ON document_payments(till_session_id)
+  WHERE till_session_id IS NOT NULL;
+
+-- Payments of a closed session can no longer be voided or moved, and none can be added to it
+CREATE OR REPLACE FUNCTION prevent_closed_till_payment_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND OLD.till_session_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM till_sessions WHERE id = OLD.till_session_id AND status = 'closed'
+    ) THEN
+        RAISE EXCEPTION 'Payment % belongs to a closed till session', OLD.id;
+    END IF;
+    IF NEW.till_session_id IS NOT NULL AND EXISTS (
+        SELECT 1 FROM till_sessions WHERE id = NEW.till_session_id AND status = 'closed'
+    ) THEN
+        RAISE EXCEPTION 'Till session is closed';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_document_payments_till_immutable ON document_payments;
+CREATE TRIGGER trg_document_payments_till_immutable
+    BEFORE INSERT OR UPDATE ON document_payments
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_closed_till_payment_change();
+
+COMMENT ON TABLE till_sessions IS 'Front desk till sessions (float, per-method reconciliation, Z-report); closed rows are immutable';
+COMMENT ON COLUMN document_payments.till_session_id IS 'Till session the payment was taken in (front desk)';
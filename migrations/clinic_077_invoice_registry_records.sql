@@ -0,0 +1,163 @@
+-- Migration: clinic_077_invoice_registry_records
+-- Spanish VeriFactu invoice registry (Real Decreto 1007/2023):
+-- - one registry record per issued invoice / credit note, chained to the previous record of the
+--   facility through its SHA-256 fingerprint (huella)
+-- - records are never modified nor deleted, only their submission state to the AEAT changes
+-- - invoices with a registry record are immutable (fiscal columns and lines)
+-- - document_sequences.last_issued_number keeps the series issued in number order
+
+CREATE TABLE IF NOT EXISTS invoice_registry_records (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    facility_id UUID NOT NULL REFERENCES medical_facilities(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE RESTRICT,
+
+    -- Position in the facility chain (1 = first record, PrimerRegistro)
+    chain_sequence INTEGER NOT NULL,
+    record_type VARCHAR(10) NOT NULL DEFAULT 'alta',
+
+    issuer_nif VARCHAR(20) NOT NULL,
+    invoice_number VARCHAR(60) NOT NULL,
+    invoice_date DATE NOT NULL,
+    -- F1 invoice, F2 simplified invoice, R1 / R5 corrective invoice
+    invoice_type VARCHAR(2) NOT NULL,
+    tax_total DECIMAL(12,2) NOT NULL,
+    grand_total DECIMAL(12,2) NOT NULL,
+
+    previous_record_id UUID REFERENCES invoice_registry_records(id) ON DELETE RESTRICT,
+    previous_hash VARCHAR(64),
+    -- FechaHoraHusoGenRegistro exactly as hashed (ISO 8601 with offset)
+    generated_at VARCHAR(30) NOT NULL,
+    hash VARCHAR(64) NOT NULL,
+    -- Full RegistroAlta content, replayed as-is in the XML exports
+    record_data JSONB NOT NULL,
+
+    -- Submission to the AEAT
+    submission_status VARCHAR(25) NOT NULL DEFAULT 'pending',
+    submission_batch_id VARCHAR(64),
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    submission_code VARCHAR(100),
+    submission_errors JSONB,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE invoice_registry_records ADD CONSTRAINT invoice_registry_records_type_check
+    CHECK (record_type IN ('alta'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE invoice_registry_records ADD CONSTRAINT invoice_registry_records_submission_check
+    CHECK (submission_status IN ('pending', 'accepted', 'accepted_with_errors', 'rejected'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE invoice_registry_records ADD CONSTRAINT invoice_registry_records_chain_unique
+    UNIQUE (facility_id, chain_sequence);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE invoice_registry_records ADD CONSTRAINT invoice_registry_records_document_unique
+    UNIQUE (document_id, record_type);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_invoice_registry_records_submission
+  ON invoice_registry_records(facility_id, submission_status, chain_sequence);
+
+-- Only the submission state can change; records are never deleted
+CREATE OR REPLACE FUNCTION prevent_invoice_registry_record_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        RAISE EXCEPTION 'Invoice registry record % cannot be deleted', OLD.invoice_number;
+    END IF;
+    IF NEW.facility_id IS DISTINCT FROM OLD.facility_id
+       OR NEW.document_id IS DISTINCT FROM OLD.document_id
+       OR NEW.chain_sequence IS DISTINCT FROM OLD.chain_sequence
+       OR NEW.record_type IS DISTINCT FROM OLD.record_type
+       OR NEW.issuer_nif IS DISTINCT FROM OLD.issuer_nif
+       OR NEW.invoice_number IS DISTINCT FROM OLD.invoice_number
+       OR NEW.invoice_date IS DISTINCT FROM OLD.invoice_date
+       OR NEW.invoice_type IS DISTINCT FROM OLD.invoice_type
+       OR NEW.tax_total IS DISTINCT FROM OLD.tax_total
+       OR NEW.grand_total IS DISTINCT FROM OLD.grand_total
+       OR NEW.previous_record_id IS DISTINCT FROM OLD.previous_record_id
+       OR NEW.previous_hash IS DISTINCT FROM OLD.previous_hash
+       OR NEW.generated_at IS DISTINCT FROM OLD.generated_at
+       OR NEW.hash IS DISTINCT FROM OLD.hash
+       OR NEW.record_data IS DISTINCT FROM OLD.record_data THEN
+        RAISE EXCEPTION 'Invoice registry record % is immutable', OLD.invoice_number;
+    END IF;
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_invoice_registry_records_immutable ON invoice_registry_records;
+CREATE TRIGGER trg_invoice_registry_records_immutable
+    BEFORE UPDATE OR DELETE ON invoice_registry_records
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_invoice_registry_record_change();
+
+-- Registered invoices: fiscal content frozen (payment tracking columns stay writable)
+CREATE OR REPLACE FUNCTION prevent_registered_document_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM invoice_registry_records WHERE document_id = OLD.id) AND (
+       NEW.document_type IS DISTINCT FROM OLD.document_type
+       OR NEW.document_number IS DISTINCT FROM OLD.document_number
+       OR NEW.issue_date IS DISTINCT FROM OLD.issue_date
+       OR NEW.seller_name IS DISTINCT FROM OLD.seller_name
+       OR NEW.seller_vat_number IS DISTINCT FROM OLD.seller_vat_number
+       OR NEW.buyer_name IS DISTINCT FROM OLD.buyer_name
+       OR NEW.buyer_vat_number IS DISTINCT FROM OLD.buyer_vat_number
+       OR NEW.subtotal IS DISTINCT FROM OLD.subtotal
+       OR NEW.discount_amount IS DISTINCT FROM OLD.discount_amount
+       OR NEW.tax_amount IS DISTINCT FROM OLD.tax_amount
+       OR NEW.tax_details IS DISTINCT FROM OLD.tax_details
+       OR NEW.total IS DISTINCT FROM OLD.total
+       OR NEW.deleted_at IS DISTINCT FROM OLD.deleted_at) THEN
+        RAISE EXCEPTION 'Invoice % is registered and cannot be modified', OLD.document_number;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_documents_registered_immutable ON documents;
+CREATE TRIGGER trg_documents_registered_immutable
+    BEFORE UPDATE ON documents
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_registered_document_change();
+
+CREATE OR REPLACE FUNCTION prevent_registered_document_item_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    target_document UUID;
+BEGIN
+    target_document := CASE WHEN TG_OP = 'INSERT' THEN NEW.document_id ELSE OLD.document_id END;
+    IF EXISTS (SELECT 1 FROM invoice_registry_records WHERE document_id = target_document) THEN
+        RAISE EXCEPTION 'Lines of a registered invoice cannot be modified';
+    END IF;
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_document_items_registered_immutable ON document_items;
+CREATE TRIGGER trg_document_items_registered_immutable
+    BEFORE INSERT OR UPDATE OR DELETE ON document_items
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_registered_document_item_change();
+
+-- Highest number issued per series (invoices must be issued in number order)
+ALTER TABLE document_sequences ADD COLUMN IF NOT EXISTS last_issued_number INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON TABLE invoice_registry_records IS 'VeriFactu registry records (SHA-256 chained per facility); immutable except submission state';
+COMMENT ON COLUMN document_sequences.last_issued_number IS 'Highest sequence number issued (sent) in the series';
@@ -0,0 +1,83 @@
+-- Migration: clinic_078_insurance_billing
+-- French health-insurance billing:
+-- - invoice lines carry the acte code (CCAM / NGAP), the reimbursement base (base de remboursement)
+--   and the split between the mandatory insurer (AMO), the complementary insurer (AMC) and the patient
+-- - documents carry the totals of the split, the tiers-payant mode and a snapshot of the insured coverage
+-- - insurance_claims: what each insurer owes on an issued invoice paid in tiers payant (receivable)
+-- - document_payments.insurance_claim_id: insurer payments settle their claim
+
+ALTER TABLE document_items ADD COLUMN IF NOT EXISTS act_code VARCHAR(20);
+ALTER TABLE document_items ADD COLUMN IF NOT EXISTS act_code_system VARCHAR(10);
+ALTER TABLE document_items ADD COLUMN IF NOT EXISTS reimbursement_base DECIMAL(12,2);
+ALTER TABLE document_items ADD COLUMN IF NOT EXISTS amo_rate DECIMAL(5,2);
+ALTER TABLE document_items ADD COLUMN IF NOT EXISTS amo_amount DECIMAL(12,2);
+ALTER TABLE document_items ADD COLUMN IF NOT EXISTS amc_amount DECIMAL(12,2);
+ALTER TABLE document_items ADD COLUMN IF NOT EXISTS patient_amount DECIMAL(12,2);
+
+DO $$ BEGIN
+  ALTER TABLE document_items ADD CONSTRAINT document_items_act_code_system_check
+    CHECK (act_code_system IS NULL OR act_code_system IN ('CCAM', 'NGAP'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS third_party_mode VARCHAR(10) NOT NULL DEFAULT 'none';
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS amo_total DECIMAL(12,2);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS amc_total DECIMAL(12,2);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS patient_share_total DECIMAL(12,2);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS insurance_details JSONB;
+
+DO $$ BEGIN
+  ALTER TABLE documents ADD CONSTRAINT documents_third_party_mode_check
+    CHECK (third_party_mode IN ('none', 'amo', 'amo_amc'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS insurance_claims (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    facility_id UUID NOT NULL REFERENCES medical_facilities(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+
+    -- amo: mandatory health insurance (caisse), amc: complementary insurance (mutuelle)
+    insurer_type VARCHAR(3) NOT NULL,
+    insurer_name VARCHAR(255) NOT NULL,
+    insurer_code VARCHAR(20),
+    member_number VARCHAR(50),
+
+    amount_claimed DECIMAL(12,2) NOT NULL,
+    amount_paid DECIMAL(12,2) NOT NULL DEFAULT 0,
+    status VARCHAR(10) NOT NULL DEFAULT 'open',
+    rejected_at TIMESTAMP WITH TIME ZONE,
+    rejection_reason TEXT,
+    settled_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE insurance_claims ADD CONSTRAINT insurance_claims_insurer_type_check
+    CHECK (insurer_type IN ('amo', 'amc'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE insurance_claims ADD CONSTRAINT insurance_claims_status_check
+    CHECK (status IN ('open', 'partial', 'paid', 'rejected'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE insurance_claims ADD CONSTRAINT insurance_claims_document_insurer_unique
+    UNIQUE (document_id, insurer_type);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_insurance_claims_facility_status ON insurance_claims(facility_id, status);
+CREATE INDEX IF NOT EXISTS idx_insurance_claims_insurer ON insurance_claims(facility_id, insurer_type, insurer_name);
+
+ALTER TABLE document_payments ADD COLUMN IF NOT EXISTS insurance_claim_id UUID REFERENCES insurance_claims(id);
+CREATE INDEX IF NOT EXISTS idx_document_payments_insurance_claim ON document_payments(insurance_claim_id);
+
+COMMENT ON TABLE insurance_claims IS 'Tiers-payant receivable: amount each insurer owes on an issued invoice';
+COMMENT ON COLUMN document_items.reimbursement_base IS 'Base de remboursement (tarif de convention) per unit';
+COMMENT ON COLUMN documents.insurance_details IS 'Insured coverage snapshot: NIR, coverage type, AMO rate, AMC coverage, insurers';
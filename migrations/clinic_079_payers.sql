@@ -0,0 +1,83 @@
+-- Migration: clinic_079_payers
+-- Third-party payers of the clinic and receivables split across them:
+-- - payers: insurers, mutuals, employers, public bodies... billed for (part of) an invoice
+-- - document_payer_shares: amount of an invoice payable by a payer (the rest is due by the buyer)
+-- - document_payments.payer_share_id: payer payments settle their share
+
+CREATE TABLE IF NOT EXISTS payers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    facility_id UUID NOT NULL REFERENCES medical_facilities(id) ON DELETE CASCADE,
+
+    name VARCHAR(255) NOT NULL,
+    payer_type VARCHAR(20) NOT NULL DEFAULT 'other',
+    -- Caisse code, organisation number or internal account reference
+    code VARCHAR(30),
+    siren VARCHAR(14),
+    vat_number VARCHAR(20),
+    address JSONB DEFAULT '{}',
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    contact_name VARCHAR(255),
+    payment_terms_days INTEGER,
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE payers ADD CONSTRAINT payers_payer_type_check
+    CHECK (payer_type IN ('insurer', 'mutual', 'employer', 'public_body', 'other'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE payers ADD CONSTRAINT payers_facility_name_unique UNIQUE (facility_id, name);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_payers_facility_active ON payers(facility_id, is_active);
+
+CREATE TABLE IF NOT EXISTS document_payer_shares (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    facility_id UUID NOT NULL REFERENCES medical_facilities(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    payer_id UUID NOT NULL REFERENCES payers(id),
+
+    amount DECIMAL(12,2) NOT NULL,
+    amount_paid DECIMAL(12,2) NOT NULL DEFAULT 0,
+    status VARCHAR(10) NOT NULL DEFAULT 'open',
+    -- Purchase order, agreement or authorisation number given by the payer
+    reference VARCHAR(100),
+    settled_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE document_payer_shares ADD CONSTRAINT document_payer_shares_amount_check CHECK (amount > 0);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE document_payer_shares ADD CONSTRAINT document_payer_shares_status_check
+    CHECK (status IN ('open', 'partial', 'paid'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE document_payer_shares ADD CONSTRAINT document_payer_shares_document_payer_unique
+    UNIQUE (document_id, payer_id);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_document_payer_shares_payer_status ON document_payer_shares(payer_id, status);
+CREATE INDEX IF NOT EXISTS idx_document_payer_shares_facility_status ON document_payer_shares(facility_id, status);
+
+ALTER TABLE document_payments ADD COLUMN IF NOT EXISTS payer_share_id UUID REFERENCES document_payer_shares(id);
+CREATE INDEX IF NOT EXISTS idx_document_payments_payer_share ON document_payments(payer_share_id);
+
+COMMENT ON TABLE payers IS 'Third-party payers (insurers, mutuals, employers...) invoices can be split across';
+COMMENT ON TABLE document_payer_shares IS 'Part of an invoice payable by a third-party payer (receivable)';
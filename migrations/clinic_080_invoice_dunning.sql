@@ -0,0 +1,62 @@
+-- Migration: clinic_080_invoice_dunning
+-- Dunning of overdue invoices:
+-- - documents: dunning progress of each invoice (last step sent, stop)
+-- - document_dunning_notices: one row per reminder step sent for an invoice,
+--   with the amounts claimed at that date (late penalties, recovery indemnity)
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS dunning_step VARCHAR(30);
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS last_dunning_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS dunning_stopped_at TIMESTAMP WITH TIME ZONE;
+-- payment, manual
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS dunning_stop_reason VARCHAR(20);
+
+CREATE TABLE IF NOT EXISTS document_dunning_notices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    facility_id UUID NOT NULL REFERENCES medical_facilities(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+
+    -- Step of the clinic dunning settings (billing_settings.dunning.steps[].key)
+    step_key VARCHAR(30) NOT NULL,
+    notice_type VARCHAR(20) NOT NULL,
+    days_overdue INTEGER NOT NULL,
+
+    amount_due DECIMAL(12,2) NOT NULL,
+    late_penalty_rate DECIMAL(5,2),
+    late_penalties DECIMAL(12,2) NOT NULL DEFAULT 0,
+    recovery_indemnity DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_claimed DECIMAL(12,2) NOT NULL,
+    -- Date by which the formal notice asks for payment
+    payment_deadline DATE,
+
+    -- email: queued in the message outbox, manual: no address, to be printed and posted
+    delivery VARCHAR(10) NOT NULL,
+    recipient VARCHAR(255),
+    message_outbox_id UUID REFERENCES message_outbox(id) ON DELETE SET NULL,
+    -- NULL when sent by the scheduler
+    created_by UUID,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE document_dunning_notices ADD CONSTRAINT document_dunning_notices_type_check
+    CHECK (notice_type IN ('reminder', 'formal_notice'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE document_dunning_notices ADD CONSTRAINT document_dunning_notices_delivery_check
+    CHECK (delivery IN ('email', 'manual'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+-- Each step is sent once per invoice
+DO $$ BEGIN
+  ALTER TABLE document_dunning_notices ADD CONSTRAINT document_dunning_notices_step_unique UNIQUE (document_id, step_key);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_document_dunning_notices_facility ON document_dunning_notices(facility_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_documents_overdue_dunning ON documents(facility_id, status, due_date)
+    WHERE deleted_at IS NULL AND document_type = 'invoice';
@@ -0,0 +1,116 @@
+-- Migration: clinic_081_treatment_packages
+-- Prepaid treatment packages ("6 laser sessions"):
+-- - products_services.is_package: catalog item sold as a bundle of treatments
+-- - product_package_items: treatments included in a package and their quantity
+-- - patient_packages: package bought by a patient (granted when its invoice is issued)
+-- - patient_package_credits: remaining sessions per treatment of a bought package
+-- - package_credit_usages: one credit used by a completed appointment (reversible)
+
+ALTER TABLE products_services ADD COLUMN IF NOT EXISTS is_package BOOLEAN NOT NULL DEFAULT false;
+-- Validity of the credits from the purchase (NULL = no expiry)
+ALTER TABLE products_services ADD COLUMN IF NOT EXISTS package_validity_days INTEGER;
+
+DO $$ BEGIN
+  ALTER TABLE products_services ADD CONSTRAINT products_services_package_validity_check
+    CHECK (package_validity_days IS NULL OR package_validity_days > 0);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS product_package_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    package_id UUID NOT NULL REFERENCES products_services(id) ON DELETE CASCADE,
+    service_id UUID NOT NULL REFERENCES products_services(id),
+    quantity INTEGER NOT NULL DEFAULT 1,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE product_package_items ADD CONSTRAINT product_package_items_quantity_check CHECK (quantity > 0);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE product_package_items ADD CONSTRAINT product_package_items_unique UNIQUE (package_id, service_id);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_product_package_items_service ON product_package_items(service_id);
+
+CREATE TABLE IF NOT EXISTS patient_packages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    facility_id UUID NOT NULL REFERENCES medical_facilities(id) ON DELETE CASCADE,
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    package_id UUID REFERENCES products_services(id) ON DELETE SET NULL,
+    -- Package title at the time of the sale
+    title VARCHAR(200) NOT NULL,
+
+    -- Invoice line that sold the package
+    document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+    document_item_id UUID REFERENCES document_items(id) ON DELETE SET NULL,
+
+    purchased_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancel_reason TEXT,
+    cancelled_by UUID,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE patient_packages ADD CONSTRAINT patient_packages_status_check
+    CHECK (status IN ('active', 'exhausted', 'cancelled'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+-- Issuing an invoice twice never grants its packages twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_packages_document_item
+    ON patient_packages(document_item_id) WHERE document_item_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_patient_packages_patient_status ON patient_packages(patient_id, status);
+
+CREATE TABLE IF NOT EXISTS patient_package_credits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    patient_package_id UUID NOT NULL REFERENCES patient_packages(id) ON DELETE CASCADE,
+    service_id UUID NOT NULL REFERENCES products_services(id),
+    service_title VARCHAR(200) NOT NULL,
+    quantity_total INTEGER NOT NULL,
+    quantity_used INTEGER NOT NULL DEFAULT 0,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE patient_package_credits ADD CONSTRAINT patient_package_credits_quantity_check
+    CHECK (quantity_total > 0 AND quantity_used >= 0 AND quantity_used <= quantity_total);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE patient_package_credits ADD CONSTRAINT patient_package_credits_unique UNIQUE (patient_package_id, service_id);
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_patient_package_credits_service ON patient_package_credits(service_id);
+
+CREATE TABLE IF NOT EXISTS package_credit_usages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    credit_id UUID NOT NULL REFERENCES patient_package_credits(id) ON DELETE CASCADE,
+    appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+    used_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    -- Set when the appointment is no longer completed (the credit is given back)
+    reversed_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- An appointment uses at most one credit at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_package_credit_usages_appointment
+    ON package_credit_usages(appointment_id) WHERE reversed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_package_credit_usages_credit ON package_credit_usages(credit_id);
@@ -0,0 +1,16 @@
+-- Migration: clinic_082_prescription_safety
+-- Prescription safety checks (allergies, age and dose ranges, chronic
+-- conditions, pregnancy):
+-- - prescriptions.medication_warnings: alerts raised when the prescription was
+--   created / finalized, with the override reason of blocking alerts
+-- - patients.pregnancy_status: pregnant / breastfeeding (NULL = unknown)
+
+ALTER TABLE prescriptions ADD COLUMN IF NOT EXISTS medication_warnings JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS pregnancy_status VARCHAR(20);
+
+DO $$ BEGIN
+  ALTER TABLE patients ADD CONSTRAINT patients_pregnancy_status_check
+    CHECK (pregnancy_status IS NULL OR pregnancy_status IN ('pregnant', 'breastfeeding', 'none'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
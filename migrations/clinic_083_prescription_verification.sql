@@ -0,0 +1,10 @@
+-- Migration: clinic_083_prescription_verification
+-- Printed prescriptions carry a QR code linking to the public verification
+-- endpoint (/public/prescriptions/:clinicId/:token). The token is created at
+-- the first print and never changes, so reprints (duplicata) keep the same QR.
+
+ALTER TABLE prescriptions ADD COLUMN IF NOT EXISTS verification_token VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prescriptions_verification_token
+  ON prescriptions(verification_token)
+  WHERE verification_token IS NOT NULL;
@@ -0,0 +1,63 @@
+-- Migration: clinic_084_prescription_renewals
+-- Renewals of chronic (renewable) prescriptions:
+-- - prescriptions.renewed_from_id: renewable prescription a renewal was issued
+--   from (its renewals_remaining is decremented)
+-- - prescriptions.expiry_warning_sent_at: practitioner warned that the chronic
+--   treatment reaches its valid_until
+-- - prescription_renewal_requests: renewals asked by the patient (link of the
+--   printed QR code) or recorded by the staff, waiting for the practitioner
+
+ALTER TABLE prescriptions ADD COLUMN IF NOT EXISTS renewed_from_id UUID REFERENCES prescriptions(id) ON DELETE SET NULL;
+ALTER TABLE prescriptions ADD COLUMN IF NOT EXISTS expiry_warning_sent_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_prescriptions_renewed_from
+  ON prescriptions(renewed_from_id)
+  WHERE renewed_from_id IS NOT NULL;
+
+-- Chronic prescriptions not warned yet (scheduler)
+CREATE INDEX IF NOT EXISTS idx_prescriptions_expiry_warning
+  ON prescriptions(valid_until)
+  WHERE renewable = true AND expiry_warning_sent_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS prescription_renewal_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    prescription_id UUID NOT NULL REFERENCES prescriptions(id) ON DELETE CASCADE,
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    -- Prescriber of the renewable prescription, whose queue the request lands in
+    provider_id UUID,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    source VARCHAR(20) NOT NULL DEFAULT 'patient',
+    message TEXT,
+    requested_by UUID,
+
+    reviewed_by UUID,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_note TEXT,
+    renewal_prescription_id UUID REFERENCES prescriptions(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DO $$ BEGIN
+  ALTER TABLE prescription_renewal_requests ADD CONSTRAINT prescription_renewal_requests_status_check
+    CHECK (status IN ('pending', 'approved', 'rejected'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+  ALTER TABLE prescription_renewal_requests ADD CONSTRAINT prescription_renewal_requests_source_check
+    CHECK (source IN ('patient', 'staff'));
+EXCEPTION WHEN duplicate_object THEN null;
+END $$;
+
+-- One open request per prescription
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prescription_renewal_requests_pending
+  ON prescription_renewal_requests(prescription_id)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_prescription_renewal_requests_queue
+  ON prescription_renewal_requests(status, provider_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_prescription_renewal_requests_patient
+  ON prescription_renewal_requests(patient_id);
@@ -0,0 +1,25 @@
+-- Migration: clinic_085_issue_numbering
+-- Invoices and credit notes take their fiscal number when they are issued (sent):
+-- - drafts carry a provisional number (PREFIX-YEAR-BRNNNN, from last_number)
+-- - the issued series continues from document_sequences.last_issued_number
+-- Existing series start after the highest number already issued.
+
+UPDATE document_sequences s
+SET last_issued_number = GREATEST(s.last_issued_number, issued.max_number),
+    updated_at = CURRENT_TIMESTAMP
+FROM (
+    SELECT facility_id,
+           document_type,
+           CAST(substring(document_number FROM '-(\d{4})-\d+$') AS INTEGER) AS year,
+           MAX(CAST(substring(document_number FROM '-\d{4}-(\d+)$') AS INTEGER)) AS max_number
+    FROM documents
+    WHERE document_type IN ('invoice', 'credit_note')
+      AND status <> 'draft'
+      AND document_number ~ '-\d{4}-\d+$'
+    GROUP BY 1, 2, 3
+) issued
+WHERE s.facility_id = issued.facility_id
+  AND s.document_type = issued.document_type
+  AND s.year = issued.year;
+
+COMMENT ON COLUMN document_sequences.last_issued_number IS 'Fiscal number of the last issued invoice / credit note of the series';
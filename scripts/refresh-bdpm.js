@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Download the public BDPM files (French medication database) and rebuild the index
+ * Usage: node scripts/refresh-bdpm.js [--dir=<directory>] [--no-download]
+ *
+ * Options:
+ *   --dir=<directory>  Target directory (default: BDPM_DATA_DIR or data/bdpm)
+ *   --no-download      Only check that the files in the directory can be indexed
+ *
+ * Running servers pick up the new files on their next medication lookup
+ * (the files are checked every few minutes).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { BdpmProvider, BDPM_FILES } = require('../src/services/medication/BdpmProvider');
+
+const DOWNLOAD_URL = process.env.BDPM_DOWNLOAD_URL ||
+  'https://base-donnees-publique.medicaments.gouv.fr/telechargement.php';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {
+  dir: process.env.BDPM_DATA_DIR || path.join(process.cwd(), 'data', 'bdpm'),
+  download: true
+};
+
+args.forEach(arg => {
+  if (arg.startsWith('--dir=')) {
+    options.dir = path.resolve(arg.split('=')[1]);
+  } else if (arg === '--no-download') {
+    options.download = false;
+  }
+});
+
+/**
+ * Download a file next to its target, then swap it in (a running server never
+ * reads a partial file)
+ */
+async function downloadFile(file) {
+  const target = path.join(options.dir, file);
+  const temporary = `${target}.download`;
+
+  const response = await fetch(`${DOWNLOAD_URL}?fichier=${encodeURIComponent(file)}`, { timeout: 120000 });
+  if (!response.ok) {
+    throw new Error(`${file}: HTTP ${response.status}`);
+  }
+
+  const buffer = await response.buffer();
+  if (buffer.length === 0 || !buffer.includes('\t')) {
+    throw new Error(`${file}: unexpected content (${buffer.length} bytes)`);
+  }
+
+  await fs.promises.writeFile(temporary, buffer);
+  await fs.promises.rename(temporary, target);
+  console.log(`  ✅ ${file} (${Math.round(buffer.length / 1024)} KB)`);
+}
+
+async function main() {
+  console.log(`BDPM directory: ${options.dir}`);
+  await fs.promises.mkdir(options.dir, { recursive: true });
+
+  if (options.download) {
+    console.log('Downloading BDPM files...');
+    for (const file of Object.values(BDPM_FILES)) {
+      await downloadFile(file);
+    }
+  }
+
+  const provider = new BdpmProvider({ dataDir: options.dir });
+  const stats = await provider.refresh();
+  console.log(`Index: ${stats.medications} medications, ${stats.presentations} presentations, ${stats.genericGroups} generic groups`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`❌ BDPM refresh failed: ${error.message}`);
+    process.exit(1);
+  });
@@ -61,7 +61,28 @@ const NEW_MIGRATIONS = [
   'clinic_061_admin_medical_nurse_role.sql',
   'clinic_062_vitals_glycemia_appointment_link.sql',
   'clinic_063_add_evolution_to_medical_records.sql',
-  'clinic_064_patient_profile_status.sql'
+  'clinic_064_patient_profile_status.sql',
+  'clinic_065_messaging_settings.sql',
+  'clinic_066_inbound_messages.sql',
+  'clinic_067_message_outbox.sql',
+  'clinic_068_scheduled_jobs_in_progress.sql',
+  'clinic_069_workflow_rules.sql',
+  'clinic_070_appointment_series.sql',
+  'clinic_071_waitlist.sql',
+  'clinic_072_online_booking.sql',
+  'clinic_073_calendar_feeds.sql',
+  'clinic_074_rooms_resources.sql',
+  'clinic_075_document_payments.sql',
+  'clinic_076_till_sessions.sql',
+  'clinic_077_invoice_registry_records.sql',
+  'clinic_078_insurance_billing.sql',
+  'clinic_079_payers.sql',
+  'clinic_080_invoice_dunning.sql',
+  'clinic_081_treatment_packages.sql',
+  'clinic_082_prescription_safety.sql',
+  'clinic_083_prescription_verification.sql',
+  'clinic_084_prescription_renewals.sql',
+  'clinic_085_issue_numbering.sql'
 ];
 
 async function getClinicDatabases() {
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Load the marketed medications of CIMA into the local catalog (central database)
+ * Usage: node scripts/warm-medication-catalog.js [--max-pages=<n>] [--delay=<ms>]
+ *
+ * Options:
+ *   --max-pages=<n>  Stop after n pages (default: whole catalog)
+ *   --delay=<ms>     Pause between two CIMA pages (default: 200)
+ *
+ * The job scheduler runs the same warm-up daily (MEDICATION_CATALOG_WARMUP_CRON).
+ * Requires migration central_008_medication_catalog.sql.
+ */
+
+require('dotenv').config();
+const { closeAllConnections } = require('../src/config/connectionManager');
+const medicationCatalogStore = require('../src/services/medication/medicationCatalogStore');
+const { getCachedCimaProvider } = require('../src/services/medication/CachedMedicationProvider');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {};
+
+args.forEach(arg => {
+  if (arg.startsWith('--max-pages=')) {
+    options.maxPages = parseInt(arg.split('=')[1], 10) || undefined;
+  } else if (arg.startsWith('--delay=')) {
+    options.delayMs = parseInt(arg.split('=')[1], 10);
+  }
+});
+
+async function main() {
+  const provider = getCachedCimaProvider();
+
+  console.log('Warming up the CIMA medication catalog...');
+  const { locked, result } = await medicationCatalogStore.withWarmupLock(() => provider.warmUp(options));
+
+  if (!locked) {
+    console.log('⚠️  A warm-up is already running on another instance');
+    return;
+  }
+
+  console.log(`  ✅ ${result.medications} medications in ${result.pages} pages (${Math.round(result.durationMs / 1000)} s)`);
+
+  const stats = await provider.getStats();
+  console.log(`Catalog: ${stats.total} medications, ${stats.stale} stale`);
+}
+
+main()
+  .then(async () => {
+    await closeAllConnections();
+    process.exit(0);
+  })
+  .catch(async error => {
+    console.error(`❌ Medication catalog warm-up failed: ${error.message}`);
+    await closeAllConnections().catch(() => {});
+    process.exit(1);
+  });
@@ -16,6 +16,7 @@ const { RateLimiterMemory } = require('rate-limiter-flexible');
 const { logger, httpLoggerStream } = require('./src/utils/logger');
 const { testConnection, syncDatabase } = require('./src/config/database');
 const { initializeCentralConnection, closeAllConnections } = require('./src/config/connectionManager');
+const jobSchedulerService = require('./src/services/jobSchedulerService');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -35,6 +36,10 @@ const practitionerRoutes = require('./src/routes/practitioners');
 const appointmentRoutes = require('./src/routes/appointments');
 const appointmentItemRoutes = require('./src/routes/appointment-items');
 const documentRoutes = require('./src/routes/documents');
+const tillSessionRoutes = require('./src/routes/till-sessions');
+const verifactuRoutes = require('./src/routes/verifactu');
+const insuranceClaimRoutes = require('./src/routes/insurance-claims');
+const payerRoutes = require('./src/routes/payers');
 const consentRoutes = require('./src/routes/consents');
 const consentTemplateRoutes = require('./src/routes/consent-templates');
 const medicalRecordsRoutes = require('./src/routes/medical-records');
@@ -56,11 +61,21 @@ const practitionerAvailabilityRoutes = require('./src/routes/practitionerAvailab
 const patientCareTeamRoutes = require('./src/routes/patientCareTeam');
 const teamsRoutes = require('./src/routes/teams');
 const machineRoutes = require('./src/routes/machines');
+const roomRoutes = require('./src/routes/rooms');
 const planningRoutes = require('./src/routes/planning');
 const appointmentActionsRoutes = require('./src/routes/appointment-actions');
 const treatmentConsentsRoutes = require('./src/routes/treatment-consents');
 const systemCategoriesRoutes = require('./src/routes/system-categories');
 const publicAppointmentRoutes = require('./src/routes/public-appointment');
+const publicInboundMessageRoutes = require('./src/routes/public-inbound-messages');
+const publicWaitlistRoutes = require('./src/routes/public-waitlist');
+const publicBookingRoutes = require('./src/routes/public-booking');
+const publicCalendarRoutes = require('./src/routes/public-calendar');
+const publicPrescriptionRoutes = require('./src/routes/public-prescriptions');
+const inboundMessagesRoutes = require('./src/routes/inbound-messages');
+const messagesRoutes = require('./src/routes/messages');
+const waitlistRoutes = require('./src/routes/waitlist');
+const calendarFeedsRoutes = require('./src/routes/calendar-feeds');
 
 // User management routes (central database)
 const usersRoutes = require('./src/routes/users');
@@ -196,6 +211,16 @@ app.get('/health', (req, res) => {
 // Public routes (no authentication required)
 // Consent signing page for patients (accessed via email link)
 app.use(`/api/${API_VERSION}/public/sign`, publicConsentSigningRoutes);
+// Inbound patient replies (SMS / WhatsApp / email webhooks, clinic resolved from URL)
+app.use(`/api/${API_VERSION}/public/inbound`, publicInboundMessageRoutes);
+// Waiting list slot offers (accessed via email / SMS link, clinic resolved from URL)
+app.use(`/api/${API_VERSION}/public/waitlist`, publicWaitlistRoutes);
+// Online booking for patients (clinic resolved from URL, contact verified by code)
+app.use(`/api/${API_VERSION}/public/booking`, publicBookingRoutes);
+// Practitioner planning feeds (.ics subscription URL, secret token)
+app.use(`/api/${API_VERSION}/public/calendar`, publicCalendarRoutes);
+// Prescription authenticity (QR code of printed prescriptions, secret token)
+app.use(`/api/${API_VERSION}/public/prescriptions`, publicPrescriptionRoutes);
 // Public appointment confirmation (accessed via email link)
 app.use(`/api/${API_VERSION}/public`, clinicRoutingMiddleware, publicAppointmentRoutes);
 
@@ -226,6 +251,14 @@ app.use(`/api/${API_VERSION}/practitioners`, authMiddleware, clinicRoutingMiddle
 app.use(`/api/${API_VERSION}/appointments`, authMiddleware, clinicRoutingMiddleware, appointmentRoutes);
 app.use(`/api/${API_VERSION}/appointment-items`, authMiddleware, clinicRoutingMiddleware, appointmentItemRoutes);
 app.use(`/api/${API_VERSION}/documents`, authMiddleware, clinicRoutingMiddleware, documentRoutes);
+// Front desk till sessions (payments per method, closing, Z-report)
+app.use(`/api/${API_VERSION}/till-sessions`, authMiddleware, clinicRoutingMiddleware, tillSessionRoutes);
+// Spanish invoice registry (VeriFactu records, XML batches, AEAT submission)
+app.use(`/api/${API_VERSION}/verifactu`, authMiddleware, clinicRoutingMiddleware, verifactuRoutes);
+// French tiers-payant receivables (insurer claims, payments, rejections)
+app.use(`/api/${API_VERSION}/insurance-claims`, authMiddleware, clinicRoutingMiddleware, insuranceClaimRoutes);
+// Third-party payers (invoices split across payers, payer payments)
+app.use(`/api/${API_VERSION}/payers`, authMiddleware, clinicRoutingMiddleware, payerRoutes);
 app.use(`/api/${API_VERSION}/consents`, authMiddleware, clinicRoutingMiddleware, consentRoutes);
 app.use(`/api/${API_VERSION}/consent-templates`, authMiddleware, clinicRoutingMiddleware, consentTemplateRoutes);
 app.use(`/api/${API_VERSION}/medical-records`, authMiddleware, clinicRoutingMiddleware, medicalRecordsRoutes);
@@ -244,9 +277,18 @@ app.use(`/api/${API_VERSION}/availability`, practitionerAvailabilityRoutes);
 app.use(`/api/${API_VERSION}/care-team`, authMiddleware, clinicRoutingMiddleware, patientCareTeamRoutes);
 app.use(`/api/${API_VERSION}/teams`, teamsRoutes);
 app.use(`/api/${API_VERSION}/machines`, authMiddleware, clinicRoutingMiddleware, machineRoutes);
+app.use(`/api/${API_VERSION}/rooms`, authMiddleware, clinicRoutingMiddleware, roomRoutes);
 app.use(`/api/${API_VERSION}/planning`, authMiddleware, clinicRoutingMiddleware, planningRoutes);
 // Appointment actions (state machine) routes - mounted under /planning for consistency
 app.use(`/api/${API_VERSION}/planning`, authMiddleware, clinicRoutingMiddleware, appointmentActionsRoutes);
+// Reception inbox for patient replies
+app.use(`/api/${API_VERSION}/inbound-messages`, authMiddleware, clinicRoutingMiddleware, inboundMessagesRoutes);
+// Message outbox (delivery status + resend of patient messages)
+app.use(`/api/${API_VERSION}/messages`, authMiddleware, clinicRoutingMiddleware, messagesRoutes);
+// Waiting list (offers of cancelled / no-show slots)
+app.use(`/api/${API_VERSION}/waitlist`, authMiddleware, clinicRoutingMiddleware, waitlistRoutes);
+// iCalendar feed URLs of the practitioners' planning
+app.use(`/api/${API_VERSION}/calendar-feeds`, authMiddleware, clinicRoutingMiddleware, calendarFeedsRoutes);
 // Treatment consent associations
 app.use(`/api/${API_VERSION}/treatment-consents`, authMiddleware, clinicRoutingMiddleware, treatmentConsentsRoutes);
 // System categories (consent types, appointment types, specialties, departments)
@@ -267,12 +309,14 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  jobSchedulerService.stopCron();
   await closeAllConnections();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  jobSchedulerService.stopCron();
   await closeAllConnections();
   process.exit(0);
 });
@@ -307,6 +351,9 @@ const startServer = async () => {
       if (process.env.NODE_ENV === 'development') {
         logger.info(`📖 API Base URL: http://localhost:${PORT}/api/${API_VERSION}`);
       }
+
+      // Background jobs for all clinics (no-op unless ENABLE_JOB_SCHEDULER=true)
+      jobSchedulerService.startCron(process.env.JOB_SCHEDULER_CRON || undefined);
     });
 
     // Handle server errors
@@ -21,6 +21,7 @@ const createClinicAppointment = require('../models/clinic/Appointment');
 const createClinicHealthcareProvider = require('../models/clinic/HealthcareProvider');
 const createClinicMedicalRecord = require('../models/clinic/MedicalRecord');
 const createClinicPrescription = require('../models/clinic/Prescription');
+const createClinicPrescriptionRenewalRequest = require('../models/clinic/PrescriptionRenewalRequest');
 const createClinicConsent = require('../models/clinic/Consent');
 const createClinicConsentTemplate = require('../models/clinic/ConsentTemplate');
 const createClinicConsentTemplateTranslation = require('../models/clinic/ConsentTemplateTranslation');
@@ -29,23 +30,43 @@ const createClinicPractitionerWeeklyAvailability = require('../models/clinic/Pra
 const createClinicPatientCareTeam = require('../models/clinic/PatientCareTeam');
 const createClinicAppointmentAction = require('../models/clinic/AppointmentAction');
 const createClinicScheduledJob = require('../models/clinic/ScheduledJob');
+const createClinicInboundMessage = require('../models/clinic/InboundMessage');
+const createClinicMessageOutbox = require('../models/clinic/MessageOutbox');
 const createClinicTreatmentConsentTemplate = require('../models/clinic/TreatmentConsentTemplate');
 const createClinicSystemCategory = require('../models/clinic/SystemCategory');
 const createClinicCustomMedication = require('../models/clinic/CustomMedication');
 const createClinicAppointmentItem = require('../models/clinic/AppointmentItem');
+const createClinicAppointmentSeries = require('../models/clinic/AppointmentSeries');
+const createClinicWaitlistEntry = require('../models/clinic/WaitlistEntry');
+const createClinicWaitlistOffer = require('../models/clinic/WaitlistOffer');
+const createClinicOnlineBookingVerification = require('../models/clinic/OnlineBookingVerification');
 
 // Billing models
 const createClinicDocument = require('../models/clinic/Document');
 const createClinicDocumentItem = require('../models/clinic/DocumentItem');
 const createClinicDocumentSequence = require('../models/clinic/DocumentSequence');
+const createClinicDocumentPayment = require('../models/clinic/DocumentPayment');
+const createClinicTillSession = require('../models/clinic/TillSession');
+const createClinicInvoiceRegistryRecord = require('../models/clinic/InvoiceRegistryRecord');
+const createClinicInsuranceClaim = require('../models/clinic/InsuranceClaim');
+const createClinicPayer = require('../models/clinic/Payer');
+const createClinicDocumentPayerShare = require('../models/clinic/DocumentPayerShare');
+const createClinicDocumentDunningNotice = require('../models/clinic/DocumentDunningNotice');
+
+// Treatment package models
+const createClinicPatientPackage = require('../models/clinic/PatientPackage');
+const createClinicPatientPackageCredit = require('../models/clinic/PatientPackageCredit');
+const createClinicPackageCreditUsage = require('../models/clinic/PackageCreditUsage');
 
 // Catalog models
 const createProductService = require('../models/ProductService');
 const createTag = require('../models/Tag');
 const createCategory = require('../models/Category');
+const createProductPackageItem = require('../models/ProductPackageItem');
 
 // Machine models
 const createMachine = require('../models/Machine');
+const createRoom = require('../models/Room');
 
 // Supplier models
 const createSupplier = require('../models/Supplier');
@@ -59,6 +80,7 @@ const CLINIC_MODEL_FACTORIES = {
   HealthcareProvider: createClinicHealthcareProvider,
   MedicalRecord: createClinicMedicalRecord,
   Prescription: createClinicPrescription,
+  PrescriptionRenewalRequest: createClinicPrescriptionRenewalRequest,
   Consent: createClinicConsent,
   ConsentTemplate: createClinicConsentTemplate,
   ConsentTemplateTranslation: createClinicConsentTemplateTranslation,
@@ -68,20 +90,39 @@ const CLINIC_MODEL_FACTORIES = {
   // Appointment workflow models
   AppointmentAction: createClinicAppointmentAction,
   ScheduledJob: createClinicScheduledJob,
+  InboundMessage: createClinicInboundMessage,
+  MessageOutbox: createClinicMessageOutbox,
   TreatmentConsentTemplate: createClinicTreatmentConsentTemplate,
   SystemCategory: createClinicSystemCategory,
   CustomMedication: createClinicCustomMedication,
   AppointmentItem: createClinicAppointmentItem,
+  AppointmentSeries: createClinicAppointmentSeries,
+  WaitlistEntry: createClinicWaitlistEntry,
+  WaitlistOffer: createClinicWaitlistOffer,
+  OnlineBookingVerification: createClinicOnlineBookingVerification,
   // Billing models
   Document: createClinicDocument,
   DocumentItem: createClinicDocumentItem,
   DocumentSequence: createClinicDocumentSequence,
+  DocumentPayment: createClinicDocumentPayment,
+  TillSession: createClinicTillSession,
+  InvoiceRegistryRecord: createClinicInvoiceRegistryRecord,
+  InsuranceClaim: createClinicInsuranceClaim,
+  Payer: createClinicPayer,
+  DocumentPayerShare: createClinicDocumentPayerShare,
+  DocumentDunningNotice: createClinicDocumentDunningNotice,
+  // Treatment package models
+  PatientPackage: createClinicPatientPackage,
+  PatientPackageCredit: createClinicPatientPackageCredit,
+  PackageCreditUsage: createClinicPackageCreditUsage,
   // Catalog models
   ProductService: createProductService,
   Tag: createTag,
   Category: createCategory,
+  ProductPackageItem: createProductPackageItem,
   // Machine models
   Machine: createMachine,
+  Room: createRoom,
   // Supplier models
   Supplier: createSupplier,
   ProductSupplier: createProductSupplier
@@ -175,6 +216,18 @@ async function setupAssociations(clinicDb, modelName, model, dbModels) {
           });
         }
 
+        // Appointment belongs to Room (treatments with a room requirement)
+        if (!dbModels.Room) {
+          const Room = CLINIC_MODEL_FACTORIES.Room(clinicDb);
+          dbModels.Room = Room;
+        }
+        if (!model.associations?.room) {
+          model.belongsTo(dbModels.Room, {
+            foreignKey: 'room_id',
+            as: 'room'
+          });
+        }
+
         // Appointment belongs to HealthcareProvider (provider)
         if (!dbModels.HealthcareProvider) {
           const HealthcareProvider = CLINIC_MODEL_FACTORIES.HealthcareProvider(clinicDb);
@@ -465,6 +518,97 @@ async function setupAssociations(clinicDb, modelName, model, dbModels) {
         }
         break;
 
+      case 'InboundMessage':
+        // InboundMessage may be matched to an appointment and a patient
+        if (!dbModels.Appointment) {
+          dbModels.Appointment = CLINIC_MODEL_FACTORIES.Appointment(clinicDb);
+        }
+        if (!dbModels.Patient) {
+          dbModels.Patient = CLINIC_MODEL_FACTORIES.Patient(clinicDb);
+        }
+        if (!model.associations?.appointment) {
+          model.belongsTo(dbModels.Appointment, {
+            foreignKey: 'appointment_id',
+            as: 'appointment'
+          });
+        }
+        if (!model.associations?.patient) {
+          model.belongsTo(dbModels.Patient, {
+            foreignKey: 'patient_id',
+            as: 'patient'
+          });
+        }
+        break;
+
+      case 'AppointmentSeries':
+        // A series groups recurring appointments of one patient
+        if (!dbModels.Appointment) {
+          dbModels.Appointment = CLINIC_MODEL_FACTORIES.Appointment(clinicDb);
+        }
+        if (!dbModels.Patient) {
+          dbModels.Patient = CLINIC_MODEL_FACTORIES.Patient(clinicDb);
+        }
+        if (!model.associations?.appointments) {
+          model.hasMany(dbModels.Appointment, {
+            foreignKey: 'series_id',
+            as: 'appointments'
+          });
+        }
+        if (!model.associations?.patient) {
+          model.belongsTo(dbModels.Patient, {
+            foreignKey: 'patient_id',
+            as: 'patient'
+          });
+        }
+        break;
+
+      case 'WaitlistEntry':
+        // A waiting list entry belongs to a patient and collects slot offers
+        if (!dbModels.Patient) {
+          dbModels.Patient = CLINIC_MODEL_FACTORIES.Patient(clinicDb);
+        }
+        if (!dbModels.WaitlistOffer) {
+          dbModels.WaitlistOffer = CLINIC_MODEL_FACTORIES.WaitlistOffer(clinicDb);
+        }
+        if (!model.associations?.patient) {
+          model.belongsTo(dbModels.Patient, {
+            foreignKey: 'patient_id',
+            as: 'patient'
+          });
+        }
+        if (!model.associations?.offers) {
+          model.hasMany(dbModels.WaitlistOffer, {
+            foreignKey: 'waitlist_entry_id',
+            as: 'offers'
+          });
+        }
+        break;
+
+      case 'WaitlistOffer':
+        if (!dbModels.WaitlistEntry) {
+          dbModels.WaitlistEntry = CLINIC_MODEL_FACTORIES.WaitlistEntry(clinicDb);
+        }
+        if (!model.associations?.entry) {
+          model.belongsTo(dbModels.WaitlistEntry, {
+            foreignKey: 'waitlist_entry_id',
+            as: 'entry'
+          });
+        }
+        break;
+
+      case 'MessageOutbox':
+        // Outbox entries reference the patient they were sent to
+        if (!dbModels.Patient) {
+          dbModels.Patient = CLINIC_MODEL_FACTORIES.Patient(clinicDb);
+        }
+        if (!model.associations?.patient) {
+          model.belongsTo(dbModels.Patient, {
+            foreignKey: 'patient_id',
+            as: 'patient'
+          });
+        }
+        break;
+
       case 'Document':
         // Document has many DocumentItems
         if (!dbModels.DocumentItem) {
@@ -478,6 +622,65 @@ async function setupAssociations(clinicDb, modelName, model, dbModels) {
           });
         }
 
+        // Document has many DocumentPayments (payment ledger)
+        if (!dbModels.DocumentPayment) {
+          dbModels.DocumentPayment = CLINIC_MODEL_FACTORIES.DocumentPayment(clinicDb);
+        }
+        if (!model.associations?.payments) {
+          model.hasMany(dbModels.DocumentPayment, {
+            foreignKey: 'document_id',
+            as: 'payments',
+            onDelete: 'CASCADE'
+          });
+        }
+
+        // Document has one InvoiceRegistryRecord (VeriFactu, Spain)
+        if (!dbModels.InvoiceRegistryRecord) {
+          dbModels.InvoiceRegistryRecord = CLINIC_MODEL_FACTORIES.InvoiceRegistryRecord(clinicDb);
+        }
+        if (!model.associations?.registryRecord) {
+          model.hasOne(dbModels.InvoiceRegistryRecord, {
+            foreignKey: 'document_id',
+            as: 'registryRecord'
+          });
+        }
+
+        // Document has many InsuranceClaims (tiers payant)
+        if (!dbModels.InsuranceClaim) {
+          dbModels.InsuranceClaim = CLINIC_MODEL_FACTORIES.InsuranceClaim(clinicDb);
+        }
+        if (!model.associations?.insuranceClaims) {
+          model.hasMany(dbModels.InsuranceClaim, {
+            foreignKey: 'document_id',
+            as: 'insuranceClaims',
+            onDelete: 'CASCADE'
+          });
+        }
+
+        // Document has many DocumentPayerShares (third-party payers)
+        if (!dbModels.DocumentPayerShare) {
+          dbModels.DocumentPayerShare = CLINIC_MODEL_FACTORIES.DocumentPayerShare(clinicDb);
+        }
+        if (!model.associations?.payerShares) {
+          model.hasMany(dbModels.DocumentPayerShare, {
+            foreignKey: 'document_id',
+            as: 'payerShares',
+            onDelete: 'CASCADE'
+          });
+        }
+
+        // Document has many DocumentDunningNotices (overdue reminders)
+        if (!dbModels.DocumentDunningNotice) {
+          dbModels.DocumentDunningNotice = CLINIC_MODEL_FACTORIES.DocumentDunningNotice(clinicDb);
+        }
+        if (!model.associations?.dunningNotices) {
+          model.hasMany(dbModels.DocumentDunningNotice, {
+            foreignKey: 'document_id',
+            as: 'dunningNotices',
+            onDelete: 'CASCADE'
+          });
+        }
+
         // Document belongs to Patient (optional)
         if (!dbModels.Patient) {
           dbModels.Patient = CLINIC_MODEL_FACTORIES.Patient(clinicDb);
@@ -539,6 +742,218 @@ async function setupAssociations(clinicDb, modelName, model, dbModels) {
         }
         break;
 
+      case 'DocumentPayment':
+        // DocumentPayment belongs to Document
+        if (!dbModels.Document) {
+          dbModels.Document = CLINIC_MODEL_FACTORIES.Document(clinicDb);
+        }
+        if (!model.associations?.document) {
+          model.belongsTo(dbModels.Document, {
+            foreignKey: 'document_id',
+            as: 'document'
+          });
+        }
+        // DocumentPayment belongs to TillSession (payments taken at the desk)
+        if (!dbModels.TillSession) {
+          dbModels.TillSession = CLINIC_MODEL_FACTORIES.TillSession(clinicDb);
+        }
+        if (!model.associations?.tillSession) {
+          model.belongsTo(dbModels.TillSession, {
+            foreignKey: 'till_session_id',
+            as: 'tillSession'
+          });
+        }
+        break;
+
+      case 'TillSession':
+        // TillSession has many DocumentPayments
+        if (!dbModels.DocumentPayment) {
+          dbModels.DocumentPayment = CLINIC_MODEL_FACTORIES.DocumentPayment(clinicDb);
+        }
+        if (!model.associations?.payments) {
+          model.hasMany(dbModels.DocumentPayment, {
+            foreignKey: 'till_session_id',
+            as: 'payments'
+          });
+        }
+        break;
+
+      case 'InsuranceClaim':
+        // InsuranceClaim belongs to Document
+        if (!dbModels.Document) {
+          dbModels.Document = CLINIC_MODEL_FACTORIES.Document(clinicDb);
+        }
+        if (!model.associations?.document) {
+          model.belongsTo(dbModels.Document, {
+            foreignKey: 'document_id',
+            as: 'document'
+          });
+        }
+        // InsuranceClaim has many DocumentPayments (insurer payments)
+        if (!dbModels.DocumentPayment) {
+          dbModels.DocumentPayment = CLINIC_MODEL_FACTORIES.DocumentPayment(clinicDb);
+        }
+        if (!model.associations?.payments) {
+          model.hasMany(dbModels.DocumentPayment, {
+            foreignKey: 'insurance_claim_id',
+            as: 'payments'
+          });
+        }
+        break;
+
+      case 'Payer':
+        // Payer has many DocumentPayerShares
+        if (!dbModels.DocumentPayerShare) {
+          dbModels.DocumentPayerShare = CLINIC_MODEL_FACTORIES.DocumentPayerShare(clinicDb);
+        }
+        if (!model.associations?.shares) {
+          model.hasMany(dbModels.DocumentPayerShare, {
+            foreignKey: 'payer_id',
+            as: 'shares'
+          });
+        }
+        break;
+
+      case 'DocumentPayerShare':
+        // DocumentPayerShare belongs to Document and Payer
+        if (!dbModels.Document) {
+          dbModels.Document = CLINIC_MODEL_FACTORIES.Document(clinicDb);
+        }
+        if (!model.associations?.document) {
+          model.belongsTo(dbModels.Document, {
+            foreignKey: 'document_id',
+            as: 'document'
+          });
+        }
+        if (!dbModels.Payer) {
+          dbModels.Payer = CLINIC_MODEL_FACTORIES.Payer(clinicDb);
+        }
+        if (!model.associations?.payer) {
+          model.belongsTo(dbModels.Payer, {
+            foreignKey: 'payer_id',
+            as: 'payer'
+          });
+        }
+        // DocumentPayerShare has many DocumentPayments (payer payments)
+        if (!dbModels.DocumentPayment) {
+          dbModels.DocumentPayment = CLINIC_MODEL_FACTORIES.DocumentPayment(clinicDb);
+        }
+        if (!model.associations?.payments) {
+          model.hasMany(dbModels.DocumentPayment, {
+            foreignKey: 'payer_share_id',
+            as: 'payments'
+          });
+        }
+        break;
+
+      case 'ProductPackageItem':
+        // ProductPackageItem belongs to its package and the included treatment
+        if (!dbModels.ProductService) {
+          dbModels.ProductService = CLINIC_MODEL_FACTORIES.ProductService(clinicDb);
+        }
+        if (!model.associations?.service) {
+          model.belongsTo(dbModels.ProductService, {
+            foreignKey: 'service_id',
+            as: 'service'
+          });
+        }
+        // Set up reverse association on ProductService (package content)
+        if (!dbModels.ProductService.associations?.packageItems) {
+          dbModels.ProductService.hasMany(model, {
+            foreignKey: 'package_id',
+            as: 'packageItems'
+          });
+        }
+        break;
+
+      case 'PatientPackage':
+        // PatientPackage has many PatientPackageCredits
+        if (!dbModels.PatientPackageCredit) {
+          dbModels.PatientPackageCredit = CLINIC_MODEL_FACTORIES.PatientPackageCredit(clinicDb);
+        }
+        if (!model.associations?.credits) {
+          model.hasMany(dbModels.PatientPackageCredit, {
+            foreignKey: 'patient_package_id',
+            as: 'credits'
+          });
+        }
+        if (!dbModels.PatientPackageCredit.associations?.patientPackage) {
+          dbModels.PatientPackageCredit.belongsTo(model, {
+            foreignKey: 'patient_package_id',
+            as: 'patientPackage'
+          });
+        }
+        break;
+
+      case 'PatientPackageCredit':
+        // PatientPackageCredit belongs to PatientPackage
+        if (!dbModels.PatientPackage) {
+          dbModels.PatientPackage = CLINIC_MODEL_FACTORIES.PatientPackage(clinicDb);
+        }
+        if (!model.associations?.patientPackage) {
+          model.belongsTo(dbModels.PatientPackage, {
+            foreignKey: 'patient_package_id',
+            as: 'patientPackage'
+          });
+        }
+        // PatientPackageCredit has many PackageCreditUsages
+        if (!dbModels.PackageCreditUsage) {
+          dbModels.PackageCreditUsage = CLINIC_MODEL_FACTORIES.PackageCreditUsage(clinicDb);
+        }
+        if (!model.associations?.usages) {
+          model.hasMany(dbModels.PackageCreditUsage, {
+            foreignKey: 'credit_id',
+            as: 'usages'
+          });
+        }
+        break;
+
+      case 'PackageCreditUsage':
+        // PackageCreditUsage belongs to PatientPackageCredit
+        if (!dbModels.PatientPackageCredit) {
+          dbModels.PatientPackageCredit = CLINIC_MODEL_FACTORIES.PatientPackageCredit(clinicDb);
+        }
+        if (!model.associations?.credit) {
+          model.belongsTo(dbModels.PatientPackageCredit, {
+            foreignKey: 'credit_id',
+            as: 'credit'
+          });
+        }
+        break;
+
+      case 'DocumentDunningNotice':
+        // DocumentDunningNotice belongs to Document
+        if (!dbModels.Document) {
+          dbModels.Document = CLINIC_MODEL_FACTORIES.Document(clinicDb);
+        }
+        if (!model.associations?.document) {
+          model.belongsTo(dbModels.Document, {
+            foreignKey: 'document_id',
+            as: 'document'
+          });
+        }
+        break;
+
+      case 'InvoiceRegistryRecord':
+        // InvoiceRegistryRecord belongs to Document
+        if (!dbModels.Document) {
+          dbModels.Document = CLINIC_MODEL_FACTORIES.Document(clinicDb);
+        }
+        if (!model.associations?.document) {
+          model.belongsTo(dbModels.Document, {
+            foreignKey: 'document_id',
+            as: 'document'
+          });
+        }
+        // Chained to the previous record of the facility
+        if (!model.associations?.previousRecord) {
+          model.belongsTo(model, {
+            foreignKey: 'previous_record_id',
+            as: 'previousRecord'
+          });
+        }
+        break;
+
       case 'AppointmentItem':
         // AppointmentItem belongs to Appointment
         if (!dbModels.Appointment) {
@@ -228,6 +228,68 @@ const notificationsSchema = Joi.object({
   }).optional()
 });
 
+// Schema pour la messagerie SMS / WhatsApp
+const messagingChannelSchema = Joi.object({
+  enabled: Joi.boolean().default(false),
+  from: Joi.string().pattern(/^(whatsapp:)?\+\d{6,15}$/).allow(null, '').optional()
+    .messages({
+      'string.pattern.base': 'Le numéro expéditeur doit être au format international (+33...) / El número remitente debe estar en formato internacional (+34...)'
+    })
+});
+
+module.exports.messagingSettingsSchema = Joi.object({
+  transport: Joi.string().valid('twilio', 'loopback').default('twilio'),
+  defaultCountryCode: Joi.string().pattern(/^\+\d{1,4}$/).optional(),
+  sms: messagingChannelSchema.optional(),
+  whatsapp: messagingChannelSchema.optional(),
+  twilio: Joi.object({
+    accountSid: Joi.string().max(64).allow('').optional(),
+    authToken: Joi.string().max(128).allow('').optional()
+  }).optional()
+});
+
+// Schema pour les règles de workflow des rendez-vous
+// Une règle déclenche une action à l'entrée d'un statut (on_enter)
+// ou X heures avant le rendez-vous (before_appointment)
+const APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show'];
+const APPOINTMENT_TYPES = ['consultation', 'followup', 'emergency', 'checkup', 'procedure', 'teleconsultation', 'specialist', 'vaccination', 'surgery'];
+const APPOINTMENT_CATEGORIES = ['treatment', 'consultation'];
+const WORKFLOW_ACTIONS = ['confirmation_email', 'whatsapp_reminder', 'sms_reminder', 'send_quote', 'send_consent', 'prepare_invoice'];
+
+const workflowConditionsSchema = Joi.object({
+  appointmentTypes: Joi.array().items(Joi.string().valid(...APPOINTMENT_TYPES)).unique().optional(),
+  categories: Joi.array().items(Joi.string().valid(...APPOINTMENT_CATEGORIES)).unique().optional(),
+  serviceIds: Joi.array().items(Joi.string().uuid()).unique().optional(),
+  excludeAppointmentTypes: Joi.array().items(Joi.string().valid(...APPOINTMENT_TYPES)).unique().optional(),
+  excludeCategories: Joi.array().items(Joi.string().valid(...APPOINTMENT_CATEGORIES)).unique().optional(),
+  excludeServiceIds: Joi.array().items(Joi.string().uuid()).unique().optional()
+});
+
+module.exports.workflowRuleSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  enabled: Joi.boolean().default(true),
+  trigger: Joi.string().valid('on_enter', 'before_appointment').required(),
+  state: Joi.string().valid(...APPOINTMENT_STATUSES).required(),
+  action: Joi.string().valid(...WORKFLOW_ACTIONS).required(),
+  beforeHours: Joi.number().min(0.25).max(720)
+    .when('trigger', { is: 'before_appointment', then: Joi.required(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.required': 'beforeHours est obligatoire pour une règle avant rendez-vous / beforeHours es obligatorio para una regla antes de la cita'
+    }),
+  requiresValidation: Joi.boolean().default(false),
+  conditions: workflowConditionsSchema.default({})
+});
+
+// Schema pour la prise de rendez-vous en ligne (API publique)
+// Les soins réservables sont choisis dans le catalogue (bookable_online)
+module.exports.onlineBookingSettingsSchema = Joi.object({
+  enabled: Joi.boolean().default(false),
+  minLeadMinutes: Joi.number().integer().min(0).max(43200).default(120),
+  maxDaysAhead: Joi.number().integer().min(1).max(365).default(60),
+  practitionerIds: Joi.array().items(Joi.string().uuid()).unique().default([]),
+  verificationChannels: Joi.array().items(Joi.string().valid('email', 'sms')).min(1).unique().default(['email', 'sms'])
+});
+
 // CREATE/UPDATE Clinic Settings
 module.exports.clinicSettingsSchema = Joi.object({
   facility_id: Joi.string().uuid().required().messages({
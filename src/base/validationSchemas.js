@@ -137,6 +137,7 @@ module.exports.createPatientSchema = Joi.object({
   blood_type: Joi.string().allow('').optional(),
   allergies: Joi.string().allow('').optional(),
   chronic_conditions: Joi.string().allow('').optional(),
+  pregnancy_status: Joi.string().valid('pregnant', 'breastfeeding', 'none').allow(null).optional(),
   current_medications: Joi.string().allow('').optional(),
   medical_history: Joi.object().allow(null).optional(),
 
@@ -201,6 +202,7 @@ module.exports.updatePatientSchema = Joi.object({
   blood_type: Joi.string().allow('').optional(),
   allergies: Joi.string().allow('').optional(),
   chronic_conditions: Joi.string().allow('').optional(),
+  pregnancy_status: Joi.string().valid('pregnant', 'breastfeeding', 'none').allow(null).optional(),
   current_medications: Joi.string().allow('').optional(),
   medical_history: Joi.object().allow(null).optional(),
 
@@ -373,6 +373,20 @@ function getCachedClinicConnections() {
   return Array.from(clinicConnections.keys());
 }
 
+/**
+ * Find the clinic ID of a cached clinic connection
+ * Lets services that only receive a clinicDb build public links (/:clinicId/...)
+ *
+ * @param {Sequelize} sequelize - Clinic database connection
+ * @returns {string|null} - Clinic ID, or null if the connection is not cached
+ */
+function getClinicIdForConnection(sequelize) {
+  for (const [clinicId, connection] of clinicConnections) {
+    if (connection === sequelize) return clinicId;
+  }
+  return null;
+}
+
 /**
  * Get connection cache size (for monitoring)
  *
@@ -401,5 +415,6 @@ module.exports = {
 
   // Utilities
   getCachedClinicConnections,
+  getClinicIdForConnection,
   getCacheSize
 };
@@ -110,6 +110,26 @@ const findUserInCentralDatabase = async (userId, attributes = ['id', 'role', 'pe
   return null;
 };
 
+/**
+ * Permissions effectives d'un utilisateur hors requête HTTP
+ * (ex: flux iCal public, où seul le propriétaire du flux est connu)
+ * Rôle (clinic_roles) + permissions personnalisées, vide si l'utilisateur est inactif
+ * @param {string} userId - ID de l'utilisateur (users.id)
+ * @param {string} companyId - ID de la clinique
+ * @returns {Promise<string[]>}
+ */
+const getUserPermissions = async (userId, companyId) => {
+  const userResult = await findUserInCentralDatabase(userId);
+  if (!userResult || !userResult.user.is_active) {
+    return [];
+  }
+
+  const user = userResult.user;
+  const rolePermissions = await getPermissionsFromClinicRoles(companyId, user.role);
+  const customPermissions = user.permissions ? Object.keys(user.permissions) : [];
+  return [...new Set([...rolePermissions, ...customPermissions])];
+};
+
 /**
  * Middleware de vérification de permissions granulaires
  * @param {string|string[]} requiredPermissions - Permission(s) requise(s)
@@ -468,5 +488,6 @@ module.exports = {
   verifyCompanyContext,
   verifyResourceOwnership,
   verifyUserResourceAccess,
-  getPermissionsFromClinicRoles  // Export for use in routes that need async permission check
+  getPermissionsFromClinicRoles,  // Export for use in routes that need async permission check
+  getUserPermissions
 };
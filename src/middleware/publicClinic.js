@@ -0,0 +1,43 @@
+/**
+ * Public Clinic Resolution Middleware
+ *
+ * Purpose: Resolve the clinic database for PUBLIC routes (no authentication)
+ * from a :clinicId URL parameter. Used by webhooks and patient links
+ * (waitlist offers, ...) where there is no JWT to read the clinic from.
+ *
+ * Sets req.clinicDb and req.clinicId, or answers 404 'Unknown clinic'.
+ */
+
+const { getClinicConnection } = require('../config/connectionManager');
+const { logger } = require('../utils/logger');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Resolve the clinic database from the :clinicId URL parameter
+ */
+async function resolvePublicClinic(req, res, next) {
+  const { clinicId } = req.params;
+
+  if (!UUID_PATTERN.test(clinicId || '')) {
+    return res.status(404).json({ success: false, error: 'Unknown clinic' });
+  }
+
+  try {
+    req.clinicDb = await getClinicConnection(clinicId);
+    req.clinicId = clinicId;
+    next();
+  } catch (error) {
+    logger.warn('Public request for unknown clinic', {
+      clinicId,
+      path: req.originalUrl,
+      error: error.message
+    });
+    res.status(404).json({ success: false, error: 'Unknown clinic' });
+  }
+}
+
+module.exports = {
+  resolvePublicClinic,
+  UUID_PATTERN
+};
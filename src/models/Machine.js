@@ -36,6 +36,11 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING(200),
       allowNull: true,
     },
+    // Matched against products_services.required_machine_type (e.g. 'laser', 'cryo')
+    machine_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
     company_id: {
       type: DataTypes.UUID,
       allowNull: false
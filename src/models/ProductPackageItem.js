@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ProductPackageItem model factory
+ * Treatment included in a package (products_services.is_package) and its number of sessions
+ * @param {Sequelize} sequelize - Database Sequelize instance
+ */
+module.exports = (sequelize) => {
+  const ProductPackageItem = sequelize.define('ProductPackageItem', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+
+    // Foreign keys
+    package_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products_services',
+        key: 'id'
+      }
+    },
+    service_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'products_services',
+        key: 'id'
+      }
+    },
+
+    // Number of sessions of the treatment included in the package
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    // Timestamps
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    }
+  }, {
+    tableName: 'product_package_items',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      { fields: ['service_id'] },
+      {
+        fields: ['package_id', 'service_id'],
+        unique: true
+      }
+    ]
+  });
+
+  return ProductPackageItem;
+};
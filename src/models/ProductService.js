@@ -161,12 +161,48 @@ module.exports = (sequelize) => {
       defaultValue: false,
     },
 
+    // Can patients book this treatment through the public online booking
+    bookable_online: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+
+    // Minimum delay between online booking and appointment (minutes, null = clinic default)
+    online_min_lead_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+
     // Machine type required (will reference machine_types table)
     machine_type_id: {
       type: DataTypes.UUID,
       allowNull: true,
     },
 
+    // Resource requirements used by the planning slot search
+    // Room type the treatment takes place in (any active room of this type with free capacity)
+    required_room_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+
+    // Machine type required (any active machine of this type, instead of the linked machines)
+    required_machine_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+
+    // An assistant must be free for the whole treatment
+    requires_assistant: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+
     // === Family/Variant support ===
 
     // Parent item ID for variants (self-reference)
@@ -191,6 +227,24 @@ module.exports = (sequelize) => {
       defaultValue: false,
     },
 
+    // === Package support ===
+
+    // True if this item is a prepaid bundle of treatments (see product_package_items)
+    is_package: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+
+    // Validity of the credits from the purchase (days, null = no expiry)
+    package_validity_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+
     created_at: {
       type: DataTypes.DATE,
       defaultValue: DataTypes.NOW,
@@ -237,6 +291,7 @@ module.exports = (sequelize) => {
   // ProductService ↔ Category (many-to-many through product_categories)
   // ProductService ↔ Tag (many-to-many through product_tags)
   // ProductService → ProductService (self-reference for family/variants)
+  // ProductService → ProductPackageItem (treatments included in a package)
 
   return ProductService;
 };
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Room model factory
+ * Treatment rooms that can host several appointments at the same time (capacity)
+ * @param {Sequelize} sequelize - Clinic database Sequelize instance
+ */
+module.exports = (sequelize) => {
+  const Room = sequelize.define('Room', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    // Matched against products_services.required_room_type (e.g. 'infusion', 'laser')
+    room_type: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+    },
+    // Number of appointments the room can host simultaneously (chairs, beds)
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    color: {
+      type: DataTypes.STRING(7),
+      allowNull: true,
+      defaultValue: '#10B981',
+      validate: {
+        is: /^#[0-9A-Fa-f]{6}$/
+      }
+    },
+    location: {
+      type: DataTypes.STRING(200),
+      allowNull: true,
+    },
+    company_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      defaultValue: DataTypes.NOW,
+    }
+  }, {
+    tableName: 'rooms',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+    indexes: [
+      {
+        fields: ['company_id']
+      },
+      {
+        fields: ['room_type']
+      }
+    ]
+  });
+
+  return Room;
+};
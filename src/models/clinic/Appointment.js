@@ -74,7 +74,18 @@ function createAppointmentModel(clinicDb) {
       onDelete: 'SET NULL'
     },
 
-    // Assistant/operator (informational)
+    // Room for treatment appointments (rooms can host several appointments, see capacity)
+    room_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'rooms',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+
+    // Assistant/operator (blocking when the treatment requires an assistant)
     assistant_id: {
       type: DataTypes.UUID,
       allowNull: true,
@@ -251,6 +262,27 @@ function createAppointmentModel(clinicDb) {
       allowNull: true
     },
 
+    // Recurring series
+    series_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'appointment_series',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    series_index: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Occurrence edited individually ("this occurrence")
+    series_modified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+
     // Workflow fields
     quote_id: {
       type: DataTypes.UUID,
@@ -288,6 +320,13 @@ function createAppointmentModel(clinicDb) {
       validate: {
         isIn: [['pending', 'partial', 'sent', 'signed', 'not_required', 'missing_association']]
       }
+    },
+
+    // iCalendar SEQUENCE (bumped on reschedule / cancellation, see beforeUpdate)
+    ical_sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
     }
   }, {
     tableName: 'appointments',
@@ -303,8 +342,12 @@ function createAppointmentModel(clinicDb) {
       { fields: ['appointment_number'], unique: true },
       // Index for machine + date (treatment appointments)
       { fields: ['machine_id', 'appointment_date'] },
+      // Index for room + date (room capacity)
+      { fields: ['room_id', 'appointment_date'] },
       // Index for linked appointments (multi-treatment sessions)
       { fields: ['linked_appointment_id'] },
+      // Index for recurring series
+      { fields: ['series_id', 'appointment_date'] },
       // Workflow indexes
       { fields: ['quote_id'] },
       { fields: ['invoice_id'] },
@@ -328,10 +371,21 @@ function createAppointmentModel(clinicDb) {
             throw new Error('End time must be after start time');
           }
         }
+      },
+      beforeUpdate: (appointment) => {
+        // Calendar clients only apply an update carrying a higher SEQUENCE
+        const rescheduled = Appointment.CALENDAR_FIELDS.some(field => appointment.changed(field));
+        const cancelled = appointment.changed('status') && appointment.status === 'cancelled';
+        if ((rescheduled || cancelled) && !appointment.changed('ical_sequence')) {
+          appointment.ical_sequence = (appointment.ical_sequence || 0) + 1;
+        }
       }
     }
   });
 
+  // Fields shown in calendar events (a change bumps ical_sequence)
+  Appointment.CALENDAR_FIELDS = ['appointment_date', 'start_time', 'end_time', 'provider_id', 'service_id'];
+
   // Instance methods
   Appointment.prototype.getDateTime = function() {
     return `${this.appointment_date} ${this.start_time}`;
@@ -475,7 +529,7 @@ function createAppointmentModel(clinicDb) {
     const where = {
       provider_id: providerId,
       appointment_date: date,
-      status: { [Op.ne]: 'cancelled' },
+      status: { [Op.notIn]: ['cancelled', 'no_show'] },
       [Op.or]: [
         // New appointment starts during existing appointment
         {
@@ -515,7 +569,7 @@ function createAppointmentModel(clinicDb) {
     const where = {
       machine_id: machineId,
       appointment_date: date,
-      status: { [Op.ne]: 'cancelled' },
+      status: { [Op.notIn]: ['cancelled', 'no_show'] },
       [Op.or]: [
         // New appointment starts during existing appointment
         {
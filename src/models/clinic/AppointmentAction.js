@@ -4,6 +4,7 @@
  * Tracks automated actions triggered by appointment state transitions:
  * - confirmation_email: Send confirmation email 24h before
  * - whatsapp_reminder: Send WhatsApp reminder
+ * - sms_reminder: Send SMS reminder
  * - send_quote: Generate and send quote
  * - send_consent: Send consent forms for signing
  * - prepare_invoice: Create invoice draft
@@ -20,6 +21,7 @@ const { DataTypes, Op } = require('sequelize');
 const ACTION_TYPES = {
   CONFIRMATION_EMAIL: 'confirmation_email',
   WHATSAPP_REMINDER: 'whatsapp_reminder',
+  SMS_REMINDER: 'sms_reminder',
   SEND_QUOTE: 'send_quote',
   SEND_CONSENT: 'send_consent',
   PREPARE_INVOICE: 'prepare_invoice'
@@ -236,6 +238,22 @@ function createAppointmentActionModel(clinicDb) {
     return await this.save();
   };
 
+  /**
+   * Append a message delivery result to result_data.deliveries
+   * @param {object} delivery - { channel, templateType, to, provider, messageId, status, success, error }
+   */
+  AppointmentAction.prototype.recordDelivery = async function(delivery) {
+    const resultData = this.result_data || {};
+    const deliveries = Array.isArray(resultData.deliveries) ? resultData.deliveries : [];
+
+    this.result_data = {
+      ...resultData,
+      deliveries: [...deliveries, { ...delivery, recordedAt: new Date().toISOString() }]
+    };
+    this.changed('result_data', true);
+    return await this.save();
+  };
+
   /**
    * Check if action can be executed
    */
@@ -0,0 +1,155 @@
+/**
+ * Clinic AppointmentSeries Model
+ *
+ * Recurring appointment series (weekly physiotherapy, monthly laser sessions...):
+ * - Recurrence rule (RRULE subset: daily/weekly/monthly, count/until)
+ * - Exceptions (dates removed from the series)
+ *
+ * Each occurrence is a regular Appointment with series_id / series_index.
+ *
+ * This model is used ONLY with clinic-specific databases (medicalpro_clinic_*)
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+const { formatRRule, addDays } = require('../../utils/recurrence');
+
+/**
+ * Series status enum
+ */
+const SERIES_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Create AppointmentSeries model for a clinic database
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @returns {Model} AppointmentSeries model configured for the clinic database
+ */
+function createAppointmentSeriesModel(clinicDb) {
+  const AppointmentSeries = ClinicBaseModel.create(clinicDb, 'AppointmentSeries', {
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    // Recurrence rule
+    rrule: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    frequency: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['daily', 'weekly', 'monthly']]
+      }
+    },
+    interval: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    by_weekday: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    occurrence_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    until_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    exceptions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: SERIES_STATUS.ACTIVE,
+      validate: {
+        isIn: [Object.values(SERIES_STATUS)]
+      }
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'appointment_series',
+    indexes: [
+      { fields: ['patient_id'] },
+      { fields: ['status'] }
+    ]
+  });
+
+  // Instance methods
+
+  /**
+   * Recurrence object (as used by utils/recurrence)
+   */
+  AppointmentSeries.prototype.getRecurrence = function() {
+    const recurrence = {
+      frequency: this.frequency,
+      interval: this.interval
+    };
+    if (this.by_weekday && this.by_weekday.length > 0) recurrence.byWeekday = this.by_weekday;
+    if (this.occurrence_count) recurrence.count = this.occurrence_count;
+    if (this.until_date) recurrence.until = this.until_date;
+    return recurrence;
+  };
+
+  /**
+   * Remove a date from the series
+   * @param {string} date - YYYY-MM-DD
+   */
+  AppointmentSeries.prototype.addException = async function(date, options = {}) {
+    const exceptions = this.exceptions || [];
+    if (!exceptions.includes(date)) {
+      this.exceptions = [...exceptions, date].sort();
+    }
+    return await this.save(options);
+  };
+
+  /**
+   * End the series the day before the given date ("this and following")
+   * @param {string} date - YYYY-MM-DD, first date no longer in the series
+   */
+  AppointmentSeries.prototype.endBefore = async function(date, options = {}) {
+    this.until_date = addDays(date, -1);
+    // UNTIL replaces COUNT so the rule stays consistent with the remaining occurrences
+    this.occurrence_count = null;
+    this.rrule = formatRRule(this.getRecurrence());
+    return await this.save(options);
+  };
+
+  /**
+   * Cancel the whole series
+   */
+  AppointmentSeries.prototype.cancel = async function(options = {}) {
+    this.status = SERIES_STATUS.CANCELLED;
+    return await this.save(options);
+  };
+
+  // Attach enums to model
+  AppointmentSeries.SERIES_STATUS = SERIES_STATUS;
+
+  return AppointmentSeries;
+}
+
+module.exports = createAppointmentSeriesModel;
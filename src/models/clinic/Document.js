@@ -10,6 +10,19 @@
 const ClinicBaseModel = require('../../base/ClinicBaseModel');
 const { DataTypes } = require('sequelize');
 
+// Invoice content frozen once issued (payment tracking and status stay writable)
+const FISCAL_FIELDS = [
+  'document_type', 'document_number', 'prefix', 'issue_date', 'currency',
+  'seller_name', 'seller_address', 'seller_siren', 'seller_vat_number',
+  'buyer_name', 'buyer_address', 'buyer_siren', 'buyer_vat_number',
+  'subtotal', 'discount_type', 'discount_value', 'discount_amount',
+  'tax_amount', 'tax_details', 'total', 'converted_from_id', 'deleted_at',
+  'third_party_mode', 'amo_total', 'amc_total', 'patient_share_total', 'insurance_details'
+];
+const IMMUTABLE_TYPES = ['invoice', 'credit_note'];
+// none: the patient pays everything, amo: the mandatory insurer pays its share, amo_amc: both insurers do
+const THIRD_PARTY_MODES = ['none', 'amo', 'amo_amc'];
+
 function createDocumentModel(clinicDb) {
   const Document = ClinicBaseModel.create(clinicDb, 'Document', {
     facility_id: {
@@ -167,6 +180,14 @@ function createDocumentModel(clinicDb) {
       onDelete: 'SET NULL'
     },
 
+    // -- Dunning (overdue invoices, see dunningService) --
+    // Key of the last dunning step sent (billing_settings.dunning.steps[].key)
+    dunning_step: { type: DataTypes.STRING(30), allowNull: true },
+    last_dunning_at: { type: DataTypes.DATE, allowNull: true },
+    dunning_stopped_at: { type: DataTypes.DATE, allowNull: true },
+    // payment, manual
+    dunning_stop_reason: { type: DataTypes.STRING(20), allowNull: true },
+
     // -- Notes --
     notes: { type: DataTypes.TEXT, allowNull: true },
     terms: { type: DataTypes.TEXT, allowNull: true },
@@ -178,6 +199,20 @@ function createDocumentModel(clinicDb) {
     facturx_profile: { type: DataTypes.STRING(30), allowNull: true },
     facturx_xml: { type: DataTypes.TEXT, allowNull: true },
 
+    // -- French health insurance (optional) --
+    // Tiers payant: the insurers pay their share directly to the clinic
+    third_party_mode: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'none',
+      validate: { isIn: [THIRD_PARTY_MODES] }
+    },
+    amo_total: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+    amc_total: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+    patient_share_total: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+    // { socialSecurity, coverageType, amoRate, amcCoverage, amoInsurer: { name, code }, amcInsurer: { name, code, memberNumber } }
+    insurance_details: { type: DataTypes.JSONB, allowNull: true },
+
     // -- Medical extensions (optional) --
     patient_id: {
       type: DataTypes.UUID,
@@ -216,7 +251,18 @@ function createDocumentModel(clinicDb) {
       { fields: ['deleted_at'] },
       { fields: ['converted_from_id'] },
       { fields: ['converted_to_id'] }
-    ]
+    ],
+    hooks: {
+      beforeUpdate: (doc) => {
+        if (!IMMUTABLE_TYPES.includes(doc.previous('document_type')) || doc.previous('status') === 'draft') {
+          return;
+        }
+        const changed = (doc.changed() || []).filter(field => FISCAL_FIELDS.includes(field));
+        if (changed.length > 0) {
+          throw new Error(`Issued ${doc.previous('document_type')} cannot be modified (${changed.join(', ')})`);
+        }
+      }
+    }
   });
 
   // -- Instance methods --
@@ -238,6 +284,10 @@ function createDocumentModel(clinicDb) {
     return this.deleted_at !== null;
   };
 
+  Document.prototype.isIssued = function () {
+    return IMMUTABLE_TYPES.includes(this.document_type) && this.status !== 'draft';
+  };
+
   // -- Static methods --
 
   Document.findActive = async function (options = {}) {
@@ -247,7 +297,14 @@ function createDocumentModel(clinicDb) {
     });
   };
 
+  // -- Constants --
+
+  Document.FISCAL_FIELDS = FISCAL_FIELDS;
+  Document.THIRD_PARTY_MODES = THIRD_PARTY_MODES;
+
   return Document;
 }
 
 module.exports = createDocumentModel;
+module.exports.FISCAL_FIELDS = FISCAL_FIELDS;
+module.exports.THIRD_PARTY_MODES = THIRD_PARTY_MODES;
@@ -0,0 +1,93 @@
+/**
+ * Clinic DocumentDunningNotice Model — Reminder sent for an overdue invoice
+ *
+ * One row per dunning step of the clinic settings (billing_settings.dunning)
+ * sent for an invoice: a friendly reminder email, then a formal notice
+ * (mise en demeure) claiming late penalties and the recovery indemnity.
+ * The amounts are those claimed on the day the notice went out, so the
+ * formal notice PDF can be printed again as it was sent (see dunningService).
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+const NOTICE_TYPES = ['reminder', 'formal_notice'];
+
+// email: queued in the message outbox, manual: no address, to be printed and posted
+const DELIVERY_MODES = ['email', 'manual'];
+
+function createDocumentDunningNoticeModel(clinicDb) {
+  const DocumentDunningNotice = ClinicBaseModel.create(clinicDb, 'DocumentDunningNotice', {
+    facility_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'medical_facilities', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    document_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'documents', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+
+    step_key: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    notice_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: { isIn: [NOTICE_TYPES] }
+    },
+    days_overdue: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+
+    amount_due: { type: DataTypes.DECIMAL(12, 2), allowNull: false },
+    late_penalty_rate: { type: DataTypes.DECIMAL(5, 2), allowNull: true },
+    late_penalties: { type: DataTypes.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+    recovery_indemnity: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+    total_claimed: { type: DataTypes.DECIMAL(12, 2), allowNull: false },
+    payment_deadline: { type: DataTypes.DATEONLY, allowNull: true },
+
+    delivery: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      validate: { isIn: [DELIVERY_MODES] }
+    },
+    recipient: { type: DataTypes.STRING(255), allowNull: true },
+    message_outbox_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'message_outbox', key: 'id' },
+      onDelete: 'SET NULL'
+    },
+    // NULL when sent by the scheduler
+    created_by: { type: DataTypes.UUID, allowNull: true }
+  }, {
+    tableName: 'document_dunning_notices',
+    indexes: [
+      { unique: true, fields: ['document_id', 'step_key'] },
+      { fields: ['facility_id', 'created_at'] }
+    ]
+  });
+
+  // -- Instance methods --
+
+  DocumentDunningNotice.prototype.isFormalNotice = function () {
+    return this.notice_type === 'formal_notice';
+  };
+
+  // -- Constants --
+
+  DocumentDunningNotice.NOTICE_TYPES = NOTICE_TYPES;
+  DocumentDunningNotice.DELIVERY_MODES = DELIVERY_MODES;
+
+  return DocumentDunningNotice;
+}
+
+module.exports = createDocumentDunningNoticeModel;
+module.exports.NOTICE_TYPES = NOTICE_TYPES;
+module.exports.DELIVERY_MODES = DELIVERY_MODES;
@@ -7,6 +7,9 @@
 const ClinicBaseModel = require('../../base/ClinicBaseModel');
 const { DataTypes } = require('sequelize');
 
+// CCAM: classification commune des actes médicaux, NGAP: nomenclature générale des actes professionnels
+const ACT_CODE_SYSTEMS = ['CCAM', 'NGAP'];
+
 function createDocumentItemModel(clinicDb) {
   const DocumentItem = ClinicBaseModel.create(clinicDb, 'DocumentItem', {
     document_id: {
@@ -69,6 +72,23 @@ function createDocumentItemModel(clinicDb) {
       defaultValue: 0
     },
 
+    // French health insurance (optional): acte code and reimbursement split
+    act_code: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    act_code_system: {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+      validate: { isIn: [ACT_CODE_SYSTEMS] }
+    },
+    // Base de remboursement per unit (tarif de convention)
+    reimbursement_base: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+    amo_rate: { type: DataTypes.DECIMAL(5, 2), allowNull: true },
+    amo_amount: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+    amc_amount: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+    patient_amount: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+
     // Catalog reference (optional)
     product_service_id: {
       type: DataTypes.UUID,
@@ -87,7 +107,12 @@ function createDocumentItemModel(clinicDb) {
     ]
   });
 
+  // -- Constants --
+
+  DocumentItem.ACT_CODE_SYSTEMS = ACT_CODE_SYSTEMS;
+
   return DocumentItem;
 }
 
 module.exports = createDocumentItemModel;
+module.exports.ACT_CODE_SYSTEMS = ACT_CODE_SYSTEMS;
@@ -0,0 +1,82 @@
+/**
+ * Clinic DocumentPayerShare Model — Part of an invoice payable by a third-party payer
+ *
+ * Set on the draft invoice (documentService.createDocument / updateDocument)
+ * and frozen once it is issued. Payer payments are ledger rows
+ * (document_payments.payer_share_id): amount_paid and the status are derived
+ * from them (see documentService.recomputePayerShareTotals).
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+const SHARE_STATUS = {
+  OPEN: 'open',
+  PARTIAL: 'partial',
+  PAID: 'paid'
+};
+
+function createDocumentPayerShareModel(clinicDb) {
+  const DocumentPayerShare = ClinicBaseModel.create(clinicDb, 'DocumentPayerShare', {
+    facility_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'medical_facilities', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    document_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'documents', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    payer_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'payers', key: 'id' }
+    },
+
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: { min: 0.01 }
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    status: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: SHARE_STATUS.OPEN,
+      validate: { isIn: [Object.values(SHARE_STATUS)] }
+    },
+    // Purchase order, agreement or authorisation number given by the payer
+    reference: { type: DataTypes.STRING(100), allowNull: true },
+    settled_at: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'document_payer_shares',
+    indexes: [
+      { unique: true, fields: ['document_id', 'payer_id'] },
+      { fields: ['payer_id', 'status'] },
+      { fields: ['facility_id', 'status'] }
+    ]
+  });
+
+  // -- Instance methods --
+
+  DocumentPayerShare.prototype.getOutstanding = function () {
+    const outstanding = (parseFloat(this.amount) || 0) - (parseFloat(this.amount_paid) || 0);
+    return Math.max(0, Math.round(outstanding * 100) / 100);
+  };
+
+  // -- Constants --
+
+  DocumentPayerShare.SHARE_STATUS = SHARE_STATUS;
+
+  return DocumentPayerShare;
+}
+
+module.exports = createDocumentPayerShareModel;
+module.exports.SHARE_STATUS = SHARE_STATUS;
@@ -0,0 +1,128 @@
+/**
+ * Clinic DocumentPayment Model — Payment ledger of billing documents
+ *
+ * One row per payment received on an invoice (payment) or paid back on a
+ * credit note (refund). Rows are never deleted: a wrong entry is voided and
+ * stays in the history. documents.amount_paid / amount_due are derived from
+ * the non-voided rows (see documentService.recomputePaymentTotals).
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+const PAYMENT_TYPES = ['payment', 'refund'];
+const PAYMENT_METHODS = ['card', 'cash', 'check', 'transfer', 'direct_debit', 'other'];
+const PAYER_TYPES = ['patient', 'insurer', 'other'];
+
+function createDocumentPaymentModel(clinicDb) {
+  const DocumentPayment = ClinicBaseModel.create(clinicDb, 'DocumentPayment', {
+    document_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'documents', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    facility_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'medical_facilities', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+
+    payment_type: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'payment',
+      validate: { isIn: [PAYMENT_TYPES] }
+    },
+    payment_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: { min: 0.01 }
+    },
+    payment_method: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      validate: { isIn: [PAYMENT_METHODS] }
+    },
+    // Cheque number, card receipt, transfer reference...
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    payer_type: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'patient',
+      validate: { isIn: [PAYER_TYPES] }
+    },
+    payer_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Till session the payment was taken in (front desk), see TillSession
+    till_session_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'till_sessions', key: 'id' }
+    },
+
+    // Tiers-payant claim settled by an insurer payment, see InsuranceClaim
+    insurance_claim_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'insurance_claims', key: 'id' }
+    },
+
+    // Share of a third-party payer settled by this payment, see DocumentPayerShare
+    payer_share_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'document_payer_shares', key: 'id' }
+    },
+
+    // -- Traceability --
+    recorded_by: { type: DataTypes.UUID, allowNull: true },
+    voided_at: { type: DataTypes.DATE, allowNull: true },
+    voided_by: { type: DataTypes.UUID, allowNull: true },
+    void_reason: { type: DataTypes.TEXT, allowNull: true }
+  }, {
+    tableName: 'document_payments',
+    indexes: [
+      { fields: ['document_id'] },
+      { fields: ['facility_id', 'payment_date'] },
+      { fields: ['till_session_id'] },
+      { fields: ['insurance_claim_id'] },
+      { fields: ['payer_share_id'] }
+    ]
+  });
+
+  // -- Instance methods --
+
+  DocumentPayment.prototype.isVoided = function () {
+    return this.voided_at !== null && this.voided_at !== undefined;
+  };
+
+  // -- Constants --
+
+  DocumentPayment.PAYMENT_TYPES = PAYMENT_TYPES;
+  DocumentPayment.PAYMENT_METHODS = PAYMENT_METHODS;
+  DocumentPayment.PAYER_TYPES = PAYER_TYPES;
+
+  return DocumentPayment;
+}
+
+module.exports = createDocumentPaymentModel;
+module.exports.PAYMENT_TYPES = PAYMENT_TYPES;
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
+module.exports.PAYER_TYPES = PAYER_TYPES;
@@ -33,6 +33,12 @@ function createDocumentSequenceModel(clinicDb) {
       type: DataTypes.INTEGER,
       allowNull: false,
       defaultValue: 0
+    },
+    // Fiscal number of the last issued invoice / credit note of the series (assigned on issue)
+    last_issued_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
     }
   }, {
     tableName: 'document_sequences',
@@ -0,0 +1,259 @@
+/**
+ * Clinic InboundMessage Model
+ *
+ * Patient replies received through the public messaging webhooks
+ * (SMS, WhatsApp, email). Each message is interpreted (confirm / cancel),
+ * matched to an appointment and kept as an audit trail. Messages that
+ * cannot be matched stay in the reception inbox (status 'unmatched').
+ *
+ * This model is used ONLY with clinic-specific databases (medicalpro_clinic_*)
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes, Op } = require('sequelize');
+
+/**
+ * Inbound channel enum
+ */
+const INBOUND_CHANNELS = {
+  SMS: 'sms',
+  WHATSAPP: 'whatsapp',
+  EMAIL: 'email'
+};
+
+/**
+ * Intent enum
+ */
+const INTENTS = {
+  CONFIRM: 'confirm',
+  CANCEL: 'cancel',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Processing status enum
+ */
+const INBOUND_STATUS = {
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  UNMATCHED: 'unmatched',
+  FAILED: 'failed',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed'
+};
+
+/**
+ * Match method enum
+ */
+const MATCH_METHODS = {
+  TOKEN: 'token',
+  PHONE: 'phone',
+  EMAIL: 'email',
+  MANUAL: 'manual'
+};
+
+/**
+ * Create InboundMessage model for a clinic database
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @returns {Model} InboundMessage model configured for the clinic database
+ */
+function createInboundMessageModel(clinicDb) {
+  const InboundMessage = ClinicBaseModel.create(clinicDb, 'InboundMessage', {
+    // Origin
+    channel: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [Object.values(INBOUND_CHANNELS)]
+      }
+    },
+    from_address: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    to_address: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    subject: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    provider_message_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+
+    // Interpretation
+    intent: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: INTENTS.UNKNOWN,
+      validate: {
+        isIn: [Object.values(INTENTS)]
+      }
+    },
+
+    // Matching
+    appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    match_method: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: {
+        isIn: [Object.values(MATCH_METHODS)]
+      }
+    },
+
+    // Processing
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: INBOUND_STATUS.RECEIVED,
+      validate: {
+        isIn: [Object.values(INBOUND_STATUS)]
+      }
+    },
+    processing_result: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Manual handling
+    handled_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    handled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    handling_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    raw_payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'inbound_messages',
+    indexes: [
+      { fields: ['status'] },
+      { fields: ['appointment_id'] },
+      { fields: ['received_at'] }
+    ]
+  });
+
+  // Instance methods
+
+  /**
+   * Mark message as processed (appointment transition applied)
+   */
+  InboundMessage.prototype.markProcessed = async function(result = {}) {
+    this.status = INBOUND_STATUS.PROCESSED;
+    this.processing_result = { ...this.processing_result, ...result };
+    return await this.save();
+  };
+
+  /**
+   * Mark message as unmatched (goes to reception inbox)
+   */
+  InboundMessage.prototype.markUnmatched = async function(reason) {
+    this.status = INBOUND_STATUS.UNMATCHED;
+    this.processing_result = { ...this.processing_result, reason };
+    return await this.save();
+  };
+
+  /**
+   * Mark message as failed
+   */
+  InboundMessage.prototype.markFailed = async function(error) {
+    this.status = INBOUND_STATUS.FAILED;
+    this.error_message = error.message || String(error);
+    return await this.save();
+  };
+
+  /**
+   * Close an inbox message manually
+   */
+  InboundMessage.prototype.handle = async function(status, userId, note) {
+    this.status = status;
+    this.handled_by = userId;
+    this.handled_at = new Date();
+    if (note) {
+      this.handling_note = note;
+    }
+    return await this.save();
+  };
+
+  /**
+   * Check whether the message still needs reception staff attention
+   */
+  InboundMessage.prototype.needsAttention = function() {
+    return [INBOUND_STATUS.UNMATCHED, INBOUND_STATUS.FAILED].includes(this.status);
+  };
+
+  // Static methods
+
+  /**
+   * Find messages waiting in the reception inbox
+   */
+  InboundMessage.findInbox = async function(options = {}) {
+    return await this.findAll({
+      where: {
+        status: { [Op.in]: [INBOUND_STATUS.UNMATCHED, INBOUND_STATUS.FAILED] },
+        ...options.where
+      },
+      order: [['received_at', 'DESC']],
+      limit: options.limit || 100
+    });
+  };
+
+  /**
+   * Find a message already stored for a provider message id (webhook retries)
+   */
+  InboundMessage.findByProviderMessageId = async function(provider, providerMessageId) {
+    if (!providerMessageId) return null;
+    return await this.findOne({
+      where: { provider, provider_message_id: providerMessageId }
+    });
+  };
+
+  // Attach enums to model
+  InboundMessage.INBOUND_CHANNELS = INBOUND_CHANNELS;
+  InboundMessage.INTENTS = INTENTS;
+  InboundMessage.INBOUND_STATUS = INBOUND_STATUS;
+  InboundMessage.MATCH_METHODS = MATCH_METHODS;
+
+  return InboundMessage;
+}
+
+module.exports = createInboundMessageModel;
@@ -0,0 +1,98 @@
+/**
+ * Clinic InsuranceClaim Model — Tiers-payant receivable (France)
+ *
+ * When an invoice is issued in tiers payant, the share of each insurer (AMO:
+ * mandatory health insurance, AMC: complementary insurance) becomes a claim
+ * the clinic collects from that insurer. Insurer payments are ledger rows
+ * (document_payments.insurance_claim_id): amount_paid and the status are
+ * derived from them (see documentService.recomputeClaimTotals).
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+const INSURER_TYPES = ['amo', 'amc'];
+
+const CLAIM_STATUS = {
+  OPEN: 'open',
+  PARTIAL: 'partial',
+  PAID: 'paid',
+  REJECTED: 'rejected'
+};
+
+function createInsuranceClaimModel(clinicDb) {
+  const InsuranceClaim = ClinicBaseModel.create(clinicDb, 'InsuranceClaim', {
+    facility_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'medical_facilities', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    document_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'documents', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+
+    insurer_type: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: { isIn: [INSURER_TYPES] }
+    },
+    insurer_name: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // Caisse code (AMO) or AMC organisation number
+    insurer_code: { type: DataTypes.STRING(20), allowNull: true },
+    // Membership number at the complementary insurer
+    member_number: { type: DataTypes.STRING(50), allowNull: true },
+
+    amount_claimed: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: { min: 0.01 }
+    },
+    amount_paid: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    status: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: CLAIM_STATUS.OPEN,
+      validate: { isIn: [Object.values(CLAIM_STATUS)] }
+    },
+    rejected_at: { type: DataTypes.DATE, allowNull: true },
+    rejection_reason: { type: DataTypes.TEXT, allowNull: true },
+    settled_at: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'insurance_claims',
+    indexes: [
+      { unique: true, fields: ['document_id', 'insurer_type'] },
+      { fields: ['facility_id', 'status'] },
+      { fields: ['facility_id', 'insurer_type', 'insurer_name'] }
+    ]
+  });
+
+  // -- Instance methods --
+
+  InsuranceClaim.prototype.getOutstanding = function () {
+    if (this.status === CLAIM_STATUS.REJECTED) return 0;
+    const outstanding = (parseFloat(this.amount_claimed) || 0) - (parseFloat(this.amount_paid) || 0);
+    return Math.max(0, Math.round(outstanding * 100) / 100);
+  };
+
+  // -- Constants --
+
+  InsuranceClaim.INSURER_TYPES = INSURER_TYPES;
+  InsuranceClaim.CLAIM_STATUS = CLAIM_STATUS;
+
+  return InsuranceClaim;
+}
+
+module.exports = createInsuranceClaimModel;
+module.exports.INSURER_TYPES = INSURER_TYPES;
+module.exports.CLAIM_STATUS = CLAIM_STATUS;
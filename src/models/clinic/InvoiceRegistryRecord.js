@@ -0,0 +1,152 @@
+/**
+ * Clinic InvoiceRegistryRecord Model — VeriFactu registry (Spain)
+ *
+ * One "alta" record per issued invoice / credit note. Each record carries the
+ * SHA-256 fingerprint (huella) of its content chained to the fingerprint of the
+ * previous record of the facility, so that any later change breaks the chain.
+ * Records are immutable except for their submission state to the AEAT, also
+ * enforced by a database trigger (clinic_077).
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+const SUBMISSION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  ACCEPTED_WITH_ERRORS: 'accepted_with_errors',
+  REJECTED: 'rejected'
+};
+
+// F1 invoice, F2 simplified invoice (buyer without tax id), R1 / R5 corrective invoices
+const INVOICE_TYPES = ['F1', 'F2', 'R1', 'R5'];
+
+// Columns the submission to the AEAT is allowed to update
+const SUBMISSION_FIELDS = [
+  'submission_status',
+  'submission_batch_id',
+  'submitted_at',
+  'submission_code',
+  'submission_errors',
+  'updated_at'
+];
+
+function createInvoiceRegistryRecordModel(clinicDb) {
+  const InvoiceRegistryRecord = ClinicBaseModel.create(clinicDb, 'InvoiceRegistryRecord', {
+    facility_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'medical_facilities', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    document_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'documents', key: 'id' },
+      onDelete: 'RESTRICT'
+    },
+
+    // Position in the facility chain (1 = PrimerRegistro)
+    chain_sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: { min: 1 }
+    },
+    record_type: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'alta',
+      validate: { isIn: [['alta']] }
+    },
+
+    issuer_nif: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    invoice_number: {
+      type: DataTypes.STRING(60),
+      allowNull: false
+    },
+    invoice_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    invoice_type: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      validate: { isIn: [INVOICE_TYPES] }
+    },
+    // Signed amounts as registered (negative for credit notes)
+    tax_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    grand_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+
+    // -- Chaining --
+    previous_record_id: { type: DataTypes.UUID, allowNull: true },
+    previous_hash: { type: DataTypes.STRING(64), allowNull: true },
+    // FechaHoraHusoGenRegistro exactly as hashed (ISO 8601 with offset)
+    generated_at: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // Full RegistroAlta content, replayed as-is in the XML exports
+    record_data: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+
+    // -- Submission to the AEAT --
+    submission_status: {
+      type: DataTypes.STRING(25),
+      allowNull: false,
+      defaultValue: SUBMISSION_STATUS.PENDING,
+      validate: { isIn: [Object.values(SUBMISSION_STATUS)] }
+    },
+    submission_batch_id: { type: DataTypes.STRING(64), allowNull: true },
+    submitted_at: { type: DataTypes.DATE, allowNull: true },
+    submission_code: { type: DataTypes.STRING(100), allowNull: true },
+    // [{ code, message }] returned by the AEAT for this record
+    submission_errors: { type: DataTypes.JSONB, allowNull: true }
+  }, {
+    tableName: 'invoice_registry_records',
+    indexes: [
+      { unique: true, fields: ['facility_id', 'chain_sequence'] },
+      { unique: true, fields: ['document_id', 'record_type'] },
+      { fields: ['facility_id', 'submission_status', 'chain_sequence'] }
+    ],
+    hooks: {
+      beforeUpdate: (record) => {
+        const changed = (record.changed() || []).filter(field => !SUBMISSION_FIELDS.includes(field));
+        if (changed.length > 0) {
+          throw new Error('Invoice registry records are immutable');
+        }
+      }
+    }
+  });
+
+  // -- Instance methods --
+
+  InvoiceRegistryRecord.prototype.isPending = function () {
+    return this.submission_status === SUBMISSION_STATUS.PENDING;
+  };
+
+  // -- Constants --
+
+  InvoiceRegistryRecord.SUBMISSION_STATUS = SUBMISSION_STATUS;
+  InvoiceRegistryRecord.INVOICE_TYPES = INVOICE_TYPES;
+
+  return InvoiceRegistryRecord;
+}
+
+module.exports = createInvoiceRegistryRecordModel;
+module.exports.SUBMISSION_STATUS = SUBMISSION_STATUS;
+module.exports.INVOICE_TYPES = INVOICE_TYPES;
@@ -0,0 +1,290 @@
+/**
+ * Clinic MessageOutbox Model
+ *
+ * Records every outgoing patient message (email, SMS, WhatsApp):
+ * - What was sent (channel, template, recipient, template data)
+ * - What it relates to (patient, appointment, document, consent request)
+ * - Delivery state (status, provider message id, attempts, last error)
+ *
+ * Failed sends are retried by the job scheduler with exponential backoff.
+ *
+ * This model is used ONLY with clinic-specific databases (medicalpro_clinic_*)
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes, Op, literal } = require('sequelize');
+
+/**
+ * Outbox status enum
+ */
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Backoff: 1 min, 2 min, 4 min... capped at 6 hours
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts already made
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempts) {
+  return Math.min(BACKOFF_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), BACKOFF_MAX_MS);
+}
+
+/**
+ * Create MessageOutbox model for a clinic database
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @returns {Model} MessageOutbox model configured for the clinic database
+ */
+function createMessageOutboxModel(clinicDb) {
+  const MessageOutbox = ClinicBaseModel.create(clinicDb, 'MessageOutbox', {
+    // What is sent
+    channel: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['email', 'sms', 'whatsapp']]
+      }
+    },
+    template_type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    recipient: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    recipient_name: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    language: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      defaultValue: 'fr'
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+
+    // Related entities
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    appointment_action_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    document_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    consent_request_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+
+    // Delivery
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: OUTBOX_STATUS.PENDING,
+      validate: {
+        isIn: [Object.values(OUTBOX_STATUS)]
+      }
+    },
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    provider_message_id: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      defaultValue: DataTypes.NOW
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    // Manual resend
+    resend_of: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'message_outbox',
+    indexes: [
+      { fields: ['status'] },
+      { fields: ['next_attempt_at'] },
+      { fields: ['patient_id'] },
+      { fields: ['appointment_id'] },
+      { fields: ['document_id'] },
+      { fields: ['consent_request_id'] }
+    ]
+  });
+
+  // Instance methods
+
+  /**
+   * Claim the message for one more attempt (status 'sending')
+   * Conditional update: only a pending message, or one queued for immediate
+   * delivery and not attempted yet, can be claimed, so a message picked up at
+   * the same time by a scheduler cycle and by the request that queued it is
+   * sent once.
+   * @returns {Promise<Model|null>} The entry, or null when it was claimed elsewhere
+   */
+  MessageOutbox.prototype.startAttempt = async function() {
+    const [count, rows] = await MessageOutbox.update(
+      { status: OUTBOX_STATUS.SENDING, attempts: literal('attempts + 1') },
+      {
+        where: {
+          id: this.id,
+          [Op.or]: [
+            { status: OUTBOX_STATUS.PENDING },
+            { status: OUTBOX_STATUS.SENDING, attempts: 0 }
+          ]
+        },
+        returning: true
+      }
+    );
+    if (count === 0) return null;
+
+    for (const field of ['status', 'attempts', 'updated_at']) {
+      this.setDataValue(field, rows[0].get(field));
+      this.changed(field, false);
+    }
+    return this;
+  };
+
+  /**
+   * Mark message as sent
+   * @param {object} result - Channel send result ({ provider, messageId })
+   */
+  MessageOutbox.prototype.markSent = async function(result = {}) {
+    this.status = OUTBOX_STATUS.SENT;
+    this.provider = result.provider || this.provider;
+    this.provider_message_id = result.messageId || null;
+    this.sent_at = new Date();
+    this.next_attempt_at = null;
+    this.last_error = null;
+    return await this.save();
+  };
+
+  /**
+   * Record a failed attempt
+   * Schedules a retry with exponential backoff unless attempts are exhausted
+   * or the error is permanent (e.g. missing recipient, channel not configured).
+   * @param {Error|string} error
+   * @param {object} options - { permanent, provider }
+   */
+  MessageOutbox.prototype.markAttemptFailed = async function(error, options = {}) {
+    this.last_error = error.message || String(error);
+    if (options.provider) {
+      this.provider = options.provider;
+    }
+
+    if (options.permanent || this.attempts >= this.max_attempts) {
+      this.status = OUTBOX_STATUS.FAILED;
+      this.next_attempt_at = null;
+    } else {
+      this.status = OUTBOX_STATUS.PENDING;
+      this.next_attempt_at = new Date(Date.now() + getBackoffDelay(this.attempts));
+    }
+
+    return await this.save();
+  };
+
+  /**
+   * Cancel a pending message
+   */
+  MessageOutbox.prototype.cancel = async function() {
+    this.status = OUTBOX_STATUS.CANCELLED;
+    this.next_attempt_at = null;
+    return await this.save();
+  };
+
+  /**
+   * Check if a retry is scheduled
+   */
+  MessageOutbox.prototype.isRetryScheduled = function() {
+    return this.status === OUTBOX_STATUS.PENDING && this.attempts > 0;
+  };
+
+  // Static methods
+
+  /**
+   * Find messages due for (re)delivery
+   */
+  MessageOutbox.findDue = async function(options = {}) {
+    return await this.findAll({
+      where: {
+        status: OUTBOX_STATUS.PENDING,
+        next_attempt_at: { [Op.lte]: new Date() },
+        ...options.where
+      },
+      order: [['next_attempt_at', 'ASC']],
+      limit: options.limit || 50
+    });
+  };
+
+  /**
+   * Reset messages stuck in 'sending' (process crashed mid-send)
+   */
+  MessageOutbox.releaseStale = async function(olderThanMinutes = 15) {
+    return await this.update(
+      { status: OUTBOX_STATUS.PENDING, next_attempt_at: new Date() },
+      {
+        where: {
+          status: OUTBOX_STATUS.SENDING,
+          updated_at: { [Op.lt]: new Date(Date.now() - olderThanMinutes * 60 * 1000) }
+        }
+      }
+    );
+  };
+
+  // Attach enums to model
+  MessageOutbox.OUTBOX_STATUS = OUTBOX_STATUS;
+  MessageOutbox.getBackoffDelay = getBackoffDelay;
+
+  return MessageOutbox;
+}
+
+module.exports = createMessageOutboxModel;
+module.exports.getBackoffDelay = getBackoffDelay;
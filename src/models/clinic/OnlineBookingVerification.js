@@ -0,0 +1,154 @@
+/**
+ * Clinic OnlineBookingVerification Model
+ *
+ * One-time code sent by email or SMS before a patient books online:
+ * - The code is only stored hashed (SHA-256 of token + code)
+ * - Limited number of attempts, short expiry
+ * - Once verified, the token authorizes ONE booking for the verified contact
+ *
+ * This model is used ONLY with clinic-specific databases (medicalpro_clinic_*)
+ */
+
+const crypto = require('crypto');
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+/**
+ * Verification channels
+ */
+const VERIFICATION_CHANNELS = ['email', 'sms'];
+
+/**
+ * Hash a code for a verification token
+ * @param {string} token - Verification token
+ * @param {string} code - Code sent to the patient
+ * @returns {string} Hex SHA-256
+ */
+function hashCode(token, code) {
+  return crypto.createHash('sha256').update(`${token}:${code}`).digest('hex');
+}
+
+/**
+ * Create OnlineBookingVerification model for a clinic database
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @returns {Model} OnlineBookingVerification model configured for the clinic database
+ */
+function createOnlineBookingVerificationModel(clinicDb) {
+  const OnlineBookingVerification = ClinicBaseModel.create(clinicDb, 'OnlineBookingVerification', {
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      defaultValue: () => crypto.randomBytes(32).toString('hex')
+    },
+    channel: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [VERIFICATION_CHANNELS]
+      }
+    },
+    contact: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Normalized email or phone'
+    },
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    consumed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'online_booking_verifications',
+    indexes: [
+      { fields: ['token'], unique: true },
+      { fields: ['channel', 'contact', 'created_at'] }
+    ]
+  });
+
+  // Instance methods
+
+  /**
+   * Set the code (hashed with the token)
+   * @param {string} code - Plain code
+   */
+  OnlineBookingVerification.prototype.setCode = function(code) {
+    this.code_hash = hashCode(this.token, code);
+  };
+
+  /**
+   * Compare a submitted code with the stored hash (constant time)
+   * @param {string} code - Submitted code
+   * @returns {boolean}
+   */
+  OnlineBookingVerification.prototype.matchesCode = function(code) {
+    const expected = Buffer.from(this.code_hash, 'hex');
+    const actual = Buffer.from(hashCode(this.token, String(code)), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  };
+
+  /**
+   * Check if the code has expired (only relevant before verification)
+   */
+  OnlineBookingVerification.prototype.isExpired = function() {
+    return new Date() >= new Date(this.expires_at);
+  };
+
+  /**
+   * Check if the verification can still be used to book
+   * @param {number} validityMinutes - How long a verified contact stays valid
+   */
+  OnlineBookingVerification.prototype.canBook = function(validityMinutes) {
+    if (!this.verified_at || this.consumed_at) {
+      return false;
+    }
+    return Date.now() - new Date(this.verified_at).getTime() < validityMinutes * 60 * 1000;
+  };
+
+  // Static methods
+
+  /**
+   * Find by token (for public access)
+   */
+  OnlineBookingVerification.findByToken = async function(token, options = {}) {
+    return await this.findOne({
+      where: { token },
+      ...options
+    });
+  };
+
+  // Attach enums to model
+  OnlineBookingVerification.VERIFICATION_CHANNELS = VERIFICATION_CHANNELS;
+
+  return OnlineBookingVerification;
+}
+
+module.exports = createOnlineBookingVerificationModel;
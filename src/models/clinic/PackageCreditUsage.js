@@ -0,0 +1,43 @@
+/**
+ * Clinic PackageCreditUsage Model — Package session used by an appointment
+ *
+ * Created when an appointment of the treatment is completed. Reversed (not
+ * deleted) when the appointment leaves the completed status, so the history
+ * of a package shows every session used and given back.
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+function createPackageCreditUsageModel(clinicDb) {
+  const PackageCreditUsage = ClinicBaseModel.create(clinicDb, 'PackageCreditUsage', {
+    credit_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'patient_package_credits', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'appointments', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    used_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    reversed_at: { type: DataTypes.DATE, allowNull: true }
+  }, {
+    tableName: 'package_credit_usages',
+    indexes: [
+      { fields: ['appointment_id'] },
+      { fields: ['credit_id'] }
+    ]
+  });
+
+  return PackageCreditUsage;
+}
+
+module.exports = createPackageCreditUsageModel;
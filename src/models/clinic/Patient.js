@@ -148,6 +148,12 @@ function createPatientModel(clinicDb) {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    // Used by the prescription safety checks (NULL = unknown)
+    pregnancy_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      validate: { isIn: [['pregnant', 'breastfeeding', 'none']] }
+    },
     current_medications: {
       type: DataTypes.TEXT,
       allowNull: true
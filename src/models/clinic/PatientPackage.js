@@ -0,0 +1,102 @@
+/**
+ * Clinic PatientPackage Model — Treatment package bought by a patient
+ *
+ * Granted when the invoice selling the package is issued (one row per
+ * invoice line, see packageService.grantInvoicePackages) and cancelled when a
+ * credit note refunding that line is issued. The sessions still
+ * available are its credits (PatientPackageCredit), used by completed
+ * appointments of the matching treatment. Expiry is read from expires_at:
+ * the status only records what happened to the package.
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+const PACKAGE_STATUS = {
+  ACTIVE: 'active',
+  EXHAUSTED: 'exhausted',
+  CANCELLED: 'cancelled'
+};
+
+function createPatientPackageModel(clinicDb) {
+  const PatientPackage = ClinicBaseModel.create(clinicDb, 'PatientPackage', {
+    facility_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'medical_facilities', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'patients', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    package_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'products_services', key: 'id' }
+    },
+    // Package title at the time of the sale
+    title: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+
+    // Invoice line that sold the package
+    document_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'documents', key: 'id' }
+    },
+    document_item_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'document_items', key: 'id' }
+    },
+
+    purchased_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    expires_at: { type: DataTypes.DATEONLY, allowNull: true },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: PACKAGE_STATUS.ACTIVE,
+      validate: { isIn: [Object.values(PACKAGE_STATUS)] }
+    },
+    cancelled_at: { type: DataTypes.DATE, allowNull: true },
+    cancel_reason: { type: DataTypes.TEXT, allowNull: true },
+    cancelled_by: { type: DataTypes.UUID, allowNull: true }
+  }, {
+    tableName: 'patient_packages',
+    indexes: [
+      { unique: true, fields: ['document_item_id'] },
+      { fields: ['patient_id', 'status'] }
+    ]
+  });
+
+  // -- Instance methods --
+
+  /**
+   * Expired on the given day (credits can no longer be used)
+   * @param {string} [day] - YYYY-MM-DD, today by default
+   */
+  PatientPackage.prototype.isExpired = function (day) {
+    if (!this.expires_at) return false;
+    const now = new Date();
+    const today = day || `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    return String(this.expires_at).slice(0, 10) < today;
+  };
+
+  // -- Constants --
+
+  PatientPackage.PACKAGE_STATUS = PACKAGE_STATUS;
+
+  return PatientPackage;
+}
+
+module.exports = createPatientPackageModel;
+module.exports.PACKAGE_STATUS = PACKAGE_STATUS;
@@ -0,0 +1,58 @@
+/**
+ * Clinic PatientPackageCredit Model — Sessions of a treatment in a bought package
+ *
+ * quantity_used follows the active usages (PackageCreditUsage) of the credit:
+ * it is incremented when an appointment of the treatment is completed and
+ * decremented when that appointment is no longer completed.
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+function createPatientPackageCreditModel(clinicDb) {
+  const PatientPackageCredit = ClinicBaseModel.create(clinicDb, 'PatientPackageCredit', {
+    patient_package_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'patient_packages', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+    service_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'products_services', key: 'id' }
+    },
+    // Treatment title at the time of the sale
+    service_title: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    quantity_total: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: { min: 1 }
+    },
+    quantity_used: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: { min: 0 }
+    }
+  }, {
+    tableName: 'patient_package_credits',
+    indexes: [
+      { unique: true, fields: ['patient_package_id', 'service_id'] },
+      { fields: ['service_id'] }
+    ]
+  });
+
+  // -- Instance methods --
+
+  PatientPackageCredit.prototype.getRemaining = function () {
+    return Math.max(0, (this.quantity_total || 0) - (this.quantity_used || 0));
+  };
+
+  return PatientPackageCredit;
+}
+
+module.exports = createPatientPackageCreditModel;
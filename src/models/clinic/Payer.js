@@ -0,0 +1,88 @@
+/**
+ * Clinic Payer Model — Third-party payer of invoices
+ *
+ * Insurers, mutuals, employers or public bodies an invoice can be (partly)
+ * billed to. The part of each payer is a DocumentPayerShare; what is left is
+ * due by the buyer of the invoice. Payers are deactivated, never deleted, so
+ * their receivable history stays readable.
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+const PAYER_TYPES = ['insurer', 'mutual', 'employer', 'public_body', 'other'];
+
+function createPayerModel(clinicDb) {
+  const Payer = ClinicBaseModel.create(clinicDb, 'Payer', {
+    facility_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'medical_facilities', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+
+    name: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: { len: [1, 255] }
+    },
+    payer_type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'other',
+      validate: { isIn: [PAYER_TYPES] }
+    },
+    // Caisse code, organisation number or internal account reference
+    code: { type: DataTypes.STRING(30), allowNull: true },
+    siren: { type: DataTypes.STRING(14), allowNull: true },
+    vat_number: { type: DataTypes.STRING(20), allowNull: true },
+    address: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: {}
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      validate: { isEmail: true }
+    },
+    phone: { type: DataTypes.STRING(20), allowNull: true },
+    contact_name: { type: DataTypes.STRING(255), allowNull: true },
+    // Payment delay granted to the payer (days after the invoice date)
+    payment_terms_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: { min: 0 }
+    },
+    notes: { type: DataTypes.TEXT, allowNull: true },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'payers',
+    indexes: [
+      { unique: true, fields: ['facility_id', 'name'] },
+      { fields: ['facility_id', 'is_active'] }
+    ]
+  });
+
+  // -- Instance methods --
+
+  /**
+   * payer_type of the ledger rows this payer pays (DocumentPayment.PAYER_TYPES)
+   */
+  Payer.prototype.getLedgerPayerType = function () {
+    return ['insurer', 'mutual'].includes(this.payer_type) ? 'insurer' : 'other';
+  };
+
+  // -- Constants --
+
+  Payer.PAYER_TYPES = PAYER_TYPES;
+
+  return Payer;
+}
+
+module.exports = createPayerModel;
+module.exports.PAYER_TYPES = PAYER_TYPES;
@@ -8,6 +8,8 @@
  * - Auto-generated prescription numbers (ORD-YYYY-MM-NNNN)
  * - Patient and provider snapshots for historical accuracy
  * - Print tracking and access logging
+ * - Verification token of the printed QR code
+ * - Renewals linked to the renewable prescription they consume
  * - Finalization workflow
  */
 
@@ -71,7 +73,7 @@ function createPrescriptionModel(clinicDb) {
       type: DataTypes.JSONB,
       allowNull: false,
       defaultValue: []
-      // Array of: { medication, dosage, frequency, route, duration, quantity, instructions }
+      // Array of: { medication, dosage, frequency, route, duration, quantity, instructions, ald }
     },
 
     // Instructions for pharmacist/patient
@@ -106,6 +108,21 @@ function createPrescriptionModel(clinicDb) {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    // Renewable prescription this one renews (see prescriptionRenewalService)
+    renewed_from_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'prescriptions',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    // Practitioner warned that the chronic treatment reaches valid_until
+    expiry_warning_sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
 
     // Snapshots for historical accuracy
     patient_snapshot: {
@@ -154,6 +171,14 @@ function createPrescriptionModel(clinicDb) {
       allowNull: true
     },
 
+    // Safety check outcome (see prescriptionSafetyService)
+    medication_warnings: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+      // [{ code, type, severity, blocking, medications, warning, recommendation, override: { reason, userId, at } }]
+    },
+
     // Status workflow
     status: {
       type: DataTypes.STRING(50),
@@ -183,6 +208,11 @@ function createPrescriptionModel(clinicDb) {
       type: DataTypes.DATE,
       allowNull: true
     },
+    // Secret of the verification QR code, set at the first print
+    verification_token: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
 
     // RGPD compliance
     access_log: {
@@ -201,7 +231,9 @@ function createPrescriptionModel(clinicDb) {
       { fields: ['medical_record_id'] },
       { fields: ['prescription_number'], unique: true },
       { fields: ['status'] },
-      { fields: ['prescribed_date'] }
+      { fields: ['prescribed_date'] },
+      { fields: ['verification_token'], unique: true },
+      { fields: ['renewed_from_id'] }
     ]
   });
 
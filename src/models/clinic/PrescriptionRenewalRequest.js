@@ -0,0 +1,143 @@
+/**
+ * Clinic PrescriptionRenewalRequest Model
+ *
+ * Renewal of a renewable prescription asked by the patient (link of the QR code
+ * printed on the prescription) or recorded by the staff (phone call, desk).
+ * The request waits in the prescriber's queue until it is approved (a renewal
+ * prescription is issued) or rejected.
+ *
+ * This model is used ONLY with clinic-specific databases (medicalpro_clinic_*)
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+/**
+ * Request status enum
+ */
+const REQUEST_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Who asked for the renewal
+ */
+const REQUEST_SOURCE = {
+  PATIENT: 'patient',
+  STAFF: 'staff'
+};
+
+/**
+ * Create PrescriptionRenewalRequest model for a clinic database
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @returns {Model} PrescriptionRenewalRequest model configured for the clinic database
+ */
+function createPrescriptionRenewalRequestModel(clinicDb) {
+  const PrescriptionRenewalRequest = ClinicBaseModel.create(clinicDb, 'PrescriptionRenewalRequest', {
+    prescription_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'prescriptions',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    // Prescriber of the renewable prescription (queue owner)
+    provider_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: REQUEST_STATUS.PENDING,
+      validate: {
+        isIn: [Object.values(REQUEST_STATUS)]
+      }
+    },
+    source: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: REQUEST_SOURCE.PATIENT,
+      validate: {
+        isIn: [Object.values(REQUEST_SOURCE)]
+      }
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Staff member who recorded the request (NULL when asked by the patient)
+    requested_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+
+    // Practitioner decision
+    reviewed_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    review_note: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    renewal_prescription_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'prescriptions',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    }
+  }, {
+    tableName: 'prescription_renewal_requests',
+    indexes: [
+      { fields: ['prescription_id'] },
+      { fields: ['patient_id'] },
+      { fields: ['status', 'provider_id', 'created_at'] }
+    ]
+  });
+
+  // Instance methods
+
+  /**
+   * Record the practitioner's decision
+   * @param {string} status - approved | rejected
+   * @param {object} review - { userId, note, renewalPrescriptionId }
+   */
+  PrescriptionRenewalRequest.prototype.close = async function(status, review = {}, options = {}) {
+    this.status = status;
+    this.reviewed_by = review.userId || null;
+    this.reviewed_at = new Date();
+    this.review_note = review.note || null;
+    this.renewal_prescription_id = review.renewalPrescriptionId || null;
+    return await this.save(options);
+  };
+
+  // Attach enums to model
+  PrescriptionRenewalRequest.REQUEST_STATUS = REQUEST_STATUS;
+  PrescriptionRenewalRequest.REQUEST_SOURCE = REQUEST_SOURCE;
+
+  return PrescriptionRenewalRequest;
+}
+
+module.exports = createPrescriptionRenewalRequestModel;
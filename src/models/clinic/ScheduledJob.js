@@ -70,6 +70,10 @@ function createScheduledJobModel(clinicDb) {
       type: DataTypes.DATE,
       allowNull: true
     },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
 
     // Status
     status: {
@@ -133,6 +137,7 @@ function createScheduledJobModel(clinicDb) {
    */
   ScheduledJob.prototype.startExecution = async function() {
     this.status = JOB_STATUS.IN_PROGRESS;
+    this.started_at = new Date();
     return await this.save();
   };
 
@@ -202,6 +207,21 @@ function createScheduledJobModel(clinicDb) {
     });
   };
 
+  /**
+   * Reschedule jobs stuck in 'in_progress' (scheduler instance crashed mid-job)
+   */
+  ScheduledJob.releaseStale = async function(olderThanMinutes = 15) {
+    return await this.update(
+      { status: JOB_STATUS.SCHEDULED, started_at: null },
+      {
+        where: {
+          status: JOB_STATUS.IN_PROGRESS,
+          started_at: { [Op.lt]: new Date(Date.now() - olderThanMinutes * 60 * 1000) }
+        }
+      }
+    );
+  };
+
   /**
    * Find jobs for a reference
    */
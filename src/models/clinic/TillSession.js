@@ -0,0 +1,103 @@
+/**
+ * Clinic TillSession Model — Front desk cash register sessions
+ *
+ * A session is opened with a cash float; payments taken at the desk are
+ * linked to it (document_payments.till_session_id). Closing stores the
+ * expected amounts per payment method, the counted amounts and the
+ * discrepancies, and freezes the session (Z-report). Closed sessions are
+ * immutable, also enforced by a database trigger (clinic_076).
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+const TILL_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+function createTillSessionModel(clinicDb) {
+  const TillSession = ClinicBaseModel.create(clinicDb, 'TillSession', {
+    facility_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: { model: 'medical_facilities', key: 'id' },
+      onDelete: 'CASCADE'
+    },
+
+    // Z-report number, sequential per facility
+    session_number: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    register_name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'main'
+    },
+    status: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: TILL_STATUS.OPEN,
+      validate: { isIn: [Object.values(TILL_STATUS)] }
+    },
+
+    // -- Opening --
+    opening_float: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+      validate: { min: 0 }
+    },
+    opened_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    opened_by: { type: DataTypes.UUID, allowNull: true },
+    opening_notes: { type: DataTypes.TEXT, allowNull: true },
+
+    // -- Closing --
+    closed_at: { type: DataTypes.DATE, allowNull: true },
+    closed_by: { type: DataTypes.UUID, allowNull: true },
+    closing_notes: { type: DataTypes.TEXT, allowNull: true },
+
+    // Per payment method: { payments, refunds, net, count, expected }
+    expected_amounts: { type: DataTypes.JSONB, allowNull: true },
+    // Per payment method: amount counted at closing (cash in the drawer, card terminal total...)
+    counted_amounts: { type: DataTypes.JSONB, allowNull: true },
+    // Per payment method: counted - expected
+    discrepancies: { type: DataTypes.JSONB, allowNull: true },
+    total_expected: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+    total_counted: { type: DataTypes.DECIMAL(12, 2), allowNull: true },
+    total_discrepancy: { type: DataTypes.DECIMAL(12, 2), allowNull: true }
+  }, {
+    tableName: 'till_sessions',
+    indexes: [
+      { unique: true, fields: ['facility_id', 'session_number'] },
+      { fields: ['facility_id', 'opened_at'] }
+    ],
+    hooks: {
+      beforeUpdate: (session) => {
+        if (session.previous('status') === TILL_STATUS.CLOSED) {
+          throw new Error('Till session is closed and cannot be modified');
+        }
+      }
+    }
+  });
+
+  // -- Instance methods --
+
+  TillSession.prototype.isOpen = function () {
+    return this.status === TILL_STATUS.OPEN;
+  };
+
+  // -- Constants --
+
+  TillSession.TILL_STATUS = TILL_STATUS;
+
+  return TillSession;
+}
+
+module.exports = createTillSessionModel;
+module.exports.TILL_STATUS = TILL_STATUS;
@@ -0,0 +1,207 @@
+/**
+ * Clinic WaitlistEntry Model
+ *
+ * Patient waiting for an earlier slot:
+ * - What: treatment (service) or consultation, optionally with a given provider
+ * - When: acceptable date window, weekdays and time window
+ * - Priority: low / normal / high / urgent (higher priority gets offers first)
+ *
+ * When an appointment is cancelled or missed, waitlistService sends
+ * WaitlistOffers to matching entries.
+ *
+ * This model is used ONLY with clinic-specific databases (medicalpro_clinic_*)
+ */
+
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes } = require('sequelize');
+
+/**
+ * Entry status enum
+ */
+const WAITLIST_STATUS = {
+  WAITING: 'waiting',
+  OFFERED: 'offered',
+  BOOKED: 'booked',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Priority order (highest first)
+ */
+const WAITLIST_PRIORITIES = ['urgent', 'high', 'normal', 'low'];
+
+/**
+ * Create WaitlistEntry model for a clinic database
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @returns {Model} WaitlistEntry model configured for the clinic database
+ */
+function createWaitlistEntryModel(clinicDb) {
+  const WaitlistEntry = ClinicBaseModel.create(clinicDb, 'WaitlistEntry', {
+    facility_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    patient_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'patients',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    // What the patient is waiting for
+    category: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      validate: {
+        isIn: [['treatment', 'consultation']]
+      }
+    },
+    service_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    provider_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    duration_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 5,
+        max: 480
+      }
+    },
+
+    // Acceptable window
+    date_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    date_to: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    preferred_days: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Weekdays (0 = Sunday ... 6 = Saturday), empty = any day'
+    },
+    time_from: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    time_to: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+
+    priority: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'normal',
+      validate: {
+        isIn: [WAITLIST_PRIORITIES]
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: WAITLIST_STATUS.WAITING,
+      validate: {
+        isIn: [Object.values(WAITLIST_STATUS)]
+      }
+    },
+    appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'appointments',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'waitlist_entries',
+    indexes: [
+      { fields: ['patient_id'] },
+      { fields: ['status', 'category', 'date_from', 'date_to'] }
+    ]
+  });
+
+  // Instance methods
+
+  /**
+   * Check whether a slot fits the entry's date, weekday and time windows
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} startTime - HH:MM
+   * @param {string} endTime - HH:MM
+   * @returns {boolean}
+   */
+  WaitlistEntry.prototype.acceptsSlot = function(date, startTime, endTime) {
+    if (date < this.date_from || date > this.date_to) {
+      return false;
+    }
+
+    const days = this.preferred_days || [];
+    if (days.length > 0) {
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+      if (!days.includes(weekday)) {
+        return false;
+      }
+    }
+
+    if (this.time_from && startTime < this.time_from.substring(0, 5)) {
+      return false;
+    }
+    if (this.time_to && endTime > this.time_to.substring(0, 5)) {
+      return false;
+    }
+
+    return true;
+  };
+
+  /**
+   * Cancel the entry (patient no longer waiting)
+   */
+  WaitlistEntry.prototype.cancel = async function(options = {}) {
+    this.status = WAITLIST_STATUS.CANCELLED;
+    return await this.save(options);
+  };
+
+  // Static methods
+
+  /**
+   * Sequelize order: highest priority first, then first come first served
+   */
+  WaitlistEntry.priorityOrder = function() {
+    return [
+      [clinicDb.literal(
+        "CASE \"WaitlistEntry\".priority WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'normal' THEN 2 ELSE 3 END"
+      ), 'ASC'],
+      ['created_at', 'ASC']
+    ];
+  };
+
+  // Attach enums to model
+  WaitlistEntry.WAITLIST_STATUS = WAITLIST_STATUS;
+  WaitlistEntry.WAITLIST_PRIORITIES = WAITLIST_PRIORITIES;
+
+  return WaitlistEntry;
+}
+
+module.exports = createWaitlistEntryModel;
@@ -0,0 +1,181 @@
+/**
+ * Clinic WaitlistOffer Model
+ *
+ * Time-limited offer of a freed slot to a waiting list entry:
+ * - Sent by link (secure token) to the patient
+ * - All offers for the same freed slot share an offer_group_id:
+ *   the first patient to accept gets the appointment, the others are superseded
+ *
+ * This model is used ONLY with clinic-specific databases (medicalpro_clinic_*)
+ */
+
+const crypto = require('crypto');
+const ClinicBaseModel = require('../../base/ClinicBaseModel');
+const { DataTypes, Op } = require('sequelize');
+
+/**
+ * Offer status enum
+ */
+const OFFER_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  SUPERSEDED: 'superseded'
+};
+
+/**
+ * Create WaitlistOffer model for a clinic database
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @returns {Model} WaitlistOffer model configured for the clinic database
+ */
+function createWaitlistOfferModel(clinicDb) {
+  const WaitlistOffer = ClinicBaseModel.create(clinicDb, 'WaitlistOffer', {
+    waitlist_entry_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'waitlist_entries',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    offer_group_id: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    source_appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+
+    // Secure token for the public offer link
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      defaultValue: () => crypto.randomBytes(32).toString('hex')
+    },
+
+    // Offered slot
+    appointment_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    start_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    end_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    machine_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    provider_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    service_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+
+    channel: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    message_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Outbox entry of the offer message'
+    },
+
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: OFFER_STATUS.PENDING,
+      validate: {
+        isIn: [Object.values(OFFER_STATUS)]
+      }
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    responded_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    appointment_id: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'waitlist_offers',
+    indexes: [
+      { fields: ['waitlist_entry_id'] },
+      { fields: ['offer_group_id'] },
+      { fields: ['source_appointment_id'] },
+      { fields: ['token'], unique: true }
+    ]
+  });
+
+  // Instance methods
+
+  /**
+   * Check if the offer can still be accepted
+   */
+  WaitlistOffer.prototype.isOpen = function() {
+    return this.status === OFFER_STATUS.PENDING && new Date() < new Date(this.expires_at);
+  };
+
+  /**
+   * Close the offer with a final status
+   * @param {string} status - accepted | declined | expired | superseded
+   */
+  WaitlistOffer.prototype.close = async function(status, options = {}) {
+    this.status = status;
+    if (status === OFFER_STATUS.ACCEPTED || status === OFFER_STATUS.DECLINED) {
+      this.responded_at = new Date();
+    }
+    return await this.save(options);
+  };
+
+  // Static methods
+
+  /**
+   * Find by secure token (for public access)
+   */
+  WaitlistOffer.findByToken = async function(token, options = {}) {
+    return await this.findOne({
+      where: { token },
+      ...options
+    });
+  };
+
+  /**
+   * Find pending offers past their expiry (for the scheduler)
+   */
+  WaitlistOffer.findExpired = async function(limit = 100) {
+    return await this.findAll({
+      where: {
+        status: OFFER_STATUS.PENDING,
+        expires_at: {
+          [Op.lte]: new Date()
+        }
+      },
+      order: [['expires_at', 'ASC']],
+      limit
+    });
+  };
+
+  // Attach enums to model
+  WaitlistOffer.OFFER_STATUS = OFFER_STATUS;
+
+  return WaitlistOffer;
+}
+
+module.exports = createWaitlistOfferModel;
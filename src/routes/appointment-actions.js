@@ -17,6 +17,7 @@ const createActionSchema = Joi.object({
   actionType: Joi.string().valid(
     'confirmation_email',
     'whatsapp_reminder',
+    'sms_reminder',
     'send_quote',
     'send_consent',
     'prepare_invoice'
@@ -313,7 +314,8 @@ router.post('/appointments/:id/transition',
         req.user.id,
         {
           confirmedBy: value.confirmedBy,
-          skipActions: value.skipActions
+          skipActions: value.skipActions,
+          clinicId: req.clinicId
         }
       );
 
@@ -337,7 +339,8 @@ router.post('/appointments/:id/transition',
           appointment: transformAppointmentBasic(appointment),
           previousStatus: result.previousStatus,
           newStatus: result.newStatus,
-          createdActions: result.createdActions.map(transformAction)
+          createdActions: result.createdActions.map(transformAction),
+          packageCreditUsed: Boolean(result.packageUsage && !result.packageUsage.reversed_at)
         }
       });
     } catch (error) {
@@ -446,13 +449,13 @@ router.get('/actions/summary',
 
 /**
  * GET /planning/state-config
- * Get state machine configuration (for UI)
+ * Get state machine configuration with the clinic's workflow rules (for UI)
  */
 router.get('/state-config',
   requirePermission('appointments.view'),
   async (req, res) => {
     try {
-      const config = stateMachineService.getStateConfig();
+      const config = await stateMachineService.getStateConfig(req.clinicDb);
 
       res.json({
         success: true,
@@ -0,0 +1,131 @@
+/**
+ * Calendar Feed Routes
+ * Secret iCalendar (.ics) subscription URLs of the practitioners' planning:
+ * - /calendar-feeds/me                      (own feed)
+ * - /calendar-feeds/providers/:providerId   (any practitioner, administrators)
+ *
+ * GET returns the feed state, POST creates or rotates the URL (the previous
+ * one stops working), DELETE disables it. The feed itself is served by
+ * /public/calendar (see public-calendar.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const calendarService = require('../services/calendarService');
+const { requirePermission } = require('../middleware/permissions');
+const { UUID_PATTERN } = require('../middleware/publicClinic');
+
+/**
+ * Transform feed state for API response (URL only while enabled)
+ */
+const transformFeed = (clinicId, provider) => ({
+  providerId: provider.id,
+  enabled: Boolean(provider.calendar_feed_token),
+  url: provider.calendar_feed_token ? calendarService.getFeedUrl(clinicId, provider.calendar_feed_token) : null,
+  createdAt: provider.calendar_feed_created_at || null
+});
+
+/**
+ * Load the target provider on req.provider (own profile or :providerId)
+ */
+async function loadProvider(req, res, next) {
+  try {
+    const { providerId } = req.params;
+
+    if (providerId !== undefined && !UUID_PATTERN.test(providerId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid provider id'
+      });
+    }
+
+    const provider = providerId
+      ? await calendarService.findProvider(req.clinicDb, { id: providerId })
+      : await calendarService.findProvider(req.clinicDb, { centralUserId: req.user.id });
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: providerId ? 'Healthcare provider not found' : 'No practitioner profile for this user'
+      });
+    }
+
+    req.provider = provider;
+    next();
+  } catch (error) {
+    console.error('Error loading calendar feed provider:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+const getFeed = async (req, res) => {
+  res.json({
+    success: true,
+    data: transformFeed(req.clinicId, req.provider)
+  });
+};
+
+const issueFeed = async (req, res) => {
+  try {
+    const { token, createdAt } = await calendarService.issueFeedToken(req.clinicDb, req.provider.id);
+
+    res.status(201).json({
+      success: true,
+      data: transformFeed(req.clinicId, {
+        ...req.provider,
+        calendar_feed_token: token,
+        calendar_feed_created_at: createdAt
+      }),
+      message: 'Calendar feed URL created'
+    });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+const revokeFeed = async (req, res) => {
+  try {
+    await calendarService.revokeFeedToken(req.clinicDb, req.provider.id);
+
+    res.json({
+      success: true,
+      data: transformFeed(req.clinicId, { ...req.provider, calendar_feed_token: null, calendar_feed_created_at: null }),
+      message: 'Calendar feed disabled'
+    });
+  } catch (error) {
+    console.error('Error disabling calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /calendar-feeds/me
+ * POST /calendar-feeds/me
+ * DELETE /calendar-feeds/me
+ * Own planning feed
+ */
+router.get('/me', requirePermission('appointments.view'), loadProvider, getFeed);
+router.post('/me', requirePermission('appointments.view'), loadProvider, issueFeed);
+router.delete('/me', requirePermission('appointments.view'), loadProvider, revokeFeed);
+
+/**
+ * GET /calendar-feeds/providers/:providerId
+ * POST /calendar-feeds/providers/:providerId
+ * DELETE /calendar-feeds/providers/:providerId
+ * Feed of another practitioner (administrators)
+ */
+router.get('/providers/:providerId', requirePermission('users.edit'), loadProvider, getFeed);
+router.post('/providers/:providerId', requirePermission('users.edit'), loadProvider, issueFeed);
+router.delete('/providers/:providerId', requirePermission('users.edit'), loadProvider, revokeFeed);
+
+module.exports = router;
@@ -1,16 +1,41 @@
 /**
  * Clinic Settings Routes
- * Configuration de la clinique : horaires, créneaux, notifications
+ * Configuration de la clinique : horaires, créneaux, notifications,
+ * messagerie, règles de workflow des rendez-vous, réservation en ligne
  */
 
 const express = require('express');
 const router = express.Router();
 const {
   clinicSettingsSchema,
-  updateClinicSettingsSchema
+  updateClinicSettingsSchema,
+  messagingSettingsSchema,
+  workflowRuleSchema,
+  onlineBookingSettingsSchema
 } = require('../base/clinicConfigSchemas');
 const { authMiddleware } = require('../middleware/auth');
 const { clinicRoutingMiddleware } = require('../middleware/clinicRouting');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../utils/permissionConstants');
+const messagingService = require('../services/messagingService');
+const workflowRulesService = require('../services/workflowRulesService');
+const onlineBookingService = require('../services/onlineBookingService');
+
+const MASKED_SECRET = '********';
+
+/**
+ * Hide the Twilio auth token before returning messaging settings
+ */
+function maskMessagingSettings(settings = {}) {
+  const masked = { ...settings };
+  if (masked.twilio) {
+    masked.twilio = {
+      ...masked.twilio,
+      authToken: masked.twilio.authToken ? MASKED_SECRET : ''
+    };
+  }
+  return masked;
+}
 
 // Apply middleware
 router.use(authMiddleware);
@@ -246,4 +271,290 @@ router.delete('/closed-dates/:dateId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/clinic-settings/messaging
+ * Get SMS / WhatsApp configuration (auth token masked) and channel availability
+ */
+router.get('/messaging', requirePermission(PERMISSIONS.SETTINGS_VIEW), async (req, res) => {
+  try {
+    const [settings] = await req.clinicDb.query(`
+      SELECT messaging_settings FROM clinic_settings WHERE facility_id = :clinicId
+    `, { replacements: { clinicId: req.clinicId } });
+
+    const messagingSettings = settings.length > 0 ? (settings[0].messaging_settings || {}) : {};
+    const resolved = messagingService.resolveMessagingSettings(messagingSettings);
+
+    res.json({
+      success: true,
+      data: {
+        ...maskMessagingSettings(messagingSettings),
+        availableChannels: messagingService.getAvailableChannels(resolved)
+      }
+    });
+  } catch (error) {
+    console.error('[clinicSettings] Error fetching messaging settings:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch messaging settings', details: error.message }
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/clinic-settings/messaging
+ * Update SMS / WhatsApp configuration
+ * A masked or empty authToken keeps the stored one.
+ */
+router.put('/messaging', requirePermission(PERMISSIONS.SETTINGS_CLINIC), async (req, res) => {
+  try {
+    const { error, value } = messagingSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Validation Error', details: error.details[0].message }
+      });
+    }
+
+    const [settings] = await req.clinicDb.query(`
+      SELECT messaging_settings FROM clinic_settings WHERE facility_id = :clinicId
+    `, { replacements: { clinicId: req.clinicId } });
+
+    if (settings.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Clinic settings not found' }
+      });
+    }
+
+    const current = settings[0].messaging_settings || {};
+    const twilio = value.twilio ? { ...value.twilio } : { ...(current.twilio || {}) };
+    if (!twilio.authToken || twilio.authToken === MASKED_SECRET) {
+      twilio.authToken = current.twilio?.authToken || '';
+    }
+
+    const messagingSettings = { ...value, twilio };
+
+    const [result] = await req.clinicDb.query(`
+      UPDATE clinic_settings
+      SET messaging_settings = :messaging_settings, updated_at = CURRENT_TIMESTAMP
+      WHERE facility_id = :clinicId
+      RETURNING messaging_settings
+    `, {
+      replacements: {
+        clinicId: req.clinicId,
+        messaging_settings: JSON.stringify(messagingSettings)
+      }
+    });
+
+    const resolved = messagingService.resolveMessagingSettings(result[0].messaging_settings);
+
+    res.json({
+      success: true,
+      data: {
+        ...maskMessagingSettings(result[0].messaging_settings),
+        availableChannels: messagingService.getAvailableChannels(resolved)
+      },
+      message: 'Messaging settings updated successfully'
+    });
+  } catch (error) {
+    console.error('[clinicSettings] Error updating messaging settings:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update messaging settings', details: error.message }
+    });
+  }
+});
+
+/**
+ * GET /api/v1/clinic-settings/workflow-rules
+ * Get appointment workflow rules (defaults if the clinic has not customised them)
+ */
+router.get('/workflow-rules', requirePermission(PERMISSIONS.SETTINGS_VIEW), async (req, res) => {
+  try {
+    const { rules, isDefault } = await workflowRulesService.getRules(req.clinicDb);
+
+    res.json({
+      success: true,
+      data: { rules, isDefault }
+    });
+  } catch (error) {
+    console.error('[clinicSettings] Error fetching workflow rules:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch workflow rules', details: error.message }
+    });
+  }
+});
+
+/**
+ * POST /api/v1/clinic-settings/workflow-rules
+ * Add a workflow rule
+ */
+router.post('/workflow-rules', requirePermission(PERMISSIONS.SETTINGS_CLINIC), async (req, res) => {
+  try {
+    const { error, value } = workflowRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Validation Error', details: error.details[0].message }
+      });
+    }
+
+    const rule = await workflowRulesService.addRule(req.clinicDb, req.clinicId, value);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Workflow rule added successfully'
+    });
+  } catch (error) {
+    console.error('[clinicSettings] Error adding workflow rule:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      error: { message: 'Failed to add workflow rule', details: error.message }
+    });
+  }
+});
+
+/**
+ * POST /api/v1/clinic-settings/workflow-rules/reset
+ * Restore the default workflow rules
+ */
+router.post('/workflow-rules/reset', requirePermission(PERMISSIONS.SETTINGS_CLINIC), async (req, res) => {
+  try {
+    const result = await workflowRulesService.resetRules(req.clinicDb, req.clinicId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Workflow rules reset to defaults'
+    });
+  } catch (error) {
+    console.error('[clinicSettings] Error resetting workflow rules:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      error: { message: 'Failed to reset workflow rules', details: error.message }
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/clinic-settings/workflow-rules/:ruleId
+ * Replace a workflow rule
+ */
+router.put('/workflow-rules/:ruleId', requirePermission(PERMISSIONS.SETTINGS_CLINIC), async (req, res) => {
+  try {
+    const { error, value } = workflowRuleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Validation Error', details: error.details[0].message }
+      });
+    }
+
+    const rule = await workflowRulesService.updateRule(req.clinicDb, req.clinicId, req.params.ruleId, value);
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Workflow rule updated successfully'
+    });
+  } catch (error) {
+    console.error('[clinicSettings] Error updating workflow rule:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      error: { message: 'Failed to update workflow rule', details: error.message }
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/clinic-settings/workflow-rules/:ruleId
+ * Remove a workflow rule
+ */
+router.delete('/workflow-rules/:ruleId', requirePermission(PERMISSIONS.SETTINGS_CLINIC), async (req, res) => {
+  try {
+    await workflowRulesService.deleteRule(req.clinicDb, req.clinicId, req.params.ruleId);
+
+    res.json({
+      success: true,
+      message: 'Workflow rule removed successfully'
+    });
+  } catch (error) {
+    console.error('[clinicSettings] Error removing workflow rule:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      error: { message: 'Failed to remove workflow rule', details: error.message }
+    });
+  }
+});
+
+/**
+ * GET /api/v1/clinic-settings/online-booking
+ * Get public online booking settings (defaults applied)
+ */
+router.get('/online-booking', requirePermission(PERMISSIONS.SETTINGS_VIEW), async (req, res) => {
+  try {
+    const settings = await onlineBookingService.getSettings(req.clinicDb);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('[clinicSettings] Error fetching online booking settings:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch online booking settings', details: error.message }
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/clinic-settings/online-booking
+ * Update public online booking settings
+ */
+router.put('/online-booking', requirePermission(PERMISSIONS.SETTINGS_CLINIC), async (req, res) => {
+  try {
+    const { error, value } = onlineBookingSettingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Validation Error', details: error.details[0].message }
+      });
+    }
+
+    const [result] = await req.clinicDb.query(`
+      UPDATE clinic_settings
+      SET online_booking = :online_booking, updated_at = CURRENT_TIMESTAMP
+      WHERE facility_id = :clinicId
+      RETURNING online_booking
+    `, {
+      replacements: {
+        clinicId: req.clinicId,
+        online_booking: JSON.stringify(value)
+      }
+    });
+
+    if (result.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Clinic settings not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: onlineBookingService.resolveSettings(result[0].online_booking),
+      message: 'Online booking settings updated successfully'
+    });
+  } catch (error) {
+    console.error('[clinicSettings] Error updating online booking settings:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update online booking settings', details: error.message }
+    });
+  }
+});
+
 module.exports = router;
@@ -12,6 +12,8 @@ const clinicCrudRoutes = require('../base/clinicCrudRoutes');
 const { getModel } = require('../base/ModelFactory');
 const { logger } = require('../utils/logger');
 const emailService = require('../services/emailService');
+const messageOutboxService = require('../services/messageOutboxService');
+const { TEMPLATE_TYPES } = require('../services/messagingService');
 const consentVariableService = require('../services/consentVariableService');
 const { validateParams, schemas } = require('../utils/validationSchemas');
 const { PERMISSIONS } = require('../utils/permissionConstants');
@@ -164,38 +166,47 @@ router.post('/', requirePermission(PERMISSIONS.CONSENTS_ASSIGN), async (req, res
     // Mark as sent
     await signingRequest.update({ sent_at: new Date() });
 
-    // Send email if sent via email
-    let emailResult = null;
+    // Send email if sent via email (recorded in the message outbox, retried on failure)
+    let outboxMessage = null;
     if (sentVia === 'email' && email) {
-      try {
-        // Get clinic name and logo
-        const clinicName = clinicInfo.clinicName;
-        const logoUrl = clinicInfo.logoUrl;
-
-        emailResult = await emailService.sendConsentSigningRequest({
+      outboxMessage = await messageOutboxService.enqueue(req.clinicDb, {
+        channel: 'email',
+        templateType: TEMPLATE_TYPES.CONSENT_REQUEST,
+        recipient: {
           email,
-          patientName: `${patient.first_name} ${patient.last_name}`,
-          clinicName,
+          language: effectiveLanguage,
+          patientName: `${patient.first_name} ${patient.last_name}`
+        },
+        data: {
+          clinicName: clinicInfo.clinicName,
           consentTitle: filledTitle,
           signingUrl,
           expiresAt: expiresAt.toISOString(),
           customMessage,
-          language: effectiveLanguage,
-          logoUrl
-        });
+          logoUrl: clinicInfo.logoUrl
+        },
+        related: {
+          patientId: patient.id,
+          appointmentId: appointmentId || null,
+          consentRequestId: signingRequest.id
+        },
+        createdBy: req.user.id
+      });
 
+      if (outboxMessage.status === 'sent') {
         logger.info('Consent signing email sent', {
           requestId: signingRequest.id,
           email,
           clinicId: req.clinicId
         });
-      } catch (emailError) {
+      } else {
+        // Don't fail the request if email fails: the outbox keeps retrying
         logger.error('Failed to send consent signing email', {
           requestId: signingRequest.id,
           email,
-          error: emailError.message
+          outboxId: outboxMessage.id,
+          error: outboxMessage.last_error
         });
-        // Don't fail the request if email fails
       }
     }
 
@@ -213,6 +224,11 @@ router.post('/', requirePermission(PERMISSIONS.CONSENTS_ASSIGN), async (req, res
       data: {
         ...signingRequest.toJSON(),
         signingUrl,
+        delivery: outboxMessage ? {
+          outboxId: outboxMessage.id,
+          status: outboxMessage.status,
+          lastError: outboxMessage.last_error
+        } : null,
         patient: {
           id: patient.id,
           firstName: patient.first_name,
@@ -453,7 +469,15 @@ router.post('/:id/remind', requirePermission(PERMISSIONS.CONSENTS_ASSIGN), async
 
     await request.sendReminder();
 
-    // TODO: Send actual email/SMS reminder via email service
+    // Resend the last message sent for this request through the outbox
+    const MessageOutbox = await getModel(req.clinicDb, 'MessageOutbox');
+    const lastMessage = await MessageOutbox.findOne({
+      where: { consent_request_id: request.id },
+      order: [['created_at', 'DESC']]
+    });
+    const outboxMessage = lastMessage
+      ? await messageOutboxService.resend(req.clinicDb, lastMessage.id, req.user.id)
+      : null;
 
     logger.info('Consent signing reminder sent', {
       requestId: id,
@@ -463,7 +487,10 @@ router.post('/:id/remind', requirePermission(PERMISSIONS.CONSENTS_ASSIGN), async
 
     res.json({
       success: true,
-      data: request,
+      data: {
+        ...request.toJSON(),
+        delivery: outboxMessage ? { outboxId: outboxMessage.id, status: outboxMessage.status } : null
+      },
       message: `Reminder sent (${request.reminder_count} total)`
     });
   } catch (error) {
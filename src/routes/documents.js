@@ -12,7 +12,20 @@ const { logger } = require('../utils/logger');
 const { Op } = require('sequelize');
 const documentService = require('../services/documentService');
 const facturxService = require('../services/facturxService');
+const ublService = require('../services/ublService');
+const verifactuService = require('../services/verifactuService');
+const insuranceBillingService = require('../services/insuranceBillingService');
 const pdfService = require('../services/pdfService');
+const emailService = require('../services/emailService');
+const messageOutboxService = require('../services/messageOutboxService');
+const { TEMPLATE_TYPES } = require('../services/messagingService');
+const payerService = require('../services/payerService');
+const dunningService = require('../services/dunningService');
+const accountingExportService = require('../services/accountingExportService');
+const packageService = require('../services/packageService');
+const { PAYMENT_METHODS, PAYER_TYPES } = require('../models/clinic/DocumentPayment');
+const { ACT_CODE_SYSTEMS } = require('../models/clinic/DocumentItem');
+const { THIRD_PARTY_MODES } = require('../models/clinic/Document');
 
 const router = express.Router();
 
@@ -45,9 +58,44 @@ const itemSchema = Joi.object({
   productServiceId: Joi.string().uuid().allow(null),
   product_service_id: Joi.string().uuid().allow(null),
   productSnapshot: Joi.object().allow(null),
-  product_snapshot: Joi.object().allow(null)
+  product_snapshot: Joi.object().allow(null),
+
+  // French insurance billing: acte code and reimbursement base (per unit)
+  actCode: Joi.string().max(20).allow(null),
+  act_code: Joi.string().max(20).allow(null),
+  actCodeSystem: Joi.string().valid(...ACT_CODE_SYSTEMS).allow(null),
+  act_code_system: Joi.string().valid(...ACT_CODE_SYSTEMS).allow(null),
+  reimbursementBase: Joi.number().min(0).allow(null),
+  reimbursement_base: Joi.number().min(0).allow(null),
+  amoRate: Joi.number().min(0).max(100).allow(null),
+  amo_rate: Joi.number().min(0).max(100).allow(null)
 }).options({ allowUnknown: true });
 
+// Insured coverage (defaults from the patient: social_security, mutual_insurance, coverage_type)
+const insuranceSchema = Joi.object({
+  thirdPartyMode: Joi.string().valid(...THIRD_PARTY_MODES),
+  coverageType: Joi.string().max(50).allow(null),
+  amoRate: Joi.number().min(0).max(100),
+  amcCoverage: Joi.number().min(0).max(1000),
+  amoInsurer: Joi.object({
+    name: Joi.string().max(255).required(),
+    code: Joi.string().max(20).allow('', null)
+  }).allow(null),
+  amcInsurer: Joi.object({
+    name: Joi.string().max(255).required(),
+    code: Joi.string().max(20).allow('', null),
+    memberNumber: Joi.string().max(50).allow('', null)
+  }).allow(null)
+}).allow(null);
+
+// Split of an invoice across third-party payers (amount, or percent of the total)
+const payerShareSchema = Joi.object({
+  payerId: Joi.string().uuid().required(),
+  amount: Joi.number().positive().precision(2),
+  percent: Joi.number().positive().max(100),
+  reference: Joi.string().max(100).allow('', null)
+}).xor('amount', 'percent');
+
 const createSchema = Joi.object({
   // Type
   documentType: Joi.string().valid('invoice', 'quote', 'credit_note').required(),
@@ -108,7 +156,13 @@ const createSchema = Joi.object({
   // Medical extensions (optional)
   patientId: Joi.string().uuid().allow(null),
   appointmentId: Joi.string().uuid().allow(null),
-  practitionerId: Joi.string().uuid().allow(null)
+  practitionerId: Joi.string().uuid().allow(null),
+
+  // French insurance billing (AMO / AMC split)
+  insurance: insuranceSchema,
+
+  // Third-party payers (invoices only)
+  payerShares: Joi.array().items(payerShareSchema)
 }).options({ stripUnknown: true });
 
 const updateSchema = Joi.object({
@@ -159,9 +213,35 @@ const updateSchema = Joi.object({
 
   patientId: Joi.string().uuid().allow(null),
   appointmentId: Joi.string().uuid().allow(null),
-  practitionerId: Joi.string().uuid().allow(null)
+  practitionerId: Joi.string().uuid().allow(null),
+
+  insurance: insuranceSchema,
+
+  payerShares: Joi.array().items(payerShareSchema)
 }).options({ stripUnknown: true }).min(1);
 
+const paymentSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  paymentDate: Joi.date().iso().allow(null),
+  paymentMethod: Joi.string().valid(...PAYMENT_METHODS).required(),
+  reference: Joi.string().max(100).allow('', null),
+  payerType: Joi.string().valid(...PAYER_TYPES).default('patient'),
+  payerName: Joi.string().max(255).allow('', null),
+  notes: Joi.string().allow('', null)
+}).options({ stripUnknown: true });
+
+const voidPaymentSchema = Joi.object({
+  reason: Joi.string().min(3).max(500).required()
+}).options({ stripUnknown: true });
+
+const creditNoteSchema = Joi.object({
+  prefix: Joi.string().max(10).allow(null),
+  reason: Joi.string().allow('', null),
+  notes: Joi.string().allow('', null),
+  // Money paid back to the buyer with the credit note (optional)
+  refund: paymentSchema.allow(null)
+}).options({ stripUnknown: true });
+
 const querySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
@@ -176,6 +256,100 @@ const querySchema = Joi.object({
   sortOrder: Joi.string().valid('ASC', 'DESC').default('DESC')
 });
 
+const FACTURX_PROFILES = ['MINIMUM', 'BASIC', 'EN16931', 'EXTENDED'];
+const E_INVOICE_FORMATS = ['facturx', 'ubl'];
+const E_INVOICE_DOCUMENT_TYPES = ['invoice', 'credit_note'];
+const DUNNING_NOTICE_TYPES = Object.values(dunningService.NOTICE_TYPES);
+
+// Chart-of-accounts entry of the accounting export (PCG account number)
+const accountSchema = Joi.object({
+  number: Joi.string().pattern(/^[0-9A-Za-z]{3,20}$/).required(),
+  label: Joi.string().max(100).required()
+});
+const journalSchema = Joi.object({
+  code: Joi.string().pattern(/^[0-9A-Za-z]{1,6}$/).required(),
+  label: Joi.string().max(100).required()
+});
+// Tax rate ("20", "5.5") or "default"
+const RATE_KEY_PATTERN = /^(default|\d{1,2}(\.\d{1,2})?)$/;
+
+// Free-form JSON, only the e-invoicing, dunning and accounting choices are checked
+const billingSettingsSchema = Joi.object({
+  facturxProfile: Joi.string().valid(...FACTURX_PROFILES).allow(null),
+  eInvoiceFormat: Joi.string().valid(...E_INVOICE_FORMATS).allow(null),
+  // Spain: VeriFactu invoice registry
+  verifactu: Joi.object({
+    enabled: Joi.boolean(),
+    environment: Joi.string().valid('test', 'production'),
+    transport: Joi.string().valid('loopback', 'aeat'),
+    aeat: Joi.object({
+      certificatePath: Joi.string().max(500),
+      certificatePassword: Joi.string().allow('').max(200)
+    }),
+    system: Joi.object({
+      name: Joi.string().max(30),
+      id: Joi.string().max(2),
+      version: Joi.string().max(50),
+      installation: Joi.string().max(100),
+      vendorName: Joi.string().max(120),
+      vendorNif: Joi.string().max(9)
+    })
+  }).allow(null),
+  // Overdue invoices: reminder steps sent by the scheduler (days after the due date)
+  dunning: Joi.object({
+    enabled: Joi.boolean(),
+    stopOnPayment: Joi.boolean(),
+    latePenaltyRate: Joi.number().min(0).max(100).allow(null),
+    paymentDeadlineDays: Joi.number().integer().min(1).max(90),
+    steps: Joi.array().items(Joi.object({
+      key: Joi.string().pattern(/^[a-z0-9_]+$/).max(30).required(),
+      daysAfterDue: Joi.number().integer().min(1).max(365).required(),
+      type: Joi.string().valid(...DUNNING_NOTICE_TYPES).required()
+    })).max(5).unique('key').unique('daysAfterDue')
+  }).allow(null),
+  // Accounting export (FEC / journal): accounts per tax rate and payment method
+  accounting: Joi.object({
+    fiscalYearStartMonth: Joi.number().integer().min(1).max(12),
+    customerAccount: accountSchema,
+    revenueAccounts: Joi.object().pattern(RATE_KEY_PATTERN, accountSchema),
+    vatAccounts: Joi.object().pattern(RATE_KEY_PATTERN, accountSchema),
+    paymentAccounts: Joi.object().pattern(Joi.string().valid(...PAYMENT_METHODS, 'default'), accountSchema),
+    journals: Joi.object({
+      sales: journalSchema,
+      bank: journalSchema,
+      cash: journalSchema
+    })
+  }).allow(null)
+}).unknown(true);
+
+const facturxValidateQuerySchema = Joi.object({
+  profile: Joi.string().valid(...FACTURX_PROFILES)
+});
+
+const agingQuerySchema = Joi.object({
+  asOf: Joi.date().iso(),
+  debtorType: Joi.string().valid('payer', 'insurer', 'patient'),
+  payerId: Joi.string().uuid(),
+  format: Joi.string().valid('json', 'csv', 'pdf').default('json')
+});
+
+const fecQuerySchema = Joi.object({
+  year: Joi.number().integer().min(2000).max(2100).required()
+});
+
+const journalQuerySchema = Joi.object({
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().min(Joi.ref('from')).required()
+});
+
+const dunningSendSchema = Joi.object({
+  stepKey: Joi.string().max(30)
+});
+
+const eInvoiceQuerySchema = Joi.object({
+  format: Joi.string().valid(...E_INVOICE_FORMATS)
+});
+
 // ============================================================================
 // CRUD Routes
 // ============================================================================
@@ -282,6 +456,95 @@ router.get('/stats/monthly', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /documents/stats/aging?asOf=&debtorType=&payerId=&format=json|csv|pdf
+ * Receivables aging (0-30 / 31-60 / 61-90 / 90+ days past due) per debtor:
+ * third-party payers, insurers (tiers payant) and patients
+ */
+router.get('/stats/aging', async (req, res, next) => {
+  try {
+    const { error, value } = agingQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const report = await documentService.getReceivablesAging(req.clinicDb, req.clinicId, value);
+
+    if (value.format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="balance-agee-${report.asOf}.csv"`
+      });
+      return res.send(payerService.buildAgingCsv(report));
+    }
+
+    if (value.format === 'pdf') {
+      const billingSettings = await loadBillingSettings(req, 'aging');
+      const pdfBuffer = await pdfService.generateAgingReportPDF(report, { billingSettings });
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="balance-agee-${report.asOf}.pdf"`,
+        'Content-Length': pdfBuffer.length
+      });
+      return res.send(pdfBuffer);
+    }
+
+    res.json({ success: true, data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /documents/exports/fec?year=
+ * Fichier des Écritures Comptables of a fiscal year (sales, bank and cash journals)
+ */
+router.get('/exports/fec', async (req, res, next) => {
+  try {
+    const { error, value } = fecQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const billingSettings = await loadBillingSettings(req, 'exports/fec');
+    const { filename, content } = await accountingExportService.exportFec(
+      req.clinicDb, req.clinicId, value.year, billingSettings
+    );
+
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(content);
+  } catch (error) {
+    if (error.message.includes('SIREN is missing')) {
+      return res.status(400).json({ success: false, error: { message: error.message } });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /documents/exports/journal?from=&to=
+ * Journal entries of a period as CSV (sales, bank and cash journals)
+ */
+router.get('/exports/journal', async (req, res, next) => {
+  try {
+    const { error, value } = journalQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const billingSettings = await loadBillingSettings(req, 'exports/journal');
+    const { filename, content } = await accountingExportService.exportJournal(req.clinicDb, req.clinicId, {
+      from: value.from.toISOString().slice(0, 10),
+      to: value.to.toISOString().slice(0, 10)
+    }, billingSettings);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(content);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /documents/next-number
  * Preview next document number
@@ -335,7 +598,8 @@ router.get('/billing-settings', async (req, res, next) => {
  */
 router.put('/billing-settings', async (req, res, next) => {
   try {
-    const billingSettings = req.body;
+    const { error, value: billingSettings } = billingSettingsSchema.validate(req.body);
+    if (error) return validationError(res, error);
 
     const [result] = await req.clinicDb.query(
       `UPDATE clinic_settings
@@ -376,8 +640,22 @@ router.get('/:id', async (req, res, next) => {
     const Document = await getModel(req.clinicDb, 'Document');
     const DocumentItem = await getModel(req.clinicDb, 'DocumentItem');
 
+    const DocumentPayment = await getModel(req.clinicDb, 'DocumentPayment');
+    const InsuranceClaim = await getModel(req.clinicDb, 'InsuranceClaim');
+    const DocumentPayerShare = await getModel(req.clinicDb, 'DocumentPayerShare');
+    const Payer = await getModel(req.clinicDb, 'Payer');
+
     const doc = await Document.findByPk(req.params.id, {
-      include: [{ model: DocumentItem, as: 'items', order: [['sort_order', 'ASC']] }]
+      include: [
+        { model: DocumentItem, as: 'items', order: [['sort_order', 'ASC']] },
+        { model: DocumentPayment, as: 'payments' },
+        { model: InsuranceClaim, as: 'insuranceClaims' },
+        {
+          model: DocumentPayerShare,
+          as: 'payerShares',
+          include: [{ model: Payer, as: 'payer', attributes: ['id', 'name', 'payer_type'] }]
+        }
+      ]
     });
 
     if (!doc || doc.deleted_at) {
@@ -393,6 +671,66 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * French insurance billing: split the lines between AMO / AMC / patient when
+ * the request carries a coverage, or again when the lines of an insured draft
+ * change. `insurance: null` removes the split.
+ *
+ * @param {Object} value - Validated create / update payload
+ * @param {Object} [existing] - Document being updated
+ * @returns {Promise<Object>} - Payload for documentService
+ */
+async function applyInsurance(req, value, existing = null) {
+  const { insurance, ...data } = value;
+  const insured = Boolean(existing && existing.insurance_details);
+
+  if (!insurance && !insured) return data;
+  if (insurance === undefined && !data.items &&
+      data.discountType === undefined && data.discountValue === undefined) {
+    return data;
+  }
+
+  // Only the coverage changes: split the saved lines again
+  let items = data.items;
+  if (!items && existing) {
+    const DocumentItem = await getModel(req.clinicDb, 'DocumentItem');
+    const rows = await DocumentItem.findAll({
+      where: { document_id: existing.id },
+      order: [['sort_order', 'ASC']]
+    });
+    items = rows.map(row => row.get({ plain: true }));
+  }
+
+  let coverage = null;
+  if (insurance) {
+    const patientId = data.patientId !== undefined ? data.patientId : existing?.patient_id;
+    let patient = null;
+    if (patientId) {
+      const Patient = await getModel(req.clinicDb, 'Patient');
+      patient = await Patient.findByPk(patientId);
+    }
+    coverage = insuranceBillingService.resolveCoverage(patient, insurance);
+  } else if (insurance === undefined) {
+    coverage = insuranceBillingService.coverageFromDocument(existing);
+  }
+
+  return insuranceBillingService.applyCoverage({
+    ...data,
+    items,
+    discountType: data.discountType ?? existing?.discount_type,
+    discountValue: data.discountValue ?? existing?.discount_value
+  }, coverage);
+}
+
+/**
+ * Errors of the insurance split and of the payer shares of a document
+ */
+function isSplitError(error) {
+  return error.message.includes('combined with insurance') || error.message.includes('complementary insurer') ||
+    error.message.includes('Payer share') || error.message.includes('inactive payer') ||
+    error.message.includes('one share per invoice');
+}
+
 /**
  * POST /documents
  * Create a new document (quote, invoice, or credit note)
@@ -407,8 +745,9 @@ router.post('/', async (req, res, next) => {
       });
     }
 
+    const data = await applyInsurance(req, value);
     const doc = await documentService.createDocument(
-      req.clinicDb, value, req.clinicId, req.user?.id
+      req.clinicDb, data, req.clinicId, req.user?.id
     );
 
     // Update appointment link if provided
@@ -435,6 +774,9 @@ router.post('/', async (req, res, next) => {
       message: `${value.documentType === 'quote' ? 'Quote' : value.documentType === 'invoice' ? 'Invoice' : 'Credit note'} created successfully`
     });
   } catch (error) {
+    if (isSplitError(error)) {
+      return res.status(400).json({ success: false, error: { message: error.message } });
+    }
     next(error);
   }
 });
@@ -453,7 +795,14 @@ router.put('/:id', async (req, res, next) => {
       });
     }
 
-    const doc = await documentService.updateDocument(req.clinicDb, req.params.id, value);
+    const Document = await getModel(req.clinicDb, 'Document');
+    const existing = await Document.findByPk(req.params.id);
+    if (!existing || existing.deleted_at) {
+      return res.status(404).json({ success: false, error: { message: 'Document not found' } });
+    }
+
+    const data = await applyInsurance(req, value, existing);
+    const doc = await documentService.updateDocument(req.clinicDb, req.params.id, data);
 
     res.json({
       success: true,
@@ -467,6 +816,9 @@ router.put('/:id', async (req, res, next) => {
     if (error.message.includes('Only draft')) {
       return res.status(409).json({ success: false, error: { message: error.message } });
     }
+    if (isSplitError(error)) {
+      return res.status(400).json({ success: false, error: { message: error.message } });
+    }
     next(error);
   }
 });
@@ -494,8 +846,22 @@ router.delete('/:id', async (req, res, next) => {
       });
     }
 
+    if (parseFloat(doc.amount_paid) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Void the recorded refunds before deleting this document' }
+      });
+    }
+
     await doc.softDelete();
 
+    // The invoice of a deleted credit note is due again
+    if (doc.document_type === 'credit_note' && doc.converted_from_id) {
+      await req.clinicDb.transaction(t =>
+        documentService.recomputePaymentTotals(req.clinicDb, doc.converted_from_id, { transaction: t })
+      );
+    }
+
     logger.info('Document soft deleted', { documentId: doc.id, number: doc.document_number });
 
     res.json({ success: true, message: 'Document deleted successfully' });
@@ -504,10 +870,75 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * Queue the "quote sent" / "invoice ready" message for a document
+ * Credit notes are not notified.
+ * @returns {Promise<object|null>} { outboxId, status, lastError }
+ */
+async function notifyDocumentSent(req, doc, channel) {
+  const templateByType = {
+    quote: TEMPLATE_TYPES.QUOTE_SENT,
+    invoice: TEMPLATE_TYPES.INVOICE_READY
+  };
+  const templateType = templateByType[doc.document_type];
+  if (!templateType) return null;
+
+  let language = 'fr';
+  let patientName = doc.buyer_name;
+  let email = doc.buyer_email;
+  let phone = doc.buyer_phone;
+
+  if (doc.patient_id) {
+    const Patient = await getModel(req.clinicDb, 'Patient');
+    const patient = await Patient.findByPk(doc.patient_id);
+    if (patient) {
+      language = await emailService.resolveLanguageForClinicPatient(patient, req.clinicDb);
+      email = email || patient.email;
+      phone = phone || patient.phone;
+    }
+  }
+
+  const clinicInfo = await emailService.getClinicInfo(req.clinicDb);
+  const isQuote = doc.document_type === 'quote';
+
+  const entry = await messageOutboxService.enqueue(req.clinicDb, {
+    channel,
+    templateType,
+    recipient: { email, phone, language, patientName },
+    data: {
+      clinicName: clinicInfo.clinicName,
+      [isQuote ? 'quoteNumber' : 'invoiceNumber']: doc.document_number,
+      totalAmount: Number(doc.total).toFixed(2),
+      viewUrl: null,
+      logoUrl: clinicInfo.logoUrl
+    },
+    related: {
+      patientId: doc.patient_id,
+      appointmentId: doc.appointment_id,
+      documentId: doc.id
+    },
+    createdBy: req.user?.id
+  });
+
+  return { outboxId: entry.id, status: entry.status, lastError: entry.last_error };
+}
+
 // ============================================================================
 // Status Action Routes
 // ============================================================================
 
+/**
+ * Audit context of the request
+ */
+function getActor(req) {
+  return {
+    userId: req.user?.id,
+    companyId: req.user?.companyId,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+}
+
 /**
  * PATCH /documents/:id/send
  * Mark as sent
@@ -528,12 +959,63 @@ router.patch('/:id/send', async (req, res, next) => {
       });
     }
 
-    await doc.update({ status: 'sent', sent_at: new Date() });
+    // Issuing an invoice gives it its fiscal number, opens its tiers-payant claims
+    // (France), gives the patient the treatment packages it sells and creates its
+    // chained VeriFactu registry record (Spain)
+    const billingSettings = req.region === 'es' ? await loadBillingSettings(req, 'send') : {};
+    const {
+      registryRecord, insuranceClaims, patientPackages, cancelledPackages
+    } = await req.clinicDb.transaction(async (t) => {
+      const documentNumber = await documentService.assignIssuedNumber(req.clinicDb, req.clinicId, doc, { transaction: t });
+      await doc.update({ status: 'sent', sent_at: new Date(), document_number: documentNumber }, { transaction: t });
+      // An issued credit note lowers what is left to pay on its invoice and
+      // takes back the packages it refunds
+      let revoked = [];
+      if (doc.document_type === 'credit_note' && doc.converted_from_id) {
+        await documentService.recomputePaymentTotals(req.clinicDb, doc.converted_from_id, { transaction: t });
+        revoked = await packageService.revokeCreditedPackages(req.clinicDb, doc, { transaction: t, actor: getActor(req) });
+      }
+      const claims = await insuranceBillingService.openClaims(req.clinicDb, doc, { transaction: t });
+      const packages = await packageService.grantInvoicePackages(req.clinicDb, doc, { transaction: t });
+      const record = verifactuService.appliesTo(req.region, doc, billingSettings)
+        ? await verifactuService.registerIssuedDocument(req.clinicDb, req.clinicId, doc, {
+          transaction: t,
+          billingSettings,
+          actor: getActor(req)
+        })
+        : null;
+      return { registryRecord: record, insuranceClaims: claims, patientPackages: packages, cancelledPackages: revoked };
+    });
 
     logger.info('Document marked as sent', { documentId: doc.id, number: doc.document_number });
 
-    res.json({ success: true, data: doc, message: 'Document sent successfully' });
+    // Optionally notify the patient (recorded in the message outbox)
+    let delivery = null;
+    if (req.body && req.body.notify) {
+      delivery = await notifyDocumentSent(req, doc, req.body.channel || 'email');
+    }
+
+    res.json({
+      success: true,
+      data: doc,
+      delivery,
+      insuranceClaims,
+      patientPackages,
+      cancelledPackages,
+      registryRecord: registryRecord && {
+        id: registryRecord.id,
+        chainSequence: registryRecord.chain_sequence,
+        invoiceType: registryRecord.invoice_type,
+        hash: registryRecord.hash,
+        qrUrl: verifactuService.getQrCode(registryRecord, billingSettings).url
+      },
+      message: 'Document sent successfully'
+    });
   } catch (error) {
+    if (error.message.includes('seller NIF is missing') || error.message.includes('already used by an issued document') ||
+        error.message.includes('must be linked to a patient') || error.message.includes('no included treatment')) {
+      return res.status(409).json({ success: false, error: { message: error.message } });
+    }
     next(error);
   }
 });
@@ -606,9 +1088,26 @@ router.patch('/:id/reject', async (req, res, next) => {
   }
 });
 
+/**
+ * Map payment ledger errors to HTTP responses
+ */
+function handlePaymentError(error, res, next) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: { message: error.message } });
+  }
+  if (error.message.includes('Cannot record') || error.message.includes('Cannot void') ||
+      error.message.includes('can only be recorded') ||
+      error.message.includes('exceeds') || error.message.includes('already voided')) {
+    return res.status(409).json({ success: false, error: { message: error.message } });
+  }
+  next(error);
+}
+
 /**
  * PATCH /documents/:id/pay
  * Mark invoice as paid (full or partial)
+ * @deprecated Kept for existing clients: records one payment in the ledger
+ * (amount defaults to the amount due). Use POST /documents/:id/payments.
  */
 router.patch('/:id/pay', async (req, res, next) => {
   try {
@@ -623,37 +1122,208 @@ router.patch('/:id/pay', async (req, res, next) => {
       return res.status(409).json({ success: false, error: { message: 'Only invoices can be marked as paid' } });
     }
 
-    const paymentAmount = parseFloat(req.body.amount) || parseFloat(doc.amount_due) || 0;
-    const newAmountPaid = parseFloat(doc.amount_paid) + paymentAmount;
-    const totalDue = parseFloat(doc.total);
-    const newAmountDue = Math.max(0, totalDue - newAmountPaid);
-    const isFullyPaid = newAmountDue <= 0;
+    const requestedMethod = req.body.paymentMethod || req.body.payment_method || doc.payment_method;
+    const { document } = await documentService.addPayment(req.clinicDb, doc.id, {
+      amount: parseFloat(req.body.amount) || parseFloat(doc.amount_due) || 0,
+      paymentMethod: PAYMENT_METHODS.includes(requestedMethod) ? requestedMethod : 'other'
+    }, req.user?.id);
 
-    const newStatus = isFullyPaid ? 'paid' : 'partial';
+    const isFullyPaid = document.status === 'paid';
+    res.json({ success: true, data: document, message: isFullyPaid ? 'Invoice fully paid' : 'Partial payment recorded' });
+  } catch (error) {
+    handlePaymentError(error, res, next);
+  }
+});
 
-    if (!documentService.canTransition(doc.document_type, doc.status, newStatus)) {
-      return res.status(409).json({
+// ============================================================================
+// Payment Ledger Routes
+// ============================================================================
+
+/**
+ * GET /documents/:id/payments
+ * Payments (invoice) or refunds (credit note), voided ones included
+ */
+router.get('/:id/payments', async (req, res, next) => {
+  try {
+    const { document, payments } = await documentService.listPayments(req.clinicDb, req.params.id);
+
+    res.json({
+      success: true,
+      data: payments,
+      summary: {
+        total: document.total,
+        amountPaid: document.amount_paid,
+        amountDue: document.amount_due,
+        status: document.status
+      }
+    });
+  } catch (error) {
+    handlePaymentError(error, res, next);
+  }
+});
+
+/**
+ * POST /documents/:id/payments
+ * Record a payment on an invoice, or a refund on a credit note
+ */
+router.post('/:id/payments', async (req, res, next) => {
+  try {
+    const { error, value } = paymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: { message: `Cannot mark as ${newStatus} an invoice with status "${doc.status}"` }
+        error: { message: 'Validation error', details: error.details.map(d => d.message).join(', ') }
       });
     }
 
-    const updateData = {
-      status: newStatus,
-      amount_paid: Math.min(newAmountPaid, totalDue),
-      amount_due: newAmountDue,
-      payment_method: req.body.paymentMethod || req.body.payment_method || doc.payment_method
-    };
+    const { payment, document } = await documentService.addPayment(
+      req.clinicDb, req.params.id, value, req.user?.id
+    );
 
-    if (isFullyPaid) {
-      updateData.paid_at = new Date();
+    res.status(201).json({
+      success: true,
+      data: payment,
+      document,
+      message: payment.payment_type === 'refund' ? 'Refund recorded' : 'Payment recorded'
+    });
+  } catch (error) {
+    handlePaymentError(error, res, next);
+  }
+});
+
+/**
+ * POST /documents/:id/payments/:paymentId/void
+ * Void a payment entered by mistake (kept in the ledger with the reason)
+ */
+router.post('/:id/payments/:paymentId/void', async (req, res, next) => {
+  try {
+    const { error, value } = voidPaymentSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Validation error', details: error.details.map(d => d.message).join(', ') }
+      });
     }
 
-    await doc.update(updateData);
+    const { payment, document } = await documentService.voidPayment(
+      req.clinicDb, req.params.id, req.params.paymentId, {
+        reason: value.reason,
+        voidedBy: req.user?.id
+      }
+    );
 
-    res.json({ success: true, data: doc, message: isFullyPaid ? 'Invoice fully paid' : 'Partial payment recorded' });
+    res.json({ success: true, data: payment, document, message: 'Payment voided' });
   } catch (error) {
-    next(error);
+    handlePaymentError(error, res, next);
+  }
+});
+
+// ============================================================================
+// Dunning Routes (overdue invoices)
+// ============================================================================
+
+/**
+ * Map dunning errors to HTTP responses
+ */
+function handleDunningError(error, res, next) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: { message: error.message } });
+  }
+  if (error.message.includes('Unknown dunning step')) {
+    return res.status(400).json({ success: false, error: { message: error.message } });
+  }
+  if (error.message.includes('Only overdue') || error.message.includes('only applies') ||
+      error.message.includes('already') || error.message.includes('stopped') ||
+      error.message.includes('No dunning step') || error.message.includes('Nothing is left to pay')) {
+    return res.status(409).json({ success: false, error: { message: error.message } });
+  }
+  next(error);
+}
+
+/**
+ * GET /documents/:id/dunning
+ * Dunning state of an invoice and the notices sent
+ */
+router.get('/:id/dunning', async (req, res, next) => {
+  try {
+    const history = await dunningService.getDunningHistory(req.clinicDb, req.params.id);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    handleDunningError(error, res, next);
+  }
+});
+
+/**
+ * POST /documents/:id/dunning/send
+ * Send the next dunning step due now (or the step given by stepKey)
+ */
+router.post('/:id/dunning/send', async (req, res, next) => {
+  try {
+    const { error, value } = dunningSendSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Validation error', details: error.details.map(d => d.message).join(', ') }
+      });
+    }
+
+    const billingSettings = await loadBillingSettings(req, 'dunning');
+    const notice = await dunningService.sendDunningStep(req.clinicDb, req.params.id, value.stepKey || null, {
+      billingSettings,
+      actor: getActor(req)
+    });
+
+    res.status(201).json({ success: true, data: notice, message: 'Dunning notice sent' });
+  } catch (error) {
+    handleDunningError(error, res, next);
+  }
+});
+
+/**
+ * POST /documents/:id/dunning/stop
+ * Stop the dunning of an invoice (payment plan agreed, dispute...)
+ */
+router.post('/:id/dunning/stop', async (req, res, next) => {
+  try {
+    const invoice = await dunningService.stopDunning(req.clinicDb, req.params.id, getActor(req));
+    res.json({ success: true, data: invoice, message: 'Dunning stopped' });
+  } catch (error) {
+    handleDunningError(error, res, next);
+  }
+});
+
+/**
+ * POST /documents/:id/dunning/resume
+ * Resume the dunning of an invoice: the next step due goes out on the next scheduler cycle
+ */
+router.post('/:id/dunning/resume', async (req, res, next) => {
+  try {
+    const invoice = await dunningService.resumeDunning(req.clinicDb, req.params.id, getActor(req));
+    res.json({ success: true, data: invoice, message: 'Dunning resumed' });
+  } catch (error) {
+    handleDunningError(error, res, next);
+  }
+});
+
+/**
+ * GET /documents/:id/dunning/:noticeId/pdf
+ * Letter of a notice as it was sent (to print and post when there is no email)
+ */
+router.get('/:id/dunning/:noticeId/pdf', async (req, res, next) => {
+  try {
+    const billingSettings = await loadBillingSettings(req, 'dunning');
+    const { buffer, filename } = await dunningService.generateNoticePDF(
+      req.clinicDb, req.params.id, req.params.noticeId, billingSettings
+    );
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${filename}"`,
+      'Content-Length': buffer.length
+    });
+    res.send(buffer);
+  } catch (error) {
+    handleDunningError(error, res, next);
   }
 });
 
@@ -710,9 +1380,17 @@ router.post('/:id/convert', async (req, res, next) => {
  */
 router.post('/:id/credit-note', async (req, res, next) => {
   try {
+    const { error, value } = creditNoteSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Validation error', details: error.details.map(d => d.message).join(', ') }
+      });
+    }
+
     const creditNote = await documentService.createCreditNote(
       req.clinicDb, req.params.id, req.clinicId, {
-        ...req.body,
+        ...value,
         createdBy: req.user?.id
       }
     );
@@ -726,7 +1404,7 @@ router.post('/:id/credit-note', async (req, res, next) => {
     if (error.message.includes('not found') || error.message.includes('not an invoice')) {
       return res.status(404).json({ success: false, error: { message: error.message } });
     }
-    if (error.message.includes('must be sent')) {
+    if (error.message.includes('must be sent') || error.message.includes('exceeds')) {
       return res.status(409).json({ success: false, error: { message: error.message } });
     }
     next(error);
@@ -756,75 +1434,274 @@ router.post('/:id/duplicate', async (req, res, next) => {
   }
 });
 
+// ============================================================================
+// PDF & E-invoicing (Factur-X / UBL)
+// ============================================================================
+
+async function loadBillingSettings(req, scope) {
+  try {
+    const [settingsResult] = await req.clinicDb.query(
+      `SELECT billing_settings FROM clinic_settings WHERE facility_id = :clinicId`,
+      { replacements: { clinicId: req.clinicId } }
+    );
+    return settingsResult.length > 0 ? (settingsResult[0].billing_settings || {}) : {};
+  } catch (e) {
+    logger.warn(`[documents/${scope}] Could not load billing settings:`, e.message);
+    return {};
+  }
+}
+
 /**
- * GET /documents/:id/pdf
- * Generate PDF with Factur-X CII XML embedding (invoices/credit_notes only)
+ * Document with its items, null when missing or deleted
  */
-router.get('/:id/pdf', async (req, res, next) => {
-  try {
+async function loadDocumentWithItems(req) {
+  const Document = await getModel(req.clinicDb, 'Document');
+  const DocumentItem = await getModel(req.clinicDb, 'DocumentItem');
+
+  const doc = await Document.findByPk(req.params.id, {
+    include: [{ model: DocumentItem, as: 'items' }],
+    order: [[{ model: DocumentItem, as: 'items' }, 'sort_order', 'ASC']]
+  });
+
+  return doc && !doc.deleted_at ? doc : null;
+}
+
+/**
+ * E-invoice source: document completed with the seller identity of the billing
+ * settings and, for a credit note, the invoice it corrects (BG-3)
+ */
+async function buildEInvoiceDocument(req, docData, billingSettings) {
+  const enrichedDoc = facturxService.applyBillingSettings(docData, billingSettings);
+
+  if (docData.document_type === 'credit_note' && docData.converted_from_id) {
     const Document = await getModel(req.clinicDb, 'Document');
-    const DocumentItem = await getModel(req.clinicDb, 'DocumentItem');
+    const invoice = await Document.findByPk(docData.converted_from_id, {
+      attributes: ['document_number', 'issue_date']
+    });
+    if (invoice) {
+      enrichedDoc.preceding_invoice = { number: invoice.document_number, issueDate: invoice.issue_date };
+    }
+  }
 
-    const doc = await Document.findByPk(req.params.id, {
-      include: [{ model: DocumentItem, as: 'items', order: [['sort_order', 'ASC']] }]
+  return enrichedDoc;
+}
+
+/**
+ * Visual PDF with the Factur-X XML embedded (PDF/A-3b)
+ * Falls back to the plain PDF when the embedding fails.
+ */
+async function renderFacturXPdf(docData, enrichedDoc, items, billingSettings, profile, verifactu = null) {
+  const pdfBuffer = await pdfService.generateDocumentPDF(docData, items, { billingSettings, verifactu });
+  const xmlString = facturxService.generateXML(enrichedDoc, items, profile);
+
+  // Validate XML before embedding
+  const validation = facturxService.validateXML(xmlString, profile);
+  if (!validation.valid) {
+    logger.warn('[documents/pdf] Factur-X XML validation warnings:', validation.errors);
+  }
+
+  try {
+    return await pdfService.embedFacturX(pdfBuffer, xmlString, profile);
+  } catch (embedErr) {
+    logger.warn('[documents/pdf] Factur-X embedding failed, serving plain PDF:', embedErr.message);
+    return pdfBuffer;
+  }
+}
+
+/**
+ * VeriFactu QR code of a registered invoice, null otherwise
+ */
+async function loadVerifactuQr(req, docData, billingSettings) {
+  const record = await verifactuService.getRecordForDocument(req.clinicDb, docData.id);
+  return record ? verifactuService.getQrCode(record, billingSettings) : null;
+}
+
+function sendUBL(res, docData, enrichedDoc, items) {
+  const xmlString = ublService.generateUBL(enrichedDoc, items);
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${docData.document_number || 'document'}.xml"`
+  });
+  res.send(xmlString);
+}
+
+function sendPDF(res, docData, pdfBuffer, disposition = 'inline') {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `${disposition}; filename="${docData.document_number || 'document'}.pdf"`,
+    'Content-Length': pdfBuffer.length
+  });
+  res.send(pdfBuffer);
+}
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: { message: 'Validation error', details: error.details.map(d => d.message).join(', ') }
+  });
+}
+
+function notAnEInvoice(res) {
+  return res.status(409).json({
+    success: false,
+    error: { message: 'E-invoices only apply to invoices and credit notes' }
+  });
+}
+
+/**
+ * GET /documents/:id/facturx/validate?profile=EN16931
+ * Validation report of the Factur-X invoice as it would be sent: XSD of the
+ * profile, EN 16931 business rules and PDF/A-3 container of the generated PDF
+ */
+router.get('/:id/facturx/validate', async (req, res, next) => {
+  try {
+    const { error, value: query } = facturxValidateQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const doc = await loadDocumentWithItems(req);
+    if (!doc) {
+      return res.status(404).json({ success: false, error: { message: 'Document not found' } });
+    }
+    if (!E_INVOICE_DOCUMENT_TYPES.includes(doc.document_type)) return notAnEInvoice(res);
+
+    const billingSettings = await loadBillingSettings(req, 'facturx/validate');
+    const docData = doc.toJSON();
+    const items = docData.items || [];
+    const profile = query.profile || billingSettings.facturxProfile || 'EN16931';
+    const enrichedDoc = await buildEInvoiceDocument(req, docData, billingSettings);
+
+    // Same PDF as GET /:id/pdf, so the report covers what the buyer receives
+    const verifactu = await loadVerifactuQr(req, docData, billingSettings);
+    const pdfBuffer = await renderFacturXPdf(docData, enrichedDoc, items, billingSettings, profile, verifactu);
+    const report = await facturxService.validateInvoice(enrichedDoc, items, profile, { pdfBuffer });
+
+    res.json({
+      success: true,
+      data: {
+        documentId: doc.id,
+        documentNumber: doc.document_number,
+        ...report
+      }
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!doc || doc.deleted_at) {
+/**
+ * GET /documents/:id/ubl
+ * UBL 2.1 XML (Peppol BIS Billing 3.0): Invoice, or CreditNote for credit notes
+ */
+router.get('/:id/ubl', async (req, res, next) => {
+  try {
+    const doc = await loadDocumentWithItems(req);
+    if (!doc) {
       return res.status(404).json({ success: false, error: { message: 'Document not found' } });
     }
+    if (!E_INVOICE_DOCUMENT_TYPES.includes(doc.document_type)) return notAnEInvoice(res);
 
+    const billingSettings = await loadBillingSettings(req, 'ubl');
+    const docData = doc.toJSON();
+    const enrichedDoc = await buildEInvoiceDocument(req, docData, billingSettings);
+
+    sendUBL(res, docData, enrichedDoc, docData.items || []);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /documents/:id/e-invoice?format=facturx|ubl
+ * E-invoice in the requested format, else the clinic default
+ * (billing_settings.eInvoiceFormat): Factur-X PDF or UBL XML
+ */
+router.get('/:id/e-invoice', async (req, res, next) => {
+  try {
+    const { error, value: query } = eInvoiceQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const doc = await loadDocumentWithItems(req);
+    if (!doc) {
+      return res.status(404).json({ success: false, error: { message: 'Document not found' } });
+    }
+    if (!E_INVOICE_DOCUMENT_TYPES.includes(doc.document_type)) return notAnEInvoice(res);
+
+    const billingSettings = await loadBillingSettings(req, 'e-invoice');
     const docData = doc.toJSON();
     const items = docData.items || [];
+    const enrichedDoc = await buildEInvoiceDocument(req, docData, billingSettings);
+    const format = query.format || billingSettings.eInvoiceFormat || 'facturx';
 
-    // Load billing settings for seller info, legal mentions, conditions
-    let billingSettings = {};
-    try {
-      const [settingsResult] = await req.clinicDb.query(
-        `SELECT billing_settings FROM clinic_settings WHERE facility_id = :clinicId`,
-        { replacements: { clinicId: req.clinicId } }
-      );
-      billingSettings = settingsResult.length > 0 ? (settingsResult[0].billing_settings || {}) : {};
-    } catch (e) {
-      logger.warn('[documents/pdf] Could not load billing settings:', e.message);
+    if (format === 'ubl') {
+      return sendUBL(res, docData, enrichedDoc, items);
     }
 
-    // Step 1: Generate visual PDF
-    let pdfBuffer = await pdfService.generateDocumentPDF(docData, items, { billingSettings });
+    const profile = billingSettings.facturxProfile || 'EN16931';
+    const verifactu = await loadVerifactuQr(req, docData, billingSettings);
+    const pdfBuffer = await renderFacturXPdf(docData, enrichedDoc, items, billingSettings, profile, verifactu);
+    sendPDF(res, docData, pdfBuffer, 'attachment');
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Step 2: For invoices and credit notes, generate Factur-X XML and embed
-    const isEInvoice = ['invoice', 'credit_note'].includes(docData.document_type);
-    if (isEInvoice) {
-      const profile = billingSettings.facturxProfile || 'EN16931';
+/**
+ * GET /documents/:id/pdf
+ * Generate PDF with Factur-X CII XML embedding (invoices/credit_notes only)
+ */
+router.get('/:id/pdf', async (req, res, next) => {
+  try {
+    const doc = await loadDocumentWithItems(req);
+    if (!doc) {
+      return res.status(404).json({ success: false, error: { message: 'Document not found' } });
+    }
 
-      // Enrich document with seller info from billing settings
-      const enrichedDoc = {
-        ...docData,
-        seller_siren: docData.seller_siren || billingSettings.seller?.siren,
-        seller_vat_number: docData.seller_vat_number || billingSettings.seller?.vatNumber,
-        seller_email: docData.seller_email || billingSettings.seller?.email
-      };
+    const docData = doc.toJSON();
+    const items = docData.items || [];
 
-      const xmlString = facturxService.generateXML(enrichedDoc, items, profile);
+    // Load billing settings for seller info, legal mentions, conditions
+    const billingSettings = await loadBillingSettings(req, 'pdf');
 
-      // Validate XML before embedding
-      const validation = facturxService.validateXML(xmlString, profile);
-      if (!validation.valid) {
-        logger.warn('[documents/pdf] Factur-X XML validation warnings:', validation.errors);
-      }
+    // Quotes: visual PDF only. Invoices and credit notes: Factur-X XML embedded
+    if (!E_INVOICE_DOCUMENT_TYPES.includes(docData.document_type)) {
+      return sendPDF(res, docData, await pdfService.generateDocumentPDF(docData, items, { billingSettings }));
+    }
 
-      // Embed XML into PDF/A-3b
-      try {
-        pdfBuffer = await pdfService.embedFacturX(pdfBuffer, xmlString);
-      } catch (embedErr) {
-        logger.warn('[documents/pdf] Factur-X embedding failed, serving plain PDF:', embedErr.message);
-      }
+    const profile = billingSettings.facturxProfile || 'EN16931';
+    const enrichedDoc = await buildEInvoiceDocument(req, docData, billingSettings);
+    const verifactu = await loadVerifactuQr(req, docData, billingSettings);
+    sendPDF(res, docData, await renderFacturXPdf(docData, enrichedDoc, items, billingSettings, profile, verifactu));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /documents/:id/care-sheet
+ * Feuille de soins of a document billed to health insurance (acts, AMO / AMC / patient split)
+ */
+router.get('/:id/care-sheet', async (req, res, next) => {
+  try {
+    const doc = await loadDocumentWithItems(req);
+    if (!doc) {
+      return res.status(404).json({ success: false, error: { message: 'Document not found' } });
+    }
+    if (!doc.insurance_details) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Document is not billed to health insurance' }
+      });
     }
 
-    // Set response headers
-    const filename = `${docData.document_number || 'document'}.pdf`;
+    const billingSettings = await loadBillingSettings(req, 'care-sheet');
+    const docData = doc.toJSON();
+    const pdfBuffer = await insuranceBillingService.generateCareSheet(
+      req.clinicDb, docData, docData.items || [], { billingSettings }
+    );
+
     res.set({
       'Content-Type': 'application/pdf',
-      'Content-Disposition': `inline; filename="${filename}"`,
+      'Content-Disposition': `inline; filename="feuille-de-soins-${docData.document_number}.pdf"`,
       'Content-Length': pdfBuffer.length
     });
     res.send(pdfBuffer);
@@ -736,7 +736,7 @@ router.delete('/:id', async (req, res) => {
       // Reassign future appointments
       await req.clinicDb.query(`
         UPDATE appointments
-        SET provider_id = :reassign_to, updated_at = CURRENT_TIMESTAMP
+        SET provider_id = :reassign_to, ical_sequence = ical_sequence + 1, updated_at = CURRENT_TIMESTAMP
         WHERE provider_id = :id
           AND appointment_date >= CURRENT_DATE
           AND status NOT IN ('cancelled', 'completed', 'no_show')
@@ -763,6 +763,7 @@ router.delete('/:id', async (req, res) => {
         deleted_at = CURRENT_TIMESTAMP,
         deleted_by = :deleted_by,
         reassigned_to = :reassign_to,
+        calendar_feed_token = NULL,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = :id
       RETURNING
@@ -0,0 +1,240 @@
+/**
+ * Inbound Messages Routes
+ * Reception inbox for patient replies received by SMS / WhatsApp / email.
+ * Matched replies are processed automatically; unmatched or failed ones
+ * wait here to be assigned to an appointment or dismissed.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const { getModel } = require('../base/ModelFactory');
+const inboundMessageService = require('../services/inboundMessageService');
+const { requirePermission } = require('../middleware/permissions');
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  status: Joi.string().valid('received', 'processed', 'unmatched', 'failed', 'resolved', 'dismissed').optional(),
+  channel: Joi.string().valid('sms', 'whatsapp', 'email').optional(),
+  inbox: Joi.boolean().optional(),
+  appointmentId: Joi.string().uuid().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const resolveSchema = Joi.object({
+  appointmentId: Joi.string().uuid().required(),
+  intent: Joi.string().valid('confirm', 'cancel', 'unknown').default('unknown'),
+  note: Joi.string().max(1000).allow('').optional()
+});
+
+const dismissSchema = Joi.object({
+  note: Joi.string().max(1000).allow('').optional()
+});
+
+/**
+ * Transform inbound message for API response
+ */
+const transformInboundMessage = (message) => {
+  if (!message) return null;
+  const data = message.toJSON ? message.toJSON() : message;
+  return {
+    id: data.id,
+    channel: data.channel,
+    from: data.from_address,
+    to: data.to_address,
+    subject: data.subject,
+    body: data.body,
+    intent: data.intent,
+    status: data.status,
+    appointmentId: data.appointment_id,
+    patientId: data.patient_id,
+    matchMethod: data.match_method,
+    processingResult: data.processing_result,
+    errorMessage: data.error_message,
+    handledBy: data.handled_by,
+    handledAt: data.handled_at,
+    handlingNote: data.handling_note,
+    receivedAt: data.received_at,
+    patient: data.patient ? {
+      id: data.patient.id,
+      firstName: data.patient.first_name,
+      lastName: data.patient.last_name
+    } : null
+  };
+};
+
+/**
+ * GET /inbound-messages
+ * List inbound messages (inbox=true for unmatched/failed only)
+ */
+router.get('/',
+  requirePermission('appointments.view'),
+  async (req, res) => {
+    try {
+      const { error, value } = listQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const InboundMessage = await getModel(req.clinicDb, 'InboundMessage');
+      const Patient = await getModel(req.clinicDb, 'Patient');
+
+      const where = {};
+      if (value.inbox) {
+        where.status = { [Op.in]: ['unmatched', 'failed'] };
+      } else if (value.status) {
+        where.status = value.status;
+      }
+      if (value.channel) where.channel = value.channel;
+      if (value.appointmentId) where.appointment_id = value.appointmentId;
+
+      const { count, rows } = await InboundMessage.findAndCountAll({
+        where,
+        include: [{ model: Patient, as: 'patient', attributes: ['id', 'first_name', 'last_name'] }],
+        order: [['received_at', 'DESC']],
+        limit: value.limit,
+        offset: (value.page - 1) * value.limit
+      });
+
+      res.json({
+        success: true,
+        data: rows.map(transformInboundMessage),
+        pagination: {
+          page: value.page,
+          limit: value.limit,
+          total: count,
+          totalPages: Math.ceil(count / value.limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching inbound messages:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /inbound-messages/:id
+ */
+router.get('/:id',
+  requirePermission('appointments.view'),
+  async (req, res) => {
+    try {
+      const InboundMessage = await getModel(req.clinicDb, 'InboundMessage');
+      const Patient = await getModel(req.clinicDb, 'Patient');
+
+      const message = await InboundMessage.findByPk(req.params.id, {
+        include: [{ model: Patient, as: 'patient', attributes: ['id', 'first_name', 'last_name'] }]
+      });
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Inbound message not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: transformInboundMessage(message)
+      });
+    } catch (error) {
+      console.error('Error fetching inbound message:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /inbound-messages/:id/resolve
+ * Assign an inbox message to an appointment and optionally apply the reply
+ */
+router.post('/:id/resolve',
+  requirePermission('appointments.edit'),
+  async (req, res) => {
+    try {
+      const { error, value } = resolveSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const message = await inboundMessageService.resolveManually(
+        req.clinicDb,
+        req.params.id,
+        value,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        data: transformInboundMessage(message),
+        message: 'Inbound message resolved'
+      });
+    } catch (error) {
+      console.error('Error resolving inbound message:', error);
+      res.status(error.message.includes('not found') ? 404 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /inbound-messages/:id/dismiss
+ * Remove a message from the inbox without acting on it
+ */
+router.post('/:id/dismiss',
+  requirePermission('appointments.edit'),
+  async (req, res) => {
+    try {
+      const { error, value } = dismissSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const InboundMessage = await getModel(req.clinicDb, 'InboundMessage');
+      const message = await InboundMessage.findByPk(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Inbound message not found'
+        });
+      }
+
+      await message.handle('dismissed', req.user.id, value.note);
+
+      res.json({
+        success: true,
+        data: transformInboundMessage(message),
+        message: 'Inbound message dismissed'
+      });
+    } catch (error) {
+      console.error('Error dismissing inbound message:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * Insurance Claims Routes — Tiers-payant receivables (France)
+ *
+ * Claims are opened when an invoice billed in tiers payant is issued
+ * (PATCH /documents/:id/send): one per insurer (AMO, AMC) for its share.
+ * These routes list them, sum what each insurer still owes, record the
+ * insurer payments (document payment ledger) and reject unpaid claims.
+ * All routes clinic-isolated via req.clinicDb / req.clinicId.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const insuranceBillingService = require('../services/insuranceBillingService');
+const { requirePermission } = require('../middleware/permissions');
+const { PAYMENT_METHODS } = require('../models/clinic/DocumentPayment');
+const { INSURER_TYPES, CLAIM_STATUS } = require('../models/clinic/InsuranceClaim');
+
+const router = express.Router();
+
+// ============================================================================
+// Validation schemas
+// ============================================================================
+
+const querySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...Object.values(CLAIM_STATUS)),
+  insurerType: Joi.string().valid(...INSURER_TYPES),
+  insurerName: Joi.string().max(255),
+  documentId: Joi.string().uuid()
+});
+
+const receivablesQuerySchema = Joi.object({
+  insurerType: Joi.string().valid(...INSURER_TYPES)
+});
+
+const paymentSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  paymentDate: Joi.date().iso(),
+  paymentMethod: Joi.string().valid(...PAYMENT_METHODS).default('transfer'),
+  reference: Joi.string().max(100).allow('', null),
+  notes: Joi.string().allow('', null)
+}).options({ stripUnknown: true });
+
+const rejectSchema = Joi.object({
+  reason: Joi.string().min(3).max(500).required()
+}).options({ stripUnknown: true });
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: { message: 'Validation error', details: error.details.map(d => d.message).join(', ') }
+  });
+}
+
+/**
+ * Audit context of the request
+ */
+function getActor(req) {
+  return {
+    userId: req.user.id,
+    companyId: req.user.companyId,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+/**
+ * Map claim / payment ledger errors to HTTP responses
+ */
+function handleClaimError(error, res, next) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: { message: error.message } });
+  }
+  if (error.message.includes('Cannot ') || error.message.includes('cannot be rejected') ||
+      error.message.includes('already rejected') || error.message.includes('exceeds')) {
+    return res.status(409).json({ success: false, error: { message: error.message } });
+  }
+  next(error);
+}
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * GET /insurance-claims
+ * List claims (newest first)
+ */
+router.get('/', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const { error, value } = querySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const { claims, total, page, limit } = await insuranceBillingService.listClaims(req.clinicDb, req.clinicId, value);
+
+    res.json({
+      success: true,
+      data: claims,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /insurance-claims/receivables?insurerType=amo
+ * What each insurer still owes (open and partially paid claims)
+ */
+router.get('/receivables', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const { error, value } = receivablesQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const receivables = await insuranceBillingService.getReceivables(req.clinicDb, req.clinicId, value);
+    res.json({ success: true, data: receivables });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /insurance-claims/:id/payments
+ * Record a payment of the insurer (settles the claim, then the invoice)
+ */
+router.post('/:id/payments', requirePermission('invoices.edit'), async (req, res, next) => {
+  try {
+    const { error, value } = paymentSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const { payment, claim, document } = await insuranceBillingService.recordClaimPayment(
+      req.clinicDb, req.clinicId, req.params.id, value, getActor(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      claim,
+      document,
+      message: 'Insurer payment recorded'
+    });
+  } catch (error) {
+    handleClaimError(error, res, next);
+  }
+});
+
+/**
+ * PATCH /insurance-claims/:id/reject
+ * Reject the outstanding part of a claim: it becomes due by the patient
+ */
+router.patch('/:id/reject', requirePermission('invoices.edit'), async (req, res, next) => {
+  try {
+    const { error, value } = rejectSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const claim = await insuranceBillingService.rejectClaim(
+      req.clinicDb, req.clinicId, req.params.id, value, getActor(req)
+    );
+
+    res.json({ success: true, data: claim, message: 'Insurance claim rejected' });
+  } catch (error) {
+    handleClaimError(error, res, next);
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,7 @@ const createSchema = Joi.object({
   description: Joi.string().allow('', null).optional(),
   color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).default('#3B82F6'),
   location: Joi.string().max(200).allow('', null).optional(),
+  machineType: Joi.string().max(50).allow(null).optional(),
   isActive: Joi.boolean().default(true),
   treatments: Joi.array().items(Joi.string().uuid()).optional()
 });
@@ -24,6 +25,7 @@ const updateSchema = Joi.object({
   description: Joi.string().allow('', null).optional(),
   color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).optional(),
   location: Joi.string().max(200).allow('', null).optional(),
+  machineType: Joi.string().max(50).allow(null).optional(),
   isActive: Joi.boolean().optional(),
   treatments: Joi.array().items(Joi.string().uuid()).optional()
 });
@@ -37,6 +39,7 @@ const querySchema = Joi.object({
 
 // Field mapping camelCase → snake_case
 const fieldMapping = {
+  machineType: 'machine_type',
   isActive: 'is_active',
   companyId: 'company_id'
 };
@@ -62,6 +65,7 @@ const transformFromDb = (item) => {
     description: data.description,
     color: data.color,
     location: data.location,
+    machineType: data.machine_type,
     isActive: data.is_active,
     companyId: data.company_id,
     createdAt: data.created_at,
@@ -235,6 +239,7 @@ router.get('/by-treatment/:treatmentId', async (req, res) => {
         name: m.name,
         color: m.color,
         location: m.location,
+        machineType: m.machine_type,
         isActive: m.is_active
       })),
       count: machines.length
@@ -1,13 +1,17 @@
 /**
- * Medications Routes - CIMA Integration + Custom Medications
+ * Medications Routes - CIMA (ES) / BDPM (FR) Integration + Custom Medications
  * Search, detail, posology, interactions, contraindications
  * Custom medication CRUD for clinic-specific entries
+ *
+ * Reference data comes from the provider of the clinic region (search) or the
+ * provider that returned the medication (/cima/... and /bdpm/... routes).
+ * CIMA lookups are answered from the local catalog (see CachedMedicationProvider).
  */
 
 const express = require('express');
 const Joi = require('joi');
 const { getModel } = require('../base/ModelFactory');
-const { getMedicationProvider } = require('../services/medication/medicationProviderFactory');
+const { getMedicationProvider, getMedicationProviderForSource } = require('../services/medication/medicationProviderFactory');
 const { getPermissionsFromClinicRoles } = require('../middleware/permissions');
 const { PERMISSIONS } = require('../utils/permissionConstants');
 
@@ -58,7 +62,7 @@ async function hasPermission(req, permission) {
 
 /**
  * GET /search?q=ibuprofeno&limit=20
- * Combined search: custom medications first, then CIMA results
+ * Combined search: custom medications first, then the reference database of the region
  */
 router.get('/search', async (req, res) => {
   try {
@@ -71,15 +75,15 @@ router.get('/search', async (req, res) => {
     const maxLimit = Math.min(parseInt(limit) || 20, 50);
     const facilityId = req.user?.facilityId;
 
-    // Run CIMA and custom searches in parallel
-    const provider = getMedicationProvider('ES');
-    const [cimaResults, customResults] = await Promise.all([
+    // Run reference (CIMA / BDPM) and custom searches in parallel
+    const provider = getMedicationProvider(req.region || 'ES');
+    const [referenceResults, customResults] = await Promise.all([
       provider ? provider.search(q, { limit: maxLimit }) : [],
       searchCustomMedications(req.clinicDb, facilityId, q, maxLimit)
     ]);
 
-    // Custom medications first, then CIMA
-    const results = [...customResults, ...cimaResults].slice(0, maxLimit);
+    // Custom medications first, then reference database
+    const results = [...customResults, ...referenceResults].slice(0, maxLimit);
 
     res.json({ results, total: results.length });
   } catch (error) {
@@ -88,15 +92,15 @@ router.get('/search', async (req, res) => {
   }
 });
 
-// ─── CIMA DETAIL ─────────────────────────────────────────────────────────────
+// ─── REFERENCE DETAIL (CIMA / BDPM) ──────────────────────────────────────────
 
 /**
- * GET /cima/:nregistro
- * Full detail of a CIMA medication
+ * GET /:source/:nregistro
+ * Full detail of a CIMA (nregistro) or BDPM (CIS code) medication
  */
-router.get('/cima/:nregistro', async (req, res) => {
+router.get('/:source(cima|bdpm)/:nregistro', async (req, res) => {
   try {
-    const provider = getMedicationProvider('ES');
+    const provider = getMedicationProviderForSource(req.params.source);
     if (!provider) {
       return res.status(404).json({ error: 'Medication provider not available' });
     }
@@ -108,18 +112,18 @@ router.get('/cima/:nregistro', async (req, res) => {
 
     res.json(detail);
   } catch (error) {
-    console.error('CIMA detail error:', error);
+    console.error(`${req.params.source.toUpperCase()} detail error:`, error);
     res.status(500).json({ error: 'Error fetching medication detail' });
   }
 });
 
 /**
- * GET /cima/:nregistro/posology
+ * GET /:source/:nregistro/posology
  * Posology section (4.2) as HTML
  */
-router.get('/cima/:nregistro/posology', async (req, res) => {
+router.get('/:source(cima|bdpm)/:nregistro/posology', async (req, res) => {
   try {
-    const provider = getMedicationProvider('ES');
+    const provider = getMedicationProviderForSource(req.params.source);
     if (!provider) {
       return res.status(404).json({ error: 'Medication provider not available' });
     }
@@ -131,18 +135,18 @@ router.get('/cima/:nregistro/posology', async (req, res) => {
 
     res.json({ nregistro: req.params.nregistro, section: '4.2', content: html });
   } catch (error) {
-    console.error('CIMA posology error:', error);
+    console.error(`${req.params.source.toUpperCase()} posology error:`, error);
     res.status(500).json({ error: 'Error fetching posology' });
   }
 });
 
 /**
- * GET /cima/:nregistro/interactions
+ * GET /:source/:nregistro/interactions
  * Interactions section (4.5) as HTML
  */
-router.get('/cima/:nregistro/interactions', async (req, res) => {
+router.get('/:source(cima|bdpm)/:nregistro/interactions', async (req, res) => {
   try {
-    const provider = getMedicationProvider('ES');
+    const provider = getMedicationProviderForSource(req.params.source);
     if (!provider) {
       return res.status(404).json({ error: 'Medication provider not available' });
     }
@@ -154,18 +158,18 @@ router.get('/cima/:nregistro/interactions', async (req, res) => {
 
     res.json({ nregistro: req.params.nregistro, section: '4.5', content: html });
   } catch (error) {
-    console.error('CIMA interactions error:', error);
+    console.error(`${req.params.source.toUpperCase()} interactions error:`, error);
     res.status(500).json({ error: 'Error fetching interactions' });
   }
 });
 
 /**
- * GET /cima/:nregistro/contraindications
+ * GET /:source/:nregistro/contraindications
  * Contraindications section (4.3) as HTML
  */
-router.get('/cima/:nregistro/contraindications', async (req, res) => {
+router.get('/:source(cima|bdpm)/:nregistro/contraindications', async (req, res) => {
   try {
-    const provider = getMedicationProvider('ES');
+    const provider = getMedicationProviderForSource(req.params.source);
     if (!provider) {
       return res.status(404).json({ error: 'Medication provider not available' });
     }
@@ -177,7 +181,7 @@ router.get('/cima/:nregistro/contraindications', async (req, res) => {
 
     res.json({ nregistro: req.params.nregistro, section: '4.3', content: html });
   } catch (error) {
-    console.error('CIMA contraindications error:', error);
+    console.error(`${req.params.source.toUpperCase()} contraindications error:`, error);
     res.status(500).json({ error: 'Error fetching contraindications' });
   }
 });
@@ -187,7 +191,7 @@ router.get('/cima/:nregistro/contraindications', async (req, res) => {
 /**
  * POST /interactions-check
  * Check interactions for a list of medications
- * Body: { medications: [{ nregistro, name }] }
+ * Body: { medications: [{ nregistro, name, source }] }
  */
 router.post('/interactions-check', async (req, res) => {
   try {
@@ -197,15 +201,17 @@ router.post('/interactions-check', async (req, res) => {
       return res.json({ interactions: [], message: 'At least 2 medications required' });
     }
 
-    const provider = getMedicationProvider('ES');
-    if (!provider) {
+    // Medications without a source come from the database of the region
+    const defaultSource = (req.region || 'es') === 'fr' ? 'bdpm' : 'cima';
+    const referenceMedications = medications.filter(m => m.nregistro && getMedicationProviderForSource(m.source || defaultSource));
+    if (referenceMedications.length === 0) {
       return res.json({ interactions: [], message: 'Provider not available' });
     }
 
-    // Fetch interaction data for each CIMA medication
-    const cimaMediactions = medications.filter(m => m.nregistro);
+    // Fetch interaction data for each reference medication
     const interactionsData = await Promise.all(
-      cimaMediactions.map(async (med) => {
+      referenceMedications.map(async (med) => {
+        const provider = getMedicationProviderForSource(med.source || defaultSource);
         const html = await provider.getInteractions(med.nregistro);
         return { nregistro: med.nregistro, name: med.name, interactionsHtml: html };
       })
@@ -213,7 +219,7 @@ router.post('/interactions-check', async (req, res) => {
 
     res.json({
       interactions: interactionsData.filter(d => d.interactionsHtml),
-      checkedCount: cimaMediactions.length
+      checkedCount: referenceMedications.length
     });
   } catch (error) {
     console.error('Interactions check error:', error);
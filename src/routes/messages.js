@@ -0,0 +1,270 @@
+/**
+ * Messages Routes
+ * Message outbox: every email / SMS / WhatsApp sent to patients,
+ * with its delivery status. Lets staff check whether a consent link or
+ * an invoice actually went out, and resend it.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const { getModel } = require('../base/ModelFactory');
+const messageOutboxService = require('../services/messageOutboxService');
+const { requirePermission } = require('../middleware/permissions');
+
+// Validation schemas
+const listQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'sending', 'sent', 'failed', 'cancelled').optional(),
+  channel: Joi.string().valid('email', 'sms', 'whatsapp').optional(),
+  templateType: Joi.string().max(50).optional(),
+  patientId: Joi.string().uuid().optional(),
+  appointmentId: Joi.string().uuid().optional(),
+  documentId: Joi.string().uuid().optional(),
+  consentRequestId: Joi.string().uuid().optional(),
+  recipient: Joi.string().max(255).optional(),
+  dateFrom: Joi.date().iso().optional(),
+  dateTo: Joi.date().iso().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const resendSchema = Joi.object({
+  recipient: Joi.string().max(255).optional()
+});
+
+/**
+ * Transform outbox entry for API response
+ */
+const transformMessage = (message) => {
+  if (!message) return null;
+  const data = message.toJSON ? message.toJSON() : message;
+  return {
+    id: data.id,
+    channel: data.channel,
+    templateType: data.template_type,
+    recipient: data.recipient,
+    recipientName: data.recipient_name,
+    language: data.language,
+    status: data.status,
+    provider: data.provider,
+    providerMessageId: data.provider_message_id,
+    attempts: data.attempts,
+    maxAttempts: data.max_attempts,
+    nextAttemptAt: data.next_attempt_at,
+    lastError: data.last_error,
+    sentAt: data.sent_at,
+    patientId: data.patient_id,
+    appointmentId: data.appointment_id,
+    appointmentActionId: data.appointment_action_id,
+    documentId: data.document_id,
+    consentRequestId: data.consent_request_id,
+    resendOf: data.resend_of,
+    createdBy: data.created_by,
+    createdAt: data.created_at,
+    updatedAt: data.updated_at
+  };
+};
+
+/**
+ * GET /messages
+ * List outbox messages with filters
+ */
+router.get('/',
+  requirePermission('appointments.view'),
+  async (req, res) => {
+    try {
+      const { error, value } = listQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const MessageOutbox = await getModel(req.clinicDb, 'MessageOutbox');
+
+      const where = {};
+      if (value.status) where.status = value.status;
+      if (value.channel) where.channel = value.channel;
+      if (value.templateType) where.template_type = value.templateType;
+      if (value.patientId) where.patient_id = value.patientId;
+      if (value.appointmentId) where.appointment_id = value.appointmentId;
+      if (value.documentId) where.document_id = value.documentId;
+      if (value.consentRequestId) where.consent_request_id = value.consentRequestId;
+      if (value.recipient) where.recipient = { [Op.iLike]: `%${value.recipient}%` };
+      if (value.dateFrom || value.dateTo) {
+        where.created_at = {};
+        if (value.dateFrom) where.created_at[Op.gte] = value.dateFrom;
+        if (value.dateTo) where.created_at[Op.lte] = value.dateTo;
+      }
+
+      const { count, rows } = await MessageOutbox.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC']],
+        limit: value.limit,
+        offset: (value.page - 1) * value.limit
+      });
+
+      res.json({
+        success: true,
+        data: rows.map(transformMessage),
+        pagination: {
+          page: value.page,
+          limit: value.limit,
+          total: count,
+          totalPages: Math.ceil(count / value.limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /messages/stats
+ * Count messages per status
+ */
+router.get('/stats',
+  requirePermission('appointments.view'),
+  async (req, res) => {
+    try {
+      const stats = await messageOutboxService.getStats(req.clinicDb);
+
+      res.json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      console.error('Error fetching message stats:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /messages/:id
+ * Get one message with its template data
+ */
+router.get('/:id',
+  requirePermission('appointments.view'),
+  async (req, res) => {
+    try {
+      const MessageOutbox = await getModel(req.clinicDb, 'MessageOutbox');
+      const message = await MessageOutbox.findByPk(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not found'
+        });
+      }
+
+      // Resends of this message, newest first
+      const resends = await MessageOutbox.findAll({
+        where: { resend_of: message.id },
+        order: [['created_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...transformMessage(message),
+          payload: message.payload,
+          resends: resends.map(transformMessage)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching message:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /messages/:id/resend
+ * Send the same message again (optionally to a corrected recipient)
+ */
+router.post('/:id/resend',
+  requirePermission('appointments.edit'),
+  async (req, res) => {
+    try {
+      const { error, value } = resendSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const message = await messageOutboxService.resend(req.clinicDb, req.params.id, req.user.id, value);
+
+      res.status(201).json({
+        success: true,
+        data: transformMessage(message),
+        message: message.status === 'sent' ? 'Message resent' : 'Message queued for delivery'
+      });
+    } catch (error) {
+      console.error('Error resending message:', error);
+      res.status(error.message.includes('not found') ? 404 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /messages/:id/cancel
+ * Stop retrying a pending message
+ */
+router.post('/:id/cancel',
+  requirePermission('appointments.edit'),
+  async (req, res) => {
+    try {
+      const MessageOutbox = await getModel(req.clinicDb, 'MessageOutbox');
+      const message = await MessageOutbox.findByPk(req.params.id);
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not found'
+        });
+      }
+
+      if (message.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot cancel a message with status '${message.status}'`
+        });
+      }
+
+      await message.cancel();
+
+      res.json({
+        success: true,
+        data: transformMessage(message),
+        message: 'Message cancelled'
+      });
+    } catch (error) {
+      console.error('Error cancelling message:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
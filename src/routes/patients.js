@@ -21,6 +21,8 @@ const { getModel } = require('../base/ModelFactory');
 const { logger } = require('../utils/logger');
 const { PERMISSIONS } = require('../utils/permissionConstants');
 const { getPermissionsFromClinicRoles } = require('../middleware/permissions');
+const patientService = require('../services/patientService');
+const packageService = require('../services/packageService');
 
 const router = express.Router();
 
@@ -55,94 +57,36 @@ router.post('/provisional', async (req, res, next) => {
       });
     }
 
-    const Patient = await getModel(req.clinicDb, 'Patient');
-
-    // Auto-fill facility_id
-    if (!value.facility_id) {
-      const [facilities] = await req.clinicDb.query(
-        `SELECT id FROM medical_facilities WHERE is_active = true LIMIT 1`
-      );
-      if (facilities && facilities.length > 0) {
-        value.facility_id = facilities[0].id;
-      } else if (req.user.companyId) {
-        value.facility_id = req.user.companyId;
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: { message: 'No facility available for this clinic' }
-        });
-      }
-    }
+    const { patient, rejected } = await patientService.createProvisionalPatient(req.clinicDb, value, {
+      fallbackFacilityId: req.user.companyId
+    });
 
-    // Auto-fill placeholder values for missing fields
-    if (!value.last_name) {
-      value.last_name = 'À COMPLÉTER';
+    if (rejected && rejected.reason === 'no_facility') {
+      return res.status(400).json({
+        success: false,
+        error: { message: rejected.message }
+      });
     }
-    // email stays null if not provided (column allows null)
-
-    // Set profile_status to provisional
-    value.profile_status = 'provisional';
-
-    // Duplicate check by phone only (not by name, since last_name is placeholder)
-    const existingByPhone = await Patient.findOne({
-      where: {
-        phone: value.phone,
-        archived: false
-      }
-    });
 
-    if (existingByPhone) {
+    if (rejected) {
+      const existingPatient = rejected.existingPatient;
       return res.status(409).json({
         success: false,
         error: {
-          message: 'Un patient avec ce numéro de téléphone existe déjà',
+          message: rejected.message,
           details: 'Duplicate phone number',
           existingPatient: {
-            id: existingByPhone.id,
-            firstName: existingByPhone.first_name,
-            lastName: existingByPhone.last_name,
-            patientNumber: existingByPhone.patient_number
+            id: existingPatient.id,
+            firstName: existingPatient.first_name,
+            lastName: existingPatient.last_name,
+            patientNumber: existingPatient.patient_number
           }
         }
       });
     }
 
-    // Create the patient
-    const patient = await Patient.create(value);
-
-    logger.info(`✅ Provisional patient created: ${patient.first_name} (${patient.phone})`, {
-      patientId: patient.id,
-      clinicId: req.user.companyId
-    });
-
     // Auto-add creator to care team (same logic as onAfterCreate)
-    try {
-      const HealthcareProvider = await getModel(req.clinicDb, 'HealthcareProvider');
-      const PatientCareTeam = await getModel(req.clinicDb, 'PatientCareTeam');
-
-      const provider = await HealthcareProvider.findOne({
-        where: { central_user_id: req.user.id },
-        attributes: ['id']
-      });
-
-      if (provider) {
-        await PatientCareTeam.findOrCreate({
-          where: {
-            patient_id: patient.id,
-            provider_id: provider.id
-          },
-          defaults: {
-            patient_id: patient.id,
-            provider_id: provider.id,
-            role: 'primary_physician',
-            access_level: 'full',
-            granted_at: new Date()
-          }
-        });
-      }
-    } catch (careTeamError) {
-      logger.error(`Failed to add to care team: ${careTeamError.message}`);
-    }
+    await patientService.addCreatorToCareTeam(req.clinicDb, patient.id, req.user.id);
 
     res.status(201).json({
       success: true,
@@ -298,6 +242,38 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+/**
+ * Accès de l'utilisateur à un patient
+ * Option B: PATIENTS_VIEW_ALL = accès à tous les patients
+ * Option A (future): Sans PATIENTS_VIEW_ALL = filtrage par équipe de soins
+ */
+async function hasPatientAccess(req, patientId) {
+  const userPermissions = await getPermissionsFromClinicRoles(req.user.companyId, req.user.role);
+  const canViewAllPatients = userPermissions.includes(PERMISSIONS.PATIENTS_VIEW_ALL) ||
+                             req.user.role === 'super_admin';
+  if (canViewAllPatients) return true;
+
+  // Si pas d'accès global, vérifier l'équipe de soins
+  const PatientCareTeam = await getModel(req.clinicDb, 'PatientCareTeam');
+  const HealthcareProvider = await getModel(req.clinicDb, 'HealthcareProvider');
+  const provider = await HealthcareProvider.findOne({
+    where: { central_user_id: req.user.id },
+    attributes: ['id']
+  });
+  return Boolean(provider && await PatientCareTeam.hasAccess(provider.id, patientId));
+}
+
+function accessDenied(req, res, patientId) {
+  logger.warn(`[Patients] Access denied to patient ${patientId} for user ${req.user.id}`);
+  return res.status(403).json({
+    success: false,
+    error: {
+      message: 'Access denied',
+      details: 'You do not have access to this patient. Request access from the care team.'
+    }
+  });
+}
+
 // ============================================================================
 // ROUTE GET /:id - Vérification accès patient individuel
 // ============================================================================
@@ -306,36 +282,9 @@ router.get('/:id', async (req, res, next) => {
     const { id } = req.params;
 
     const Patient = await getModel(req.clinicDb, 'Patient');
-    const PatientCareTeam = await getModel(req.clinicDb, 'PatientCareTeam');
-    const HealthcareProvider = await getModel(req.clinicDb, 'HealthcareProvider');
-
-    // Vérifier les permissions de l'utilisateur
-    // Option B: PATIENTS_VIEW_ALL = accès à tous les patients
-    // Option A (future): Sans PATIENTS_VIEW_ALL = filtrage par équipe de soins
-    const userPermissions = await getPermissionsFromClinicRoles(req.user.companyId, req.user.role);
-    const canViewAllPatients = userPermissions.includes(PERMISSIONS.PATIENTS_VIEW_ALL) ||
-                               req.user.role === 'super_admin';
-
-    let hasAccess = canViewAllPatients;
 
-    // Si pas d'accès global, vérifier l'équipe de soins
-    if (!hasAccess) {
-      const provider = await HealthcareProvider.findOne({
-        where: { central_user_id: req.user.id },
-        attributes: ['id']
-      });
-      hasAccess = provider && await PatientCareTeam.hasAccess(provider.id, id);
-    }
-
-    if (!hasAccess) {
-      logger.warn(`[Patients] Access denied to patient ${id} for user ${req.user.id}`);
-      return res.status(403).json({
-        success: false,
-        error: {
-          message: 'Access denied',
-          details: 'You do not have access to this patient. Request access from the care team.'
-        }
-      });
+    if (!await hasPatientAccess(req, id)) {
+      return accessDenied(req, res, id);
     }
 
     const patient = await Patient.findByPk(id);
@@ -349,15 +298,119 @@ router.get('/:id', async (req, res, next) => {
       });
     }
 
+    // Séances restantes des forfaits prépayés
+    const packageBalances = await packageService.getPatientBalances(req.clinicDb, id);
+
     res.json({
       success: true,
-      data: patient
+      data: { ...patient.toJSON(), packageBalances }
     });
   } catch (error) {
     next(error);
   }
 });
 
+// ============================================================================
+// ROUTES /:id/packages - Forfaits de soins prépayés du patient
+// ============================================================================
+const packageQuerySchema = Joi.object({
+  status: Joi.string().valid('active', 'exhausted', 'cancelled').optional()
+});
+
+const packageCancelSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required()
+});
+
+function transformPatientPackage(pkg) {
+  const credits = pkg.credits || [];
+  return {
+    id: pkg.id,
+    packageId: pkg.package_id,
+    title: pkg.title,
+    documentId: pkg.document_id,
+    purchasedAt: pkg.purchased_at,
+    expiresAt: pkg.expires_at,
+    isExpired: pkg.isExpired(),
+    status: pkg.status,
+    cancelledAt: pkg.cancelled_at,
+    cancelReason: pkg.cancel_reason,
+    credits: credits.map(credit => ({
+      id: credit.id,
+      serviceId: credit.service_id,
+      serviceTitle: credit.service_title,
+      total: credit.quantity_total,
+      used: credit.quantity_used,
+      remaining: credit.getRemaining(),
+      usages: (credit.usages || []).map(usage => ({
+        appointmentId: usage.appointment_id,
+        usedAt: usage.used_at,
+        reversedAt: usage.reversed_at
+      }))
+    }))
+  };
+}
+
+router.get('/:id/packages', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { error, value } = packageQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: { message: error.details[0].message } });
+    }
+
+    if (!await hasPatientAccess(req, id)) {
+      return accessDenied(req, res, id);
+    }
+
+    const packages = await packageService.listPatientPackages(req.clinicDb, id, value);
+
+    res.json({
+      success: true,
+      data: {
+        packages: packages.map(transformPatientPackage),
+        balances: packageService.summarizeBalances(packages)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/packages/:packageId/cancel', async (req, res, next) => {
+  try {
+    const { id, packageId } = req.params;
+    const { error, value } = packageCancelSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error: { message: error.details[0].message } });
+    }
+
+    if (!await hasPatientAccess(req, id)) {
+      return accessDenied(req, res, id);
+    }
+
+    const pkg = await packageService.cancelPatientPackage(req.clinicDb, id, packageId, value, {
+      userId: req.user.id,
+      companyId: req.user.companyId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      data: transformPatientPackage(pkg),
+      message: 'Package cancelled'
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ success: false, error: { message: error.message } });
+    }
+    if (error.message.includes('already cancelled')) {
+      return res.status(409).json({ success: false, error: { message: error.message } });
+    }
+    next(error);
+  }
+});
+
 // Generate clinic-aware CRUD routes
 // All queries use req.clinicDb (clinic-specific database)
 const patientRoutes = clinicCrudRoutes('Patient', {
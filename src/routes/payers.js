@@ -0,0 +1,237 @@
+/**
+ * Payers Routes — Third-party payers of invoices
+ *
+ * Insurers, mutuals, employers or public bodies invoices are split across
+ * (payerShares on POST / PUT /documents). These routes manage the payers,
+ * list what each was billed and record their payments on their shares.
+ * All routes clinic-isolated via req.clinicDb / req.clinicId.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const payerService = require('../services/payerService');
+const { requirePermission } = require('../middleware/permissions');
+const { PAYMENT_METHODS } = require('../models/clinic/DocumentPayment');
+const { PAYER_TYPES } = require('../models/clinic/Payer');
+const { SHARE_STATUS } = require('../models/clinic/DocumentPayerShare');
+
+const router = express.Router();
+
+// ============================================================================
+// Validation schemas
+// ============================================================================
+
+const addressSchema = Joi.object({
+  line1: Joi.string().allow('', null),
+  line2: Joi.string().allow('', null),
+  postalCode: Joi.string().allow('', null),
+  city: Joi.string().allow('', null),
+  country: Joi.string().max(3).allow('', null)
+}).allow(null);
+
+const payerFields = {
+  name: Joi.string().trim().max(255),
+  payerType: Joi.string().valid(...PAYER_TYPES),
+  code: Joi.string().max(30).allow('', null),
+  siren: Joi.string().max(14).allow('', null),
+  vatNumber: Joi.string().max(20).allow('', null),
+  address: addressSchema,
+  email: Joi.string().email({ tlds: false }).allow('', null),
+  phone: Joi.string().max(20).allow('', null),
+  contactName: Joi.string().max(255).allow('', null),
+  paymentTermsDays: Joi.number().integer().min(0).max(365).allow(null),
+  notes: Joi.string().allow('', null)
+};
+
+const createSchema = Joi.object({
+  ...payerFields,
+  name: payerFields.name.required(),
+  payerType: payerFields.payerType.default('other')
+}).options({ stripUnknown: true });
+
+const updateSchema = Joi.object({
+  ...payerFields,
+  isActive: Joi.boolean()
+}).options({ stripUnknown: true }).min(1);
+
+const querySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  search: Joi.string().max(100),
+  payerType: Joi.string().valid(...PAYER_TYPES),
+  active: Joi.boolean()
+});
+
+const sharesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...Object.values(SHARE_STATUS))
+});
+
+const paymentSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  paymentDate: Joi.date().iso(),
+  paymentMethod: Joi.string().valid(...PAYMENT_METHODS).default('transfer'),
+  reference: Joi.string().max(100).allow('', null),
+  notes: Joi.string().allow('', null)
+}).options({ stripUnknown: true });
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: { message: 'Validation error', details: error.details.map(d => d.message).join(', ') }
+  });
+}
+
+/**
+ * Map payer / payment ledger errors to HTTP responses
+ */
+function handlePayerError(error, res, next) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: { message: error.message } });
+  }
+  if (error.message.includes('already exists') || error.message.includes('Cannot ') ||
+      error.message.includes('can only be recorded') || error.message.includes('exceeds')) {
+    return res.status(409).json({ success: false, error: { message: error.message } });
+  }
+  next(error);
+}
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * GET /payers
+ * List payers (by name)
+ */
+router.get('/', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const { error, value } = querySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const { payers, total, page, limit } = await payerService.listPayers(req.clinicDb, req.clinicId, value);
+
+    res.json({
+      success: true,
+      data: payers,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /payers
+ * Create a payer
+ */
+router.post('/', requirePermission('invoices.create'), async (req, res, next) => {
+  try {
+    const { error, value } = createSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const payer = await payerService.createPayer(req.clinicDb, req.clinicId, value);
+    res.status(201).json({ success: true, data: payer, message: 'Payer created' });
+  } catch (error) {
+    handlePayerError(error, res, next);
+  }
+});
+
+/**
+ * GET /payers/:id
+ * Payer with its balance on issued invoices
+ */
+router.get('/:id', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const payer = await payerService.getPayer(req.clinicDb, req.clinicId, req.params.id);
+    const balance = await payerService.getPayerBalance(req.clinicDb, req.clinicId, payer.id);
+
+    res.json({ success: true, data: { ...payer.toJSON(), balance } });
+  } catch (error) {
+    handlePayerError(error, res, next);
+  }
+});
+
+/**
+ * PUT /payers/:id
+ * Update a payer (isActive: false deactivates it)
+ */
+router.put('/:id', requirePermission('invoices.edit'), async (req, res, next) => {
+  try {
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const payer = await payerService.updatePayer(req.clinicDb, req.clinicId, req.params.id, value);
+    res.json({ success: true, data: payer, message: 'Payer updated' });
+  } catch (error) {
+    handlePayerError(error, res, next);
+  }
+});
+
+/**
+ * DELETE /payers/:id
+ * Deactivate a payer (kept for the receivables history)
+ */
+router.delete('/:id', requirePermission('invoices.edit'), async (req, res, next) => {
+  try {
+    const payer = await payerService.deactivatePayer(req.clinicDb, req.clinicId, req.params.id);
+    res.json({ success: true, data: payer, message: 'Payer deactivated' });
+  } catch (error) {
+    handlePayerError(error, res, next);
+  }
+});
+
+/**
+ * GET /payers/:id/shares
+ * Shares of the payer on issued invoices
+ */
+router.get('/:id/shares', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const { error, value } = sharesQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const { shares, total, page, limit } = await payerService.listPayerShares(
+      req.clinicDb, req.clinicId, req.params.id, value
+    );
+
+    res.json({
+      success: true,
+      data: shares,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /payers/shares/:shareId/payments
+ * Record a payment of the payer on its share of an invoice
+ */
+router.post('/shares/:shareId/payments', requirePermission('invoices.edit'), async (req, res, next) => {
+  try {
+    const { error, value } = paymentSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const { payment, share, document } = await payerService.recordSharePayment(
+      req.clinicDb, req.clinicId, req.params.shareId, value, req.user?.id
+    );
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      share,
+      document,
+      message: 'Payer payment recorded'
+    });
+  } catch (error) {
+    handlePayerError(error, res, next);
+  }
+});
+
+module.exports = router;
@@ -10,10 +10,26 @@ const { Op } = require('sequelize');
 const { getModel } = require('../base/ModelFactory');
 const planningService = require('../services/planningService');
 const stateMachineService = require('../services/appointmentStateMachineService');
+const appointmentSeriesService = require('../services/appointmentSeriesService');
+const calendarService = require('../services/calendarService');
+const { parseRRule, normalizeRecurrence, MAX_OCCURRENCES } = require('../utils/recurrence');
 const { requirePermission } = require('../middleware/permissions');
 const { buildCategoryInheritanceMap, getEffectiveCategories } = require('../utils/categoryInheritance');
 
 // Validation schemas
+// Recurrence (RRULE subset): either an RRULE string or the structured form
+const recurrenceSchema = Joi.object({
+  rrule: Joi.string().max(255),
+  frequency: Joi.string().valid('daily', 'weekly', 'monthly'),
+  interval: Joi.number().integer().min(1).max(52).default(1),
+  byWeekday: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().optional(),
+  count: Joi.number().integer().min(1).max(MAX_OCCURRENCES).optional(),
+  until: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
+  exceptions: Joi.array().items(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)).default([]),
+  // 'fail': nothing is created if an occurrence is not free; 'skip': free occurrences only
+  onConflict: Joi.string().valid('fail', 'skip').default('fail')
+}).xor('rrule', 'frequency');
+
 const createAppointmentSchema = Joi.object({
   category: Joi.string().valid('treatment', 'consultation').required(),
   patientId: Joi.string().uuid().required(),
@@ -40,15 +56,43 @@ const createAppointmentSchema = Joi.object({
   // Optional
   serviceId: Joi.string().uuid().optional(),
   assistantId: Joi.string().uuid().optional(),
+  // Room (allocated automatically when the treatment requires a room type)
+  roomId: Joi.string().uuid().allow(null).optional(),
   title: Joi.string().max(255).optional(),
   reason: Joi.string().allow('', null).optional(),
   notes: Joi.string().allow('', null).optional(),
   type: Joi.string().valid('consultation', 'followup', 'emergency', 'checkup', 'procedure', 'teleconsultation', 'specialist', 'vaccination', 'surgery').default('procedure'),
   priority: Joi.string().valid('low', 'normal', 'high', 'urgent').default('normal'),
   color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).optional(),
+  skipPatientOverlapCheck: Joi.boolean().optional(),
+  // Recurring series
+  recurrence: recurrenceSchema.optional()
+});
+
+const updateSeriesSchema = Joi.object({
+  scope: Joi.string().valid('this', 'following', 'all').required(),
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).when('scope', {
+    is: 'this',
+    then: Joi.optional(),
+    otherwise: Joi.forbidden()
+  }),
+  startTime: Joi.string().pattern(/^\d{2}:\d{2}$/).optional(),
+  duration: Joi.number().integer().min(5).max(480).optional(),
+  providerId: Joi.string().uuid().allow(null).optional(),
+  assistantId: Joi.string().uuid().allow(null).optional(),
+  machineId: Joi.string().uuid().allow(null).optional(),
+  title: Joi.string().max(255).allow(null).optional(),
+  reason: Joi.string().allow('', null).optional(),
+  notes: Joi.string().allow('', null).optional(),
+  priority: Joi.string().valid('low', 'normal', 'high', 'urgent').optional(),
+  color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).allow(null).optional(),
   skipPatientOverlapCheck: Joi.boolean().optional()
 });
 
+const cancelSeriesSchema = Joi.object({
+  scope: Joi.string().valid('this', 'following', 'all').required()
+});
+
 const getSlotsSchema = Joi.object({
   date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
   category: Joi.string().valid('treatment', 'consultation').optional(),
@@ -90,6 +134,7 @@ const createMultiTreatmentSchema = Joi.object({
     Joi.object({
       treatmentId: Joi.string().uuid().required(),
       machineId: Joi.string().uuid().allow(null).optional(),
+      roomId: Joi.string().uuid().allow(null).optional(),
       duration: Joi.number().integer().min(5).max(480).required(),
       providerId: Joi.string().uuid().allow(null, '').optional(),
       assistantId: Joi.string().uuid().allow(null, '').optional()
@@ -125,6 +170,11 @@ const transformAppointment = (apt) => {
     linkedAppointmentId: data.linked_appointment_id,
     linkSequence: data.link_sequence,
     isLinked: !!(data.linked_appointment_id || data.link_sequence === 1),
+    // Recurring series
+    seriesId: data.series_id || null,
+    seriesIndex: data.series_index || null,
+    seriesModified: data.series_modified === true,
+    isRecurring: !!data.series_id,
     // Resources
     patientId: data.patient_id,
     patient: data.patient ? {
@@ -144,6 +194,13 @@ const transformAppointment = (apt) => {
       color: data.machine.color,
       location: data.machine.location
     } : undefined,
+    roomId: data.room_id || null,
+    room: data.room ? {
+      id: data.room.id,
+      name: data.room.name,
+      color: data.room.color,
+      capacity: data.room.capacity
+    } : undefined,
     providerId: data.provider_id,
     provider: data.provider ? {
       id: data.provider.id,
@@ -181,6 +238,47 @@ const transformAppointment = (apt) => {
   };
 };
 
+/**
+ * Transform appointment series from DB to API format
+ */
+const transformSeries = (series) => {
+  if (!series) return null;
+  const data = series.toJSON ? series.toJSON() : series;
+  return {
+    id: data.id,
+    patientId: data.patient_id,
+    rrule: data.rrule,
+    frequency: data.frequency,
+    interval: data.interval,
+    byWeekday: data.by_weekday || [],
+    count: data.occurrence_count,
+    until: data.until_date,
+    startDate: data.start_date,
+    exceptions: data.exceptions || [],
+    status: data.status,
+    createdAt: data.created_at,
+    updatedAt: data.updated_at
+  };
+};
+
+/**
+ * Associations loaded with appointments in API responses
+ */
+const getAppointmentIncludes = async (clinicDb) => {
+  const Patient = await getModel(clinicDb, 'Patient');
+  const Machine = await getModel(clinicDb, 'Machine');
+  const HealthcareProvider = await getModel(clinicDb, 'HealthcareProvider');
+  const ProductService = await getModel(clinicDb, 'ProductService');
+
+  return [
+    { model: Patient, as: 'patient', attributes: ['id', 'first_name', 'last_name'] },
+    { model: Machine, as: 'machine', attributes: ['id', 'name', 'color', 'location'], required: false },
+    { model: HealthcareProvider, as: 'provider', attributes: ['id', 'first_name', 'last_name', 'specialties'], required: false },
+    { model: HealthcareProvider, as: 'assistant', attributes: ['id', 'first_name', 'last_name'], required: false },
+    { model: ProductService, as: 'service', attributes: ['id', 'title', 'duration', 'unit_price', 'tax_rate', 'is_overlappable'], required: false }
+  ];
+};
+
 /**
  * GET /planning/slots - Get available time slots
  */
@@ -345,6 +443,7 @@ router.post('/appointments', async (req, res) => {
       providerId,
       serviceId,
       assistantId,
+      roomId,
       title,
       reason,
       notes,
@@ -353,8 +452,6 @@ router.post('/appointments', async (req, res) => {
       color
     } = value;
 
-    const Appointment = await getModel(req.clinicDb, 'Appointment');
-
     // Calculate end time
     const startMinutes = planningService.timeToMinutes(startTime);
     const endTime = planningService.minutesToTime(startMinutes + duration);
@@ -370,38 +467,16 @@ router.post('/appointments', async (req, res) => {
       }
     }
 
-    // Check for conflicts
-    if (category === 'treatment' && effectiveMachineId) {
-      const hasConflict = await Appointment.checkMachineConflict(effectiveMachineId, date, startTime, endTime);
-      if (hasConflict) {
-        return res.status(409).json({
-          success: false,
-          error: { message: 'Machine is not available at this time' }
-        });
-      }
-    }
-
-    if (providerId) {
-      const providerConflict = await planningService.checkProviderConflicts(
-        req.clinicDb, providerId, date, startTime, endTime
-      );
-      // Consultation conflicts always block.
-      // Treatment conflicts only block if the NEW appointment is a consultation.
-      const shouldBlock = providerConflict.hasConsultationConflict ||
-        (category === 'consultation' && providerConflict.hasTreatmentConflict);
-      if (shouldBlock) {
-        return res.status(409).json({
-          success: false,
-          error: {
-            message: 'Provider is not available at this time',
-            conflicts: providerConflict.conflicts
-          }
-        });
-      }
+    // Recurring series: every occurrence is checked and created by the series service
+    if (value.recurrence) {
+      return await createAppointmentSeries(req, res, value, {
+        machineId: effectiveMachineId,
+        endTime
+      });
     }
 
-    // Create appointment
-    const appointment = await Appointment.create({
+    // Check for conflicts and create appointment
+    const { appointment, conflict } = await planningService.bookAppointment(req.clinicDb, {
       facility_id: req.user.facilityId || req.user.companyId,
       patient_id: patientId,
       category,
@@ -411,6 +486,7 @@ router.post('/appointments', async (req, res) => {
       end_time: endTime,
       duration_minutes: duration,
       machine_id: effectiveMachineId || null,
+      room_id: roomId || null,
       provider_id: providerId || null,
       assistant_id: assistantId || null,
       service_id: serviceId || treatmentId || null,
@@ -422,9 +498,20 @@ router.post('/appointments', async (req, res) => {
       status: 'scheduled'
     });
 
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: conflict.message,
+          ...(conflict.conflicts ? { conflicts: conflict.conflicts } : {})
+        }
+      });
+    }
+
     // Reload with associations
     const Patient = await getModel(req.clinicDb, 'Patient');
     const Machine = await getModel(req.clinicDb, 'Machine');
+    const Room = await getModel(req.clinicDb, 'Room');
     const HealthcareProvider = await getModel(req.clinicDb, 'HealthcareProvider');
     const ProductService = await getModel(req.clinicDb, 'ProductService');
 
@@ -432,6 +519,7 @@ router.post('/appointments', async (req, res) => {
       include: [
         { model: Patient, as: 'patient', attributes: ['id', 'first_name', 'last_name'] },
         { model: Machine, as: 'machine', attributes: ['id', 'name', 'color', 'location'], required: false },
+        { model: Room, as: 'room', attributes: ['id', 'name', 'color', 'capacity'], required: false },
         { model: HealthcareProvider, as: 'provider', attributes: ['id', 'first_name', 'last_name', 'specialties'], required: false },
         { model: HealthcareProvider, as: 'assistant', attributes: ['id', 'first_name', 'last_name'], required: false },
         { model: ProductService, as: 'service', attributes: ['id', 'title', 'duration', 'unit_price', 'tax_rate', 'is_overlappable'], required: false }
@@ -466,6 +554,216 @@ router.post('/appointments', async (req, res) => {
   }
 });
 
+/**
+ * Create a recurring series from a validated POST /planning/appointments body
+ */
+async function createAppointmentSeries(req, res, value, computed) {
+  const { recurrence: recurrenceInput } = value;
+
+  let recurrence;
+  try {
+    recurrence = recurrenceInput.rrule
+      ? parseRRule(recurrenceInput.rrule)
+      : normalizeRecurrence(recurrenceInput);
+  } catch (parseError) {
+    return res.status(400).json({
+      success: false,
+      error: { message: parseError.message }
+    });
+  }
+
+  if (recurrence.until && recurrence.until < value.date) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Recurrence end date is before the first appointment' }
+    });
+  }
+
+  const template = {
+    facility_id: req.user.facilityId || req.user.companyId,
+    patient_id: value.patientId,
+    category: value.category,
+    type: value.type || (value.category === 'treatment' ? 'procedure' : 'consultation'),
+    appointment_date: value.date,
+    start_time: value.startTime,
+    end_time: computed.endTime,
+    duration_minutes: value.duration,
+    machine_id: computed.machineId || null,
+    provider_id: value.providerId || null,
+    assistant_id: value.assistantId || null,
+    service_id: value.serviceId || value.treatmentId || null,
+    title: value.title || null,
+    reason: value.reason || null,
+    notes: value.notes || null,
+    priority: value.priority || 'normal',
+    color: value.color || null,
+    status: 'scheduled'
+  };
+
+  let result;
+  try {
+    result = await appointmentSeriesService.createSeries(req.clinicDb, template, recurrence, {
+      exceptions: recurrenceInput.exceptions,
+      onConflict: recurrenceInput.onConflict,
+      skipPatientOverlapCheck: value.skipPatientOverlapCheck,
+      userId: req.user?.id
+    });
+  } catch (seriesError) {
+    // Rule errors (too many occurrences, empty series...) are client errors
+    if (/Recurrence/.test(seriesError.message)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: seriesError.message }
+      });
+    }
+    throw seriesError;
+  }
+
+  if (!result.series) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        message: 'Some occurrences of the series are not available',
+        occurrences: result.conflicts
+      }
+    });
+  }
+
+  const include = await getAppointmentIncludes(req.clinicDb);
+  const appointments = await Promise.all(result.appointments.map(async (apt) => {
+    await apt.reload({ include });
+    return transformAppointment(apt);
+  }));
+
+  return res.status(201).json({
+    success: true,
+    data: {
+      seriesId: result.series.id,
+      series: transformSeries(result.series),
+      appointments,
+      skipped: result.skipped
+    },
+    message: `Recurring series created with ${appointments.length} appointments`
+  });
+}
+
+/**
+ * GET /planning/appointments/series/:seriesId - Get a recurring series with its occurrences
+ */
+router.get('/appointments/series/:seriesId', async (req, res) => {
+  try {
+    const include = await getAppointmentIncludes(req.clinicDb);
+    const result = await appointmentSeriesService.getSeries(req.clinicDb, req.params.seriesId, { include });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Appointment series not found' }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        series: transformSeries(result.series),
+        appointments: result.appointments.map(transformAppointment),
+        count: result.appointments.length
+      }
+    });
+  } catch (error) {
+    console.error('[planning] Error getting appointment series:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to get appointment series' }
+    });
+  }
+});
+
+/**
+ * PUT /planning/appointments/:id/series - Edit this occurrence, this and following, or the whole series
+ */
+router.put('/appointments/:id/series', async (req, res) => {
+  try {
+    const { error, value } = updateSeriesSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const { scope, ...changes } = value;
+    const result = await appointmentSeriesService.updateOccurrences(req.clinicDb, req.params.id, scope, changes);
+
+    if (result.conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: 'Some occurrences are not available with these changes',
+          occurrences: result.conflicts
+        }
+      });
+    }
+
+    const include = await getAppointmentIncludes(req.clinicDb);
+    const appointments = await Promise.all(result.appointments.map(async (apt) => {
+      await apt.reload({ include });
+      return transformAppointment(apt);
+    }));
+
+    res.json({
+      success: true,
+      data: { scope, appointments },
+      message: `${appointments.length} appointments updated successfully`
+    });
+  } catch (error) {
+    console.error('[planning] Error updating appointment series:', error);
+    const status = error.message.includes('not found') ? 404
+      : /series|Cannot|Only/.test(error.message) ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: { message: status === 500 ? 'Failed to update appointment series' : error.message }
+    });
+  }
+});
+
+/**
+ * DELETE /planning/appointments/:id/series?scope= - Cancel this occurrence, this and following, or the whole series
+ */
+router.delete('/appointments/:id/series', async (req, res) => {
+  try {
+    const { error, value } = cancelSeriesSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const result = await appointmentSeriesService.cancelOccurrences(
+      req.clinicDb, req.params.id, value.scope, req.user?.id
+    );
+
+    res.json({
+      success: true,
+      data: {
+        scope: value.scope,
+        cancelledIds: result.cancelled,
+        series: transformSeries(result.series)
+      },
+      message: `${result.cancelled.length} appointments cancelled successfully`
+    });
+  } catch (error) {
+    console.error('[planning] Error cancelling appointment series:', error);
+    const status = error.message.includes('not found') ? 404
+      : /series|Cannot/.test(error.message) ? 400 : 500;
+    res.status(status).json({
+      success: false,
+      error: { message: status === 500 ? 'Failed to cancel appointment series' : error.message }
+    });
+  }
+});
+
 /**
  * GET /planning/appointments/:id - Get appointment details
  */
@@ -674,8 +972,18 @@ router.put('/appointments/:id', async (req, res) => {
       }
     }
 
+    const previousSequence = appointment.ical_sequence;
+    const previousStatus = appointment.status;
     await appointment.update(updateData);
 
+    // Rescheduled / cancelled: update the event in the patient's calendar (in the background)
+    if (appointment.ical_sequence !== previousSequence) {
+      calendarService.notifyPatientOfChange(req.clinicDb, appointment);
+    }
+
+    // Completed (or no longer): use or give back a prepaid package session
+    await stateMachineService.syncPackageCredit(req.clinicDb, appointment, previousStatus);
+
     // Reload with associations
     const Patient = await getModel(req.clinicDb, 'Patient');
     const Machine = await getModel(req.clinicDb, 'Machine');
@@ -726,6 +1034,10 @@ router.delete('/appointments/:id', async (req, res) => {
     // Soft cancel (don't delete)
     await appointment.update({ status: 'cancelled' });
 
+    // Offer the freed slot to the waiting list (in the background)
+    stateMachineService.offerFreedSlot(req.clinicDb, appointment, { clinicId: req.clinicId });
+    calendarService.notifyPatientOfChange(req.clinicDb, appointment);
+
     res.json({
       success: true,
       message: 'Appointment cancelled successfully'
@@ -1056,6 +1368,7 @@ router.post('/appointments/multi-treatment', async (req, res) => {
         end_time: segmentEndTime,
         duration_minutes: treatment.duration,
         machine_id: treatment.machineId,
+        room_id: treatment.roomId || null,
         provider_id: appointmentProviderId,
         assistant_id: appointmentAssistantId,
         service_id: treatment.treatmentId,
@@ -1191,6 +1504,9 @@ router.put('/appointments/group/:groupId', async (req, res) => {
       });
     }
 
+    const previousSequences = new Map(groupAppointments.map(apt => [apt.id, apt.ical_sequence]));
+    const previousStatuses = new Map(groupAppointments.map(apt => [apt.id, apt.status]));
+
     // If rescheduling (date or time changed), recalculate all times
     if (date || startTime) {
       let currentStartMinutes = startTime
@@ -1314,6 +1630,13 @@ router.put('/appointments/group/:groupId', async (req, res) => {
 
     await transaction.commit();
 
+    for (const apt of groupAppointments) {
+      if (apt.ical_sequence !== previousSequences.get(apt.id)) {
+        calendarService.notifyPatientOfChange(req.clinicDb, apt);
+      }
+      await stateMachineService.syncPackageCredit(req.clinicDb, apt, previousStatuses.get(apt.id));
+    }
+
     // Reload and return
     const updatedAppointments = await Appointment.findLinkedGroup(groupId, {
       include: [
@@ -1474,6 +1797,11 @@ router.delete('/appointments/group/:groupId', async (req, res) => {
 
     await transaction.commit();
 
+    for (const apt of groupAppointments) {
+      stateMachineService.offerFreedSlot(req.clinicDb, apt, { clinicId: req.clinicId });
+      calendarService.notifyPatientOfChange(req.clinicDb, apt);
+    }
+
     res.json({
       success: true,
       message: `${groupAppointments.length} appointments cancelled successfully`
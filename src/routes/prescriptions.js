@@ -5,7 +5,12 @@
  * Compliance: RGPD, Secret Médical (Art. L1110-4 CSP)
  * - Full audit trail for all access
  * - Permission-based access control
- * - Print tracking and traceability
+ * - Print tracking and traceability: server-side PDF (French ordonnance with
+ *   ALD bizone, Spanish receta), verification QR code, duplicata on reprints
+ * - Safety checks (allergies, age / dose ranges, conditions, pregnancy) on
+ *   creation, finalization and renewal: blocking alerts need an override reason
+ * - Chronic treatments: renewals of renewable prescriptions and the
+ *   practitioner's queue of renewal requests (patients ask from the QR link)
  */
 
 const express = require('express');
@@ -15,6 +20,9 @@ const { getModel } = require('../base/ModelFactory');
 const { PERMISSIONS, getPermissionsForRole } = require('../utils/permissionConstants');
 const { validateParams, validateQuery, schemas } = require('../utils/validationSchemas');
 const { getPermissionsFromClinicRoles } = require('../middleware/permissions');
+const prescriptionSafetyService = require('../services/prescriptionSafetyService');
+const prescriptionPrintService = require('../services/prescriptionPrintService');
+const prescriptionRenewalService = require('../services/prescriptionRenewalService');
 
 const router = express.Router();
 
@@ -33,7 +41,7 @@ const createPrescriptionSchema = Joi.object({
     quantity: Joi.string().allow('').optional(),
     instructions: Joi.string().allow('').optional(),
     // CIMA metadata (all optional for backward compatibility)
-    source: Joi.string().valid('cima', 'custom').allow(null).optional(),
+    source: Joi.string().valid('cima', 'bdpm', 'custom').allow(null).optional(),
     nregistro: Joi.string().allow(null, '').optional(),
     atcCode: Joi.string().allow(null, '').optional(),
     activeIngredients: Joi.array().items(Joi.object({
@@ -41,7 +49,9 @@ const createPrescriptionSchema = Joi.object({
     })).allow(null).optional(),
     pharmaceuticalForm: Joi.string().allow(null, '').optional(),
     requiresPrescription: Joi.boolean().allow(null).optional(),
-    customMedicationId: Joi.string().uuid().allow(null).optional()
+    customMedicationId: Joi.string().uuid().allow(null).optional(),
+    // France: treatment of the patient's ALD (top zone of the bizone ordonnance)
+    ald: Joi.boolean().optional()
   })).required(),
   instructions: Joi.string().allow('', null).optional(),
   additional_notes: Joi.string().allow('', null).optional(),
@@ -58,7 +68,37 @@ const createPrescriptionSchema = Joi.object({
   current_illness: Joi.string().allow('', null).optional(),
   antecedents: Joi.object().optional(),
   physical_exam: Joi.object().optional(),
-  current_medications: Joi.array().optional()
+  current_medications: Joi.array().optional(),
+  // Required when the safety checks raise blocking alerts
+  override_reason: Joi.string().trim().max(1000).allow('', null).optional()
+});
+
+const finalizePrescriptionSchema = Joi.object({
+  override_reason: Joi.string().trim().max(1000).allow('', null).optional()
+});
+
+const renewPrescriptionSchema = Joi.object({
+  override_reason: Joi.string().trim().max(1000).allow('', null).optional()
+});
+
+const approveRenewalRequestSchema = Joi.object({
+  override_reason: Joi.string().trim().max(1000).allow('', null).optional(),
+  note: Joi.string().trim().max(1000).allow('', null).optional()
+});
+
+const renewalRequestSchema = Joi.object({
+  message: Joi.string().trim().max(1000).allow('', null).optional()
+});
+
+const rejectRenewalRequestSchema = Joi.object({
+  note: Joi.string().trim().max(1000).allow('', null).optional()
+});
+
+const renewalRequestsQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'approved', 'rejected').default('pending'),
+  provider_id: Joi.string().uuid().optional(),
+  patient_id: Joi.string().uuid().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50)
 });
 
 const updatePrescriptionSchema = Joi.object({
@@ -71,7 +111,7 @@ const updatePrescriptionSchema = Joi.object({
     quantity: Joi.string().optional(),
     instructions: Joi.string().optional(),
     // CIMA metadata (all optional for backward compatibility)
-    source: Joi.string().valid('cima', 'custom').allow(null).optional(),
+    source: Joi.string().valid('cima', 'bdpm', 'custom').allow(null).optional(),
     nregistro: Joi.string().allow(null, '').optional(),
     atcCode: Joi.string().allow(null, '').optional(),
     activeIngredients: Joi.array().items(Joi.object({
@@ -79,7 +119,8 @@ const updatePrescriptionSchema = Joi.object({
     })).allow(null).optional(),
     pharmaceuticalForm: Joi.string().allow(null, '').optional(),
     requiresPrescription: Joi.boolean().allow(null).optional(),
-    customMedicationId: Joi.string().uuid().allow(null).optional()
+    customMedicationId: Joi.string().uuid().allow(null).optional(),
+    ald: Joi.boolean().optional()
   })).optional(),
   instructions: Joi.string().allow('').optional(),
   additional_notes: Joi.string().allow('').optional(),
@@ -121,6 +162,49 @@ async function logPrescriptionAccess(prescription, action, user, req, details =
   }
 }
 
+/**
+ * Response when blocking safety alerts have no override reason
+ */
+function safetyOverrideRequired(res, warnings) {
+  return res.status(409).json({
+    success: false,
+    error: {
+      message: 'Alertes de sécurité bloquantes : un motif de dérogation est requis',
+      code: 'SAFETY_OVERRIDE_REQUIRED',
+      alerts: warnings
+    }
+  });
+}
+
+/**
+ * Status and message of a refused renewal / renewal request
+ */
+const RENEWAL_REJECTIONS = {
+  not_found: { status: 404, message: 'Ordonnance non trouvée' },
+  not_renewable: { status: 409, message: 'Cette ordonnance n\'est pas renouvelable' },
+  invalid_status: { status: 409, message: 'Seule une ordonnance finalisée peut être renouvelée' },
+  expired: { status: 409, message: 'Cette ordonnance est expirée : une nouvelle ordonnance est nécessaire' },
+  no_renewals_left: { status: 409, message: 'Plus aucun renouvellement disponible sur cette ordonnance' },
+  already_requested: { status: 409, message: 'Une demande de renouvellement est déjà en attente' },
+  not_pending: { status: 409, message: 'Cette demande de renouvellement a déjà été traitée' }
+};
+
+function sendRenewalRejection(res, result) {
+  if (result.rejected.reason === 'safety_override_required') {
+    return safetyOverrideRequired(res, result.warnings);
+  }
+  const rejection = RENEWAL_REJECTIONS[result.rejected.reason] || { status: 409, message: result.rejected.message };
+  return res.status(rejection.status).json({
+    success: false,
+    error: { message: rejection.message, code: result.rejected.reason.toUpperCase() }
+  });
+}
+
+async function canCreatePrescription(req) {
+  return await hasPermission(req, PERMISSIONS.MEDICAL_NOTES_CREATE) ||
+    await hasPermission(req, PERMISSIONS.MEDICAL_RECORDS_EDIT);
+}
+
 /**
  * GET /
  * Retrieve all prescriptions with pagination and filters
@@ -227,6 +311,126 @@ router.get('/medical-record/:medicalRecordId', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /renewal-requests
+ * Queue of renewal requests (pending by default, oldest first)
+ * Query: { status?, provider_id?, patient_id?, limit? }
+ */
+router.get('/renewal-requests', validateQuery(renewalRequestsQuerySchema), async (req, res, next) => {
+  try {
+    if (!await hasPermission(req, PERMISSIONS.MEDICAL_RECORDS_VIEW)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Accès refusé' }
+      });
+    }
+
+    const requests = await prescriptionRenewalService.listRenewalRequests(req.clinicDb, {
+      status: req.query.status,
+      providerId: req.query.provider_id,
+      patientId: req.query.patient_id,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      data: requests
+    });
+  } catch (error) {
+    console.error('[Prescriptions] GET /renewal-requests error:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /renewal-requests/:requestId/approve
+ * Approve a renewal request: the renewal prescription is issued
+ * Body: { override_reason?, note? }
+ */
+router.post('/renewal-requests/:requestId/approve', async (req, res, next) => {
+  try {
+    if (!await canCreatePrescription(req)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Accès refusé' }
+      });
+    }
+
+    const { error, value } = approveRenewalRequestSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Données invalides', details: error.details.map(d => d.message).join(', ') }
+      });
+    }
+
+    const result = await prescriptionRenewalService.approveRenewalRequest(req.clinicDb, req.params.requestId, {
+      userId: req.user?.userId,
+      ipAddress: req.ip || 'unknown',
+      overrideReason: value.override_reason,
+      note: value.note
+    });
+    if (result.rejected) {
+      return sendRenewalRejection(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        request: result.request,
+        renewal: result.renewal,
+        renewalsRemaining: result.prescription.renewals_remaining
+      },
+      safetyAlerts: result.warnings,
+      message: 'Renouvellement émis'
+    });
+  } catch (error) {
+    console.error('[Prescriptions] POST /renewal-requests/:requestId/approve error:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /renewal-requests/:requestId/reject
+ * Reject a renewal request
+ * Body: { note? }
+ */
+router.post('/renewal-requests/:requestId/reject', async (req, res, next) => {
+  try {
+    if (!await canCreatePrescription(req)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Accès refusé' }
+      });
+    }
+
+    const { error, value } = rejectRenewalRequestSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Données invalides', details: error.details.map(d => d.message).join(', ') }
+      });
+    }
+
+    const result = await prescriptionRenewalService.rejectRenewalRequest(req.clinicDb, req.params.requestId, {
+      userId: req.user?.userId,
+      note: value.note
+    });
+    if (result.rejected) {
+      return sendRenewalRejection(res, result);
+    }
+
+    res.json({
+      success: true,
+      data: result.request,
+      message: 'Demande de renouvellement refusée'
+    });
+  } catch (error) {
+    console.error('[Prescriptions] POST /renewal-requests/:requestId/reject error:', error);
+    next(error);
+  }
+});
+
 /**
  * GET /:id
  * Get a single prescription by ID
@@ -317,23 +521,50 @@ router.post('/', async (req, res, next) => {
       data.prescribed_date = new Date();
     }
 
+    // Safety checks against the patient (allergies, age, conditions, pregnancy)
+    const { override_reason: overrideReason, ...prescriptionData } = data;
+    const safety = await prescriptionSafetyService.checkPrescription(req.clinicDb, {
+      patientId: data.patient_id,
+      medications: data.medications,
+      vitalSigns: data.vital_signs,
+      prescribedDate: data.prescribed_date,
+      overrideReason,
+      userId: req.user?.userId
+    });
+
+    if (safety.unresolved.length > 0) {
+      return safetyOverrideRequired(res, safety.warnings);
+    }
+    prescriptionData.medication_warnings = safety.warnings;
+
     // Initial access log
     const clientIP = req.ip || req.headers['x-forwarded-for'] || 'unknown';
-    data.access_log = [{
+    prescriptionData.access_log = [{
       action: 'create',
       userId: req.user?.userId || 'unknown',
       timestamp: new Date().toISOString(),
       ipAddress: clientIP
     }];
+    if (safety.overridden.length > 0) {
+      prescriptionData.access_log.push({
+        action: 'safety_override',
+        userId: req.user?.userId || 'unknown',
+        timestamp: new Date().toISOString(),
+        ipAddress: clientIP,
+        reason: overrideReason,
+        alerts: safety.overridden.map(w => w.code)
+      });
+    }
 
     // Create prescription
-    const prescription = await Prescription.create(data);
+    const prescription = await Prescription.create(prescriptionData);
 
     console.log(`[Prescriptions] ✅ Created prescription ${prescription.prescription_number} for patient ${data.patient_id}`);
 
     res.status(201).json({
       success: true,
       data: prescription,
+      safetyAlerts: safety.warnings,
       message: 'Ordonnance créée avec succès'
     });
   } catch (error) {
@@ -398,6 +629,9 @@ router.put('/:id', async (req, res, next) => {
 /**
  * POST /:id/finalize
  * Finalize a prescription (locks it for editing)
+ * Safety checks run again (the patient file may have changed since creation);
+ * overrides given at creation are kept for the same alerts.
+ * Body: { override_reason? }
  */
 router.post('/:id/finalize', async (req, res, next) => {
   try {
@@ -418,12 +652,49 @@ router.post('/:id/finalize', async (req, res, next) => {
       });
     }
 
+    if (prescription.status === 'finalized' || prescription.status === 'printed') {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Cette ordonnance est déjà finalisée' }
+      });
+    }
+
+    const { error, value } = finalizePrescriptionSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Données invalides', details: error.details.map(d => d.message).join(', ') }
+      });
+    }
+
+    const safety = await prescriptionSafetyService.checkPrescription(req.clinicDb, {
+      patientId: prescription.patient_id,
+      medications: prescription.medications,
+      vitalSigns: prescription.vital_signs,
+      prescribedDate: prescription.prescribed_date,
+      previous: prescription.medication_warnings,
+      overrideReason: value.override_reason,
+      userId: req.user?.userId
+    });
+
+    if (safety.unresolved.length > 0) {
+      return safetyOverrideRequired(res, safety.warnings);
+    }
+
+    prescription.medication_warnings = safety.warnings;
     await prescription.finalize(req.user?.userId);
     await logPrescriptionAccess(prescription, 'finalize', req.user, req);
+    if (safety.overridden.length > 0) {
+      await logPrescriptionAccess(prescription, 'safety_override', req.user, req, {
+        reason: value.override_reason,
+        alerts: safety.overridden.map(w => w.code)
+      });
+    }
 
     res.json({
       success: true,
       data: prescription,
+      safetyAlerts: safety.warnings,
       message: 'Ordonnance finalisée'
     });
   } catch (error) {
@@ -434,7 +705,8 @@ router.post('/:id/finalize', async (req, res, next) => {
 
 /**
  * POST /:id/print
- * Mark prescription as printed (increments print count)
+ * Printable PDF of a finalized prescription (ordonnance / receta) with its
+ * verification QR code. Increments the print count: reprints are marked duplicata.
  */
 router.post('/:id/print', async (req, res, next) => {
   try {
@@ -455,20 +727,136 @@ router.post('/:id/print', async (req, res, next) => {
       });
     }
 
-    await prescription.markPrinted();
-    await logPrescriptionAccess(prescription, 'print', req.user, req, { printCount: prescription.print_count });
+    if (!prescriptionPrintService.PRINTABLE_STATUSES.includes(prescription.status)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: prescription.status === 'draft'
+            ? 'L\'ordonnance doit être finalisée avant impression'
+            : 'Une ordonnance annulée ne peut pas être imprimée'
+        }
+      });
+    }
 
-    res.json({
-      success: true,
-      data: prescription,
-      message: `Ordonnance imprimée (${prescription.print_count}x)`
+    const { buffer, filename, duplicate } = await prescriptionPrintService.printPrescription(req.clinicDb, prescription, {
+      clinicId: req.clinicId,
+      region: req.region
+    });
+    await logPrescriptionAccess(prescription, 'print', req.user, req, { printCount: prescription.print_count, duplicate });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${filename}"`,
+      'Content-Length': buffer.length,
+      'X-Print-Count': String(prescription.print_count)
     });
+    res.send(buffer);
   } catch (error) {
     console.error('[Prescriptions] POST /:id/print error:', error);
     next(error);
   }
 });
 
+/**
+ * POST /:id/renew
+ * Issue a renewal of a renewable prescription: a new finalized prescription
+ * with the same medications, linked to this one, which loses one renewal.
+ * Safety checks run again; a pending renewal request is answered.
+ * Body: { override_reason? }
+ */
+router.post('/:id/renew', async (req, res, next) => {
+  try {
+    if (!await canCreatePrescription(req)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Accès refusé' }
+      });
+    }
+
+    const { error, value } = renewPrescriptionSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Données invalides', details: error.details.map(d => d.message).join(', ') }
+      });
+    }
+
+    const result = await prescriptionRenewalService.renewPrescription(req.clinicDb, req.params.id, {
+      userId: req.user?.userId,
+      ipAddress: req.ip || 'unknown',
+      overrideReason: value.override_reason
+    });
+    if (result.rejected) {
+      return sendRenewalRejection(res, result);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.renewal,
+      renewalsRemaining: result.prescription.renewals_remaining,
+      safetyAlerts: result.warnings,
+      message: 'Ordonnance renouvelée'
+    });
+  } catch (error) {
+    console.error('[Prescriptions] POST /:id/renew error:', error);
+    next(error);
+  }
+});
+
+/**
+ * POST /:id/renewal-requests
+ * Record a renewal request for the prescriber (patient calling the desk)
+ * Body: { message? }
+ */
+router.post('/:id/renewal-requests', async (req, res, next) => {
+  try {
+    if (!await hasPermission(req, PERMISSIONS.MEDICAL_RECORDS_VIEW)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Accès refusé' }
+      });
+    }
+
+    const { error, value } = renewalRequestSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Données invalides', details: error.details.map(d => d.message).join(', ') }
+      });
+    }
+
+    const Prescription = await getModel(req.clinicDb, 'Prescription');
+    const prescription = await Prescription.findByPk(req.params.id);
+
+    if (!prescription) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Ordonnance non trouvée' }
+      });
+    }
+
+    const result = await prescriptionRenewalService.createRenewalRequest(req.clinicDb, prescription, {
+      source: 'staff',
+      message: value.message,
+      requestedBy: req.user?.userId
+    });
+    if (result.rejected) {
+      return sendRenewalRejection(res, result);
+    }
+
+    await logPrescriptionAccess(prescription, 'renewal_request', req.user, req, { requestId: result.request.id });
+
+    res.status(201).json({
+      success: true,
+      data: result.request,
+      message: 'Demande de renouvellement enregistrée'
+    });
+  } catch (error) {
+    console.error('[Prescriptions] POST /:id/renewal-requests error:', error);
+    next(error);
+  }
+});
+
 /**
  * DELETE /:id
  * Cancel a prescription (soft delete via status change)
@@ -9,6 +9,7 @@ const Joi = require('joi');
 const clinicCrudRoutes = require('../base/clinicCrudRoutes');
 const { getModel } = require('../base/ModelFactory');
 const { Op } = require('sequelize');
+const packageService = require('../services/packageService');
 
 const router = express.Router();
 
@@ -45,11 +46,22 @@ const createSchema = Joi.object({
   // Planning fields
   isOverlappable: Joi.boolean().default(false),
   machineTypeId: Joi.string().uuid().allow(null).optional(),
+  requiredRoomType: Joi.string().max(50).allow(null).optional(),
+  requiredMachineType: Joi.string().max(50).allow(null).optional(),
+  requiresAssistant: Joi.boolean().default(false),
+
+  // Online booking
+  bookableOnline: Joi.boolean().default(false),
+  onlineMinLeadMinutes: Joi.number().integer().min(0).max(43200).allow(null).optional(),
 
   // Family/Variant fields
   parentId: Joi.string().uuid().allow(null).optional(),
   isFamily: Joi.boolean().default(false),
-  isVariant: Joi.boolean().default(false)
+  isVariant: Joi.boolean().default(false),
+
+  // Package fields (content set with PUT /:id/package-items)
+  isPackage: Joi.boolean().default(false),
+  packageValidityDays: Joi.number().integer().min(1).max(3650).allow(null).optional()
 });
 
 const updateSchema = Joi.object({
@@ -73,9 +85,16 @@ const updateSchema = Joi.object({
   provenance: Joi.string().max(200).allow('', null).optional(),
   isOverlappable: Joi.boolean().optional(),
   machineTypeId: Joi.string().uuid().allow(null).optional(),
+  requiredRoomType: Joi.string().max(50).allow(null).optional(),
+  requiredMachineType: Joi.string().max(50).allow(null).optional(),
+  requiresAssistant: Joi.boolean().optional(),
+  bookableOnline: Joi.boolean().optional(),
+  onlineMinLeadMinutes: Joi.number().integer().min(0).max(43200).allow(null).optional(),
   parentId: Joi.string().uuid().allow(null).optional(),
   isFamily: Joi.boolean().optional(),
-  isVariant: Joi.boolean().optional()
+  isVariant: Joi.boolean().optional(),
+  isPackage: Joi.boolean().optional(),
+  packageValidityDays: Joi.number().integer().min(1).max(3650).allow(null).optional()
 });
 
 const querySchema = Joi.object({
@@ -91,6 +110,13 @@ const querySchema = Joi.object({
   includeVariants: Joi.boolean().default(false)
 });
 
+const packageItemsSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    serviceId: Joi.string().uuid().required(),
+    quantity: Joi.number().integer().min(1).max(100).required()
+  })).min(1).max(50).required()
+});
+
 // Field mapping from camelCase to snake_case
 const fieldMapping = {
   itemType: 'item_type',
@@ -102,9 +128,16 @@ const fieldMapping = {
   dosageUnit: 'dosage_unit',
   isOverlappable: 'is_overlappable',
   machineTypeId: 'machine_type_id',
+  requiredRoomType: 'required_room_type',
+  requiredMachineType: 'required_machine_type',
+  requiresAssistant: 'requires_assistant',
+  bookableOnline: 'bookable_online',
+  onlineMinLeadMinutes: 'online_min_lead_minutes',
   parentId: 'parent_id',
   isFamily: 'is_family',
-  isVariant: 'is_variant'
+  isVariant: 'is_variant',
+  isPackage: 'is_package',
+  packageValidityDays: 'package_validity_days'
 };
 
 // Transform camelCase to snake_case for database
@@ -142,9 +175,16 @@ const transformFromDb = (item) => {
     provenance: data.provenance,
     isOverlappable: data.is_overlappable,
     machineTypeId: data.machine_type_id,
+    requiredRoomType: data.required_room_type,
+    requiredMachineType: data.required_machine_type,
+    requiresAssistant: data.requires_assistant,
+    bookableOnline: data.bookable_online,
+    onlineMinLeadMinutes: data.online_min_lead_minutes,
     parentId: data.parent_id,
     isFamily: data.is_family,
     isVariant: data.is_variant,
+    isPackage: data.is_package,
+    packageValidityDays: data.package_validity_days,
     companyId: data.company_id,
     createdAt: data.created_at,
     updatedAt: data.updated_at,
@@ -267,7 +307,10 @@ router.get('/for-appointments', async (req, res) => {
         totalDuration: (item.prep_before || 0) + item.duration + (item.prep_after || 0),
         unitPrice: parseFloat(item.unit_price),
         isOverlappable: item.is_overlappable,
-        machineTypeId: item.machine_type_id
+        machineTypeId: item.machine_type_id,
+        requiredRoomType: item.required_room_type,
+        requiredMachineType: item.required_machine_type,
+        requiresAssistant: item.requires_assistant
       }))
     });
   } catch (error) {
@@ -782,6 +825,87 @@ router.delete('/:id/tags/:tagId', async (req, res) => {
   }
 });
 
+// ============================================
+// PACKAGE ENDPOINTS
+// ============================================
+
+// Transform a package item for API response
+const transformPackageItem = (item) => ({
+  id: item.id,
+  serviceId: item.service_id,
+  quantity: item.quantity,
+  service: item.service ? {
+    id: item.service.id,
+    title: item.service.title,
+    itemType: item.service.item_type,
+    duration: item.service.duration,
+    unitPrice: parseFloat(item.service.unit_price),
+    isActive: item.service.is_active
+  } : null
+});
+
+/**
+ * GET /:id/package-items - Get the treatments included in a package
+ */
+router.get('/:id/package-items', async (req, res) => {
+  try {
+    const items = await packageService.getPackageItems(req.clinicDb, req.params.id);
+
+    res.json({
+      success: true,
+      data: items.map(transformPackageItem)
+    });
+  } catch (error) {
+    console.error('[products] Error fetching package items:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch package items' }
+    });
+  }
+});
+
+/**
+ * PUT /:id/package-items - Replace the treatments included in a package
+ */
+router.put('/:id/package-items', async (req, res) => {
+  try {
+    const { error, value } = packageItemsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.details[0].message }
+      });
+    }
+
+    const items = await packageService.setPackageItems(req.clinicDb, req.params.id, value.items);
+
+    res.json({
+      success: true,
+      data: items.map(transformPackageItem),
+      message: 'Package items updated'
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+    if (error.message.includes('not a package') || error.message.includes('cannot include') ||
+        error.message.includes('only appear once')) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message }
+      });
+    }
+    console.error('[products] Error updating package items:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update package items' }
+    });
+  }
+});
+
 // ============================================
 // SUPPLIER ENDPOINTS
 // ============================================
@@ -363,7 +363,7 @@ router.post('/appointment/cancel/:token', async (req, res) => {
       appointment.id,
       'cancelled',
       null,
-      { skipActions: ['*'] } // Skip all actions when patient cancels
+      { skipActions: ['*'], clinicId: req.clinicId } // Skip all actions when patient cancels
     );
 
     // Add cancellation note
@@ -0,0 +1,418 @@
+/**
+ * Public Online Booking Routes
+ * Self-booking for patients, clinic resolved from the URL:
+ * - GET  /public/booking/:clinicId/treatments          (treatments bookable online)
+ * - GET  /public/booking/:clinicId/practitioners       (practitioners open to online consultations)
+ * - GET  /public/booking/:clinicId/slots               (?date=&treatmentId= | ?date=&providerId=)
+ * - POST /public/booking/:clinicId/verifications       (send a code by email / SMS)
+ * - POST /public/booking/:clinicId/verifications/:token/verify
+ * - POST /public/booking/:clinicId/appointments        (book with a verified token)
+ *
+ * These routes do NOT require authentication.
+ * Abuse protection without captcha: rate limits per IP and per contact,
+ * and a one-time code proving the patient owns the email / phone.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const { resolvePublicClinic } = require('../middleware/publicClinic');
+const onlineBookingService = require('../services/onlineBookingService');
+const { logger } = require('../utils/logger');
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+// Rate limiters (keys are prefixed with the clinic id)
+const catalogLimiter = new RateLimiterMemory({
+  keyPrefix: 'online_booking_catalog',
+  points: 120,
+  duration: 60
+});
+
+const codeRequestLimiterByIP = new RateLimiterMemory({
+  keyPrefix: 'online_booking_code_ip',
+  points: 5,
+  duration: 15 * 60
+});
+
+const codeRequestLimiterByContact = new RateLimiterMemory({
+  keyPrefix: 'online_booking_code_contact',
+  points: 3,
+  duration: 15 * 60
+});
+
+const codeVerifyLimiterByIP = new RateLimiterMemory({
+  keyPrefix: 'online_booking_verify_ip',
+  points: 10,
+  duration: 15 * 60,
+  blockDuration: 15 * 60
+});
+
+const bookingLimiterByIP = new RateLimiterMemory({
+  keyPrefix: 'online_booking_book_ip',
+  points: 5,
+  duration: 60 * 60
+});
+
+// HTTP status for each reason a request is refused by the service
+const REJECTION_STATUS = {
+  not_found: 404,
+  not_bookable: 404,
+  channel_unavailable: 400,
+  invalid_contact: 400,
+  invalid_code: 400,
+  invalid_patient: 400,
+  unverified: 403,
+  expired: 410,
+  too_many_attempts: 429,
+  slot_unavailable: 409,
+  contact_clinic: 409
+};
+
+// Validation schemas
+const slotsQuerySchema = Joi.object({
+  date: Joi.string().pattern(DATE_PATTERN).required(),
+  treatmentId: Joi.string().uuid(),
+  providerId: Joi.string().uuid()
+}).xor('treatmentId', 'providerId');
+
+const codeRequestSchema = Joi.object({
+  channel: Joi.string().valid('email', 'sms').required(),
+  contact: Joi.string().max(255).required(),
+  language: Joi.string().valid('fr', 'en', 'es').default('fr')
+});
+
+const codeVerifySchema = Joi.object({
+  code: Joi.string().pattern(/^\d{6}$/).required()
+});
+
+const bookingSchema = Joi.object({
+  verificationToken: Joi.string().pattern(TOKEN_PATTERN).required(),
+  treatmentId: Joi.string().uuid(),
+  providerId: Joi.string().uuid(),
+  date: Joi.string().pattern(DATE_PATTERN).required(),
+  startTime: Joi.string().pattern(TIME_PATTERN).required(),
+  firstName: Joi.string().min(2).max(100).trim().required(),
+  lastName: Joi.string().min(2).max(100).trim().optional(),
+  phone: Joi.string().max(30).optional(),
+  email: Joi.string().email().max(255).optional(),
+  birthDate: Joi.string().pattern(DATE_PATTERN).optional(),
+  reason: Joi.string().max(500).allow('').optional()
+}).xor('treatmentId', 'providerId');
+
+/**
+ * Rate limit middleware factory
+ * @param {RateLimiterMemory} limiter
+ * @param {Function} keyFn - (req) => key
+ */
+function rateLimit(limiter, keyFn = (req) => `${req.clinicId}:${req.ip}`) {
+  return async (req, res, next) => {
+    try {
+      await limiter.consume(keyFn(req));
+      next();
+    } catch (rateLimitError) {
+      logger.warn(`Online booking rate limit exceeded (${limiter.keyPrefix}) for IP: ${req.ip}`, {
+        clinicId: req.clinicId
+      });
+      const secs = Math.round((rateLimitError.msBeforeNext || 1000) / 1000) || 1;
+      res.set('Retry-After', String(secs));
+      res.status(429).json({
+        success: false,
+        error: 'Too many requests. Please try again later.'
+      });
+    }
+  };
+}
+
+/**
+ * Load the clinic's online booking settings, 404 when online booking is off
+ */
+async function requireOnlineBooking(req, res, next) {
+  try {
+    const settings = await onlineBookingService.getSettings(req.clinicDb);
+    if (!settings.enabled) {
+      return res.status(404).json({
+        success: false,
+        error: 'Online booking is not available for this clinic'
+      });
+    }
+    req.onlineBooking = settings;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Answer a service rejection ({ reason, message })
+ */
+function sendRejection(res, rejected) {
+  return res.status(REJECTION_STATUS[rejected.reason] || 409).json({
+    success: false,
+    error: rejected.message,
+    reason: rejected.reason
+  });
+}
+
+/**
+ * Public slot (no machine / provider internals)
+ */
+const transformSlot = (slot) => ({
+  start: slot.start,
+  end: slot.end,
+  duration: slot.duration
+});
+
+router.use('/:clinicId', resolvePublicClinic, requireOnlineBooking);
+
+/**
+ * GET /public/booking/:clinicId/treatments
+ * Treatments bookable online
+ */
+router.get('/:clinicId/treatments', rateLimit(catalogLimiter), async (req, res) => {
+  try {
+    const treatments = await onlineBookingService.getBookableTreatments(req.clinicDb);
+
+    res.json({
+      success: true,
+      data: treatments.map(treatment => ({
+        id: treatment.id,
+        title: treatment.title,
+        description: treatment.description,
+        duration: treatment.duration,
+        price: parseFloat(treatment.unit_price),
+        currency: treatment.currency
+      })),
+      settings: {
+        maxDaysAhead: req.onlineBooking.maxDaysAhead,
+        verificationChannels: req.onlineBooking.verificationChannels
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching online bookable treatments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+/**
+ * GET /public/booking/:clinicId/practitioners
+ * Practitioners open to online consultations
+ */
+router.get('/:clinicId/practitioners', rateLimit(catalogLimiter), async (req, res) => {
+  try {
+    const practitioners = await onlineBookingService.getBookablePractitioners(req.clinicDb, req.onlineBooking);
+
+    res.json({
+      success: true,
+      data: practitioners.map(provider => ({
+        id: provider.id,
+        title: provider.title,
+        firstName: provider.first_name,
+        lastName: provider.last_name,
+        profession: provider.profession,
+        specialties: provider.specialties || []
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching online bookable practitioners:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+/**
+ * GET /public/booking/:clinicId/slots
+ * Available slots for a treatment or a practitioner on a date
+ */
+router.get('/:clinicId/slots', rateLimit(catalogLimiter), async (req, res) => {
+  try {
+    const { error, value } = slotsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await onlineBookingService.getAvailableSlots(req.clinicDb, req.onlineBooking, value);
+    if (result.rejected) {
+      return sendRejection(res, result.rejected);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        date: value.date,
+        slots: result.slots.map(transformSlot)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching online booking slots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+/**
+ * POST /public/booking/:clinicId/verifications
+ * Send a one-time code to the patient's email or phone
+ */
+router.post('/:clinicId/verifications', rateLimit(codeRequestLimiterByIP), async (req, res) => {
+  try {
+    const { error, value } = codeRequestSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    // Per-contact limit (anti email / SMS bombing)
+    try {
+      const contactKey = value.contact.replace(/[\s.\-()]/g, '').toLowerCase();
+      await codeRequestLimiterByContact.consume(`${req.clinicId}:${value.channel}:${contactKey}`);
+    } catch (rateLimitError) {
+      logger.warn(`Online booking code requests limited for a contact from ${req.ip}`, {
+        clinicId: req.clinicId
+      });
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests. Please try again later.'
+      });
+    }
+
+    const result = await onlineBookingService.requestVerification(req.clinicDb, req.onlineBooking, value, {
+      ipAddress: req.ip
+    });
+    if (result.rejected) {
+      return sendRejection(res, result.rejected);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        verificationToken: result.verification.token,
+        channel: result.verification.channel,
+        expiresInMinutes: result.expiresInMinutes
+      },
+      message: 'A verification code has been sent'
+    });
+  } catch (error) {
+    logger.error('Error sending online booking verification code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+/**
+ * POST /public/booking/:clinicId/verifications/:token/verify
+ * Check the code received by the patient
+ */
+router.post('/:clinicId/verifications/:token/verify', rateLimit(codeVerifyLimiterByIP), async (req, res) => {
+  try {
+    if (!TOKEN_PATTERN.test(req.params.token)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification token'
+      });
+    }
+
+    const { error, value } = codeVerifySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await onlineBookingService.verifyCode(req.clinicDb, req.params.token, value.code);
+    if (result.rejected) {
+      return sendRejection(res, result.rejected);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        verified: true,
+        verificationToken: result.verification.token
+      }
+    });
+  } catch (error) {
+    logger.error('Error verifying online booking code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+/**
+ * POST /public/booking/:clinicId/appointments
+ * Book a slot for the verified contact (appointment created as `scheduled`)
+ */
+router.post('/:clinicId/appointments', rateLimit(bookingLimiterByIP), async (req, res) => {
+  try {
+    const { error, value } = bookingSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.details[0].message
+      });
+    }
+
+    const result = await onlineBookingService.book(req.clinicDb, req.onlineBooking, {
+      verificationToken: value.verificationToken,
+      treatmentId: value.treatmentId,
+      providerId: value.providerId,
+      date: value.date,
+      startTime: value.startTime,
+      reason: value.reason,
+      patient: {
+        first_name: value.firstName,
+        last_name: value.lastName,
+        phone: value.phone,
+        email: value.email,
+        birth_date: value.birthDate
+      }
+    }, { clinicId: req.clinicId });
+
+    if (result.rejected) {
+      return sendRejection(res, result.rejected);
+    }
+
+    const { appointment, treatment } = result;
+
+    res.status(201).json({
+      success: true,
+      data: {
+        appointmentNumber: appointment.appointment_number,
+        date: appointment.appointment_date,
+        time: appointment.start_time?.substring(0, 5),
+        endTime: appointment.end_time?.substring(0, 5),
+        status: appointment.status,
+        serviceName: treatment ? treatment.title : null
+      },
+      message: 'Your appointment has been booked'
+    });
+  } catch (error) {
+    logger.error('Error creating online booking:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Public Calendar Feed Routes
+ * Subscription URL used by the practitioners' calendar apps:
+ * - GET /public/calendar/:clinicId/:token.ics   (text/calendar, RFC 5545)
+ *
+ * These routes do NOT require authentication.
+ * Access is controlled by the secret feed token (see calendar-feeds.js);
+ * patient names are masked unless the feed owner has the
+ * appointments.view_practitioner permission.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const { resolvePublicClinic } = require('../middleware/publicClinic');
+const calendarService = require('../services/calendarService');
+const { logger } = require('../utils/logger');
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+// Calendar apps poll every few minutes at most
+const feedLimiter = new RateLimiterMemory({
+  keyPrefix: 'calendar_feed',
+  points: 60,
+  duration: 60 * 60
+});
+
+/**
+ * GET /public/calendar/:clinicId/:token.ics
+ * Planning of the practitioner owning the token
+ */
+router.get('/:clinicId/:token.ics', resolvePublicClinic, async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!TOKEN_PATTERN.test(token)) {
+      return res.status(404).json({ success: false, error: 'Calendar not found' });
+    }
+
+    try {
+      await feedLimiter.consume(`${req.clinicId}:${req.ip}`);
+    } catch (rateLimitError) {
+      const secs = Math.round((rateLimitError.msBeforeNext || 1000) / 1000) || 1;
+      res.set('Retry-After', String(secs));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests. Please try again later.'
+      });
+    }
+
+    const provider = await calendarService.findProviderByFeedToken(req.clinicDb, token);
+    if (!provider) {
+      return res.status(404).json({ success: false, error: 'Calendar not found' });
+    }
+
+    const canViewPatientNames = await calendarService.canViewPatientNames(provider, req.clinicId);
+    const body = await calendarService.buildProviderFeed(req.clinicDb, provider, {
+      maskPatientNames: !canViewPatientNames
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="planning.ics"',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(body);
+  } catch (error) {
+    logger.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+/**
+ * Public Inbound Message Webhooks
+ * Receive patient replies ("OUI", "NO", "ANNULER") from messaging providers:
+ * - POST /public/inbound/:clinicId/sms       (Twilio SMS webhook, form-encoded)
+ * - POST /public/inbound/:clinicId/whatsapp  (Twilio WhatsApp webhook, form-encoded)
+ * - POST /public/inbound/:clinicId/email     (inbound email parser, JSON or form)
+ *
+ * These routes do NOT require authentication.
+ * Twilio requests are verified with X-Twilio-Signature, email with X-Webhook-Secret.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { resolvePublicClinic } = require('../middleware/publicClinic');
+const inboundMessageService = require('../services/inboundMessageService');
+const messagingService = require('../services/messagingService');
+const { logger } = require('../utils/logger');
+
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+/**
+ * Compute the Twilio request signature
+ * HMAC-SHA1 of the full URL followed by every POST parameter (sorted by name), base64
+ */
+function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a || ''));
+  const bufB = Buffer.from(String(b || ''));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Verify the X-Twilio-Signature header with the clinic (or platform) auth token
+ * Set MESSAGING_WEBHOOK_VALIDATE=false to disable (local testing only).
+ */
+async function verifyTwilioSignature(req, res, next) {
+  if (process.env.MESSAGING_WEBHOOK_VALIDATE === 'false') {
+    return next();
+  }
+
+  const settings = await messagingService.getMessagingSettings(req.clinicDb);
+  const authToken = settings.twilio.authToken;
+
+  if (!authToken) {
+    logger.warn('Twilio webhook rejected: no auth token configured', { clinicId: req.clinicId });
+    return res.status(403).json({ success: false, error: 'Webhook not configured' });
+  }
+
+  const baseUrl = process.env.PUBLIC_WEBHOOK_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  const expected = computeTwilioSignature(authToken, `${baseUrl}${req.originalUrl}`, req.body);
+
+  if (!safeEqual(expected, req.headers['x-twilio-signature'])) {
+    logger.warn('Twilio webhook rejected: invalid signature', { clinicId: req.clinicId });
+    return res.status(403).json({ success: false, error: 'Invalid signature' });
+  }
+
+  next();
+}
+
+/**
+ * Verify the shared secret sent by the inbound email parser
+ */
+function verifyEmailSecret(req, res, next) {
+  const secret = process.env.INBOUND_EMAIL_WEBHOOK_SECRET;
+
+  if (!secret) {
+    return res.status(403).json({ success: false, error: 'Webhook not configured' });
+  }
+
+  if (!safeEqual(secret, req.headers['x-webhook-secret'])) {
+    logger.warn('Inbound email webhook rejected: invalid secret', { clinicId: req.clinicId });
+    return res.status(403).json({ success: false, error: 'Invalid secret' });
+  }
+
+  next();
+}
+
+/**
+ * Build the Twilio handler for a channel
+ */
+function twilioHandler(channel) {
+  return async (req, res) => {
+    try {
+      const { From, To, Body, MessageSid, SmsMessageSid } = req.body;
+
+      if (!From) {
+        return res.status(400).json({ success: false, error: 'Missing sender' });
+      }
+
+      await inboundMessageService.processInbound(req.clinicDb, {
+        channel,
+        from: From,
+        to: To,
+        body: Body,
+        provider: 'twilio',
+        providerMessageId: MessageSid || SmsMessageSid,
+        rawPayload: req.body
+      });
+
+      // Twilio expects TwiML; an empty response means "no automatic reply"
+      res.type('text/xml').send(EMPTY_TWIML);
+    } catch (error) {
+      logger.error(`Error handling inbound ${channel} message:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'An error occurred. Please try again later.'
+      });
+    }
+  };
+}
+
+/**
+ * POST /public/inbound/:clinicId/sms
+ */
+router.post('/:clinicId/sms', resolvePublicClinic, verifyTwilioSignature, twilioHandler('sms'));
+
+/**
+ * POST /public/inbound/:clinicId/whatsapp
+ */
+router.post('/:clinicId/whatsapp', resolvePublicClinic, verifyTwilioSignature, twilioHandler('whatsapp'));
+
+/**
+ * POST /public/inbound/:clinicId/email
+ * Accepts the common inbound-parse field names (SendGrid, Mailgun, generic JSON)
+ */
+router.post('/:clinicId/email', resolvePublicClinic, verifyEmailSecret, async (req, res) => {
+  try {
+    const payload = req.body || {};
+    const from = payload.from || payload.sender;
+    const body = payload.text || payload['body-plain'] || payload['stripped-text'] || '';
+
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'Missing sender' });
+    }
+
+    const inbound = await inboundMessageService.processInbound(req.clinicDb, {
+      channel: 'email',
+      from,
+      to: payload.to || payload.recipient,
+      subject: payload.subject,
+      body,
+      provider: 'email',
+      providerMessageId: payload.messageId || payload['Message-Id'] || null,
+      rawPayload: {
+        from,
+        to: payload.to || payload.recipient,
+        subject: payload.subject
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id: inbound.id,
+        status: inbound.status,
+        intent: inbound.intent
+      }
+    });
+  } catch (error) {
+    logger.error('Error handling inbound email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+module.exports = router;
+module.exports.computeTwilioSignature = computeTwilioSignature;
@@ -0,0 +1,143 @@
+/**
+ * Public Prescription Verification Routes
+ * Target of the QR code printed on prescriptions:
+ * - GET /public/prescriptions/:clinicId/:token
+ * - POST /public/prescriptions/:clinicId/:token/renewal-requests
+ *
+ * These routes do NOT require authentication.
+ * Access is controlled by the secret verification token: the answer confirms
+ * the prescription exists, who wrote it and whether it is still valid, without
+ * the patient nor the medications. The patient holding a renewable
+ * prescription can ask its renewal, queued for the prescriber's approval.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const router = express.Router();
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+const { resolvePublicClinic } = require('../middleware/publicClinic');
+const prescriptionPrintService = require('../services/prescriptionPrintService');
+const prescriptionRenewalService = require('../services/prescriptionRenewalService');
+const { logger } = require('../utils/logger');
+
+// A pharmacy checks a handful of prescriptions, not thousands of tokens
+const verifyLimiter = new RateLimiterMemory({
+  keyPrefix: 'prescription_verify',
+  points: 30,
+  duration: 15 * 60
+});
+
+// A patient asks a renewal now and then: a few attempts per hour are plenty
+const renewalRequestLimiter = new RateLimiterMemory({
+  keyPrefix: 'prescription_renewal_request',
+  points: 5,
+  duration: 60 * 60
+});
+
+const renewalRequestSchema = Joi.object({
+  message: Joi.string().trim().max(1000).allow('', null).optional()
+});
+
+/**
+ * GET /public/prescriptions/:clinicId/:token
+ * Authenticity of a printed prescription
+ */
+router.get('/:clinicId/:token', resolvePublicClinic, async (req, res) => {
+  try {
+    try {
+      await verifyLimiter.consume(req.ip);
+    } catch (rateLimitError) {
+      const secs = Math.round((rateLimitError.msBeforeNext || 1000) / 1000) || 1;
+      res.set('Retry-After', String(secs));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests. Please try again later.'
+      });
+    }
+
+    const prescription = await prescriptionPrintService.findByVerificationToken(req.clinicDb, req.params.token);
+    if (!prescription) {
+      return res.status(404).json({ success: false, error: 'Prescription not found', data: { valid: false } });
+    }
+
+    try {
+      await prescription.logAccess('public_verification', null, req.ip || 'unknown');
+    } catch (logError) {
+      logger.warn('Could not log prescription verification:', logError.message);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: prescriptionPrintService.toPublicVerification(prescription)
+    });
+  } catch (error) {
+    logger.error('Error verifying prescription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+/**
+ * POST /public/prescriptions/:clinicId/:token/renewal-requests
+ * Ask the renewal of a renewable prescription
+ * Body: { message? }
+ */
+router.post('/:clinicId/:token/renewal-requests', resolvePublicClinic, async (req, res) => {
+  try {
+    try {
+      await renewalRequestLimiter.consume(req.ip);
+    } catch (rateLimitError) {
+      const secs = Math.round((rateLimitError.msBeforeNext || 1000) / 1000) || 1;
+      res.set('Retry-After', String(secs));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests. Please try again later.'
+      });
+    }
+
+    const { error, value } = renewalRequestSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error: error.details[0].message });
+    }
+
+    const prescription = await prescriptionPrintService.findByVerificationToken(req.clinicDb, req.params.token);
+    if (!prescription) {
+      return res.status(404).json({ success: false, error: 'Prescription not found' });
+    }
+
+    const result = await prescriptionRenewalService.createRenewalRequest(req.clinicDb, prescription, {
+      source: 'patient',
+      message: value.message
+    });
+    // Not renewable, expired, no renewal left or already requested
+    if (result.rejected) {
+      return res.status(409).json({
+        success: false,
+        error: result.rejected.message,
+        reason: result.rejected.reason
+      });
+    }
+
+    try {
+      await prescription.logAccess('public_renewal_request', null, req.ip || 'unknown', { requestId: result.request.id });
+    } catch (logError) {
+      logger.warn('Could not log prescription renewal request:', logError.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { status: result.request.status, requestedAt: result.request.created_at }
+    });
+  } catch (error) {
+    logger.error('Error requesting prescription renewal:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+module.exports = router;
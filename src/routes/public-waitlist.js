@@ -0,0 +1,171 @@
+/**
+ * Public Waiting List Routes
+ * Links sent to waiting list patients when a slot is freed:
+ * - GET  /public/waitlist/:clinicId/offers/:token          (offer details)
+ * - POST /public/waitlist/:clinicId/offers/:token/accept   (book the slot, first come first served)
+ * - POST /public/waitlist/:clinicId/offers/:token/decline
+ *
+ * These routes do NOT require authentication.
+ * Access is controlled by the offer token.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getModel } = require('../base/ModelFactory');
+const { resolvePublicClinic } = require('../middleware/publicClinic');
+const waitlistService = require('../services/waitlistService');
+const emailService = require('../services/emailService');
+const { logger } = require('../utils/logger');
+
+// HTTP status for each reason an offer cannot be accepted / declined
+const REJECTION_STATUS = {
+  not_found: 404,
+  taken: 409,
+  closed: 409,
+  unavailable: 409,
+  expired: 410
+};
+
+/**
+ * Reject obviously malformed tokens before hitting the database
+ */
+function validateToken(req, res, next) {
+  if (!/^[0-9a-f]{64}$/.test(req.params.token)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid offer token'
+    });
+  }
+  next();
+}
+
+/**
+ * Transform offer for the public page (no patient data beyond the first name)
+ */
+async function transformPublicOffer(clinicDb, offer) {
+  const Patient = await getModel(clinicDb, 'Patient');
+  const ProductService = await getModel(clinicDb, 'ProductService');
+  const HealthcareProvider = await getModel(clinicDb, 'HealthcareProvider');
+
+  const patient = offer.entry ? await Patient.findByPk(offer.entry.patient_id) : null;
+  const service = offer.service_id ? await ProductService.findByPk(offer.service_id) : null;
+  const provider = offer.provider_id ? await HealthcareProvider.findByPk(offer.provider_id) : null;
+  const clinicInfo = await emailService.getClinicInfo(clinicDb);
+
+  return {
+    status: offer.isOpen() ? 'pending' : (offer.status === 'pending' ? 'expired' : offer.status),
+    date: offer.appointment_date,
+    time: offer.start_time?.substring(0, 5),
+    endTime: offer.end_time?.substring(0, 5),
+    expiresAt: offer.expires_at,
+    serviceName: service ? service.title : null,
+    providerName: provider ? `Dr. ${provider.first_name} ${provider.last_name}` : null,
+    patientFirstName: patient ? patient.first_name : null,
+    clinicName: clinicInfo.clinicName,
+    clinicPhone: clinicInfo.phone,
+    clinicAddress: clinicInfo.address
+  };
+}
+
+/**
+ * GET /public/waitlist/:clinicId/offers/:token
+ * Get offer details for the offer page
+ */
+router.get('/:clinicId/offers/:token', resolvePublicClinic, validateToken, async (req, res) => {
+  try {
+    const offer = await waitlistService.getOfferByToken(req.clinicDb, req.params.token);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Offer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await transformPublicOffer(req.clinicDb, offer)
+    });
+  } catch (error) {
+    logger.error('Error fetching waiting list offer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+/**
+ * POST /public/waitlist/:clinicId/offers/:token/accept
+ * Accept the offer: the appointment is booked if nobody accepted before
+ */
+router.post('/:clinicId/offers/:token/accept', resolvePublicClinic, validateToken, async (req, res) => {
+  try {
+    const result = await waitlistService.acceptOffer(req.clinicDb, req.params.token);
+
+    if (result.rejected) {
+      return res.status(REJECTION_STATUS[result.rejected.reason] || 409).json({
+        success: false,
+        error: result.rejected.message,
+        reason: result.rejected.reason
+      });
+    }
+
+    const { appointment } = result;
+
+    logger.info(`Waiting list offer accepted by patient, appointment ${appointment.id}`, {
+      clinicId: req.clinicId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        appointmentNumber: appointment.appointment_number,
+        date: appointment.appointment_date,
+        time: appointment.start_time?.substring(0, 5),
+        endTime: appointment.end_time?.substring(0, 5),
+        status: appointment.status
+      },
+      message: 'Your appointment has been booked'
+    });
+  } catch (error) {
+    logger.error('Error accepting waiting list offer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+/**
+ * POST /public/waitlist/:clinicId/offers/:token/decline
+ * Decline the offer (the patient stays on the waiting list)
+ */
+router.post('/:clinicId/offers/:token/decline', resolvePublicClinic, validateToken, async (req, res) => {
+  try {
+    const result = await waitlistService.declineOffer(req.clinicDb, req.params.token, {
+      clinicId: req.clinicId
+    });
+
+    if (result.rejected) {
+      return res.status(REJECTION_STATUS[result.rejected.reason] || 409).json({
+        success: false,
+        error: result.rejected.message,
+        reason: result.rejected.reason
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Offer declined, you remain on the waiting list'
+    });
+  } catch (error) {
+    logger.error('Error declining waiting list offer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'An error occurred. Please try again later.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+/**
+ * Rooms Routes
+ * CRUD operations for treatment rooms (capacity-based planning resources)
+ *
+ * A room hosts up to `capacity` appointments at the same time. Treatments
+ * requiring a room type (products_services.required_room_type) are only
+ * offered when a room of that type has a free place (see planningService).
+ * Rooms are managed with the machines permissions (same equipment screen).
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const clinicCrudRoutes = require('../base/clinicCrudRoutes');
+const { getModel } = require('../base/ModelFactory');
+
+// Validation schemas
+const createSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  roomType: Joi.string().max(50).allow(null).optional(),
+  capacity: Joi.number().integer().min(1).max(100).default(1),
+  description: Joi.string().allow('', null).optional(),
+  color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).default('#10B981'),
+  location: Joi.string().max(200).allow('', null).optional(),
+  isActive: Joi.boolean().default(true)
+});
+
+const updateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).optional(),
+  roomType: Joi.string().max(50).allow(null).optional(),
+  capacity: Joi.number().integer().min(1).max(100).optional(),
+  description: Joi.string().allow('', null).optional(),
+  color: Joi.string().pattern(/^#[0-9A-Fa-f]{6}$/).optional(),
+  location: Joi.string().max(200).allow('', null).optional(),
+  isActive: Joi.boolean().optional()
+});
+
+const querySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  search: Joi.string().optional(),
+  isActive: Joi.boolean().optional(),
+  roomType: Joi.string().max(50).optional()
+});
+
+// Field mapping camelCase → snake_case
+const fieldMapping = {
+  roomType: 'room_type',
+  isActive: 'is_active',
+  companyId: 'company_id'
+};
+
+// Transform camelCase to snake_case for database
+const transformToDb = (data) => {
+  const transformed = {};
+  for (const [key, value] of Object.entries(data)) {
+    const dbKey = fieldMapping[key] || key;
+    transformed[dbKey] = value;
+  }
+  return transformed;
+};
+
+// Transform snake_case to camelCase for API response
+const transformFromDb = (item) => {
+  if (!item) return null;
+  const data = item.toJSON ? item.toJSON() : item;
+  return {
+    id: data.id,
+    name: data.name,
+    roomType: data.room_type,
+    capacity: data.capacity,
+    description: data.description,
+    color: data.color,
+    location: data.location,
+    isActive: data.is_active,
+    companyId: data.company_id,
+    createdAt: data.created_at,
+    updatedAt: data.updated_at
+  };
+};
+
+// Basic CRUD routes
+const roomRoutes = clinicCrudRoutes('Room', {
+  createSchema,
+  updateSchema,
+  querySchema,
+  displayName: 'Room',
+  searchFields: ['name', 'room_type', 'location'],
+  defaultOrder: [['name', 'ASC']],
+  excludeFromFilters: ['isActive', 'roomType'],
+
+  permissions: {
+    view: 'machines.view',
+    create: 'machines.create',
+    update: 'machines.edit',
+    delete: 'machines.delete'
+  },
+
+  onBeforeCreate: async (data, user) => {
+    const dbData = transformToDb(data);
+    dbData.company_id = user.companyId;
+    return dbData;
+  },
+
+  onBeforeUpdate: async (data) => transformToDb(data),
+
+  buildQuery: async (query, queryParams) => {
+    if (queryParams.isActive !== undefined) {
+      query.where.is_active = queryParams.isActive;
+    }
+    if (queryParams.roomType) {
+      query.where.room_type = queryParams.roomType;
+    }
+    return query;
+  },
+
+  transformResponse: (item) => transformFromDb(item)
+});
+
+// === Custom endpoints (MUST be defined BEFORE CRUD routes) ===
+
+/**
+ * GET /rooms/types - Room types in use (for the treatment requirement selector)
+ */
+router.get('/types', async (req, res) => {
+  try {
+    const Room = await getModel(req.clinicDb, 'Room');
+
+    const rooms = await Room.findAll({
+      where: { is_active: true, room_type: { [Op.ne]: null } },
+      attributes: ['room_type', 'capacity'],
+      order: [['room_type', 'ASC']]
+    });
+
+    const types = new Map();
+    for (const room of rooms) {
+      const type = types.get(room.room_type) || { roomType: room.room_type, rooms: 0, totalCapacity: 0 };
+      type.rooms += 1;
+      type.totalCapacity += room.capacity;
+      types.set(room.room_type, type);
+    }
+
+    res.json({
+      success: true,
+      data: [...types.values()]
+    });
+  } catch (error) {
+    console.error('[rooms] Error fetching room types:', error);
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch room types' }
+    });
+  }
+});
+
+// Mount CRUD routes AFTER custom routes
+router.use('/', roomRoutes);
+
+module.exports = router;
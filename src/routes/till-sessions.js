@@ -0,0 +1,269 @@
+/**
+ * Till Sessions Routes — Front desk cash register
+ *
+ * Open a session with a float, take payments against invoices (refunds on
+ * credit notes) during the day, close with the counted amounts and print the
+ * Z-report. Closed sessions cannot be modified.
+ * All routes clinic-isolated via req.clinicDb / req.clinicId.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { logger } = require('../utils/logger');
+const tillService = require('../services/tillService');
+const { requirePermission } = require('../middleware/permissions');
+const { PAYMENT_METHODS, PAYER_TYPES } = require('../models/clinic/DocumentPayment');
+
+const router = express.Router();
+
+// ============================================================================
+// Validation schemas
+// ============================================================================
+
+const openSchema = Joi.object({
+  openingFloat: Joi.number().min(0).precision(2).required(),
+  registerName: Joi.string().trim().max(50).default('main'),
+  notes: Joi.string().allow('', null)
+}).options({ stripUnknown: true });
+
+const paymentSchema = Joi.object({
+  documentId: Joi.string().uuid().required(),
+  amount: Joi.number().positive().precision(2).required(),
+  paymentMethod: Joi.string().valid(...PAYMENT_METHODS).required(),
+  reference: Joi.string().max(100).allow('', null),
+  payerType: Joi.string().valid(...PAYER_TYPES).default('patient'),
+  payerName: Joi.string().max(255).allow('', null),
+  notes: Joi.string().allow('', null)
+}).options({ stripUnknown: true });
+
+const voidSchema = Joi.object({
+  reason: Joi.string().min(3).max(500).required()
+}).options({ stripUnknown: true });
+
+const countedAmountsSchema = Joi.object(
+  Object.fromEntries(PAYMENT_METHODS.map(method => [method, Joi.number().min(0).precision(2)]))
+);
+
+const closeSchema = Joi.object({
+  countedAmounts: countedAmountsSchema.required(),
+  notes: Joi.string().allow('', null)
+}).options({ stripUnknown: true });
+
+const querySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('open', 'closed'),
+  registerName: Joi.string().max(50),
+  dateFrom: Joi.date().iso(),
+  dateTo: Joi.date().iso()
+});
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: { message: 'Validation error', details: error.details.map(d => d.message).join(', ') }
+  });
+}
+
+/**
+ * Audit context of the request
+ */
+function getActor(req) {
+  return {
+    userId: req.user.id,
+    companyId: req.user.companyId,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+/**
+ * Map till / payment ledger errors to HTTP responses
+ */
+function handleTillError(error, res, next) {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ success: false, error: { message: error.message } });
+  }
+  if (error.message.includes('already open') || error.message.includes('already closed') ||
+      error.message.includes('Cannot ') || error.message.includes('can only be recorded') ||
+      error.message.includes('exceeds') || error.message.includes('already voided') ||
+      error.message.includes('is missing')) {
+    return res.status(409).json({ success: false, error: { message: error.message } });
+  }
+  next(error);
+}
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * GET /till-sessions
+ * List sessions (newest first)
+ */
+router.get('/', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const { error, value } = querySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const { sessions, total, page, limit } = await tillService.listSessions(req.clinicDb, req.clinicId, value);
+
+    res.json({
+      success: true,
+      data: sessions,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /till-sessions/current?registerName=main
+ * Open session of a register with its live totals (data: null when the till is closed)
+ */
+router.get('/current', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const session = await tillService.getOpenSession(req.clinicDb, req.clinicId, req.query.registerName || 'main');
+    if (!session) {
+      return res.json({ success: true, data: null });
+    }
+
+    const { payments, summary } = await tillService.getSessionDetail(req.clinicDb, req.clinicId, session.id);
+    res.json({ success: true, data: { ...session.toJSON(), payments, summary } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /till-sessions
+ * Open a session with a cash float
+ */
+router.post('/', requirePermission('invoices.create'), async (req, res, next) => {
+  try {
+    const { error, value } = openSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const session = await tillService.openSession(req.clinicDb, req.clinicId, value, getActor(req));
+
+    res.status(201).json({ success: true, data: session, message: 'Till session opened' });
+  } catch (error) {
+    handleTillError(error, res, next);
+  }
+});
+
+/**
+ * GET /till-sessions/:id
+ * Session with its payments and totals per payment method
+ */
+router.get('/:id', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const { session, payments, summary } = await tillService.getSessionDetail(
+      req.clinicDb, req.clinicId, req.params.id
+    );
+
+    res.json({ success: true, data: { ...session.toJSON(), payments, summary } });
+  } catch (error) {
+    handleTillError(error, res, next);
+  }
+});
+
+/**
+ * POST /till-sessions/:id/payments
+ * Take a payment on an invoice (or pay back a refund on a credit note)
+ */
+router.post('/:id/payments', requirePermission('invoices.create'), async (req, res, next) => {
+  try {
+    const { error, value } = paymentSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const { payment, document } = await tillService.recordPayment(
+      req.clinicDb, req.clinicId, req.params.id, value, getActor(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: payment,
+      document,
+      message: payment.payment_type === 'refund' ? 'Refund recorded' : 'Payment recorded'
+    });
+  } catch (error) {
+    handleTillError(error, res, next);
+  }
+});
+
+/**
+ * POST /till-sessions/:id/payments/:paymentId/void
+ * Void a payment of the open session (stays on the Z-report as voided)
+ */
+router.post('/:id/payments/:paymentId/void', requirePermission('invoices.edit'), async (req, res, next) => {
+  try {
+    const { error, value } = voidSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const { payment, document } = await tillService.voidPayment(
+      req.clinicDb, req.clinicId, req.params.id, req.params.paymentId, value.reason, getActor(req)
+    );
+
+    res.json({ success: true, data: payment, document, message: 'Payment voided' });
+  } catch (error) {
+    handleTillError(error, res, next);
+  }
+});
+
+/**
+ * POST /till-sessions/:id/close
+ * Close with the counted amounts per payment method; computes the discrepancies
+ */
+router.post('/:id/close', requirePermission('invoices.edit'), async (req, res, next) => {
+  try {
+    const { error, value } = closeSchema.validate(req.body);
+    if (error) return validationError(res, error);
+
+    const session = await tillService.closeSession(req.clinicDb, req.clinicId, req.params.id, value, getActor(req));
+
+    res.json({ success: true, data: session, message: 'Till session closed' });
+  } catch (error) {
+    handleTillError(error, res, next);
+  }
+});
+
+/**
+ * GET /till-sessions/:id/z-report
+ * Z-report PDF of a closed session
+ */
+router.get('/:id/z-report', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    // Billing settings give the seller name and legal mentions
+    let billingSettings = {};
+    try {
+      const [settingsResult] = await req.clinicDb.query(
+        `SELECT billing_settings FROM clinic_settings WHERE facility_id = :clinicId`,
+        { replacements: { clinicId: req.clinicId } }
+      );
+      billingSettings = settingsResult.length > 0 ? (settingsResult[0].billing_settings || {}) : {};
+    } catch (e) {
+      logger.warn('[till-sessions/z-report] Could not load billing settings:', e.message);
+    }
+
+    const { session, pdf } = await tillService.generateZReport(
+      req.clinicDb, req.clinicId, req.params.id, { billingSettings }, getActor(req)
+    );
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="rapport-z-${session.session_number}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    handleTillError(error, res, next);
+  }
+});
+
+module.exports = router;
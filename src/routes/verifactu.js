@@ -0,0 +1,163 @@
+/**
+ * VeriFactu Routes — Spanish invoice registry (AEAT)
+ *
+ * Registry records are created when an invoice or credit note of a Spanish
+ * clinic is issued (PATCH /documents/:id/send). These routes list them,
+ * export the pending ones as a RegFactuSistemaFacturacion XML batch, submit
+ * them through the configured transport and verify the fingerprint chain.
+ * All routes clinic-isolated via req.clinicDb / req.clinicId.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { logger } = require('../utils/logger');
+const verifactuService = require('../services/verifactuService');
+const { requirePermission } = require('../middleware/permissions');
+const { SUBMISSION_STATUS } = require('../models/clinic/InvoiceRegistryRecord');
+const { MAX_BATCH_RECORDS } = require('../services/verifactu/registryRecord');
+
+const router = express.Router();
+
+// ============================================================================
+// Validation schemas
+// ============================================================================
+
+const querySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...Object.values(SUBMISSION_STATUS))
+});
+
+const exportQuerySchema = Joi.object({
+  status: Joi.string().valid(...Object.values(SUBMISSION_STATUS)).default('pending'),
+  limit: Joi.number().integer().min(1).max(MAX_BATCH_RECORDS)
+});
+
+const submitSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(MAX_BATCH_RECORDS)
+}).options({ stripUnknown: true });
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: { message: 'Validation error', details: error.details.map(d => d.message).join(', ') }
+  });
+}
+
+/**
+ * Audit context of the request
+ */
+function getActor(req) {
+  return {
+    userId: req.user.id,
+    companyId: req.user.companyId,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  };
+}
+
+async function loadBillingSettings(req) {
+  try {
+    const [settingsResult] = await req.clinicDb.query(
+      `SELECT billing_settings FROM clinic_settings WHERE facility_id = :clinicId`,
+      { replacements: { clinicId: req.clinicId } }
+    );
+    return settingsResult.length > 0 ? (settingsResult[0].billing_settings || {}) : {};
+  } catch (e) {
+    logger.warn('[verifactu] Could not load billing settings:', e.message);
+    return {};
+  }
+}
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+/**
+ * GET /verifactu/records
+ * List registry records (newest first)
+ */
+router.get('/records', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const { error, value } = querySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const { records, total, page, limit } = await verifactuService.listRecords(req.clinicDb, req.clinicId, value);
+
+    res.json({
+      success: true,
+      data: records,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /verifactu/records/export?status=pending
+ * RegFactuSistemaFacturacion XML batch of the records (oldest first, up to 1000)
+ */
+router.get('/records/export', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const { error, value } = exportQuerySchema.validate(req.query);
+    if (error) return validationError(res, error);
+
+    const { xml, count } = await verifactuService.exportBatch(req.clinicDb, req.clinicId, value);
+    if (!xml) {
+      return res.status(404).json({ success: false, error: { message: 'No registry records to export' } });
+    }
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Content-Disposition': `attachment; filename="verifactu-${value.status}-${count}.xml"`
+    });
+    res.send(xml);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /verifactu/submit
+ * Submit the pending records to the AEAT (loopback transport unless configured)
+ */
+router.post('/submit', requirePermission('invoices.edit'), async (req, res, next) => {
+  try {
+    const { error, value } = submitSchema.validate(req.body || {});
+    if (error) return validationError(res, error);
+
+    const billingSettings = await loadBillingSettings(req);
+    const result = await verifactuService.submitPending(req.clinicDb, req.clinicId, {
+      billingSettings,
+      actor: getActor(req),
+      limit: value.limit
+    });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error.message.includes('transport')) {
+      return res.status(409).json({ success: false, error: { message: error.message } });
+    }
+    next(error);
+  }
+});
+
+/**
+ * GET /verifactu/chain/verify
+ * Recompute the fingerprints of the whole chain of the clinic
+ */
+router.get('/chain/verify', requirePermission('invoices.view'), async (req, res, next) => {
+  try {
+    const report = await verifactuService.verifyChain(req.clinicDb, req.clinicId);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
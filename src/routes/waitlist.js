@@ -0,0 +1,431 @@
+/**
+ * Waitlist Routes
+ * Patients waiting for an earlier slot. When an appointment is cancelled or
+ * missed, matching entries receive a time-limited offer (see waitlistService).
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const { getModel } = require('../base/ModelFactory');
+const waitlistService = require('../services/waitlistService');
+const { requirePermission } = require('../middleware/permissions');
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validation schemas
+const entryFields = {
+  category: Joi.string().valid('treatment', 'consultation'),
+  serviceId: Joi.string().uuid().allow(null),
+  providerId: Joi.string().uuid().allow(null),
+  duration: Joi.number().integer().min(5).max(480),
+  dateFrom: Joi.string().pattern(DATE_PATTERN),
+  dateTo: Joi.string().pattern(DATE_PATTERN),
+  preferredDays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique(),
+  timeFrom: Joi.string().pattern(TIME_PATTERN).allow(null),
+  timeTo: Joi.string().pattern(TIME_PATTERN).allow(null),
+  priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
+  notes: Joi.string().allow('', null)
+};
+
+const createEntrySchema = Joi.object({
+  ...entryFields,
+  patientId: Joi.string().uuid().required(),
+  category: entryFields.category.required(),
+  serviceId: entryFields.serviceId.when('category', {
+    is: 'treatment',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  dateFrom: entryFields.dateFrom.required(),
+  dateTo: entryFields.dateTo.required(),
+  preferredDays: entryFields.preferredDays.default([]),
+  priority: entryFields.priority.default('normal')
+});
+
+const updateEntrySchema = Joi.object(entryFields).min(1);
+
+const listQuerySchema = Joi.object({
+  status: Joi.string().valid('waiting', 'offered', 'booked', 'expired', 'cancelled').optional(),
+  category: Joi.string().valid('treatment', 'consultation').optional(),
+  patientId: Joi.string().uuid().optional(),
+  serviceId: Joi.string().uuid().optional(),
+  providerId: Joi.string().uuid().optional(),
+  date: Joi.string().pattern(DATE_PATTERN).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// API field -> column
+const FIELD_MAP = {
+  category: 'category',
+  serviceId: 'service_id',
+  providerId: 'provider_id',
+  duration: 'duration_minutes',
+  dateFrom: 'date_from',
+  dateTo: 'date_to',
+  preferredDays: 'preferred_days',
+  timeFrom: 'time_from',
+  timeTo: 'time_to',
+  priority: 'priority',
+  notes: 'notes'
+};
+
+/**
+ * Checks Joi cannot do on partial updates (windows, treatment without service)
+ * @returns {string|null} Error message
+ */
+const validateEntry = (entry) => {
+  if (entry.category === 'treatment' && !entry.service_id) {
+    return 'serviceId is required for treatments';
+  }
+  if (entry.date_to < entry.date_from) {
+    return 'dateTo must be on or after dateFrom';
+  }
+  if (entry.time_from && entry.time_to && entry.time_to.substring(0, 5) <= entry.time_from.substring(0, 5)) {
+    return 'timeTo must be after timeFrom';
+  }
+  return null;
+};
+
+/**
+ * Transform offer for API response
+ */
+const transformOffer = (offer) => {
+  if (!offer) return null;
+  const data = offer.toJSON ? offer.toJSON() : offer;
+  return {
+    id: data.id,
+    offerGroupId: data.offer_group_id,
+    sourceAppointmentId: data.source_appointment_id,
+    date: data.appointment_date,
+    startTime: data.start_time?.substring(0, 5),
+    endTime: data.end_time?.substring(0, 5),
+    machineId: data.machine_id,
+    providerId: data.provider_id,
+    serviceId: data.service_id,
+    channel: data.channel,
+    messageId: data.message_id,
+    status: data.status,
+    expiresAt: data.expires_at,
+    respondedAt: data.responded_at,
+    appointmentId: data.appointment_id,
+    createdAt: data.created_at
+  };
+};
+
+/**
+ * Transform waiting list entry for API response
+ */
+const transformEntry = (entry) => {
+  if (!entry) return null;
+  const data = entry.toJSON ? entry.toJSON() : entry;
+  return {
+    id: data.id,
+    patientId: data.patient_id,
+    patient: data.patient ? {
+      id: data.patient.id,
+      firstName: data.patient.first_name,
+      lastName: data.patient.last_name,
+      email: data.patient.email,
+      phone: data.patient.phone
+    } : null,
+    category: data.category,
+    serviceId: data.service_id,
+    providerId: data.provider_id,
+    duration: data.duration_minutes,
+    dateFrom: data.date_from,
+    dateTo: data.date_to,
+    preferredDays: data.preferred_days || [],
+    timeFrom: data.time_from?.substring(0, 5) || null,
+    timeTo: data.time_to?.substring(0, 5) || null,
+    priority: data.priority,
+    notes: data.notes,
+    status: data.status,
+    appointmentId: data.appointment_id,
+    createdBy: data.created_by,
+    createdAt: data.created_at,
+    updatedAt: data.updated_at
+  };
+};
+
+/**
+ * GET /waitlist
+ * List waiting list entries (highest priority first)
+ */
+router.get('/',
+  requirePermission('appointments.view'),
+  async (req, res) => {
+    try {
+      const { error, value } = listQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const WaitlistEntry = await getModel(req.clinicDb, 'WaitlistEntry');
+      const Patient = await getModel(req.clinicDb, 'Patient');
+
+      const where = {};
+      if (value.status) where.status = value.status;
+      if (value.category) where.category = value.category;
+      if (value.patientId) where.patient_id = value.patientId;
+      if (value.serviceId) where.service_id = value.serviceId;
+      if (value.providerId) where.provider_id = value.providerId;
+      if (value.date) {
+        where.date_from = { [Op.lte]: value.date };
+        where.date_to = { [Op.gte]: value.date };
+      }
+
+      const { count, rows } = await WaitlistEntry.findAndCountAll({
+        where,
+        include: [{ model: Patient, as: 'patient', attributes: ['id', 'first_name', 'last_name', 'email', 'phone'] }],
+        order: WaitlistEntry.priorityOrder(),
+        limit: value.limit,
+        offset: (value.page - 1) * value.limit
+      });
+
+      res.json({
+        success: true,
+        data: rows.map(transformEntry),
+        pagination: {
+          page: value.page,
+          limit: value.limit,
+          total: count,
+          totalPages: Math.ceil(count / value.limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching waiting list:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * POST /waitlist
+ * Add a patient to the waiting list
+ */
+router.post('/',
+  requirePermission('appointments.edit'),
+  async (req, res) => {
+    try {
+      const { error, value } = createEntrySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const WaitlistEntry = await getModel(req.clinicDb, 'WaitlistEntry');
+      const Patient = await getModel(req.clinicDb, 'Patient');
+
+      const patient = await Patient.findByPk(value.patientId);
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          error: 'Patient not found'
+        });
+      }
+
+      // Default duration: the treatment's duration, 30 minutes otherwise
+      let duration = value.duration;
+      if (!duration && value.serviceId) {
+        const ProductService = await getModel(req.clinicDb, 'ProductService');
+        const service = await ProductService.findByPk(value.serviceId);
+        if (!service) {
+          return res.status(404).json({
+            success: false,
+            error: 'Treatment not found'
+          });
+        }
+        duration = service.duration;
+      }
+
+      const attributes = {
+        facility_id: req.user.facilityId || req.user.companyId,
+        patient_id: value.patientId,
+        duration_minutes: duration || 30,
+        created_by: req.user.id
+      };
+      for (const [field, column] of Object.entries(FIELD_MAP)) {
+        if (value[field] !== undefined && field !== 'duration') {
+          attributes[column] = value[field];
+        }
+      }
+
+      const windowError = validateEntry(attributes);
+      if (windowError) {
+        return res.status(400).json({
+          success: false,
+          error: windowError
+        });
+      }
+
+      const entry = await WaitlistEntry.create(attributes);
+      await entry.reload({ include: [{ model: Patient, as: 'patient' }] });
+
+      res.status(201).json({
+        success: true,
+        data: transformEntry(entry),
+        message: 'Patient added to the waiting list'
+      });
+    } catch (error) {
+      console.error('Error creating waiting list entry:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * GET /waitlist/:id
+ * Get one entry with the offers sent to the patient
+ */
+router.get('/:id',
+  requirePermission('appointments.view'),
+  async (req, res) => {
+    try {
+      const WaitlistEntry = await getModel(req.clinicDb, 'WaitlistEntry');
+      const WaitlistOffer = await getModel(req.clinicDb, 'WaitlistOffer');
+      const Patient = await getModel(req.clinicDb, 'Patient');
+
+      const entry = await WaitlistEntry.findByPk(req.params.id, {
+        include: [
+          { model: Patient, as: 'patient' },
+          { model: WaitlistOffer, as: 'offers' }
+        ],
+        order: [[{ model: WaitlistOffer, as: 'offers' }, 'created_at', 'DESC']]
+      });
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: 'Waiting list entry not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...transformEntry(entry),
+          offers: (entry.offers || []).map(transformOffer)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching waiting list entry:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * PUT /waitlist/:id
+ * Update preferences of a waiting entry
+ */
+router.put('/:id',
+  requirePermission('appointments.edit'),
+  async (req, res) => {
+    try {
+      const { error, value } = updateEntrySchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+
+      const WaitlistEntry = await getModel(req.clinicDb, 'WaitlistEntry');
+      const Patient = await getModel(req.clinicDb, 'Patient');
+
+      const entry = await WaitlistEntry.findByPk(req.params.id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: 'Waiting list entry not found'
+        });
+      }
+
+      if (!['waiting', 'expired'].includes(entry.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot update an entry with status '${entry.status}'`
+        });
+      }
+
+      for (const [field, column] of Object.entries(FIELD_MAP)) {
+        if (value[field] !== undefined) {
+          entry[column] = value[field];
+        }
+      }
+
+      const windowError = validateEntry(entry);
+      if (windowError) {
+        return res.status(400).json({
+          success: false,
+          error: windowError
+        });
+      }
+
+      // A new window puts an expired entry back on the list
+      if (entry.status === 'expired' && entry.date_to >= new Date().toISOString().substring(0, 10)) {
+        entry.status = 'waiting';
+      }
+
+      await entry.save();
+      await entry.reload({ include: [{ model: Patient, as: 'patient' }] });
+
+      res.json({
+        success: true,
+        data: transformEntry(entry),
+        message: 'Waiting list entry updated'
+      });
+    } catch (error) {
+      console.error('Error updating waiting list entry:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /waitlist/:id
+ * Remove a patient from the waiting list (pending offers are withdrawn)
+ */
+router.delete('/:id',
+  requirePermission('appointments.edit'),
+  async (req, res) => {
+    try {
+      const entry = await waitlistService.cancelEntry(req.clinicDb, req.params.id);
+
+      res.json({
+        success: true,
+        data: transformEntry(entry),
+        message: 'Patient removed from the waiting list'
+      });
+    } catch (error) {
+      console.error('Error cancelling waiting list entry:', error);
+      res.status(error.message.includes('not found') ? 404 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,459 @@
+/**
+ * Accounting Export Service — Journal entries from billing documents
+ *
+ * - buildEntries(): double-entry journal of a period
+ *     - sales journal: one entry per issued invoice / credit note
+ *       (customer account / revenue per tax rate / VAT collected per rate)
+ *     - bank and cash journals: one entry per payment or refund of the ledger
+ *       (payment method account / customer account)
+ * - buildFec(): Fichier des Écritures Comptables (LPF art. A47 A-1), the
+ *   18-column file French tax auditors ask for
+ * - buildJournalCsv(): the same entries as a spreadsheet-friendly CSV
+ * - exportFec() / exportJournal(): load the period from the clinic database
+ *
+ * Accounts come from billing_settings.accounting (chart-of-accounts mapping
+ * per tax rate and payment method), merged over French PCG defaults.
+ * Draft, cancelled and deleted documents and voided payments are left out.
+ */
+
+const { logger } = require('../utils/logger');
+const { toCsv } = require('../utils/csv');
+const { round2 } = require('../utils/money');
+
+// Accounts and journals used for whatever the clinic did not map
+const DEFAULT_ACCOUNTING_SETTINGS = {
+  // First month of the fiscal year (1 = January)
+  fiscalYearStartMonth: 1,
+  customerAccount: { number: '411000', label: 'Clients' },
+  // Per tax rate ("20", "10", "5.5", "0"...), "default" for the others
+  revenueAccounts: {
+    default: { number: '706000', label: 'Prestations de services' }
+  },
+  vatAccounts: {
+    default: { number: '445710', label: 'TVA collectée' }
+  },
+  // Per payment method (DocumentPayment.PAYMENT_METHODS)
+  paymentAccounts: {
+    cash: { number: '530000', label: 'Caisse' },
+    check: { number: '511200', label: 'Chèques à encaisser' },
+    default: { number: '512000', label: 'Banque' }
+  },
+  journals: {
+    sales: { code: 'VT', label: 'Journal des ventes' },
+    bank: { code: 'BQ', label: 'Journal de banque' },
+    cash: { code: 'CA', label: 'Journal de caisse' }
+  }
+};
+
+const ISSUED_STATUSES = {
+  invoice: ['sent', 'partial', 'overdue', 'paid'],
+  credit_note: ['sent', 'applied']
+};
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'espèces',
+  card: 'carte',
+  check: 'chèque',
+  transfer: 'virement',
+  direct_debit: 'prélèvement',
+  other: 'autre'
+};
+
+const FEC_COLUMNS = [
+  'JournalCode', 'JournalLib', 'EcritureNum', 'EcritureDate', 'CompteNum', 'CompteLib',
+  'CompAuxNum', 'CompAuxLib', 'PieceRef', 'PieceDate', 'EcritureLib', 'Debit', 'Credit',
+  'EcritureLet', 'DateLet', 'ValidDate', 'Montantdevise', 'Idevise'
+];
+
+/**
+ * Accounting settings of a clinic merged over the defaults (one level deep per map)
+ * @param {Object} billingSettings - clinic_settings.billing_settings
+ * @returns {Object}
+ */
+function resolveAccountingSettings(billingSettings) {
+  const custom = (billingSettings && billingSettings.accounting) || {};
+  const defaults = DEFAULT_ACCOUNTING_SETTINGS;
+  return {
+    fiscalYearStartMonth: custom.fiscalYearStartMonth || defaults.fiscalYearStartMonth,
+    customerAccount: { ...defaults.customerAccount, ...custom.customerAccount },
+    revenueAccounts: { ...defaults.revenueAccounts, ...custom.revenueAccounts },
+    vatAccounts: { ...defaults.vatAccounts, ...custom.vatAccounts },
+    paymentAccounts: { ...defaults.paymentAccounts, ...custom.paymentAccounts },
+    journals: {
+      sales: { ...defaults.journals.sales, ...custom.journals?.sales },
+      bank: { ...defaults.journals.bank, ...custom.journals?.bank },
+      cash: { ...defaults.journals.cash, ...custom.journals?.cash }
+    }
+  };
+}
+
+/**
+ * Key of a tax rate in the account maps: 20 → "20", 5.5 → "5.5"
+ */
+function rateKey(rate) {
+  return String(parseFloat(rate) || 0);
+}
+
+function accountFor(map, key) {
+  return map[key] || map.default;
+}
+
+// ============================================================================
+// Entries
+// ============================================================================
+
+/**
+ * Customer auxiliary account: patient file number, buyer SIREN or "DIVERS"
+ */
+function customerAuxiliary(doc) {
+  return {
+    number: doc.patient_number || doc.buyer_siren || 'DIVERS',
+    label: doc.buyer_name || ''
+  };
+}
+
+/**
+ * Sales journal entry of an invoice or a credit note
+ *
+ * Revenue and VAT are split per tax rate (documents.tax_details); the cent
+ * left by rounding goes on the largest revenue line so the entry balances.
+ *
+ * @param {Object} doc - Document row (+ patient_number)
+ * @param {Object} settings - Resolved accounting settings
+ * @returns {Object} - { journal, date, pieceRef, pieceDate, label, lines }
+ */
+function buildDocumentEntry(doc, settings) {
+  const isCreditNote = doc.document_type === 'credit_note';
+  const total = round2(parseFloat(doc.total) || 0);
+  const auxiliary = customerAuxiliary(doc);
+  const label = `${isCreditNote ? 'Avoir' : 'Facture'} ${doc.document_number} ${doc.buyer_name || ''}`.trim();
+
+  // Invoice: customer debited, revenue and VAT credited (a credit note reverses every line)
+  const line = (account, amount, side, aux = null) => ({
+    account: account.number,
+    accountLabel: account.label,
+    auxNumber: aux ? aux.number : '',
+    auxLabel: aux ? aux.label : '',
+    amount,
+    side
+  });
+
+  const lines = [line(settings.customerAccount, total, 'debit', auxiliary)];
+  const revenueLines = [];
+  for (const detail of doc.tax_details || []) {
+    const base = round2(parseFloat(detail.base) || 0);
+    const vat = round2(parseFloat(detail.amount) || 0);
+    if (base !== 0) {
+      const revenue = line(accountFor(settings.revenueAccounts, rateKey(detail.rate)), base, 'credit');
+      revenueLines.push(revenue);
+      lines.push(revenue);
+    }
+    if (vat !== 0) {
+      lines.push(line(accountFor(settings.vatAccounts, rateKey(detail.rate)), vat, 'credit'));
+    }
+  }
+
+  // Rounding (or no tax details at all): the difference goes to revenue
+  const credited = round2(lines.filter(l => l.side === 'credit').reduce((sum, l) => sum + l.amount, 0));
+  const gap = round2(total - credited);
+  if (gap !== 0) {
+    if (revenueLines.length > 0) {
+      const largest = revenueLines.reduce((a, b) => (Math.abs(b.amount) > Math.abs(a.amount) ? b : a));
+      largest.amount = round2(largest.amount + gap);
+    } else {
+      lines.push(line(accountFor(settings.revenueAccounts, 'default'), gap, 'credit'));
+    }
+  }
+
+  return {
+    journal: settings.journals.sales,
+    date: doc.issue_date,
+    pieceRef: doc.document_number,
+    pieceDate: doc.issue_date,
+    label,
+    lines: lines.map(l => toSides(l, isCreditNote))
+  };
+}
+
+/**
+ * Bank / cash journal entry of a ledger row: the money account against the customer
+ * @param {Object} payment - Payment row (+ document_number, document_type, buyer_name, buyer_siren, patient_number)
+ * @param {Object} settings - Resolved accounting settings
+ * @returns {Object}
+ */
+function buildPaymentEntry(payment, settings) {
+  const isRefund = payment.payment_type === 'refund';
+  const amount = round2(parseFloat(payment.amount) || 0);
+  const method = payment.payment_method || 'other';
+  const journal = method === 'cash' ? settings.journals.cash : settings.journals.bank;
+  const moneyAccount = accountFor(settings.paymentAccounts, method);
+  const auxiliary = customerAuxiliary(payment);
+  const payerName = payment.payer_name && payment.payer_name !== payment.buyer_name ? ` ${payment.payer_name}` : '';
+
+  const lines = [
+    { account: moneyAccount.number, accountLabel: moneyAccount.label, auxNumber: '', auxLabel: '', amount, side: 'debit' },
+    {
+      account: settings.customerAccount.number,
+      accountLabel: settings.customerAccount.label,
+      auxNumber: auxiliary.number,
+      auxLabel: auxiliary.label,
+      amount,
+      side: 'credit'
+    }
+  ];
+
+  return {
+    journal,
+    date: payment.payment_date,
+    pieceRef: payment.reference || payment.document_number,
+    pieceDate: payment.payment_date,
+    label: `${isRefund ? 'Remboursement' : 'Règlement'} ${payment.document_number} (${PAYMENT_METHOD_LABELS[method] || method})${payerName}`,
+    lines: lines.map(l => toSides(l, isRefund))
+  };
+}
+
+function toSides(line, reversed) {
+  const debitSide = (line.side === 'debit') !== reversed;
+  const { side, amount, ...rest } = line;
+  return { ...rest, debit: debitSide ? amount : 0, credit: debitSide ? 0 : amount };
+}
+
+/**
+ * Journal of a period: entries by date, numbered per journal
+ * @param {Array} documents - Issued invoices and credit notes
+ * @param {Array} payments - Non-voided ledger rows
+ * @param {Object} settings - Resolved accounting settings
+ * @returns {Array} - Entries { journal, number, date, pieceRef, pieceDate, label, lines }
+ */
+function buildEntries(documents, payments, settings) {
+  const entries = [
+    ...documents.map(doc => buildDocumentEntry(doc, settings)),
+    ...payments.map(payment => buildPaymentEntry(payment, settings))
+  ];
+
+  entries.sort((a, b) => formatDay(a.date).localeCompare(formatDay(b.date)) ||
+    a.journal.code.localeCompare(b.journal.code) || String(a.pieceRef).localeCompare(String(b.pieceRef)));
+
+  const counters = {};
+  for (const entry of entries) {
+    counters[entry.journal.code] = (counters[entry.journal.code] || 0) + 1;
+    entry.number = `${entry.journal.code}${String(counters[entry.journal.code]).padStart(6, '0')}`;
+  }
+  return entries;
+}
+
+// ============================================================================
+// Formats
+// ============================================================================
+
+/**
+ * YYYY-MM-DD of a DATEONLY value (string) or a Date (local calendar day)
+ */
+function formatDay(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value.slice(0, 10);
+  const d = new Date(value);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// FEC: dates YYYYMMDD, amounts with a decimal comma and no thousands separator
+function fecDate(value) {
+  return formatDay(value).replace(/-/g, '');
+}
+
+function fecAmount(value) {
+  return value.toFixed(2).replace('.', ',');
+}
+
+// Free text may not contain the field separator nor line breaks
+function fecText(value) {
+  return String(value || '').replace(/[|\r\n\t]+/g, ' ').trim();
+}
+
+/**
+ * Fichier des Écritures Comptables of a fiscal year
+ *
+ * Pipe-separated, one line per entry line, CRLF. Named
+ * <SIREN>FEC<closing date YYYYMMDD>.txt.
+ *
+ * @param {Array} entries - buildEntries() result
+ * @param {Object} options - { siren, closingDate }
+ * @returns {Object} - { filename, content }
+ */
+function buildFec(entries, { siren, closingDate }) {
+  const lines = [FEC_COLUMNS.join('|')];
+
+  for (const entry of entries) {
+    for (const line of entry.lines) {
+      lines.push([
+        entry.journal.code,
+        fecText(entry.journal.label),
+        entry.number,
+        fecDate(entry.date),
+        line.account,
+        fecText(line.accountLabel),
+        fecText(line.auxNumber),
+        fecText(line.auxLabel),
+        fecText(entry.pieceRef),
+        fecDate(entry.pieceDate),
+        fecText(entry.label),
+        fecAmount(line.debit),
+        fecAmount(line.credit),
+        '',
+        '',
+        fecDate(entry.date),
+        '',
+        ''
+      ].join('|'));
+    }
+  }
+
+  return {
+    filename: `${String(siren).replace(/\s+/g, '')}FEC${fecDate(closingDate)}.txt`,
+    content: `${lines.join('\r\n')}\r\n`
+  };
+}
+
+/**
+ * Sales journal CSV (";" separated, decimal comma, UTF-8 with BOM)
+ * @param {Array} entries - buildEntries() result
+ * @returns {string}
+ */
+function buildJournalCsv(entries) {
+  const headers = ['Journal', 'N° écriture', 'Date', 'Pièce', 'Compte', 'Libellé compte',
+    'Compte auxiliaire', 'Tiers', 'Libellé', 'Débit', 'Crédit'];
+
+  const rows = [];
+  for (const entry of entries) {
+    for (const line of entry.lines) {
+      rows.push([
+        entry.journal.code,
+        entry.number,
+        formatDay(entry.date),
+        entry.pieceRef,
+        line.account,
+        line.accountLabel,
+        line.auxNumber,
+        line.auxLabel,
+        entry.label,
+        line.debit ? fecAmount(line.debit) : '',
+        line.credit ? fecAmount(line.credit) : ''
+      ]);
+    }
+  }
+
+  return toCsv(headers, rows, { bom: true });
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+/**
+ * First and last day of a fiscal year (named after the calendar year it starts in)
+ * @param {number} year
+ * @param {number} [startMonth] - 1 = January
+ * @returns {Object} - { from, to } YYYY-MM-DD
+ */
+function getFiscalPeriod(year, startMonth = 1) {
+  const pad = n => String(n).padStart(2, '0');
+  const from = `${year}-${pad(startMonth)}-01`;
+  // Day 0 of the start month, one year later: last day of the previous month
+  const end = new Date(Date.UTC(year + 1, startMonth - 1, 0));
+  return { from, to: end.toISOString().slice(0, 10) };
+}
+
+/**
+ * Issued documents and non-voided payments of a period
+ */
+async function loadPeriod(clinicDb, facilityId, from, to) {
+  const [documents] = await clinicDb.query(`
+    SELECT d.id, d.document_type, d.document_number, d.issue_date, d.buyer_name, d.buyer_siren,
+      d.total, d.tax_details, p.patient_number
+    FROM documents d
+    LEFT JOIN patients p ON p.id = d.patient_id
+    WHERE d.facility_id = :facilityId
+      AND d.deleted_at IS NULL
+      AND ((d.document_type = 'invoice' AND d.status IN (:invoiceStatuses))
+        OR (d.document_type = 'credit_note' AND d.status IN (:creditNoteStatuses)))
+      AND d.issue_date BETWEEN :from AND :to
+    ORDER BY d.issue_date, d.document_number
+  `, {
+    replacements: {
+      facilityId, from, to,
+      invoiceStatuses: ISSUED_STATUSES.invoice,
+      creditNoteStatuses: ISSUED_STATUSES.credit_note
+    }
+  });
+
+  const [payments] = await clinicDb.query(`
+    SELECT dp.id, dp.payment_type, dp.payment_method, dp.payment_date, dp.amount, dp.reference, dp.payer_name,
+      d.document_number, d.document_type, d.buyer_name, d.buyer_siren, p.patient_number
+    FROM document_payments dp
+    JOIN documents d ON d.id = dp.document_id
+    LEFT JOIN patients p ON p.id = d.patient_id
+    WHERE d.facility_id = :facilityId
+      AND d.deleted_at IS NULL
+      AND dp.voided_at IS NULL
+      AND dp.payment_date BETWEEN :from AND :to
+    ORDER BY dp.payment_date, dp.created_at
+  `, { replacements: { facilityId, from, to } });
+
+  return { documents, payments };
+}
+
+/**
+ * FEC of a fiscal year of a facility
+ * @param {Sequelize} clinicDb
+ * @param {string} facilityId
+ * @param {number} year - Fiscal year (calendar year it starts in)
+ * @param {Object} billingSettings - clinic_settings.billing_settings
+ * @returns {Promise<Object>} - { filename, content, entryCount, from, to }
+ */
+async function exportFec(clinicDb, facilityId, year, billingSettings = {}) {
+  const siren = billingSettings.seller?.siren;
+  if (!siren) throw new Error('Seller SIREN is missing in billing settings (required to name the FEC)');
+
+  const settings = resolveAccountingSettings(billingSettings);
+  const { from, to } = getFiscalPeriod(year, settings.fiscalYearStartMonth);
+  const { documents, payments } = await loadPeriod(clinicDb, facilityId, from, to);
+  const entries = buildEntries(documents, payments, settings);
+
+  logger.info('FEC export generated', { facilityId, year, from, to, entries: entries.length });
+
+  return { ...buildFec(entries, { siren, closingDate: to }), entryCount: entries.length, from, to };
+}
+
+/**
+ * Sales journal CSV of a period of a facility
+ * @param {Sequelize} clinicDb
+ * @param {string} facilityId
+ * @param {Object} period - { from, to } YYYY-MM-DD
+ * @param {Object} billingSettings - clinic_settings.billing_settings
+ * @returns {Promise<Object>} - { filename, content, entryCount }
+ */
+async function exportJournal(clinicDb, facilityId, { from, to }, billingSettings = {}) {
+  const settings = resolveAccountingSettings(billingSettings);
+  const { documents, payments } = await loadPeriod(clinicDb, facilityId, from, to);
+  const entries = buildEntries(documents, payments, settings);
+
+  return {
+    filename: `journal-${from}-${to}.csv`,
+    content: buildJournalCsv(entries),
+    entryCount: entries.length
+  };
+}
+
+module.exports = {
+  resolveAccountingSettings,
+  buildDocumentEntry,
+  buildPaymentEntry,
+  buildEntries,
+  buildFec,
+  buildJournalCsv,
+  getFiscalPeriod,
+  exportFec,
+  exportJournal,
+  DEFAULT_ACCOUNTING_SETTINGS,
+  FEC_COLUMNS
+};
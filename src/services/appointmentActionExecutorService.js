@@ -3,6 +3,7 @@
  *
  * Executes actions triggered by the appointment state machine:
  * - confirmation_email: Send appointment confirmation request
+ * - whatsapp_reminder / sms_reminder: Send appointment reminder by text message
  * - send_consent: Send consent forms for signature
  * - send_quote: Generate and send quote
  * - prepare_invoice: Create invoice draft
@@ -12,8 +13,10 @@ const { logger } = require('../utils/logger');
 const ModelFactory = require('../base/ModelFactory');
 const messagingService = require('./messagingService');
 const { TEMPLATE_TYPES } = require('./messagingService');
+const messageOutboxService = require('./messageOutboxService');
 const emailService = require('./emailService');
 const consentVariableService = require('./consentVariableService');
+const calendarService = require('./calendarService');
 
 /**
  * Action Executor Service
@@ -66,7 +69,11 @@ class AppointmentActionExecutorService {
           break;
 
         case 'whatsapp_reminder':
-          result = await this.executeWhatsAppReminder(clinicDb, action, context);
+          result = await this.executeTextReminder(clinicDb, action, context, 'whatsapp');
+          break;
+
+        case 'sms_reminder':
+          result = await this.executeTextReminder(clinicDb, action, context, 'sms');
           break;
 
         default:
@@ -142,14 +149,17 @@ class AppointmentActionExecutorService {
     if (appointment.service_id) {
       const ProductService = await ModelFactory.getModel(clinicDb, 'ProductService');
       const service = await ProductService.findByPk(appointment.service_id);
-      serviceName = service ? service.name : null;
+      serviceName = service ? service.title : null;
     }
 
     // Fetch clinic logo
     const logoUrl = await emailService.getClinicLogoUrl(clinicDb);
 
+    // Event attached as .ics (updates are sent by calendarService on reschedule / cancel)
+    const calendarEvent = await calendarService.buildPatientEvent(clinicDb, appointment, { serviceName });
+
     // Send confirmation email
-    const result = await messagingService.send('email', TEMPLATE_TYPES.APPOINTMENT_CONFIRMATION, {
+    const result = await this.sendMessage(clinicDb, action, 'email', TEMPLATE_TYPES.APPOINTMENT_CONFIRMATION, {
       email: patient.email,
       language,
       patientName: `${patient.first_name} ${patient.last_name}`
@@ -159,8 +169,9 @@ class AppointmentActionExecutorService {
       appointmentTime,
       serviceName,
       confirmationUrl,
+      calendarEvent,
       logoUrl
-    });
+    }, { patientId: patient.id });
 
     return {
       messageId: result.messageId,
@@ -291,7 +302,7 @@ class AppointmentActionExecutorService {
       // Send email notification
       const signingUrl = `${baseUrl}/consent/sign/${signingRequest.token}`;
 
-      await messagingService.send('email', TEMPLATE_TYPES.CONSENT_REQUEST, {
+      await this.sendMessage(clinicDb, action, 'email', TEMPLATE_TYPES.CONSENT_REQUEST, {
         email: patient.email,
         language,
         patientName: `${patient.first_name} ${patient.last_name}`
@@ -301,7 +312,7 @@ class AppointmentActionExecutorService {
         signingUrl,
         expiresAt: signingRequest.expires_at,
         logoUrl
-      });
+      }, { patientId: patient.id, consentRequestId: signingRequest.id });
     }
 
     // Update action with related consent request
@@ -376,7 +387,7 @@ class AppointmentActionExecutorService {
     const baseUrl = context.baseUrl || process.env.FRONTEND_URL || 'http://localhost:3000';
     const logoUrl = await emailService.getClinicLogoUrl(clinicDb);
 
-    await messagingService.send('email', TEMPLATE_TYPES.QUOTE_SENT, {
+    await this.sendMessage(clinicDb, action, 'email', TEMPLATE_TYPES.QUOTE_SENT, {
       email: patient.email,
       language,
       patientName: `${patient.first_name} ${patient.last_name}`
@@ -386,7 +397,7 @@ class AppointmentActionExecutorService {
       totalAmount: totalAmount.toFixed(2),
       viewUrl: null, // Would be set if we had a quote viewing endpoint
       logoUrl
-    });
+    }, { patientId: patient.id });
 
     return {
       status: 'sent',
@@ -422,13 +433,21 @@ class AppointmentActionExecutorService {
       ? await ProductService.findAll({ where: { id: treatmentIds } })
       : [];
 
+    // The treatment of the appointment is not billed again when a prepaid package session was used
+    const PackageCreditUsage = await ModelFactory.getModel(clinicDb, 'PackageCreditUsage');
+    const packageUsage = await PackageCreditUsage.findOne({
+      where: { appointment_id: appointment.id, reversed_at: null }
+    });
+    const isCovered = (t) => Boolean(packageUsage) && t.id === appointment.service_id;
+
     // Calculate items and total
     const items = treatments.map(t => ({
       productId: t.id,
       name: t.name,
       quantity: 1,
-      unitPrice: t.sale_price || 0,
-      total: t.sale_price || 0
+      unitPrice: isCovered(t) ? 0 : (t.sale_price || 0),
+      total: isCovered(t) ? 0 : (t.sale_price || 0),
+      coveredByPackage: isCovered(t)
     }));
 
     const totalAmount = items.reduce((sum, item) => sum + item.total, 0);
@@ -453,9 +472,9 @@ class AppointmentActionExecutorService {
   }
 
   /**
-   * Execute WhatsApp reminder action
+   * Execute a text reminder action (WhatsApp or SMS)
    */
-  async executeWhatsAppReminder(clinicDb, action, context) {
+  async executeTextReminder(clinicDb, action, context, channel) {
     const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
     const Patient = await ModelFactory.getModel(clinicDb, 'Patient');
 
@@ -473,16 +492,16 @@ class AppointmentActionExecutorService {
       throw new Error('Patient has no phone number');
     }
 
-    // Check if WhatsApp is available
-    if (!messagingService.isChannelAvailable('whatsapp')) {
-      throw new Error('WhatsApp channel is not configured');
+    const settings = await messagingService.getMessagingSettings(clinicDb);
+    if (!messagingService.isChannelAvailable(channel, settings)) {
+      throw new Error(`${channel === 'sms' ? 'SMS' : 'WhatsApp'} channel is not configured`);
     }
 
     const language = await emailService.resolveLanguageForClinicPatient(patient, clinicDb);
     const appointmentDate = this.formatDate(appointment.appointment_date, language);
     const appointmentTime = this.formatTime(appointment.start_time, language);
 
-    const result = await messagingService.send('whatsapp', TEMPLATE_TYPES.APPOINTMENT_REMINDER, {
+    const result = await this.sendMessage(clinicDb, action, channel, TEMPLATE_TYPES.APPOINTMENT_REMINDER, {
       phone: patient.phone,
       language,
       patientName: `${patient.first_name} ${patient.last_name}`
@@ -490,7 +509,7 @@ class AppointmentActionExecutorService {
       clinicName: context.clinicName || 'MedicalPro',
       appointmentDate,
       appointmentTime
-    });
+    }, { patientId: patient.id });
 
     return {
       sentTo: patient.phone,
@@ -498,6 +517,50 @@ class AppointmentActionExecutorService {
     };
   }
 
+  /**
+   * Send a message through the outbox and record the delivery on the action
+   * (result_data.deliveries). Transient failures are retried by the outbox;
+   * permanent ones throw so the action is marked failed.
+   */
+  async sendMessage(clinicDb, action, channel, templateType, recipient, data, related = {}) {
+    const entry = await messageOutboxService.enqueue(clinicDb, {
+      channel,
+      templateType,
+      recipient,
+      data,
+      related: {
+        appointmentId: action.appointment_id,
+        appointmentActionId: action.id,
+        ...related
+      }
+    });
+
+    await action.recordDelivery({
+      outboxId: entry.id,
+      channel,
+      templateType,
+      to: entry.recipient,
+      provider: entry.provider || null,
+      messageId: entry.provider_message_id || null,
+      status: entry.status,
+      attempts: entry.attempts,
+      error: entry.last_error || null
+    });
+
+    if (entry.status === 'failed') {
+      throw new Error(entry.last_error || `Failed to send ${templateType} via ${channel}`);
+    }
+
+    return {
+      success: entry.status === 'sent',
+      outboxId: entry.id,
+      status: entry.status,
+      provider: entry.provider,
+      messageId: entry.provider_message_id,
+      to: entry.recipient
+    };
+  }
+
   /**
    * Get treatment IDs for an appointment (including linked appointments)
    */
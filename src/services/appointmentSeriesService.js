@@ -0,0 +1,438 @@
+/**
+ * Appointment Series Service
+ *
+ * Recurring appointments (weekly physiotherapy, monthly laser sessions...):
+ * - createSeries(): expand the recurrence rule, check every occurrence against
+ *   provider / patient / machine conflicts and clinic closed dates, create them
+ * - updateOccurrences(): edit "this occurrence", "this and following" or the whole series
+ * - cancelOccurrences(): cancel with the same scopes
+ *
+ * Each occurrence is a regular appointment (series_id, series_index), so the
+ * rest of the planning code and the state machine work unchanged.
+ */
+
+const { Op } = require('sequelize');
+const { logger } = require('../utils/logger');
+const ModelFactory = require('../base/ModelFactory');
+const planningService = require('./planningService');
+const stateMachineService = require('./appointmentStateMachineService');
+const calendarService = require('./calendarService');
+const { expandOccurrences, formatRRule } = require('../utils/recurrence');
+
+const SCOPES = ['this', 'following', 'all'];
+
+// Occurrences that can still be edited or cancelled
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+
+class AppointmentSeriesService {
+  /**
+   * Check one occurrence for conflicts
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} occurrence - { date, startTime, endTime, category, machineId, providerId, patientId }
+   * @param {object} options - { closedDates, skipPatientOverlapCheck, excludeIds }
+   * @returns {Promise<object[]>} Issues ([] if the slot is free)
+   */
+  async checkOccurrence(clinicDb, occurrence, options = {}) {
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+    const { date, startTime, endTime, category, machineId, providerId, patientId } = occurrence;
+    const excludeIds = options.excludeIds || [];
+    const issues = [];
+
+    if (options.closedDates && options.closedDates.includes(date)) {
+      issues.push({ type: 'closed_date', message: 'Clinic is closed on this date' });
+      return issues;
+    }
+
+    if (machineId) {
+      const hasConflict = await Appointment.checkMachineConflict(
+        machineId, date, startTime, endTime, excludeIds[0] || null
+      );
+      if (hasConflict) {
+        issues.push({ type: 'machine', message: 'Machine is not available at this time' });
+      }
+    }
+
+    if (providerId) {
+      const providerConflict = await planningService.checkProviderConflicts(
+        clinicDb, providerId, date, startTime, endTime, excludeIds[0] || null
+      );
+      // Same rule as single appointments: consultations always block,
+      // treatments only block a new consultation
+      const shouldBlock = providerConflict.hasConsultationConflict ||
+        (category === 'consultation' && providerConflict.hasTreatmentConflict);
+      if (shouldBlock) {
+        issues.push({
+          type: 'provider',
+          message: 'Provider is not available at this time',
+          conflicts: providerConflict.conflicts
+        });
+      }
+    }
+
+    if (patientId && !options.skipPatientOverlapCheck) {
+      const patientConflict = await planningService.checkPatientConflicts(
+        clinicDb, patientId, date, [{ startTime, endTime }], excludeIds
+      );
+      if (patientConflict.hasConflict) {
+        issues.push({
+          type: 'patient',
+          message: 'Patient already has an appointment at this time',
+          conflicts: patientConflict.conflicts
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Create a recurring series
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} template - Appointment attributes (snake_case) of the first occurrence
+   * @param {object} recurrence - Normalized recurrence ({ frequency, interval, byWeekday, count, until })
+   * @param {object} options - { exceptions, onConflict: 'fail'|'skip', skipPatientOverlapCheck, userId }
+   * @returns {Promise<object>} { series, appointments, skipped, conflicts }
+   *   When onConflict is 'fail' and an occurrence is not free, nothing is
+   *   created and `conflicts` lists the blocking occurrences.
+   */
+  async createSeries(clinicDb, template, recurrence, options = {}) {
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+    const AppointmentSeries = await ModelFactory.getModel(clinicDb, 'AppointmentSeries');
+
+    const exceptions = options.exceptions || [];
+    const dates = expandOccurrences(template.appointment_date, recurrence, exceptions);
+
+    if (dates.length === 0) {
+      throw new Error('Recurrence does not produce any occurrence');
+    }
+
+    const closedDates = await planningService.getClosedDates(clinicDb);
+    const startTime = template.start_time;
+    const endTime = template.end_time;
+
+    // Check every occurrence before creating anything
+    const free = [];
+    const blocked = [];
+
+    for (const [i, date] of dates.entries()) {
+      const issues = await this.checkOccurrence(clinicDb, {
+        date,
+        startTime,
+        endTime,
+        category: template.category,
+        machineId: template.machine_id,
+        providerId: template.provider_id,
+        patientId: template.patient_id
+      }, {
+        closedDates,
+        skipPatientOverlapCheck: options.skipPatientOverlapCheck
+      });
+
+      if (issues.length > 0) {
+        blocked.push({ date, index: i + 1, issues });
+      } else {
+        free.push({ date, index: i + 1 });
+      }
+    }
+
+    if (blocked.length > 0 && options.onConflict !== 'skip') {
+      return { series: null, appointments: [], skipped: [], conflicts: blocked };
+    }
+
+    if (free.length === 0) {
+      return { series: null, appointments: [], skipped: blocked, conflicts: blocked };
+    }
+
+    const transaction = await clinicDb.transaction();
+    let series;
+    const appointments = [];
+
+    try {
+      series = await AppointmentSeries.create({
+        patient_id: template.patient_id,
+        rrule: formatRRule(recurrence),
+        frequency: recurrence.frequency,
+        interval: recurrence.interval || 1,
+        by_weekday: recurrence.byWeekday || null,
+        occurrence_count: recurrence.count || null,
+        until_date: recurrence.until || null,
+        start_date: template.appointment_date,
+        // Skipped occurrences are recorded as exceptions so the rule matches reality
+        exceptions: [...new Set([...exceptions, ...blocked.map(b => b.date)])].sort(),
+        created_by: options.userId || null
+      }, { transaction });
+
+      for (const occurrence of free) {
+        const appointment = await Appointment.create({
+          ...template,
+          appointment_date: occurrence.date,
+          series_id: series.id,
+          series_index: occurrence.index
+        }, { transaction });
+
+        appointments.push(appointment);
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Created appointment series ${series.id} with ${appointments.length} occurrences`, {
+      rrule: series.rrule,
+      skipped: blocked.length
+    });
+
+    // Timed actions (confirmation / reminders) for each occurrence
+    for (const appointment of appointments) {
+      try {
+        await stateMachineService.scheduleTimedActions(clinicDb, appointment, options.userId);
+      } catch (scheduleError) {
+        logger.warn(`Could not schedule timed actions for appointment ${appointment.id}: ${scheduleError.message}`);
+      }
+    }
+
+    return { series, appointments, skipped: blocked, conflicts: [] };
+  }
+
+  /**
+   * Get the occurrences targeted by a scope
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {Model} appointment - Selected occurrence
+   * @param {string} scope - 'this' | 'following' | 'all'
+   * @param {object} options - { transaction }
+   * @returns {Promise<Model[]>}
+   */
+  async getScopeAppointments(clinicDb, appointment, scope, options = {}) {
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Invalid scope '${scope}'. Allowed: ${SCOPES.join(', ')}`);
+    }
+
+    if (scope === 'this') {
+      return [appointment];
+    }
+
+    const where = {
+      series_id: appointment.series_id,
+      status: { [Op.in]: OPEN_STATUSES }
+    };
+    if (scope === 'following') {
+      where.appointment_date = { [Op.gte]: appointment.appointment_date };
+    }
+
+    return await Appointment.findAll({
+      where,
+      order: [['appointment_date', 'ASC'], ['start_time', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  /**
+   * Load an occurrence and check it belongs to a series
+   */
+  async findOccurrence(clinicDb, appointmentId) {
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+
+    const appointment = await Appointment.findByPk(appointmentId);
+    if (!appointment) {
+      throw new Error(`Appointment not found: ${appointmentId}`);
+    }
+    if (!appointment.series_id) {
+      throw new Error('Appointment is not part of a recurring series');
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Edit occurrences of a series
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} appointmentId - Selected occurrence
+   * @param {string} scope - 'this' | 'following' | 'all'
+   * @param {object} changes - { date (scope 'this' only), startTime, duration, providerId,
+   *   assistantId, machineId, title, reason, notes, priority, color, skipPatientOverlapCheck }
+   * @returns {Promise<object>} { appointments, conflicts }
+   */
+  async updateOccurrences(clinicDb, appointmentId, scope, changes) {
+    const appointment = await this.findOccurrence(clinicDb, appointmentId);
+
+    if (scope === 'this' && !OPEN_STATUSES.includes(appointment.status)) {
+      throw new Error(`Cannot edit an appointment with status '${appointment.status}'`);
+    }
+    if (changes.date && scope !== 'this') {
+      throw new Error('Only a single occurrence can be moved to another date');
+    }
+
+    const targets = await this.getScopeAppointments(clinicDb, appointment, scope);
+    const targetIds = targets.map(t => t.id);
+    const closedDates = changes.date ? await planningService.getClosedDates(clinicDb) : [];
+
+    const fieldMapping = {
+      providerId: 'provider_id',
+      assistantId: 'assistant_id',
+      machineId: 'machine_id',
+      title: 'title',
+      reason: 'reason',
+      notes: 'notes',
+      priority: 'priority',
+      color: 'color'
+    };
+
+    // Compute new values and check conflicts for every target first
+    const plans = [];
+    const conflicts = [];
+
+    for (const target of targets) {
+      const updateData = {};
+      for (const [key, dbKey] of Object.entries(fieldMapping)) {
+        if (changes[key] !== undefined) {
+          updateData[dbKey] = changes[key];
+        }
+      }
+
+      const date = changes.date || target.appointment_date;
+      const startTime = changes.startTime || target.start_time?.substring(0, 5);
+      const duration = changes.duration || target.duration_minutes;
+      const endTime = planningService.minutesToTime(planningService.timeToMinutes(startTime) + duration);
+
+      if (changes.date) updateData.appointment_date = changes.date;
+      if (changes.startTime || changes.duration) {
+        updateData.start_time = startTime;
+        updateData.end_time = endTime;
+        updateData.duration_minutes = duration;
+      }
+
+      const slotChanged = changes.date || changes.startTime || changes.duration ||
+        changes.providerId !== undefined || changes.machineId !== undefined;
+
+      if (slotChanged) {
+        const issues = await this.checkOccurrence(clinicDb, {
+          date,
+          startTime,
+          endTime,
+          category: target.category,
+          machineId: updateData.machine_id !== undefined ? updateData.machine_id : target.machine_id,
+          providerId: updateData.provider_id !== undefined ? updateData.provider_id : target.provider_id,
+          patientId: target.patient_id
+        }, {
+          closedDates,
+          skipPatientOverlapCheck: changes.skipPatientOverlapCheck,
+          // The edited occurrence first (machine/provider checks), then the whole scope (patient check)
+          excludeIds: [target.id, ...targetIds.filter(id => id !== target.id)]
+        });
+
+        if (issues.length > 0) {
+          conflicts.push({ appointmentId: target.id, date, index: target.series_index, issues });
+        }
+      }
+
+      if (scope === 'this') {
+        updateData.series_modified = true;
+      }
+
+      plans.push({ target, updateData });
+    }
+
+    if (conflicts.length > 0) {
+      return { appointments: [], conflicts };
+    }
+
+    const previousSequences = new Map(plans.map(({ target }) => [target.id, target.ical_sequence]));
+
+    const transaction = await clinicDb.transaction();
+    try {
+      for (const { target, updateData } of plans) {
+        await target.update(updateData, { transaction });
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // Rescheduled occurrences: update the events in the patient's calendar (in the background)
+    for (const { target } of plans) {
+      if (target.ical_sequence !== previousSequences.get(target.id)) {
+        calendarService.notifyPatientOfChange(clinicDb, target);
+      }
+    }
+
+    logger.info(`Updated ${plans.length} occurrences of series ${appointment.series_id} (scope: ${scope})`);
+
+    return { appointments: plans.map(p => p.target), conflicts: [] };
+  }
+
+  /**
+   * Cancel occurrences of a series
+   * Occurrences are cancelled through the state machine so their pending
+   * actions (reminders, confirmation requests) are cancelled too.
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} appointmentId - Selected occurrence
+   * @param {string} scope - 'this' | 'following' | 'all'
+   * @param {string} userId - User cancelling
+   * @returns {Promise<object>} { cancelled, series }
+   */
+  async cancelOccurrences(clinicDb, appointmentId, scope, userId) {
+    const AppointmentSeries = await ModelFactory.getModel(clinicDb, 'AppointmentSeries');
+    const appointment = await this.findOccurrence(clinicDb, appointmentId);
+
+    if (scope === 'this' && !OPEN_STATUSES.includes(appointment.status)) {
+      throw new Error(`Cannot cancel an appointment with status '${appointment.status}'`);
+    }
+
+    const targets = await this.getScopeAppointments(clinicDb, appointment, scope);
+    const cancelled = [];
+
+    for (const target of targets) {
+      await stateMachineService.transition(clinicDb, target.id, 'cancelled', userId);
+      cancelled.push(target.id);
+    }
+
+    // Keep the series rule consistent with what remains
+    const series = await AppointmentSeries.findByPk(appointment.series_id);
+    if (series) {
+      if (scope === 'all' || (scope === 'following' && appointment.appointment_date <= series.start_date)) {
+        await series.cancel();
+      } else if (scope === 'following') {
+        await series.endBefore(appointment.appointment_date);
+      } else {
+        await series.addException(appointment.appointment_date);
+      }
+    }
+
+    logger.info(`Cancelled ${cancelled.length} occurrences of series ${appointment.series_id} (scope: ${scope})`);
+
+    return { cancelled, series };
+  }
+
+  /**
+   * Get a series with its occurrences
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} seriesId - Series ID
+   * @param {object} options - { include } for the appointments
+   * @returns {Promise<object|null>} { series, appointments }
+   */
+  async getSeries(clinicDb, seriesId, options = {}) {
+    const AppointmentSeries = await ModelFactory.getModel(clinicDb, 'AppointmentSeries');
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+
+    const series = await AppointmentSeries.findByPk(seriesId);
+    if (!series) {
+      return null;
+    }
+
+    const appointments = await Appointment.findAll({
+      where: { series_id: seriesId },
+      include: options.include,
+      order: [['appointment_date', 'ASC'], ['start_time', 'ASC']]
+    });
+
+    return { series, appointments };
+  }
+}
+
+module.exports = new AppointmentSeriesService();
+module.exports.SCOPES = SCOPES;
@@ -5,7 +5,8 @@
  * - scheduled → confirmed → in_progress → completed
  * - Any state → cancelled / no_show
  *
- * Actions triggered per state:
+ * Which actions are triggered per state is configured per clinic
+ * (see workflowRulesService). Default rules:
  * - scheduled: confirmation_email (24h before)
  * - confirmed: send_consent, send_quote
  * - completed: prepare_invoice
@@ -13,67 +14,48 @@
 
 const { logger } = require('../utils/logger');
 const ModelFactory = require('../base/ModelFactory');
+const workflowRulesService = require('./workflowRulesService');
+const calendarService = require('./calendarService');
+const packageService = require('./packageService');
 
 /**
- * State transition rules and actions configuration
+ * State transition rules
  */
 const STATE_CONFIG = {
   scheduled: {
-    allowedTransitions: ['confirmed', 'in_progress', 'cancelled', 'no_show'],
-    onEnter: [],
-    timed: [
-      {
-        action: 'confirmation_email',
-        beforeHours: 24,
-        requiresValidation: false,
-        triggerType: 'automatic'
-      }
-    ]
+    allowedTransitions: ['confirmed', 'in_progress', 'cancelled', 'no_show']
   },
   confirmed: {
-    allowedTransitions: ['in_progress', 'completed', 'cancelled', 'no_show'],
-    onEnter: [
-      {
-        action: 'send_consent',
-        requiresValidation: false,
-        triggerType: 'automatic'
-      },
-      {
-        action: 'send_quote',
-        requiresValidation: true,
-        triggerType: 'automatic'
-      }
-    ],
-    timed: []
+    allowedTransitions: ['in_progress', 'completed', 'cancelled', 'no_show']
   },
   in_progress: {
-    allowedTransitions: ['completed', 'cancelled'],
-    onEnter: [],
-    timed: []
+    allowedTransitions: ['completed', 'cancelled']
   },
   completed: {
-    allowedTransitions: [],
-    onEnter: [
-      {
-        action: 'prepare_invoice',
-        requiresValidation: true,
-        triggerType: 'automatic'
-      }
-    ],
-    timed: []
+    allowedTransitions: []
   },
   cancelled: {
-    allowedTransitions: [],
-    onEnter: [],
-    timed: []
+    allowedTransitions: []
   },
   no_show: {
-    allowedTransitions: [],
-    onEnter: [],
-    timed: []
+    allowedTransitions: []
   }
 };
 
+// skipActions entry that skips every workflow action (patient cancellations)
+const SKIP_ALL_ACTIONS = '*';
+
+/**
+ * Whether options.skipActions excludes a workflow action
+ * @param {string[]} skipActions - Action types to skip, or ['*'] for all
+ * @param {string} action - Action type of the rule
+ * @returns {boolean}
+ */
+function isActionSkipped(skipActions, action) {
+  if (!Array.isArray(skipActions)) return false;
+  return skipActions.includes(SKIP_ALL_ACTIONS) || skipActions.includes(action);
+}
+
 /**
  * Appointment State Machine Service
  */
@@ -148,7 +130,15 @@ class AppointmentStateMachineService {
       previousStatus: currentStatus
     });
 
-    // Create actions for the new state
+    // A completed appointment uses a prepaid package session of its treatment
+    const packageUsage = await this.syncPackageCredit(clinicDb, appointment, currentStatus);
+
+    // Cancel any pending actions that are no longer relevant
+    if (['cancelled', 'no_show'].includes(newStatus)) {
+      await this.cancelPendingActions(clinicDb, appointmentId);
+    }
+
+    // Create actions for the new state (clinic workflow rules)
     const createdActions = await this.createActionsForState(
       clinicDb,
       appointment,
@@ -157,9 +147,18 @@ class AppointmentStateMachineService {
       options
     );
 
-    // Cancel any pending actions that are no longer relevant
-    if (['cancelled', 'no_show'].includes(newStatus)) {
-      await this.cancelPendingActions(clinicDb, appointmentId);
+    // Schedule timed actions configured for the new state
+    const timed = await this.scheduleTimedActions(clinicDb, appointment, userId, options);
+    createdActions.push(...timed.actions);
+
+    // Offer the freed slot to the waiting list (in the background)
+    if (['cancelled', 'no_show'].includes(newStatus) && !options.skipWaitlist) {
+      this.offerFreedSlot(clinicDb, appointment, options);
+    }
+
+    // Remove the event from the patient's calendar (in the background)
+    if (newStatus === 'cancelled') {
+      calendarService.notifyPatientOfChange(clinicDb, appointment);
     }
 
     return {
@@ -167,10 +166,47 @@ class AppointmentStateMachineService {
       appointment,
       previousStatus: currentStatus,
       newStatus,
-      createdActions
+      createdActions,
+      packageUsage
     };
   }
 
+  /**
+   * Use (or give back) the package credit of an appointment after a status change
+   * The status is already saved: failures are logged, never thrown.
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {Model} appointment - Appointment with its new status
+   * @param {string} previousStatus - Status before the change
+   * @returns {Promise<Model|null>} PackageCreditUsage used or given back
+   */
+  async syncPackageCredit(clinicDb, appointment, previousStatus) {
+    try {
+      return await packageService.syncAppointmentCredit(clinicDb, appointment, previousStatus);
+    } catch (error) {
+      logger.error(`Packages: could not update the credit of appointment ${appointment.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Offer a cancelled / no_show appointment's slot to the waiting list
+   * Runs in the background: failures are logged, never thrown.
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {Model} appointment - Freed appointment
+   * @param {object} options - { clinicId, baseUrl }
+   */
+  offerFreedSlot(clinicDb, appointment, options = {}) {
+    // Required here: waitlistService depends on this service
+    const waitlistService = require('./waitlistService');
+
+    waitlistService.handleFreedSlot(clinicDb, appointment, {
+      clinicId: options.clinicId,
+      baseUrl: options.baseUrl
+    }).catch(error => {
+      logger.error(`Waitlist: could not offer freed slot of appointment ${appointment.id}: ${error.message}`);
+    });
+  }
+
   /**
    * Create actions for a state
    * @param {Sequelize} clinicDb - Clinic database connection
@@ -183,38 +219,36 @@ class AppointmentStateMachineService {
   async createActionsForState(clinicDb, appointment, status, userId, options = {}) {
     const AppointmentAction = await ModelFactory.getModel(clinicDb, 'AppointmentAction');
 
-    const stateConfig = this.stateConfig[status];
-    if (!stateConfig) {
-      return [];
-    }
+    const rules = await workflowRulesService.getMatchingRules(clinicDb, appointment, status, 'on_enter');
 
     const createdActions = [];
 
-    // Create onEnter actions
-    for (const actionConfig of stateConfig.onEnter) {
+    for (const rule of rules) {
       // Check if action should be skipped based on options
-      if (options.skipActions && options.skipActions.includes(actionConfig.action)) {
+      if (isActionSkipped(options.skipActions, rule.action)) {
         continue;
       }
 
       const action = await AppointmentAction.create({
         appointment_id: appointment.id,
-        action_type: actionConfig.action,
-        trigger_type: actionConfig.triggerType,
-        status: actionConfig.requiresValidation ? 'pending' : 'scheduled',
-        requires_validation: actionConfig.requiresValidation,
+        action_type: rule.action,
+        trigger_type: 'automatic',
+        status: rule.requiresValidation ? 'pending' : 'scheduled',
+        requires_validation: rule.requiresValidation,
         created_by: userId,
         metadata: {
           sourceState: status,
-          createdAutomatically: true
+          createdAutomatically: true,
+          workflowRuleId: rule.id
         }
       });
 
       createdActions.push(action);
 
-      logger.info(`Created action '${actionConfig.action}' for appointment ${appointment.id}`, {
+      logger.info(`Created action '${rule.action}' for appointment ${appointment.id}`, {
         actionId: action.id,
-        requiresValidation: actionConfig.requiresValidation
+        requiresValidation: rule.requiresValidation,
+        workflowRuleId: rule.id
       });
     }
 
@@ -223,20 +257,22 @@ class AppointmentStateMachineService {
 
   /**
    * Schedule timed actions for an appointment
-   * Called when appointment is created with 'scheduled' status
+   * Called when appointment is created with 'scheduled' status, and on each
+   * transition for the rules configured on the new state
    * @param {Sequelize} clinicDb - Clinic database connection
    * @param {Model} appointment - Appointment instance
    * @param {string} userId - User ID
+   * @param {object} options - Options (skipActions, '*' skips them all)
    * @returns {Promise<object>} Created actions and jobs
    */
-  async scheduleTimedActions(clinicDb, appointment, userId) {
+  async scheduleTimedActions(clinicDb, appointment, userId, options = {}) {
     const AppointmentAction = await ModelFactory.getModel(clinicDb, 'AppointmentAction');
     const ScheduledJob = await ModelFactory.getModel(clinicDb, 'ScheduledJob');
 
     const status = appointment.status;
-    const stateConfig = this.stateConfig[status];
+    const rules = await workflowRulesService.getMatchingRules(clinicDb, appointment, status, 'before_appointment');
 
-    if (!stateConfig || !stateConfig.timed.length) {
+    if (!rules.length) {
       return { actions: [], jobs: [] };
     }
 
@@ -246,13 +282,17 @@ class AppointmentStateMachineService {
     // Calculate appointment datetime
     const appointmentDateTime = new Date(`${appointment.appointment_date}T${appointment.start_time}`);
 
-    for (const actionConfig of stateConfig.timed) {
+    for (const rule of rules) {
+      if (isActionSkipped(options.skipActions, rule.action)) {
+        continue;
+      }
+
       // Calculate scheduled time (beforeHours before appointment)
-      const scheduledAt = new Date(appointmentDateTime.getTime() - actionConfig.beforeHours * 60 * 60 * 1000);
+      const scheduledAt = new Date(appointmentDateTime.getTime() - rule.beforeHours * 60 * 60 * 1000);
 
       // Don't schedule if the time has already passed
       if (scheduledAt <= new Date()) {
-        logger.warn(`Skipping timed action '${actionConfig.action}' - scheduled time already passed`, {
+        logger.warn(`Skipping timed action '${rule.action}' - scheduled time already passed`, {
           appointmentId: appointment.id,
           scheduledAt
         });
@@ -262,17 +302,19 @@ class AppointmentStateMachineService {
       // Create the action
       const action = await AppointmentAction.create({
         appointment_id: appointment.id,
-        action_type: actionConfig.action,
-        trigger_type: actionConfig.triggerType,
+        action_type: rule.action,
+        trigger_type: 'automatic',
         status: 'scheduled',
         scheduled_at: scheduledAt,
-        execute_before_hours: actionConfig.beforeHours,
-        requires_validation: actionConfig.requiresValidation,
+        execute_before_hours: Math.round(rule.beforeHours),
+        requires_validation: rule.requiresValidation,
         created_by: userId,
         metadata: {
           sourceState: status,
           createdAutomatically: true,
-          isTimedAction: true
+          isTimedAction: true,
+          beforeHours: rule.beforeHours,
+          workflowRuleId: rule.id
         }
       });
 
@@ -291,10 +333,11 @@ class AppointmentStateMachineService {
 
       createdJobs.push(job);
 
-      logger.info(`Scheduled timed action '${actionConfig.action}' for appointment ${appointment.id}`, {
+      logger.info(`Scheduled timed action '${rule.action}' for appointment ${appointment.id}`, {
         actionId: action.id,
         scheduledAt,
-        beforeHours: actionConfig.beforeHours
+        beforeHours: rule.beforeHours,
+        workflowRuleId: rule.id
       });
     }
 
@@ -472,13 +515,45 @@ class AppointmentStateMachineService {
   }
 
   /**
-   * Get state configuration
-   * @returns {object} State configuration
+   * Get state configuration with the clinic's workflow rules (for UI)
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @returns {Promise<object>} State configuration
    */
-  getStateConfig() {
-    return this.stateConfig;
+  async getStateConfig(clinicDb) {
+    const { rules } = await workflowRulesService.getRules(clinicDb);
+    const config = {};
+
+    for (const [state, { allowedTransitions }] of Object.entries(this.stateConfig)) {
+      const stateRules = rules.filter(rule => rule.enabled !== false && rule.state === state);
+
+      config[state] = {
+        allowedTransitions,
+        onEnter: stateRules
+          .filter(rule => rule.trigger === 'on_enter')
+          .map(rule => ({
+            ruleId: rule.id,
+            action: rule.action,
+            requiresValidation: rule.requiresValidation,
+            triggerType: 'automatic',
+            conditions: rule.conditions || {}
+          })),
+        timed: stateRules
+          .filter(rule => rule.trigger === 'before_appointment')
+          .map(rule => ({
+            ruleId: rule.id,
+            action: rule.action,
+            beforeHours: rule.beforeHours,
+            requiresValidation: rule.requiresValidation,
+            triggerType: 'automatic',
+            conditions: rule.conditions || {}
+          }))
+      };
+    }
+
+    return config;
   }
 }
 
 // Export singleton
 module.exports = new AppointmentStateMachineService();
+module.exports.isActionSkipped = isActionSkipped;
@@ -52,6 +52,29 @@ const AUDIT_EVENTS = {
   INVOICE_DELETED: 'INVOICE_DELETED',
   INVOICE_SENT: 'INVOICE_SENT',
 
+  // Caisse (accueil)
+  TILL_SESSION_OPENED: 'TILL_SESSION_OPENED',
+  TILL_SESSION_CLOSED: 'TILL_SESSION_CLOSED',
+  TILL_PAYMENT_RECORDED: 'TILL_PAYMENT_RECORDED',
+  TILL_PAYMENT_VOIDED: 'TILL_PAYMENT_VOIDED',
+  TILL_REPORT_PRINTED: 'TILL_REPORT_PRINTED',
+
+  // Registre VeriFactu (Espagne)
+  INVOICE_REGISTERED: 'INVOICE_REGISTERED',
+  VERIFACTU_BATCH_SUBMITTED: 'VERIFACTU_BATCH_SUBMITTED',
+
+  // Tiers payant (France)
+  INSURANCE_CLAIM_PAYMENT_RECORDED: 'INSURANCE_CLAIM_PAYMENT_RECORDED',
+  INSURANCE_CLAIM_REJECTED: 'INSURANCE_CLAIM_REJECTED',
+
+  // Relances (factures impayées)
+  INVOICE_DUNNING_SENT: 'INVOICE_DUNNING_SENT',
+  INVOICE_DUNNING_STOPPED: 'INVOICE_DUNNING_STOPPED',
+  INVOICE_DUNNING_RESUMED: 'INVOICE_DUNNING_RESUMED',
+
+  // Forfaits de soins
+  PATIENT_PACKAGE_CANCELLED: 'PATIENT_PACKAGE_CANCELLED',
+
   // Consentements
   CONSENT_SIGNED: 'CONSENT_SIGNED',
   CONSENT_REVOKED: 'CONSENT_REVOKED',
@@ -0,0 +1,347 @@
+/**
+ * Calendar Service
+ *
+ * iCalendar (RFC 5545) export of the planning:
+ * - Provider feeds: each practitioner can subscribe to a secret URL
+ *   (healthcare_providers.calendar_feed_token) from a phone calendar.
+ *   Patient names are masked to initials unless the feed owner has the
+ *   appointments.view_practitioner permission.
+ * - Patient invitations: the event attached (.ics) to confirmation / reminder
+ *   emails, and the REQUEST / CANCEL update sent when that appointment is
+ *   rescheduled or cancelled (appointments.ical_sequence).
+ *
+ * Appointments are stored in clinic local time (medical_facilities.timezone)
+ * and written in UTC.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { logger } = require('../utils/logger');
+const ModelFactory = require('../base/ModelFactory');
+const { TEMPLATE_TYPES } = require('./messagingService');
+const messageOutboxService = require('./messageOutboxService');
+const emailService = require('./emailService');
+const { buildCalendar, zonedTimeToUtc } = require('../utils/icalendar');
+const { getUserPermissions } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../utils/permissionConstants');
+
+const DEFAULT_TIMEZONE = 'Europe/Paris';
+
+// Window of appointments published in a provider feed
+const FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS, 10) || 30;
+const FEED_FUTURE_DAYS = parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS, 10) || 180;
+
+// Emails carrying an .ics: the patient has the event in a calendar once one was sent
+const INVITATION_TEMPLATES = [TEMPLATE_TYPES.APPOINTMENT_CONFIRMATION, TEMPLATE_TYPES.APPOINTMENT_REMINDER];
+
+/**
+ * Stable event UID of an appointment (same UID across updates)
+ */
+function getEventUid(appointment) {
+  return `appointment-${appointment.id}@medicalpro`;
+}
+
+/**
+ * Patient name as shown in a feed: full name, or initials when masked
+ */
+function formatPatientName(patient, maskPatientNames) {
+  if (!patient) {
+    return null;
+  }
+  if (!maskPatientNames) {
+    return `${patient.first_name || ''} ${patient.last_name || ''}`.trim();
+  }
+  const initials = [patient.first_name, patient.last_name]
+    .filter(Boolean)
+    .map(part => `${part.trim().charAt(0).toUpperCase()}.`);
+  return initials.join(' ');
+}
+
+/**
+ * UTC start / end of an appointment
+ */
+function getAppointmentInterval(appointment, timeZone) {
+  return {
+    start: zonedTimeToUtc(appointment.appointment_date, appointment.start_time, timeZone),
+    end: zonedTimeToUtc(appointment.appointment_date, appointment.end_time, timeZone)
+  };
+}
+
+/**
+ * Feed event of an appointment (provider side)
+ * @param {Model} appointment - Appointment with patient / service / machine included
+ * @param {string} timeZone - Clinic time zone
+ * @param {object} options - { maskPatientNames }
+ */
+function buildFeedEvent(appointment, timeZone, { maskPatientNames = true } = {}) {
+  const patientName = formatPatientName(appointment.patient, maskPatientNames);
+  const label = appointment.service?.title || appointment.title ||
+    (appointment.category === 'consultation' ? 'Consultation' : 'Rendez-vous');
+
+  return {
+    uid: getEventUid(appointment),
+    sequence: appointment.ical_sequence || 0,
+    ...getAppointmentInterval(appointment, timeZone),
+    summary: patientName ? `${patientName} - ${label}` : label,
+    description: `N° ${appointment.appointment_number}`,
+    location: appointment.machine ? [appointment.machine.name, appointment.machine.location].filter(Boolean).join(', ') : null,
+    status: appointment.status === 'scheduled' ? 'TENTATIVE' : 'CONFIRMED',
+    lastModified: appointment.updated_at
+  };
+}
+
+class CalendarService {
+  /**
+   * Clinic time zone (first active facility)
+   * @param {Sequelize} clinicDb
+   * @returns {Promise<string>}
+   */
+  async getClinicTimezone(clinicDb) {
+    try {
+      const [rows] = await clinicDb.query(
+        'SELECT timezone FROM medical_facilities WHERE is_active = true ORDER BY created_at LIMIT 1'
+      );
+      return rows[0]?.timezone || DEFAULT_TIMEZONE;
+    } catch (error) {
+      logger.warn(`Calendar: could not read clinic time zone: ${error.message}`);
+      return DEFAULT_TIMEZONE;
+    }
+  }
+
+  /**
+   * Event sent to the patient (.ics attachment), serializable for the outbox payload
+   * @param {Sequelize} clinicDb
+   * @param {Model} appointment
+   * @param {object} options - { serviceName, clinicInfo }
+   * @returns {Promise<object>} { uid, sequence, start, end, summary, description, location, organizerName }
+   */
+  async buildPatientEvent(clinicDb, appointment, { serviceName = null, clinicInfo = null } = {}) {
+    const timeZone = await this.getClinicTimezone(clinicDb);
+    const info = clinicInfo || await emailService.getClinicInfo(clinicDb);
+    const { start, end } = getAppointmentInterval(appointment, timeZone);
+
+    return {
+      uid: getEventUid(appointment),
+      sequence: appointment.ical_sequence || 0,
+      start: start.toISOString(),
+      end: end.toISOString(),
+      summary: serviceName ? `${info.clinicName} - ${serviceName}` : info.clinicName,
+      description: info.phone ? `${info.clinicName} - ${info.phone}` : info.clinicName,
+      location: info.address,
+      organizerName: info.clinicName
+    };
+  }
+
+  /**
+   * iCalendar feed of a provider's appointments (as practitioner or assistant)
+   * @param {Sequelize} clinicDb
+   * @param {object} provider - { id, first_name, last_name }
+   * @param {object} options - { maskPatientNames, now }
+   * @returns {Promise<string>} text/calendar body
+   */
+  async buildProviderFeed(clinicDb, provider, { maskPatientNames = true, now = new Date() } = {}) {
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+    const Patient = await ModelFactory.getModel(clinicDb, 'Patient');
+    const ProductService = await ModelFactory.getModel(clinicDb, 'ProductService');
+    const Machine = await ModelFactory.getModel(clinicDb, 'Machine');
+
+    const from = new Date(now.getTime() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const to = new Date(now.getTime() + FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000);
+
+    const appointments = await Appointment.findAll({
+      where: {
+        [Op.or]: [{ provider_id: provider.id }, { assistant_id: provider.id }],
+        appointment_date: {
+          [Op.between]: [from.toISOString().split('T')[0], to.toISOString().split('T')[0]]
+        },
+        status: { [Op.ne]: 'cancelled' }
+      },
+      include: [
+        { model: Patient, as: 'patient', attributes: ['id', 'first_name', 'last_name'], required: false },
+        { model: ProductService, as: 'service', attributes: ['id', 'title'], required: false },
+        { model: Machine, as: 'machine', attributes: ['id', 'name', 'location'], required: false }
+      ],
+      order: [['appointment_date', 'ASC'], ['start_time', 'ASC']]
+    });
+
+    const timeZone = await this.getClinicTimezone(clinicDb);
+
+    return buildCalendar({
+      method: 'PUBLISH',
+      name: `${provider.first_name || ''} ${provider.last_name || ''}`.trim() || 'MedicalPro',
+      events: appointments.map(appointment => buildFeedEvent(appointment, timeZone, { maskPatientNames }))
+    });
+  }
+
+  /**
+   * Whether the feed owner may see patient names
+   * @param {object} provider - { central_user_id }
+   * @param {string} clinicId - Clinic (company) ID
+   * @returns {Promise<boolean>}
+   */
+  async canViewPatientNames(provider, clinicId) {
+    if (!provider.central_user_id) {
+      return false;
+    }
+    const permissions = await getUserPermissions(provider.central_user_id, clinicId);
+    return permissions.includes(PERMISSIONS.APPOINTMENTS_VIEW_PRACTITIONER);
+  }
+
+  /**
+   * Active provider owning a feed token
+   * @returns {Promise<object|null>}
+   */
+  async findProviderByFeedToken(clinicDb, token) {
+    const [rows] = await clinicDb.query(`
+      SELECT id, first_name, last_name, central_user_id
+      FROM healthcare_providers
+      WHERE calendar_feed_token = :token
+        AND is_active = true
+        AND (account_status IS NULL OR account_status != 'deleted')
+      LIMIT 1
+    `, { replacements: { token } });
+    return rows[0] || null;
+  }
+
+  /**
+   * Provider with its feed state
+   * @param {object} where - { id } or { centralUserId }
+   * @returns {Promise<object|null>}
+   */
+  async findProvider(clinicDb, { id = null, centralUserId = null }) {
+    const [rows] = await clinicDb.query(`
+      SELECT id, first_name, last_name, central_user_id, calendar_feed_token, calendar_feed_created_at
+      FROM healthcare_providers
+      WHERE ${id ? 'id = :id' : 'central_user_id = :centralUserId'}
+        AND (account_status IS NULL OR account_status != 'deleted')
+      LIMIT 1
+    `, { replacements: { id, centralUserId } });
+    return rows[0] || null;
+  }
+
+  /**
+   * Create (or replace) a provider's feed token: the previous URL stops working
+   * @returns {Promise<object>} { token, createdAt }
+   */
+  async issueFeedToken(clinicDb, providerId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const [rows] = await clinicDb.query(`
+      UPDATE healthcare_providers
+      SET calendar_feed_token = :token, calendar_feed_created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = :providerId
+      RETURNING calendar_feed_created_at
+    `, { replacements: { token, providerId } });
+
+    logger.info(`Calendar feed token issued for provider ${providerId}`);
+    return { token, createdAt: rows[0]?.calendar_feed_created_at || null };
+  }
+
+  /**
+   * Disable a provider's feed
+   */
+  async revokeFeedToken(clinicDb, providerId) {
+    await clinicDb.query(`
+      UPDATE healthcare_providers
+      SET calendar_feed_token = NULL, calendar_feed_created_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = :providerId
+    `, { replacements: { providerId } });
+
+    logger.info(`Calendar feed token revoked for provider ${providerId}`);
+  }
+
+  /**
+   * Public feed URL of a token
+   */
+  getFeedUrl(clinicId, token) {
+    const baseUrl = process.env.BACKEND_URL || process.env.APP_URL || 'http://localhost:3001';
+    return `${baseUrl}/api/v1/public/calendar/${clinicId}/${token}.ics`;
+  }
+
+  /**
+   * Send the updated / cancelled event to the patient, if an invitation was already emailed
+   * Runs in the background: failures are logged, never thrown.
+   * @param {Sequelize} clinicDb
+   * @param {Model} appointment - Rescheduled or cancelled appointment
+   */
+  notifyPatientOfChange(clinicDb, appointment) {
+    this.sendCalendarUpdate(clinicDb, appointment.id).catch(error => {
+      logger.error(`Calendar: could not send update of appointment ${appointment.id}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Email the patient the new version (REQUEST) or the cancellation (CANCEL) of the event
+   * @returns {Promise<object|null>} Outbox entry, null when nothing to send
+   */
+  async sendCalendarUpdate(clinicDb, appointmentId) {
+    // Required here: the action executor depends on this service
+    const actionExecutor = require('./appointmentActionExecutorService');
+
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+    const Patient = await ModelFactory.getModel(clinicDb, 'Patient');
+    const ProductService = await ModelFactory.getModel(clinicDb, 'ProductService');
+    const MessageOutbox = await ModelFactory.getModel(clinicDb, 'MessageOutbox');
+
+    const appointment = await Appointment.findByPk(appointmentId, {
+      include: [
+        { model: Patient, as: 'patient' },
+        { model: ProductService, as: 'service', attributes: ['id', 'title'], required: false }
+      ]
+    });
+
+    if (!appointment || !appointment.patient?.email) {
+      return null;
+    }
+
+    const invited = await MessageOutbox.count({
+      where: {
+        appointment_id: appointment.id,
+        channel: 'email',
+        template_type: { [Op.in]: INVITATION_TEMPLATES },
+        status: 'sent'
+      }
+    });
+    if (invited === 0) {
+      return null;
+    }
+
+    const patient = appointment.patient;
+    const serviceName = appointment.service?.title || null;
+    const language = await emailService.resolveLanguageForClinicPatient(patient, clinicDb);
+    const clinicInfo = await emailService.getClinicInfo(clinicDb);
+
+    const entry = await messageOutboxService.enqueue(clinicDb, {
+      channel: 'email',
+      templateType: TEMPLATE_TYPES.APPOINTMENT_CALENDAR_UPDATE,
+      recipient: {
+        email: patient.email,
+        language,
+        patientName: `${patient.first_name} ${patient.last_name}`
+      },
+      data: {
+        clinicName: clinicInfo.clinicName,
+        appointmentDate: actionExecutor.formatDate(appointment.appointment_date, language),
+        appointmentTime: actionExecutor.formatTime(appointment.start_time, language),
+        serviceName,
+        cancelled: appointment.status === 'cancelled',
+        calendarEvent: await this.buildPatientEvent(clinicDb, appointment, { serviceName, clinicInfo }),
+        logoUrl: clinicInfo.logoUrl
+      },
+      related: {
+        appointmentId: appointment.id,
+        patientId: patient.id
+      }
+    });
+
+    logger.info(`Calendar update (sequence ${appointment.ical_sequence}) queued for appointment ${appointment.id}`, {
+      status: entry.status
+    });
+
+    return entry;
+  }
+}
+
+module.exports = new CalendarService();
+module.exports.buildFeedEvent = buildFeedEvent;
+module.exports.formatPatientName = formatPatientName;
+module.exports.getEventUid = getEventUid;
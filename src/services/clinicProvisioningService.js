@@ -207,6 +207,48 @@ class ClinicProvisioningService {
         'clinic_063_add_evolution_to_medical_records.sql',
         // Patient profile status (provisional/complete) for quick creation
         'clinic_064_patient_profile_status.sql',
+        // SMS / WhatsApp messaging settings + sms_reminder action type
+        'clinic_065_messaging_settings.sql',
+        // Inbound patient replies (SMS / WhatsApp / email webhooks)
+        'clinic_066_inbound_messages.sql',
+        // Message outbox (delivery tracking + retries for patient messages)
+        'clinic_067_message_outbox.sql',
+        // Scheduled jobs: 'in_progress' status + started_at for stale job release
+        'clinic_068_scheduled_jobs_in_progress.sql',
+        // Configurable appointment workflow rules
+        'clinic_069_workflow_rules.sql',
+        // Recurring appointment series
+        'clinic_070_appointment_series.sql',
+        // Waiting list and slot offers
+        'clinic_071_waitlist.sql',
+        // Public online booking (bookable treatments, contact verification codes)
+        'clinic_072_online_booking.sql',
+        // iCalendar feeds (provider feed tokens, appointment sequence)
+        'clinic_073_calendar_feeds.sql',
+        // Rooms with capacity and treatment resource requirements
+        'clinic_074_rooms_resources.sql',
+        // Payment ledger of billing documents
+        'clinic_075_document_payments.sql',
+        // Front desk till sessions (Z-report)
+        'clinic_076_till_sessions.sql',
+        // VeriFactu chained invoice registry records (Spain)
+        'clinic_077_invoice_registry_records.sql',
+        // French insurance billing (AMO / AMC split, tiers-payant claims)
+        'clinic_078_insurance_billing.sql',
+        // Third-party payers and invoices split across payers (receivables)
+        'clinic_079_payers.sql',
+        // Overdue invoices: dunning steps sent per invoice
+        'clinic_080_invoice_dunning.sql',
+        // Prepaid treatment packages and patient credits
+        'clinic_081_treatment_packages.sql',
+        // Prescription safety alerts and patient pregnancy status
+        'clinic_082_prescription_safety.sql',
+        // Verification token of printed prescriptions (QR code)
+        'clinic_083_prescription_verification.sql',
+        // Prescription renewals, renewal requests and expiry warnings
+        'clinic_084_prescription_renewals.sql',
+        // Invoices and credit notes numbered when issued
+        'clinic_085_issue_numbering.sql',
         // Default roles insertion
         '025_insert_default_clinic_roles.sql'
       ];
@@ -3,11 +3,12 @@
  *
  * Generic billing engine (no medical dependency).
  * Handles: totals calculation, sequential numbering, document creation,
- * quote-to-invoice conversion, credit notes, statistics.
+ * quote-to-invoice conversion, credit notes, payment ledger, statistics.
  */
 
 const { getModel } = require('../base/ModelFactory');
 const { logger } = require('../utils/logger');
+const { round2 } = require('../utils/money');
 
 // ============================================================================
 // Totals calculation
@@ -117,10 +118,44 @@ function calculateDocumentTotals(items, discount = { type: 'none', value: 0 }) {
 // Sequential numbering
 // ============================================================================
 
+const DEFAULT_PREFIXES = { invoice: 'FA', quote: 'DV', credit_note: 'AV' };
+
+// Invoices and credit notes take their fiscal number when they are issued: their
+// drafts only carry a provisional number, so drafts issued in any order or deleted
+// leave no gap in the series
+const ISSUE_NUMBERED_TYPES = ['invoice', 'credit_note'];
+
+function formatNumber(prefix, year, sequenceNumber, draft = false) {
+  return `${prefix}-${year}-${draft ? 'BR' : ''}${String(sequenceNumber).padStart(4, '0')}`;
+}
+
+/**
+ * Lock the sequence row of a series, creating it on first use
+ */
+async function lockSequence(clinicDb, facilityId, documentType, year, prefix, t) {
+  const DocumentSequence = await getModel(clinicDb, 'DocumentSequence');
+
+  const seq = await DocumentSequence.findOne({
+    where: { facility_id: facilityId, document_type: documentType, year },
+    lock: t.LOCK.UPDATE,
+    transaction: t
+  });
+  if (seq) return seq;
+
+  return DocumentSequence.create({
+    facility_id: facilityId,
+    document_type: documentType,
+    prefix,
+    year,
+    last_number: 0
+  }, { transaction: t });
+}
+
 /**
  * Get next document number using the sequence table.
- * Uses a transaction with row-level locking (SELECT ... FOR UPDATE)
- * to guarantee gap-free sequential numbering.
+ * Uses a transaction with row-level locking (SELECT ... FOR UPDATE).
+ * Quotes get their final number; invoices and credit notes get a provisional
+ * draft number (PREFIX-YEAR-BRNNNN), replaced on issue by assignIssuedNumber().
  *
  * @param {Sequelize} clinicDb
  * @param {string} facilityId
@@ -130,35 +165,16 @@ function calculateDocumentTotals(items, discount = { type: 'none', value: 0 }) {
  */
 async function getNextNumber(clinicDb, facilityId, documentType, options = {}) {
   const year = new Date().getFullYear();
-  const defaultPrefixes = { invoice: 'FA', quote: 'DV', credit_note: 'AV' };
-  const prefix = options.prefix || defaultPrefixes[documentType] || 'DOC';
-
-  const DocumentSequence = await getModel(clinicDb, 'DocumentSequence');
+  const prefix = options.prefix || DEFAULT_PREFIXES[documentType] || 'DOC';
 
   // Use provided transaction or create one
   const executeInTransaction = async (t) => {
-    // Try to find and lock the sequence row
-    let seq = await DocumentSequence.findOne({
-      where: { facility_id: facilityId, document_type: documentType, year },
-      lock: t.LOCK.UPDATE,
-      transaction: t
-    });
-
-    if (!seq) {
-      // Create sequence row if it doesn't exist
-      seq = await DocumentSequence.create({
-        facility_id: facilityId,
-        document_type: documentType,
-        prefix,
-        year,
-        last_number: 0
-      }, { transaction: t });
-    }
+    const seq = await lockSequence(clinicDb, facilityId, documentType, year, prefix, t);
 
     const nextNumber = seq.last_number + 1;
     await seq.update({ last_number: nextNumber, prefix }, { transaction: t });
 
-    const documentNumber = `${prefix}-${year}-${String(nextNumber).padStart(4, '0')}`;
+    const documentNumber = formatNumber(prefix, year, nextNumber, ISSUE_NUMBERED_TYPES.includes(documentType));
     return { number: documentNumber, sequenceNumber: nextNumber };
   };
 
@@ -171,11 +187,11 @@ async function getNextNumber(clinicDb, facilityId, documentType, options = {}) {
 
 /**
  * Preview the next document number without consuming it.
+ * For invoices and credit notes, the number the next issued document gets.
  */
 async function previewNextNumber(clinicDb, facilityId, documentType, prefix) {
   const year = new Date().getFullYear();
-  const defaultPrefixes = { invoice: 'FA', quote: 'DV', credit_note: 'AV' };
-  const pfx = prefix || defaultPrefixes[documentType] || 'DOC';
+  const pfx = prefix || DEFAULT_PREFIXES[documentType] || 'DOC';
 
   const DocumentSequence = await getModel(clinicDb, 'DocumentSequence');
 
@@ -183,8 +199,53 @@ async function previewNextNumber(clinicDb, facilityId, documentType, prefix) {
     where: { facility_id: facilityId, document_type: documentType, year }
   });
 
-  const nextNumber = (seq ? seq.last_number : 0) + 1;
-  return `${pfx}-${year}-${String(nextNumber).padStart(4, '0')}`;
+  const field = ISSUE_NUMBERED_TYPES.includes(documentType) ? 'last_issued_number' : 'last_number';
+  return formatNumber(pfx, year, (seq ? seq[field] : 0) + 1);
+}
+
+/**
+ * Assign the fiscal number of an invoice or credit note being issued (sent):
+ * the next number of its series, taken under the sequence row lock so that
+ * the series is gap-free and follows the issue order. Must run in the
+ * transaction that moves the document out of draft.
+ * A draft still holding that number (numbered at creation by an older
+ * version) is moved to a provisional number.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} facilityId
+ * @param {Object} doc - Document being issued
+ * @param {Object} options - { transaction }
+ * @returns {Promise<string>} Number of the issued document (unchanged for quotes)
+ */
+async function assignIssuedNumber(clinicDb, facilityId, doc, options = {}) {
+  if (!ISSUE_NUMBERED_TYPES.includes(doc.document_type)) return doc.document_number;
+
+  const { transaction } = options;
+  const { Op } = require('sequelize');
+  const Document = await getModel(clinicDb, 'Document');
+  const year = new Date().getFullYear();
+  const prefix = doc.prefix || DEFAULT_PREFIXES[doc.document_type];
+
+  const seq = await lockSequence(clinicDb, facilityId, doc.document_type, year, prefix, transaction);
+  const sequenceNumber = seq.last_issued_number + 1;
+  const documentNumber = formatNumber(prefix, year, sequenceNumber);
+
+  const holder = await Document.findOne({
+    where: { facility_id: facilityId, document_number: documentNumber, id: { [Op.ne]: doc.id } },
+    transaction
+  });
+  if (holder) {
+    if (holder.status !== 'draft') {
+      throw new Error(`Cannot issue ${doc.document_number}: number ${documentNumber} is already used by an issued document`);
+    }
+    const { number: draftNumber } = await getNextNumber(
+      clinicDb, facilityId, holder.document_type, { prefix: holder.prefix, transaction }
+    );
+    await holder.update({ document_number: draftNumber }, { transaction });
+  }
+
+  await seq.update({ last_issued_number: sequenceNumber }, { transaction });
+  return documentNumber;
 }
 
 // ============================================================================
@@ -285,6 +346,13 @@ async function createDocument(clinicDb, data, facilityId, createdBy) {
       appointment_id: data.appointmentId || data.appointment_id || null,
       practitioner_id: data.practitionerId || data.practitioner_id || null,
 
+      // Insurance split (see insuranceBillingService.applyCoverage)
+      third_party_mode: data.third_party_mode || 'none',
+      amo_total: data.amo_total ?? null,
+      amc_total: data.amc_total ?? null,
+      patient_share_total: data.patient_share_total ?? null,
+      insurance_details: data.insurance_details || null,
+
       created_by: createdBy,
       status: 'draft'
     }, { transaction: t });
@@ -304,12 +372,19 @@ async function createDocument(clinicDb, data, facilityId, createdBy) {
         line_net_amount: item.line_net_amount,
         tax_amount: item.tax_amount,
         product_service_id: item.productServiceId || item.product_service_id || null,
-        product_snapshot: item.productSnapshot || item.product_snapshot || null
+        product_snapshot: item.productSnapshot || item.product_snapshot || null,
+        ...insuranceItemFields(item)
       }));
 
       await DocumentItem.bulkCreate(itemRecords, { transaction: t });
     }
 
+    // Split across third-party payers
+    const payerShares = data.payerShares || data.payer_shares;
+    if (payerShares && payerShares.length > 0) {
+      await replacePayerShares(clinicDb, doc, payerShares, t);
+    }
+
     // Reload with items
     const result = await Document.findByPk(doc.id, {
       include: [{ model: DocumentItem, as: 'items', order: [['sort_order', 'ASC']] }],
@@ -375,9 +450,11 @@ async function updateDocument(clinicDb, documentId, data) {
     const noteFields = ['notes', 'terms', 'legal_mentions'];
     const einvoiceFields = ['transaction_category', 'vat_on_debits', 'facturx_profile'];
     const medicalFields = ['patient_id', 'appointment_id', 'practitioner_id'];
+    const insuranceFields = ['third_party_mode', 'amo_total', 'amc_total', 'patient_share_total',
+      'insurance_details'];
 
     const allFields = [...sellerFields, ...buyerFields, ...dateFields,
-      ...conditionFields, ...noteFields, ...einvoiceFields, ...medicalFields, 'currency'];
+      ...conditionFields, ...noteFields, ...einvoiceFields, ...medicalFields, ...insuranceFields, 'currency'];
 
     for (const field of allFields) {
       // Accept both camelCase and snake_case
@@ -402,6 +479,16 @@ async function updateDocument(clinicDb, documentId, data) {
 
     await doc.update(updatePayload, { transaction: t });
 
+    // Third-party payer shares: replaced when provided, else they must still fit the new total
+    const payerShares = data.payerShares !== undefined ? data.payerShares : data.payer_shares;
+    if (payerShares !== undefined) {
+      await replacePayerShares(clinicDb, doc, payerShares || [], t);
+    } else if (totals || updatePayload.third_party_mode !== undefined) {
+      const DocumentPayerShare = await getModel(clinicDb, 'DocumentPayerShare');
+      const existingShares = await DocumentPayerShare.findAll({ where: { document_id: documentId }, transaction: t });
+      checkPayerSharesTotal(doc, existingShares);
+    }
+
     // Replace items if provided
     if (data.items && totals) {
       await DocumentItem.destroy({ where: { document_id: documentId }, transaction: t });
@@ -419,7 +506,8 @@ async function updateDocument(clinicDb, documentId, data) {
         line_net_amount: item.line_net_amount,
         tax_amount: item.tax_amount,
         product_service_id: item.productServiceId || item.product_service_id || null,
-        product_snapshot: item.productSnapshot || item.product_snapshot || null
+        product_snapshot: item.productSnapshot || item.product_snapshot || null,
+        ...insuranceItemFields(item)
       }));
 
       await DocumentItem.bulkCreate(itemRecords, { transaction: t });
@@ -435,6 +523,89 @@ async function updateDocument(clinicDb, documentId, data) {
   });
 }
 
+// ============================================================================
+// Third-party payer shares
+// ============================================================================
+
+/**
+ * Part of a document billed to the insurers in tiers payant (insurance claims)
+ */
+function thirdPartyInsuranceTotal(doc) {
+  const mode = doc.third_party_mode || 'none';
+  let total = 0;
+  if (mode === 'amo' || mode === 'amo_amc') total += parseFloat(doc.amo_total) || 0;
+  if (mode === 'amo_amc') total += parseFloat(doc.amc_total) || 0;
+  return round2(total);
+}
+
+/**
+ * Amounts of the payer shares requested for a document (percentages are
+ * converted to amounts of the current total)
+ * @param {Object} doc - Document (total, tiers-payant totals)
+ * @param {Array} shares - [{ payerId, amount | percent, reference }]
+ * @returns {Array} - [{ payer_id, amount, reference }]
+ */
+function resolvePayerShares(doc, shares) {
+  const total = parseFloat(doc.total) || 0;
+  const seen = new Set();
+
+  const resolved = shares.map(share => {
+    const payerId = share.payerId || share.payer_id;
+    if (seen.has(payerId)) throw new Error('A payer can only have one share per invoice');
+    seen.add(payerId);
+
+    const amount = share.amount !== undefined && share.amount !== null
+      ? round2(parseFloat(share.amount))
+      : round2(total * (parseFloat(share.percent) || 0) / 100);
+    if (!(amount > 0)) throw new Error('Payer share amount must be greater than 0');
+
+    return { payer_id: payerId, amount, reference: share.reference || null };
+  });
+
+  checkPayerSharesTotal(doc, resolved);
+  return resolved;
+}
+
+/**
+ * Payer shares never exceed the total less the tiers-payant part
+ */
+function checkPayerSharesTotal(doc, shares) {
+  const available = round2((parseFloat(doc.total) || 0) - thirdPartyInsuranceTotal(doc));
+  const sharesTotal = round2(shares.reduce((sum, share) => sum + (parseFloat(share.amount) || 0), 0));
+  if (sharesTotal > available) {
+    throw new Error(`Payer shares (${sharesTotal}) exceed the amount billable to payers (${available})`);
+  }
+}
+
+/**
+ * Replace the payer shares of a draft invoice
+ */
+async function replacePayerShares(clinicDb, doc, shares, transaction) {
+  const Payer = await getModel(clinicDb, 'Payer');
+  const DocumentPayerShare = await getModel(clinicDb, 'DocumentPayerShare');
+
+  if (shares.length > 0 && doc.document_type !== 'invoice') {
+    throw new Error('Payer shares can only be set on invoices');
+  }
+  const resolved = resolvePayerShares(doc, shares);
+
+  if (resolved.length > 0) {
+    const payerCount = await Payer.count({
+      where: { id: resolved.map(share => share.payer_id), facility_id: doc.facility_id, is_active: true },
+      transaction
+    });
+    if (payerCount !== resolved.length) throw new Error('Unknown or inactive payer');
+  }
+
+  await DocumentPayerShare.destroy({ where: { document_id: doc.id }, transaction });
+  if (resolved.length > 0) {
+    await DocumentPayerShare.bulkCreate(
+      resolved.map(share => ({ ...share, facility_id: doc.facility_id, document_id: doc.id })),
+      { transaction }
+    );
+  }
+}
+
 // ============================================================================
 // Status transitions
 // ============================================================================
@@ -546,6 +717,12 @@ async function convertQuoteToInvoice(clinicDb, quoteId, facilityId, data = {}) {
       appointment_id: quote.appointment_id,
       practitioner_id: quote.practitioner_id,
 
+      third_party_mode: quote.third_party_mode,
+      amo_total: quote.amo_total,
+      amc_total: quote.amc_total,
+      patient_share_total: quote.patient_share_total,
+      insurance_details: quote.insurance_details,
+
       converted_from_id: quote.id,
       created_by: data.createdBy || data.created_by,
       status: 'draft'
@@ -566,7 +743,8 @@ async function convertQuoteToInvoice(clinicDb, quoteId, facilityId, data = {}) {
         line_net_amount: item.line_net_amount,
         tax_amount: item.tax_amount,
         product_service_id: item.product_service_id,
-        product_snapshot: item.product_snapshot
+        product_snapshot: item.product_snapshot,
+        ...insuranceItemFields(item)
       }));
 
       await DocumentItem.bulkCreate(itemRecords, { transaction: t });
@@ -603,12 +781,11 @@ async function convertQuoteToInvoice(clinicDb, quoteId, facilityId, data = {}) {
 async function createCreditNote(clinicDb, invoiceId, facilityId, data = {}) {
   const Document = await getModel(clinicDb, 'Document');
   const DocumentItem = await getModel(clinicDb, 'DocumentItem');
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
 
   return clinicDb.transaction(async (t) => {
-    const invoice = await Document.findByPk(invoiceId, {
-      include: [{ model: DocumentItem, as: 'items', order: [['sort_order', 'ASC']] }],
-      transaction: t
-    });
+    // Locked: refunds on its credit notes are capped by what it received
+    const invoice = await Document.findByPk(invoiceId, { transaction: t, lock: t.LOCK.UPDATE });
 
     if (!invoice) throw new Error('Invoice not found');
     if (invoice.document_type !== 'invoice') throw new Error('Document is not an invoice');
@@ -673,8 +850,13 @@ async function createCreditNote(clinicDb, invoiceId, facilityId, data = {}) {
     }, { transaction: t });
 
     // Copy items
-    if (invoice.items && invoice.items.length > 0) {
-      const itemRecords = invoice.items.map(item => ({
+    const items = await DocumentItem.findAll({
+      where: { document_id: invoice.id },
+      order: [['sort_order', 'ASC']],
+      transaction: t
+    });
+    if (items.length > 0) {
+      const itemRecords = items.map(item => ({
         document_id: creditNote.id,
         sort_order: item.sort_order,
         description: item.description,
@@ -693,8 +875,18 @@ async function createCreditNote(clinicDb, invoiceId, facilityId, data = {}) {
       await DocumentItem.bulkCreate(itemRecords, { transaction: t });
     }
 
+    // Money already received can be paid back (the invoice amount due only
+    // drops once the credit note is issued)
+    if (data.refund) {
+      await createLedgerEntry(DocumentPayment, creditNote, data.refund, data.createdBy || data.created_by, t);
+      await recomputePaymentTotals(clinicDb, creditNote.id, { transaction: t });
+    }
+
     const result = await Document.findByPk(creditNote.id, {
-      include: [{ model: DocumentItem, as: 'items', order: [['sort_order', 'ASC']] }],
+      include: [
+        { model: DocumentItem, as: 'items', order: [['sort_order', 'ASC']] },
+        { model: DocumentPayment, as: 'payments' }
+      ],
       transaction: t
     });
 
@@ -708,6 +900,405 @@ async function createCreditNote(clinicDb, invoiceId, facilityId, data = {}) {
   });
 }
 
+// ============================================================================
+// Payment ledger
+// ============================================================================
+
+// Statuses in which money can be received (invoices) or paid back (credit notes)
+const PAYABLE_STATUSES = {
+  invoice: ['sent', 'partial', 'overdue', 'paid'],
+  credit_note: ['draft', 'sent', 'applied']
+};
+
+// Credit notes that lower what is left to pay on their invoice (drafts are not issued)
+const CREDITING_STATUSES = ['sent', 'applied'];
+
+/**
+ * Amounts of a document derived from its ledger
+ * @param {number|string} total - Document total
+ * @param {Array} payments - Ledger rows { amount, voided_at }
+ * @param {number} [creditedTotal] - Total of the credit notes issued on an invoice
+ * @returns {Object} - { amountPaid, amountDue }
+ */
+function summarizePayments(total, payments, creditedTotal = 0) {
+  const amountPaid = round2(payments
+    .filter(p => !p.voided_at)
+    .reduce((sum, p) => sum + parseFloat(p.amount), 0));
+  const amountDue = round2(Math.max(0, parseFloat(total) - creditedTotal - amountPaid));
+  return { amountPaid, amountDue };
+}
+
+/**
+ * Invoice status after its payments changed (other documents keep their status)
+ */
+function derivePaymentStatus(doc, amountPaid, amountDue) {
+  if (doc.document_type !== 'invoice' || !PAYABLE_STATUSES.invoice.includes(doc.status)) {
+    return doc.status;
+  }
+  // Settled, by payments or by issued credit notes
+  if (amountDue <= 0) return 'paid';
+  // A partial payment does not cure the delay (see dunningService.markOverdueInvoices)
+  if (doc.status === 'overdue') return 'overdue';
+  if (amountPaid > 0) return 'partial';
+  return 'sent';
+}
+
+/**
+ * Recompute amount_paid / amount_due (and the invoice status) from the ledger.
+ * Must run in the transaction that changed the ledger.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} documentId
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Object>} - Updated document
+ */
+async function recomputePaymentTotals(clinicDb, documentId, options = {}) {
+  const Document = await getModel(clinicDb, 'Document');
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+  const { transaction } = options;
+
+  const doc = await Document.findByPk(documentId, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!doc) throw new Error('Document not found');
+
+  const payments = await DocumentPayment.findAll({
+    where: { document_id: doc.id, voided_at: null },
+    attributes: ['amount', 'voided_at'],
+    transaction
+  });
+
+  // Issued credit notes reduce what is left to pay on their invoice
+  let creditedTotal = 0;
+  if (doc.document_type === 'invoice') {
+    creditedTotal = parseFloat(await Document.sum('total', {
+      where: { converted_from_id: doc.id, document_type: 'credit_note', status: CREDITING_STATUSES, deleted_at: null },
+      transaction
+    })) || 0;
+  }
+
+  const { amountPaid, amountDue } = summarizePayments(doc.total, payments, creditedTotal);
+  const status = derivePaymentStatus(doc, amountPaid, amountDue);
+
+  const updateData = { amount_paid: amountPaid, amount_due: amountDue, status };
+  if (status === 'paid' && doc.status !== 'paid') updateData.paid_at = new Date();
+  if (status !== 'paid' && doc.status === 'paid') updateData.paid_at = null;
+
+  await doc.update(updateData, { transaction });
+  return doc;
+}
+
+/**
+ * List the ledger of a document (voided rows included, oldest first)
+ */
+async function listPayments(clinicDb, documentId) {
+  const Document = await getModel(clinicDb, 'Document');
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+
+  const doc = await Document.findByPk(documentId);
+  if (!doc || doc.deleted_at) throw new Error('Document not found');
+
+  const payments = await DocumentPayment.findAll({
+    where: { document_id: doc.id },
+    order: [['payment_date', 'ASC'], ['created_at', 'ASC']]
+  });
+
+  return { document: doc, payments };
+}
+
+/**
+ * Record a payment (invoice) or a refund (credit note) and recompute the totals.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} documentId
+ * @param {Object} data - { amount, paymentDate, paymentMethod, reference, payerType, payerName, notes,
+ *   tillSessionId (payment taken at the front desk), insuranceClaimId (insurer payment),
+ *   payerShareId (third-party payer payment) }
+ * @param {string} [recordedBy] - User ID
+ * @returns {Promise<Object>} - { payment, document }
+ */
+async function addPayment(clinicDb, documentId, data, recordedBy) {
+  const Document = await getModel(clinicDb, 'Document');
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+
+  return clinicDb.transaction(async (t) => {
+    const doc = await Document.findByPk(documentId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!doc || doc.deleted_at) throw new Error('Document not found');
+
+    const payment = await createLedgerEntry(DocumentPayment, doc, data, recordedBy, t);
+    const updated = await recomputePaymentTotals(clinicDb, doc.id, { transaction: t });
+    if (payment.insurance_claim_id) {
+      await recomputeClaimTotals(clinicDb, payment.insurance_claim_id, { transaction: t });
+    }
+    if (payment.payer_share_id) {
+      await recomputePayerShareTotals(clinicDb, payment.payer_share_id, { transaction: t });
+    }
+
+    logger.info('Document payment recorded', {
+      documentId: doc.id,
+      documentNumber: doc.document_number,
+      paymentId: payment.id,
+      type: payment.payment_type,
+      amount: payment.amount
+    });
+
+    return { payment, document: updated };
+  });
+}
+
+/**
+ * Money of an invoice that can still be paid back: what it received minus the
+ * refunds already posted on its credit notes
+ * @param {Object} invoice - { amount_paid }
+ * @param {number} postedRefunds - Refunds of all its credit notes (voided excluded)
+ * @returns {number}
+ */
+function refundableAmount(invoice, postedRefunds) {
+  return round2(Math.max(0, (parseFloat(invoice.amount_paid) || 0) - postedRefunds));
+}
+
+/**
+ * Lock the invoice of a credit note and refuse a refund larger than what the
+ * invoice received and has not paid back yet (refunds are posted on the credit
+ * notes, the invoice amount_paid never goes down)
+ */
+async function checkRefundCap(clinicDb, creditNote, amount, transaction) {
+  if (!creditNote.converted_from_id) return;
+
+  const Document = await getModel(clinicDb, 'Document');
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+
+  const invoice = await Document.findByPk(creditNote.converted_from_id, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!invoice) return;
+
+  const creditNotes = await Document.findAll({
+    where: { converted_from_id: invoice.id, document_type: 'credit_note' },
+    attributes: ['id'],
+    transaction
+  });
+  const postedRefunds = parseFloat(await DocumentPayment.sum('amount', {
+    where: { document_id: creditNotes.map(c => c.id), voided_at: null },
+    transaction
+  })) || 0;
+
+  const refundable = refundableAmount(invoice, postedRefunds);
+  if (amount > refundable) {
+    throw new Error(`Refund exceeds the amount paid on the invoice not yet refunded (${refundable})`);
+  }
+}
+
+/**
+ * Validate and create one ledger row on a locked document
+ */
+async function createLedgerEntry(DocumentPayment, doc, data, recordedBy, transaction) {
+  const allowedStatuses = PAYABLE_STATUSES[doc.document_type];
+  if (!allowedStatuses) {
+    throw new Error('Payments can only be recorded on invoices and credit notes');
+  }
+
+  const paymentType = doc.document_type === 'credit_note' ? 'refund' : 'payment';
+  if (!allowedStatuses.includes(doc.status)) {
+    throw new Error(`Cannot record a ${paymentType} on a ${doc.document_type} with status "${doc.status}"`);
+  }
+
+  const amount = round2(parseFloat(data.amount));
+  if (!(amount > 0)) throw new Error('Amount must be greater than 0');
+  if (amount > round2(parseFloat(doc.amount_due) || 0)) {
+    throw new Error(`Amount exceeds the amount due (${doc.amount_due})`);
+  }
+
+  if (paymentType === 'refund') {
+    await checkRefundCap(DocumentPayment.sequelize, doc, amount, transaction);
+  }
+
+  // Payment taken at the front desk: the till session must be open until the row is written
+  const tillSessionId = data.tillSessionId || data.till_session_id || null;
+  if (tillSessionId) {
+    const TillSession = await getModel(DocumentPayment.sequelize, 'TillSession');
+    const session = await TillSession.findByPk(tillSessionId, { transaction, lock: transaction.LOCK.SHARE });
+    if (!session || session.facility_id !== doc.facility_id) throw new Error('Till session not found');
+    if (!session.isOpen()) throw new Error('Cannot record a payment in a closed till session');
+  }
+
+  // Insurer payment (tiers payant): settles its claim, never more than the claim outstanding
+  const insuranceClaimId = data.insuranceClaimId || data.insurance_claim_id || null;
+  if (insuranceClaimId) {
+    const InsuranceClaim = await getModel(DocumentPayment.sequelize, 'InsuranceClaim');
+    const claim = await InsuranceClaim.findByPk(insuranceClaimId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!claim || claim.document_id !== doc.id) throw new Error('Insurance claim not found');
+    if (claim.status === InsuranceClaim.CLAIM_STATUS.REJECTED) {
+      throw new Error('Cannot record a payment on a rejected insurance claim');
+    }
+    if (amount > claim.getOutstanding()) {
+      throw new Error(`Amount exceeds the claim outstanding (${claim.getOutstanding()})`);
+    }
+  }
+
+  // Third-party payer payment: settles its share, never more than the share outstanding
+  const payerShareId = data.payerShareId || data.payer_share_id || null;
+  if (payerShareId) {
+    const DocumentPayerShare = await getModel(DocumentPayment.sequelize, 'DocumentPayerShare');
+    const share = await DocumentPayerShare.findByPk(payerShareId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!share || share.document_id !== doc.id) throw new Error('Payer share not found');
+    if (amount > share.getOutstanding()) {
+      throw new Error(`Amount exceeds the payer share outstanding (${share.getOutstanding()})`);
+    }
+  }
+
+  return DocumentPayment.create({
+    document_id: doc.id,
+    facility_id: doc.facility_id,
+    payment_type: paymentType,
+    payment_date: data.paymentDate || data.payment_date || new Date(),
+    amount,
+    payment_method: data.paymentMethod || data.payment_method,
+    reference: data.reference || null,
+    payer_type: data.payerType || data.payer_type || 'patient',
+    payer_name: data.payerName || data.payer_name || null,
+    notes: data.notes || null,
+    till_session_id: tillSessionId,
+    insurance_claim_id: insuranceClaimId,
+    payer_share_id: payerShareId,
+    recorded_by: recordedBy || null
+  }, { transaction });
+}
+
+/**
+ * Recompute amount_paid / status of an insurance claim from its insurer payments.
+ * Must run in the transaction that changed the ledger. Rejected claims keep their status.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} claimId
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Object>} - Updated claim
+ */
+async function recomputeClaimTotals(clinicDb, claimId, options = {}) {
+  const InsuranceClaim = await getModel(clinicDb, 'InsuranceClaim');
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+  const { transaction } = options;
+  const { CLAIM_STATUS } = InsuranceClaim;
+
+  const claim = await InsuranceClaim.findByPk(claimId, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!claim) throw new Error('Insurance claim not found');
+
+  const amountPaid = round2(parseFloat(await DocumentPayment.sum('amount', {
+    where: { insurance_claim_id: claim.id, voided_at: null },
+    transaction
+  })) || 0);
+
+  const updateData = { amount_paid: amountPaid };
+  if (claim.status !== CLAIM_STATUS.REJECTED) {
+    updateData.status = receivableStatus(claim.amount_claimed, amountPaid);
+    updateData.settled_at = updateData.status === CLAIM_STATUS.PAID ? (claim.settled_at || new Date()) : null;
+  }
+
+  await claim.update(updateData, { transaction });
+  return claim;
+}
+
+/**
+ * Recompute amount_paid / status of a third-party payer share from its payments.
+ * Must run in the transaction that changed the ledger.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} shareId
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Object>} - Updated share
+ */
+async function recomputePayerShareTotals(clinicDb, shareId, options = {}) {
+  const DocumentPayerShare = await getModel(clinicDb, 'DocumentPayerShare');
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+  const { transaction } = options;
+
+  const share = await DocumentPayerShare.findByPk(shareId, {
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!share) throw new Error('Payer share not found');
+
+  const amountPaid = round2(parseFloat(await DocumentPayment.sum('amount', {
+    where: { payer_share_id: share.id, voided_at: null },
+    transaction
+  })) || 0);
+
+  const status = receivableStatus(share.amount, amountPaid);
+  await share.update({
+    amount_paid: amountPaid,
+    status,
+    settled_at: status === 'paid' ? (share.settled_at || new Date()) : null
+  }, { transaction });
+  return share;
+}
+
+/**
+ * Status of a receivable (claim, payer share) from what was paid on it
+ */
+function receivableStatus(amount, amountPaid) {
+  if (amountPaid >= round2(parseFloat(amount))) return 'paid';
+  return amountPaid > 0 ? 'partial' : 'open';
+}
+
+/**
+ * Void a ledger row (kept in the history) and recompute the totals.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} documentId
+ * @param {string} paymentId
+ * @param {Object} data - { reason, voidedBy }
+ * @returns {Promise<Object>} - { payment, document }
+ */
+async function voidPayment(clinicDb, documentId, paymentId, data = {}) {
+  const Document = await getModel(clinicDb, 'Document');
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+
+  return clinicDb.transaction(async (t) => {
+    const doc = await Document.findByPk(documentId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!doc || doc.deleted_at) throw new Error('Document not found');
+
+    const payment = await DocumentPayment.findOne({
+      where: { id: paymentId, document_id: doc.id },
+      transaction: t
+    });
+    if (!payment) throw new Error('Payment not found');
+    if (payment.isVoided()) throw new Error('Payment is already voided');
+
+    // Closed till sessions are frozen (Z-report already issued)
+    if (payment.till_session_id) {
+      const TillSession = await getModel(clinicDb, 'TillSession');
+      const session = await TillSession.findByPk(payment.till_session_id, { transaction: t, lock: t.LOCK.SHARE });
+      if (session && !session.isOpen()) {
+        throw new Error('Cannot void a payment of a closed till session');
+      }
+    }
+
+    await payment.update({
+      voided_at: new Date(),
+      voided_by: data.voidedBy || null,
+      void_reason: data.reason
+    }, { transaction: t });
+
+    const updated = await recomputePaymentTotals(clinicDb, doc.id, { transaction: t });
+    if (payment.insurance_claim_id) {
+      await recomputeClaimTotals(clinicDb, payment.insurance_claim_id, { transaction: t });
+    }
+    if (payment.payer_share_id) {
+      await recomputePayerShareTotals(clinicDb, payment.payer_share_id, { transaction: t });
+    }
+
+    logger.info('Document payment voided', {
+      documentId: doc.id,
+      paymentId: payment.id,
+      amount: payment.amount
+    });
+
+    return { payment, document: updated };
+  });
+}
+
 // ============================================================================
 // Duplicate
 // ============================================================================
@@ -732,7 +1323,11 @@ async function duplicateDocument(clinicDb, documentId, facilityId, createdBy) {
     tax_rate: item.tax_rate,
     tax_category_code: item.tax_category_code,
     product_service_id: item.product_service_id,
-    product_snapshot: item.product_snapshot
+    product_snapshot: item.product_snapshot,
+    act_code: item.act_code,
+    act_code_system: item.act_code_system,
+    reimbursement_base: item.reimbursement_base,
+    amo_rate: item.amo_rate
   }));
 
   const data = {
@@ -824,7 +1419,10 @@ async function getDocumentStats(clinicDb, facilityId, filters = {}) {
     }
   });
 
-  return { byStatus: statusCounts, totals: overallTotals, overdueCount };
+  // Receivables aging (what is still due on issued invoices)
+  const { totals: aging } = await getReceivablesAging(clinicDb, facilityId);
+
+  return { byStatus: statusCounts, totals: overallTotals, overdueCount, aging };
 }
 
 async function getMonthlyStats(clinicDb, facilityId, year) {
@@ -858,12 +1456,202 @@ async function getMonthlyStats(clinicDb, facilityId, year) {
   return monthlyRevenue;
 }
 
+// ============================================================================
+// Receivables aging
+// ============================================================================
+
+const AGING_BUCKETS = [
+  { key: '0_30', label: '0-30', maxDays: 30 },
+  { key: '31_60', label: '31-60', maxDays: 60 },
+  { key: '61_90', label: '61-90', maxDays: 90 },
+  { key: '90_plus', label: '90+', maxDays: Infinity }
+];
+
+const AGING_STATUSES = ['sent', 'partial', 'overdue'];
+
+function agingBucket(daysPastDue) {
+  return AGING_BUCKETS.find(bucket => daysPastDue <= bucket.maxDays).key;
+}
+
+function emptyBuckets() {
+  return Object.fromEntries([...AGING_BUCKETS.map(bucket => [bucket.key, 0]), ['total', 0]]);
+}
+
+/**
+ * Days since midnight UTC of a date (DATEONLY strings are calendar dates)
+ */
+function toDayNumber(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return Date.parse(`${value}T00:00:00Z`) / 86400000;
+  }
+  const d = new Date(value);
+  return Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / 86400000;
+}
+
+/**
+ * Split what is still due on invoices by debtor: third-party payers (shares),
+ * insurers (tiers-payant claims) and the buyer for the rest.
+ *
+ * @param {Array} invoices - { id, document_number, buyer_name, patient_id, issue_date, due_date, amount_due }
+ * @param {Array} shares - Outstanding payer shares { document_id, payer_id, payer_name, outstanding }
+ * @param {Array} claims - Outstanding insurance claims { document_id, insurer_name, outstanding }
+ * @returns {Array} - [{ documentId, documentNumber, issueDate, dueDate, debtorType, debtorId, debtorName, amount }]
+ */
+function buildAgingEntries(invoices, shares = [], claims = []) {
+  const entries = [];
+
+  for (const invoice of invoices) {
+    const base = {
+      documentId: invoice.id,
+      documentNumber: invoice.document_number,
+      issueDate: invoice.issue_date,
+      dueDate: invoice.due_date || invoice.issue_date
+    };
+    let thirdParty = 0;
+
+    for (const share of shares.filter(sh => sh.document_id === invoice.id)) {
+      const amount = round2(parseFloat(share.outstanding) || 0);
+      if (amount <= 0) continue;
+      thirdParty += amount;
+      entries.push({ ...base, debtorType: 'payer', debtorId: share.payer_id, debtorName: share.payer_name, amount });
+    }
+
+    for (const claim of claims.filter(c => c.document_id === invoice.id)) {
+      const amount = round2(parseFloat(claim.outstanding) || 0);
+      if (amount <= 0) continue;
+      thirdParty += amount;
+      entries.push({ ...base, debtorType: 'insurer', debtorId: null, debtorName: claim.insurer_name, amount });
+    }
+
+    // Credit notes lower amount_due: the buyer part is never negative
+    const rest = round2(Math.max(0, (parseFloat(invoice.amount_due) || 0) - thirdParty));
+    if (rest > 0) {
+      entries.push({
+        ...base,
+        debtorType: 'patient',
+        debtorId: invoice.patient_id || null,
+        debtorName: invoice.buyer_name,
+        amount: rest
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Age receivable entries at a date: days past the due date (issue date when
+ * there is none), invoices not yet due count in 0-30.
+ *
+ * @param {Array} entries - buildAgingEntries() result
+ * @param {Date|string} [asOf]
+ * @returns {Object} - { asOf, buckets, totals: { 0_30, 31_60, 61_90, 90_plus, total },
+ *   debtors: [{ debtorType, debtorId, debtorName, documentCount, 0_30, ..., total }], entries }
+ */
+function summarizeAging(entries, asOf = new Date()) {
+  const asOfDay = toDayNumber(asOf);
+  const totals = emptyBuckets();
+  const debtors = new Map();
+
+  const aged = entries.map(entry => {
+    const daysPastDue = Math.max(0, Math.floor(asOfDay - toDayNumber(entry.dueDate)));
+    const bucket = agingBucket(daysPastDue);
+
+    totals[bucket] = round2(totals[bucket] + entry.amount);
+    totals.total = round2(totals.total + entry.amount);
+
+    const key = `${entry.debtorType}:${entry.debtorId || entry.debtorName}`;
+    if (!debtors.has(key)) {
+      debtors.set(key, {
+        debtorType: entry.debtorType,
+        debtorId: entry.debtorId,
+        debtorName: entry.debtorName,
+        documentCount: 0,
+        ...emptyBuckets()
+      });
+    }
+    const debtor = debtors.get(key);
+    debtor.documentCount += 1;
+    debtor[bucket] = round2(debtor[bucket] + entry.amount);
+    debtor.total = round2(debtor.total + entry.amount);
+
+    return { ...entry, daysPastDue, bucket };
+  });
+
+  return {
+    asOf: new Date(asOfDay * 86400000).toISOString().slice(0, 10),
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals,
+    debtors: [...debtors.values()].sort((a, b) => b.total - a.total),
+    entries: aged.sort((a, b) => b.daysPastDue - a.daysPastDue)
+  };
+}
+
+/**
+ * Receivables aging report of the clinic. Balances are the current ones, asOf
+ * only sets the date the ages are computed at.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} facilityId
+ * @param {Object} [options] - { asOf, debtorType: 'payer'|'insurer'|'patient', payerId }
+ * @returns {Promise<Object>} - summarizeAging() result
+ */
+async function getReceivablesAging(clinicDb, facilityId, options = {}) {
+  const asOf = options.asOf || new Date();
+
+  const [invoices] = await clinicDb.query(`
+    SELECT id, document_number, buyer_name, patient_id, issue_date, due_date, amount_due
+    FROM documents
+    WHERE facility_id = :facilityId
+      AND document_type = 'invoice'
+      AND status IN (:statuses)
+      AND deleted_at IS NULL
+      AND amount_due > 0
+  `, { replacements: { facilityId, statuses: AGING_STATUSES } });
+
+  let shares = [];
+  let claims = [];
+  if (invoices.length > 0) {
+    const documentIds = invoices.map(inv => inv.id);
+    [shares] = await clinicDb.query(`
+      SELECT s.document_id, s.payer_id, p.name AS payer_name, s.amount - s.amount_paid AS outstanding
+      FROM document_payer_shares s
+      JOIN payers p ON p.id = s.payer_id
+      WHERE s.document_id IN (:documentIds) AND s.status IN ('open', 'partial')
+    `, { replacements: { documentIds } });
+    [claims] = await clinicDb.query(`
+      SELECT document_id, insurer_name, amount_claimed - amount_paid AS outstanding
+      FROM insurance_claims
+      WHERE document_id IN (:documentIds) AND status IN ('open', 'partial')
+    `, { replacements: { documentIds } });
+  }
+
+  let entries = buildAgingEntries(invoices, shares, claims);
+  if (options.debtorType) entries = entries.filter(e => e.debtorType === options.debtorType);
+  if (options.payerId) entries = entries.filter(e => e.debtorType === 'payer' && e.debtorId === options.payerId);
+
+  return summarizeAging(entries, asOf);
+}
+
 // ============================================================================
 // Helpers
 // ============================================================================
 
-function round2(n) {
-  return Math.round((n + Number.EPSILON) * 100) / 100;
+/**
+ * Insurance columns of an item (acte code and AMO / AMC / patient split).
+ * Empty for plain billing lines.
+ */
+function insuranceItemFields(item) {
+  const num = (v) => (v === undefined || v === null || v === '' ? null : parseFloat(v));
+  return {
+    act_code: item.actCode || item.act_code || null,
+    act_code_system: item.actCodeSystem || item.act_code_system || null,
+    reimbursement_base: num(item.reimbursementBase ?? item.reimbursement_base),
+    amo_rate: num(item.amoRate ?? item.amo_rate),
+    amo_amount: num(item.amo_amount),
+    amc_amount: num(item.amc_amount),
+    patient_amount: num(item.patient_amount)
+  };
 }
 
 function snakeToCamel(str) {
@@ -879,12 +1667,27 @@ module.exports = {
   calculateDocumentTotals,
   getNextNumber,
   previewNextNumber,
+  assignIssuedNumber,
   createDocument,
   updateDocument,
   canTransition,
   convertQuoteToInvoice,
   createCreditNote,
+  summarizePayments,
+  derivePaymentStatus,
+  refundableAmount,
+  recomputePaymentTotals,
+  recomputeClaimTotals,
+  recomputePayerShareTotals,
+  resolvePayerShares,
+  listPayments,
+  addPayment,
+  voidPayment,
   duplicateDocument,
   getDocumentStats,
-  getMonthlyStats
+  getMonthlyStats,
+  buildAgingEntries,
+  summarizeAging,
+  getReceivablesAging,
+  AGING_BUCKETS
 };
@@ -0,0 +1,552 @@
+/**
+ * Dunning Service — Overdue invoices and payment reminders
+ *
+ * - markOverdueInvoices(): issued invoices still due after their due date
+ *   move to the "overdue" status (run by the job scheduler)
+ * - processDunning(): sends the reminder steps configured per clinic in
+ *   billing_settings.dunning (run by the job scheduler after markOverdueInvoices)
+ * - sendDunningNotice(): one step for one invoice: a friendly reminder email,
+ *   or a formal notice (mise en demeure) with the late penalties and the
+ *   recovery indemnity, sent as a PDF attachment
+ * - sendDunningStep(): same, from the invoice screen (next step due or a given step)
+ * - getDunningHistory() / stopDunning() / resumeDunning(): follow-up per invoice
+ * - generateNoticePDF(): the notice as it was sent (amounts stored on the notice)
+ *
+ * Each step is sent once per invoice (document_dunning_notices) and only the
+ * most advanced step due is sent: an invoice found 45 days late gets the formal
+ * notice, not the J+7 reminder. Dunning stops by itself when the invoice is
+ * paid; with stopOnPayment (default) any payment recorded after the due date
+ * stops it too, until it is resumed by hand.
+ */
+
+const { Op, literal } = require('sequelize');
+const { getModel } = require('../base/ModelFactory');
+const { logger } = require('../utils/logger');
+const { round2 } = require('../utils/money');
+const messageOutboxService = require('./messageOutboxService');
+const { TEMPLATE_TYPES } = require('./messagingService');
+const emailService = require('./emailService');
+const pdfService = require('./pdfService');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('./auditService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Invoices processed per facility and cycle, the remainder waits for the next cycle
+const DUNNING_BATCH_SIZE = 100;
+
+const NOTICE_TYPES = {
+  REMINDER: 'reminder',
+  FORMAL_NOTICE: 'formal_notice'
+};
+
+const STOP_REASONS = {
+  PAYMENT: 'payment',
+  MANUAL: 'manual'
+};
+
+// billing_settings.dunning, used for whatever the clinic did not set
+const DEFAULT_DUNNING_SETTINGS = {
+  enabled: false,
+  stopOnPayment: true,
+  // Annual rate (%) applied when the invoice has no late_penalty_rate
+  latePenaltyRate: null,
+  // Days given by the formal notice to pay
+  paymentDeadlineDays: 8,
+  steps: [
+    { key: 'reminder', daysAfterDue: 7, type: NOTICE_TYPES.REMINDER },
+    { key: 'formal_notice', daysAfterDue: 30, type: NOTICE_TYPES.FORMAL_NOTICE }
+  ]
+};
+
+/**
+ * Dunning settings of a clinic merged over the defaults, steps by delay
+ * @param {Object} billingSettings - clinic_settings.billing_settings
+ * @returns {Object}
+ */
+function resolveDunningSettings(billingSettings) {
+  const custom = (billingSettings && billingSettings.dunning) || {};
+  const settings = { ...DEFAULT_DUNNING_SETTINGS, ...custom };
+  settings.steps = [...(custom.steps && custom.steps.length > 0 ? custom.steps : DEFAULT_DUNNING_SETTINGS.steps)]
+    .sort((a, b) => a.daysAfterDue - b.daysAfterDue);
+  return settings;
+}
+
+// ============================================================================
+// Dates and amounts
+// ============================================================================
+
+/**
+ * YYYY-MM-DD of a DATEONLY value (string) or a Date (local calendar day)
+ */
+function formatDay(value) {
+  if (typeof value === 'string') return value.slice(0, 10);
+  const d = new Date(value);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function toDayNumber(value) {
+  const [y, m, d] = formatDay(value).split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / DAY_MS;
+}
+
+function addDays(day, days) {
+  const date = new Date((toDayNumber(day) + days) * DAY_MS);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days between the due date and asOf (0 when not yet due)
+ */
+function daysOverdue(dueDate, asOf) {
+  if (!dueDate) return 0;
+  return Math.max(0, toDayNumber(asOf) - toDayNumber(dueDate));
+}
+
+/**
+ * Step to send for an invoice: the most advanced step due, unless it or a
+ * later step was already sent
+ * @param {Array} steps - Resolved settings steps (by delay)
+ * @param {number} days - Days overdue
+ * @param {Array<string>} sentStepKeys - Steps already sent for the invoice
+ * @returns {Object|null} - Step to send
+ */
+function nextDunningStep(steps, days, sentStepKeys = []) {
+  const sent = new Set(sentStepKeys);
+  let dueIndex = -1;
+  let lastSentIndex = -1;
+  steps.forEach((step, index) => {
+    if (step.daysAfterDue <= days) dueIndex = index;
+    if (sent.has(step.key)) lastSentIndex = index;
+  });
+  return dueIndex > lastSentIndex ? steps[dueIndex] : null;
+}
+
+/**
+ * Amounts claimed by a notice
+ *
+ * A reminder asks for the amount due. A formal notice adds the late
+ * penalties (annual rate prorated over the days overdue) and the fixed
+ * recovery indemnity of the invoice (40 € by default, 0 to waive it).
+ *
+ * @param {Object} invoice - { amount_due, total, late_penalty_rate, recovery_indemnity }
+ * @param {string} type - Notice type
+ * @param {number} days - Days overdue
+ * @param {Object} settings - Resolved dunning settings
+ * @returns {Object} - { amountDue, latePenaltyRate, latePenalties, recoveryIndemnity, totalClaimed }
+ */
+function computeNoticeAmounts(invoice, type, days, settings = DEFAULT_DUNNING_SETTINGS) {
+  const amountDue = round2(parseFloat(invoice.amount_due ?? invoice.total) || 0);
+  const rate = invoice.late_penalty_rate != null ? parseFloat(invoice.late_penalty_rate) : settings.latePenaltyRate;
+  const latePenaltyRate = rate != null && !isNaN(rate) ? parseFloat(rate) : null;
+
+  let latePenalties = 0;
+  let recoveryIndemnity = 0;
+  if (type === NOTICE_TYPES.FORMAL_NOTICE) {
+    if (latePenaltyRate) latePenalties = round2(amountDue * latePenaltyRate / 100 * days / 365);
+    recoveryIndemnity = round2(parseFloat(invoice.recovery_indemnity ?? 40) || 0);
+  }
+
+  return {
+    amountDue,
+    latePenaltyRate,
+    latePenalties,
+    recoveryIndemnity,
+    totalClaimed: round2(amountDue + latePenalties + recoveryIndemnity)
+  };
+}
+
+// ============================================================================
+// Overdue status
+// ============================================================================
+
+/**
+ * Move issued invoices still due after their due date to "overdue"
+ * @param {Sequelize} clinicDb
+ * @param {Object} [options] - { asOf }
+ * @returns {Promise<number>} - Invoices marked overdue
+ */
+async function markOverdueInvoices(clinicDb, options = {}) {
+  const [rows] = await clinicDb.query(`
+    UPDATE documents
+    SET status = 'overdue', updated_at = NOW()
+    WHERE document_type = 'invoice'
+      AND status IN ('sent', 'partial')
+      AND deleted_at IS NULL
+      AND due_date < :today
+      AND COALESCE(amount_due, total) > 0
+    RETURNING id
+  `, { replacements: { today: formatDay(options.asOf || new Date()) } });
+
+  if (rows.length > 0) {
+    logger.info(`Dunning: ${rows.length} invoices marked overdue`);
+  }
+  return rows.length;
+}
+
+// ============================================================================
+// Scheduler
+// ============================================================================
+
+/**
+ * Mark overdue invoices and send the dunning steps due, for every facility
+ * of the clinic with dunning enabled
+ * @param {Sequelize} clinicDb
+ * @param {Object} [context] - { asOf }
+ * @returns {Promise<Object>} - { markedOverdue, sent, stopped, failed }
+ */
+async function processDunning(clinicDb, context = {}) {
+  const asOf = formatDay(context.asOf || new Date());
+  const summary = { markedOverdue: await markOverdueInvoices(clinicDb, { asOf }), sent: 0, stopped: 0, failed: 0 };
+
+  const [facilities] = await clinicDb.query('SELECT facility_id, billing_settings FROM clinic_settings');
+
+  for (const row of facilities) {
+    const settings = resolveDunningSettings(row.billing_settings);
+    if (!settings.enabled || settings.steps.length === 0) continue;
+
+    const candidates = await findDunningCandidates(clinicDb, row.facility_id, settings, asOf);
+
+    for (const invoice of candidates) {
+      try {
+        const paidAfterDue = invoice.get('last_payment_at')
+          && toDayNumber(invoice.get('last_payment_at')) > toDayNumber(invoice.due_date);
+        if (settings.stopOnPayment && paidAfterDue) {
+          await invoice.update({ dunning_stopped_at: new Date(), dunning_stop_reason: STOP_REASONS.PAYMENT });
+          logger.info('Dunning stopped after a payment', { documentId: invoice.id, number: invoice.document_number });
+          summary.stopped++;
+          continue;
+        }
+
+        const step = nextDunningStep(settings.steps, daysOverdue(invoice.due_date, asOf), invoice.get('sent_steps') || []);
+        if (!step) continue;
+
+        await sendDunningNotice(clinicDb, invoice.id, step, { billingSettings: row.billing_settings, asOf });
+        summary.sent++;
+      } catch (error) {
+        logger.error(`Dunning failed for invoice ${invoice.document_number}: ${error.message}`);
+        summary.failed++;
+      }
+    }
+  }
+
+  if (summary.sent > 0 || summary.failed > 0) {
+    logger.info(`Dunning: ${summary.sent} notices sent, ${summary.stopped} stopped, ${summary.failed} failed`);
+  }
+  return summary;
+}
+
+/**
+ * Overdue invoices of a facility late enough for the first step, with the
+ * steps already sent and the last payment recorded
+ */
+async function findDunningCandidates(clinicDb, facilityId, settings, asOf) {
+  const Document = await getModel(clinicDb, 'Document');
+  const firstDelay = settings.steps[0].daysAfterDue;
+
+  return Document.findAll({
+    where: {
+      facility_id: facilityId,
+      document_type: 'invoice',
+      status: 'overdue',
+      deleted_at: null,
+      dunning_stopped_at: null,
+      due_date: { [Op.lte]: addDays(asOf, -firstDelay) },
+      // Settled by credit notes or payments since it became overdue
+      [Op.and]: literal('COALESCE("Document"."amount_due", "Document"."total") > 0')
+    },
+    attributes: {
+      include: [
+        [literal(`(SELECT COALESCE(array_agg(n.step_key), '{}') FROM document_dunning_notices n
+          WHERE n.document_id = "Document"."id")`), 'sent_steps'],
+        [literal(`(SELECT MAX(p.created_at) FROM document_payments p
+          WHERE p.document_id = "Document"."id" AND p.payment_type = 'payment' AND p.voided_at IS NULL)`), 'last_payment_at']
+      ]
+    },
+    order: [['due_date', 'ASC']],
+    limit: DUNNING_BATCH_SIZE
+  });
+}
+
+// ============================================================================
+// Notices
+// ============================================================================
+
+/**
+ * Email address, name and language the notices of an invoice go to
+ */
+async function resolveRecipient(clinicDb, invoice) {
+  let email = invoice.buyer_email;
+  let language = 'fr';
+
+  if (invoice.patient_id) {
+    const Patient = await getModel(clinicDb, 'Patient');
+    const patient = await Patient.findByPk(invoice.patient_id);
+    if (patient) {
+      language = await emailService.resolveLanguageForClinicPatient(patient, clinicDb);
+      email = email || patient.email;
+    }
+  }
+
+  return { email: email || null, language, name: invoice.buyer_name };
+}
+
+/**
+ * Send one dunning step for an invoice
+ *
+ * The notice is recorded with the amounts claimed, then the email is queued
+ * in the message outbox (formal notices carry their PDF). Without an email
+ * address the notice is recorded for manual delivery (print and post).
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} documentId
+ * @param {Object} step - { key, daysAfterDue, type }
+ * @param {Object} options - { billingSettings, asOf, actor }
+ * @returns {Promise<Object>} - DocumentDunningNotice
+ */
+async function sendDunningNotice(clinicDb, documentId, step, options = {}) {
+  const Document = await getModel(clinicDb, 'Document');
+  const DocumentDunningNotice = await getModel(clinicDb, 'DocumentDunningNotice');
+  const settings = resolveDunningSettings(options.billingSettings);
+  const asOf = formatDay(options.asOf || new Date());
+  const actor = options.actor || null;
+
+  const { notice, invoice } = await clinicDb.transaction(async (t) => {
+    const invoice = await Document.findByPk(documentId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!invoice || invoice.deleted_at) throw new Error('Document not found');
+    if (invoice.document_type !== 'invoice' || invoice.status !== 'overdue') {
+      throw new Error('Only overdue invoices can be dunned');
+    }
+    if (invoice.dunning_stopped_at) throw new Error('Dunning is stopped for this invoice');
+
+    const existing = await DocumentDunningNotice.findOne({
+      where: { document_id: invoice.id, step_key: step.key },
+      transaction: t
+    });
+    if (existing) throw new Error(`Dunning step "${step.key}" was already sent`);
+
+    const days = daysOverdue(invoice.due_date, asOf);
+    const amounts = computeNoticeAmounts(invoice, step.type, days, settings);
+    if (amounts.amountDue <= 0) throw new Error('Nothing is left to pay on this invoice');
+    const recipient = await resolveRecipient(clinicDb, invoice);
+
+    const notice = await DocumentDunningNotice.create({
+      facility_id: invoice.facility_id,
+      document_id: invoice.id,
+      step_key: step.key,
+      notice_type: step.type,
+      days_overdue: days,
+      amount_due: amounts.amountDue,
+      late_penalty_rate: amounts.latePenaltyRate,
+      late_penalties: amounts.latePenalties,
+      recovery_indemnity: amounts.recoveryIndemnity,
+      total_claimed: amounts.totalClaimed,
+      payment_deadline: step.type === NOTICE_TYPES.FORMAL_NOTICE ? addDays(asOf, settings.paymentDeadlineDays) : null,
+      delivery: recipient.email ? 'email' : 'manual',
+      recipient: recipient.email,
+      created_by: actor?.userId || null
+    }, { transaction: t });
+    notice.recipientInfo = recipient;
+
+    await invoice.update({ dunning_step: step.key, last_dunning_at: new Date() }, { transaction: t });
+
+    return { notice, invoice };
+  });
+
+  if (notice.delivery === 'email') {
+    const entry = await queueNoticeEmail(clinicDb, invoice, notice, options.billingSettings);
+    await notice.update({ message_outbox_id: entry.id });
+  }
+
+  logger.info('Dunning notice sent', {
+    documentId: invoice.id,
+    number: invoice.document_number,
+    step: notice.step_key,
+    delivery: notice.delivery
+  });
+
+  await audit(actor, AUDIT_EVENTS.INVOICE_DUNNING_SENT, invoice,
+    `Dunning step ${notice.step_key} sent for ${invoice.document_number}`,
+    { stepKey: notice.step_key, totalClaimed: notice.total_claimed, delivery: notice.delivery });
+
+  return notice;
+}
+
+/**
+ * Queue the reminder email of a notice (formal notices with their PDF)
+ */
+async function queueNoticeEmail(clinicDb, invoice, notice, billingSettings) {
+  const clinicInfo = await emailService.getClinicInfo(clinicDb);
+  const recipient = notice.recipientInfo;
+
+  let attachment = null;
+  if (notice.isFormalNotice()) {
+    const pdf = await pdfService.generateDunningNoticePDF(invoice, notice, { billingSettings });
+    attachment = {
+      filename: `mise-en-demeure-${invoice.document_number}.pdf`,
+      contentType: 'application/pdf',
+      contentBase64: pdf.toString('base64')
+    };
+  }
+
+  return messageOutboxService.enqueue(clinicDb, {
+    channel: 'email',
+    templateType: TEMPLATE_TYPES.PAYMENT_REMINDER,
+    recipient: { email: recipient.email, language: recipient.language, name: recipient.name },
+    data: {
+      clinicName: clinicInfo.clinicName,
+      formalNotice: notice.isFormalNotice(),
+      invoiceNumber: invoice.document_number,
+      dueDate: formatDay(invoice.due_date),
+      daysOverdue: notice.days_overdue,
+      amountDue: Number(notice.amount_due).toFixed(2),
+      latePenalties: Number(notice.late_penalties).toFixed(2),
+      recoveryIndemnity: Number(notice.recovery_indemnity).toFixed(2),
+      totalClaimed: Number(notice.total_claimed).toFixed(2),
+      paymentDeadline: notice.payment_deadline,
+      attachment,
+      logoUrl: clinicInfo.logoUrl
+    },
+    related: {
+      patientId: invoice.patient_id,
+      documentId: invoice.id
+    },
+    createdBy: notice.created_by
+  });
+}
+
+/**
+ * Send a dunning step by hand: the step given, or the next step due
+ * @param {Sequelize} clinicDb
+ * @param {string} documentId
+ * @param {string|null} stepKey - Key of a step of the clinic settings
+ * @param {Object} options - { billingSettings, actor }
+ * @returns {Promise<Object>} - DocumentDunningNotice
+ */
+async function sendDunningStep(clinicDb, documentId, stepKey, options = {}) {
+  const DocumentDunningNotice = await getModel(clinicDb, 'DocumentDunningNotice');
+  const settings = resolveDunningSettings(options.billingSettings);
+  const invoice = await loadInvoice(clinicDb, documentId);
+
+  let step;
+  if (stepKey) {
+    step = settings.steps.find(s => s.key === stepKey);
+    if (!step) throw new Error(`Unknown dunning step "${stepKey}"`);
+  } else {
+    const notices = await DocumentDunningNotice.findAll({ where: { document_id: invoice.id }, attributes: ['step_key'] });
+    step = nextDunningStep(settings.steps, daysOverdue(invoice.due_date, new Date()), notices.map(n => n.step_key));
+    if (!step) throw new Error('No dunning step is due for this invoice');
+  }
+
+  return sendDunningNotice(clinicDb, invoice.id, step, options);
+}
+
+/**
+ * Dunning state of an invoice with its notices (oldest first)
+ * @returns {Promise<Object>} - { step, lastDunningAt, stoppedAt, stopReason, notices }
+ */
+async function getDunningHistory(clinicDb, documentId) {
+  const Document = await getModel(clinicDb, 'Document');
+  const DocumentDunningNotice = await getModel(clinicDb, 'DocumentDunningNotice');
+
+  const invoice = await Document.findByPk(documentId);
+  if (!invoice || invoice.deleted_at) throw new Error('Document not found');
+
+  const notices = await DocumentDunningNotice.findAll({
+    where: { document_id: invoice.id },
+    order: [['created_at', 'ASC']]
+  });
+
+  return {
+    status: invoice.status,
+    step: invoice.dunning_step,
+    lastDunningAt: invoice.last_dunning_at,
+    stoppedAt: invoice.dunning_stopped_at,
+    stopReason: invoice.dunning_stop_reason,
+    notices
+  };
+}
+
+/**
+ * Stop the dunning of an invoice (the scheduler skips it until resumed)
+ */
+async function stopDunning(clinicDb, documentId, actor) {
+  const invoice = await loadInvoice(clinicDb, documentId);
+  if (invoice.dunning_stopped_at) throw new Error('Dunning is already stopped for this invoice');
+
+  await invoice.update({ dunning_stopped_at: new Date(), dunning_stop_reason: STOP_REASONS.MANUAL });
+  await audit(actor, AUDIT_EVENTS.INVOICE_DUNNING_STOPPED, invoice, `Dunning stopped for ${invoice.document_number}`);
+  return invoice;
+}
+
+/**
+ * Resume the dunning of an invoice: the next step due is sent on the next cycle
+ */
+async function resumeDunning(clinicDb, documentId, actor) {
+  const invoice = await loadInvoice(clinicDb, documentId);
+  if (!invoice.dunning_stopped_at) throw new Error('Dunning is not stopped for this invoice');
+
+  const previousReason = invoice.dunning_stop_reason;
+  await invoice.update({ dunning_stopped_at: null, dunning_stop_reason: null });
+  await audit(actor, AUDIT_EVENTS.INVOICE_DUNNING_RESUMED, invoice, `Dunning resumed for ${invoice.document_number}`,
+    { previousReason });
+  return invoice;
+}
+
+async function loadInvoice(clinicDb, documentId) {
+  const Document = await getModel(clinicDb, 'Document');
+  const invoice = await Document.findByPk(documentId);
+  if (!invoice || invoice.deleted_at) throw new Error('Document not found');
+  if (invoice.document_type !== 'invoice') throw new Error('Dunning only applies to invoices');
+  return invoice;
+}
+
+async function audit(actor, eventType, invoice, action, changes = null) {
+  if (!actor) return;
+  await auditService.logAudit({
+    userId: actor.userId,
+    companyId: actor.companyId,
+    eventType,
+    resourceType: 'Document',
+    resourceId: invoice.id,
+    action,
+    changes,
+    ip: actor.ip,
+    userAgent: actor.userAgent
+  });
+}
+
+/**
+ * PDF of a notice of an invoice (as sent)
+ * @returns {Promise<Object>} - { buffer, filename }
+ */
+async function generateNoticePDF(clinicDb, documentId, noticeId, billingSettings) {
+  const Document = await getModel(clinicDb, 'Document');
+  const DocumentDunningNotice = await getModel(clinicDb, 'DocumentDunningNotice');
+
+  const notice = await DocumentDunningNotice.findOne({ where: { id: noticeId, document_id: documentId } });
+  if (!notice) throw new Error('Dunning notice not found');
+  const invoice = await Document.findByPk(documentId);
+
+  const buffer = await pdfService.generateDunningNoticePDF(invoice, notice, { billingSettings });
+  const prefix = notice.isFormalNotice() ? 'mise-en-demeure' : 'relance';
+  return { buffer, filename: `${prefix}-${invoice.document_number}.pdf` };
+}
+
+module.exports = {
+  resolveDunningSettings,
+  nextDunningStep,
+  computeNoticeAmounts,
+  daysOverdue,
+  markOverdueInvoices,
+  processDunning,
+  sendDunningNotice,
+  sendDunningStep,
+  getDunningHistory,
+  stopDunning,
+  resumeDunning,
+  generateNoticePDF,
+  DEFAULT_DUNNING_SETTINGS,
+  NOTICE_TYPES,
+  STOP_REASONS
+};
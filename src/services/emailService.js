@@ -6,6 +6,7 @@
 
 const nodemailer = require('nodemailer');
 const { logger } = require('../utils/logger');
+const { buildCalendar } = require('../utils/icalendar');
 
 class EmailService {
   constructor() {
@@ -2032,6 +2033,39 @@ class EmailService {
       </html>`;
   }
 
+  /**
+   * Build the .ics invitation attached to appointment emails (nodemailer icalEvent)
+   * @param {object|null} calendarEvent - Serialized event from calendarService.buildPatientEvent
+   * @param {object} options - { method: 'REQUEST' | 'CANCEL', email, patientName }
+   * @returns {object|undefined}
+   */
+  getCalendarInvite(calendarEvent, { method = 'REQUEST', email, patientName }) {
+    if (!calendarEvent) {
+      return undefined;
+    }
+
+    const content = buildCalendar({
+      method,
+      events: [{
+        ...calendarEvent,
+        start: new Date(calendarEvent.start),
+        end: new Date(calendarEvent.end),
+        status: method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED',
+        organizer: {
+          email: process.env.FROM_EMAIL || 'noreply@medicalpro.com',
+          name: calendarEvent.organizerName
+        },
+        attendee: { email, name: patientName }
+      }]
+    });
+
+    return {
+      method,
+      filename: method === 'CANCEL' ? 'annulation.ics' : 'rendez-vous.ics',
+      content
+    };
+  }
+
   // ══════════════════════════════════════════════════════════════════
   // Appointment Confirmation Email
   // ══════════════════════════════════════════════════════════════════
@@ -2039,7 +2073,7 @@ class EmailService {
   /**
    * Send appointment confirmation email
    */
-  async sendAppointmentConfirmation({ email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, confirmationUrl, language = 'fr', logoUrl = null }) {
+  async sendAppointmentConfirmation({ email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, confirmationUrl, calendarEvent = null, language = 'fr', logoUrl = null }) {
     try {
       const recipientEmail = this.getRecipientEmail(email);
 
@@ -2059,7 +2093,8 @@ class EmailService {
         from: process.env.FROM_EMAIL || 'noreply@medicalpro.com',
         to: recipientEmail,
         subject: this.getEmailSubject(subjects[language] || subjects.fr, 'CONFIRMATION'),
-        html: htmlContent
+        html: htmlContent,
+        icalEvent: this.getCalendarInvite(calendarEvent, { email, patientName })
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -2151,7 +2186,7 @@ class EmailService {
   /**
    * Send appointment reminder email
    */
-  async sendAppointmentReminder({ email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, address, language = 'fr', logoUrl = null }) {
+  async sendAppointmentReminder({ email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, address, calendarEvent = null, language = 'fr', logoUrl = null }) {
     try {
       const recipientEmail = this.getRecipientEmail(email);
 
@@ -2171,7 +2206,8 @@ class EmailService {
         from: process.env.FROM_EMAIL || 'noreply@medicalpro.com',
         to: recipientEmail,
         subject: this.getEmailSubject(subjects[language] || subjects.fr, 'REMINDER'),
-        html: htmlContent
+        html: htmlContent,
+        icalEvent: this.getCalendarInvite(calendarEvent, { email, patientName })
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -2469,6 +2505,584 @@ class EmailService {
 
     return this.getEmailLayout({ header, content, footer, accentColor: '#3b82f6' });
   }
+
+  // ══════════════════════════════════════════════════════════════════
+  // Payment Reminder Email (overdue invoices)
+  // ══════════════════════════════════════════════════════════════════
+
+  /**
+   * Send an overdue invoice reminder, or a formal notice with its PDF attached
+   */
+  async sendPaymentReminder({ email, patientName, clinicName, formalNotice = false, invoiceNumber, dueDate, daysOverdue, amountDue, latePenalties, recoveryIndemnity, totalClaimed, paymentDeadline, attachment = null, language = 'fr', logoUrl = null }) {
+    try {
+      const recipientEmail = this.getRecipientEmail(email);
+
+      let htmlContent = this._getPaymentReminderHtml(language, {
+        email, patientName, clinicName, formalNotice, invoiceNumber, dueDate, daysOverdue,
+        amountDue, latePenalties, recoveryIndemnity, totalClaimed, paymentDeadline, logoUrl
+      });
+
+      if (this.testModeEnabled) {
+        htmlContent = this.wrapEmailContentWithTestInfo(htmlContent, email);
+      }
+
+      const subjects = formalNotice
+        ? {
+          fr: `Mise en demeure - facture ${invoiceNumber} - ${clinicName}`,
+          en: `Formal notice - invoice ${invoiceNumber} - ${clinicName}`,
+          es: `Requerimiento de pago - factura ${invoiceNumber} - ${clinicName}`
+        }
+        : {
+          fr: `Rappel - facture ${invoiceNumber} - ${clinicName}`,
+          en: `Reminder - invoice ${invoiceNumber} - ${clinicName}`,
+          es: `Recordatorio - factura ${invoiceNumber} - ${clinicName}`
+        };
+
+      const mailOptions = {
+        from: process.env.FROM_EMAIL || 'noreply@medicalpro.com',
+        to: recipientEmail,
+        subject: this.getEmailSubject(subjects[language] || subjects.fr, 'INVOICE'),
+        html: htmlContent
+      };
+
+      if (attachment) {
+        mailOptions.attachments = [{
+          filename: attachment.filename,
+          content: Buffer.from(attachment.contentBase64, 'base64'),
+          contentType: attachment.contentType || 'application/pdf'
+        }];
+      }
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Payment reminder email sent to ${email}`, {
+        provider: this.provider,
+        formalNotice,
+        testMode: this.testModeEnabled
+      });
+
+      return {
+        success: true,
+        channel: 'email',
+        provider: this.provider,
+        messageId: result.messageId,
+        testMode: this.testModeEnabled,
+        actualRecipient: this.testModeEnabled ? recipientEmail : email
+      };
+    } catch (error) {
+      logger.error(`Failed to send payment reminder email to ${email}:`, error);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
+  _getPaymentReminderHtml(language, params) {
+    const { email, patientName, clinicName, formalNotice, invoiceNumber, dueDate, daysOverdue,
+      amountDue, latePenalties, recoveryIndemnity, totalClaimed, paymentDeadline, logoUrl } = params;
+    const titles = formalNotice
+      ? { fr: 'Mise en demeure', en: 'Formal Notice', es: 'Requerimiento de Pago' }
+      : { fr: 'Rappel de paiement', en: 'Payment Reminder', es: 'Recordatorio de Pago' };
+    const header = this.getEmailHeader({
+      title: titles[language] || titles.fr,
+      subtitle: clinicName,
+      logoUrl,
+      gradientColors: formalNotice ? '#dc2626, #991b1b' : '#f59e0b, #d97706'
+    });
+    const footer = this.getEmailFooter(clinicName, email);
+
+    const texts = {
+      fr: {
+        greeting: `Bonjour ${patientName},`,
+        intro: formalNotice
+          ? `Malgré notre précédent rappel, la facture ${invoiceNumber} reste impayée ${daysOverdue} jours après son échéance. Nous vous mettons en demeure de régler la somme ci-dessous${paymentDeadline ? ` avant le ${paymentDeadline}` : ''}. Le courrier de mise en demeure est joint à ce message.`
+          : `Sauf erreur de notre part, la facture ${invoiceNumber} arrivée à échéance le ${dueDate} n'a pas encore été réglée.`,
+        number: 'Facture',
+        dueDate: 'Échéance',
+        amountDue: 'Reste dû',
+        penalties: 'Pénalités de retard',
+        indemnity: 'Indemnité forfaitaire de recouvrement',
+        total: 'Total réclamé',
+        note: 'Si vous avez effectué le règlement entre-temps, merci de ne pas tenir compte de ce message.'
+      },
+      en: {
+        greeting: `Hello ${patientName},`,
+        intro: formalNotice
+          ? `Despite our previous reminder, invoice ${invoiceNumber} is still unpaid ${daysOverdue} days after its due date. We formally request payment of the amount below${paymentDeadline ? ` by ${paymentDeadline}` : ''}. The formal notice letter is attached to this message.`
+          : `Unless we are mistaken, invoice ${invoiceNumber} due on ${dueDate} has not been paid yet.`,
+        number: 'Invoice',
+        dueDate: 'Due date',
+        amountDue: 'Amount due',
+        penalties: 'Late payment penalties',
+        indemnity: 'Fixed recovery indemnity',
+        total: 'Total claimed',
+        note: 'If you have paid in the meantime, please disregard this message.'
+      },
+      es: {
+        greeting: `Hola ${patientName},`,
+        intro: formalNotice
+          ? `A pesar de nuestro recordatorio anterior, la factura ${invoiceNumber} sigue pendiente ${daysOverdue} días después de su vencimiento. Le requerimos el pago del importe indicado${paymentDeadline ? ` antes del ${paymentDeadline}` : ''}. Adjuntamos la carta de requerimiento.`
+          : `Salvo error, la factura ${invoiceNumber} vencida el ${dueDate} aún no ha sido pagada.`,
+        number: 'Factura',
+        dueDate: 'Vencimiento',
+        amountDue: 'Importe pendiente',
+        penalties: 'Intereses de demora',
+        indemnity: 'Indemnización por costes de cobro',
+        total: 'Total reclamado',
+        note: 'Si ya ha realizado el pago, no tenga en cuenta este mensaje.'
+      }
+    };
+    const t = texts[language] || texts.fr;
+    const accent = formalNotice ? '#dc2626' : '#f59e0b';
+
+    const content = `
+      <h2>${t.greeting}</h2>
+      <p>${t.intro}</p>
+      <div class="info-box" style="background-color: #fffbeb; border: 1px solid ${accent};">
+        <p style="margin: 5px 0;"><strong>${t.number} :</strong> ${invoiceNumber}</p>
+        <p style="margin: 5px 0;"><strong>${t.dueDate} :</strong> ${dueDate}</p>
+        <p style="margin: 5px 0;"><strong>${t.amountDue} :</strong> ${amountDue} €</p>
+        ${formalNotice ? `
+        <p style="margin: 5px 0;"><strong>${t.penalties} :</strong> ${latePenalties} €</p>
+        <p style="margin: 5px 0;"><strong>${t.indemnity} :</strong> ${recoveryIndemnity} €</p>
+        <p style="margin: 5px 0;"><strong>${t.total} :</strong> ${totalClaimed} €</p>` : ''}
+      </div>
+      <p style="color: #666; font-size: 14px;">${t.note}</p>`;
+
+    return this.getEmailLayout({ header, content, footer, accentColor: accent });
+  }
+  // ══════════════════════════════════════════════════════════════════
+  // Waiting List Offer Email
+  // ══════════════════════════════════════════════════════════════════
+
+  /**
+   * Send a freed slot offer to a patient on the waiting list
+   */
+  async sendWaitlistOffer({ email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, offerUrl, expiresAt, language = 'fr', logoUrl = null }) {
+    try {
+      const recipientEmail = this.getRecipientEmail(email);
+
+      let htmlContent = this._getWaitlistOfferHtml(language, { email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, offerUrl, expiresAt, logoUrl });
+
+      if (this.testModeEnabled) {
+        htmlContent = this.wrapEmailContentWithTestInfo(htmlContent, email);
+      }
+
+      const subjects = {
+        fr: `Un créneau s'est libéré - ${clinicName}`,
+        en: `A slot is now available - ${clinicName}`,
+        es: `Se ha liberado una cita - ${clinicName}`
+      };
+
+      const mailOptions = {
+        from: process.env.FROM_EMAIL || 'noreply@medicalpro.com',
+        to: recipientEmail,
+        subject: this.getEmailSubject(subjects[language] || subjects.fr, 'WAITLIST'),
+        html: htmlContent
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Waiting list offer email sent to ${email}`, {
+        provider: this.provider,
+        testMode: this.testModeEnabled
+      });
+
+      return {
+        success: true,
+        channel: 'email',
+        provider: this.provider,
+        messageId: result.messageId,
+        testMode: this.testModeEnabled,
+        actualRecipient: this.testModeEnabled ? recipientEmail : email
+      };
+    } catch (error) {
+      logger.error(`Failed to send waiting list offer email to ${email}:`, error);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
+  _getWaitlistOfferHtml(language, params) {
+    const { email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, offerUrl, expiresAt, logoUrl } = params;
+    const header = this.getEmailHeader({
+      title: { fr: 'Un créneau s\'est libéré', en: 'A Slot Is Available', es: 'Cita Disponible' }[language] || 'Un créneau s\'est libéré',
+      subtitle: clinicName,
+      logoUrl,
+      gradientColors: '#8b5cf6, #6d28d9'
+    });
+    const footer = this.getEmailFooter(clinicName, email);
+
+    const texts = {
+      fr: {
+        greeting: `Bonjour ${patientName},`,
+        intro: 'Vous êtes sur notre liste d\'attente : un créneau correspondant à votre demande vient de se libérer.',
+        date: 'Date',
+        time: 'Heure',
+        service: 'Soin',
+        button: 'Réserver ce créneau',
+        note: `Cette offre a été envoyée à plusieurs patients : le premier à la confirmer obtient le rendez-vous.${expiresAt ? ` Elle expire le ${expiresAt}.` : ''}`
+      },
+      en: {
+        greeting: `Hello ${patientName},`,
+        intro: 'You are on our waiting list: a slot matching your request has just become available.',
+        date: 'Date',
+        time: 'Time',
+        service: 'Treatment',
+        button: 'Book this slot',
+        note: `This offer was sent to several patients: the first to confirm gets the appointment.${expiresAt ? ` It expires on ${expiresAt}.` : ''}`
+      },
+      es: {
+        greeting: `Hola ${patientName},`,
+        intro: 'Está en nuestra lista de espera: se acaba de liberar una cita que corresponde a su solicitud.',
+        date: 'Fecha',
+        time: 'Hora',
+        service: 'Tratamiento',
+        button: 'Reservar esta cita',
+        note: `Esta oferta se ha enviado a varios pacientes: el primero en confirmarla obtiene la cita.${expiresAt ? ` Caduca el ${expiresAt}.` : ''}`
+      }
+    };
+    const t = texts[language] || texts.fr;
+
+    const content = `
+      <h2>${t.greeting}</h2>
+      <p>${t.intro}</p>
+      <div class="info-box" style="background-color: #f5f3ff; border: 1px solid #8b5cf6;">
+        <p style="margin: 5px 0;"><strong>${t.date} :</strong> ${appointmentDate}</p>
+        <p style="margin: 5px 0;"><strong>${t.time} :</strong> ${appointmentTime}</p>
+        ${serviceName ? `<p style="margin: 5px 0;"><strong>${t.service} :</strong> ${serviceName}</p>` : ''}
+      </div>
+      ${offerUrl ? `
+      <center>
+        <a href="${offerUrl}" class="button">${t.button}</a>
+      </center>` : ''}
+      <p style="color: #666; font-size: 14px;">${t.note}</p>`;
+
+    return this.getEmailLayout({ header, content, footer, accentColor: '#8b5cf6' });
+  }
+
+  /**
+   * Envoyer le code de vérification de la prise de rendez-vous en ligne
+   */
+  async sendBookingVerificationCode({ email, clinicName, code, expiresInMinutes, language = 'fr', logoUrl = null }) {
+    try {
+      const recipientEmail = this.getRecipientEmail(email);
+
+      let htmlContent = this._getBookingVerificationHtml(language, { email, clinicName, code, expiresInMinutes, logoUrl });
+
+      if (this.testModeEnabled) {
+        htmlContent = this.wrapEmailContentWithTestInfo(htmlContent, email);
+      }
+
+      const subjects = {
+        fr: `Votre code de vérification - ${clinicName}`,
+        en: `Your verification code - ${clinicName}`,
+        es: `Su código de verificación - ${clinicName}`
+      };
+
+      const mailOptions = {
+        from: process.env.FROM_EMAIL || 'noreply@medicalpro.com',
+        to: recipientEmail,
+        subject: this.getEmailSubject(subjects[language] || subjects.fr, 'BOOKING_CODE'),
+        html: htmlContent
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Online booking verification code sent to ${email}`, {
+        provider: this.provider,
+        testMode: this.testModeEnabled
+      });
+
+      return {
+        success: true,
+        channel: 'email',
+        provider: this.provider,
+        messageId: result.messageId,
+        testMode: this.testModeEnabled,
+        actualRecipient: this.testModeEnabled ? recipientEmail : email
+      };
+    } catch (error) {
+      logger.error(`Failed to send online booking verification code to ${email}:`, error);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
+  _getBookingVerificationHtml(language, params) {
+    const { email, clinicName, code, expiresInMinutes, logoUrl } = params;
+    const header = this.getEmailHeader({
+      title: { fr: 'Code de vérification', en: 'Verification Code', es: 'Código de Verificación' }[language] || 'Code de vérification',
+      subtitle: clinicName,
+      logoUrl
+    });
+    const footer = this.getEmailFooter(clinicName, email);
+
+    const texts = {
+      fr: {
+        intro: 'Voici votre code pour confirmer votre prise de rendez-vous en ligne :',
+        note: `Ce code expire dans ${expiresInMinutes} minutes. Si vous n'êtes pas à l'origine de cette demande, ignorez cet email.`
+      },
+      en: {
+        intro: 'Here is your code to confirm your online booking:',
+        note: `This code expires in ${expiresInMinutes} minutes. If you did not request it, please ignore this email.`
+      },
+      es: {
+        intro: 'Este es su código para confirmar su cita en línea:',
+        note: `Este código caduca en ${expiresInMinutes} minutos. Si no ha realizado esta solicitud, ignore este email.`
+      }
+    };
+    const t = texts[language] || texts.fr;
+
+    const content = `
+      <p>${t.intro}</p>
+      <center>
+        <p style="font-size: 32px; font-weight: bold; letter-spacing: 8px; margin: 20px 0;">${code}</p>
+      </center>
+      <p style="color: #666; font-size: 14px;">${t.note}</p>`;
+
+    return this.getEmailLayout({ header, content, footer });
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // Appointment Calendar Update Email (rescheduled / cancelled)
+  // ══════════════════════════════════════════════════════════════════
+
+  /**
+   * Send the updated (or cancelled) .ics of an appointment the patient already received
+   */
+  async sendAppointmentCalendarUpdate({ email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, cancelled = false, calendarEvent, language = 'fr', logoUrl = null }) {
+    try {
+      const recipientEmail = this.getRecipientEmail(email);
+
+      let htmlContent = this._getAppointmentCalendarUpdateHtml(language, { email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, cancelled, logoUrl });
+
+      if (this.testModeEnabled) {
+        htmlContent = this.wrapEmailContentWithTestInfo(htmlContent, email);
+      }
+
+      const subjects = cancelled
+        ? {
+            fr: `Rendez-vous annulé - ${clinicName}`,
+            en: `Appointment cancelled - ${clinicName}`,
+            es: `Cita anulada - ${clinicName}`
+          }
+        : {
+            fr: `Rendez-vous modifié - ${clinicName}`,
+            en: `Appointment rescheduled - ${clinicName}`,
+            es: `Cita modificada - ${clinicName}`
+          };
+
+      const mailOptions = {
+        from: process.env.FROM_EMAIL || 'noreply@medicalpro.com',
+        to: recipientEmail,
+        subject: this.getEmailSubject(subjects[language] || subjects.fr, 'CALENDAR_UPDATE'),
+        html: htmlContent,
+        icalEvent: this.getCalendarInvite(calendarEvent, {
+          method: cancelled ? 'CANCEL' : 'REQUEST',
+          email,
+          patientName
+        })
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Appointment calendar update email sent to ${email}`, {
+        provider: this.provider,
+        testMode: this.testModeEnabled,
+        cancelled
+      });
+
+      return {
+        success: true,
+        channel: 'email',
+        provider: this.provider,
+        messageId: result.messageId,
+        testMode: this.testModeEnabled,
+        actualRecipient: this.testModeEnabled ? recipientEmail : email
+      };
+    } catch (error) {
+      logger.error(`Failed to send appointment calendar update email to ${email}:`, error);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
+  _getAppointmentCalendarUpdateHtml(language, params) {
+    const { email, patientName, clinicName, appointmentDate, appointmentTime, serviceName, cancelled, logoUrl } = params;
+    const titles = cancelled
+      ? { fr: 'Rendez-vous annulé', en: 'Appointment Cancelled', es: 'Cita Anulada' }
+      : { fr: 'Rendez-vous modifié', en: 'Appointment Rescheduled', es: 'Cita Modificada' };
+    const header = this.getEmailHeader({
+      title: titles[language] || titles.fr,
+      subtitle: clinicName,
+      logoUrl,
+      gradientColors: cancelled ? '#ef4444, #b91c1c' : '#667eea, #764ba2'
+    });
+    const footer = this.getEmailFooter(clinicName, email);
+
+    const texts = {
+      fr: {
+        greeting: `Bonjour ${patientName},`,
+        intro: cancelled
+          ? `Votre rendez-vous chez <strong>${clinicName}</strong> a été annulé.`
+          : `Votre rendez-vous chez <strong>${clinicName}</strong> a été modifié. Voici le nouvel horaire :`,
+        date: 'Date',
+        time: 'Heure',
+        treatment: 'Traitement',
+        note: 'Le fichier joint met à jour l\'événement dans votre agenda.'
+      },
+      en: {
+        greeting: `Hello ${patientName},`,
+        intro: cancelled
+          ? `Your appointment at <strong>${clinicName}</strong> has been cancelled.`
+          : `Your appointment at <strong>${clinicName}</strong> has been rescheduled. Here is the new time:`,
+        date: 'Date',
+        time: 'Time',
+        treatment: 'Treatment',
+        note: 'The attached file updates the event in your calendar.'
+      },
+      es: {
+        greeting: `Hola ${patientName},`,
+        intro: cancelled
+          ? `Su cita en <strong>${clinicName}</strong> ha sido anulada.`
+          : `Su cita en <strong>${clinicName}</strong> ha sido modificada. Este es el nuevo horario:`,
+        date: 'Fecha',
+        time: 'Hora',
+        treatment: 'Tratamiento',
+        note: 'El archivo adjunto actualiza el evento en su calendario.'
+      }
+    };
+    const t = texts[language] || texts.fr;
+    const accentColor = cancelled ? '#ef4444' : '#667eea';
+
+    const content = `
+      <h2>${t.greeting}</h2>
+      <p>${t.intro}</p>
+      <div class="info-box" style="background-color: ${cancelled ? '#fef2f2' : '#f0f4ff'}; border: 1px solid ${accentColor};">
+        <p style="margin: 5px 0;"><strong>${t.date} :</strong> ${appointmentDate}</p>
+        <p style="margin: 5px 0;"><strong>${t.time} :</strong> ${appointmentTime}</p>
+        ${serviceName ? `<p style="margin: 5px 0;"><strong>${t.treatment} :</strong> ${serviceName}</p>` : ''}
+      </div>
+      <p style="color: #666; font-size: 14px;">${t.note}</p>`;
+
+    return this.getEmailLayout({ header, content, footer, accentColor });
+  }
+
+  // ══════════════════════════════════════════════════════════════════
+  // Chronic Prescription Expiry Email
+  // ══════════════════════════════════════════════════════════════════
+
+  /**
+   * Send a practitioner the chronic prescriptions reaching their end
+   * @param {Array} prescriptions - [{ prescriptionNumber, patientName, validUntil, renewalsRemaining }]
+   */
+  async sendPrescriptionExpiryWarning({ email, practitionerName, clinicName, days, prescriptions = [], language = 'fr', logoUrl = null }) {
+    try {
+      const recipientEmail = this.getRecipientEmail(email);
+
+      let htmlContent = this._getPrescriptionExpiryHtml(language, { email, practitionerName, clinicName, days, prescriptions, logoUrl });
+
+      if (this.testModeEnabled) {
+        htmlContent = this.wrapEmailContentWithTestInfo(htmlContent, email);
+      }
+
+      const subjects = {
+        fr: `${prescriptions.length} ordonnance(s) chronique(s) arrivent à échéance - ${clinicName}`,
+        en: `${prescriptions.length} chronic prescription(s) expiring soon - ${clinicName}`,
+        es: `${prescriptions.length} receta(s) crónica(s) próximas a caducar - ${clinicName}`
+      };
+
+      const mailOptions = {
+        from: process.env.FROM_EMAIL || 'noreply@medicalpro.com',
+        to: recipientEmail,
+        subject: this.getEmailSubject(subjects[language] || subjects.fr, 'PRESCRIPTION'),
+        html: htmlContent
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Prescription expiry email sent to ${email}`, {
+        provider: this.provider,
+        testMode: this.testModeEnabled,
+        count: prescriptions.length
+      });
+
+      return {
+        success: true,
+        channel: 'email',
+        provider: this.provider,
+        messageId: result.messageId,
+        testMode: this.testModeEnabled,
+        actualRecipient: this.testModeEnabled ? recipientEmail : email
+      };
+    } catch (error) {
+      logger.error(`Failed to send prescription expiry email to ${email}:`, error);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
+  _getPrescriptionExpiryHtml(language, params) {
+    const { email, practitionerName, clinicName, days, prescriptions, logoUrl } = params;
+    const header = this.getEmailHeader({
+      title: { fr: 'Ordonnances arrivant à échéance', en: 'Prescriptions Expiring Soon', es: 'Recetas Próximas a Caducar' }[language] || 'Ordonnances arrivant à échéance',
+      subtitle: clinicName,
+      logoUrl,
+      gradientColors: '#f59e0b, #d97706'
+    });
+    const footer = this.getEmailFooter(clinicName, email);
+
+    const texts = {
+      fr: {
+        greeting: `Bonjour ${practitionerName || ''},`,
+        intro: `Les ordonnances de traitement chronique suivantes arrivent à échéance dans les ${days} prochains jours :`,
+        number: 'Ordonnance',
+        patient: 'Patient',
+        validUntil: 'Valable jusqu\'au',
+        renewals: 'Renouvellements restants',
+        note: 'Pensez à prévoir une consultation ou un renouvellement pour éviter une interruption de traitement.'
+      },
+      en: {
+        greeting: `Hello ${practitionerName || ''},`,
+        intro: `The following chronic treatment prescriptions expire within the next ${days} days:`,
+        number: 'Prescription',
+        patient: 'Patient',
+        validUntil: 'Valid until',
+        renewals: 'Renewals left',
+        note: 'Plan a consultation or a renewal to avoid an interruption of treatment.'
+      },
+      es: {
+        greeting: `Hola ${practitionerName || ''},`,
+        intro: `Las siguientes recetas de tratamiento crónico caducan en los próximos ${days} días:`,
+        number: 'Receta',
+        patient: 'Paciente',
+        validUntil: 'Válida hasta',
+        renewals: 'Renovaciones restantes',
+        note: 'Prevea una consulta o una renovación para evitar la interrupción del tratamiento.'
+      }
+    };
+    const t = texts[language] || texts.fr;
+
+    const rows = prescriptions.map(p => `
+          <tr>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${p.prescriptionNumber}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${p.patientName}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee;">${p.validUntil}</td>
+            <td style="padding: 6px; border-bottom: 1px solid #eee; text-align: center;">${p.renewalsRemaining}</td>
+          </tr>`).join('');
+
+    const content = `
+      <h2>${t.greeting}</h2>
+      <p>${t.intro}</p>
+      <div class="info-box" style="background-color: #fffbeb; border: 1px solid #f59e0b;">
+        <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+          <tr>
+            <th style="padding: 6px; text-align: left;">${t.number}</th>
+            <th style="padding: 6px; text-align: left;">${t.patient}</th>
+            <th style="padding: 6px; text-align: left;">${t.validUntil}</th>
+            <th style="padding: 6px;">${t.renewals}</th>
+          </tr>${rows}
+        </table>
+      </div>
+      <p style="color: #666; font-size: 14px;">${t.note}</p>`;
+
+    return this.getEmailLayout({ header, content, footer, accentColor: '#f59e0b' });
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,424 @@
+/**
+ * EN 16931 business rules (pure JS)
+ *
+ * Reads the CII XML back into the semantic model (BT / BG numbers) and checks
+ * the key rules of the standard, as the CEN Schematron would:
+ * - core: mandatory header fields (BR-01..BR-11, BR-16)
+ * - totals: BR-CO-10..BR-CO-16
+ * - VAT breakdown consistency: BR-CO-14, BR-CO-17, BR-CO-18, BR-45..BR-48
+ * - standard rated VAT: BR-S-01, BR-S-02, BR-S-05..BR-S-10
+ *
+ * MINIMUM has no lines nor VAT breakdown: only the header and total rules apply.
+ * Amounts are compared once rounded to 2 decimals (VAT amounts: 0.01 tolerance).
+ */
+
+const { convert } = require('xmlbuilder2');
+const { round2 } = require('../../utils/money');
+
+const TYPE_CODES = ['380', '381', '384', '389', '261', '386', '751'];
+
+function sameAmount(a, b, tolerance = 0) {
+  return Math.abs(round2(a) - round2(b)) <= tolerance + 0.000001;
+}
+
+// ============================================================================
+// CII reading (prefix independent)
+// ============================================================================
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Children of a node by local name (ram:Name, Name and x:Name all match "Name")
+ */
+function children(node, localName) {
+  if (!node || typeof node !== 'object') return [];
+  const key = Object.keys(node).find(k => k === localName || k.endsWith(`:${localName}`));
+  return key ? asArray(node[key]) : [];
+}
+
+function child(node, ...path) {
+  let current = node;
+  for (const name of path) {
+    current = children(current, name)[0];
+    if (current === undefined) return undefined;
+  }
+  return current;
+}
+
+function text(node) {
+  if (node === undefined || node === null) return null;
+  if (typeof node !== 'object') return String(node).trim();
+  return node['#'] !== undefined ? String(node['#']).trim() : null;
+}
+
+function amount(node) {
+  const value = text(node);
+  if (value === null || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function readTax(node) {
+  if (!node) return { category: null, rate: null };
+  return {
+    category: text(child(node, 'CategoryCode')),
+    rate: amount(child(node, 'RateApplicablePercent'))
+  };
+}
+
+/**
+ * Semantic model of a CII invoice
+ * @param {string} xmlString
+ * @returns {Object} - { specificationId, number, typeCode, issueDate, currency, seller, buyer,
+ *   lines, allowances, charges, vatBreakdown, totals }
+ */
+function parseInvoice(xmlString) {
+  const root = child(convert(xmlString, { format: 'object' }), 'CrossIndustryInvoice');
+  if (!root) throw new Error('Not a Cross Industry Invoice (missing rsm:CrossIndustryInvoice)');
+
+  const header = child(root, 'ExchangedDocument');
+  const transaction = child(root, 'SupplyChainTradeTransaction');
+  const agreement = child(transaction, 'ApplicableHeaderTradeAgreement');
+  const settlement = child(transaction, 'ApplicableHeaderTradeSettlement');
+  const summation = child(settlement, 'SpecifiedTradeSettlementHeaderMonetarySummation');
+
+  const readParty = (party) => {
+    if (!party) return null;
+    const registrations = children(party, 'SpecifiedTaxRegistration').map(r => {
+      const id = child(r, 'ID');
+      return { scheme: id && typeof id === 'object' ? id['@schemeID'] : null, id: text(id) };
+    });
+    const address = child(party, 'PostalTradeAddress');
+    return {
+      name: text(child(party, 'Name')),
+      vatId: (registrations.find(r => r.scheme === 'VA') || {}).id || null,
+      taxRegistrationId: (registrations.find(r => r.scheme === 'FC') || {}).id || null,
+      address: address ? { countryCode: text(child(address, 'CountryID')) } : null
+    };
+  };
+
+  const allowanceCharges = children(settlement, 'SpecifiedTradeAllowanceCharge').map(ac => ({
+    isCharge: text(child(ac, 'ChargeIndicator', 'Indicator')) === 'true',
+    amount: amount(child(ac, 'ActualAmount')),
+    ...readTax(child(ac, 'CategoryTradeTax'))
+  }));
+
+  return {
+    specificationId: text(child(root, 'ExchangedDocumentContext', 'GuidelineSpecifiedDocumentContextParameter', 'ID')),
+    number: text(child(header, 'ID')),
+    typeCode: text(child(header, 'TypeCode')),
+    issueDate: text(child(header, 'IssueDateTime', 'DateTimeString')),
+    currency: text(child(settlement, 'InvoiceCurrencyCode')),
+    seller: readParty(child(agreement, 'SellerTradeParty')),
+    buyer: readParty(child(agreement, 'BuyerTradeParty')),
+    taxRepresentative: readParty(child(agreement, 'SellerTaxRepresentativeTradeParty')),
+    lines: children(transaction, 'IncludedSupplyChainTradeLineItem').map((line, idx) => ({
+      id: text(child(line, 'AssociatedDocumentLineDocument', 'LineID')) || String(idx + 1),
+      netAmount: amount(child(line, 'SpecifiedLineTradeSettlement', 'SpecifiedTradeSettlementLineMonetarySummation', 'LineTotalAmount')),
+      ...readTax(child(line, 'SpecifiedLineTradeSettlement', 'ApplicableTradeTax'))
+    })),
+    allowances: allowanceCharges.filter(ac => !ac.isCharge),
+    charges: allowanceCharges.filter(ac => ac.isCharge),
+    vatBreakdown: children(settlement, 'ApplicableTradeTax').map(tax => ({
+      taxableAmount: amount(child(tax, 'BasisAmount')),
+      taxAmount: amount(child(tax, 'CalculatedAmount')),
+      exemptionReason: text(child(tax, 'ExemptionReason')),
+      exemptionReasonCode: text(child(tax, 'ExemptionReasonCode')),
+      ...readTax(tax)
+    })),
+    totals: {
+      lineTotal: amount(child(summation, 'LineTotalAmount')),
+      chargeTotal: amount(child(summation, 'ChargeTotalAmount')),
+      allowanceTotal: amount(child(summation, 'AllowanceTotalAmount')),
+      taxBasisTotal: amount(child(summation, 'TaxBasisTotalAmount')),
+      taxTotal: amount(child(summation, 'TaxTotalAmount')),
+      roundingAmount: amount(child(summation, 'RoundingAmount')),
+      grandTotal: amount(child(summation, 'GrandTotalAmount')),
+      prepaidAmount: amount(child(summation, 'TotalPrepaidAmount')),
+      duePayableAmount: amount(child(summation, 'DuePayableAmount'))
+    }
+  };
+}
+
+// ============================================================================
+// Rules
+// ============================================================================
+
+const sum = (values) => round2(values.reduce((total, v) => total + (v || 0), 0));
+const vatLabel = (entry) => `VAT ${entry.category || '?'} ${entry.rate !== null ? entry.rate.toFixed(2) : '?'}%`;
+
+/**
+ * Each rule returns a list of failures { message, location? } (empty when satisfied).
+ * detailed: false → also applies to MINIMUM (no lines, no VAT breakdown).
+ */
+const RULES = [
+  // -- Core --
+  { id: 'BR-01', detailed: false, check: (inv) => inv.specificationId ? [] : [{ message: 'Specification identifier (BT-24) is missing' }] },
+  { id: 'BR-02', detailed: false, check: (inv) => inv.number ? [] : [{ message: 'Invoice number (BT-1) is missing' }] },
+  { id: 'BR-03', detailed: false, check: (inv) => inv.issueDate ? [] : [{ message: 'Invoice issue date (BT-2) is missing' }] },
+  {
+    id: 'BR-04',
+    detailed: false,
+    check: (inv) => {
+      if (!inv.typeCode) return [{ message: 'Invoice type code (BT-3) is missing' }];
+      return TYPE_CODES.includes(inv.typeCode) ? [] : [{ message: `Invoice type code ${inv.typeCode} is not an allowed UNTDID 1001 code` }];
+    }
+  },
+  { id: 'BR-05', detailed: false, check: (inv) => inv.currency ? [] : [{ message: 'Invoice currency code (BT-5) is missing' }] },
+  { id: 'BR-06', detailed: false, check: (inv) => inv.seller?.name ? [] : [{ message: 'Seller name (BT-27) is missing' }] },
+  { id: 'BR-07', detailed: false, check: (inv) => inv.buyer?.name ? [] : [{ message: 'Buyer name (BT-44) is missing' }] },
+  { id: 'BR-08', detailed: false, check: (inv) => inv.seller?.address ? [] : [{ message: 'Seller postal address (BG-5) is missing' }] },
+  {
+    id: 'BR-09',
+    detailed: false,
+    check: (inv) => !inv.seller?.address || inv.seller.address.countryCode ? [] : [{ message: 'Seller country code (BT-40) is missing' }]
+  },
+  { id: 'BR-10', detailed: true, check: (inv) => inv.buyer?.address ? [] : [{ message: 'Buyer postal address (BG-8) is missing' }] },
+  {
+    id: 'BR-11',
+    detailed: true,
+    check: (inv) => !inv.buyer?.address || inv.buyer.address.countryCode ? [] : [{ message: 'Buyer country code (BT-55) is missing' }]
+  },
+  { id: 'BR-16', detailed: true, check: (inv) => inv.lines.length > 0 ? [] : [{ message: 'The invoice has no line (BG-25)' }] },
+
+  // -- Totals --
+  {
+    id: 'BR-CO-10',
+    detailed: true,
+    check: (inv) => {
+      const expected = sum(inv.lines.map(l => l.netAmount));
+      return sameAmount(inv.totals.lineTotal || 0, expected) ? [] : [{
+        message: `Sum of line net amounts (BT-106 = ${inv.totals.lineTotal}) must equal the sum of the lines (BT-131 = ${expected})`
+      }];
+    }
+  },
+  {
+    id: 'BR-CO-11',
+    detailed: true,
+    check: (inv) => {
+      const expected = sum(inv.allowances.map(a => a.amount));
+      return sameAmount(inv.totals.allowanceTotal || 0, expected) ? [] : [{
+        message: `Sum of allowances (BT-107 = ${inv.totals.allowanceTotal || 0}) must equal the document level allowances (BT-92 = ${expected})`
+      }];
+    }
+  },
+  {
+    id: 'BR-CO-12',
+    detailed: true,
+    check: (inv) => {
+      const expected = sum(inv.charges.map(c => c.amount));
+      return sameAmount(inv.totals.chargeTotal || 0, expected) ? [] : [{
+        message: `Sum of charges (BT-108 = ${inv.totals.chargeTotal || 0}) must equal the document level charges (BT-99 = ${expected})`
+      }];
+    }
+  },
+  {
+    id: 'BR-CO-13',
+    detailed: true,
+    check: (inv) => {
+      const t = inv.totals;
+      const expected = round2((t.lineTotal || 0) - (t.allowanceTotal || 0) + (t.chargeTotal || 0));
+      return sameAmount(t.taxBasisTotal || 0, expected) ? [] : [{
+        message: `Total without VAT (BT-109 = ${t.taxBasisTotal}) must equal BT-106 - BT-107 + BT-108 = ${expected}`
+      }];
+    }
+  },
+  {
+    id: 'BR-CO-14',
+    detailed: true,
+    check: (inv) => {
+      const expected = sum(inv.vatBreakdown.map(v => v.taxAmount));
+      return sameAmount(inv.totals.taxTotal || 0, expected) ? [] : [{
+        message: `Total VAT (BT-110 = ${inv.totals.taxTotal}) must equal the sum of the VAT breakdown (BT-117 = ${expected})`
+      }];
+    }
+  },
+  {
+    id: 'BR-CO-15',
+    detailed: false,
+    check: (inv) => {
+      const t = inv.totals;
+      const expected = round2((t.taxBasisTotal || 0) + (t.taxTotal || 0));
+      return sameAmount(t.grandTotal || 0, expected) ? [] : [{
+        message: `Total with VAT (BT-112 = ${t.grandTotal}) must equal BT-109 + BT-110 = ${expected}`
+      }];
+    }
+  },
+  {
+    id: 'BR-CO-16',
+    detailed: false,
+    check: (inv) => {
+      const t = inv.totals;
+      const expected = round2((t.grandTotal || 0) - (t.prepaidAmount || 0) + (t.roundingAmount || 0));
+      return sameAmount(t.duePayableAmount || 0, expected) ? [] : [{
+        message: `Amount due (BT-115 = ${t.duePayableAmount}) must equal BT-112 - BT-113 + BT-114 = ${expected}`
+      }];
+    }
+  },
+
+  // -- VAT breakdown --
+  {
+    id: 'BR-CO-17',
+    detailed: true,
+    check: (inv) => inv.vatBreakdown
+      .filter(v => v.taxableAmount !== null && v.rate !== null && v.taxAmount !== null)
+      .filter(v => !sameAmount(v.taxAmount, v.taxableAmount * v.rate / 100, 0.01))
+      .map(v => ({
+        location: vatLabel(v),
+        message: `VAT amount (BT-117 = ${v.taxAmount}) must equal taxable amount x rate = ${round2(v.taxableAmount * v.rate / 100)}`
+      }))
+  },
+  { id: 'BR-CO-18', detailed: true, check: (inv) => inv.vatBreakdown.length > 0 ? [] : [{ message: 'The invoice has no VAT breakdown (BG-23)' }] },
+  {
+    id: 'BR-45',
+    detailed: true,
+    check: (inv) => inv.vatBreakdown.filter(v => v.taxableAmount === null)
+      .map(v => ({ location: vatLabel(v), message: 'VAT breakdown has no taxable amount (BT-116)' }))
+  },
+  {
+    id: 'BR-46',
+    detailed: true,
+    check: (inv) => inv.vatBreakdown.filter(v => v.taxAmount === null)
+      .map(v => ({ location: vatLabel(v), message: 'VAT breakdown has no tax amount (BT-117)' }))
+  },
+  {
+    id: 'BR-47',
+    detailed: true,
+    check: (inv) => inv.vatBreakdown.filter(v => !v.category)
+      .map(v => ({ location: vatLabel(v), message: 'VAT breakdown has no category code (BT-118)' }))
+  },
+  {
+    id: 'BR-48',
+    detailed: true,
+    check: (inv) => inv.vatBreakdown.filter(v => v.category !== 'O' && v.rate === null)
+      .map(v => ({ location: vatLabel(v), message: 'VAT breakdown has no rate (BT-119)' }))
+  },
+
+  // -- Standard rated (S) --
+  {
+    id: 'BR-S-01',
+    detailed: true,
+    check: (inv) => {
+      const usesS = [...inv.lines, ...inv.allowances, ...inv.charges].some(x => x.category === 'S');
+      return !usesS || inv.vatBreakdown.some(v => v.category === 'S') ? [] : [{
+        message: 'Standard rated items require at least one "S" VAT breakdown'
+      }];
+    }
+  },
+  {
+    id: 'BR-S-02',
+    detailed: true,
+    check: (inv) => {
+      const usesS = inv.lines.some(l => l.category === 'S');
+      const identified = inv.seller?.vatId || inv.seller?.taxRegistrationId || inv.taxRepresentative?.vatId;
+      return !usesS || identified ? [] : [{
+        message: 'Standard rated lines require the seller VAT identifier (BT-31), tax registration (BT-32) or tax representative VAT identifier (BT-63)'
+      }];
+    }
+  },
+  {
+    id: 'BR-S-05',
+    detailed: true,
+    check: (inv) => inv.lines.filter(l => l.category === 'S' && !(l.rate > 0))
+      .map(l => ({ location: `Line ${l.id}`, message: `Standard rated line must have a VAT rate greater than zero (BT-152 = ${l.rate})` }))
+  },
+  {
+    id: 'BR-S-06',
+    detailed: true,
+    check: (inv) => inv.allowances.filter(a => a.category === 'S' && !(a.rate > 0))
+      .map(() => ({ location: 'Document allowance', message: 'Standard rated allowance must have a VAT rate greater than zero (BT-96)' }))
+  },
+  {
+    id: 'BR-S-07',
+    detailed: true,
+    check: (inv) => inv.charges.filter(c => c.category === 'S' && !(c.rate > 0))
+      .map(() => ({ location: 'Document charge', message: 'Standard rated charge must have a VAT rate greater than zero (BT-103)' }))
+  },
+  {
+    id: 'BR-S-08',
+    detailed: true,
+    check: (inv) => {
+      const failures = [];
+      const rates = new Set([...inv.lines, ...inv.allowances, ...inv.charges, ...inv.vatBreakdown]
+        .filter(x => x.category === 'S' && x.rate !== null)
+        .map(x => round2(x.rate)));
+
+      for (const rate of rates) {
+        const matches = (x) => x.category === 'S' && x.rate !== null && round2(x.rate) === rate;
+        const expected = round2(
+          sum(inv.lines.filter(matches).map(l => l.netAmount)) +
+          sum(inv.charges.filter(matches).map(c => c.amount)) -
+          sum(inv.allowances.filter(matches).map(a => a.amount))
+        );
+        const entry = inv.vatBreakdown.find(matches);
+        if (!entry) {
+          failures.push({ location: `VAT S ${rate.toFixed(2)}%`, message: `No VAT breakdown for the standard rate ${rate.toFixed(2)}% used by the invoice` });
+        } else if (!sameAmount(entry.taxableAmount || 0, expected)) {
+          failures.push({
+            location: vatLabel(entry),
+            message: `Taxable amount (BT-116 = ${entry.taxableAmount}) must equal lines + charges - allowances at this rate = ${expected}`
+          });
+        }
+      }
+      return failures;
+    }
+  },
+  {
+    id: 'BR-S-09',
+    detailed: true,
+    check: (inv) => inv.vatBreakdown
+      .filter(v => v.category === 'S' && v.taxableAmount !== null && v.rate !== null)
+      .filter(v => !sameAmount(v.taxAmount || 0, v.taxableAmount * v.rate / 100, 0.01))
+      .map(v => ({
+        location: vatLabel(v),
+        message: `Standard rated VAT amount (BT-117 = ${v.taxAmount}) must equal ${v.taxableAmount} x ${v.rate}% = ${round2(v.taxableAmount * v.rate / 100)}`
+      }))
+  },
+  {
+    id: 'BR-S-10',
+    detailed: true,
+    check: (inv) => inv.vatBreakdown
+      .filter(v => v.category === 'S' && (v.exemptionReason || v.exemptionReasonCode))
+      .map(v => ({ location: vatLabel(v), message: 'Standard rated VAT breakdown must not have an exemption reason (BT-120 / BT-121)' }))
+  }
+];
+
+/**
+ * Check the EN 16931 business rules on a CII XML
+ *
+ * @param {string} xmlString - CII XML
+ * @param {string} profile   - MINIMUM, BASIC, EN16931, EXTENDED
+ * @returns {{ valid: boolean, checked: string[], errors: Array<{ rule, message, location }> }}
+ */
+function checkBusinessRules(xmlString, profile = 'EN16931') {
+  let invoice;
+  try {
+    invoice = parseInvoice(xmlString);
+  } catch (error) {
+    return { valid: false, checked: [], errors: [{ rule: 'XML', message: error.message, location: null }] };
+  }
+
+  const rules = RULES.filter(rule => !rule.detailed || profile !== 'MINIMUM');
+  const errors = [];
+
+  for (const rule of rules) {
+    for (const failure of rule.check(invoice)) {
+      errors.push({ rule: rule.id, message: failure.message, location: failure.location || null });
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    checked: rules.map(rule => rule.id),
+    errors
+  };
+}
+
+module.exports = {
+  parseInvoice,
+  checkBusinessRules,
+  RULE_IDS: RULES.map(rule => rule.id)
+};
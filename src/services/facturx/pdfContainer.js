@@ -0,0 +1,141 @@
+/**
+ * Factur-X PDF/A-3 container checks
+ *
+ * Reads back a Factur-X PDF (pdf-lib) and checks what makes it a Factur-X
+ * invoice rather than a PDF with an attachment: PDF/A-3 identification in the
+ * XMP metadata, the factur-x.xml embedded file with its AFRelationship and
+ * catalog /AF reference, and the fx: extension schema values.
+ * This is not a full PDF/A validator (fonts, colour spaces: veraPDF territory).
+ */
+
+const {
+  PDFDocument,
+  PDFName,
+  PDFArray,
+  PDFDict,
+  PDFRawStream,
+  decodePDFRawStream
+} = require('pdf-lib');
+const { FACTURX_CONFORMANCE_LEVELS: CONFORMANCE_LEVELS } = require('../pdfService');
+
+const FACTURX_FILE_NAME = 'factur-x.xml';
+const ALLOWED_AF_RELATIONSHIPS = ['Data', 'Source', 'Alternative'];
+
+function xmpValue(xmp, tag) {
+  const match = xmp.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+function decodeText(pdfString) {
+  return pdfString && typeof pdfString.decodeText === 'function' ? pdfString.decodeText() : null;
+}
+
+function readStream(stream) {
+  if (stream instanceof PDFRawStream) {
+    return Buffer.from(decodePDFRawStream(stream).decode()).toString('utf8');
+  }
+  return stream ? Buffer.from(stream.getContents()).toString('utf8') : null;
+}
+
+/**
+ * Find the Factur-X file specification in the EmbeddedFiles name tree
+ */
+function findEmbeddedFile(pdfDoc) {
+  const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  const embeddedFiles = names && names.lookupMaybe(PDFName.of('EmbeddedFiles'), PDFDict);
+  const entries = embeddedFiles && embeddedFiles.lookupMaybe(PDFName.of('Names'), PDFArray);
+  if (!entries) return null;
+
+  for (let i = 0; i + 1 < entries.size(); i += 2) {
+    if (decodeText(entries.lookup(i)) === FACTURX_FILE_NAME) {
+      return { ref: entries.get(i + 1), fileSpec: entries.lookup(i + 1, PDFDict) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the PDF/A-3 + Factur-X container of a PDF
+ *
+ * @param {Buffer} pdfBuffer
+ * @param {string} profile - expected Factur-X profile (fx:ConformanceLevel)
+ * @returns {Promise<{ valid: boolean, errors: Array<{ rule, message }>, xml: string|null }>}
+ *   xml is the embedded CII XML (null when missing), to validate what is actually sent
+ */
+async function checkPdfContainer(pdfBuffer, profile = 'EN16931') {
+  const errors = [];
+  const fail = (rule, message) => errors.push({ rule, message });
+
+  let pdfDoc;
+  try {
+    pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  } catch (error) {
+    return { valid: false, errors: [{ rule: 'PDF', message: `PDF cannot be read: ${error.message}` }], xml: null };
+  }
+
+  // -- PDF/A-3 identification --
+  const metadata = pdfDoc.catalog.lookupMaybe(PDFName.of('Metadata'), PDFRawStream);
+  const xmp = metadata ? readStream(metadata) : null;
+  if (!xmp) {
+    fail('PDFA-XMP', 'The catalog has no XMP metadata stream');
+  } else {
+    if (xmpValue(xmp, 'pdfaid:part') !== '3') {
+      fail('PDFA-PART', `XMP pdfaid:part must be 3 (found ${xmpValue(xmp, 'pdfaid:part')})`);
+    }
+    if (!['A', 'B', 'U'].includes(xmpValue(xmp, 'pdfaid:conformance'))) {
+      fail('PDFA-CONFORMANCE', 'XMP pdfaid:conformance must be A, B or U');
+    }
+    if (xmpValue(xmp, 'fx:DocumentFileName') !== FACTURX_FILE_NAME) {
+      fail('FX-XMP-FILENAME', `XMP fx:DocumentFileName must be ${FACTURX_FILE_NAME}`);
+    }
+    if (xmpValue(xmp, 'fx:DocumentType') !== 'INVOICE') {
+      fail('FX-XMP-TYPE', 'XMP fx:DocumentType must be INVOICE');
+    }
+    const level = xmpValue(xmp, 'fx:ConformanceLevel');
+    if (level !== CONFORMANCE_LEVELS[profile]) {
+      fail('FX-XMP-LEVEL', `XMP fx:ConformanceLevel is "${level}", expected "${CONFORMANCE_LEVELS[profile]}" for ${profile}`);
+    }
+  }
+
+  if (!pdfDoc.catalog.lookupMaybe(PDFName.of('OutputIntents'), PDFArray)) {
+    fail('PDFA-OUTPUTINTENT', 'The catalog has no OutputIntents');
+  }
+
+  // -- Embedded XML --
+  let xml = null;
+  const embedded = findEmbeddedFile(pdfDoc);
+  if (!embedded) {
+    fail('FX-ATTACHMENT', `No embedded file named ${FACTURX_FILE_NAME}`);
+  } else {
+    const relationship = embedded.fileSpec.lookupMaybe(PDFName.of('AFRelationship'), PDFName);
+    const relationshipName = relationship ? relationship.decodeText() : null;
+    if (!ALLOWED_AF_RELATIONSHIPS.includes(relationshipName)) {
+      fail('FX-AFRELATIONSHIP', `AFRelationship must be one of ${ALLOWED_AF_RELATIONSHIPS.join(', ')} (found ${relationshipName})`);
+    }
+
+    const af = pdfDoc.catalog.lookupMaybe(PDFName.of('AF'), PDFArray);
+    const referenced = af && af.asArray().some(ref => ref === embedded.ref || String(ref) === String(embedded.ref));
+    if (!referenced) {
+      fail('FX-AF', `The catalog /AF array does not reference ${FACTURX_FILE_NAME}`);
+    }
+
+    const ef = embedded.fileSpec.lookupMaybe(PDFName.of('EF'), PDFDict);
+    const stream = ef && ef.lookupMaybe(PDFName.of('F'), PDFRawStream);
+    if (!stream) {
+      fail('FX-ATTACHMENT', `${FACTURX_FILE_NAME} has no embedded file stream`);
+    } else {
+      const subtype = stream.dict.lookupMaybe(PDFName.of('Subtype'), PDFName);
+      if (!subtype || subtype.decodeText() !== 'text/xml') {
+        fail('FX-MIMETYPE', `${FACTURX_FILE_NAME} MIME type must be text/xml`);
+      }
+      xml = readStream(stream);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, xml };
+}
+
+module.exports = {
+  checkPdfContainer,
+  FACTURX_FILE_NAME
+};
@@ -0,0 +1,85 @@
+/**
+ * Factur-X XSD validation
+ *
+ * Validates CII XML against the Factur-X 1.07.3 profile schemas shipped in
+ * ./xsd (one main XSD + 3 imported data type / entity XSDs per profile).
+ * The files are a redistributed copy, not checked against the FNFE-MPE
+ * download (see xsd/README.md): a valid result is a structural check of the
+ * XML, not a conformance statement.
+ * libxml2 runs in WebAssembly (xmllint-wasm), in a worker thread: no native
+ * dependency and no network access (imports are preloaded from disk).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+
+const XSD_DIR = path.join(__dirname, 'xsd');
+// Version in the file names of the shipped schemas
+const SCHEMA_FILE_VERSION = '1.07.3';
+
+const IMPORTED_SCHEMAS = [
+  'urn_un_unece_uncefact_data_standard_QualifiedDataType_100',
+  'urn_un_unece_uncefact_data_standard_ReusableAggregateBusinessInformationEntity_100',
+  'urn_un_unece_uncefact_data_standard_UnqualifiedDataType_100'
+];
+
+const SUPPORTED_PROFILES = ['MINIMUM', 'BASIC', 'EN16931', 'EXTENDED'];
+
+// Schema files are read once per profile
+const schemaCache = new Map();
+
+function loadSchemas(profile) {
+  if (!schemaCache.has(profile)) {
+    const read = (fileName) => ({
+      fileName,
+      contents: fs.readFileSync(path.join(XSD_DIR, fileName), 'utf8')
+    });
+
+    schemaCache.set(profile, {
+      schema: [read(`Factur-X_${SCHEMA_FILE_VERSION}_${profile}.xsd`)],
+      preload: IMPORTED_SCHEMAS.map(name => read(`Factur-X_${SCHEMA_FILE_VERSION}_${profile}_${name}.xsd`))
+    });
+  }
+  return schemaCache.get(profile);
+}
+
+/**
+ * Validate a CII XML string against the XSD of a Factur-X profile
+ *
+ * @param {string} xmlString - CII XML
+ * @param {string} profile   - MINIMUM, BASIC, EN16931, EXTENDED
+ * @returns {Promise<{ valid: boolean, schema: string, errors: Array<{ message: string, line: number|null }> }>}
+ */
+async function validateAgainstXsd(xmlString, profile = 'EN16931') {
+  if (!SUPPORTED_PROFILES.includes(profile)) {
+    throw new Error(`Unsupported Factur-X profile: ${profile}`);
+  }
+
+  const { schema, preload } = loadSchemas(profile);
+  const result = await validateXML({
+    xml: [{ fileName: 'facturx.xml', contents: xmlString }],
+    schema,
+    preload
+  });
+
+  return {
+    valid: result.valid,
+    schema: schema[0].fileName,
+    errors: result.errors.map(error => ({
+      // "Schemas validity error : Element '{urn:...}Name': ..." → "Element 'ram:Name': ..."
+      message: error.message
+        .replace(/^Schemas validity error\s*:\s*/, '')
+        .replace(/\{urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100\}/g, 'ram:')
+        .replace(/\{urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100\}/g, 'rsm:')
+        .replace(/\{urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100\}/g, 'udt:')
+        .replace(/\{urn:un:unece:uncefact:data:standard:QualifiedDataType:100\}/g, 'qdt:'),
+      line: error.loc ? error.loc.lineNumber : null
+    }))
+  };
+}
+
+module.exports = {
+  validateAgainstXsd,
+  SUPPORTED_PROFILES
+};
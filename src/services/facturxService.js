@@ -1,14 +1,20 @@
 /**
- * Factur-X Service — CII XML generation & structural validation
+ * Factur-X Service — CII XML generation & validation
  *
  * Generates Cross-Industry Invoice (CII) XML compliant with Factur-X profiles.
  * Zero medical dependency — works with generic billing document data.
+ * Full validation (XSD + EN 16931 business rules + PDF/A-3 container) lives
+ * in ./facturx and is orchestrated by validateInvoice().
  *
  * Profiles: MINIMUM, BASIC, EN16931, EXTENDED
  * Standards: EN 16931, Factur-X 1.0
  */
 
 const { create } = require('xmlbuilder2');
+const { validateAgainstXsd } = require('./facturx/xsdValidator');
+const { checkBusinessRules } = require('./facturx/businessRules');
+const { checkPdfContainer } = require('./facturx/pdfContainer');
+const { round2 } = require('../utils/money');
 
 // ============================================================================
 // Constants
@@ -59,17 +65,180 @@ function formatDateCII(dateInput) {
 }
 
 /**
- * Round to 2 decimal places
+ * Format amount to 2 decimal string
  */
-function round2(n) {
-  return Math.round((parseFloat(n) || 0) * 100) / 100;
+function amt(n) {
+  return round2(n).toFixed(2);
+}
+
+// ============================================================================
+// Normalized document
+// ============================================================================
+
+// UN/ECE Recommendation 20 codes for the units used on billing lines
+const UNIT_CODES = {
+  unit: 'C62',
+  piece: 'H87',
+  session: 'C62',
+  act: 'C62',
+  hour: 'HUR',
+  minute: 'MIN',
+  day: 'DAY',
+  month: 'MON'
+};
+
+function unitCode(unit) {
+  if (!unit) return 'C62';
+  if (/^[A-Z0-9]{2,3}$/.test(unit)) return unit;
+  return UNIT_CODES[String(unit).toLowerCase()] || 'C62';
+}
+
+function normalizeAddress(address) {
+  if (!address) return null;
+  if (typeof address !== 'object') {
+    return { line1: String(address), line2: null, postalCode: null, city: null, country: 'FR' };
+  }
+  return {
+    line1: address.line1 || null,
+    line2: address.line2 || null,
+    postalCode: address.postalCode || address.postal_code || null,
+    city: address.city || null,
+    country: address.country || 'FR'
+  };
+}
+
+function normalizeParty(document, role) {
+  // seller_vat_number / sellerVatNumber
+  const field = (snake, camel) => document[`${role}_${snake}`] || document[`${role}${camel}`] || null;
+  return {
+    name: field('name', 'Name') || 'N/A',
+    siren: field('siren', 'Siren'),
+    vatNumber: field('vat_number', 'VatNumber'),
+    email: field('email', 'Email'),
+    phone: field('phone', 'Phone'),
+    // Peppol participant identifier "scheme:id" (UBL endpoint)
+    peppolId: field('peppol_id', 'PeppolId'),
+    address: normalizeAddress(field('address', 'Address'))
+  };
+}
+
+function normalizeLine(item, idx) {
+  const quantity = parseFloat(item.quantity) || 1;
+  const unitPrice = parseFloat(item.unit_price || item.unitPrice) || 0;
+  const discountPct = parseFloat(item.discount_percent || item.discountPercent) || 0;
+  const netPrice = unitPrice * (1 - discountPct / 100);
+
+  return {
+    id: String(idx + 1),
+    name: item.description || `Item ${idx + 1}`,
+    quantity,
+    unitCode: unitCode(item.unit),
+    netPrice: round2(netPrice),
+    netAmount: round2(parseFloat(item.line_net_amount || item.lineNetAmount) || (quantity * netPrice)),
+    taxCategory: item.tax_category_code || item.taxCategoryCode || 'S',
+    taxRate: parseFloat(item.tax_rate || item.taxRate) || 0
+  };
 }
 
 /**
- * Format amount to 2 decimal string
+ * Syntax-neutral view of a billing document (EN 16931 semantic model),
+ * shared by the CII (Factur-X) and UBL (Peppol) generators.
+ *
+ * @param {Object} document - Document record (snake_case or camelCase)
+ * @param {Array}  items    - Document line items
+ * @returns {Object} { documentType, typeCode, number, issueDate, dueDate, deliveryDate, currency,
+ *   notes, paymentTerms, purchaseOrder, bankDetails, precedingInvoice, seller, buyer, lines,
+ *   taxGroups, totals }
  */
-function amt(n) {
-  return round2(n).toFixed(2);
+function normalizeDocument(document, items) {
+  const documentType = document.document_type || document.documentType || 'invoice';
+  const issueDate = document.issue_date || document.issueDate || null;
+
+  const subtotal = parseFloat(document.subtotal) || 0;
+  const discountAmount = parseFloat(document.discount_amount || document.discountAmount) || 0;
+  const taxAmount = parseFloat(document.tax_amount || document.taxAmount) || 0;
+  const total = parseFloat(document.total) || 0;
+  // Payments already received (BT-113); credit notes are separate documents and do not reduce BT-115
+  const amountPaid = parseFloat(document.amount_paid || document.amountPaid) || 0;
+
+  return {
+    documentType,
+    typeCode: TYPE_CODES[documentType] || '380',
+    number: document.document_number || document.documentNumber || 'DRAFT',
+    issueDate,
+    dueDate: document.due_date || document.dueDate || null,
+    deliveryDate: document.delivery_date || document.deliveryDate || issueDate,
+    currency: document.currency || 'EUR',
+    notes: document.notes || null,
+    paymentTerms: document.payment_terms || document.paymentTerms || null,
+    purchaseOrder: document.purchase_order || document.purchaseOrder || null,
+    bankDetails: document.bank_details || document.bankDetails || null,
+    // Invoice corrected by a credit note (BT-25 / BT-26), when the caller resolved it
+    precedingInvoice: document.preceding_invoice || document.precedingInvoice || null,
+    seller: normalizeParty(document, 'seller'),
+    buyer: normalizeParty(document, 'buyer'),
+    lines: (items || []).map(normalizeLine),
+    taxGroups: computeTaxGroups(document, items),
+    totals: {
+      lineTotal: round2(subtotal),
+      allowanceTotal: round2(discountAmount),
+      taxBasisTotal: round2(subtotal - discountAmount),
+      taxTotal: round2(taxAmount),
+      grandTotal: round2(total),
+      prepaidAmount: round2(amountPaid),
+      duePayableAmount: round2(total - amountPaid)
+    }
+  };
+}
+
+/**
+ * VAT groups (BG-23) by category + rate.
+ * Bases come from the stored tax_details (global discount already spread over
+ * the categories); lineBasis is the sum of the line net amounts of the group.
+ *
+ * @returns {Array<{ rate, categoryCode, lineBasis, basisAmount, taxAmount }>}
+ */
+function computeTaxGroups(document, items) {
+  const taxGroups = {};
+  const groupFor = (rate, categoryCode) => {
+    const key = `${categoryCode}_${rate.toFixed(2)}`;
+    if (!taxGroups[key]) {
+      taxGroups[key] = { rate, categoryCode, lineBasis: 0, basisAmount: 0, taxAmount: 0 };
+    }
+    return taxGroups[key];
+  };
+
+  (items || []).forEach(item => {
+    const rate = parseFloat(item.tax_rate || item.taxRate) || 0;
+    const group = groupFor(rate, item.tax_category_code || item.taxCategoryCode || 'S');
+    group.lineBasis = round2(group.lineBasis + (parseFloat(item.line_net_amount || item.lineNetAmount) || 0));
+  });
+
+  const taxDetails = document.tax_details || document.taxDetails;
+  if (Array.isArray(taxDetails) && taxDetails.length > 0) {
+    taxDetails.forEach(detail => {
+      const group = groupFor(parseFloat(detail.rate) || 0, detail.categoryCode || detail.category_code || 'S');
+      group.basisAmount = round2(group.basisAmount + (parseFloat(detail.base) || 0));
+      group.taxAmount = round2(group.taxAmount + (parseFloat(detail.amount) || 0));
+    });
+  } else {
+    Object.values(taxGroups).forEach(group => {
+      group.basisAmount = group.lineBasis;
+      group.taxAmount = round2(group.lineBasis * (group.rate / 100));
+    });
+  }
+
+  // Fallback: if no items, create single tax group from document totals
+  if (Object.keys(taxGroups).length === 0) {
+    const rate = parseFloat(document.default_tax_rate || document.defaultTaxRate) || 20;
+    const subtotal = parseFloat(document.subtotal) || 0;
+    const group = groupFor(rate, 'S');
+    group.lineBasis = subtotal;
+    group.basisAmount = subtotal;
+    group.taxAmount = round2(subtotal * (rate / 100));
+  }
+
+  return Object.values(taxGroups);
 }
 
 // ============================================================================
@@ -83,105 +252,108 @@ function buildExchangedDocumentContext(root, profile) {
   return ctx;
 }
 
-function buildExchangedDocument(root, document) {
+function buildExchangedDocument(root, invoice, profile) {
   const doc = root.ele('rsm:ExchangedDocument');
   // BT-1: Document number
-  doc.ele('ram:ID').txt(document.document_number || document.documentNumber || 'DRAFT');
+  doc.ele('ram:ID').txt(invoice.number);
   // BT-3: TypeCode
-  const docType = document.document_type || document.documentType || 'invoice';
-  doc.ele('ram:TypeCode').txt(TYPE_CODES[docType] || '380');
+  doc.ele('ram:TypeCode').txt(invoice.typeCode);
   // BT-2: Issue date
-  const issueDate = formatDateCII(document.issue_date || document.issueDate);
+  const issueDate = formatDateCII(invoice.issueDate);
   if (issueDate) {
     const dt = doc.ele('ram:IssueDateTime');
     dt.ele('udt:DateTimeString').att('format', '102').txt(issueDate);
   }
-  // BT-22: Notes
-  if (document.notes) {
+  // BT-22: Notes (not in MINIMUM)
+  if (invoice.notes && profile !== 'MINIMUM') {
     const note = doc.ele('ram:IncludedNote');
-    note.ele('ram:Content').txt(document.notes);
+    note.ele('ram:Content').txt(invoice.notes);
   }
   return doc;
 }
 
-function buildSellerTradeParty(agreement, document) {
+/**
+ * Postal address in CII element order (PostcodeCode, LineOne, LineTwo, CityName, CountryID)
+ */
+function buildPostalAddress(party, address, countryOnly) {
+  const addr = party.ele('ram:PostalTradeAddress');
+  if (!countryOnly) {
+    if (address.postalCode) addr.ele('ram:PostcodeCode').txt(address.postalCode);
+    if (address.line1) addr.ele('ram:LineOne').txt(address.line1);
+    if (address.line2) addr.ele('ram:LineTwo').txt(address.line2);
+    if (address.city) addr.ele('ram:CityName').txt(address.city);
+  }
+  addr.ele('ram:CountryID').txt(address.country);
+  return addr;
+}
+
+function buildSellerTradeParty(agreement, invoice, profile) {
+  const { seller: party } = invoice;
   const seller = agreement.ele('ram:SellerTradeParty');
   // BG-4: Seller name
-  seller.ele('ram:Name').txt(document.seller_name || document.sellerName || 'N/A');
+  seller.ele('ram:Name').txt(party.name);
 
   // Seller legal registration (SIREN)
-  if (document.seller_siren || document.sellerSiren) {
+  if (party.siren) {
     const legalOrg = seller.ele('ram:SpecifiedLegalOrganization');
     const idNode = legalOrg.ele('ram:ID');
     idNode.att('schemeID', '0002'); // SIREN scheme
-    idNode.txt(document.seller_siren || document.sellerSiren);
+    idNode.txt(party.siren);
   }
 
-  // BG-5: Seller address
-  const sellerAddr = document.seller_address || document.sellerAddress;
-  if (sellerAddr) {
-    const addr = seller.ele('ram:PostalTradeAddress');
-    if (typeof sellerAddr === 'object') {
-      if (sellerAddr.line1) addr.ele('ram:LineOne').txt(sellerAddr.line1);
-      if (sellerAddr.line2) addr.ele('ram:LineTwo').txt(sellerAddr.line2);
-      if (sellerAddr.postalCode || sellerAddr.postal_code) addr.ele('ram:PostcodeCode').txt(sellerAddr.postalCode || sellerAddr.postal_code);
-      if (sellerAddr.city) addr.ele('ram:CityName').txt(sellerAddr.city);
-      addr.ele('ram:CountryID').txt(sellerAddr.country || 'FR');
-    } else {
-      addr.ele('ram:LineOne').txt(String(sellerAddr));
-      addr.ele('ram:CountryID').txt('FR');
-    }
+  // BG-5: Seller address (MINIMUM: country only)
+  if (party.address) {
+    buildPostalAddress(seller, party.address, profile === 'MINIMUM');
   }
 
   // Seller email
-  if (document.seller_email || document.sellerEmail) {
+  if (profile !== 'MINIMUM' && party.email) {
     const uri = seller.ele('ram:URIUniversalCommunication');
-    uri.ele('ram:URIID').att('schemeID', 'EM').txt(document.seller_email || document.sellerEmail);
+    uri.ele('ram:URIID').att('schemeID', 'EM').txt(party.email);
   }
 
   // BG-6: Seller VAT
-  if (document.seller_vat_number || document.sellerVatNumber) {
+  if (party.vatNumber) {
     const taxReg = seller.ele('ram:SpecifiedTaxRegistration');
-    taxReg.ele('ram:ID').att('schemeID', 'VA').txt(document.seller_vat_number || document.sellerVatNumber);
+    taxReg.ele('ram:ID').att('schemeID', 'VA').txt(party.vatNumber);
   }
 
   return seller;
 }
 
-function buildBuyerTradeParty(agreement, document) {
+function buildBuyerTradeParty(agreement, invoice, profile) {
+  const { buyer: party } = invoice;
   const buyer = agreement.ele('ram:BuyerTradeParty');
   // BG-7: Buyer name
-  buyer.ele('ram:Name').txt(document.buyer_name || document.buyerName || 'N/A');
+  buyer.ele('ram:Name').txt(party.name);
+
+  // MINIMUM: buyer name only
+  if (profile === 'MINIMUM') {
+    return buyer;
+  }
 
   // BG-8: Buyer address
-  const buyerAddr = document.buyer_address || document.buyerAddress;
-  if (buyerAddr) {
-    const addr = buyer.ele('ram:PostalTradeAddress');
-    if (typeof buyerAddr === 'object') {
-      if (buyerAddr.line1) addr.ele('ram:LineOne').txt(buyerAddr.line1);
-      if (buyerAddr.line2) addr.ele('ram:LineTwo').txt(buyerAddr.line2);
-      if (buyerAddr.postalCode || buyerAddr.postal_code) addr.ele('ram:PostcodeCode').txt(buyerAddr.postalCode || buyerAddr.postal_code);
-      if (buyerAddr.city) addr.ele('ram:CityName').txt(buyerAddr.city);
-      addr.ele('ram:CountryID').txt(buyerAddr.country || 'FR');
-    } else {
-      addr.ele('ram:LineOne').txt(String(buyerAddr));
-      addr.ele('ram:CountryID').txt('FR');
-    }
+  if (party.address) {
+    buildPostalAddress(buyer, party.address, false);
   }
 
   // Buyer email
-  if (document.buyer_email || document.buyerEmail) {
+  if (party.email) {
     const uri = buyer.ele('ram:URIUniversalCommunication');
-    uri.ele('ram:URIID').att('schemeID', 'EM').txt(document.buyer_email || document.buyerEmail);
+    uri.ele('ram:URIID').att('schemeID', 'EM').txt(party.email);
   }
 
   return buyer;
 }
 
-function buildDeliveryTradeAgreement(transaction, document) {
+function buildDeliveryTradeAgreement(transaction, invoice, profile) {
   const delivery = transaction.ele('ram:ApplicableHeaderTradeDelivery');
+  // MINIMUM: empty element
+  if (profile === 'MINIMUM') {
+    return delivery;
+  }
   // BG-13: Delivery date
-  const deliveryDate = formatDateCII(document.delivery_date || document.deliveryDate || document.issue_date || document.issueDate);
+  const deliveryDate = formatDateCII(invoice.deliveryDate);
   if (deliveryDate) {
     const occ = delivery.ele('ram:ActualDeliverySupplyChainEvent');
     const dt = occ.ele('ram:OccurrenceDateTime');
@@ -190,15 +362,14 @@ function buildDeliveryTradeAgreement(transaction, document) {
   return delivery;
 }
 
-function buildPaymentTerms(settlement, document) {
+function buildPaymentTerms(settlement, invoice) {
   // BG-20: Payment terms
-  if (document.payment_terms || document.paymentTerms || document.due_date || document.dueDate) {
+  if (invoice.paymentTerms || invoice.dueDate) {
     const terms = settlement.ele('ram:SpecifiedTradePaymentTerms');
-    const termsText = document.payment_terms || document.paymentTerms;
-    if (termsText) {
-      terms.ele('ram:Description').txt(termsText);
+    if (invoice.paymentTerms) {
+      terms.ele('ram:Description').txt(invoice.paymentTerms);
     }
-    const dueDate = formatDateCII(document.due_date || document.dueDate);
+    const dueDate = formatDateCII(invoice.dueDate);
     if (dueDate) {
       const dt = terms.ele('ram:DueDateDateTime');
       dt.ele('udt:DateTimeString').att('format', '102').txt(dueDate);
@@ -206,62 +377,40 @@ function buildPaymentTerms(settlement, document) {
   }
 }
 
-function buildMonetarySummation(settlement, document) {
+function buildMonetarySummation(settlement, invoice, profile) {
+  const { totals } = invoice;
   const summation = settlement.ele('ram:SpecifiedTradeSettlementHeaderMonetarySummation');
+  const prepaidAmount = profile === 'MINIMUM' ? 0 : totals.prepaidAmount;
 
-  const subtotal = parseFloat(document.subtotal) || 0;
-  const discountAmount = parseFloat(document.discount_amount || document.discountAmount) || 0;
-  const taxAmount = parseFloat(document.tax_amount || document.taxAmount) || 0;
-  const total = parseFloat(document.total) || 0;
-  const amountDue = parseFloat(document.amount_due || document.amountDue) || total;
-
-  // BT-106: Sum of line net amounts
-  summation.ele('ram:LineTotalAmount').txt(amt(subtotal));
+  // BT-106: Sum of line net amounts (not in MINIMUM)
+  if (profile !== 'MINIMUM') {
+    summation.ele('ram:LineTotalAmount').txt(amt(totals.lineTotal));
+  }
   // BT-107: Allowances
-  if (discountAmount > 0) {
-    summation.ele('ram:AllowanceTotalAmount').txt(amt(discountAmount));
+  if (totals.allowanceTotal > 0 && profile !== 'MINIMUM') {
+    summation.ele('ram:AllowanceTotalAmount').txt(amt(totals.allowanceTotal));
   }
   // BT-109: Tax basis
-  summation.ele('ram:TaxBasisTotalAmount').txt(amt(subtotal - discountAmount));
+  summation.ele('ram:TaxBasisTotalAmount').txt(amt(totals.taxBasisTotal));
   // BT-110: Tax total
   const taxTotal = summation.ele('ram:TaxTotalAmount');
-  taxTotal.att('currencyID', document.currency || 'EUR');
-  taxTotal.txt(amt(taxAmount));
+  taxTotal.att('currencyID', invoice.currency);
+  taxTotal.txt(amt(totals.taxTotal));
   // BT-112: Grand total
-  summation.ele('ram:GrandTotalAmount').txt(amt(total));
-  // BT-115: Amount due
-  summation.ele('ram:DuePayableAmount').txt(amt(amountDue));
+  summation.ele('ram:GrandTotalAmount').txt(amt(totals.grandTotal));
+  // BT-113: Paid amount
+  if (prepaidAmount > 0) {
+    summation.ele('ram:TotalPrepaidAmount').txt(amt(prepaidAmount));
+  }
+  // BT-115: Amount due (BR-CO-16: BT-112 - BT-113)
+  summation.ele('ram:DuePayableAmount').txt(amt(totals.grandTotal - prepaidAmount));
 
   return summation;
 }
 
-function buildTaxBreakdown(settlement, document, items) {
-  // BG-23: Tax breakdown — group by tax rate
-  const taxGroups = {};
-  (items || []).forEach(item => {
-    const rate = parseFloat(item.tax_rate || item.taxRate) || 0;
-    const lineNet = parseFloat(item.line_net_amount || item.lineNetAmount) || 0;
-    const key = rate.toFixed(2);
-    if (!taxGroups[key]) {
-      taxGroups[key] = { rate, basisAmount: 0, taxAmount: 0, categoryCode: item.tax_category_code || item.taxCategoryCode || 'S' };
-    }
-    taxGroups[key].basisAmount += lineNet;
-    taxGroups[key].taxAmount += lineNet * (rate / 100);
-  });
-
-  // Fallback: if no items, create single tax group from document totals
-  if (Object.keys(taxGroups).length === 0) {
-    const rate = parseFloat(document.default_tax_rate || document.defaultTaxRate) || 20;
-    const subtotal = parseFloat(document.subtotal) || 0;
-    taxGroups[rate.toFixed(2)] = {
-      rate,
-      basisAmount: subtotal,
-      taxAmount: subtotal * (rate / 100),
-      categoryCode: 'S'
-    };
-  }
-
-  Object.values(taxGroups).forEach(group => {
+function buildTaxBreakdown(settlement, taxGroups) {
+  // BG-23: Tax breakdown
+  taxGroups.forEach(group => {
     const tax = settlement.ele('ram:ApplicableTradeTax');
     tax.ele('ram:CalculatedAmount').txt(amt(group.taxAmount));
     tax.ele('ram:TypeCode').txt('VAT');
@@ -271,50 +420,58 @@ function buildTaxBreakdown(settlement, document, items) {
   });
 }
 
-function buildLineItems(transaction, items, profile) {
+function buildDocumentAllowances(settlement, taxGroups) {
+  // BG-20: Global discount, one allowance per VAT group (BR-S-08: basis = lines - allowances)
+  taxGroups.forEach(group => {
+    const allowance = round2(group.lineBasis - group.basisAmount);
+    if (allowance <= 0) return;
+
+    const charge = settlement.ele('ram:SpecifiedTradeAllowanceCharge');
+    charge.ele('ram:ChargeIndicator').ele('udt:Indicator').txt('false');
+    charge.ele('ram:ActualAmount').txt(amt(allowance));
+    charge.ele('ram:Reason').txt('Remise');
+    const tax = charge.ele('ram:CategoryTradeTax');
+    tax.ele('ram:TypeCode').txt('VAT');
+    tax.ele('ram:CategoryCode').txt(group.categoryCode);
+    tax.ele('ram:RateApplicablePercent').txt(group.rate.toFixed(2));
+  });
+}
+
+function buildLineItems(transaction, lines) {
   // BG-25..31: Line items
-  (items || []).forEach((item, idx) => {
+  lines.forEach(item => {
     const line = transaction.ele('ram:IncludedSupplyChainTradeLineItem');
 
     // Line ID
     const lineDoc = line.ele('ram:AssociatedDocumentLineDocument');
-    lineDoc.ele('ram:LineID').txt(String(idx + 1));
+    lineDoc.ele('ram:LineID').txt(item.id);
 
     // Product
     const product = line.ele('ram:SpecifiedTradeProduct');
-    product.ele('ram:Name').txt(item.description || `Item ${idx + 1}`);
-
-    // Delivery (empty for EN16931 compliance)
-    line.ele('ram:SpecifiedLineTradeDelivery');
+    product.ele('ram:Name').txt(item.name);
 
     // Agreement
     const lineAgreement = line.ele('ram:SpecifiedLineTradeAgreement');
     const netPrice = lineAgreement.ele('ram:NetPriceProductTradePrice');
-    const unitPrice = parseFloat(item.unit_price || item.unitPrice) || 0;
-    const discountPct = parseFloat(item.discount_percent || item.discountPercent) || 0;
-    const effectivePrice = unitPrice * (1 - discountPct / 100);
-    netPrice.ele('ram:ChargeAmount').txt(amt(effectivePrice));
+    netPrice.ele('ram:ChargeAmount').txt(amt(item.netPrice));
 
     // Delivery quantity
     const lineDelivery = line.ele('ram:SpecifiedLineTradeDelivery');
-    const qty = parseFloat(item.quantity) || 1;
     const billedQty = lineDelivery.ele('ram:BilledQuantity');
-    billedQty.att('unitCode', item.unit || 'C62'); // C62 = "one" / unit
-    billedQty.txt(qty.toString());
+    billedQty.att('unitCode', item.unitCode);
+    billedQty.txt(item.quantity.toString());
 
     // Settlement
     const lineSettlement = line.ele('ram:SpecifiedLineTradeSettlement');
     // Line tax
     const lineTax = lineSettlement.ele('ram:ApplicableTradeTax');
-    const taxRate = parseFloat(item.tax_rate || item.taxRate) || 0;
     lineTax.ele('ram:TypeCode').txt('VAT');
-    lineTax.ele('ram:CategoryCode').txt(item.tax_category_code || item.taxCategoryCode || 'S');
-    lineTax.ele('ram:RateApplicablePercent').txt(taxRate.toFixed(2));
+    lineTax.ele('ram:CategoryCode').txt(item.taxCategory);
+    lineTax.ele('ram:RateApplicablePercent').txt(item.taxRate.toFixed(2));
 
     // Line total
-    const lineNetAmount = parseFloat(item.line_net_amount || item.lineNetAmount) || (qty * effectivePrice);
     const lineSummation = lineSettlement.ele('ram:SpecifiedTradeSettlementLineMonetarySummation');
-    lineSummation.ele('ram:LineTotalAmount').txt(amt(lineNetAmount));
+    lineSummation.ele('ram:LineTotalAmount').txt(amt(item.netAmount));
   });
 }
 
@@ -331,6 +488,7 @@ function buildLineItems(transaction, items, profile) {
  * @returns {string} XML string
  */
 function generateXML(document, items, profile = 'EN16931') {
+  const invoice = normalizeDocument(document, items);
   const root = create({ version: '1.0', encoding: 'UTF-8' })
     .ele('rsm:CrossIndustryInvoice', {
       'xmlns:rsm': NAMESPACES.rsm,
@@ -343,39 +501,42 @@ function generateXML(document, items, profile = 'EN16931') {
   buildExchangedDocumentContext(root, profile);
 
   // 2. Document header
-  buildExchangedDocument(root, document);
+  buildExchangedDocument(root, invoice, profile);
 
   // 3. Supply chain transaction
   const transaction = root.ele('rsm:SupplyChainTradeTransaction');
 
   // 3a. Line items (before header in CII schema)
   if (profile !== 'MINIMUM') {
-    buildLineItems(transaction, items, profile);
+    buildLineItems(transaction, invoice.lines);
   }
 
   // 3b. Trade agreement (seller/buyer)
   const agreement = transaction.ele('ram:ApplicableHeaderTradeAgreement');
-  buildSellerTradeParty(agreement, document);
-  buildBuyerTradeParty(agreement, document);
+  buildSellerTradeParty(agreement, invoice, profile);
+  buildBuyerTradeParty(agreement, invoice, profile);
 
   // 3c. Delivery
-  buildDeliveryTradeAgreement(transaction, document);
+  buildDeliveryTradeAgreement(transaction, invoice, profile);
 
   // 3d. Settlement
   const settlement = transaction.ele('ram:ApplicableHeaderTradeSettlement');
   // Currency
-  settlement.ele('ram:InvoiceCurrencyCode').txt(document.currency || 'EUR');
+  settlement.ele('ram:InvoiceCurrencyCode').txt(invoice.currency);
 
-  // Payment terms
-  buildPaymentTerms(settlement, document);
+  // Tax breakdown, then global discount
+  if (profile !== 'MINIMUM') {
+    buildTaxBreakdown(settlement, invoice.taxGroups);
+    buildDocumentAllowances(settlement, invoice.taxGroups);
+  }
 
-  // Tax breakdown
+  // Payment terms (after the tax breakdown in the CII schema)
   if (profile !== 'MINIMUM') {
-    buildTaxBreakdown(settlement, document, items);
+    buildPaymentTerms(settlement, invoice);
   }
 
   // Monetary summation
-  buildMonetarySummation(settlement, document);
+  buildMonetarySummation(settlement, invoice, profile);
 
   return root.end({ prettyPrint: true });
 }
@@ -470,9 +631,67 @@ function validateXML(xmlString, profile = 'EN16931') {
   };
 }
 
+/**
+ * Complete a document with the seller identity of the billing settings
+ * (document values win). Used for every e-invoice output.
+ *
+ * @param {Object} document        - Document JSON
+ * @param {Object} billingSettings - clinic_settings.billing_settings
+ * @returns {Object} enriched copy
+ */
+function applyBillingSettings(document, billingSettings = {}) {
+  return {
+    ...document,
+    seller_siren: document.seller_siren || billingSettings.seller?.siren,
+    seller_vat_number: document.seller_vat_number || billingSettings.seller?.vatNumber,
+    seller_email: document.seller_email || billingSettings.seller?.email,
+    seller_peppol_id: document.seller_peppol_id || billingSettings.seller?.peppolId
+  };
+}
+
+/**
+ * Full Factur-X validation report of a document
+ *
+ * - xsd:   structure against the Factur-X XSD of the profile (facturx/xsd)
+ * - rules: EN 16931 business rules
+ * - pdf:   PDF/A-3 container (only when options.pdfBuffer is given); the XML
+ *          checked is then the one embedded in the PDF
+ *
+ * @param {Object} document - Document record (already enriched)
+ * @param {Array}  items    - Document line items
+ * @param {string} profile  - Factur-X profile
+ * @param {Object} [options]
+ * @param {Buffer} [options.pdfBuffer] - Factur-X PDF to check
+ * @returns {Promise<Object>} { valid, profile, xsd, rules, pdf }
+ */
+async function validateInvoice(document, items, profile = 'EN16931', options = {}) {
+  let xmlString = generateXML(document, items, profile);
+
+  let pdf = null;
+  if (options.pdfBuffer) {
+    const container = await checkPdfContainer(options.pdfBuffer, profile);
+    pdf = { valid: container.valid, errors: container.errors };
+    if (container.xml) xmlString = container.xml;
+  }
+
+  const xsd = await validateAgainstXsd(xmlString, profile);
+  const rules = checkBusinessRules(xmlString, profile);
+
+  return {
+    valid: xsd.valid && rules.valid && (!pdf || pdf.valid),
+    profile,
+    xsd,
+    rules,
+    pdf
+  };
+}
+
 module.exports = {
   generateXML,
+  normalizeDocument,
   validateXML,
+  validateInvoice,
+  applyBillingSettings,
   TYPE_CODES,
   PROFILE_URNS,
   formatDateCII
@@ -0,0 +1,373 @@
+/**
+ * Inbound Message Service
+ *
+ * Handles patient replies received through the public messaging webhooks
+ * (SMS, WhatsApp, email replies):
+ * - Interprets the reply ("OUI", "SI", "YES" → confirm / "NON", "NO", "ANNULER" → cancel)
+ * - Matches it to an appointment via confirmation_token, phone number or email
+ * - Drives the appointment state machine to confirmed / cancelled
+ * - Stores every message (audit trail); unmatched ones go to the reception inbox
+ */
+
+const { QueryTypes } = require('sequelize');
+const { logger } = require('../utils/logger');
+const ModelFactory = require('../base/ModelFactory');
+const stateMachineService = require('./appointmentStateMachineService');
+const messagingService = require('./messagingService');
+
+/**
+ * Reply keywords per intent (accents and case are ignored)
+ */
+const INTENT_KEYWORDS = {
+  confirm: ['OUI', 'O', 'YES', 'Y', 'SI', 'S', 'OK', 'CONFIRME', 'CONFIRMER', 'CONFIRM', 'CONFIRMO', 'CONFIRMAR'],
+  cancel: ['NON', 'NO', 'N', 'ANNULER', 'ANNULE', 'ANNULATION', 'CANCEL', 'CANCELAR', 'ANULAR', 'ANULO']
+};
+
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+// Statuses an appointment must be in for a reply to apply
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+class InboundMessageService {
+  /**
+   * Keep only the patient's own words from a reply
+   * (drops quoted text and "On ... wrote:" headers from email replies)
+   * @param {string} body
+   * @returns {string}
+   */
+  extractReplyText(body) {
+    if (!body) return '';
+
+    const lines = String(body).split(/\r?\n/);
+    const kept = [];
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('>')) break;
+      if (/^(le .+ a écrit|on .+ wrote|el .+ escribió)\s*:?$/i.test(trimmed)) break;
+      if (/^-{2,}\s*(original message|message d'origine|mensaje original)/i.test(trimmed)) break;
+      if (trimmed) kept.push(trimmed);
+    }
+
+    return kept.join(' ');
+  }
+
+  /**
+   * Interpret a reply
+   * @param {string} text - Reply text (already stripped of quotes)
+   * @returns {string} 'confirm' | 'cancel' | 'unknown'
+   */
+  parseIntent(text) {
+    if (!text) return 'unknown';
+
+    const normalized = text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9\s]/g, ' ')
+      .trim();
+
+    const firstWord = normalized.split(/\s+/)[0];
+
+    if (INTENT_KEYWORDS.cancel.includes(firstWord)) return 'cancel';
+    if (INTENT_KEYWORDS.confirm.includes(firstWord)) return 'confirm';
+
+    return 'unknown';
+  }
+
+  /**
+   * Find a confirmation token (UUID) in the message, e.g. a quoted confirmation link
+   * @returns {string|null}
+   */
+  extractToken(...texts) {
+    for (const text of texts) {
+      const match = text && String(text).match(UUID_PATTERN);
+      if (match) return match[0].toLowerCase();
+    }
+    return null;
+  }
+
+  /**
+   * Process an inbound message
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} message - { channel, from, to, subject, body, provider, providerMessageId, rawPayload }
+   * @returns {Promise<Model>} Stored InboundMessage
+   */
+  async processInbound(clinicDb, message) {
+    const InboundMessage = await ModelFactory.getModel(clinicDb, 'InboundMessage');
+
+    // Providers retry webhooks: never process the same message twice
+    const existing = await InboundMessage.findByProviderMessageId(message.provider, message.providerMessageId);
+    if (existing) {
+      logger.info('Inbound message already received, skipping', {
+        inboundMessageId: existing.id,
+        providerMessageId: message.providerMessageId
+      });
+      return existing;
+    }
+
+    const replyText = this.extractReplyText(message.body);
+    const intent = this.parseIntent(replyText || message.subject);
+
+    const inbound = await InboundMessage.create({
+      channel: message.channel,
+      from_address: message.from,
+      to_address: message.to || null,
+      subject: message.subject || null,
+      body: message.body || null,
+      provider: message.provider || null,
+      provider_message_id: message.providerMessageId || null,
+      intent,
+      raw_payload: message.rawPayload || {},
+      received_at: new Date()
+    });
+
+    try {
+      const match = await this.matchAppointment(clinicDb, message);
+
+      if (match.patientId) {
+        inbound.patient_id = match.patientId;
+      }
+
+      if (!match.appointment) {
+        await inbound.markUnmatched(match.reason);
+        logger.info('Inbound message not matched to an appointment', {
+          inboundMessageId: inbound.id,
+          channel: message.channel,
+          reason: match.reason
+        });
+        return inbound;
+      }
+
+      inbound.appointment_id = match.appointment.id;
+      inbound.match_method = match.method;
+
+      if (intent === 'unknown') {
+        await inbound.markUnmatched('Reply not understood');
+        return inbound;
+      }
+
+      const result = await this.applyIntent(clinicDb, match.appointment, intent, message.channel);
+      await inbound.markProcessed(result);
+
+      logger.info(`Appointment ${intent === 'confirm' ? 'confirmed' : 'cancelled'} by patient reply`, {
+        inboundMessageId: inbound.id,
+        appointmentId: match.appointment.id,
+        channel: message.channel,
+        matchMethod: match.method
+      });
+    } catch (error) {
+      logger.error('Failed to process inbound message', {
+        inboundMessageId: inbound.id,
+        error: error.message
+      });
+      await inbound.markFailed(error);
+    }
+
+    return inbound;
+  }
+
+  /**
+   * Match an inbound message to an appointment
+   * Order: confirmation token in the message, then sender phone (sms/whatsapp) or email.
+   * @returns {Promise<object>} { appointment, method, patientId, reason }
+   */
+  async matchAppointment(clinicDb, message) {
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+
+    const token = this.extractToken(message.body, message.subject);
+    if (token) {
+      const appointment = await Appointment.findOne({ where: { confirmation_token: token } });
+      if (appointment) {
+        if (appointment.confirmation_token_expires_at &&
+            new Date() > new Date(appointment.confirmation_token_expires_at)) {
+          return { appointment: null, patientId: appointment.patient_id, reason: 'Confirmation token expired' };
+        }
+        return { appointment, method: 'token', patientId: appointment.patient_id };
+      }
+    }
+
+    let patientIds = [];
+    let method;
+
+    if (message.channel === 'email') {
+      patientIds = await this.findPatientIdsByEmail(clinicDb, message.from);
+      method = 'email';
+    } else {
+      patientIds = await this.findPatientIdsByPhone(clinicDb, message.from);
+      method = 'phone';
+    }
+
+    if (patientIds.length === 0) {
+      return { appointment: null, reason: `No patient found for ${message.from}` };
+    }
+
+    const appointments = await clinicDb.query(`
+      SELECT id, patient_id
+      FROM appointments
+      WHERE patient_id IN (:patientIds)
+        AND status IN (:statuses)
+        AND appointment_date >= CURRENT_DATE
+      ORDER BY appointment_date ASC, start_time ASC
+    `, {
+      replacements: { patientIds, statuses: ACTIVE_STATUSES },
+      type: QueryTypes.SELECT
+    });
+
+    if (appointments.length === 0) {
+      return {
+        appointment: null,
+        patientId: patientIds.length === 1 ? patientIds[0] : null,
+        reason: 'No upcoming appointment for this patient'
+      };
+    }
+
+    // A phone shared by several patients with upcoming appointments is ambiguous
+    const distinctPatients = [...new Set(appointments.map(a => a.patient_id))];
+    if (distinctPatients.length > 1) {
+      return { appointment: null, reason: 'Several patients with upcoming appointments share this contact' };
+    }
+
+    const appointment = await Appointment.findByPk(appointments[0].id);
+    return { appointment, method, patientId: appointment.patient_id };
+  }
+
+  /**
+   * Find active patients whose phone or mobile matches the sender number
+   * Numbers are compared on their last 9 digits so local and international
+   * formats (06..., +336..., 0033 6...) match each other.
+   */
+  async findPatientIdsByPhone(clinicDb, from) {
+    const settings = await messagingService.getMessagingSettings(clinicDb);
+    const normalized = messagingService.normalizePhone(from, settings.defaultCountryCode);
+    if (!normalized) return [];
+
+    const suffix = normalized.replace(/\D/g, '').slice(-9);
+
+    const rows = await clinicDb.query(`
+      SELECT id FROM patients
+      WHERE is_active = true
+        AND (
+          regexp_replace(COALESCE(phone, ''), '\\D', '', 'g') LIKE :pattern
+          OR regexp_replace(COALESCE(mobile, ''), '\\D', '', 'g') LIKE :pattern
+        )
+    `, {
+      replacements: { pattern: `%${suffix}` },
+      type: QueryTypes.SELECT
+    });
+
+    return rows.map(r => r.id);
+  }
+
+  /**
+   * Find active patients by email address (sender of an email reply)
+   */
+  async findPatientIdsByEmail(clinicDb, from) {
+    const match = String(from || '').match(/[^\s<>"]+@[^\s<>"]+/);
+    if (!match) return [];
+
+    const rows = await clinicDb.query(`
+      SELECT id FROM patients
+      WHERE is_active = true AND LOWER(email) = LOWER(:email)
+    `, {
+      replacements: { email: match[0] },
+      type: QueryTypes.SELECT
+    });
+
+    return rows.map(r => r.id);
+  }
+
+  /**
+   * Apply a confirm / cancel intent to an appointment through the state machine
+   * @param {Sequelize} clinicDb
+   * @param {Model} appointment
+   * @param {string} intent - 'confirm' | 'cancel'
+   * @param {string} channel - Channel the reply came from
+   * @param {string} userId - Staff member applying it manually (null for patient replies)
+   * @returns {Promise<object>} Processing result
+   */
+  async applyIntent(clinicDb, appointment, intent, channel, userId = null) {
+    const previousStatus = appointment.status;
+
+    if (intent === 'confirm') {
+      if (previousStatus === 'confirmed') {
+        return { action: 'confirm', previousStatus, newStatus: 'confirmed', alreadyInState: true };
+      }
+
+      await stateMachineService.transition(clinicDb, appointment.id, 'confirmed', userId, {
+        confirmedBy: 'patient'
+      });
+
+      await appointment.reload();
+      appointment.confirmation_token = null;
+      appointment.confirmation_token_expires_at = null;
+      await appointment.save();
+
+      return { action: 'confirm', previousStatus, newStatus: 'confirmed' };
+    }
+
+    if (intent === 'cancel') {
+      if (previousStatus === 'cancelled') {
+        return { action: 'cancel', previousStatus, newStatus: 'cancelled', alreadyInState: true };
+      }
+
+      await stateMachineService.transition(clinicDb, appointment.id, 'cancelled', userId, {
+        skipActions: ['*']
+      });
+
+      await appointment.reload();
+      appointment.notes = (appointment.notes || '') +
+        `\n[Patient Cancellation] Reply received by ${channel}`;
+      appointment.confirmation_token = null;
+      appointment.confirmation_token_expires_at = null;
+      await appointment.save();
+
+      return { action: 'cancel', previousStatus, newStatus: 'cancelled' };
+    }
+
+    throw new Error(`Unknown intent: ${intent}`);
+  }
+
+  /**
+   * Resolve an inbox message manually (reception staff)
+   * @param {Sequelize} clinicDb
+   * @param {string} messageId - InboundMessage ID
+   * @param {object} resolution - { appointmentId, intent, note }
+   * @param {string} userId
+   * @returns {Promise<Model>} Updated InboundMessage
+   */
+  async resolveManually(clinicDb, messageId, resolution, userId) {
+    const InboundMessage = await ModelFactory.getModel(clinicDb, 'InboundMessage');
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+
+    const inbound = await InboundMessage.findByPk(messageId);
+    if (!inbound) {
+      throw new Error(`Inbound message not found: ${messageId}`);
+    }
+
+    const { appointmentId, intent, note } = resolution;
+    let result = {};
+
+    if (appointmentId) {
+      const appointment = await Appointment.findByPk(appointmentId);
+      if (!appointment) {
+        throw new Error(`Appointment not found: ${appointmentId}`);
+      }
+
+      inbound.appointment_id = appointment.id;
+      inbound.patient_id = appointment.patient_id;
+      inbound.match_method = 'manual';
+
+      if (intent && intent !== 'unknown') {
+        inbound.intent = intent;
+        result = await this.applyIntent(clinicDb, appointment, intent, inbound.channel, userId);
+      }
+    }
+
+    inbound.processing_result = { ...inbound.processing_result, manual: result };
+    return await inbound.handle('resolved', userId, note);
+  }
+}
+
+module.exports = new InboundMessageService();
+module.exports.INTENT_KEYWORDS = INTENT_KEYWORDS;
@@ -0,0 +1,486 @@
+/**
+ * Insurance Billing Service — French health-insurance split (feuille de soins / tiers payant)
+ *
+ * - resolveCoverage(): insured coverage of a patient (NIR, AMO rate, complementary
+ *   insurer) with the presets of the coverage_type (ALD, maternité, AT/MP, AME, CSS)
+ * - applyCoverage(): split every line between the mandatory insurer (AMO), the
+ *   complementary insurer (AMC) and the patient (reste à charge) before the
+ *   document is saved by documentService
+ * - openClaims(): when an invoice in tiers payant is issued, one claim per
+ *   insurer for its share (receivable)
+ * - recordClaimPayment() / rejectClaim(): insurer payments go through the
+ *   document payment ledger (documentService) with the claim attached
+ * - listClaims() / getReceivables(): what each insurer still owes
+ * - generateCareSheet(): printable feuille de soins (pdfService)
+ *
+ * Split of a line with a reimbursement base (BR) per unit:
+ *   AMO = BR x qty x amo_rate
+ *   AMC = min(billed - AMO, BR x qty x amc_coverage - AMO), amc_coverage in % of the BR
+ *   patient = billed - AMO - AMC
+ * Lines without a reimbursement base are paid by the patient.
+ */
+
+const { Op } = require('sequelize');
+const { getModel } = require('../base/ModelFactory');
+const { logger } = require('../utils/logger');
+const { round2 } = require('../utils/money');
+const documentService = require('./documentService');
+const pdfService = require('./pdfService');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('./auditService');
+const { CLAIM_STATUS } = require('../models/clinic/InsuranceClaim');
+
+// Taux de remboursement of a consultation by the Assurance Maladie
+const DEFAULT_AMO_RATE = 70;
+
+const DEFAULT_AMO_INSURER = 'Assurance Maladie';
+
+/**
+ * Coverage situations exonerating the ticket modérateur (AMO 100 %) or
+ * switching on tiers payant, keyed by Patient.coverage_type (normalized)
+ */
+const COVERAGE_PRESETS = {
+  // Affection de longue durée
+  ald: { exemption: true },
+  maternite: { exemption: true },
+  // Accident du travail / maladie professionnelle: tiers payant on the AMO part
+  at_mp: { exemption: true, thirdPartyMode: 'amo' },
+  // Aide médicale de l'État
+  ame: { exemption: true, thirdPartyMode: 'amo' },
+  // Complémentaire santé solidaire: ticket modérateur paid by the AMC, full tiers payant
+  css: { amcCoverage: 100, thirdPartyMode: 'amo_amc' }
+};
+
+function normalizeCoverageType(value) {
+  if (!value) return null;
+  return value.toString().trim().toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\s/-]+/g, '_');
+}
+
+// ============================================================================
+// Split calculation
+// ============================================================================
+
+/**
+ * Insured coverage used to split a document.
+ *
+ * @param {Object|null} patient - Patient record (social_security, insurance_provider, mutual_insurance,
+ *   mutual_number, coverage_type)
+ * @param {Object} [input] - { thirdPartyMode, amoRate, amcCoverage, coverageType,
+ *   amoInsurer: { name, code }, amcInsurer: { name, code, memberNumber } } (overrides the patient)
+ * @returns {Object} - { socialSecurity, coverageType, exemption, amoRate, amcCoverage, thirdPartyMode,
+ *   amoInsurer, amcInsurer }
+ */
+function resolveCoverage(patient, input = {}) {
+  const coverageType = normalizeCoverageType(input.coverageType || patient?.coverage_type);
+  const preset = COVERAGE_PRESETS[coverageType] || {};
+  const exemption = preset.exemption === true;
+
+  const amcName = input.amcInsurer?.name || patient?.mutual_insurance || null;
+  const amcInsurer = amcName
+    ? {
+      name: amcName,
+      code: input.amcInsurer?.code || null,
+      memberNumber: input.amcInsurer?.memberNumber || patient?.mutual_number || null
+    }
+    : null;
+
+  const thirdPartyMode = input.thirdPartyMode || preset.thirdPartyMode || 'none';
+  if (thirdPartyMode === 'amo_amc' && !amcInsurer) {
+    throw new Error('Tiers payant on the complementary part requires a complementary insurer');
+  }
+
+  return {
+    socialSecurity: patient?.social_security || null,
+    coverageType,
+    exemption,
+    amoRate: exemption ? 100 : parseFloat(input.amoRate ?? DEFAULT_AMO_RATE),
+    amcCoverage: amcInsurer ? parseFloat(input.amcCoverage ?? preset.amcCoverage ?? 100) : 0,
+    thirdPartyMode,
+    amoInsurer: {
+      name: input.amoInsurer?.name || patient?.insurance_provider || DEFAULT_AMO_INSURER,
+      code: input.amoInsurer?.code || null
+    },
+    amcInsurer
+  };
+}
+
+/**
+ * Split one line between AMO, AMC and the patient
+ * @param {Object} item - { quantity, unitPrice, discountPercent, taxRate, reimbursementBase, amoRate }
+ * @param {Object} coverage - resolveCoverage() result
+ * @returns {Object} - { amo_rate, amo_amount, amc_amount, patient_amount }
+ */
+function splitLine(item, coverage) {
+  const { lineNetAmount, taxAmount } = documentService.calculateLineAmounts(item);
+  const billed = round2(lineNetAmount + taxAmount);
+  const unitBase = item.reimbursementBase ?? item.reimbursement_base;
+
+  if (unitBase === undefined || unitBase === null || unitBase === '') {
+    return { amo_rate: null, amo_amount: 0, amc_amount: 0, patient_amount: billed };
+  }
+
+  const lineRate = item.amoRate ?? item.amo_rate;
+  const rate = coverage.exemption ? 100 : parseFloat(lineRate ?? coverage.amoRate);
+  const base = round2((parseFloat(unitBase) || 0) * (parseFloat(item.quantity) || 0));
+
+  const amo = Math.min(round2(base * rate / 100), billed);
+  const amcCap = round2(base * (coverage.amcCoverage || 0) / 100) - amo;
+  const amc = round2(Math.max(0, Math.min(amcCap, billed - amo)));
+
+  return {
+    amo_rate: rate,
+    amo_amount: amo,
+    amc_amount: amc,
+    patient_amount: round2(billed - amo - amc)
+  };
+}
+
+/**
+ * Add the insurance split to document data (items and totals) before it is
+ * saved. A null coverage clears the split.
+ *
+ * @param {Object} data - Document data including items[]
+ * @param {Object|null} coverage - resolveCoverage() result
+ * @returns {Object} - data with split items, third_party_mode, amo_total, amc_total,
+ *   patient_share_total, insurance_details
+ */
+function applyCoverage(data, coverage) {
+  const items = data.items || [];
+
+  if (!coverage) {
+    return {
+      ...data,
+      items: items.map(({ amoRate, ...item }) => ({
+        ...item, amo_rate: null, amo_amount: null, amc_amount: null, patient_amount: null
+      })),
+      third_party_mode: 'none',
+      amo_total: null,
+      amc_total: null,
+      patient_share_total: null,
+      insurance_details: null
+    };
+  }
+
+  const discountType = data.discountType || data.discount_type || 'none';
+  const discountValue = parseFloat(data.discountValue || data.discount_value) || 0;
+  if (discountType !== 'none' && discountValue > 0) {
+    throw new Error('A global discount cannot be combined with insurance billing');
+  }
+
+  const totals = { amo: 0, amc: 0, patient: 0 };
+  const splitItems = items.map(({ amoRate, ...item }) => {
+    const split = splitLine({ ...item, amoRate }, coverage);
+    totals.amo += split.amo_amount;
+    totals.amc += split.amc_amount;
+    totals.patient += split.patient_amount;
+    return { ...item, ...split };
+  });
+
+  const { thirdPartyMode, ...details } = coverage;
+  return {
+    ...data,
+    items: splitItems,
+    third_party_mode: thirdPartyMode,
+    amo_total: round2(totals.amo),
+    amc_total: round2(totals.amc),
+    patient_share_total: round2(totals.patient),
+    insurance_details: details
+  };
+}
+
+/**
+ * Coverage stored on a document (to split it again when its lines change)
+ */
+function coverageFromDocument(doc) {
+  if (!doc.insurance_details) return null;
+  return { ...doc.insurance_details, thirdPartyMode: doc.third_party_mode || 'none' };
+}
+
+// ============================================================================
+// Claims (tiers-payant receivable)
+// ============================================================================
+
+async function audit(actor, eventType, claim, action, changes = null) {
+  if (!actor) return;
+  await auditService.logAudit({
+    userId: actor.userId,
+    companyId: actor.companyId,
+    eventType,
+    resourceType: 'InsuranceClaim',
+    resourceId: claim.id,
+    action,
+    changes,
+    ip: actor.ip,
+    userAgent: actor.userAgent
+  });
+}
+
+/**
+ * Open the claims of an invoice issued in tiers payant (one per insurer with a
+ * share). Must run in the transaction that issues the invoice. Idempotent.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {Object} doc - Document record
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Array>} - Claims created
+ */
+async function openClaims(clinicDb, doc, options = {}) {
+  if (doc.document_type !== 'invoice' || !doc.third_party_mode || doc.third_party_mode === 'none') {
+    return [];
+  }
+
+  const InsuranceClaim = await getModel(clinicDb, 'InsuranceClaim');
+  const { transaction } = options;
+  const details = doc.insurance_details || {};
+
+  const candidates = [];
+  if (parseFloat(doc.amo_total) > 0) {
+    candidates.push({
+      insurer_type: 'amo',
+      insurer_name: details.amoInsurer?.name || DEFAULT_AMO_INSURER,
+      insurer_code: details.amoInsurer?.code || null,
+      member_number: details.socialSecurity || null,
+      amount_claimed: doc.amo_total
+    });
+  }
+  if (doc.third_party_mode === 'amo_amc' && parseFloat(doc.amc_total) > 0) {
+    candidates.push({
+      insurer_type: 'amc',
+      insurer_name: details.amcInsurer?.name,
+      insurer_code: details.amcInsurer?.code || null,
+      member_number: details.amcInsurer?.memberNumber || null,
+      amount_claimed: doc.amc_total
+    });
+  }
+
+  const existing = await InsuranceClaim.findAll({
+    where: { document_id: doc.id },
+    attributes: ['insurer_type'],
+    transaction
+  });
+  const opened = new Set(existing.map(c => c.insurer_type));
+
+  const toCreate = candidates
+    .filter(c => !opened.has(c.insurer_type))
+    .map(c => ({ ...c, facility_id: doc.facility_id, document_id: doc.id }));
+  if (toCreate.length === 0) return [];
+
+  const claims = await InsuranceClaim.bulkCreate(toCreate, { transaction });
+
+  logger.info('Insurance claims opened', {
+    documentId: doc.id,
+    documentNumber: doc.document_number,
+    claims: claims.map(c => ({ insurer: c.insurer_type, amount: c.amount_claimed }))
+  });
+
+  return claims;
+}
+
+async function loadClaim(clinicDb, facilityId, claimId, options = {}) {
+  const InsuranceClaim = await getModel(clinicDb, 'InsuranceClaim');
+  const claim = await InsuranceClaim.findOne({
+    where: { id: claimId, facility_id: facilityId },
+    ...options
+  });
+  if (!claim) throw new Error('Insurance claim not found');
+  return claim;
+}
+
+/**
+ * Record a payment of the insurer on its claim (document payment ledger)
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} facilityId
+ * @param {string} claimId
+ * @param {Object} data - { amount, paymentDate, paymentMethod, reference, notes }
+ * @param {Object} [actor] - Audit context { userId, companyId, ip, userAgent }
+ * @returns {Promise<Object>} - { payment, claim, document }
+ */
+async function recordClaimPayment(clinicDb, facilityId, claimId, data, actor) {
+  const claim = await loadClaim(clinicDb, facilityId, claimId);
+
+  const { payment, document } = await documentService.addPayment(clinicDb, claim.document_id, {
+    ...data,
+    payerType: 'insurer',
+    payerName: claim.insurer_name,
+    insuranceClaimId: claim.id
+  }, actor?.userId);
+
+  await claim.reload();
+
+  await audit(actor, AUDIT_EVENTS.INSURANCE_CLAIM_PAYMENT_RECORDED, claim,
+    `Recorded ${payment.amount} from ${claim.insurer_name} on invoice ${document.document_number}`,
+    { before: null, after: { paymentId: payment.id, amount: payment.amount, status: claim.status } });
+
+  return { payment, claim, document };
+}
+
+/**
+ * Reject the outstanding part of a claim. The amount stays due on the invoice:
+ * it is now owed by the patient.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} facilityId
+ * @param {string} claimId
+ * @param {Object} data - { reason }
+ * @param {Object} [actor] - Audit context
+ * @returns {Promise<Object>} - Updated claim
+ */
+async function rejectClaim(clinicDb, facilityId, claimId, data, actor) {
+  const claim = await clinicDb.transaction(async (t) => {
+    const locked = await loadClaim(clinicDb, facilityId, claimId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (locked.status === CLAIM_STATUS.REJECTED) throw new Error('Insurance claim is already rejected');
+    if (locked.status === CLAIM_STATUS.PAID) throw new Error('A paid insurance claim cannot be rejected');
+
+    await locked.update({
+      status: CLAIM_STATUS.REJECTED,
+      rejected_at: new Date(),
+      rejection_reason: data.reason
+    }, { transaction: t });
+    return locked;
+  });
+
+  await audit(actor, AUDIT_EVENTS.INSURANCE_CLAIM_REJECTED, claim,
+    `Rejected claim of ${claim.insurer_name}: ${data.reason}`,
+    { before: null, after: { status: claim.status, reason: data.reason } });
+
+  return claim;
+}
+
+/**
+ * List the claims of the clinic (newest first)
+ * @param {Object} filters - { page, limit, status, insurerType, insurerName, documentId }
+ * @returns {Promise<Object>} - { claims, total, page, limit }
+ */
+async function listClaims(clinicDb, facilityId, filters = {}) {
+  const InsuranceClaim = await getModel(clinicDb, 'InsuranceClaim');
+  const Document = await getModel(clinicDb, 'Document');
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+
+  const where = { facility_id: facilityId };
+  if (filters.status) where.status = filters.status;
+  if (filters.insurerType) where.insurer_type = filters.insurerType;
+  if (filters.insurerName) where.insurer_name = { [Op.iLike]: `%${filters.insurerName}%` };
+  if (filters.documentId) where.document_id = filters.documentId;
+
+  const { rows, count } = await InsuranceClaim.findAndCountAll({
+    where,
+    include: [{
+      model: Document,
+      as: 'document',
+      attributes: ['id', 'document_number', 'buyer_name', 'issue_date', 'status', 'patient_id']
+    }],
+    order: [['created_at', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { claims: rows, total: count, page, limit };
+}
+
+/**
+ * What each insurer still owes (open and partially paid claims)
+ * @param {Object} [filters] - { insurerType }
+ * @returns {Promise<Object>} - { insurers: [{ insurerType, insurerName, insurerCode, claimCount,
+ *   claimed, paid, outstanding, oldestClaimAt }], totals: { claimCount, claimed, paid, outstanding } }
+ */
+async function getReceivables(clinicDb, facilityId, filters = {}) {
+  const replacements = { facilityId, statuses: [CLAIM_STATUS.OPEN, CLAIM_STATUS.PARTIAL] };
+  let insurerFilter = '';
+  if (filters.insurerType) {
+    insurerFilter = 'AND c.insurer_type = :insurerType';
+    replacements.insurerType = filters.insurerType;
+  }
+
+  const [rows] = await clinicDb.query(`
+    SELECT
+      c.insurer_type,
+      c.insurer_name,
+      c.insurer_code,
+      COUNT(*)::int AS claim_count,
+      COALESCE(SUM(c.amount_claimed), 0) AS claimed,
+      COALESCE(SUM(c.amount_paid), 0) AS paid,
+      COALESCE(SUM(c.amount_claimed - c.amount_paid), 0) AS outstanding,
+      MIN(c.created_at) AS oldest_claim_at
+    FROM insurance_claims c
+    JOIN documents d ON d.id = c.document_id
+    WHERE c.facility_id = :facilityId
+      AND c.status IN (:statuses)
+      AND d.deleted_at IS NULL
+      ${insurerFilter}
+    GROUP BY c.insurer_type, c.insurer_name, c.insurer_code
+    ORDER BY outstanding DESC
+  `, { replacements });
+
+  const insurers = rows.map(r => ({
+    insurerType: r.insurer_type,
+    insurerName: r.insurer_name,
+    insurerCode: r.insurer_code,
+    claimCount: r.claim_count,
+    claimed: round2(parseFloat(r.claimed)),
+    paid: round2(parseFloat(r.paid)),
+    outstanding: round2(parseFloat(r.outstanding)),
+    oldestClaimAt: r.oldest_claim_at
+  }));
+
+  const totals = insurers.reduce((acc, r) => ({
+    claimCount: acc.claimCount + r.claimCount,
+    claimed: round2(acc.claimed + r.claimed),
+    paid: round2(acc.paid + r.paid),
+    outstanding: round2(acc.outstanding + r.outstanding)
+  }), { claimCount: 0, claimed: 0, paid: 0, outstanding: 0 });
+
+  return { insurers, totals };
+}
+
+// ============================================================================
+// Feuille de soins
+// ============================================================================
+
+/**
+ * Printable feuille de soins of a split invoice
+ * @param {Sequelize} clinicDb
+ * @param {Object} doc - Document record
+ * @param {Array} items - Document items
+ * @param {Object} [options] - { billingSettings }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateCareSheet(clinicDb, doc, items, options = {}) {
+  if (!doc.insurance_details) throw new Error('Document is not billed to health insurance');
+
+  let practitioner = null;
+  if (doc.practitioner_id) {
+    const HealthcareProvider = await getModel(clinicDb, 'HealthcareProvider');
+    practitioner = await HealthcareProvider.findByPk(doc.practitioner_id);
+  }
+
+  let patient = null;
+  if (doc.patient_id) {
+    const Patient = await getModel(clinicDb, 'Patient');
+    patient = await Patient.findByPk(doc.patient_id);
+  }
+
+  return pdfService.generateCareSheetPDF(doc, items, {
+    billingSettings: options.billingSettings,
+    practitioner,
+    patient
+  });
+}
+
+module.exports = {
+  resolveCoverage,
+  splitLine,
+  applyCoverage,
+  coverageFromDocument,
+  openClaims,
+  recordClaimPayment,
+  rejectClaim,
+  listClaims,
+  getReceivables,
+  generateCareSheet,
+  COVERAGE_PRESETS,
+  DEFAULT_AMO_RATE
+};
@@ -5,16 +5,67 @@
  * - Polls for due jobs
  * - Executes jobs based on type
  * - Handles retries and failures
+ * - Delivers pending message outbox entries (retries with backoff)
+ * - Expires waiting list offers and re-offers their slots
+ * - Marks overdue invoices and sends the dunning steps due
+ * - Warns practitioners of chronic prescriptions reaching their end
+ * - Reloads the medication catalog (CIMA) daily, on its own cron
  *
  * Can be triggered by:
- * - Internal node-cron (if enabled)
+ * - Internal node-cron (if enabled), iterating every provisioned clinic
  * - External endpoint /api/internal/scheduler/process
  * - Manual invocation
  */
 
+const { QueryTypes } = require('sequelize');
 const { logger } = require('../utils/logger');
 const ModelFactory = require('../base/ModelFactory');
+const { initializeCentralConnection, getClinicConnection } = require('../config/connectionManager');
 const actionExecutorService = require('./appointmentActionExecutorService');
+const messageOutboxService = require('./messageOutboxService');
+const waitlistService = require('./waitlistService');
+const dunningService = require('./dunningService');
+const prescriptionRenewalService = require('./prescriptionRenewalService');
+const medicationCatalogStore = require('./medication/medicationCatalogStore');
+const { getCachedCimaProvider } = require('./medication/CachedMedicationProvider');
+
+// Advisory lock key (locks are scoped per database, i.e. per clinic)
+const SCHEDULER_LOCK_KEY = 'medicalpro:job_scheduler';
+
+const DEFAULT_CLINIC_CONCURRENCY = 3;
+const DEFAULT_JOB_CONCURRENCY = 1;
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_CATALOG_WARMUP_CRON = '30 3 * * *';
+
+/**
+ * Parse a positive integer setting, falling back to a default
+ */
+function parsePositiveInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : defaultValue;
+}
+
+/**
+ * Run an async worker over items with at most `limit` running at once
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} worker - async (item) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
 
 /**
  * Job Scheduler Service
@@ -23,6 +74,7 @@ class JobSchedulerService {
   constructor() {
     this.isProcessing = false;
     this.cronJob = null;
+    this.catalogCronJob = null;
   }
 
   /**
@@ -44,6 +96,14 @@ class JobSchedulerService {
       });
 
       logger.info(`Job scheduler cron started with expression: ${cronExpression}`);
+
+      if (process.env.MEDICATION_CATALOG_ENABLED !== 'false') {
+        const catalogCron = process.env.MEDICATION_CATALOG_WARMUP_CRON || DEFAULT_CATALOG_WARMUP_CRON;
+        this.catalogCronJob = cron.schedule(catalogCron, async () => {
+          await this.warmMedicationCatalog();
+        });
+        logger.info(`Medication catalog warm-up scheduled with expression: ${catalogCron}`);
+      }
     } catch (error) {
       logger.error('Failed to start job scheduler cron:', error);
     }
@@ -58,11 +118,43 @@ class JobSchedulerService {
       this.cronJob = null;
       logger.info('Job scheduler cron stopped');
     }
+    if (this.catalogCronJob) {
+      this.catalogCronJob.stop();
+      this.catalogCronJob = null;
+    }
+  }
+
+  /**
+   * Reload the medication catalog from CIMA
+   * Guarded by an advisory lock on the central database: when several
+   * instances fire the cron, only one of them downloads the catalog.
+   * @returns {Promise<object>} Warm-up summary ({ skipped } if locked elsewhere)
+   */
+  async warmMedicationCatalog() {
+    try {
+      const { locked, result } = await medicationCatalogStore.withWarmupLock(() =>
+        getCachedCimaProvider().warmUp()
+      );
+
+      if (!locked) {
+        logger.debug('Medication catalog warm-up running on another instance, skipping');
+        return { skipped: true };
+      }
+
+      logger.info(`Medication catalog warmed up: ${result.medications} medications in ${result.pages} pages (${result.durationMs} ms)`);
+      return result;
+    } catch (error) {
+      logger.error('Medication catalog warm-up failed:', error);
+      return { error: error.message };
+    }
   }
 
   /**
    * Process jobs for all clinics
-   * Used when processing from a central scheduler
+   * Called by the cron on every instance. Each clinic is guarded by an
+   * advisory lock (see processDueJobs), so when several PM2 instances run
+   * the same cycle each clinic is processed by exactly one of them.
+   * @returns {Promise<object|undefined>} Cycle summary (undefined if skipped)
    */
   async processAllClinics() {
     if (this.isProcessing) {
@@ -71,15 +163,45 @@ class JobSchedulerService {
     }
 
     this.isProcessing = true;
+    const startedAt = Date.now();
 
     try {
-      // In a multi-tenant setup, we'd iterate over all clinic databases
-      // For now, this is a placeholder that would be called with specific clinicDb
-      logger.debug('Job scheduler cycle started');
+      const clinics = await this.getProvisionedClinics();
+      const concurrency = parsePositiveInt(process.env.JOB_SCHEDULER_CLINIC_CONCURRENCY, DEFAULT_CLINIC_CONCURRENCY);
+
+      logger.debug(`Job scheduler cycle started for ${clinics.length} clinics`);
+
+      const results = await runWithConcurrency(clinics, concurrency, async (clinic) => {
+        try {
+          const clinicDb = await getClinicConnection(clinic.id);
+          const result = await this.processDueJobs(clinicDb, {
+            clinicId: clinic.id,
+            clinicName: clinic.name || 'MedicalPro',
+            baseUrl: process.env.FRONTEND_URL || 'http://localhost:3000'
+          });
+
+          return { clinicId: clinic.id, ...result };
+        } catch (error) {
+          logger.error(`Job scheduler failed for clinic ${clinic.id}:`, error);
+          return { clinicId: clinic.id, error: error.message };
+        }
+      });
 
-      // This would typically be called per-clinic from the route handler
-      // which has access to the specific clinic database connection
+      const summary = {
+        clinics: clinics.length,
+        skipped: results.filter(r => r.skipped).length,
+        errors: results.filter(r => r.error).length,
+        processed: results.reduce((sum, r) => sum + (r.processed || 0), 0),
+        successful: results.reduce((sum, r) => sum + (r.successful || 0), 0),
+        failed: results.reduce((sum, r) => sum + (r.failed || 0), 0),
+        durationMs: Date.now() - startedAt
+      };
 
+      if (summary.processed > 0 || summary.errors > 0) {
+        logger.info(`Job scheduler cycle: ${summary.processed} jobs in ${summary.clinics} clinics (${summary.failed} failed, ${summary.errors} clinic errors, ${summary.skipped} locked elsewhere)`);
+      }
+
+      return summary;
     } catch (error) {
       logger.error('Error in job scheduler cycle:', error);
     } finally {
@@ -87,35 +209,110 @@ class JobSchedulerService {
     }
   }
 
+  /**
+   * List clinics whose database is provisioned and active
+   * @returns {Promise<Array<{id: string, name: string}>>}
+   */
+  async getProvisionedClinics() {
+    const centralDb = await initializeCentralConnection();
+
+    return await centralDb.query(`
+      SELECT id, name
+      FROM companies
+      WHERE clinic_db_provisioned = true
+        AND is_active = true
+        AND deleted_at IS NULL
+      ORDER BY created_at ASC
+    `, { type: QueryTypes.SELECT });
+  }
+
+  /**
+   * Run a function while holding the clinic scheduler lock
+   * Uses a transaction-level Postgres advisory lock: it is released
+   * automatically on commit/rollback or if the connection dies.
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {Function} fn - Work to run under the lock
+   * @returns {Promise<{locked: boolean, result?: any}>}
+   */
+  async withClinicLock(clinicDb, fn) {
+    return await clinicDb.transaction(async (transaction) => {
+      const [row] = await clinicDb.query(
+        'SELECT pg_try_advisory_xact_lock(hashtext(:key)) AS locked',
+        { replacements: { key: SCHEDULER_LOCK_KEY }, type: QueryTypes.SELECT, transaction }
+      );
+
+      if (!row || !row.locked) {
+        return { locked: false };
+      }
+
+      return { locked: true, result: await fn() };
+    });
+  }
+
   /**
    * Process due jobs for a specific clinic
+   * Skipped if another scheduler instance already holds the clinic lock.
    * @param {Sequelize} clinicDb - Clinic database connection
    * @param {object} context - Execution context
    * @returns {Promise<object>} Processing results
    */
   async processDueJobs(clinicDb, context = {}) {
+    const { locked, result } = await this.withClinicLock(clinicDb, () =>
+      this.processDueJobsLocked(clinicDb, context)
+    );
+
+    if (!locked) {
+      logger.debug(`Scheduler lock held by another instance${context.clinicId ? ` for clinic ${context.clinicId}` : ''}, skipping`);
+      return {
+        skipped: true,
+        processed: 0,
+        successful: 0,
+        failed: 0,
+        results: []
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Process due jobs (caller must hold the clinic lock)
+   * Jobs run with at most JOB_SCHEDULER_JOB_CONCURRENCY in parallel and
+   * JOB_SCHEDULER_BATCH_SIZE per cycle; the remainder waits for the next cycle.
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} context - Execution context
+   * @returns {Promise<object>} Processing results
+   */
+  async processDueJobsLocked(clinicDb, context = {}) {
     const ScheduledJob = await ModelFactory.getModel(clinicDb, 'ScheduledJob');
 
+    await ScheduledJob.releaseStale();
+
     // Find all due jobs
-    const dueJobs = await ScheduledJob.findDueJobs({ limit: 50 });
+    const dueJobs = await ScheduledJob.findDueJobs({
+      limit: parsePositiveInt(process.env.JOB_SCHEDULER_BATCH_SIZE, DEFAULT_BATCH_SIZE)
+    });
 
     if (dueJobs.length === 0) {
       return {
         processed: 0,
         successful: 0,
         failed: 0,
-        results: []
+        results: [],
+        waitlist: await this.processWaitlist(clinicDb, context),
+        dunning: await this.processDunning(clinicDb),
+        prescriptionExpiry: await this.processPrescriptionExpiry(clinicDb),
+        outbox: await this.processOutbox(clinicDb)
       };
     }
 
     logger.info(`Found ${dueJobs.length} due jobs to process`);
 
-    const results = [];
-
-    for (const job of dueJobs) {
-      const result = await this.executeJob(clinicDb, job, context);
-      results.push(result);
-    }
+    const results = await runWithConcurrency(
+      dueJobs,
+      parsePositiveInt(process.env.JOB_SCHEDULER_JOB_CONCURRENCY, DEFAULT_JOB_CONCURRENCY),
+      (job) => this.executeJob(clinicDb, job, context)
+    );
 
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
@@ -126,10 +323,73 @@ class JobSchedulerService {
       processed: dueJobs.length,
       successful,
       failed,
-      results
+      results,
+      waitlist: await this.processWaitlist(clinicDb, context),
+      dunning: await this.processDunning(clinicDb),
+      prescriptionExpiry: await this.processPrescriptionExpiry(clinicDb),
+      outbox: await this.processOutbox(clinicDb)
     };
   }
 
+  /**
+   * Expire waiting list offers past their deadline and offer their slots to the next patients
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} context - Execution context (clinicId, baseUrl)
+   * @returns {Promise<object>} Waitlist processing summary
+   */
+  async processWaitlist(clinicDb, context = {}) {
+    try {
+      return await waitlistService.processExpirations(clinicDb, context);
+    } catch (error) {
+      logger.error('Error processing waiting list offers:', error);
+      return { expiredOffers: 0, expiredEntries: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Mark overdue invoices and send the dunning steps due (billing_settings.dunning)
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @returns {Promise<object>} Dunning summary
+   */
+  async processDunning(clinicDb) {
+    try {
+      return await dunningService.processDunning(clinicDb);
+    } catch (error) {
+      logger.error('Error processing invoice dunning:', error);
+      return { markedOverdue: 0, sent: 0, stopped: 0, failed: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Warn practitioners of the chronic prescriptions ending within
+   * PRESCRIPTION_EXPIRY_WARNING_DAYS days (each prescription once)
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @returns {Promise<object>} Expiry warning summary
+   */
+  async processPrescriptionExpiry(clinicDb) {
+    try {
+      return await prescriptionRenewalService.processExpiryWarnings(clinicDb);
+    } catch (error) {
+      logger.error('Error processing prescription expiry warnings:', error);
+      return { warned: 0, practitioners: 0, failed: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Deliver due message outbox entries for a clinic
+   * Runs after the jobs so messages queued by them go out in the same cycle.
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @returns {Promise<object>} Outbox processing summary
+   */
+  async processOutbox(clinicDb) {
+    try {
+      return await messageOutboxService.processDue(clinicDb);
+    } catch (error) {
+      logger.error('Error processing message outbox:', error);
+      return { processed: 0, sent: 0, failed: 0, retrying: 0, skipped: 0, error: error.message };
+    }
+  }
+
   /**
    * Execute a single job
    * @param {Sequelize} clinicDb - Clinic database connection
@@ -218,9 +478,14 @@ class JobSchedulerService {
     // Create and execute a reminder action
     const AppointmentAction = await ModelFactory.getModel(clinicDb, 'AppointmentAction');
 
+    const reminderActionTypes = {
+      whatsapp: 'whatsapp_reminder',
+      sms: 'sms_reminder'
+    };
+
     const action = await AppointmentAction.create({
       appointment_id: appointmentId,
-      action_type: channel === 'whatsapp' ? 'whatsapp_reminder' : 'confirmation_email',
+      action_type: reminderActionTypes[channel] || 'confirmation_email',
       trigger_type: 'automatic',
       status: 'scheduled',
       metadata: {
@@ -413,3 +678,4 @@ class JobSchedulerService {
 
 // Export singleton
 module.exports = new JobSchedulerService();
+module.exports.runWithConcurrency = runWithConcurrency;
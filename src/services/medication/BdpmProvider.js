@@ -0,0 +1,507 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const NodeCache = require('node-cache');
+const MedicationProvider = require('./MedicationProvider');
+const { logger } = require('../../utils/logger');
+
+/**
+ * French medication provider — Base de Données Publique des Médicaments (BDPM)
+ *
+ * The public BDPM flat files (tab separated, no header) are read from a local
+ * directory (BDPM_DATA_DIR) into an in-memory index:
+ * - CIS_bdpm.txt: medications (CIS code, name, form, routes, marketing status, holder)
+ * - CIS_COMPO_bdpm.txt: composition (active substances and their dosage)
+ * - CIS_CIP_bdpm.txt: presentations (CIP7 / CIP13 codes, reimbursement rate, price)
+ * - CIS_GENER_bdpm.txt: generic groups (princeps / generics)
+ *
+ * The files are downloaded by scripts/refresh-bdpm.js; the index is rebuilt
+ * when they change on disk. Posology, contraindications and interactions are
+ * sections 4.2, 4.3 and 4.5 of the RCP (summary of product characteristics)
+ * published for each CIS code, fetched on demand.
+ */
+
+const BDPM_FILES = {
+  specialties: 'CIS_bdpm.txt',
+  compositions: 'CIS_COMPO_bdpm.txt',
+  presentations: 'CIS_CIP_bdpm.txt',
+  generics: 'CIS_GENER_bdpm.txt'
+};
+
+const DEFAULT_DATA_DIR = path.join(process.cwd(), 'data', 'bdpm');
+const DEFAULT_DOC_URL = 'https://base-donnees-publique.medicaments.gouv.fr/affichageDoc.php';
+
+// How often the files are checked for a newer version (ms)
+const RELOAD_CHECK_INTERVAL = 5 * 60 * 1000;
+
+const GENERIC_TYPES = {
+  0: 'princeps',
+  1: 'generic',
+  2: 'complementary',
+  4: 'substitutable'
+};
+
+/**
+ * Decode a BDPM file: historically Windows-1252, UTF-8 in recent exports
+ */
+function decodeFile(buffer) {
+  const utf8 = buffer.toString('utf8');
+  return utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8;
+}
+
+/**
+ * Tab separated rows of a file (fields trimmed, blank lines skipped)
+ */
+function parseRows(content) {
+  return content
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map(line => line.split('\t').map(field => field.trim()));
+}
+
+/**
+ * Lowercase text without accents nor punctuation (search keys)
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * dd/mm/yyyy → yyyy-mm-dd
+ */
+function parseFrenchDate(value) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value || '');
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : null;
+}
+
+/**
+ * French price ("24,54", "1 080,31", legacy "1,080,31") → number
+ */
+function parsePrice(value) {
+  if (!value) return null;
+  const compact = value.replace(/\s/g, '');
+  const lastComma = compact.lastIndexOf(',');
+  const normalized = lastComma === -1
+    ? compact
+    : `${compact.slice(0, lastComma).replace(/[,.]/g, '')}.${compact.slice(lastComma + 1)}`;
+  const price = parseFloat(normalized);
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * "200 mg" → { amount: '200', unit: 'mg' }
+ */
+function splitDosage(dosage) {
+  const match = /^([\d.,]+)\s*(.*)$/.exec(dosage || '');
+  return match ? { amount: match[1], unit: match[2] } : { amount: '', unit: dosage || '' };
+}
+
+/**
+ * Build the in-memory index from the contents of the BDPM files
+ *
+ * @param {Object} contents - { specialties, compositions, presentations, generics } (decoded text)
+ * @returns {Object} - { medications: Map(cis → record), byCip: Map(cip → cis), groups: Map(id → group), loadedAt }
+ */
+function buildBdpmIndex(contents) {
+  const medications = new Map();
+
+  for (const row of parseRows(contents.specialties || '')) {
+    const [cis, name, form, routes, authorizationStatus, procedure, marketing, authorizationDate,
+      availabilityStatus, europeanNumber, holders, enhancedMonitoring] = row;
+    if (!/^\d{8}$/.test(cis)) continue;
+
+    medications.set(cis, {
+      cis,
+      name: name || '',
+      pharmaceuticalForm: form || '',
+      administrationRoutes: (routes || '').split(';').map(r => r.trim()).filter(Boolean),
+      authorizationStatus: authorizationStatus || '',
+      authorizationProcedure: procedure || '',
+      isMarketed: normalizeText(marketing) === 'commercialisee',
+      authorizationDate: parseFrenchDate(authorizationDate),
+      availabilityStatus: availabilityStatus || null,
+      europeanAuthorizationNumber: europeanNumber || null,
+      labName: holders || '',
+      enhancedMonitoring: normalizeText(enhancedMonitoring) === 'oui',
+      components: [],
+      presentations: [],
+      genericGroup: null
+    });
+  }
+
+  // Composition: a therapeutic fraction (FT) expresses the dose of its active
+  // substance (SA) as base, so it replaces the SA row with the same link number
+  const componentsByLink = new Map();
+  for (const row of parseRows(contents.compositions || '')) {
+    const [cis, element, substanceCode, substance, dosage, reference, nature, link] = row;
+    const med = medications.get(cis);
+    if (!med || !['SA', 'FT'].includes(nature)) continue;
+
+    const key = `${cis}:${element}:${link || substanceCode}`;
+    const existing = componentsByLink.get(key);
+    if (existing && !(existing.nature === 'SA' && nature === 'FT')) continue;
+
+    const component = { nature, substanceCode, name: substance || '', dosage: dosage || '', reference: reference || '', med };
+    componentsByLink.set(key, component);
+  }
+  for (const component of componentsByLink.values()) {
+    const { amount, unit } = splitDosage(component.dosage);
+    component.med.components.push({
+      name: component.name,
+      amount,
+      unit,
+      reference: component.reference,
+      substanceCode: component.substanceCode
+    });
+  }
+
+  const byCip = new Map();
+  for (const row of parseRows(contents.presentations || '')) {
+    const [cis, cip7, label, status, marketing, marketingDate, cip13, hospitalApproval, reimbursementRate, price] = row;
+    const med = medications.get(cis);
+    if (!med) continue;
+
+    med.presentations.push({
+      cip7: cip7 || null,
+      cip13: cip13 || null,
+      label: label || '',
+      status: status || '',
+      isMarketed: !normalizeText(marketing).includes('arret'),
+      marketingDate: parseFrenchDate(marketingDate),
+      hospitalApproval: normalizeText(hospitalApproval) === 'oui',
+      reimbursementRate: reimbursementRate ? reimbursementRate.replace(/\s/g, '') : null,
+      price: parsePrice(price)
+    });
+    if (cip7) byCip.set(cip7, cis);
+    if (cip13) byCip.set(cip13, cis);
+  }
+
+  const groups = new Map();
+  for (const row of parseRows(contents.generics || '')) {
+    const [groupId, label, cis, type] = row;
+    const med = medications.get(cis);
+    if (!groupId) continue;
+
+    const group = groups.get(groupId) || { id: groupId, label: label || '', members: [] };
+    group.members.push({ cis, type: GENERIC_TYPES[type] || 'generic' });
+    groups.set(groupId, group);
+    if (med) med.genericGroup = { id: groupId, label: label || '', type: GENERIC_TYPES[type] || 'generic' };
+  }
+
+  // Search keys: name and active substances
+  for (const med of medications.values()) {
+    med.searchKey = normalizeText(med.name);
+    med.searchWords = normalizeText(`${med.name} ${med.components.map(c => c.name).join(' ')}`).split(' ');
+  }
+
+  return { medications, byCip, groups, loadedAt: new Date() };
+}
+
+/**
+ * Content of a numbered section (e.g. '4.2') of an RCP page, until the next heading
+ * @param {string} html - RCP page (affichageDoc.php?typedoc=R)
+ * @param {string} number - Section number
+ * @returns {string|null} HTML content
+ */
+function extractRcpSection(html, number) {
+  const headingPattern = /<p[^>]*class="?AmmAnnexeTitre\d"?[^>]*>([\s\S]*?)<\/p>/gi;
+  const headings = [];
+  let match;
+  while ((match = headingPattern.exec(html)) !== null) {
+    const text = match[1].replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').trim();
+    headings.push({ text, start: match.index, end: match.index + match[0].length });
+  }
+
+  const index = headings.findIndex(h => h.text.startsWith(`${number}.`) || h.text.startsWith(`${number} `));
+  if (index === -1) return null;
+
+  const end = index + 1 < headings.length ? headings[index + 1].start : html.length;
+  const content = html.slice(headings[index].end, end).trim();
+  return content || null;
+}
+
+class BdpmProvider extends MedicationProvider {
+  /**
+   * @param {object} options - { dataDir, docUrl }
+   */
+  constructor(options = {}) {
+    super('FR');
+    this.dataDir = options.dataDir || process.env.BDPM_DATA_DIR || DEFAULT_DATA_DIR;
+    this.docUrl = options.docUrl || process.env.BDPM_DOC_URL || DEFAULT_DOC_URL;
+    this.index = null;
+    this.indexVersion = null;
+    this.lastCheck = 0;
+    this.loading = null;
+    this.sectionCache = new NodeCache({ stdTTL: 86400, checkperiod: 3600 });
+  }
+
+  /**
+   * Search medications by name, active substance or CIP code
+   * @param {string} query - Search term
+   * @param {object} options - { limit: 20 }
+   * @returns {Promise<Array>} Normalized medication results
+   */
+  async search(query, options = {}) {
+    const limit = options.limit || 20;
+    const index = await this._getIndex();
+    if (!index) return [];
+
+    const code = String(query || '').replace(/\s/g, '');
+    if (/^\d{7}$|^\d{13}$/.test(code)) {
+      const med = index.medications.get(index.byCip.get(code));
+      return med ? [this._normalizeSearchResult(med)] : [];
+    }
+    if (/^\d{8}$/.test(code)) {
+      const med = index.medications.get(code);
+      return med ? [this._normalizeSearchResult(med)] : [];
+    }
+
+    const terms = normalizeText(query).split(' ').filter(Boolean);
+    if (terms.length === 0) return [];
+
+    const phrase = terms.join(' ');
+    const matches = [];
+    for (const med of index.medications.values()) {
+      if (!terms.every(term => med.searchWords.some(word => word.startsWith(term)))) continue;
+      matches.push(med);
+    }
+
+    // Name starting with the query first, then marketed, then alphabetical
+    matches.sort((a, b) => {
+      const prefixA = a.searchKey.startsWith(phrase) ? 0 : 1;
+      const prefixB = b.searchKey.startsWith(phrase) ? 0 : 1;
+      if (prefixA !== prefixB) return prefixA - prefixB;
+      if (a.isMarketed !== b.isMarketed) return a.isMarketed ? -1 : 1;
+      return a.name.localeCompare(b.name, 'fr');
+    });
+
+    return matches.slice(0, limit).map(med => this._normalizeSearchResult(med));
+  }
+
+  /**
+   * Get full medication detail
+   * @param {string} cis - CIS code (8 digits)
+   * @returns {Promise<object|null>}
+   */
+  async getDetail(cis) {
+    const index = await this._getIndex();
+    const med = index && index.medications.get(String(cis));
+    return med ? this._normalizeDetail(med, index) : null;
+  }
+
+  /**
+   * Get posology section (4.2 of the RCP)
+   * @param {string} cis
+   * @returns {Promise<string|null>} HTML content
+   */
+  async getPosology(cis) {
+    return this._getSection(cis, '4.2');
+  }
+
+  /**
+   * Get interactions section (4.5 of the RCP)
+   * @param {string} cis
+   * @returns {Promise<string|null>} HTML content
+   */
+  async getInteractions(cis) {
+    return this._getSection(cis, '4.5');
+  }
+
+  /**
+   * Get contraindications section (4.3 of the RCP)
+   * @param {string} cis
+   * @returns {Promise<string|null>} HTML content
+   */
+  async getContraindications(cis) {
+    return this._getSection(cis, '4.3');
+  }
+
+  /**
+   * Rebuild the index from the files on disk
+   * @returns {Promise<object>} - { medications, presentations, genericGroups, loadedAt }
+   */
+  async refresh() {
+    this.index = null;
+    this.indexVersion = null;
+    this.lastCheck = 0;
+    const index = await this._getIndex();
+    if (!index) {
+      throw new Error(`BDPM files not found in ${this.dataDir}`);
+    }
+    return this.getStats();
+  }
+
+  /**
+   * Size of the loaded index (null when not loaded)
+   */
+  getStats() {
+    if (!this.index) return null;
+    return {
+      medications: this.index.medications.size,
+      presentations: [...this.index.medications.values()].reduce((n, med) => n + med.presentations.length, 0),
+      genericGroups: this.index.groups.size,
+      loadedAt: this.index.loadedAt
+    };
+  }
+
+  /**
+   * Loaded index, rebuilt when the files changed on disk
+   * Concurrent callers share the same load.
+   * @private
+   */
+  async _getIndex() {
+    if (this.index && Date.now() - this.lastCheck < RELOAD_CHECK_INTERVAL) {
+      return this.index;
+    }
+    if (!this.loading) {
+      this.loading = this._loadIfChanged().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * @private
+   */
+  async _loadIfChanged() {
+    this.lastCheck = Date.now();
+
+    let version;
+    try {
+      const stats = await Promise.all(Object.values(BDPM_FILES).map(file =>
+        fs.promises.stat(path.join(this.dataDir, file))
+      ));
+      version = stats.map(s => s.mtimeMs).join(':');
+    } catch (error) {
+      if (!this.index) {
+        logger.warn(`BDPM files not available in ${this.dataDir}: ${error.message}`);
+      }
+      return this.index;
+    }
+
+    if (this.index && version === this.indexVersion) return this.index;
+
+    try {
+      const contents = {};
+      for (const [key, file] of Object.entries(BDPM_FILES)) {
+        contents[key] = decodeFile(await fs.promises.readFile(path.join(this.dataDir, file)));
+      }
+      this.index = buildBdpmIndex(contents);
+      this.indexVersion = version;
+      this.sectionCache.flushAll();
+      logger.info(`BDPM index loaded: ${this.index.medications.size} medications`);
+    } catch (error) {
+      logger.error('BDPM load error:', error.message);
+    }
+    return this.index;
+  }
+
+  /**
+   * Fetch a numbered section of the RCP of a medication
+   * @private
+   */
+  async _getSection(cis, number) {
+    const cacheKey = `section:${cis}:${number}`;
+
+    const cached = this.sectionCache.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      const url = this._documentUrl(cis, 'R');
+      const response = await fetch(url, { timeout: 15000 });
+
+      if (!response.ok) {
+        logger.warn(`BDPM RCP failed with status ${response.status} for CIS: ${cis}`);
+        return null;
+      }
+
+      const html = extractRcpSection(await response.text(), number);
+      if (html) this.sectionCache.set(cacheKey, html);
+      return html;
+    } catch (error) {
+      logger.error(`BDPM section ${number} error:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Public document of a medication (R = RCP, N = notice)
+   * @private
+   */
+  _documentUrl(cis, type) {
+    return `${this.docUrl}?specid=${encodeURIComponent(cis)}&typedoc=${type}`;
+  }
+
+  /**
+   * Normalize a BDPM medication to the unified search format
+   * @private
+   */
+  _normalizeSearchResult(med) {
+    return {
+      source: 'bdpm',
+      nregistro: med.cis,
+      cis: med.cis,
+      name: med.name,
+      activeIngredients: med.components.map(c => ({ name: c.name, amount: c.amount, unit: c.unit })),
+      dosage: med.components.map(c => c.dosage || `${c.amount} ${c.unit}`.trim()).filter(Boolean).join(' / '),
+      pharmaceuticalForm: med.pharmaceuticalForm,
+      administrationRoutes: med.administrationRoutes,
+      // Not part of the BDPM flat files
+      atcCode: '',
+      requiresPrescription: null,
+      isMarketed: med.isMarketed
+    };
+  }
+
+  /**
+   * Normalize a BDPM medication to the unified detail format
+   * @private
+   */
+  _normalizeDetail(med, index) {
+    const group = med.genericGroup && index.groups.get(med.genericGroup.id);
+    return {
+      ...this._normalizeSearchResult(med),
+      labName: med.labName,
+      authorizationStatus: med.authorizationStatus,
+      authorizationDate: med.authorizationDate,
+      availabilityStatus: med.availabilityStatus,
+      enhancedMonitoring: med.enhancedMonitoring,
+      presentations: med.presentations,
+      genericGroup: med.genericGroup && {
+        ...med.genericGroup,
+        members: group ? group.members.filter(m => m.cis !== med.cis) : []
+      },
+      images: [],
+      docs: [
+        { type: 'rcp', url: this._documentUrl(med.cis, 'R') },
+        { type: 'notice', url: this._documentUrl(med.cis, 'N') }
+      ]
+    };
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getBdpmProvider() {
+  if (!instance) {
+    instance = new BdpmProvider();
+  }
+  return instance;
+}
+
+module.exports = {
+  BdpmProvider,
+  getBdpmProvider,
+  buildBdpmIndex,
+  extractRcpSection,
+  BDPM_FILES
+};
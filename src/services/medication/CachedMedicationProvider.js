@@ -0,0 +1,319 @@
+'use strict';
+
+const NodeCache = require('node-cache');
+const MedicationProvider = require('./MedicationProvider');
+const { getCimaProvider } = require('./CimaProvider');
+const catalogStore = require('./medicationCatalogStore');
+const { logger } = require('../../utils/logger');
+
+const HOUR = 3600;
+
+// Records older than this are still served, but refreshed in the background
+const DEFAULT_TTL_SECONDS = 7 * 24 * HOUR;
+
+// A query sent upstream is not sent again for a while (results or not)
+const QUERY_TTL_SECONDS = HOUR;
+const FAILED_QUERY_TTL_SECONDS = 60;
+
+// Results kept from an upstream search (more than one page of the UI)
+const REVALIDATE_LIMIT = 50;
+
+const DEFAULT_WARMUP_DELAY_MS = 200;
+
+// Live provider method used when the catalog is unavailable
+const SECTION_METHODS = {
+  '4.2': 'getPosology',
+  '4.3': 'getContraindications',
+  '4.5': 'getInteractions'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isStale = (expiresAt, now = new Date()) => !expiresAt || expiresAt <= now;
+
+/**
+ * Medication provider backed by the local catalog (central database)
+ *
+ * Wraps a live provider (CIMA): searches, details and sections are answered
+ * from the catalog, and fetched upstream only when missing. Expired records
+ * are served as is while they are refreshed in the background
+ * (stale-while-revalidate), so lookups keep working when the upstream API is
+ * down. If the catalog itself is unavailable, calls go to the live provider.
+ */
+class CachedMedicationProvider extends MedicationProvider {
+  /**
+   * @param {MedicationProvider} upstream - Live provider (must implement fetchSearch,
+   *   fetchDetail, fetchSection and fetchPage)
+   * @param {object} options - { source, ttlSeconds, store }
+   */
+  constructor(upstream, options = {}) {
+    super(upstream.countryCode);
+    this.upstream = upstream;
+    this.source = options.source;
+    this.ttlSeconds = options.ttlSeconds || DEFAULT_TTL_SECONDS;
+    this.store = options.store || catalogStore;
+    this.queryCache = new NodeCache({ stdTTL: QUERY_TTL_SECONDS, checkperiod: 600 });
+    this.pending = new Map();
+  }
+
+  /**
+   * Search medications in the local catalog
+   * Nothing found locally → the query is sent upstream and its results stored.
+   * Results found locally are refreshed in the background when stale or when
+   * the query was not sent upstream recently (catalog not fully warmed up).
+   * @param {string} query - Medication name or active ingredient
+   * @param {object} options - { limit: 20 }
+   * @returns {Promise<Array>} Normalized medication results
+   */
+  async search(query, options = {}) {
+    const limit = options.limit || 20;
+    const queryKey = catalogStore.tokenize(query.toLowerCase()).join(' ');
+
+    let entries;
+    try {
+      entries = await this.store.search(this.source, query, { limit });
+    } catch (error) {
+      logger.warn(`Medication catalog unavailable, searching ${this.source} live: ${error.message}`);
+      return this.upstream.search(query, options);
+    }
+
+    const recentlyFetched = this.queryCache.has(queryKey);
+
+    if (entries.length > 0) {
+      if (!recentlyFetched || entries.some(entry => isStale(entry.expiresAt))) {
+        this._revalidate(`search:${queryKey}`, () => this._refreshSearch(query, queryKey));
+      }
+      return entries.map(entry => entry.summary);
+    }
+
+    if (recentlyFetched) return [];
+
+    try {
+      const results = await this._dedupe(`search:${queryKey}`, () => this._refreshSearch(query, queryKey));
+      return results.slice(0, limit);
+    } catch (error) {
+      logger.error(`${this.source} search error:`, error.message);
+      // Upstream down: do not make every keystroke wait for its timeout
+      this.queryCache.set(queryKey, 0, FAILED_QUERY_TTL_SECONDS);
+      return [];
+    }
+  }
+
+  /**
+   * Get the full detail of a medication
+   * @param {string} id - Provider-specific ID (nregistro for CIMA)
+   * @returns {Promise<object|null>}
+   */
+  async getDetail(id) {
+    let entry;
+    try {
+      entry = await this.store.get(this.source, id);
+    } catch (error) {
+      logger.warn(`Medication catalog unavailable, fetching ${this.source} detail live: ${error.message}`);
+      return this.upstream.getDetail(id);
+    }
+
+    if (entry && entry.detail) {
+      if (isStale(entry.detailExpiresAt)) {
+        this._revalidate(`detail:${id}`, () => this._refreshDetail(id));
+      }
+      return entry.detail;
+    }
+
+    try {
+      return await this._dedupe(`detail:${id}`, () => this._refreshDetail(id));
+    } catch (error) {
+      logger.error(`${this.source} detail error:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get posology section (4.2)
+   */
+  async getPosology(id) {
+    return this._getSection(id, '4.2');
+  }
+
+  /**
+   * Get interactions section (4.5)
+   */
+  async getInteractions(id) {
+    return this._getSection(id, '4.5');
+  }
+
+  /**
+   * Get contraindications section (4.3)
+   */
+  async getContraindications(id) {
+    return this._getSection(id, '4.3');
+  }
+
+  /**
+   * Load the whole list of marketed medications into the catalog
+   * Pages are fetched one by one (with a pause between them, to stay polite
+   * with the public API); a failed page stops the warm-up, the records
+   * already written are kept.
+   * @param {object} options - { delayMs, maxPages }
+   * @returns {Promise<{pages: number, medications: number, total: number, durationMs: number}>}
+   */
+  async warmUp(options = {}) {
+    const delayMs = options.delayMs ?? DEFAULT_WARMUP_DELAY_MS;
+    const startedAt = Date.now();
+    let page = 1;
+    let pages = 0;
+    let medications = 0;
+    let total = 0;
+
+    while (!options.maxPages || pages < options.maxPages) {
+      const result = await this.upstream.fetchPage(page);
+      if (result.results.length === 0) break;
+
+      medications += await this.store.upsertSummaries(this.source, result.results, this.ttlSeconds);
+      total = result.total;
+      pages++;
+
+      if (!result.pageSize || page * result.pageSize >= total) break;
+      page++;
+      if (delayMs > 0) await sleep(delayMs);
+    }
+
+    this.queryCache.flushAll();
+
+    return { pages, medications, total, durationMs: Date.now() - startedAt };
+  }
+
+  /**
+   * Catalog size and freshness
+   * @returns {Promise<{total: number, stale: number, lastFetchedAt: Date|null}>}
+   */
+  async getStats() {
+    return this.store.getStats(this.source);
+  }
+
+  /**
+   * @private
+   */
+  async _getSection(id, section) {
+    let entry;
+    try {
+      entry = await this.store.get(this.source, id);
+    } catch (error) {
+      logger.warn(`Medication catalog unavailable, fetching ${this.source} section live: ${error.message}`);
+      return this.upstream[SECTION_METHODS[section]](id);
+    }
+
+    const cached = entry?.sections?.[section];
+    if (cached) {
+      const expiresAt = new Date(new Date(cached.fetchedAt).getTime() + this.ttlSeconds * 1000);
+      if (isStale(expiresAt)) {
+        this._revalidate(`section:${id}:${section}`, () => this._refreshSection(id, section, !!entry));
+      }
+      return cached.html;
+    }
+
+    try {
+      return await this._dedupe(`section:${id}:${section}`, () => this._refreshSection(id, section, !!entry));
+    } catch (error) {
+      logger.error(`${this.source} section ${section} error:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _refreshSearch(query, queryKey) {
+    const results = await this.upstream.fetchSearch(query, { limit: REVALIDATE_LIMIT });
+    this.queryCache.set(queryKey, results.length);
+    await this._persist(() => this.store.upsertSummaries(this.source, results, this.ttlSeconds));
+    return results;
+  }
+
+  /**
+   * @private
+   */
+  async _refreshDetail(id) {
+    const detail = await this.upstream.fetchDetail(id);
+    if (detail) {
+      await this._persist(() => this.store.saveDetail(this.source, detail, this.ttlSeconds));
+    }
+    return detail;
+  }
+
+  /**
+   * Sections are attached to catalog records: the detail is stored first when
+   * the medication is not in the catalog yet
+   * @private
+   */
+  async _refreshSection(id, section, inCatalog) {
+    const html = await this.upstream.fetchSection(id, section);
+    if (html !== null) {
+      await this._persist(async () => {
+        if (!inCatalog) {
+          const detail = await this.upstream.fetchDetail(id);
+          if (!detail) return;
+          await this.store.saveDetail(this.source, detail, this.ttlSeconds);
+        }
+        await this.store.saveSection(this.source, id, section, html);
+      });
+    }
+    return html;
+  }
+
+  /**
+   * Write to the catalog; a failed write never fails the lookup itself
+   * @private
+   */
+  async _persist(write) {
+    try {
+      await write();
+    } catch (error) {
+      logger.warn(`Medication catalog write failed (${this.source}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Share a single upstream call between concurrent lookups of the same key
+   * @private
+   */
+  _dedupe(key, fn) {
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.pending.delete(key));
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Refresh in the background (errors are only logged)
+   * @private
+   */
+  _revalidate(key, fn) {
+    this._dedupe(key, fn).catch(error => {
+      logger.warn(`Background refresh of ${this.source} ${key} failed: ${error.message}`);
+    });
+  }
+}
+
+// Singleton instance
+let cimaInstance = null;
+
+/**
+ * CIMA behind the local catalog (TTL: MEDICATION_CATALOG_TTL_HOURS, default 7 days)
+ * @returns {CachedMedicationProvider}
+ */
+function getCachedCimaProvider() {
+  if (!cimaInstance) {
+    const ttlHours = parseInt(process.env.MEDICATION_CATALOG_TTL_HOURS, 10);
+    cimaInstance = new CachedMedicationProvider(getCimaProvider(), {
+      source: 'cima',
+      ttlSeconds: ttlHours > 0 ? ttlHours * HOUR : DEFAULT_TTL_SECONDS
+    });
+  }
+  return cimaInstance;
+}
+
+module.exports = { CachedMedicationProvider, getCachedCimaProvider };
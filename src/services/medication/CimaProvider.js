@@ -29,18 +29,7 @@ class CimaProvider extends MedicationProvider {
     if (cached) return cached;
 
     try {
-      const url = `${BASE_URL}/medicamentos?nombre=${encodeURIComponent(query)}&comerc=1`;
-      const response = await fetch(url, { timeout: 10000 });
-
-      if (!response.ok) {
-        logger.warn(`CIMA search failed with status ${response.status} for query: ${query}`);
-        return [];
-      }
-
-      const data = await response.json();
-      const resultados = data.resultados || [];
-
-      const results = resultados.slice(0, limit).map(med => this._normalizeSearchResult(med));
+      const results = await this.fetchSearch(query, { limit });
 
       this.searchCache.set(cacheKey, results);
       return results;
@@ -50,6 +39,52 @@ class CimaProvider extends MedicationProvider {
     }
   }
 
+  /**
+   * Search medications in CIMA without caching
+   * Unlike search(), throws when CIMA is unreachable or answers with an error.
+   * @param {string} query - Medication name
+   * @param {object} options - { limit: 20 }
+   * @returns {Promise<Array>} Normalized medication results
+   */
+  async fetchSearch(query, options = {}) {
+    const limit = options.limit || 20;
+    const url = `${BASE_URL}/medicamentos?nombre=${encodeURIComponent(query)}&comerc=1`;
+    const response = await fetch(url, { timeout: 10000 });
+
+    if (!response.ok) {
+      throw new Error(`CIMA search failed with status ${response.status} for query: ${query}`);
+    }
+
+    const data = await response.json();
+    const resultados = data.resultados || [];
+
+    return resultados.slice(0, limit).map(med => this._normalizeSearchResult(med));
+  }
+
+  /**
+   * Fetch one page of the marketed medications list (catalog warm-up)
+   * @param {number} page - 1-based page number
+   * @returns {Promise<{results: Array, total: number, page: number, pageSize: number}>}
+   */
+  async fetchPage(page) {
+    const url = `${BASE_URL}/medicamentos?comerc=1&pagina=${encodeURIComponent(page)}`;
+    const response = await fetch(url, { timeout: 30000 });
+
+    if (!response.ok) {
+      throw new Error(`CIMA page ${page} failed with status ${response.status}`);
+    }
+
+    const data = await response.json();
+    const resultados = data.resultados || [];
+
+    return {
+      results: resultados.map(med => this._normalizeSearchResult(med)),
+      total: data.totalFilas || 0,
+      page: data.pagina || page,
+      pageSize: data.tamanioPagina || resultados.length
+    };
+  }
+
   /**
    * Get full medication detail from CIMA
    * @param {string} nregistro - CIMA registration number
@@ -62,16 +97,8 @@ class CimaProvider extends MedicationProvider {
     if (cached) return cached;
 
     try {
-      const url = `${BASE_URL}/medicamento?nregistro=${encodeURIComponent(nregistro)}`;
-      const response = await fetch(url, { timeout: 10000 });
-
-      if (!response.ok) {
-        logger.warn(`CIMA detail failed with status ${response.status} for nregistro: ${nregistro}`);
-        return null;
-      }
-
-      const data = await response.json();
-      const result = this._normalizeDetail(data);
+      const result = await this.fetchDetail(nregistro);
+      if (!result) return null;
 
       this.detailCache.set(cacheKey, result);
       return result;
@@ -81,6 +108,27 @@ class CimaProvider extends MedicationProvider {
     }
   }
 
+  /**
+   * Fetch a medication detail from CIMA without caching
+   * @param {string} nregistro - CIMA registration number
+   * @returns {Promise<object|null>} null when CIMA does not know the medication
+   * @throws when CIMA is unreachable or answers with an error
+   */
+  async fetchDetail(nregistro) {
+    const url = `${BASE_URL}/medicamento?nregistro=${encodeURIComponent(nregistro)}`;
+    const response = await fetch(url, { timeout: 10000 });
+
+    if (response.status === 404 || response.status === 204) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`CIMA detail failed with status ${response.status} for nregistro: ${nregistro}`);
+    }
+
+    const data = await response.json();
+    return data && data.nregistro ? this._normalizeDetail(data) : null;
+  }
+
   /**
    * Get posology section (4.2)
    * @param {string} nregistro
@@ -119,22 +167,8 @@ class CimaProvider extends MedicationProvider {
     if (cached) return cached;
 
     try {
-      const url = `${BASE_URL}/docSegmentado/contenido/1?nregistro=${encodeURIComponent(nregistro)}&seccion=${encodeURIComponent(seccion)}`;
-      const response = await fetch(url, { timeout: 15000 });
-
-      if (!response.ok) {
-        logger.warn(`CIMA section ${seccion} failed with status ${response.status} for nregistro: ${nregistro}`);
-        return null;
-      }
-
-      const contentType = response.headers.get('content-type') || '';
-      let html;
-      if (contentType.includes('application/json')) {
-        const data = await response.json();
-        html = data.contenido || data.content || JSON.stringify(data);
-      } else {
-        html = await response.text();
-      }
+      const html = await this.fetchSection(nregistro, seccion);
+      if (html === null) return null;
 
       this.sectionCache.set(cacheKey, html);
       return html;
@@ -144,6 +178,32 @@ class CimaProvider extends MedicationProvider {
     }
   }
 
+  /**
+   * Fetch a document section from CIMA without caching
+   * @param {string} nregistro
+   * @param {string} seccion - '4.2', '4.3', '4.5'
+   * @returns {Promise<string|null>} HTML content, null when the section does not exist
+   * @throws when CIMA is unreachable or answers with an error
+   */
+  async fetchSection(nregistro, seccion) {
+    const url = `${BASE_URL}/docSegmentado/contenido/1?nregistro=${encodeURIComponent(nregistro)}&seccion=${encodeURIComponent(seccion)}`;
+    const response = await fetch(url, { timeout: 15000 });
+
+    if (response.status === 404 || response.status === 204) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`CIMA section ${seccion} failed with status ${response.status} for nregistro: ${nregistro}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('application/json')) {
+      const data = await response.json();
+      return data.contenido || data.content || JSON.stringify(data);
+    }
+    return await response.text();
+  }
+
   /**
    * Normalize a CIMA search result to unified format
    * @private
@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * Medication catalog store
+ * Persistence of normalized reference medications in the central database
+ * (table medication_catalog, see migrations/central_008_medication_catalog.sql).
+ *
+ * Search relies on the trigram index of search_text, which Postgres computes
+ * without accents and in lower case (medication_search_text()).
+ */
+
+const { QueryTypes } = require('sequelize');
+const { initializeCentralConnection } = require('../../config/connectionManager');
+
+const WARMUP_LOCK_KEY = 'medicalpro:medication_catalog_warmup';
+
+// Rows written per INSERT during bulk loads
+const UPSERT_BATCH_SIZE = 200;
+
+/**
+ * Split a query into search tokens (LIKE wildcards are dropped)
+ * @param {string} query
+ * @returns {string[]}
+ */
+function tokenize(query) {
+  return String(query || '')
+    .replace(/[%_\\]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 6);
+}
+
+/**
+ * Active ingredients as a single searchable string
+ * @param {object} medication - Normalized search result
+ * @returns {string}
+ */
+function ingredientsText(medication) {
+  return (medication.activeIngredients || []).map(i => i.name).filter(Boolean).join(' ');
+}
+
+function toEntry(row) {
+  return {
+    source: row.source,
+    externalId: row.external_id,
+    summary: row.summary,
+    detail: row.detail || null,
+    sections: row.sections || {},
+    expiresAt: row.expires_at ? new Date(row.expires_at) : null,
+    detailExpiresAt: row.detail_expires_at ? new Date(row.detail_expires_at) : null
+  };
+}
+
+/**
+ * Search cached medications: every token must appear in the name or active
+ * ingredients; close spellings (typos) match through word similarity
+ * @param {string} source - 'cima'
+ * @param {string} query
+ * @param {object} options - { limit }
+ * @returns {Promise<Array<{summary: object, expiresAt: Date}>>}
+ */
+async function search(source, query, { limit = 20 } = {}) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return [];
+
+  const db = await initializeCentralConnection();
+  const replacements = { source, query: tokens.join(' '), limit };
+  const conditions = tokens.map((token, index) => {
+    replacements[`t${index}`] = token;
+    return `search_text LIKE '%' || medication_search_text(:t${index}) || '%'`;
+  });
+
+  const rows = await db.query(`
+    SELECT source, external_id, summary, expires_at
+    FROM medication_catalog
+    WHERE source = :source
+      AND ((${conditions.join(' AND ')}) OR medication_search_text(:query) <% search_text)
+    ORDER BY
+      (search_text LIKE medication_search_text(:t0) || '%') DESC,
+      is_marketed DESC,
+      word_similarity(medication_search_text(:query), search_text) DESC,
+      name ASC
+    LIMIT :limit
+  `, { replacements, type: QueryTypes.SELECT });
+
+  return rows.map(toEntry);
+}
+
+/**
+ * Get a cached medication
+ * @param {string} source
+ * @param {string} externalId
+ * @returns {Promise<object|null>} Entry ({ summary, detail, sections, expiresAt, detailExpiresAt })
+ */
+async function get(source, externalId) {
+  const db = await initializeCentralConnection();
+  const [row] = await db.query(`
+    SELECT source, external_id, summary, detail, sections, expires_at, detail_expires_at
+    FROM medication_catalog
+    WHERE source = :source AND external_id = :externalId
+  `, { replacements: { source, externalId: String(externalId) }, type: QueryTypes.SELECT });
+
+  return row ? toEntry(row) : null;
+}
+
+/**
+ * Insert or refresh search results (detail and sections are kept)
+ * @param {string} source
+ * @param {Array<object>} medications - Normalized search results
+ * @param {number} ttlSeconds
+ * @returns {Promise<number>} Rows written
+ */
+async function upsertSummaries(source, medications, ttlSeconds) {
+  const valid = medications.filter(m => m && m.nregistro && m.name);
+  if (valid.length === 0) return 0;
+
+  const db = await initializeCentralConnection();
+
+  for (let offset = 0; offset < valid.length; offset += UPSERT_BATCH_SIZE) {
+    const batch = valid.slice(offset, offset + UPSERT_BATCH_SIZE);
+    const replacements = { source, ttl: ttlSeconds };
+    const values = batch.map((medication, index) => {
+      replacements[`id${index}`] = String(medication.nregistro);
+      replacements[`name${index}`] = String(medication.name).slice(0, 500);
+      replacements[`ingredients${index}`] = ingredientsText(medication);
+      replacements[`marketed${index}`] = medication.isMarketed !== false;
+      replacements[`summary${index}`] = JSON.stringify(medication);
+      return `(:source, :id${index}, :name${index}, :ingredients${index}, :marketed${index}, CAST(:summary${index} AS JSONB),
+        NOW(), NOW() + make_interval(secs => :ttl))`;
+    });
+
+    await db.query(`
+      INSERT INTO medication_catalog (source, external_id, name, ingredients, is_marketed, summary, fetched_at, expires_at)
+      VALUES ${values.join(',\n')}
+      ON CONFLICT (source, external_id) DO UPDATE SET
+        name = EXCLUDED.name,
+        ingredients = EXCLUDED.ingredients,
+        is_marketed = EXCLUDED.is_marketed,
+        summary = EXCLUDED.summary,
+        fetched_at = EXCLUDED.fetched_at,
+        expires_at = EXCLUDED.expires_at,
+        updated_at = NOW()
+    `, { replacements });
+  }
+
+  return valid.length;
+}
+
+/**
+ * Store the detail of a medication (also refreshes its search record)
+ * @param {string} source
+ * @param {object} detail - Normalized detail
+ * @param {number} ttlSeconds
+ */
+async function saveDetail(source, detail, ttlSeconds) {
+  const db = await initializeCentralConnection();
+  const summaryFields = ['source', 'nregistro', 'name', 'activeIngredients', 'dosage', 'pharmaceuticalForm',
+    'administrationRoutes', 'atcCode', 'requiresPrescription', 'isMarketed'];
+  const summary = Object.fromEntries(summaryFields.map(field => [field, detail[field]]));
+
+  await db.query(`
+    INSERT INTO medication_catalog (source, external_id, name, ingredients, is_marketed, summary, detail,
+      fetched_at, expires_at, detail_fetched_at, detail_expires_at)
+    VALUES (:source, :externalId, :name, :ingredients, :marketed, CAST(:summary AS JSONB), CAST(:detail AS JSONB),
+      NOW(), NOW() + make_interval(secs => :ttl), NOW(), NOW() + make_interval(secs => :ttl))
+    ON CONFLICT (source, external_id) DO UPDATE SET
+      name = EXCLUDED.name,
+      ingredients = EXCLUDED.ingredients,
+      is_marketed = EXCLUDED.is_marketed,
+      summary = EXCLUDED.summary,
+      detail = EXCLUDED.detail,
+      fetched_at = EXCLUDED.fetched_at,
+      expires_at = EXCLUDED.expires_at,
+      detail_fetched_at = EXCLUDED.detail_fetched_at,
+      detail_expires_at = EXCLUDED.detail_expires_at,
+      updated_at = NOW()
+  `, {
+    replacements: {
+      source,
+      externalId: String(detail.nregistro),
+      name: String(detail.name || detail.nregistro).slice(0, 500),
+      ingredients: ingredientsText(detail),
+      marketed: detail.isMarketed !== false,
+      summary: JSON.stringify(summary),
+      detail: JSON.stringify(detail),
+      ttl: ttlSeconds
+    }
+  });
+}
+
+/**
+ * Store a document section (only for medications already in the catalog)
+ * @param {string} source
+ * @param {string} externalId
+ * @param {string} section - '4.2', '4.3', '4.5'
+ * @param {string} html
+ */
+async function saveSection(source, externalId, section, html) {
+  const db = await initializeCentralConnection();
+  await db.query(`
+    UPDATE medication_catalog
+    SET sections = jsonb_set(sections, ARRAY[:section], jsonb_build_object('html', CAST(:html AS TEXT), 'fetchedAt', NOW())),
+        updated_at = NOW()
+    WHERE source = :source AND external_id = :externalId
+  `, { replacements: { source, externalId: String(externalId), section, html } });
+}
+
+/**
+ * Catalog size and freshness for a source
+ * @param {string} source
+ * @returns {Promise<{total: number, stale: number, lastFetchedAt: Date|null}>}
+ */
+async function getStats(source) {
+  const db = await initializeCentralConnection();
+  const [row] = await db.query(`
+    SELECT COUNT(*)::int AS total,
+           COUNT(*) FILTER (WHERE expires_at <= NOW())::int AS stale,
+           MAX(fetched_at) AS last_fetched_at
+    FROM medication_catalog
+    WHERE source = :source
+  `, { replacements: { source }, type: QueryTypes.SELECT });
+
+  return {
+    total: row.total,
+    stale: row.stale,
+    lastFetchedAt: row.last_fetched_at ? new Date(row.last_fetched_at) : null
+  };
+}
+
+/**
+ * Run a function while holding the catalog warm-up lock
+ * Transaction-level advisory lock on the central database: a single instance
+ * warms the catalog when the cron fires on every PM2 instance.
+ * @param {Function} fn - Work to run under the lock
+ * @returns {Promise<{locked: boolean, result?: any}>}
+ */
+async function withWarmupLock(fn) {
+  const db = await initializeCentralConnection();
+  return await db.transaction(async (transaction) => {
+    const [row] = await db.query(
+      'SELECT pg_try_advisory_xact_lock(hashtext(:key)) AS locked',
+      { replacements: { key: WARMUP_LOCK_KEY }, type: QueryTypes.SELECT, transaction }
+    );
+
+    if (!row || !row.locked) {
+      return { locked: false };
+    }
+
+    return { locked: true, result: await fn() };
+  });
+}
+
+module.exports = {
+  search,
+  get,
+  upsertSummaries,
+  saveDetail,
+  saveSection,
+  getStats,
+  withWarmupLock,
+  tokenize
+};
@@ -1,9 +1,20 @@
 'use strict';
 
 const { getCimaProvider } = require('./CimaProvider');
+const { getBdpmProvider } = require('./BdpmProvider');
+const { getCachedCimaProvider } = require('./CachedMedicationProvider');
 
+// CIMA is served from the local catalog (central database) unless disabled;
+// the BDPM files are already a local copy
 const providers = {
-  ES: getCimaProvider
+  ES: () => (process.env.MEDICATION_CATALOG_ENABLED === 'false' ? getCimaProvider() : getCachedCimaProvider()),
+  FR: getBdpmProvider
+};
+
+// Source of the normalized results (medication.source) → country of its provider
+const SOURCE_COUNTRIES = {
+  cima: 'ES',
+  bdpm: 'FR'
 };
 
 /**
@@ -16,4 +27,14 @@ function getMedicationProvider(countryCode) {
   return factory ? factory() : null;
 }
 
-module.exports = { getMedicationProvider };
+/**
+ * Get the medication provider that returned a result (medication.source)
+ * @param {string} source - 'cima', 'bdpm'
+ * @returns {MedicationProvider|null}
+ */
+function getMedicationProviderForSource(source) {
+  const countryCode = SOURCE_COUNTRIES[source?.toLowerCase()];
+  return countryCode ? getMedicationProvider(countryCode) : null;
+}
+
+module.exports = { getMedicationProvider, getMedicationProviderForSource, SOURCE_COUNTRIES };
@@ -0,0 +1,241 @@
+/**
+ * Message Outbox Service
+ *
+ * Every patient message goes through the outbox so that we always know
+ * whether it actually went out:
+ * - enqueue(): record the message and (by default) try to deliver it right away
+ * - processDue(): deliver pending messages, called by the job scheduler
+ * - resend(): send a copy of a previous message
+ *
+ * Failed deliveries are retried with exponential backoff (see MessageOutbox model).
+ */
+
+const { logger } = require('../utils/logger');
+const ModelFactory = require('../base/ModelFactory');
+const messagingService = require('./messagingService');
+
+class MessageOutboxService {
+  /**
+   * Record a message in the outbox and optionally deliver it immediately
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} message
+   *   - channel: 'email' | 'sms' | 'whatsapp'
+   *   - templateType: messagingService TEMPLATE_TYPES value
+   *   - recipient: { email, phone, language, patientName }
+   *   - data: template data
+   *   - related: { patientId, appointmentId, appointmentActionId, documentId, consentRequestId }
+   *   - createdBy: user ID (manual sends)
+   *   - maxAttempts: override default retry budget
+   * @param {object} options - { sendNow: true }
+   * @returns {Promise<Model>} MessageOutbox entry (status reflects the first attempt)
+   */
+  async enqueue(clinicDb, message, options = {}) {
+    const MessageOutbox = await ModelFactory.getModel(clinicDb, 'MessageOutbox');
+    const { channel, templateType, recipient = {}, data = {}, related = {} } = message;
+
+    const address = channel === 'email' ? recipient.email : recipient.phone;
+
+    const entry = await MessageOutbox.create({
+      channel,
+      template_type: templateType,
+      recipient: address || '',
+      recipient_name: recipient.patientName || recipient.name || null,
+      language: recipient.language || 'fr',
+      payload: data,
+      patient_id: related.patientId || null,
+      appointment_id: related.appointmentId || null,
+      appointment_action_id: related.appointmentActionId || null,
+      document_id: related.documentId || null,
+      consent_request_id: related.consentRequestId || null,
+      created_by: message.createdBy || null,
+      resend_of: message.resendOf || null,
+      // Delivered right below: kept out of the scheduler's pending queue
+      ...(options.sendNow === false ? {} : { status: MessageOutbox.OUTBOX_STATUS.SENDING }),
+      ...(message.maxAttempts ? { max_attempts: message.maxAttempts } : {})
+    });
+
+    if (options.sendNow === false) {
+      return entry;
+    }
+
+    return await this.deliver(clinicDb, entry);
+  }
+
+  /**
+   * Attempt delivery of an outbox entry
+   * Never throws: the outcome is stored on the entry. An entry already
+   * claimed by another process (see MessageOutbox.startAttempt) is left alone.
+   * @param {Sequelize} clinicDb
+   * @param {Model} entry - MessageOutbox instance
+   * @returns {Promise<Model>} Updated entry
+   */
+  async deliver(clinicDb, entry) {
+    if (!(await entry.startAttempt())) {
+      logger.info(`Outbox message ${entry.id} already being delivered, skipped`);
+      return entry;
+    }
+
+    if (!entry.recipient) {
+      return await entry.markAttemptFailed(
+        new Error(`No recipient address for ${entry.channel}`),
+        { permanent: true }
+      );
+    }
+
+    const settings = await messagingService.getMessagingSettings(clinicDb);
+
+    if (!messagingService.isChannelAvailable(entry.channel, settings)) {
+      return await entry.markAttemptFailed(
+        new Error(`Channel ${entry.channel} is not available/configured`),
+        { permanent: true }
+      );
+    }
+
+    const recipient = {
+      [entry.channel === 'email' ? 'email' : 'phone']: entry.recipient,
+      language: entry.language || 'fr',
+      patientName: entry.recipient_name
+    };
+
+    try {
+      const result = await messagingService.send(
+        entry.channel,
+        entry.template_type,
+        recipient,
+        entry.payload || {},
+        { settings }
+      );
+
+      if (result && result.success) {
+        await entry.markSent(result);
+        logger.info(`Outbox message ${entry.id} sent via ${entry.channel}`, {
+          templateType: entry.template_type,
+          provider: result.provider,
+          attempts: entry.attempts
+        });
+      } else {
+        await entry.markAttemptFailed(
+          new Error(result?.error || 'Delivery failed'),
+          { provider: result?.provider }
+        );
+      }
+    } catch (error) {
+      await entry.markAttemptFailed(error);
+    }
+
+    if (entry.status !== 'sent') {
+      logger.warn(`Outbox message ${entry.id} not delivered (attempt ${entry.attempts}/${entry.max_attempts})`, {
+        channel: entry.channel,
+        templateType: entry.template_type,
+        status: entry.status,
+        nextAttemptAt: entry.next_attempt_at,
+        error: entry.last_error
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Deliver pending messages whose next attempt is due
+   * @param {Sequelize} clinicDb
+   * @param {object} options - { limit }
+   * @returns {Promise<object>} { processed, sent, failed, retrying, skipped }
+   */
+  async processDue(clinicDb, options = {}) {
+    const MessageOutbox = await ModelFactory.getModel(clinicDb, 'MessageOutbox');
+
+    await MessageOutbox.releaseStale();
+    const due = await MessageOutbox.findDue({ limit: options.limit || 50 });
+
+    const summary = { processed: 0, sent: 0, failed: 0, retrying: 0, skipped: 0 };
+
+    for (const entry of due) {
+      const attempts = entry.attempts;
+      await this.deliver(clinicDb, entry);
+      // Claimed in the meantime by the request that queued it (or another instance)
+      if (entry.attempts === attempts) {
+        summary.skipped += 1;
+        continue;
+      }
+      summary.processed += 1;
+
+      if (entry.status === 'sent') summary.sent += 1;
+      else if (entry.status === 'failed') summary.failed += 1;
+      else summary.retrying += 1;
+    }
+
+    if (summary.processed > 0) {
+      logger.info(`Processed ${summary.processed} outbox messages: ${summary.sent} sent, ${summary.retrying} retrying, ${summary.failed} failed`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Resend a message (creates a new outbox entry linked to the original)
+   * @param {Sequelize} clinicDb
+   * @param {string} messageId - Original outbox entry ID
+   * @param {string} userId - User requesting the resend
+   * @param {object} overrides - { recipient } to correct the address
+   * @returns {Promise<Model>} New outbox entry
+   */
+  async resend(clinicDb, messageId, userId, overrides = {}) {
+    const MessageOutbox = await ModelFactory.getModel(clinicDb, 'MessageOutbox');
+
+    const original = await MessageOutbox.findByPk(messageId);
+    if (!original) {
+      throw new Error(`Message not found: ${messageId}`);
+    }
+
+    // A resend replaces any retry still pending for the original
+    if (original.status === 'pending') {
+      await original.cancel();
+    }
+
+    const address = overrides.recipient || original.recipient;
+
+    return await this.enqueue(clinicDb, {
+      channel: original.channel,
+      templateType: original.template_type,
+      recipient: {
+        [original.channel === 'email' ? 'email' : 'phone']: address,
+        language: original.language,
+        patientName: original.recipient_name
+      },
+      data: original.payload,
+      related: {
+        patientId: original.patient_id,
+        appointmentId: original.appointment_id,
+        appointmentActionId: original.appointment_action_id,
+        documentId: original.document_id,
+        consentRequestId: original.consent_request_id
+      },
+      createdBy: userId,
+      resendOf: original.id
+    });
+  }
+
+  /**
+   * Outbox statistics
+   * @param {Sequelize} clinicDb
+   */
+  async getStats(clinicDb) {
+    const MessageOutbox = await ModelFactory.getModel(clinicDb, 'MessageOutbox');
+
+    const rows = await MessageOutbox.findAll({
+      attributes: ['status', [MessageOutbox.sequelize.fn('COUNT', MessageOutbox.sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    const stats = { pending: 0, sending: 0, sent: 0, failed: 0, cancelled: 0 };
+    for (const row of rows) {
+      stats[row.status] = parseInt(row.count, 10);
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new MessageOutboxService();
@@ -0,0 +1,92 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const MessageTransport = require('./MessageTransport');
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_DIR = path.join(process.cwd(), 'tmp', 'messages');
+
+// Messages kept in memory (oldest dropped first), the files keep the full history
+const DEFAULT_MAX_KEPT = 100;
+
+/**
+ * Mask a phone number or address for logs: only the last digits stay readable
+ */
+function maskRecipient(to) {
+  const value = String(to || '');
+  if (value.length <= 4) return '****';
+  return `${'*'.repeat(value.length - 4)}${value.slice(-4)}`;
+}
+
+/**
+ * Local transport for development and testing.
+ * Messages are never sent: each one is written as a JSON file to
+ * MESSAGING_LOOPBACK_DIR (default tmp/messages) and the last ones are kept
+ * in memory. Logs never contain the message body nor the full recipient.
+ */
+class LoopbackTransport extends MessageTransport {
+  /**
+   * @param {object} options - { directory, writeFiles, maxKept }
+   */
+  constructor(options = {}) {
+    super('loopback');
+    this.directory = options.directory || process.env.MESSAGING_LOOPBACK_DIR || DEFAULT_DIR;
+    this.writeFiles = options.writeFiles !== false;
+    this.maxKept = options.maxKept || DEFAULT_MAX_KEPT;
+    this.sent = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async deliver({ channel, to, from, body }) {
+    const message = {
+      messageId: `LB${crypto.randomBytes(12).toString('hex')}`,
+      channel,
+      to,
+      from: from || null,
+      body,
+      createdAt: new Date().toISOString()
+    };
+
+    this.sent.push(message);
+    if (this.sent.length > this.maxKept) {
+      this.sent.splice(0, this.sent.length - this.maxKept);
+    }
+
+    if (this.writeFiles) {
+      try {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(
+          path.join(this.directory, `${message.messageId}.json`),
+          JSON.stringify(message, null, 2)
+        );
+      } catch (error) {
+        logger.warn(`Loopback transport could not write message file: ${error.message}`);
+      }
+    }
+
+    logger.debug(`[loopback] ${channel} message ${message.messageId} to ${maskRecipient(to)}`);
+
+    return {
+      success: true,
+      provider: this.name,
+      messageId: message.messageId,
+      status: 'delivered',
+      testMode: true
+    };
+  }
+
+  /**
+   * Clear messages kept in memory
+   */
+  reset() {
+    this.sent = [];
+  }
+}
+
+module.exports = LoopbackTransport;
+module.exports.maskRecipient = maskRecipient;
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Abstract message transport interface.
+ * A transport delivers an already-rendered text message to a phone number
+ * over a given channel (sms, whatsapp). Implementations: Twilio, Loopback.
+ */
+class MessageTransport {
+  constructor(name) {
+    if (new.target === MessageTransport) {
+      throw new Error('MessageTransport is abstract and cannot be instantiated directly');
+    }
+    this.name = name;
+  }
+
+  /**
+   * Deliver a message
+   * @param {object} message - { channel, to, from, body }
+   * @returns {Promise<object>} { success, provider, messageId, status, error }
+   */
+  async deliver(message) {
+    throw new Error('deliver() must be implemented by subclass');
+  }
+
+  /**
+   * Check whether the transport has everything it needs to deliver
+   * @returns {boolean}
+   */
+  isConfigured() {
+    throw new Error('isConfigured() must be implemented by subclass');
+  }
+
+  getName() {
+    return this.name;
+  }
+}
+
+module.exports = MessageTransport;
@@ -0,0 +1,92 @@
+'use strict';
+
+const fetch = require('node-fetch');
+const MessageTransport = require('./MessageTransport');
+const { logger } = require('../../utils/logger');
+
+const BASE_URL = process.env.TWILIO_API_URL || 'https://api.twilio.com/2010-04-01';
+
+/**
+ * Twilio Programmable Messaging transport (SMS and WhatsApp).
+ * Uses the REST API directly so no SDK dependency is required.
+ */
+class TwilioTransport extends MessageTransport {
+  /**
+   * @param {object} credentials - { accountSid, authToken }
+   */
+  constructor(credentials = {}) {
+    super('twilio');
+    this.accountSid = credentials.accountSid;
+    this.authToken = credentials.authToken;
+  }
+
+  isConfigured() {
+    return Boolean(this.accountSid && this.authToken);
+  }
+
+  /**
+   * Twilio expects WhatsApp addresses prefixed with "whatsapp:"
+   */
+  _address(channel, number) {
+    if (channel === 'whatsapp' && !number.startsWith('whatsapp:')) {
+      return `whatsapp:${number}`;
+    }
+    return number;
+  }
+
+  async deliver({ channel, to, from, body }) {
+    if (!this.isConfigured()) {
+      return { success: false, provider: this.name, error: 'Twilio credentials are not configured' };
+    }
+    if (!from) {
+      return { success: false, provider: this.name, error: `No sender number configured for ${channel}` };
+    }
+
+    const params = new URLSearchParams();
+    params.append('To', this._address(channel, to));
+    params.append('From', this._address(channel, from));
+    params.append('Body', body);
+
+    const auth = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
+
+    try {
+      const response = await fetch(`${BASE_URL}/Accounts/${this.accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params.toString(),
+        timeout: 15000
+      });
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        logger.warn(`Twilio ${channel} delivery failed with status ${response.status}`, {
+          code: payload.code,
+          message: payload.message
+        });
+        return {
+          success: false,
+          provider: this.name,
+          status: 'failed',
+          errorCode: payload.code || response.status,
+          error: payload.message || `Twilio responded with HTTP ${response.status}`
+        };
+      }
+
+      return {
+        success: true,
+        provider: this.name,
+        messageId: payload.sid,
+        status: payload.status || 'queued'
+      };
+    } catch (error) {
+      logger.error(`Twilio ${channel} delivery error:`, error.message);
+      return { success: false, provider: this.name, status: 'failed', error: error.message };
+    }
+  }
+}
+
+module.exports = TwilioTransport;
@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Short text templates for SMS and WhatsApp messages.
+ * Email keeps its own HTML layouts in emailService; these are plain text,
+ * kept short enough to fit in one or two SMS segments.
+ */
+
+const DEFAULT_LANGUAGE = 'fr';
+
+// Replies are interpreted by inboundMessageService (see INTENT_KEYWORDS)
+const REPLY_HINTS = {
+  fr: 'Répondez OUI pour confirmer ou ANNULER pour annuler.',
+  en: 'Reply YES to confirm or CANCEL to cancel.',
+  es: 'Responda SI para confirmar o ANULAR para cancelar.'
+};
+
+const templates = {
+  fr: {
+    appointment_confirmation: (d) => joinLines([
+      `${d.clinicName} : bonjour ${d.patientName}, votre rendez-vous${d.serviceName ? ` (${d.serviceName})` : ''} est prévu le ${d.appointmentDate} à ${d.appointmentTime}.`,
+      d.confirmationUrl && `Merci de le confirmer : ${d.confirmationUrl}`,
+      REPLY_HINTS.fr
+    ]),
+    appointment_reminder: (d) => joinLines([
+      `${d.clinicName} : rappel de votre rendez-vous${d.serviceName ? ` (${d.serviceName})` : ''} le ${d.appointmentDate} à ${d.appointmentTime}.`,
+      d.address && `Adresse : ${d.address}`,
+      REPLY_HINTS.fr
+    ]),
+    consent_request: (d) => joinLines([
+      `${d.clinicName} : bonjour ${d.patientName}, un document est à signer : ${d.consentTitle}.`,
+      d.signingUrl && `Signer : ${d.signingUrl}`
+    ]),
+    quote_sent: (d) => joinLines([
+      `${d.clinicName} : votre devis ${d.quoteNumber} d'un montant de ${d.totalAmount} € est disponible.`,
+      d.viewUrl && `Consulter : ${d.viewUrl}`
+    ]),
+    invoice_ready: (d) => joinLines([
+      `${d.clinicName} : votre facture ${d.invoiceNumber} d'un montant de ${d.totalAmount} € est disponible.`,
+      d.viewUrl && `Consulter : ${d.viewUrl}`
+    ]),
+    payment_reminder: (d) => joinLines([
+      d.formalNotice
+        ? `${d.clinicName} : mise en demeure de régler la facture ${d.invoiceNumber}${d.totalClaimed ? `, ${d.totalClaimed} € pénalités et indemnité de recouvrement comprises` : ''}${d.paymentDeadline ? `, avant le ${d.paymentDeadline}` : ''}.`
+        : `${d.clinicName} : sauf erreur de notre part, la facture ${d.invoiceNumber}${d.amountDue ? ` (${d.amountDue} €)` : ''}${d.dueDate ? ` échue le ${d.dueDate}` : ''} reste impayée.`,
+      'Merci de ne pas tenir compte de ce message si le règlement a été effectué.'
+    ]),
+    waitlist_offer: (d) => joinLines([
+      `${d.clinicName} : bonjour ${d.patientName}, un créneau s'est libéré${d.serviceName ? ` (${d.serviceName})` : ''} le ${d.appointmentDate} à ${d.appointmentTime}.`,
+      d.offerUrl && `Pour le réserver : ${d.offerUrl}`,
+      d.expiresAt && `Offre valable jusqu'à ${d.expiresAt}, premier arrivé premier servi.`
+    ]),
+    booking_verification: (d) => joinLines([
+      `${d.clinicName} : votre code de vérification pour la prise de rendez-vous en ligne${d.code ? ` est ${d.code}` : ''}.`,
+      d.expiresInMinutes && `Il expire dans ${d.expiresInMinutes} minutes. Ne le communiquez à personne.`
+    ]),
+    appointment_calendar_update: (d) => (d.cancelled
+      ? `${d.clinicName} : bonjour ${d.patientName}, votre rendez-vous${d.serviceName ? ` (${d.serviceName})` : ''} du ${d.appointmentDate} à ${d.appointmentTime} est annulé.`
+      : `${d.clinicName} : bonjour ${d.patientName}, votre rendez-vous${d.serviceName ? ` (${d.serviceName})` : ''} a été déplacé au ${d.appointmentDate} à ${d.appointmentTime}.`),
+    prescription_expiry: (d) => joinLines([
+      `${d.clinicName} : ${d.count || 'des'} ordonnance(s) de traitement chronique arrivent à échéance${d.days ? ` dans les ${d.days} prochains jours` : ''}.`,
+      ...(d.prescriptions || []).map(p => `- ${p.prescriptionNumber} ${p.patientName} : jusqu'au ${p.validUntil}, ${p.renewalsRemaining} renouvellement(s) restant(s)`)
+    ])
+  },
+
+  en: {
+    appointment_confirmation: (d) => joinLines([
+      `${d.clinicName}: hello ${d.patientName}, your appointment${d.serviceName ? ` (${d.serviceName})` : ''} is scheduled on ${d.appointmentDate} at ${d.appointmentTime}.`,
+      d.confirmationUrl && `Please confirm: ${d.confirmationUrl}`,
+      REPLY_HINTS.en
+    ]),
+    appointment_reminder: (d) => joinLines([
+      `${d.clinicName}: reminder of your appointment${d.serviceName ? ` (${d.serviceName})` : ''} on ${d.appointmentDate} at ${d.appointmentTime}.`,
+      d.address && `Address: ${d.address}`,
+      REPLY_HINTS.en
+    ]),
+    consent_request: (d) => joinLines([
+      `${d.clinicName}: hello ${d.patientName}, a document is waiting for your signature: ${d.consentTitle}.`,
+      d.signingUrl && `Sign: ${d.signingUrl}`
+    ]),
+    quote_sent: (d) => joinLines([
+      `${d.clinicName}: your quote ${d.quoteNumber} for ${d.totalAmount} € is available.`,
+      d.viewUrl && `View: ${d.viewUrl}`
+    ]),
+    invoice_ready: (d) => joinLines([
+      `${d.clinicName}: your invoice ${d.invoiceNumber} for ${d.totalAmount} € is available.`,
+      d.viewUrl && `View: ${d.viewUrl}`
+    ]),
+    payment_reminder: (d) => joinLines([
+      d.formalNotice
+        ? `${d.clinicName}: formal notice to pay invoice ${d.invoiceNumber}${d.totalClaimed ? `, ${d.totalClaimed} € including late penalties and recovery costs` : ''}${d.paymentDeadline ? `, by ${d.paymentDeadline}` : ''}.`
+        : `${d.clinicName}: unless we are mistaken, invoice ${d.invoiceNumber}${d.amountDue ? ` (${d.amountDue} €)` : ''}${d.dueDate ? ` due on ${d.dueDate}` : ''} is still unpaid.`,
+      'Please disregard this message if payment has been made.'
+    ]),
+    waitlist_offer: (d) => joinLines([
+      `${d.clinicName}: hello ${d.patientName}, a slot is now available${d.serviceName ? ` (${d.serviceName})` : ''} on ${d.appointmentDate} at ${d.appointmentTime}.`,
+      d.offerUrl && `Book it: ${d.offerUrl}`,
+      d.expiresAt && `Offer valid until ${d.expiresAt}, first come first served.`
+    ]),
+    booking_verification: (d) => joinLines([
+      `${d.clinicName}: your online booking verification code${d.code ? ` is ${d.code}` : ''}.`,
+      d.expiresInMinutes && `It expires in ${d.expiresInMinutes} minutes. Do not share it with anyone.`
+    ]),
+    appointment_calendar_update: (d) => (d.cancelled
+      ? `${d.clinicName}: hello ${d.patientName}, your appointment${d.serviceName ? ` (${d.serviceName})` : ''} on ${d.appointmentDate} at ${d.appointmentTime} has been cancelled.`
+      : `${d.clinicName}: hello ${d.patientName}, your appointment${d.serviceName ? ` (${d.serviceName})` : ''} has been moved to ${d.appointmentDate} at ${d.appointmentTime}.`),
+    prescription_expiry: (d) => joinLines([
+      `${d.clinicName}: ${d.count || 'some'} chronic treatment prescription(s) expire${d.days ? ` within ${d.days} days` : ' soon'}.`,
+      ...(d.prescriptions || []).map(p => `- ${p.prescriptionNumber} ${p.patientName}: until ${p.validUntil}, ${p.renewalsRemaining} renewal(s) left`)
+    ])
+  },
+
+  es: {
+    appointment_confirmation: (d) => joinLines([
+      `${d.clinicName}: hola ${d.patientName}, su cita${d.serviceName ? ` (${d.serviceName})` : ''} está prevista el ${d.appointmentDate} a las ${d.appointmentTime}.`,
+      d.confirmationUrl && `Por favor, confírmela: ${d.confirmationUrl}`,
+      REPLY_HINTS.es
+    ]),
+    appointment_reminder: (d) => joinLines([
+      `${d.clinicName}: le recordamos su cita${d.serviceName ? ` (${d.serviceName})` : ''} el ${d.appointmentDate} a las ${d.appointmentTime}.`,
+      d.address && `Dirección: ${d.address}`,
+      REPLY_HINTS.es
+    ]),
+    consent_request: (d) => joinLines([
+      `${d.clinicName}: hola ${d.patientName}, tiene un documento pendiente de firma: ${d.consentTitle}.`,
+      d.signingUrl && `Firmar: ${d.signingUrl}`
+    ]),
+    quote_sent: (d) => joinLines([
+      `${d.clinicName}: su presupuesto ${d.quoteNumber} por ${d.totalAmount} € está disponible.`,
+      d.viewUrl && `Ver: ${d.viewUrl}`
+    ]),
+    invoice_ready: (d) => joinLines([
+      `${d.clinicName}: su factura ${d.invoiceNumber} por ${d.totalAmount} € está disponible.`,
+      d.viewUrl && `Ver: ${d.viewUrl}`
+    ]),
+    payment_reminder: (d) => joinLines([
+      d.formalNotice
+        ? `${d.clinicName}: requerimiento de pago de la factura ${d.invoiceNumber}${d.totalClaimed ? `, ${d.totalClaimed} € con intereses de demora y gastos de cobro` : ''}${d.paymentDeadline ? `, antes del ${d.paymentDeadline}` : ''}.`
+        : `${d.clinicName}: salvo error, la factura ${d.invoiceNumber}${d.amountDue ? ` (${d.amountDue} €)` : ''}${d.dueDate ? ` vencida el ${d.dueDate}` : ''} sigue pendiente de pago.`,
+      'Si ya ha realizado el pago, no tenga en cuenta este mensaje.'
+    ]),
+    waitlist_offer: (d) => joinLines([
+      `${d.clinicName}: hola ${d.patientName}, se ha liberado una cita${d.serviceName ? ` (${d.serviceName})` : ''} el ${d.appointmentDate} a las ${d.appointmentTime}.`,
+      d.offerUrl && `Para reservarla: ${d.offerUrl}`,
+      d.expiresAt && `Oferta válida hasta ${d.expiresAt}, por orden de llegada.`
+    ]),
+    booking_verification: (d) => joinLines([
+      `${d.clinicName}: su código de verificación para la cita en línea${d.code ? ` es ${d.code}` : ''}.`,
+      d.expiresInMinutes && `Caduca en ${d.expiresInMinutes} minutos. No lo comparta con nadie.`
+    ]),
+    appointment_calendar_update: (d) => (d.cancelled
+      ? `${d.clinicName}: hola ${d.patientName}, su cita${d.serviceName ? ` (${d.serviceName})` : ''} del ${d.appointmentDate} a las ${d.appointmentTime} ha sido anulada.`
+      : `${d.clinicName}: hola ${d.patientName}, su cita${d.serviceName ? ` (${d.serviceName})` : ''} se ha cambiado al ${d.appointmentDate} a las ${d.appointmentTime}.`),
+    prescription_expiry: (d) => joinLines([
+      `${d.clinicName}: ${d.count || 'varias'} receta(s) de tratamiento crónico caducan${d.days ? ` en los próximos ${d.days} días` : ' pronto'}.`,
+      ...(d.prescriptions || []).map(p => `- ${p.prescriptionNumber} ${p.patientName}: hasta el ${p.validUntil}, ${p.renewalsRemaining} renovación(es) restante(s)`)
+    ])
+  }
+};
+
+function joinLines(lines) {
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Render a text template
+ * @param {string} templateType - One of messagingService TEMPLATE_TYPES
+ * @param {string} language - fr, en, es (falls back to fr)
+ * @param {object} data - Template data (clinicName, patientName, ...)
+ * @returns {string} Rendered message body
+ */
+function renderTemplate(templateType, language, data = {}) {
+  const set = templates[language] || templates[DEFAULT_LANGUAGE];
+  const template = set[templateType];
+
+  if (!template) {
+    throw new Error(`Unknown template type: ${templateType}`);
+  }
+
+  return template({
+    clinicName: 'MedicalPro',
+    patientName: '',
+    ...data
+  });
+}
+
+/**
+ * List template types available for a language
+ * @param {string} language
+ * @returns {string[]}
+ */
+function getTemplateTypes(language = DEFAULT_LANGUAGE) {
+  return Object.keys(templates[language] || templates[DEFAULT_LANGUAGE]);
+}
+
+module.exports = {
+  renderTemplate,
+  getTemplateTypes,
+  SUPPORTED_LANGUAGES: Object.keys(templates)
+};
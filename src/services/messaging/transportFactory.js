@@ -0,0 +1,31 @@
+'use strict';
+
+const TwilioTransport = require('./TwilioTransport');
+const LoopbackTransport = require('./LoopbackTransport');
+
+// Loopback is shared so that messages stay inspectable across calls
+let loopbackInstance = null;
+
+function getLoopbackTransport() {
+  if (!loopbackInstance) {
+    loopbackInstance = new LoopbackTransport();
+  }
+  return loopbackInstance;
+}
+
+const transports = {
+  twilio: (settings) => new TwilioTransport(settings.twilio || {}),
+  loopback: () => getLoopbackTransport()
+};
+
+/**
+ * Get the transport configured in messaging settings
+ * @param {object} settings - Resolved messaging settings ({ transport, twilio: {...} })
+ * @returns {MessageTransport|null}
+ */
+function getMessageTransport(settings = {}) {
+  const factory = transports[(settings.transport || 'twilio').toLowerCase()];
+  return factory ? factory(settings) : null;
+}
+
+module.exports = { getMessageTransport, getLoopbackTransport };
@@ -2,8 +2,8 @@
  * Messaging Service
  * Unified messaging interface supporting multiple channels:
  * - Email (implemented via emailService)
- * - WhatsApp (interface ready, Twilio implementation pending)
- * - SMS (interface ready, Twilio implementation pending)
+ * - WhatsApp and SMS (text templates delivered through a pluggable transport:
+ *   Twilio in production, loopback for local development)
  *
  * Usage:
  * const messagingService = require('./messagingService');
@@ -17,6 +17,8 @@
 
 const emailService = require('./emailService');
 const { logger } = require('../utils/logger');
+const { renderTemplate } = require('./messaging/messageTemplates');
+const { getMessageTransport } = require('./messaging/transportFactory');
 
 /**
  * Message template types
@@ -26,7 +28,12 @@ const TEMPLATE_TYPES = {
   APPOINTMENT_REMINDER: 'appointment_reminder',
   CONSENT_REQUEST: 'consent_request',
   QUOTE_SENT: 'quote_sent',
-  INVOICE_READY: 'invoice_ready'
+  INVOICE_READY: 'invoice_ready',
+  PAYMENT_REMINDER: 'payment_reminder',
+  WAITLIST_OFFER: 'waitlist_offer',
+  BOOKING_VERIFICATION: 'booking_verification',
+  APPOINTMENT_CALENDAR_UPDATE: 'appointment_calendar_update',
+  PRESCRIPTION_EXPIRY: 'prescription_expiry'
 };
 
 /**
@@ -51,17 +58,19 @@ class MessageChannel {
    * @param {string} templateType - Type of message template
    * @param {object} recipient - { email, phone, language, name, patientName }
    * @param {object} data - Template data
+   * @param {object} settings - Resolved messaging settings
    * @returns {Promise<object>} Result with success status
    */
-  async send(templateType, recipient, data) {
+  async send(templateType, recipient, data, settings) {
     throw new Error('Method send() must be implemented by subclass');
   }
 
   /**
    * Check if channel is available/configured
+   * @param {object} settings - Resolved messaging settings
    * @returns {boolean}
    */
-  isAvailable() {
+  isAvailable(settings) {
     return false;
   }
 
@@ -105,6 +114,7 @@ class EmailChannel extends MessageChannel {
           appointmentTime: data.appointmentTime,
           serviceName: data.serviceName,
           confirmationUrl: data.confirmationUrl,
+          calendarEvent: data.calendarEvent || null,
           language,
           logoUrl: data.logoUrl || null
         });
@@ -118,6 +128,7 @@ class EmailChannel extends MessageChannel {
           appointmentTime: data.appointmentTime,
           serviceName: data.serviceName,
           address: data.address,
+          calendarEvent: data.calendarEvent || null,
           language,
           logoUrl: data.logoUrl || null
         });
@@ -159,6 +170,74 @@ class EmailChannel extends MessageChannel {
           logoUrl: data.logoUrl || null
         });
 
+      case TEMPLATE_TYPES.PAYMENT_REMINDER:
+        return await emailService.sendPaymentReminder({
+          email,
+          patientName: recipientName,
+          clinicName: data.clinicName,
+          formalNotice: Boolean(data.formalNotice),
+          invoiceNumber: data.invoiceNumber,
+          dueDate: data.dueDate,
+          daysOverdue: data.daysOverdue,
+          amountDue: data.amountDue,
+          latePenalties: data.latePenalties,
+          recoveryIndemnity: data.recoveryIndemnity,
+          totalClaimed: data.totalClaimed,
+          paymentDeadline: data.paymentDeadline,
+          attachment: data.attachment || null,
+          language,
+          logoUrl: data.logoUrl || null
+        });
+
+      case TEMPLATE_TYPES.WAITLIST_OFFER:
+        return await emailService.sendWaitlistOffer({
+          email,
+          patientName: recipientName,
+          clinicName: data.clinicName,
+          appointmentDate: data.appointmentDate,
+          appointmentTime: data.appointmentTime,
+          serviceName: data.serviceName,
+          offerUrl: data.offerUrl,
+          expiresAt: data.expiresAt,
+          language,
+          logoUrl: data.logoUrl || null
+        });
+
+      case TEMPLATE_TYPES.BOOKING_VERIFICATION:
+        return await emailService.sendBookingVerificationCode({
+          email,
+          clinicName: data.clinicName,
+          code: data.code,
+          expiresInMinutes: data.expiresInMinutes,
+          language,
+          logoUrl: data.logoUrl || null
+        });
+
+      case TEMPLATE_TYPES.APPOINTMENT_CALENDAR_UPDATE:
+        return await emailService.sendAppointmentCalendarUpdate({
+          email,
+          patientName: recipientName,
+          clinicName: data.clinicName,
+          appointmentDate: data.appointmentDate,
+          appointmentTime: data.appointmentTime,
+          serviceName: data.serviceName,
+          cancelled: Boolean(data.cancelled),
+          calendarEvent: data.calendarEvent,
+          language,
+          logoUrl: data.logoUrl || null
+        });
+
+      case TEMPLATE_TYPES.PRESCRIPTION_EXPIRY:
+        return await emailService.sendPrescriptionExpiryWarning({
+          email,
+          practitionerName: recipientName,
+          clinicName: data.clinicName,
+          days: data.days,
+          prescriptions: data.prescriptions || [],
+          language,
+          logoUrl: data.logoUrl || null
+        });
+
       default:
         throw new Error(`Unknown template type: ${templateType}`);
     }
@@ -166,85 +245,126 @@ class EmailChannel extends MessageChannel {
 }
 
 /**
- * WhatsApp Channel - Interface ready, Twilio implementation pending
+ * Read messaging settings for a clinic and merge them over environment defaults.
+ * Clinic values (clinic_settings.messaging_settings) win, so each clinic can use
+ * its own Twilio account and sender numbers.
+ * @param {object} clinicSettings - Raw messaging_settings JSONB (may be empty)
+ * @returns {object} { transport, defaultCountryCode, sms, whatsapp, twilio }
  */
-class WhatsAppChannel extends MessageChannel {
-  constructor() {
-    super('whatsapp');
-    this.provider = null; // Twilio to be implemented
+function resolveMessagingSettings(clinicSettings = {}) {
+  const settings = clinicSettings || {};
+  const sms = settings.sms || {};
+  const whatsapp = settings.whatsapp || {};
+  const twilio = settings.twilio || {};
+  const hasClinicCredentials = Boolean(twilio.accountSid && twilio.authToken);
+
+  return {
+    transport: settings.transport || process.env.MESSAGING_TRANSPORT || 'twilio',
+    defaultCountryCode: settings.defaultCountryCode || process.env.MESSAGING_DEFAULT_COUNTRY_CODE || '+33',
+    sms: {
+      enabled: sms.enabled !== undefined ? sms.enabled : process.env.TWILIO_SMS_ENABLED === 'true',
+      from: sms.from || process.env.TWILIO_SMS_FROM || null
+    },
+    whatsapp: {
+      enabled: whatsapp.enabled !== undefined ? whatsapp.enabled : process.env.TWILIO_WHATSAPP_ENABLED === 'true',
+      from: whatsapp.from || process.env.TWILIO_WHATSAPP_FROM || null
+    },
+    twilio: hasClinicCredentials
+      ? { accountSid: twilio.accountSid, authToken: twilio.authToken }
+      : { accountSid: process.env.TWILIO_ACCOUNT_SID, authToken: process.env.TWILIO_AUTH_TOKEN }
+  };
+}
+
+/**
+ * Normalize a phone number to E.164 (+33612345678)
+ * Local numbers starting with a single 0 get the clinic default country code.
+ * @param {string} phone
+ * @param {string} defaultCountryCode - e.g. '+33'
+ * @returns {string|null}
+ */
+function normalizePhone(phone, defaultCountryCode = '+33') {
+  if (!phone) return null;
+
+  let cleaned = String(phone).replace(/^whatsapp:/, '').replace(/[\s.\-()]/g, '');
+
+  if (cleaned.startsWith('00')) {
+    cleaned = `+${cleaned.slice(2)}`;
+  } else if (cleaned.startsWith('0')) {
+    cleaned = `${defaultCountryCode}${cleaned.slice(1)}`;
+  } else if (!cleaned.startsWith('+')) {
+    cleaned = `${defaultCountryCode}${cleaned}`;
   }
 
-  isAvailable() {
-    return process.env.TWILIO_WHATSAPP_ENABLED === 'true';
+  return /^\+\d{6,15}$/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Base class for text channels (SMS, WhatsApp)
+ * Renders the localized text template and hands it to the configured transport.
+ */
+class TextMessageChannel extends MessageChannel {
+  isAvailable(settings = resolveMessagingSettings()) {
+    const channelSettings = settings[this.name] || {};
+    if (!channelSettings.enabled) {
+      return false;
+    }
+    const transport = getMessageTransport(settings);
+    return Boolean(transport && transport.isConfigured());
   }
 
-  async send(templateType, recipient, data) {
-    if (!this.isAvailable()) {
-      throw new Error('WhatsApp channel not configured. Set TWILIO_WHATSAPP_ENABLED=true and configure Twilio credentials.');
+  async send(templateType, recipient, data, settings = resolveMessagingSettings()) {
+    if (!this.isAvailable(settings)) {
+      throw new Error(`${this.name} channel is not enabled or its transport is not configured`);
     }
 
-    const { phone, language = 'es' } = recipient;
+    const { phone, language = 'fr', patientName, name } = recipient;
 
     if (!phone) {
-      throw new Error('Phone number is required for WhatsApp channel');
+      throw new Error(`Phone number is required for ${this.name} channel`);
+    }
+
+    const to = normalizePhone(phone, settings.defaultCountryCode);
+    if (!to) {
+      throw new Error(`Invalid phone number for ${this.name} channel: ${phone}`);
     }
 
-    // TODO: Implement Twilio WhatsApp Business API
-    // This will require:
-    // - TWILIO_ACCOUNT_SID
-    // - TWILIO_AUTH_TOKEN
-    // - TWILIO_WHATSAPP_FROM (WhatsApp Business number)
-    // - Pre-approved message templates
+    const body = renderTemplate(templateType, language, {
+      ...data,
+      patientName: patientName || name || ''
+    });
 
-    logger.warn('WhatsApp channel not yet implemented. Message would be sent to:', phone);
+    const transport = getMessageTransport(settings);
+    const result = await transport.deliver({
+      channel: this.name,
+      to,
+      from: settings[this.name].from,
+      body
+    });
 
     return {
-      success: false,
-      channel: 'whatsapp',
-      error: 'WhatsApp channel not yet implemented',
-      phone
+      ...result,
+      channel: this.name,
+      templateType,
+      to
     };
   }
 }
 
 /**
- * SMS Channel - Interface ready, Twilio implementation pending
+ * WhatsApp Channel
  */
-class SMSChannel extends MessageChannel {
+class WhatsAppChannel extends TextMessageChannel {
   constructor() {
-    super('sms');
-    this.provider = null; // Twilio to be implemented
-  }
-
-  isAvailable() {
-    return process.env.TWILIO_SMS_ENABLED === 'true';
+    super('whatsapp');
   }
+}
 
-  async send(templateType, recipient, data) {
-    if (!this.isAvailable()) {
-      throw new Error('SMS channel not configured. Set TWILIO_SMS_ENABLED=true and configure Twilio credentials.');
-    }
-
-    const { phone, language = 'es' } = recipient;
-
-    if (!phone) {
-      throw new Error('Phone number is required for SMS channel');
-    }
-
-    // TODO: Implement Twilio SMS API
-    // This will require:
-    // - TWILIO_ACCOUNT_SID
-    // - TWILIO_AUTH_TOKEN
-    // - TWILIO_SMS_FROM (SMS phone number)
-
-    logger.warn('SMS channel not yet implemented. Message would be sent to:', phone);
-
-    return {
-      success: false,
-      channel: 'sms',
-      error: 'SMS channel not yet implemented',
-      phone
-    };
+/**
+ * SMS Channel
+ */
+class SmsChannel extends TextMessageChannel {
+  constructor() {
+    super('sms');
   }
 }
 
@@ -256,30 +376,54 @@ class MessagingService {
     this.channels = {
       [CHANNEL_TYPES.EMAIL]: new EmailChannel(),
       [CHANNEL_TYPES.WHATSAPP]: new WhatsAppChannel(),
-      [CHANNEL_TYPES.SMS]: new SMSChannel()
+      [CHANNEL_TYPES.SMS]: new SmsChannel()
     };
   }
 
+  /**
+   * Load messaging settings for a clinic (clinic_settings.messaging_settings)
+   * @param {Sequelize} clinicDb - Clinic database connection (optional)
+   * @returns {Promise<object>} Resolved settings merged with env defaults
+   */
+  async getMessagingSettings(clinicDb) {
+    if (!clinicDb) {
+      return resolveMessagingSettings();
+    }
+
+    try {
+      const [rows] = await clinicDb.query(
+        'SELECT messaging_settings FROM clinic_settings LIMIT 1'
+      );
+      return resolveMessagingSettings(rows.length > 0 ? rows[0].messaging_settings : {});
+    } catch (error) {
+      logger.warn(`Could not load clinic messaging settings, using defaults: ${error.message}`);
+      return resolveMessagingSettings();
+    }
+  }
+
   /**
    * Send a message via a specific channel
    * @param {string} channel - Channel type ('email', 'whatsapp', 'sms')
    * @param {string} templateType - Message template type
    * @param {object} recipient - Recipient info (email, phone, language, name)
    * @param {object} data - Template data
+   * @param {object} options - { clinicDb, settings } to use per-clinic credentials
    * @returns {Promise<object>} Send result
    */
-  async send(channel, templateType, recipient, data) {
+  async send(channel, templateType, recipient, data, options = {}) {
     const channelInstance = this.channels[channel];
 
     if (!channelInstance) {
       throw new Error(`Unknown channel: ${channel}`);
     }
 
-    if (!channelInstance.isAvailable()) {
+    const settings = options.settings || await this.getMessagingSettings(options.clinicDb);
+
+    if (!channelInstance.isAvailable(settings)) {
       throw new Error(`Channel ${channel} is not available/configured`);
     }
 
-    return await channelInstance.send(templateType, recipient, data);
+    return await channelInstance.send(templateType, recipient, data, settings);
   }
 
   /**
@@ -288,14 +432,16 @@ class MessagingService {
    * @param {string} templateType - Message template type
    * @param {object} recipient - Recipient info
    * @param {object} data - Template data
+   * @param {object} options - { clinicDb, settings }
    * @returns {Promise<object[]>} Array of send results
    */
-  async sendMultiChannel(channels, templateType, recipient, data) {
+  async sendMultiChannel(channels, templateType, recipient, data, options = {}) {
+    const settings = options.settings || await this.getMessagingSettings(options.clinicDb);
     const results = [];
 
     for (const channel of channels) {
       try {
-        const result = await this.send(channel, templateType, recipient, data);
+        const result = await this.send(channel, templateType, recipient, data, { settings });
         results.push(result);
       } catch (error) {
         results.push({
@@ -312,20 +458,22 @@ class MessagingService {
   /**
    * Check if a channel is available
    * @param {string} channel - Channel type
+   * @param {object} settings - Resolved messaging settings (defaults to env)
    * @returns {boolean}
    */
-  isChannelAvailable(channel) {
+  isChannelAvailable(channel, settings = resolveMessagingSettings()) {
     const channelInstance = this.channels[channel];
-    return channelInstance ? channelInstance.isAvailable() : false;
+    return channelInstance ? channelInstance.isAvailable(settings) : false;
   }
 
   /**
    * Get list of available channels
+   * @param {object} settings - Resolved messaging settings (defaults to env)
    * @returns {string[]}
    */
-  getAvailableChannels() {
+  getAvailableChannels(settings = resolveMessagingSettings()) {
     return Object.entries(this.channels)
-      .filter(([_, channel]) => channel.isAvailable())
+      .filter(([_, channel]) => channel.isAvailable(settings))
       .map(([name, _]) => name);
   }
 }
@@ -337,3 +485,5 @@ module.exports = messagingService;
 module.exports.MessagingService = MessagingService;
 module.exports.TEMPLATE_TYPES = TEMPLATE_TYPES;
 module.exports.CHANNEL_TYPES = CHANNEL_TYPES;
+module.exports.resolveMessagingSettings = resolveMessagingSettings;
+module.exports.normalizePhone = normalizePhone;
@@ -0,0 +1,540 @@
+/**
+ * Online Booking Service
+ *
+ * Public self-booking for patients (no account, no captcha):
+ * - Catalogue: treatments flagged bookable_online, practitioners opened in the
+ *   clinic's online_booking settings
+ * - Slots: planningService.getTreatmentSlots / getAllSlots, restricted to the
+ *   booking horizon and the minimum lead time (per treatment, clinic default otherwise)
+ * - Contact verification: a one-time code is sent by email or SMS; the verified
+ *   token authorizes ONE booking for that contact
+ * - Booking: existing patient matched on the verified contact, or a provisional
+ *   patient (patientService.createProvisionalPatient), then a `scheduled`
+ *   appointment through planningService.bookAppointment
+ *
+ * Request rate limits are applied by the public routes.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { logger } = require('../utils/logger');
+const ModelFactory = require('../base/ModelFactory');
+const planningService = require('./planningService');
+const patientService = require('./patientService');
+const stateMachineService = require('./appointmentStateMachineService');
+const messagingService = require('./messagingService');
+const { TEMPLATE_TYPES, normalizePhone } = require('./messagingService');
+const messageOutboxService = require('./messageOutboxService');
+const emailService = require('./emailService');
+const { createProvisionalPatientSchema } = require('../base/validationSchemas');
+
+/**
+ * Default clinic settings (clinic_settings.online_booking)
+ */
+const DEFAULT_ONLINE_BOOKING_SETTINGS = {
+  enabled: false,
+  minLeadMinutes: 120,
+  maxDaysAhead: 60,
+  practitionerIds: [],
+  verificationChannels: ['email', 'sms']
+};
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function getConfig() {
+  return {
+    codeTtlMinutes: parsePositiveInt(process.env.ONLINE_BOOKING_CODE_TTL_MINUTES, 10),
+    maxCodeAttempts: parsePositiveInt(process.env.ONLINE_BOOKING_MAX_CODE_ATTEMPTS, 5),
+    verifiedTtlMinutes: parsePositiveInt(process.env.ONLINE_BOOKING_VERIFIED_TTL_MINUTES, 30)
+  };
+}
+
+/**
+ * Apply defaults to stored online booking settings
+ * @param {object|null} settings - clinic_settings.online_booking
+ * @returns {object}
+ */
+function resolveSettings(settings) {
+  return { ...DEFAULT_ONLINE_BOOKING_SETTINGS, ...(settings || {}) };
+}
+
+/**
+ * Local YYYY-MM-DD for a Date
+ */
+function toDateString(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Check that a date is within the booking horizon (today ... today + maxDaysAhead)
+ * @param {string} date - YYYY-MM-DD
+ * @param {object} settings - Resolved online booking settings
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isWithinHorizon(date, settings, now = new Date()) {
+  const lastDay = new Date(now);
+  lastDay.setDate(lastDay.getDate() + settings.maxDaysAhead);
+  return date >= toDateString(now) && date <= toDateString(lastDay);
+}
+
+/**
+ * Keep the slots starting at least minLeadMinutes from now
+ * @param {object[]} slots - Slots ({ start: 'HH:MM', ... })
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minLeadMinutes
+ * @param {Date} now
+ * @returns {object[]}
+ */
+function filterSlotsByLeadTime(slots, date, minLeadMinutes, now = new Date()) {
+  const earliest = now.getTime() + minLeadMinutes * 60 * 1000;
+  return slots.filter(slot => new Date(`${date}T${slot.start}:00`).getTime() >= earliest);
+}
+
+/**
+ * Normalize the contact to verify
+ * @param {string} channel - 'email' | 'sms'
+ * @param {string} contact - Email or phone as typed
+ * @param {string} defaultCountryCode - Clinic default (+33, +34, ...)
+ * @returns {string|null} null when the contact is not valid for the channel
+ */
+function normalizeContact(channel, contact, defaultCountryCode) {
+  if (!contact) return null;
+  if (channel === 'email') {
+    const email = String(contact).trim().toLowerCase();
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+  }
+  return normalizePhone(contact, defaultCountryCode);
+}
+
+/**
+ * Random 6-digit code
+ */
+function generateCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+class OnlineBookingService {
+  /**
+   * Get the clinic's online booking settings (defaults applied)
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @returns {Promise<object>}
+   */
+  async getSettings(clinicDb) {
+    try {
+      const [rows] = await clinicDb.query(
+        'SELECT online_booking FROM clinic_settings LIMIT 1'
+      );
+      return resolveSettings(rows.length > 0 ? rows[0].online_booking : null);
+    } catch (error) {
+      logger.warn(`Could not load online booking settings, using defaults: ${error.message}`);
+      return resolveSettings(null);
+    }
+  }
+
+  /**
+   * Treatments patients can book online
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @returns {Promise<Model[]>}
+   */
+  async getBookableTreatments(clinicDb) {
+    const ProductService = await ModelFactory.getModel(clinicDb, 'ProductService');
+
+    return await ProductService.findAll({
+      where: {
+        item_type: 'treatment',
+        is_active: true,
+        is_family: false,
+        bookable_online: true,
+        duration: { [Op.ne]: null }
+      },
+      order: [['title', 'ASC']]
+    });
+  }
+
+  /**
+   * Find one bookable treatment
+   * @returns {Promise<Model|null>}
+   */
+  async findBookableTreatment(clinicDb, treatmentId) {
+    const ProductService = await ModelFactory.getModel(clinicDb, 'ProductService');
+
+    return await ProductService.findOne({
+      where: {
+        id: treatmentId,
+        item_type: 'treatment',
+        is_active: true,
+        bookable_online: true,
+        duration: { [Op.ne]: null }
+      }
+    });
+  }
+
+  /**
+   * Practitioners opened to online consultations
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} settings - Resolved online booking settings
+   * @returns {Promise<Model[]>}
+   */
+  async getBookablePractitioners(clinicDb, settings) {
+    if (!settings.practitionerIds || settings.practitionerIds.length === 0) {
+      return [];
+    }
+
+    const HealthcareProvider = await ModelFactory.getModel(clinicDb, 'HealthcareProvider');
+
+    return await HealthcareProvider.findAll({
+      where: {
+        id: { [Op.in]: settings.practitionerIds },
+        is_active: true
+      },
+      attributes: ['id', 'title', 'first_name', 'last_name', 'profession', 'specialties'],
+      order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+    });
+  }
+
+  /**
+   * Slots open to online booking on a date
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} settings - Resolved online booking settings
+   * @param {object} query - { date, treatmentId } or { date, providerId }
+   * @param {Date} now
+   * @returns {Promise<{slots: object[]}|{rejected: {reason, message}}>}
+   *   Slots keep machineId / providerId for booking; routes strip them.
+   */
+  async getAvailableSlots(clinicDb, settings, query, now = new Date()) {
+    const { date, treatmentId, providerId } = query;
+
+    if (treatmentId) {
+      const treatment = await this.findBookableTreatment(clinicDb, treatmentId);
+      if (!treatment) {
+        return { rejected: { reason: 'not_bookable', message: 'This treatment cannot be booked online' } };
+      }
+      if (!isWithinHorizon(date, settings, now)) {
+        return { slots: [], treatment };
+      }
+
+      const result = await planningService.getTreatmentSlots(clinicDb, treatmentId, date);
+      const minLead = treatment.online_min_lead_minutes ?? settings.minLeadMinutes;
+      const slots = (result.slots || []).filter(slot => !slot.afterHours);
+
+      return { slots: filterSlotsByLeadTime(slots, date, minLead, now), treatment };
+    }
+
+    if (!settings.practitionerIds.includes(providerId)) {
+      return { rejected: { reason: 'not_bookable', message: 'This practitioner cannot be booked online' } };
+    }
+    if (!isWithinHorizon(date, settings, now)) {
+      return { slots: [] };
+    }
+
+    const result = await planningService.getAllSlots(clinicDb, date, {
+      category: 'consultation',
+      providerId
+    });
+
+    return { slots: filterSlotsByLeadTime(result.consultations, date, settings.minLeadMinutes, now) };
+  }
+
+  /**
+   * Send a verification code to an email address or phone number
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} settings - Resolved online booking settings
+   * @param {object} input - { channel, contact, language }
+   * @param {object} options - { ipAddress }
+   * @returns {Promise<{verification, expiresInMinutes}|{rejected: {reason, message}}>}
+   */
+  async requestVerification(clinicDb, settings, input, options = {}) {
+    const OnlineBookingVerification = await ModelFactory.getModel(clinicDb, 'OnlineBookingVerification');
+    const messagingSettings = await messagingService.getMessagingSettings(clinicDb);
+    const { channel, language } = input;
+
+    const channelAvailable = settings.verificationChannels.includes(channel) &&
+      (channel === 'email' || messagingService.isChannelAvailable('sms', messagingSettings));
+    if (!channelAvailable) {
+      return { rejected: { reason: 'channel_unavailable', message: `Verification by ${channel} is not available` } };
+    }
+
+    const contact = normalizeContact(channel, input.contact, messagingSettings.defaultCountryCode);
+    if (!contact) {
+      return { rejected: { reason: 'invalid_contact', message: `Invalid ${channel === 'email' ? 'email address' : 'phone number'}` } };
+    }
+
+    const config = getConfig();
+    const code = generateCode();
+    const verification = OnlineBookingVerification.build({
+      channel,
+      contact,
+      expires_at: new Date(Date.now() + config.codeTtlMinutes * 60 * 1000),
+      ip_address: options.ipAddress || null
+    });
+    verification.setCode(code);
+    await verification.save();
+
+    const clinicInfo = await emailService.getClinicInfo(clinicDb);
+    await messageOutboxService.enqueue(clinicDb, {
+      channel,
+      templateType: TEMPLATE_TYPES.BOOKING_VERIFICATION,
+      recipient: {
+        email: channel === 'email' ? contact : null,
+        phone: channel === 'sms' ? contact : null,
+        language
+      },
+      data: {
+        clinicName: clinicInfo.clinicName,
+        logoUrl: clinicInfo.logoUrl,
+        code,
+        expiresInMinutes: config.codeTtlMinutes
+      },
+      // The code is useless once expired: no retries
+      maxAttempts: 1
+    });
+
+    return { verification, expiresInMinutes: config.codeTtlMinutes };
+  }
+
+  /**
+   * Check a verification code
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} token - Verification token
+   * @param {string} code - Code typed by the patient
+   * @returns {Promise<{verification}|{rejected: {reason, message}}>}
+   *   reason: not_found | expired | too_many_attempts | invalid_code
+   */
+  async verifyCode(clinicDb, token, code) {
+    const OnlineBookingVerification = await ModelFactory.getModel(clinicDb, 'OnlineBookingVerification');
+    const config = getConfig();
+    const transaction = await clinicDb.transaction();
+
+    try {
+      // Lock so parallel guesses are all counted
+      const verification = await OnlineBookingVerification.findByToken(token, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      let rejected = null;
+      if (!verification || verification.consumed_at) {
+        rejected = { reason: 'not_found', message: 'Verification not found' };
+      } else if (verification.verified_at) {
+        await transaction.commit();
+        return { verification };
+      } else if (verification.isExpired()) {
+        rejected = { reason: 'expired', message: 'The code has expired, please request a new one' };
+      } else if (verification.attempts >= config.maxCodeAttempts) {
+        rejected = { reason: 'too_many_attempts', message: 'Too many attempts, please request a new code' };
+      }
+
+      if (rejected) {
+        await transaction.rollback();
+        return { rejected };
+      }
+
+      verification.attempts += 1;
+      if (verification.matchesCode(code)) {
+        verification.verified_at = new Date();
+      }
+      await verification.save({ transaction });
+      await transaction.commit();
+
+      if (!verification.verified_at) {
+        return { rejected: { reason: 'invalid_code', message: 'Invalid code' } };
+      }
+      return { verification };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Find the patient owning a verified contact
+   * Several patients may share a phone or an email (family): the first name decides.
+   * @returns {Promise<{patient}|{ambiguous: true}|{}>}
+   */
+  async findPatientByContact(clinicDb, verification, firstName, defaultCountryCode, options = {}) {
+    const Patient = await ModelFactory.getModel(clinicDb, 'Patient');
+    const { fn, col, where: sqlWhere } = clinicDb.constructor;
+
+    let candidates;
+    if (verification.channel === 'email') {
+      candidates = await Patient.findAll({
+        where: {
+          archived: false,
+          [Op.and]: [sqlWhere(fn('lower', col('email')), verification.contact)]
+        },
+        transaction: options.transaction
+      });
+    } else {
+      // Compare on the last digits, then on the normalized number
+      const suffix = verification.contact.replace(/\D/g, '').slice(-9);
+      const rows = await Patient.findAll({
+        where: {
+          archived: false,
+          [Op.and]: [sqlWhere(fn('regexp_replace', col('phone'), '[^0-9]', '', 'g'), { [Op.like]: `%${suffix}` })]
+        },
+        transaction: options.transaction
+      });
+      candidates = rows.filter(p => normalizePhone(p.phone, defaultCountryCode) === verification.contact);
+    }
+
+    if (candidates.length === 0) {
+      return {};
+    }
+
+    const patient = candidates.find(p =>
+      (p.first_name || '').trim().toLowerCase() === firstName.trim().toLowerCase()
+    );
+    return patient ? { patient } : { ambiguous: true };
+  }
+
+  /**
+   * Book an appointment for a verified contact
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} settings - Resolved online booking settings
+   * @param {object} input - { verificationToken, date, startTime, treatmentId | providerId,
+   *   patient: { first_name, last_name, phone, email, birth_date, ... }, reason }
+   * @param {object} options - { clinicId }
+   * @returns {Promise<{appointment, patient}|{rejected: {reason, message}}>}
+   *   reason: not_bookable | unverified | slot_unavailable | invalid_patient | contact_clinic
+   */
+  async book(clinicDb, settings, input, options = {}) {
+    const OnlineBookingVerification = await ModelFactory.getModel(clinicDb, 'OnlineBookingVerification');
+    const config = getConfig();
+    const { date, startTime, treatmentId, providerId } = input;
+
+    // Slots are computed with the same rules as the public slot list
+    const available = await this.getAvailableSlots(clinicDb, settings, { date, treatmentId, providerId });
+    if (available.rejected) {
+      return available;
+    }
+    const slot = available.slots.find(s => s.start === startTime);
+    if (!slot) {
+      return { rejected: { reason: 'slot_unavailable', message: 'This slot is no longer available' } };
+    }
+
+    const messagingSettings = await messagingService.getMessagingSettings(clinicDb);
+    const transaction = await clinicDb.transaction();
+    let booked;
+
+    try {
+      const verification = await OnlineBookingVerification.findByToken(input.verificationToken, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!verification || !verification.canBook(config.verifiedTtlMinutes)) {
+        await transaction.rollback();
+        return { rejected: { reason: 'unverified', message: 'Contact not verified or verification expired' } };
+      }
+
+      // The verified contact always wins over what was typed
+      const patientData = { ...input.patient };
+      if (verification.channel === 'email') {
+        patientData.email = verification.contact;
+      } else {
+        patientData.phone = verification.contact;
+      }
+
+      let { patient, ambiguous } = await this.findPatientByContact(
+        clinicDb, verification, patientData.first_name, messagingSettings.defaultCountryCode, { transaction }
+      );
+
+      if (!patient && !ambiguous) {
+        const { error: patientError } = createProvisionalPatientSchema.validate(patientData);
+        if (patientError) {
+          await transaction.rollback();
+          return { rejected: { reason: 'invalid_patient', message: patientError.details[0].message } };
+        }
+
+        const created = await patientService.createProvisionalPatient(clinicDb, patientData, {
+          fallbackFacilityId: options.clinicId,
+          transaction
+        });
+        if (created.rejected && created.rejected.reason === 'no_facility') {
+          throw new Error(created.rejected.message);
+        }
+        // Phone already used by another patient
+        patient = created.patient;
+        ambiguous = Boolean(created.rejected);
+      }
+
+      if (ambiguous) {
+        await transaction.rollback();
+        return {
+          rejected: {
+            reason: 'contact_clinic',
+            message: 'We could not identify you from these details, please contact the clinic'
+          }
+        };
+      }
+
+      const isTreatment = Boolean(treatmentId);
+      const duration = slot.duration || planningService.timeToMinutes(slot.end) - planningService.timeToMinutes(slot.start);
+      const { appointment, conflict } = await planningService.bookAppointment(clinicDb, {
+        facility_id: patient.facility_id || options.clinicId,
+        patient_id: patient.id,
+        category: isTreatment ? 'treatment' : 'consultation',
+        type: isTreatment ? 'procedure' : 'consultation',
+        appointment_date: date,
+        start_time: slot.start,
+        end_time: slot.end,
+        duration_minutes: duration,
+        machine_id: isTreatment ? (slot.machineId || null) : null,
+        room_id: isTreatment ? (slot.roomId || null) : null,
+        assistant_id: isTreatment ? (slot.assistantId || null) : null,
+        provider_id: isTreatment ? null : providerId,
+        service_id: isTreatment ? treatmentId : null,
+        reason: input.reason || null,
+        status: 'scheduled'
+      }, { transaction, checkPatientOverlap: true });
+
+      if (conflict) {
+        await transaction.rollback();
+        return {
+          rejected: {
+            reason: 'slot_unavailable',
+            message: conflict.type === 'patient'
+              ? 'You already have an appointment at this time'
+              : 'This slot is no longer available'
+          }
+        };
+      }
+
+      verification.consumed_at = new Date();
+      verification.patient_id = patient.id;
+      verification.appointment_id = appointment.id;
+      await verification.save({ transaction });
+
+      await transaction.commit();
+      booked = { appointment, patient, treatment: available.treatment || null };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Online booking: appointment ${booked.appointment.id} for patient ${booked.patient.id}`, {
+      clinicId: options.clinicId
+    });
+
+    // Confirmation / reminders follow the clinic workflow rules
+    try {
+      await stateMachineService.scheduleTimedActions(clinicDb, booked.appointment, null);
+    } catch (scheduleError) {
+      logger.warn(`Online booking: could not schedule timed actions: ${scheduleError.message}`);
+    }
+
+    return booked;
+  }
+}
+
+module.exports = new OnlineBookingService();
+module.exports.DEFAULT_ONLINE_BOOKING_SETTINGS = DEFAULT_ONLINE_BOOKING_SETTINGS;
+module.exports.resolveSettings = resolveSettings;
+module.exports.isWithinHorizon = isWithinHorizon;
+module.exports.filterSlotsByLeadTime = filterSlotsByLeadTime;
+module.exports.normalizeContact = normalizeContact;
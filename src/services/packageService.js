@@ -0,0 +1,544 @@
+/**
+ * Package Service — Prepaid treatment packages and patient credits
+ *
+ * - getPackageItems() / setPackageItems(): treatments included in a package
+ *   of the catalog (products_services.is_package) and their number of sessions
+ * - grantInvoicePackages(): issuing an invoice that sells packages gives the
+ *   patient their credits (one PatientPackage per invoice line)
+ * - revokeCreditedPackages(): issuing a credit note on that invoice cancels
+ *   the packages it credits (their unused sessions)
+ * - syncAppointmentCredit(): a completed appointment uses one credit of its
+ *   treatment (service_id), given back if the appointment leaves completed
+ * - listPatientPackages() / getPatientBalances(): packages and remaining
+ *   sessions of a patient
+ * - cancelPatientPackage(): unused sessions are no longer available
+ *
+ * Credits are used oldest expiry first, then oldest purchase first.
+ */
+
+const { Op } = require('sequelize');
+const { getModel } = require('../base/ModelFactory');
+const { logger } = require('../utils/logger');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('./auditService');
+const { PACKAGE_STATUS } = require('../models/clinic/PatientPackage');
+
+/**
+ * YYYY-MM-DD of a DATEONLY value (string) or a Date (local calendar day)
+ */
+function formatDay(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value.slice(0, 10);
+  const d = new Date(value);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// ============================================================================
+// Catalog
+// ============================================================================
+
+/**
+ * Treatments included in a package (in order)
+ * @returns {Promise<Array>} - ProductPackageItem rows with their service
+ */
+async function getPackageItems(clinicDb, packageId) {
+  const ProductPackageItem = await getModel(clinicDb, 'ProductPackageItem');
+  const ProductService = await getModel(clinicDb, 'ProductService');
+
+  return ProductPackageItem.findAll({
+    where: { package_id: packageId },
+    include: [{
+      model: ProductService,
+      as: 'service',
+      attributes: ['id', 'title', 'item_type', 'duration', 'unit_price', 'is_active']
+    }],
+    order: [['sort_order', 'ASC'], ['created_at', 'ASC']]
+  });
+}
+
+/**
+ * Replace the content of a package
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} packageId - Catalog item flagged is_package
+ * @param {Array} items - [{ serviceId, quantity }]
+ * @returns {Promise<Array>} - The new content (getPackageItems)
+ */
+async function setPackageItems(clinicDb, packageId, items) {
+  const ProductService = await getModel(clinicDb, 'ProductService');
+  const ProductPackageItem = await getModel(clinicDb, 'ProductPackageItem');
+
+  const pkg = await ProductService.findByPk(packageId);
+  if (!pkg) throw new Error('Package not found');
+  if (!pkg.is_package) throw new Error('Catalog item is not a package');
+
+  const serviceIds = items.map(item => item.serviceId);
+  if (new Set(serviceIds).size !== serviceIds.length) {
+    throw new Error('A treatment can only appear once in a package');
+  }
+  if (serviceIds.includes(packageId)) {
+    throw new Error('A package cannot include itself');
+  }
+
+  const services = serviceIds.length > 0
+    ? await ProductService.findAll({ where: { id: serviceIds } })
+    : [];
+  if (services.length !== serviceIds.length) throw new Error('Included treatment not found');
+  if (services.some(service => service.is_package)) {
+    throw new Error('A package cannot include another package');
+  }
+
+  await clinicDb.transaction(async (transaction) => {
+    await ProductPackageItem.destroy({ where: { package_id: packageId }, transaction });
+    await ProductPackageItem.bulkCreate(items.map((item, index) => ({
+      package_id: packageId,
+      service_id: item.serviceId,
+      quantity: item.quantity,
+      sort_order: index
+    })), { transaction });
+  });
+
+  return getPackageItems(clinicDb, packageId);
+}
+
+// ============================================================================
+// Sale
+// ============================================================================
+
+/**
+ * Credits given by an invoice line selling a package
+ * @param {Array} packageItems - ProductPackageItem rows with their service
+ * @param {number} lineQuantity - Number of packages sold on the line
+ * @returns {Array} - [{ service_id, service_title, quantity_total }]
+ */
+function buildCredits(packageItems, lineQuantity = 1) {
+  const packages = Math.max(1, Math.floor(parseFloat(lineQuantity) || 1));
+  return packageItems.map(item => ({
+    service_id: item.service_id,
+    service_title: item.service ? item.service.title : '',
+    quantity_total: item.quantity * packages
+  }));
+}
+
+/**
+ * Last day the credits can be used
+ * @param {Date|string} purchasedAt
+ * @param {number|null} validityDays - null = no expiry
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function computeExpiry(purchasedAt, validityDays) {
+  if (!validityDays) return null;
+  const d = new Date(purchasedAt);
+  d.setDate(d.getDate() + validityDays);
+  return formatDay(d);
+}
+
+/**
+ * Give the patient the packages sold by an issued invoice
+ *
+ * Called when the invoice is sent, in the same transaction. Lines already
+ * granted are skipped, so issuing again is harmless.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {Model} doc - Invoice
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Array>} - Created PatientPackage rows
+ */
+async function grantInvoicePackages(clinicDb, doc, options = {}) {
+  if (doc.document_type !== 'invoice') return [];
+
+  const { transaction } = options;
+  const DocumentItem = await getModel(clinicDb, 'DocumentItem');
+  const ProductService = await getModel(clinicDb, 'ProductService');
+  const PatientPackage = await getModel(clinicDb, 'PatientPackage');
+  const PatientPackageCredit = await getModel(clinicDb, 'PatientPackageCredit');
+
+  const items = await DocumentItem.findAll({
+    where: { document_id: doc.id, product_service_id: { [Op.ne]: null } },
+    transaction
+  });
+  if (items.length === 0) return [];
+
+  const packages = await ProductService.findAll({
+    where: { id: items.map(item => item.product_service_id), is_package: true },
+    transaction
+  });
+  if (packages.length === 0) return [];
+
+  if (!doc.patient_id) {
+    throw new Error('An invoice selling a treatment package must be linked to a patient');
+  }
+
+  const granted = [];
+  const purchasedAt = doc.sent_at || new Date();
+
+  for (const item of items) {
+    const pkg = packages.find(p => p.id === item.product_service_id);
+    if (!pkg) continue;
+
+    const existing = await PatientPackage.findOne({ where: { document_item_id: item.id }, transaction });
+    if (existing) continue;
+
+    const packageItems = await getPackageItems(clinicDb, pkg.id);
+    if (packageItems.length === 0) {
+      throw new Error(`Package "${pkg.title}" has no included treatment`);
+    }
+
+    const patientPackage = await PatientPackage.create({
+      facility_id: doc.facility_id,
+      patient_id: doc.patient_id,
+      package_id: pkg.id,
+      title: item.description || pkg.title,
+      document_id: doc.id,
+      document_item_id: item.id,
+      purchased_at: purchasedAt,
+      expires_at: computeExpiry(purchasedAt, pkg.package_validity_days)
+    }, { transaction });
+
+    await PatientPackageCredit.bulkCreate(
+      buildCredits(packageItems, item.quantity).map(credit => ({ ...credit, patient_package_id: patientPackage.id })),
+      { transaction }
+    );
+
+    granted.push(patientPackage);
+    logger.info('Treatment package granted', {
+      patientPackageId: patientPackage.id,
+      patientId: doc.patient_id,
+      documentId: doc.id
+    });
+  }
+
+  return granted;
+}
+
+/**
+ * Cancel the packages refunded by an issued credit note
+ *
+ * Called when the credit note is sent, in the same transaction. Each credit
+ * note line selling a package cancels one package of that kind bought with
+ * the credited invoice: its unused sessions are no longer available, the
+ * sessions already used stay recorded.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {Model} creditNote
+ * @param {Object} [options] - { transaction, actor }
+ * @returns {Promise<Array>} - Cancelled PatientPackage rows
+ */
+async function revokeCreditedPackages(clinicDb, creditNote, options = {}) {
+  if (creditNote.document_type !== 'credit_note' || !creditNote.converted_from_id) return [];
+
+  const { transaction, actor = null } = options;
+  const DocumentItem = await getModel(clinicDb, 'DocumentItem');
+  const PatientPackage = await getModel(clinicDb, 'PatientPackage');
+
+  const packages = await PatientPackage.findAll({
+    where: { document_id: creditNote.converted_from_id, status: { [Op.ne]: PACKAGE_STATUS.CANCELLED } },
+    order: [['purchased_at', 'ASC']],
+    transaction
+  });
+  if (packages.length === 0) return [];
+
+  const items = await DocumentItem.findAll({
+    where: { document_id: creditNote.id, product_service_id: { [Op.ne]: null } },
+    transaction
+  });
+
+  const cancelled = [];
+  for (const item of items) {
+    const pkg = packages.find(p => p.package_id === item.product_service_id && !cancelled.includes(p));
+    if (!pkg) continue;
+
+    await pkg.update({
+      status: PACKAGE_STATUS.CANCELLED,
+      cancelled_at: new Date(),
+      cancel_reason: `Refunded by credit note ${creditNote.document_number}`,
+      cancelled_by: actor ? actor.userId : null
+    }, { transaction });
+    cancelled.push(pkg);
+
+    if (actor) {
+      await auditService.logAudit({
+        userId: actor.userId,
+        companyId: actor.companyId,
+        eventType: AUDIT_EVENTS.PATIENT_PACKAGE_CANCELLED,
+        resourceType: 'PatientPackage',
+        resourceId: pkg.id,
+        action: 'cancel',
+        changes: { patientId: pkg.patient_id, creditNoteId: creditNote.id },
+        ip: actor.ip,
+        userAgent: actor.userAgent
+      });
+    }
+    logger.info('Treatment package cancelled by a credit note', {
+      patientPackageId: pkg.id,
+      patientId: pkg.patient_id,
+      creditNoteId: creditNote.id
+    });
+  }
+
+  return cancelled;
+}
+
+// ============================================================================
+// Appointments
+// ============================================================================
+
+/**
+ * Credit used by an appointment on a given day
+ * @param {Array} credits - PatientPackageCredit rows of the treatment with their patientPackage
+ * @param {string} day - YYYY-MM-DD (appointment date)
+ * @returns {Model|null}
+ */
+function pickCredit(credits, day) {
+  const usable = credits.filter(credit =>
+    credit.getRemaining() > 0 &&
+    credit.patientPackage.status === PACKAGE_STATUS.ACTIVE &&
+    !credit.patientPackage.isExpired(day)
+  );
+
+  usable.sort((a, b) => {
+    const expiryA = a.patientPackage.expires_at ? formatDay(a.patientPackage.expires_at) : '9999-12-31';
+    const expiryB = b.patientPackage.expires_at ? formatDay(b.patientPackage.expires_at) : '9999-12-31';
+    if (expiryA !== expiryB) return expiryA < expiryB ? -1 : 1;
+    return new Date(a.patientPackage.purchased_at) - new Date(b.patientPackage.purchased_at);
+  });
+
+  return usable[0] || null;
+}
+
+/**
+ * Package status once its credits changed
+ */
+async function refreshPackageStatus(PatientPackageCredit, patientPackage, transaction) {
+  if (patientPackage.status === PACKAGE_STATUS.CANCELLED) return;
+
+  const credits = await PatientPackageCredit.findAll({
+    where: { patient_package_id: patientPackage.id },
+    transaction
+  });
+  const status = credits.every(credit => credit.getRemaining() === 0)
+    ? PACKAGE_STATUS.EXHAUSTED
+    : PACKAGE_STATUS.ACTIVE;
+
+  if (status !== patientPackage.status) {
+    await patientPackage.update({ status }, { transaction });
+  }
+}
+
+/**
+ * Use a credit of the patient for a completed appointment
+ * @returns {Promise<Model|null>} - PackageCreditUsage (null when no credit is available)
+ */
+async function consumeAppointmentCredit(clinicDb, appointment) {
+  if (!appointment.service_id || !appointment.patient_id) return null;
+
+  const PatientPackage = await getModel(clinicDb, 'PatientPackage');
+  const PatientPackageCredit = await getModel(clinicDb, 'PatientPackageCredit');
+  const PackageCreditUsage = await getModel(clinicDb, 'PackageCreditUsage');
+
+  const existing = await PackageCreditUsage.findOne({
+    where: { appointment_id: appointment.id, reversed_at: null }
+  });
+  if (existing) return existing;
+
+  const candidates = await PatientPackageCredit.findAll({
+    where: { service_id: appointment.service_id },
+    include: [{
+      model: PatientPackage,
+      as: 'patientPackage',
+      where: { patient_id: appointment.patient_id, status: PACKAGE_STATUS.ACTIVE }
+    }]
+  });
+
+  const picked = pickCredit(candidates, formatDay(appointment.appointment_date));
+  if (!picked) return null;
+
+  return clinicDb.transaction(async (transaction) => {
+    const credit = await PatientPackageCredit.findByPk(picked.id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (credit.getRemaining() === 0) return null;
+
+    await credit.update({ quantity_used: credit.quantity_used + 1 }, { transaction });
+    const usage = await PackageCreditUsage.create({
+      credit_id: credit.id,
+      appointment_id: appointment.id,
+      used_at: new Date()
+    }, { transaction });
+
+    await refreshPackageStatus(PatientPackageCredit, picked.patientPackage, transaction);
+
+    logger.info('Package credit used', {
+      appointmentId: appointment.id,
+      patientPackageId: picked.patientPackage.id,
+      remaining: credit.getRemaining()
+    });
+    return usage;
+  });
+}
+
+/**
+ * Give back the credit used by an appointment
+ * @returns {Promise<Model|null>} - Reversed PackageCreditUsage
+ */
+async function releaseAppointmentCredit(clinicDb, appointmentId) {
+  const PatientPackage = await getModel(clinicDb, 'PatientPackage');
+  const PatientPackageCredit = await getModel(clinicDb, 'PatientPackageCredit');
+  const PackageCreditUsage = await getModel(clinicDb, 'PackageCreditUsage');
+
+  const usage = await PackageCreditUsage.findOne({
+    where: { appointment_id: appointmentId, reversed_at: null }
+  });
+  if (!usage) return null;
+
+  return clinicDb.transaction(async (transaction) => {
+    const credit = await PatientPackageCredit.findByPk(usage.credit_id, { transaction, lock: transaction.LOCK.UPDATE });
+    await usage.update({ reversed_at: new Date() }, { transaction });
+    await credit.update({ quantity_used: Math.max(0, credit.quantity_used - 1) }, { transaction });
+
+    const patientPackage = await PatientPackage.findByPk(credit.patient_package_id, { transaction });
+    await refreshPackageStatus(PatientPackageCredit, patientPackage, transaction);
+
+    logger.info('Package credit given back', { appointmentId, patientPackageId: patientPackage.id });
+    return usage;
+  });
+}
+
+/**
+ * Use or give back the package credit of an appointment after a status change
+ *
+ * @param {Sequelize} clinicDb
+ * @param {Model} appointment - Appointment with its new status
+ * @param {string} previousStatus
+ * @returns {Promise<Model|null>} - PackageCreditUsage used or reversed, null if nothing changed
+ */
+async function syncAppointmentCredit(clinicDb, appointment, previousStatus) {
+  if (appointment.status === previousStatus) return null;
+  if (appointment.status === 'completed') {
+    return consumeAppointmentCredit(clinicDb, appointment);
+  }
+  if (previousStatus === 'completed') {
+    return releaseAppointmentCredit(clinicDb, appointment.id);
+  }
+  return null;
+}
+
+// ============================================================================
+// Patient balances
+// ============================================================================
+
+/**
+ * Packages of a patient with their credits and usages (newest first)
+ * @param {Object} [filters] - { status }
+ */
+async function listPatientPackages(clinicDb, patientId, filters = {}) {
+  const PatientPackage = await getModel(clinicDb, 'PatientPackage');
+  const PatientPackageCredit = await getModel(clinicDb, 'PatientPackageCredit');
+  const PackageCreditUsage = await getModel(clinicDb, 'PackageCreditUsage');
+
+  const where = { patient_id: patientId };
+  if (filters.status) where.status = filters.status;
+
+  return PatientPackage.findAll({
+    where,
+    include: [{
+      model: PatientPackageCredit,
+      as: 'credits',
+      include: [{ model: PackageCreditUsage, as: 'usages', required: false }]
+    }],
+    order: [['purchased_at', 'DESC']]
+  });
+}
+
+/**
+ * Remaining sessions per treatment over the usable packages of a patient
+ * @param {Array} packages - PatientPackage rows with their credits
+ * @param {string} [day] - YYYY-MM-DD, today by default
+ * @returns {Array} - [{ serviceId, serviceTitle, remaining, nextExpiry }]
+ */
+function summarizeBalances(packages, day) {
+  const byService = new Map();
+
+  for (const pkg of packages) {
+    if (pkg.status !== PACKAGE_STATUS.ACTIVE || pkg.isExpired(day)) continue;
+
+    for (const credit of pkg.credits || []) {
+      const remaining = credit.getRemaining();
+      if (remaining === 0) continue;
+
+      const entry = byService.get(credit.service_id) ||
+        { serviceId: credit.service_id, serviceTitle: credit.service_title, remaining: 0, nextExpiry: null };
+      entry.remaining += remaining;
+
+      const expiry = pkg.expires_at ? formatDay(pkg.expires_at) : null;
+      if (expiry && (!entry.nextExpiry || expiry < entry.nextExpiry)) entry.nextExpiry = expiry;
+      byService.set(credit.service_id, entry);
+    }
+  }
+
+  return [...byService.values()].sort((a, b) => a.serviceTitle.localeCompare(b.serviceTitle));
+}
+
+/**
+ * Remaining sessions of a patient per treatment
+ */
+async function getPatientBalances(clinicDb, patientId) {
+  const packages = await listPatientPackages(clinicDb, patientId, { status: PACKAGE_STATUS.ACTIVE });
+  return summarizeBalances(packages);
+}
+
+/**
+ * Cancel a package of a patient (refund, commercial gesture...)
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} patientId
+ * @param {string} patientPackageId
+ * @param {Object} data - { reason }
+ * @param {Object} [actor] - { userId, companyId, ip, userAgent }
+ */
+async function cancelPatientPackage(clinicDb, patientId, patientPackageId, data, actor = null) {
+  const PatientPackage = await getModel(clinicDb, 'PatientPackage');
+
+  const pkg = await PatientPackage.findOne({ where: { id: patientPackageId, patient_id: patientId } });
+  if (!pkg) throw new Error('Patient package not found');
+  if (pkg.status === PACKAGE_STATUS.CANCELLED) throw new Error('Package is already cancelled');
+
+  await pkg.update({
+    status: PACKAGE_STATUS.CANCELLED,
+    cancelled_at: new Date(),
+    cancel_reason: data.reason,
+    cancelled_by: actor ? actor.userId : null
+  });
+
+  if (actor) {
+    await auditService.logAudit({
+      userId: actor.userId,
+      companyId: actor.companyId,
+      eventType: AUDIT_EVENTS.PATIENT_PACKAGE_CANCELLED,
+      resourceType: 'PatientPackage',
+      resourceId: pkg.id,
+      action: 'cancel',
+      changes: { patientId, reason: data.reason },
+      ip: actor.ip,
+      userAgent: actor.userAgent
+    });
+  }
+
+  logger.info('Treatment package cancelled', { patientPackageId: pkg.id, patientId });
+  return pkg;
+}
+
+module.exports = {
+  getPackageItems,
+  setPackageItems,
+  buildCredits,
+  computeExpiry,
+  grantInvoicePackages,
+  revokeCreditedPackages,
+  pickCredit,
+  consumeAppointmentCredit,
+  releaseAppointmentCredit,
+  syncAppointmentCredit,
+  listPatientPackages,
+  summarizeBalances,
+  getPatientBalances,
+  cancelPatientPackage
+};
@@ -0,0 +1,130 @@
+/**
+ * Patient Service
+ *
+ * Patient creation shared by the staff API and the public online booking:
+ * - createProvisionalPatient(): quick creation with first_name + phone only,
+ *   last_name placeholder, profile_status 'provisional', duplicate check by phone
+ * - addCreatorToCareTeam(): the practitioner who creates a patient joins the care team
+ */
+
+const { getModel } = require('../base/ModelFactory');
+const { logger } = require('../utils/logger');
+
+// Placeholder last name of provisional patients
+const PROVISIONAL_LAST_NAME = 'À COMPLÉTER';
+
+class PatientService {
+  /**
+   * First active facility of the clinic, or the given fallback
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string|null} fallbackId - e.g. the user's company / the clinic id
+   * @returns {Promise<string|null>}
+   */
+  async resolveFacilityId(clinicDb, fallbackId = null) {
+    const [facilities] = await clinicDb.query(
+      `SELECT id FROM medical_facilities WHERE is_active = true LIMIT 1`
+    );
+    if (facilities && facilities.length > 0) {
+      return facilities[0].id;
+    }
+    return fallbackId || null;
+  }
+
+  /**
+   * Create a provisional patient
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} data - Validated with createProvisionalPatientSchema
+   * @param {object} options - { fallbackFacilityId, transaction }
+   * @returns {Promise<{patient}|{rejected: {reason, message, existingPatient?}}>}
+   *   reason: 'no_facility' | 'duplicate'
+   */
+  async createProvisionalPatient(clinicDb, data, options = {}) {
+    const Patient = await getModel(clinicDb, 'Patient');
+    const value = { ...data };
+
+    // Auto-fill facility_id
+    if (!value.facility_id) {
+      value.facility_id = await this.resolveFacilityId(clinicDb, options.fallbackFacilityId);
+      if (!value.facility_id) {
+        return {
+          rejected: { reason: 'no_facility', message: 'No facility available for this clinic' }
+        };
+      }
+    }
+
+    // Auto-fill placeholder values for missing fields
+    if (!value.last_name) {
+      value.last_name = PROVISIONAL_LAST_NAME;
+    }
+    // email stays null if not provided (column allows null)
+
+    value.profile_status = 'provisional';
+
+    // Duplicate check by phone only (not by name, since last_name is placeholder)
+    const existingByPhone = await Patient.findOne({
+      where: {
+        phone: value.phone,
+        archived: false
+      },
+      transaction: options.transaction
+    });
+
+    if (existingByPhone) {
+      return {
+        rejected: {
+          reason: 'duplicate',
+          message: 'Un patient avec ce numéro de téléphone existe déjà',
+          existingPatient: existingByPhone
+        }
+      };
+    }
+
+    const patient = await Patient.create(value, { transaction: options.transaction });
+
+    logger.info(`✅ Provisional patient created: ${patient.first_name} (${patient.phone})`, {
+      patientId: patient.id
+    });
+
+    return { patient };
+  }
+
+  /**
+   * Add the creator to the patient's care team (same logic as onAfterCreate)
+   * Failures are logged, never thrown.
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} patientId
+   * @param {string} centralUserId - Creator's central user id
+   */
+  async addCreatorToCareTeam(clinicDb, patientId, centralUserId) {
+    try {
+      const HealthcareProvider = await getModel(clinicDb, 'HealthcareProvider');
+      const PatientCareTeam = await getModel(clinicDb, 'PatientCareTeam');
+
+      const provider = await HealthcareProvider.findOne({
+        where: { central_user_id: centralUserId },
+        attributes: ['id']
+      });
+
+      if (provider) {
+        await PatientCareTeam.findOrCreate({
+          where: {
+            patient_id: patientId,
+            provider_id: provider.id
+          },
+          defaults: {
+            patient_id: patientId,
+            provider_id: provider.id,
+            role: 'primary_physician',
+            access_level: 'full',
+            granted_at: new Date()
+          }
+        });
+      }
+    } catch (careTeamError) {
+      logger.error(`Failed to add to care team: ${careTeamError.message}`);
+    }
+  }
+}
+
+module.exports = new PatientService();
+module.exports.PROVISIONAL_LAST_NAME = PROVISIONAL_LAST_NAME;
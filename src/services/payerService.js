@@ -0,0 +1,266 @@
+/**
+ * Payer Service — Third-party payers and their receivables
+ *
+ * - listPayers() / createPayer() / updatePayer() / deactivatePayer(): payers
+ *   of the clinic (insurers, mutuals, employers, public bodies...)
+ * - getPayerBalance() / listPayerShares(): what a payer was billed and still owes
+ * - recordSharePayment(): payer payments go through the document payment
+ *   ledger (documentService) with the share attached
+ * - buildAgingCsv(): CSV export of the receivables aging report
+ *   (documentService.getReceivablesAging)
+ *
+ * Invoices are split across payers on the draft (payerShares of
+ * documentService.createDocument / updateDocument).
+ */
+
+const { Op } = require('sequelize');
+const { getModel } = require('../base/ModelFactory');
+const { logger } = require('../utils/logger');
+const { round2 } = require('../utils/money');
+const documentService = require('./documentService');
+const { toCsv } = require('../utils/csv');
+
+const PAYER_FIELDS = ['name', 'payer_type', 'code', 'siren', 'vat_number', 'address', 'email', 'phone',
+  'contact_name', 'payment_terms_days', 'notes'];
+
+function snakeToCamel(str) {
+  return str.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Payer columns of a request payload (camelCase or snake_case)
+ */
+function pickPayerFields(data) {
+  const values = {};
+  for (const field of PAYER_FIELDS) {
+    const val = data[field] !== undefined ? data[field] : data[snakeToCamel(field)];
+    if (val !== undefined) values[field] = val === '' ? null : val;
+  }
+  return values;
+}
+
+// ============================================================================
+// Payers
+// ============================================================================
+
+/**
+ * List the payers of the clinic (by name)
+ * @param {Object} filters - { page, limit, search, payerType, active }
+ * @returns {Promise<Object>} - { payers, total, page, limit }
+ */
+async function listPayers(clinicDb, facilityId, filters = {}) {
+  const Payer = await getModel(clinicDb, 'Payer');
+  const page = filters.page || 1;
+  const limit = filters.limit || 50;
+
+  const where = { facility_id: facilityId };
+  if (filters.payerType) where.payer_type = filters.payerType;
+  if (filters.active !== undefined) where.is_active = filters.active;
+  if (filters.search) {
+    where[Op.or] = [
+      { name: { [Op.iLike]: `%${filters.search}%` } },
+      { code: { [Op.iLike]: `%${filters.search}%` } }
+    ];
+  }
+
+  const { rows, count } = await Payer.findAndCountAll({
+    where,
+    order: [['name', 'ASC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { payers: rows, total: count, page, limit };
+}
+
+async function getPayer(clinicDb, facilityId, payerId) {
+  const Payer = await getModel(clinicDb, 'Payer');
+  const payer = await Payer.findOne({ where: { id: payerId, facility_id: facilityId } });
+  if (!payer) throw new Error('Payer not found');
+  return payer;
+}
+
+async function createPayer(clinicDb, facilityId, data) {
+  const Payer = await getModel(clinicDb, 'Payer');
+
+  const existing = await Payer.findOne({ where: { facility_id: facilityId, name: data.name } });
+  if (existing) throw new Error('A payer with this name already exists');
+
+  const payer = await Payer.create({ ...pickPayerFields(data), facility_id: facilityId });
+  logger.info('Payer created', { payerId: payer.id, name: payer.name, type: payer.payer_type });
+  return payer;
+}
+
+async function updatePayer(clinicDb, facilityId, payerId, data) {
+  const Payer = await getModel(clinicDb, 'Payer');
+  const payer = await getPayer(clinicDb, facilityId, payerId);
+
+  const values = pickPayerFields(data);
+  if (values.name && values.name !== payer.name) {
+    const existing = await Payer.findOne({ where: { facility_id: facilityId, name: values.name } });
+    if (existing) throw new Error('A payer with this name already exists');
+  }
+  if (data.isActive !== undefined) values.is_active = data.isActive;
+
+  await payer.update(values);
+  return payer;
+}
+
+/**
+ * Payers are never deleted: their shares stay in the receivables history
+ */
+async function deactivatePayer(clinicDb, facilityId, payerId) {
+  const payer = await getPayer(clinicDb, facilityId, payerId);
+  await payer.update({ is_active: false });
+  logger.info('Payer deactivated', { payerId: payer.id, name: payer.name });
+  return payer;
+}
+
+// ============================================================================
+// Shares
+// ============================================================================
+
+/**
+ * Billed / paid / outstanding of a payer on issued invoices
+ * @returns {Promise<Object>} - { shareCount, billed, paid, outstanding }
+ */
+async function getPayerBalance(clinicDb, facilityId, payerId) {
+  const [rows] = await clinicDb.query(`
+    SELECT
+      COUNT(*)::int AS share_count,
+      COALESCE(SUM(s.amount), 0) AS billed,
+      COALESCE(SUM(s.amount_paid), 0) AS paid
+    FROM document_payer_shares s
+    JOIN documents d ON d.id = s.document_id
+    WHERE s.facility_id = :facilityId
+      AND s.payer_id = :payerId
+      AND d.status NOT IN ('draft', 'cancelled')
+      AND d.deleted_at IS NULL
+  `, { replacements: { facilityId, payerId } });
+
+  const billed = round2(parseFloat(rows[0].billed));
+  const paid = round2(parseFloat(rows[0].paid));
+  return { shareCount: rows[0].share_count, billed, paid, outstanding: round2(billed - paid) };
+}
+
+/**
+ * Shares of a payer on issued invoices (oldest first)
+ * @param {Object} filters - { page, limit, status }
+ * @returns {Promise<Object>} - { shares, total, page, limit }
+ */
+async function listPayerShares(clinicDb, facilityId, payerId, filters = {}) {
+  const DocumentPayerShare = await getModel(clinicDb, 'DocumentPayerShare');
+  const Document = await getModel(clinicDb, 'Document');
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+
+  const where = { facility_id: facilityId, payer_id: payerId };
+  if (filters.status) where.status = filters.status;
+
+  const { rows, count } = await DocumentPayerShare.findAndCountAll({
+    where,
+    include: [{
+      model: Document,
+      as: 'document',
+      attributes: ['id', 'document_number', 'buyer_name', 'issue_date', 'due_date', 'status', 'total'],
+      where: { deleted_at: null, status: { [Op.notIn]: ['draft', 'cancelled'] } }
+    }],
+    order: [['created_at', 'ASC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { shares: rows, total: count, page, limit };
+}
+
+/**
+ * Record a payment of the payer on its share (document payment ledger)
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} facilityId
+ * @param {string} shareId
+ * @param {Object} data - { amount, paymentDate, paymentMethod, reference, notes }
+ * @param {string} [recordedBy] - User ID
+ * @returns {Promise<Object>} - { payment, share, document }
+ */
+async function recordSharePayment(clinicDb, facilityId, shareId, data, recordedBy) {
+  const DocumentPayerShare = await getModel(clinicDb, 'DocumentPayerShare');
+  const Payer = await getModel(clinicDb, 'Payer');
+
+  const share = await DocumentPayerShare.findOne({
+    where: { id: shareId, facility_id: facilityId },
+    include: [{ model: Payer, as: 'payer' }]
+  });
+  if (!share) throw new Error('Payer share not found');
+
+  const { payment, document } = await documentService.addPayment(clinicDb, share.document_id, {
+    ...data,
+    payerType: share.payer.getLedgerPayerType(),
+    payerName: share.payer.name,
+    payerShareId: share.id
+  }, recordedBy);
+
+  await share.reload();
+  return { payment, share, document };
+}
+
+// ============================================================================
+// Aging export
+// ============================================================================
+
+/**
+ * YYYY-MM-DD of a DATEONLY value (string) or a Date (local calendar day)
+ */
+function formatDay(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value.slice(0, 10);
+  const d = new Date(value);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+const DEBTOR_TYPE_LABELS = {
+  payer: 'Tiers payeur',
+  insurer: 'Assurance',
+  patient: 'Patient'
+};
+
+/**
+ * CSV of an aging report: one line per invoice and debtor
+ * @param {Object} report - documentService.getReceivablesAging() result
+ * @returns {string}
+ */
+function buildAgingCsv(report) {
+  const headers = ['Type débiteur', 'Débiteur', 'Facture', 'Date facture', 'Échéance', 'Jours de retard',
+    ...report.buckets.map(bucket => `${bucket.label} j`), 'Total'];
+
+  const rows = report.entries.map(entry => [
+    DEBTOR_TYPE_LABELS[entry.debtorType] || entry.debtorType,
+    entry.debtorName,
+    entry.documentNumber,
+    formatDay(entry.issueDate),
+    formatDay(entry.dueDate),
+    entry.daysPastDue,
+    ...report.buckets.map(bucket => (entry.bucket === bucket.key ? entry.amount.toFixed(2) : '')),
+    entry.amount.toFixed(2)
+  ]);
+
+  rows.push([
+    'TOTAL', '', '', '', '', '',
+    ...report.buckets.map(bucket => report.totals[bucket.key].toFixed(2)),
+    report.totals.total.toFixed(2)
+  ]);
+
+  return toCsv(headers, rows, { bom: true });
+}
+
+module.exports = {
+  listPayers,
+  getPayer,
+  createPayer,
+  updatePayer,
+  deactivatePayer,
+  getPayerBalance,
+  listPayerShares,
+  recordSharePayment,
+  buildAgingCsv
+};
@@ -5,10 +5,15 @@
  *   1. pdfkit  → Render visual invoice/quote layout (A4)
  *   2. pdf-lib → Post-process: embed CII XML as attachment + XMP metadata (PDF/A-3b)
  *
+ * Also renders the Z-report of closed till sessions (generateTillReportPDF).
+ * Spanish invoices registered with VeriFactu carry the AEAT verification QR code.
+ * Prescriptions (generatePrescriptionPDF) carry the clinic's own verification QR code.
+ *
  * Zero medical dependency — works with generic billing document data.
  */
 
 const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
 const { PDFDocument: PDFLibDocument, PDFName, PDFString, PDFArray, PDFDict, PDFHexString, AFRelationship } = require('pdf-lib');
 
 // ============================================================================
@@ -31,6 +36,9 @@ const COLORS = {
   white: '#FFFFFF'
 };
 
+// VeriFactu QR code: 30 to 40 mm wide (Orden HAC/1177/2024)
+const VERIFACTU_QR_SIZE = 90;
+
 const FONT_SIZES = {
   title: 20,
   subtitle: 12,
@@ -81,10 +89,14 @@ function getAddressString(addr) {
  *
  * @param {Object} document - Document record
  * @param {Array}  items    - Document line items
- * @param {Object} options  - { billingSettings }
+ * @param {Object} options  - { billingSettings, verifactu: { url } } (QR of registered Spanish invoices)
  * @returns {Promise<Buffer>} PDF buffer
  */
 async function generateDocumentPDF(document, items, options = {}) {
+  const verifactuQr = options.verifactu
+    ? await QRCode.toBuffer(options.verifactu.url, { errorCorrectionLevel: 'M', margin: 0, width: 300 })
+    : null;
+
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({
@@ -107,7 +119,7 @@ async function generateDocumentPDF(document, items, options = {}) {
       let totalPages = 1; // estimated, updated after
 
       // --- Header ---
-      drawHeader(doc, document);
+      drawHeader(doc, document, verifactuQr);
 
       // --- Parties (seller / buyer) ---
       drawParties(doc, document, options.billingSettings);
@@ -134,7 +146,7 @@ async function generateDocumentPDF(document, items, options = {}) {
   });
 }
 
-function drawHeader(doc, document) {
+function drawHeader(doc, document, verifactuQr = null) {
   const docType = document.document_type || 'invoice';
   const title = getDocumentTitle(docType);
 
@@ -155,9 +167,14 @@ function drawHeader(doc, document) {
     .text(status, PAGE.WIDTH - PAGE.MARGIN - 100, PAGE.MARGIN + 5, { width: 100, align: 'right' });
 
   doc.moveDown(0.5);
+  let headerBottom = doc.y;
+
+  if (verifactuQr) {
+    headerBottom = Math.max(headerBottom, drawVerifactuQr(doc, verifactuQr));
+  }
 
   // Separator line
-  const y = doc.y + 5;
+  const y = headerBottom + 5;
   doc.moveTo(PAGE.MARGIN, y)
     .lineTo(PAGE.WIDTH - PAGE.MARGIN, y)
     .strokeColor(COLORS.lightGray)
@@ -167,6 +184,25 @@ function drawHeader(doc, document) {
   doc.y = y + 15;
 }
 
+/**
+ * VeriFactu QR code, centered at the top of the invoice, with its mandatory captions
+ * @returns {number} Bottom of the block
+ */
+function drawVerifactuQr(doc, qrImage) {
+  const x = (PAGE.WIDTH - VERIFACTU_QR_SIZE) / 2;
+  const top = PAGE.MARGIN - 12;
+
+  doc.fontSize(FONT_SIZES.small)
+    .fillColor(COLORS.dark)
+    .text('QR tributario:', x - 20, top, { width: VERIFACTU_QR_SIZE + 40, align: 'center' });
+  doc.image(qrImage, x, top + 11, { width: VERIFACTU_QR_SIZE, height: VERIFACTU_QR_SIZE });
+  doc.fontSize(FONT_SIZES.small)
+    .fillColor(COLORS.dark)
+    .text('VERI*FACTU', x - 20, top + VERIFACTU_QR_SIZE + 14, { width: VERIFACTU_QR_SIZE + 40, align: 'center' });
+
+  return top + VERIFACTU_QR_SIZE + 26;
+}
+
 function drawParties(doc, document, billingSettings) {
   const startY = doc.y;
   const colWidth = PAGE.CONTENT_WIDTH / 2 - 10;
@@ -465,6 +501,10 @@ function drawLegalFooter(doc, document, billingSettings) {
   // Position at bottom of page
   const footerY = PAGE.HEIGHT - 60;
 
+  // The footer sits in the bottom margin: lift it, otherwise pdfkit adds a page per text line
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+
   // Separator
   doc.moveTo(PAGE.MARGIN, footerY)
     .lineTo(PAGE.WIDTH - PAGE.MARGIN, footerY)
@@ -500,21 +540,1093 @@ function drawLegalFooter(doc, document, billingSettings) {
       width: PAGE.CONTENT_WIDTH,
       align: 'center'
     });
+
+  doc.page.margins.bottom = bottomMargin;
+}
+
+// ============================================================================
+// Till Z-report (front desk closing)
+// ============================================================================
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'Espèces',
+  card: 'Carte bancaire',
+  check: 'Chèque',
+  transfer: 'Virement',
+  direct_debit: 'Prélèvement',
+  other: 'Autre'
+};
+
+function formatDateTime(dateInput) {
+  if (!dateInput) return 'N/A';
+  const d = new Date(dateInput);
+  if (isNaN(d.getTime())) return 'N/A';
+  return d.toLocaleString('fr-FR', {
+    day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+}
+
+/**
+ * Generate the Z-report of a closed till session.
+ *
+ * @param {Object} session  - TillSession record (closed: expected / counted / discrepancies stored)
+ * @param {Array}  payments - Ledger rows of the session, with document { document_number, buyer_name }
+ * @param {Object} options  - { billingSettings }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateTillReportPDF(session, payments, options = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const settings = options.billingSettings || {};
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE.MARGIN,
+        info: {
+          Title: `RAPPORT Z ${session.session_number}`,
+          Author: settings.seller?.name || 'Medical Pro',
+          Subject: `Clôture de caisse ${session.register_name}`,
+          Creator: 'Medical Pro Billing'
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', chunk => buffers.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      drawTillHeader(doc, session, settings);
+      drawTillReconciliation(doc, session);
+      drawTillPayments(doc, payments);
+      drawLegalFooter(doc, {}, settings);
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function drawTillHeader(doc, session, settings) {
+  doc.fontSize(FONT_SIZES.title)
+    .fillColor(COLORS.primary)
+    .text('RAPPORT Z', PAGE.MARGIN, PAGE.MARGIN, { align: 'left' });
+
+  doc.fontSize(FONT_SIZES.subtitle)
+    .fillColor(COLORS.dark)
+    .text(`Clôture de caisse N° ${session.session_number}`, PAGE.MARGIN, PAGE.MARGIN + 28, { align: 'left' });
+
+  if (settings.seller?.name) {
+    doc.fontSize(FONT_SIZES.small)
+      .fillColor(COLORS.gray)
+      .text(settings.seller.name, PAGE.WIDTH - PAGE.MARGIN - 200, PAGE.MARGIN + 5, { width: 200, align: 'right' });
+  }
+
+  let y = PAGE.MARGIN + 55;
+  const rows = [
+    ['Caisse', session.register_name],
+    ['Ouverture', formatDateTime(session.opened_at)],
+    ['Clôture', formatDateTime(session.closed_at)],
+    ['Fond de caisse', formatCurrency(session.opening_float)]
+  ];
+  for (const [label, value] of rows) {
+    doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.gray).text(label, PAGE.MARGIN, y, { width: 100 });
+    doc.fillColor(COLORS.dark).text(value, PAGE.MARGIN + 100, y, { width: 250 });
+    y += 14;
+  }
+
+  if (session.closing_notes) {
+    doc.fontSize(FONT_SIZES.small).fillColor(COLORS.gray)
+      .text(`Notes : ${session.closing_notes}`, PAGE.MARGIN, y + 2, { width: PAGE.CONTENT_WIDTH });
+    y = doc.y;
+  }
+
+  doc.moveTo(PAGE.MARGIN, y + 8)
+    .lineTo(PAGE.WIDTH - PAGE.MARGIN, y + 8)
+    .strokeColor(COLORS.lightGray)
+    .lineWidth(1)
+    .stroke();
+
+  doc.y = y + 22;
+}
+
+function drawTillReconciliation(doc, session) {
+  const expected = session.expected_amounts || {};
+  const counted = session.counted_amounts || {};
+  const discrepancies = session.discrepancies || {};
+
+  const columns = [
+    { label: 'Mode de paiement', width: 115, align: 'left' },
+    { label: 'Encaissé', width: 70, align: 'right' },
+    { label: 'Remboursé', width: 70, align: 'right' },
+    { label: 'Attendu', width: 80, align: 'right' },
+    { label: 'Compté', width: 80, align: 'right' },
+    { label: 'Écart', width: 80.28, align: 'right' }
+  ];
+
+  const drawRow = (values, y, options = {}) => {
+    let x = PAGE.MARGIN;
+    columns.forEach((col, i) => {
+      doc.fontSize(options.fontSize || FONT_SIZES.normal)
+        .fillColor(options.colors?.[i] || COLORS.dark)
+        .text(values[i], x + 4, y, { width: col.width - 8, align: col.align });
+      x += col.width;
+    });
+  };
+
+  let y = doc.y;
+  doc.rect(PAGE.MARGIN, y - 4, PAGE.CONTENT_WIDTH, 18).fill(COLORS.tableHeader);
+  drawRow(columns.map(c => c.label), y, { fontSize: FONT_SIZES.label, colors: columns.map(() => COLORS.gray) });
+  y += 20;
+
+  for (const method of Object.keys(PAYMENT_METHOD_LABELS)) {
+    const line = expected[method];
+    if (!line || (line.count === 0 && line.expected === 0 && counted[method] === undefined)) continue;
+
+    const gap = discrepancies[method];
+    drawRow([
+      PAYMENT_METHOD_LABELS[method],
+      formatCurrency(line.payments),
+      line.refunds ? `-${formatCurrency(line.refunds)}` : formatCurrency(0),
+      formatCurrency(line.expected),
+      counted[method] !== undefined ? formatCurrency(counted[method]) : '—',
+      gap !== undefined ? formatCurrency(gap) : '—'
+    ], y, { colors: [null, null, null, null, null, gap ? '#DC2626' : null] });
+    y += 16;
+  }
+
+  doc.moveTo(PAGE.MARGIN, y)
+    .lineTo(PAGE.WIDTH - PAGE.MARGIN, y)
+    .strokeColor(COLORS.primary)
+    .lineWidth(1.5)
+    .stroke();
+  y += 8;
+
+  const totalGap = parseFloat(session.total_discrepancy) || 0;
+  drawRow([
+    'TOTAL', '', '',
+    formatCurrency(session.total_expected),
+    formatCurrency(session.total_counted),
+    formatCurrency(totalGap)
+  ], y, { fontSize: FONT_SIZES.subtitle, colors: [COLORS.primary, null, null, null, null, totalGap ? '#DC2626' : null] });
+  y += 24;
+
+  if (expected.voided && expected.voided.count > 0) {
+    doc.fontSize(FONT_SIZES.small).fillColor(COLORS.gray)
+      .text(`Opérations annulées : ${expected.voided.count} (${formatCurrency(expected.voided.amount)}), non comprises dans les totaux`,
+        PAGE.MARGIN, y, { width: PAGE.CONTENT_WIDTH });
+    y = doc.y + 4;
+  }
+
+  doc.y = y + 15;
+}
+
+function drawTillPayments(doc, payments) {
+  const columns = [
+    { label: 'Heure', width: 45, align: 'left' },
+    { label: 'Document', width: 95, align: 'left' },
+    { label: 'Client', width: 145, align: 'left' },
+    { label: 'Mode', width: 90, align: 'left' },
+    { label: 'Montant', width: 120.28, align: 'right' }
+  ];
+
+  doc.fontSize(FONT_SIZES.label)
+    .fillColor(COLORS.primary)
+    .text(`DÉTAIL DES OPÉRATIONS (${payments.length})`, PAGE.MARGIN, doc.y);
+
+  let y = doc.y + 8;
+  const drawHeaderRow = () => {
+    doc.rect(PAGE.MARGIN, y - 4, PAGE.CONTENT_WIDTH, 18).fill(COLORS.tableHeader);
+    let x = PAGE.MARGIN;
+    for (const col of columns) {
+      doc.fontSize(FONT_SIZES.label).fillColor(COLORS.gray)
+        .text(col.label, x + 4, y, { width: col.width - 8, align: col.align });
+      x += col.width;
+    }
+    y += 20;
+  };
+  drawHeaderRow();
+
+  for (const payment of payments) {
+    if (y > PAGE.HEIGHT - 100) {
+      doc.addPage();
+      y = PAGE.MARGIN;
+      drawHeaderRow();
+    }
+
+    const isRefund = payment.payment_type === 'refund';
+    const amount = `${isRefund ? '-' : ''}${formatCurrency(payment.amount)}`;
+    const values = [
+      new Date(payment.created_at).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' }),
+      payment.document?.document_number || '',
+      payment.document?.buyer_name || payment.payer_name || '',
+      PAYMENT_METHOD_LABELS[payment.payment_method] || payment.payment_method,
+      payment.voided_at ? `${amount} (annulé)` : amount
+    ];
+
+    let x = PAGE.MARGIN;
+    columns.forEach((col, i) => {
+      doc.fontSize(FONT_SIZES.small)
+        .fillColor(payment.voided_at ? COLORS.gray : COLORS.dark)
+        .text(values[i], x + 4, y, { width: col.width - 8, align: col.align, lineBreak: false, ellipsis: true });
+      x += col.width;
+    });
+    y += 14;
+  }
+
+  doc.y = y + 10;
+}
+
+// ============================================================================
+// Feuille de soins (French insurance billing)
+// ============================================================================
+
+const THIRD_PARTY_LABELS = {
+  none: "Non — l'assuré règle la totalité des honoraires",
+  amo: "Oui — part obligatoire (AMO)",
+  amo_amc: 'Oui — parts obligatoire (AMO) et complémentaire (AMC)'
+};
+
+/**
+ * Generate the printable feuille de soins of an invoice split between the
+ * insurers and the patient (recap of the acts billed, not the Cerfa form).
+ *
+ * @param {Object} document - Document record (insurance_details, amo_total, amc_total, patient_share_total)
+ * @param {Array}  items    - Document items (act_code, reimbursement_base, amo/amc/patient amounts)
+ * @param {Object} options  - { billingSettings, practitioner, patient }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateCareSheetPDF(document, items, options = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const settings = options.billingSettings || {};
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE.MARGIN,
+        info: {
+          Title: `FEUILLE DE SOINS ${document.document_number}`,
+          Author: document.seller_name || settings.seller?.name || 'Medical Pro',
+          Subject: `Feuille de soins ${document.buyer_name || ''}`.trim(),
+          Creator: 'Medical Pro Billing'
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', chunk => buffers.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      drawCareSheetHeader(doc, document);
+      drawCareSheetParties(doc, document, options.practitioner, options.patient);
+      drawCareSheetActs(doc, document, items);
+      drawCareSheetTotals(doc, document);
+      drawCareSheetSignatures(doc);
+      drawLegalFooter(doc, document, settings);
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function drawCareSheetHeader(doc, document) {
+  doc.fontSize(FONT_SIZES.title)
+    .fillColor(COLORS.primary)
+    .text('FEUILLE DE SOINS', PAGE.MARGIN, PAGE.MARGIN, { align: 'left' });
+
+  doc.fontSize(FONT_SIZES.subtitle)
+    .fillColor(COLORS.dark)
+    .text(`Facture N° ${document.document_number}`, PAGE.MARGIN, PAGE.MARGIN + 28, { align: 'left' });
+
+  doc.fontSize(FONT_SIZES.small)
+    .fillColor(COLORS.gray)
+    .text(`Date des soins : ${formatDate(document.issue_date)}`, PAGE.WIDTH - PAGE.MARGIN - 200, PAGE.MARGIN + 5,
+      { width: 200, align: 'right' });
+
+  doc.moveTo(PAGE.MARGIN, PAGE.MARGIN + 52)
+    .lineTo(PAGE.WIDTH - PAGE.MARGIN, PAGE.MARGIN + 52)
+    .strokeColor(COLORS.lightGray)
+    .lineWidth(1)
+    .stroke();
+
+  doc.y = PAGE.MARGIN + 66;
+}
+
+function drawCareSheetParties(doc, document, practitioner, patient) {
+  const details = document.insurance_details || {};
+  const colWidth = PAGE.CONTENT_WIDTH / 2 - 10;
+  const startY = doc.y;
+
+  const drawBlock = (title, rows, x) => {
+    doc.fontSize(FONT_SIZES.label).fillColor(COLORS.primary).text(title, x, startY);
+    let y = startY + 14;
+    for (const [label, value] of rows) {
+      if (!value) continue;
+      doc.fontSize(FONT_SIZES.small).fillColor(COLORS.gray).text(label, x, y, { width: 95 });
+      doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.dark).text(value, x + 95, y, { width: colWidth - 95 });
+      y = Math.max(doc.y, y + 12) + 2;
+    }
+    return y;
+  };
+
+  const patientName = patient
+    ? `${patient.last_name || ''} ${patient.first_name || ''}`.trim()
+    : document.buyer_name;
+
+  const insuredEnd = drawBlock('ASSURÉ(E) / PATIENT', [
+    ['Nom', patientName],
+    ['Date de naissance', patient?.birth_date ? formatDate(patient.birth_date) : null],
+    ["N° d'immatriculation", details.socialSecurity || patient?.social_security],
+    ['Organisme AMO', [details.amoInsurer?.name, details.amoInsurer?.code].filter(Boolean).join(' — ')],
+    ['Complémentaire', [details.amcInsurer?.name, details.amcInsurer?.memberNumber].filter(Boolean).join(' — N° ')],
+    ['Situation', details.coverageType ? details.coverageType.toUpperCase() : null]
+  ], PAGE.MARGIN);
+
+  const practitionerName = practitioner
+    ? `${practitioner.title ? `${practitioner.title} ` : ''}${practitioner.first_name} ${practitioner.last_name}`
+    : null;
+
+  const practitionerEnd = drawBlock('PRATICIEN', [
+    ['Nom', practitionerName || document.seller_name],
+    ['Profession', practitioner?.profession],
+    ['N° RPPS', practitioner?.rpps],
+    ['N° ADELI', practitioner?.adeli],
+    ['Structure', document.seller_name],
+    ['Adresse', getAddressString(document.seller_address)]
+  ], PAGE.MARGIN + colWidth + 20);
+
+  doc.y = Math.max(insuredEnd, practitionerEnd) + 12;
+}
+
+function drawCareSheetActs(doc, document, items) {
+  const columns = [
+    { label: 'Code', width: 55, align: 'left' },
+    { label: 'Acte', width: 130, align: 'left' },
+    { label: 'Qté', width: 30, align: 'right' },
+    { label: 'Honoraires', width: 60, align: 'right' },
+    { label: 'Base remb.', width: 55, align: 'right' },
+    { label: 'AMO', width: 55, align: 'right' },
+    { label: 'AMC', width: 55, align: 'right' },
+    { label: 'Assuré', width: 55.28, align: 'right' }
+  ];
+
+  doc.fontSize(FONT_SIZES.label)
+    .fillColor(COLORS.primary)
+    .text('ACTES EFFECTUÉS', PAGE.MARGIN, doc.y);
+
+  let y = doc.y + 8;
+  const drawHeaderRow = () => {
+    doc.rect(PAGE.MARGIN, y - 4, PAGE.CONTENT_WIDTH, 18).fill(COLORS.tableHeader);
+    let x = PAGE.MARGIN;
+    for (const col of columns) {
+      doc.fontSize(FONT_SIZES.label).fillColor(COLORS.gray)
+        .text(col.label, x + 4, y, { width: col.width - 8, align: col.align });
+      x += col.width;
+    }
+    y += 20;
+  };
+  drawHeaderRow();
+
+  for (const item of items) {
+    if (y > PAGE.HEIGHT - 180) {
+      doc.addPage();
+      y = PAGE.MARGIN;
+      drawHeaderRow();
+    }
+
+    const billed = (parseFloat(item.line_net_amount) || 0) + (parseFloat(item.tax_amount) || 0);
+    const qty = parseFloat(item.quantity) || 0;
+    const base = item.reimbursement_base !== null && item.reimbursement_base !== undefined
+      ? formatCurrency((parseFloat(item.reimbursement_base) || 0) * qty, document.currency)
+      : '—';
+    const values = [
+      item.act_code ? `${item.act_code}${item.act_code_system ? `\n${item.act_code_system}` : ''}` : '—',
+      item.description || '',
+      qty % 1 === 0 ? qty.toString() : qty.toFixed(2),
+      formatCurrency(billed, document.currency),
+      base,
+      formatCurrency(item.amo_amount, document.currency),
+      formatCurrency(item.amc_amount, document.currency),
+      formatCurrency(item.patient_amount ?? billed, document.currency)
+    ];
+
+    let x = PAGE.MARGIN;
+    let rowHeight = 14;
+    columns.forEach((col, i) => {
+      doc.fontSize(FONT_SIZES.small).fillColor(COLORS.dark);
+      rowHeight = Math.max(rowHeight, doc.heightOfString(values[i], { width: col.width - 8 }) + 4);
+      doc.text(values[i], x + 4, y, { width: col.width - 8, align: col.align });
+      x += col.width;
+    });
+    y += rowHeight;
+  }
+
+  doc.moveTo(PAGE.MARGIN, y)
+    .lineTo(PAGE.WIDTH - PAGE.MARGIN, y)
+    .strokeColor(COLORS.primary)
+    .lineWidth(1.5)
+    .stroke();
+
+  doc.y = y + 10;
+}
+
+function drawCareSheetTotals(doc, document) {
+  const totalsX = PAGE.WIDTH - PAGE.MARGIN - 220;
+  const rows = [
+    ['Total des honoraires', document.total],
+    ['Part obligatoire (AMO)', document.amo_total],
+    ['Part complémentaire (AMC)', document.amc_total],
+    ['Reste à charge assuré', document.patient_share_total ?? document.total]
+  ];
+
+  let y = doc.y;
+  rows.forEach(([label, amount], i) => {
+    const isLast = i === rows.length - 1;
+    doc.fontSize(isLast ? FONT_SIZES.subtitle : FONT_SIZES.normal)
+      .fillColor(isLast ? COLORS.primary : COLORS.gray)
+      .text(label, totalsX, y, { width: 130 });
+    doc.fillColor(isLast ? COLORS.primary : COLORS.dark)
+      .text(formatCurrency(amount, document.currency), totalsX + 130, y, { width: 90, align: 'right' });
+    y += isLast ? 20 : 15;
+  });
+
+  const mode = document.third_party_mode || 'none';
+  doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.dark)
+    .text(`Tiers payant : ${THIRD_PARTY_LABELS[mode] || mode}`, PAGE.MARGIN, y + 6, { width: PAGE.CONTENT_WIDTH });
+
+  doc.y = doc.y + 20;
+}
+
+function drawCareSheetSignatures(doc) {
+  const boxWidth = PAGE.CONTENT_WIDTH / 2 - 10;
+  const y = doc.y;
+
+  [["Signature de l'assuré(e)", PAGE.MARGIN], ['Signature et cachet du praticien', PAGE.MARGIN + boxWidth + 20]]
+    .forEach(([label, x]) => {
+      doc.fontSize(FONT_SIZES.label).fillColor(COLORS.gray).text(label, x, y);
+      doc.rect(x, y + 12, boxWidth, 60).strokeColor(COLORS.lightGray).lineWidth(1).stroke();
+    });
+
+  doc.y = y + 85;
+}
+
+// ============================================================================
+// Receivables aging report
+// ============================================================================
+
+const DEBTOR_TYPE_LABELS = {
+  payer: 'Tiers payeur',
+  insurer: 'Assurance',
+  patient: 'Patient'
+};
+
+/**
+ * Generate the receivables aging report (balance per debtor and age bucket).
+ *
+ * @param {Object} report  - documentService.getReceivablesAging() result
+ * @param {Object} options - { billingSettings }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateAgingReportPDF(report, options = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const settings = options.billingSettings || {};
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE.MARGIN,
+        info: {
+          Title: `BALANCE ÂGÉE ${report.asOf}`,
+          Author: settings.seller?.name || 'Medical Pro',
+          Subject: 'Balance âgée des créances clients',
+          Creator: 'Medical Pro Billing'
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', chunk => buffers.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      doc.fontSize(FONT_SIZES.title)
+        .fillColor(COLORS.primary)
+        .text('BALANCE ÂGÉE', PAGE.MARGIN, PAGE.MARGIN, { align: 'left' });
+      doc.fontSize(FONT_SIZES.subtitle)
+        .fillColor(COLORS.dark)
+        .text(`Créances au ${formatDate(report.asOf)} (jours de retard)`, PAGE.MARGIN, PAGE.MARGIN + 28);
+      if (settings.seller?.name) {
+        doc.fontSize(FONT_SIZES.small)
+          .fillColor(COLORS.gray)
+          .text(settings.seller.name, PAGE.WIDTH - PAGE.MARGIN - 200, PAGE.MARGIN + 5, { width: 200, align: 'right' });
+      }
+      doc.y = PAGE.MARGIN + 60;
+
+      drawAgingTable(doc, report);
+      drawLegalFooter(doc, {}, settings);
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function drawAgingTable(doc, report) {
+  const columns = [
+    { label: 'Débiteur', width: 140, align: 'left' },
+    { label: 'Type', width: 60, align: 'left' },
+    ...report.buckets.map(bucket => ({ label: `${bucket.label} j`, width: 60, align: 'right' })),
+    { label: 'Total', width: 55.28, align: 'right' }
+  ];
+
+  const drawRow = (values, y, options = {}) => {
+    let x = PAGE.MARGIN;
+    columns.forEach((col, i) => {
+      doc.fontSize(options.fontSize || FONT_SIZES.small)
+        .fillColor(options.color || COLORS.dark)
+        .text(values[i], x + 4, y, { width: col.width - 8, align: col.align, lineBreak: false, ellipsis: true });
+      x += col.width;
+    });
+  };
+
+  let y = doc.y;
+  const drawHeaderRow = () => {
+    doc.rect(PAGE.MARGIN, y - 4, PAGE.CONTENT_WIDTH, 18).fill(COLORS.tableHeader);
+    drawRow(columns.map(c => c.label), y, { fontSize: FONT_SIZES.label, color: COLORS.gray });
+    y += 20;
+  };
+  drawHeaderRow();
+
+  for (const debtor of report.debtors) {
+    if (y > PAGE.HEIGHT - 110) {
+      doc.addPage();
+      y = PAGE.MARGIN;
+      drawHeaderRow();
+    }
+    drawRow([
+      `${debtor.debtorName || '—'} (${debtor.documentCount})`,
+      DEBTOR_TYPE_LABELS[debtor.debtorType] || debtor.debtorType,
+      ...report.buckets.map(bucket => formatCurrency(debtor[bucket.key])),
+      formatCurrency(debtor.total)
+    ], y);
+    y += 14;
+  }
+
+  doc.moveTo(PAGE.MARGIN, y)
+    .lineTo(PAGE.WIDTH - PAGE.MARGIN, y)
+    .strokeColor(COLORS.primary)
+    .lineWidth(1.5)
+    .stroke();
+  y += 8;
+
+  drawRow([
+    'TOTAL', '',
+    ...report.buckets.map(bucket => formatCurrency(report.totals[bucket.key])),
+    formatCurrency(report.totals.total)
+  ], y, { fontSize: FONT_SIZES.normal, color: COLORS.primary });
+
+  doc.y = y + 25;
+}
+
+// ============================================================================
+// Dunning notice (overdue invoice reminder / formal notice)
+// ============================================================================
+
+/**
+ * Generate the letter of a dunning notice: a payment reminder, or a formal
+ * notice (mise en demeure) claiming the late penalties and the fixed recovery
+ * indemnity (Code de commerce, art. L441-10 and D441-5).
+ *
+ * @param {Object} document - Overdue invoice
+ * @param {Object} notice   - DocumentDunningNotice (amounts as claimed)
+ * @param {Object} options  - { billingSettings }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generateDunningNoticePDF(document, notice, options = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const settings = options.billingSettings || {};
+      const formalNotice = notice.notice_type === 'formal_notice';
+      const title = formalNotice ? 'MISE EN DEMEURE DE PAYER' : 'RAPPEL DE PAIEMENT';
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE.MARGIN,
+        info: {
+          Title: `${title} ${document.document_number || ''}`.trim(),
+          Author: document.seller_name || settings.seller?.name || 'Medical Pro',
+          Subject: `Facture ${document.document_number || ''}`,
+          Creator: 'Medical Pro Billing'
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', chunk => buffers.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      doc.y = PAGE.MARGIN;
+      drawParties(doc, document, settings);
+
+      doc.fontSize(FONT_SIZES.normal)
+        .fillColor(COLORS.dark)
+        .text(`Le ${formatDate(notice.created_at || new Date())}`, PAGE.MARGIN, doc.y, { width: PAGE.CONTENT_WIDTH, align: 'right' });
+      if (formalNotice) {
+        doc.fontSize(FONT_SIZES.small)
+          .fillColor(COLORS.gray)
+          .text('Lettre recommandée avec accusé de réception', PAGE.MARGIN, doc.y + 2, { width: PAGE.CONTENT_WIDTH, align: 'right' });
+      }
+
+      doc.fontSize(FONT_SIZES.title)
+        .fillColor(formalNotice ? '#B91C1C' : COLORS.primary)
+        .text(title, PAGE.MARGIN, doc.y + 20);
+      doc.fontSize(FONT_SIZES.subtitle)
+        .fillColor(COLORS.dark)
+        .text(`Facture n° ${document.document_number || 'N/A'}`, PAGE.MARGIN, doc.y + 4);
+      doc.y += 16;
+
+      drawDunningBody(doc, document, notice, formalNotice);
+      drawDunningAmounts(doc, document, notice);
+      drawDunningClosing(doc, document, notice, formalNotice, settings);
+      drawLegalFooter(doc, document, settings);
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function drawDunningBody(doc, document, notice, formalNotice) {
+  const paragraphs = formalNotice
+    ? [
+      'Madame, Monsieur,',
+      `Malgré nos précédentes relances, nous constatons que la facture n° ${document.document_number} du ${formatDate(document.issue_date)}, arrivée à échéance le ${formatDate(document.due_date)}, demeure impayée à ce jour, soit ${notice.days_overdue} jours de retard.`,
+      `Par la présente, nous vous mettons en demeure de nous régler la somme de ${formatCurrency(notice.total_claimed, document.currency)}${notice.payment_deadline ? ` au plus tard le ${formatDate(notice.payment_deadline)}` : ''}, détaillée ci-dessous.`
+    ]
+    : [
+      'Madame, Monsieur,',
+      `Sauf erreur ou omission de notre part, la facture n° ${document.document_number} du ${formatDate(document.issue_date)}, arrivée à échéance le ${formatDate(document.due_date)}, n'a pas encore été réglée.`,
+      'Nous vous remercions de bien vouloir procéder à son règlement dans les meilleurs délais.'
+    ];
+
+  for (const paragraph of paragraphs) {
+    doc.fontSize(FONT_SIZES.normal + 1)
+      .fillColor(COLORS.dark)
+      .text(paragraph, PAGE.MARGIN, doc.y + 8, { width: PAGE.CONTENT_WIDTH, align: 'justify' });
+  }
+  doc.y += 16;
+}
+
+function drawDunningAmounts(doc, document, notice) {
+  const currency = document.currency || 'EUR';
+  const labelWidth = PAGE.CONTENT_WIDTH - 120;
+  const valueX = PAGE.MARGIN + labelWidth;
+  let y = doc.y;
+
+  const rows = [[`Reste dû sur la facture n° ${document.document_number} (total ${formatCurrency(document.total, currency)})`, notice.amount_due]];
+  if (parseFloat(notice.late_penalties) > 0) {
+    rows.push([`Pénalités de retard (taux annuel ${parseFloat(notice.late_penalty_rate).toFixed(2)} %, ${notice.days_overdue} jours)`, notice.late_penalties]);
+  }
+  if (parseFloat(notice.recovery_indemnity) > 0) {
+    rows.push(['Indemnité forfaitaire pour frais de recouvrement (art. D441-5 C. com.)', notice.recovery_indemnity]);
+  }
+
+  doc.rect(PAGE.MARGIN, y - 4, PAGE.CONTENT_WIDTH, 18).fill(COLORS.tableHeader);
+  doc.fontSize(FONT_SIZES.label).fillColor(COLORS.gray)
+    .text('DÉSIGNATION', PAGE.MARGIN + 4, y, { width: labelWidth - 8 })
+    .text('MONTANT', valueX, y, { width: 116, align: 'right' });
+  y += 20;
+
+  for (const [label, amount] of rows) {
+    doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.dark)
+      .text(label, PAGE.MARGIN + 4, y, { width: labelWidth - 8 })
+      .text(formatCurrency(amount, currency), valueX, y, { width: 116, align: 'right' });
+    y += 16;
+  }
+
+  doc.moveTo(PAGE.MARGIN, y)
+    .lineTo(PAGE.WIDTH - PAGE.MARGIN, y)
+    .strokeColor(COLORS.primary)
+    .lineWidth(1.5)
+    .stroke();
+  y += 8;
+
+  doc.fontSize(FONT_SIZES.subtitle).fillColor(COLORS.primary)
+    .text('TOTAL À RÉGLER', PAGE.MARGIN + 4, y, { width: labelWidth - 8 })
+    .text(formatCurrency(notice.total_claimed, currency), valueX, y, { width: 116, align: 'right' });
+
+  doc.y = y + 30;
+}
+
+function drawDunningClosing(doc, document, notice, formalNotice, settings) {
+  const seller = settings.seller || {};
+  const paragraphs = [];
+
+  if (formalNotice) {
+    paragraphs.push('À défaut de règlement dans ce délai, nous nous réservons le droit d\'engager toute procédure de recouvrement utile, sans autre avis.');
+  }
+  if (document.bank_details?.iban) {
+    paragraphs.push(`Règlement par virement : IBAN ${document.bank_details.iban}${document.bank_details.bic ? ` — BIC ${document.bank_details.bic}` : ''}, en rappelant la référence ${document.document_number}.`);
+  }
+  paragraphs.push('Si votre règlement a été effectué entre-temps, nous vous prions de ne pas tenir compte de ce courrier.');
+  paragraphs.push('Veuillez agréer, Madame, Monsieur, l\'expression de nos salutations distinguées.');
+
+  for (const paragraph of paragraphs) {
+    doc.fontSize(FONT_SIZES.normal + 1)
+      .fillColor(COLORS.dark)
+      .text(paragraph, PAGE.MARGIN, doc.y + 8, { width: PAGE.CONTENT_WIDTH, align: 'justify' });
+  }
+
+  doc.fontSize(FONT_SIZES.normal + 1)
+    .fillColor(COLORS.dark)
+    .text(document.seller_name || seller.name || '', PAGE.MARGIN, doc.y + 30, { width: PAGE.CONTENT_WIDTH, align: 'right' });
+}
+
+// ============================================================================
+// Prescriptions (French ordonnance / Spanish receta)
+// ============================================================================
+
+// Verification QR code of printed prescriptions
+const PRESCRIPTION_QR_SIZE = 70;
+
+const PRESCRIPTION_ROUTE_LABELS = {
+  FR: { oral: 'orale', iv: 'intraveineuse', im: 'intramusculaire', topical: 'cutanée', inhaled: 'inhalée', sublingual: 'sublinguale', rectal: 'rectale' },
+  ES: { oral: 'oral', iv: 'intravenosa', im: 'intramuscular', topical: 'tópica', inhaled: 'inhalatoria', sublingual: 'sublingual', rectal: 'rectal' }
+};
+
+/**
+ * Wording of each layout: the French ordonnance lists what art. R5132-3 CSP
+ * requires, the Spanish receta what RD 1718/2010 requires (year of birth and
+ * DNI/NIE of the patient, administration route and number of packs).
+ */
+const PRESCRIPTION_LABELS = {
+  FR: {
+    title: 'ORDONNANCE',
+    date: 'Fait le',
+    duplicate: 'DUPLICATA',
+    patient: 'PATIENT',
+    identifiers: p => [p.rpps && `N° RPPS : ${p.rpps}`, p.adeli && `N° ADELI : ${p.adeli}`, p.finess && `N° FINESS : ${p.finess}`],
+    patientRows: (patient, age) => [
+      ['Nom', patient.name],
+      ['Né(e) le', patient.birthDate ? `${formatDate(patient.birthDate)}${age ? ` (${age})` : ''}` : null],
+      ['Sexe', { M: 'Masculin', F: 'Féminin' }[patient.gender]],
+      ['Poids', patient.weightKg ? `${patient.weightKg} kg` : null]
+    ],
+    age: (years, months) => (years >= 2 ? `${years} ans` : `${months} mois`),
+    medicationLines: (med) => {
+      const posology = [med.dosage, med.frequency].filter(Boolean).join(', ');
+      return [
+        [posology, med.duration && `pendant ${med.duration}`].filter(Boolean).join(' '),
+        med.route && med.route !== 'oral' && `Voie ${PRESCRIPTION_ROUTE_LABELS.FR[med.route] || med.route}`,
+        med.quantity && `Quantité : ${med.quantity}`
+      ];
+    },
+    aldZone: ["Prescriptions relatives au traitement de l'affection de longue durée reconnue (liste ou hors liste)", '(AFFECTION EXONÉRANTE)'],
+    otherZone: ["Prescriptions SANS RAPPORT avec l'affection de longue durée", '(MALADIES INTERCURRENTES)'],
+    renewals: n => `Ordonnance à renouveler ${n} fois`,
+    validUntil: 'Valable jusqu\'au',
+    instructions: 'Instructions',
+    signature: 'Signature du prescripteur',
+    verification: "Authenticité vérifiable en scannant ce code"
+  },
+  ES: {
+    title: 'RECETA MÉDICA',
+    date: 'Fecha de prescripción:',
+    duplicate: 'DUPLICADO',
+    patient: 'PACIENTE',
+    identifiers: p => [p.orderNumber && `Nº de colegiado: ${p.orderNumber}`],
+    patientRows: (patient) => [
+      ['Nombre', patient.name],
+      ['Año de nacimiento', patient.birthDate ? String(new Date(patient.birthDate).getFullYear()) : null],
+      ['DNI/NIE', patient.idNumber],
+      ['Sexo', { M: 'Hombre', F: 'Mujer' }[patient.gender]],
+      ['Peso', patient.weightKg ? `${patient.weightKg} kg` : null]
+    ],
+    age: null,
+    medicationLines: (med) => [
+      med.pharmaceuticalForm && `Forma farmacéutica: ${med.pharmaceuticalForm}`,
+      `Vía de administración: ${PRESCRIPTION_ROUTE_LABELS.ES[med.route || 'oral'] || med.route}`,
+      [med.dosage, med.frequency].some(Boolean) && `Posología: ${[med.dosage, med.frequency].filter(Boolean).join(', ')}`,
+      med.duration && `Duración del tratamiento: ${med.duration}`,
+      med.quantity && `Nº de envases: ${med.quantity}`
+    ],
+    aldZone: null,
+    otherZone: null,
+    renewals: n => `Renovable ${n} ${n > 1 ? 'veces' : 'vez'}`,
+    validUntil: 'Válida hasta el',
+    instructions: 'Indicaciones al paciente / farmacéutico',
+    signature: 'Firma del prescriptor',
+    verification: 'Verifique la autenticidad escaneando este código'
+  }
+};
+
+function normalizeGender(gender) {
+  const value = String(gender || '').trim().toUpperCase();
+  if (value.startsWith('F') || value.startsWith('W')) return 'F';
+  if (value.startsWith('M') || value.startsWith('H')) return 'M';
+  return null;
+}
+
+function getAgeParts(birthDate, onDate) {
+  const birth = new Date(birthDate);
+  const ref = new Date(onDate || Date.now());
+  if (isNaN(birth.getTime()) || isNaN(ref.getTime())) return null;
+  let months = (ref.getFullYear() - birth.getFullYear()) * 12 + (ref.getMonth() - birth.getMonth());
+  if (ref.getDate() < birth.getDate()) months -= 1;
+  return months >= 0 ? { years: Math.floor(months / 12), months } : null;
+}
+
+/**
+ * Generate a printable prescription.
+ * French clinics get an ordonnance (bizone as soon as one medication is flagged
+ * `ald`: ALD treatments above, intercurrent illnesses below), Spanish clinics a
+ * receta. Reprints carry a "duplicata" watermark on every page.
+ *
+ * @param {Object} prescription - Prescription record (medications, dates, renewals)
+ * @param {Object} options - {
+ *   country: 'FR' | 'ES',
+ *   prescriber: { name, specialty, rpps, adeli, orderNumber, finess, facilityName, address, phone, email, signature },
+ *   patient: { name, birthDate, gender, idNumber, weightKg },
+ *   verificationUrl,  // encoded in the QR code
+ *   duplicate         // reprint
+ * }
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+async function generatePrescriptionPDF(prescription, options = {}) {
+  const country = options.country === 'ES' ? 'ES' : 'FR';
+  const labels = PRESCRIPTION_LABELS[country];
+  const prescriber = options.prescriber || {};
+  const patient = { ...(options.patient || {}), gender: normalizeGender(options.patient?.gender) };
+  const verificationQr = options.verificationUrl
+    ? await QRCode.toBuffer(options.verificationUrl, { errorCorrectionLevel: 'M', margin: 0, width: 300 })
+    : null;
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE.MARGIN,
+        bufferPages: true,
+        info: {
+          Title: `${labels.title} ${prescription.prescription_number || ''}`.trim(),
+          Author: prescriber.name || 'Medical Pro',
+          Subject: labels.title,
+          Creator: 'Medical Pro'
+        }
+      });
+
+      const buffers = [];
+      doc.on('data', chunk => buffers.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(buffers)));
+      doc.on('error', reject);
+
+      drawPrescriptionHeader(doc, prescription, prescriber, labels, options.duplicate);
+      drawPrescriptionPatient(doc, prescription, patient, labels);
+
+      const medications = prescription.medications || [];
+      if (labels.aldZone && medications.some(m => m.ald)) {
+        drawBizoneTitle(doc, labels.aldZone);
+        const next = drawPrescriptionMedications(doc, medications.filter(m => m.ald), labels, 1);
+        doc.moveTo(PAGE.MARGIN, doc.y + 14)
+          .lineTo(PAGE.WIDTH - PAGE.MARGIN, doc.y + 14)
+          .strokeColor(COLORS.dark)
+          .lineWidth(1.5)
+          .stroke();
+        doc.y += 24;
+        drawBizoneTitle(doc, labels.otherZone);
+        drawPrescriptionMedications(doc, medications.filter(m => !m.ald), labels, next);
+      } else {
+        drawPrescriptionMedications(doc, medications, labels, 1);
+      }
+
+      drawPrescriptionClosing(doc, prescription, prescriber, labels, verificationQr);
+
+      if (options.duplicate) {
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+          doc.switchToPage(i);
+          drawDuplicateWatermark(doc, labels.duplicate);
+        }
+      }
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function drawDuplicateWatermark(doc, text) {
+  doc.save();
+  doc.rotate(-35, { origin: [PAGE.WIDTH / 2, PAGE.HEIGHT / 2] });
+  doc.fontSize(96)
+    .fillColor('#DC2626', 0.15)
+    .text(text, 0, PAGE.HEIGHT / 2 - 48, { width: PAGE.WIDTH, align: 'center', lineBreak: false });
+  doc.restore();
+}
+
+function drawPrescriptionHeader(doc, prescription, prescriber, labels, duplicate) {
+  const colWidth = PAGE.CONTENT_WIDTH / 2 - 10;
+  const rightX = PAGE.MARGIN + colWidth + 20;
+
+  doc.fontSize(FONT_SIZES.subtitle + 1)
+    .fillColor(COLORS.dark)
+    .text(prescriber.name || '', PAGE.MARGIN, PAGE.MARGIN, { width: colWidth });
+  for (const line of [prescriber.specialty, ...labels.identifiers(prescriber)].filter(Boolean)) {
+    doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.gray).text(line, PAGE.MARGIN, doc.y + 2, { width: colWidth });
+  }
+  const leftEnd = doc.y;
+
+  doc.y = PAGE.MARGIN;
+  const contact = [prescriber.facilityName, getAddressString(prescriber.address), prescriber.phone, prescriber.email];
+  for (const line of contact.filter(Boolean)) {
+    doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.dark).text(line, rightX, doc.y + 2, { width: colWidth, align: 'right' });
+  }
+
+  const lineY = Math.max(leftEnd, doc.y) + 10;
+  doc.moveTo(PAGE.MARGIN, lineY)
+    .lineTo(PAGE.WIDTH - PAGE.MARGIN, lineY)
+    .strokeColor(COLORS.lightGray)
+    .lineWidth(1)
+    .stroke();
+
+  const titleY = lineY + 14;
+  doc.fontSize(FONT_SIZES.title)
+    .fillColor(COLORS.primary)
+    .text(labels.title, PAGE.MARGIN, titleY, { width: colWidth });
+  doc.fontSize(FONT_SIZES.normal)
+    .fillColor(COLORS.dark)
+    .text(`${labels.date} ${formatDate(prescription.prescribed_date)}`, rightX, titleY + 2, { width: colWidth, align: 'right' })
+    .fillColor(COLORS.gray)
+    .text(`N° ${prescription.prescription_number || ''}`, rightX, doc.y + 2, { width: colWidth, align: 'right' });
+  if (duplicate) {
+    doc.fillColor('#B91C1C').text(labels.duplicate, rightX, doc.y + 2, { width: colWidth, align: 'right' });
+  }
+
+  doc.y = Math.max(doc.y, titleY + 28) + 12;
+}
+
+function drawPrescriptionPatient(doc, prescription, patient, labels) {
+  const ageParts = labels.age && patient.birthDate ? getAgeParts(patient.birthDate, prescription.prescribed_date) : null;
+  const age = ageParts ? labels.age(ageParts.years, ageParts.months) : null;
+
+  doc.fontSize(FONT_SIZES.label).fillColor(COLORS.primary).text(labels.patient, PAGE.MARGIN, doc.y);
+  let y = doc.y + 4;
+  for (const [label, value] of labels.patientRows(patient, age)) {
+    if (!value) continue;
+    doc.fontSize(FONT_SIZES.small).fillColor(COLORS.gray).text(label, PAGE.MARGIN, y, { width: 95 });
+    doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.dark).text(value, PAGE.MARGIN + 95, y, { width: PAGE.CONTENT_WIDTH - 95 });
+    y = Math.max(doc.y, y + 12) + 2;
+  }
+
+  doc.moveTo(PAGE.MARGIN, y + 6)
+    .lineTo(PAGE.WIDTH - PAGE.MARGIN, y + 6)
+    .strokeColor(COLORS.lightGray)
+    .lineWidth(1)
+    .stroke();
+  doc.y = y + 16;
+}
+
+function drawBizoneTitle(doc, [title, subtitle]) {
+  if (doc.y > PAGE.HEIGHT - 220) doc.addPage();
+  doc.fontSize(FONT_SIZES.normal)
+    .fillColor(COLORS.dark)
+    .text(title, PAGE.MARGIN, doc.y, { width: PAGE.CONTENT_WIDTH, align: 'center' })
+    .fontSize(FONT_SIZES.small)
+    .text(subtitle, PAGE.MARGIN, doc.y + 1, { width: PAGE.CONTENT_WIDTH, align: 'center' });
+  doc.y += 4;
+}
+
+/**
+ * Numbered medication lines
+ * @returns {number} Number of the next line (numbering continues across the bizone zones)
+ */
+function drawPrescriptionMedications(doc, medications, labels, firstNumber) {
+  let number = firstNumber;
+  for (const med of medications) {
+    if (doc.y > PAGE.HEIGHT - 220) doc.addPage();
+
+    doc.fontSize(FONT_SIZES.subtitle - 1)
+      .fillColor(COLORS.dark)
+      .text(`${number}. ${med.medication}`, PAGE.MARGIN, doc.y + 8, { width: PAGE.CONTENT_WIDTH });
+    for (const line of labels.medicationLines(med).filter(Boolean)) {
+      doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.dark)
+        .text(line, PAGE.MARGIN + 14, doc.y + 2, { width: PAGE.CONTENT_WIDTH - 14 });
+    }
+    if (med.instructions) {
+      doc.fontSize(FONT_SIZES.small).fillColor(COLORS.gray)
+        .text(med.instructions, PAGE.MARGIN + 14, doc.y + 2, { width: PAGE.CONTENT_WIDTH - 14 });
+    }
+    number += 1;
+  }
+  return number;
+}
+
+function drawPrescriptionClosing(doc, prescription, prescriber, labels, verificationQr) {
+  const notes = [];
+  if (prescription.renewable && prescription.renewals_remaining > 0) {
+    notes.push(labels.renewals(prescription.renewals_remaining));
+  }
+  if (prescription.valid_until) {
+    notes.push(`${labels.validUntil} ${formatDate(prescription.valid_until)}`);
+  }
+  doc.y += 10;
+  for (const note of notes) {
+    doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.dark).text(note, PAGE.MARGIN, doc.y + 4, { width: PAGE.CONTENT_WIDTH });
+  }
+  if (prescription.instructions) {
+    doc.fontSize(FONT_SIZES.label).fillColor(COLORS.primary).text(labels.instructions, PAGE.MARGIN, doc.y + 12);
+    doc.fontSize(FONT_SIZES.normal).fillColor(COLORS.dark).text(prescription.instructions, PAGE.MARGIN, doc.y + 4, { width: PAGE.CONTENT_WIDTH });
+  }
+
+  // QR code and signature share the bottom of the last page
+  const blockHeight = PRESCRIPTION_QR_SIZE + 30;
+  const blockY = PAGE.HEIGHT - PAGE.MARGIN - blockHeight;
+  if (doc.y + 20 > blockY) doc.addPage();
+
+  if (verificationQr) {
+    doc.image(verificationQr, PAGE.MARGIN, blockY, { width: PRESCRIPTION_QR_SIZE, height: PRESCRIPTION_QR_SIZE });
+    doc.fontSize(FONT_SIZES.small - 1)
+      .fillColor(COLORS.gray)
+      .text(labels.verification, PAGE.MARGIN, blockY + PRESCRIPTION_QR_SIZE + 4, { width: 160 });
+  }
+
+  const boxWidth = 200;
+  const boxX = PAGE.WIDTH - PAGE.MARGIN - boxWidth;
+  doc.fontSize(FONT_SIZES.label).fillColor(COLORS.gray).text(labels.signature, boxX, blockY - 12, { width: boxWidth });
+  doc.rect(boxX, blockY, boxWidth, blockHeight - 10).strokeColor(COLORS.lightGray).lineWidth(1).stroke();
+
+  const signature = String(prescriber.signature || '').match(/^data:image\/(?:png|jpe?g);base64,(.+)$/);
+  if (signature) {
+    try {
+      doc.image(Buffer.from(signature[1], 'base64'), boxX + 10, blockY + 5, { fit: [boxWidth - 20, blockHeight - 20], align: 'center', valign: 'center' });
+    } catch (err) {
+      // Unreadable image: the box is left blank for a handwritten signature
+    }
+  }
 }
 
 // ============================================================================
 // Step 2 — pdf-lib: PDF/A-3b + Factur-X XML embedding
 // ============================================================================
 
+// fx:ConformanceLevel values of the Factur-X XMP extension schema
+const FACTURX_CONFORMANCE_LEVELS = {
+  MINIMUM: 'MINIMUM',
+  BASIC: 'BASIC',
+  EN16931: 'EN 16931',
+  EXTENDED: 'EXTENDED'
+};
+
 /**
  * Embed Factur-X CII XML into a PDF buffer as a PDF/A-3b compliant attachment.
  * Only for invoices / credit_notes (not quotes).
  *
  * @param {Buffer} pdfBuffer  - PDF buffer from step 1
  * @param {string} xmlString  - CII XML string
+ * @param {string} profile    - Factur-X profile of the XML (XMP conformance level)
  * @returns {Promise<Buffer>} PDF/A-3b buffer with embedded XML
  */
-async function embedFacturX(pdfBuffer, xmlString) {
+async function embedFacturX(pdfBuffer, xmlString, profile = 'EN16931') {
   const pdfDoc = await PDFLibDocument.load(pdfBuffer);
 
   // Embed XML as file attachment
@@ -534,7 +1646,7 @@ async function embedFacturX(pdfBuffer, xmlString) {
   pdfDoc.setModificationDate(creationDate);
 
   // Add XMP metadata for PDF/A-3b identification
-  const xmpMetadata = buildXMPMetadata(creationDate);
+  const xmpMetadata = buildXMPMetadata(creationDate, FACTURX_CONFORMANCE_LEVELS[profile] || FACTURX_CONFORMANCE_LEVELS.EN16931);
   const metadataStream = pdfDoc.context.stream(Buffer.from(xmpMetadata, 'utf-8'), {
     Type: 'Metadata',
     Subtype: 'XML',
@@ -561,7 +1673,7 @@ async function embedFacturX(pdfBuffer, xmlString) {
 /**
  * Build XMP metadata XML for PDF/A-3b
  */
-function buildXMPMetadata(creationDate) {
+function buildXMPMetadata(creationDate, conformanceLevel) {
   const dateStr = creationDate.toISOString();
   return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
 <x:xmpmeta xmlns:x="adobe:ns:meta/">
@@ -593,7 +1705,7 @@ function buildXMPMetadata(creationDate) {
       <fx:DocumentFileName>factur-x.xml</fx:DocumentFileName>
       <fx:DocumentType>INVOICE</fx:DocumentType>
       <fx:Version>1.0</fx:Version>
-      <fx:ConformanceLevel>EN 16931</fx:ConformanceLevel>
+      <fx:ConformanceLevel>${conformanceLevel}</fx:ConformanceLevel>
       <pdfaExtension:schemas>
         <rdf:Bag>
           <rdf:li rdf:parseType="Resource">
@@ -639,5 +1751,11 @@ function buildXMPMetadata(creationDate) {
 
 module.exports = {
   generateDocumentPDF,
-  embedFacturX
+  generateTillReportPDF,
+  generateCareSheetPDF,
+  generateAgingReportPDF,
+  generateDunningNoticePDF,
+  generatePrescriptionPDF,
+  embedFacturX,
+  FACTURX_CONFORMANCE_LEVELS
 };
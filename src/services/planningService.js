@@ -1,10 +1,16 @@
 /**
  * Planning Service
- * Handles availability calculation for machines and practitioners
+ * Handles availability calculation for machines, rooms, assistants and practitioners
  */
 
-const { Op } = require('sequelize');
+const { Op, QueryTypes } = require('sequelize');
 const { getModel } = require('../base/ModelFactory');
+const {
+  occupiedInterval,
+  fitsInRanges,
+  findFreeResources,
+  pickResource
+} = require('../utils/resourceCapacity');
 
 /**
  * Default clinic hours (can be overridden by clinic settings)
@@ -19,6 +25,11 @@ const DEFAULT_CLINIC_HOURS = {
   sunday: null // Closed
 };
 
+/**
+ * Appointments in these statuses no longer hold their machine / provider / patient slot
+ */
+const FREED_STATUSES = ['cancelled', 'no_show'];
+
 const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
 
 /**
@@ -196,6 +207,27 @@ async function getClinicHoursRanges(clinicDb, date) {
   return fallback ? [fallback] : null;
 }
 
+/**
+ * Get the clinic's closed dates (holidays, maintenance...)
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @returns {Promise<string[]>} Closed dates (YYYY-MM-DD)
+ */
+async function getClosedDates(clinicDb) {
+  try {
+    const [results] = await clinicDb.query(
+      'SELECT closed_dates FROM clinic_settings LIMIT 1'
+    );
+    const closedDates = results?.[0]?.closed_dates;
+    // Dates saved through PUT /clinic-settings are full ISO timestamps
+    return Array.isArray(closedDates)
+      ? closedDates.filter(cd => cd && cd.date).map(cd => String(cd.date).substring(0, 10))
+      : [];
+  } catch (err) {
+    console.warn('[planningService] Could not load closed dates:', err.message);
+    return [];
+  }
+}
+
 /**
  * Get practitioner availability for a specific date
  * @param {Sequelize} clinicDb - Clinic database connection
@@ -275,7 +307,7 @@ async function getExistingAppointments(clinicDb, resourceType, resourceId, date)
 
   const where = {
     appointment_date: date,
-    status: { [Op.notIn]: ['cancelled'] }
+    status: { [Op.notIn]: FREED_STATUSES }
   };
 
   if (resourceType === 'machine') {
@@ -336,76 +368,21 @@ function calculateAvailableSlots(availableRanges, bookedSlots, slotDuration) {
 }
 
 /**
- * Get available slots for a treatment (machine-based)
- * @param {Sequelize} clinicDb - Clinic database connection
- * @param {string} treatmentId - Treatment ID (from products_services)
- * @param {string} date - Date string (YYYY-MM-DD)
- * @param {number} duration - Appointment duration in minutes (optional, uses treatment duration)
- * @returns {Array} Array of available slots with machine info
+ * Roles that can assist on a treatment requiring an assistant
  */
-async function getTreatmentSlots(clinicDb, treatmentId, date, duration = null, options = {}) {
-  // Load ProductService first to ensure associations are set up
+const ASSISTANT_ROLES = ['nurse', 'practitioner'];
+
+/**
+ * Find the active machines linked to a treatment (machine_treatments)
+ */
+async function findTreatmentMachines(clinicDb, treatmentId) {
   const ProductService = await getModel(clinicDb, 'ProductService');
-  // Then load Machine which will set up the reverse associations
+  // Load Machine after ProductService so the reverse association is set up
   const Machine = await getModel(clinicDb, 'Machine');
 
-  // Get treatment info
-  const treatment = await ProductService.findByPk(treatmentId);
-  if (!treatment) {
-    throw new Error('Treatment not found');
-  }
-
-  const slotDuration = duration || treatment.duration || 30;
-  const isOverlappable = treatment.is_overlappable === true;
-
-  // For overlappable treatments (no machine required), return clinic hours as available slots
-  // These treatments don't block machines and can overlap with other appointments
-  if (isOverlappable) {
-    console.log(`[planningService] Treatment "${treatment.title}" is overlappable, returning clinic hours slots`);
-    const clinicRanges = await getClinicHoursRanges(clinicDb, date);
-    if (!clinicRanges || clinicRanges.length === 0) {
-      return { slots: [], machines: [], message: 'Clinic closed on this date', isOverlappable: true };
-    }
-
-    // Extend closing time if after-hours requested
-    const extendedRanges = options.allowAfterHours
-      ? extendRangesAfterHours(clinicRanges, 180)
-      : clinicRanges;
-    const originalClose = clinicRanges[clinicRanges.length - 1].close;
-
-    // Generate slots from clinic hours (no machine blocking)
-    const availableSlots = calculateAvailableSlots(extendedRanges, [], slotDuration);
-    const slots = availableSlots.map(slot => ({
-      ...slot,
-      machineId: null, // No machine for overlappable treatments
-      machineName: null,
-      machineColor: null,
-      duration: slotDuration,
-      isOverlappable: true,
-      afterHours: timeToMinutes(slot.end) > timeToMinutes(originalClose)
-    }));
-
-    return {
-      slots,
-      allSlots: slots,
-      machines: [],
-      treatment: {
-        id: treatment.id,
-        title: treatment.title,
-        duration: slotDuration,
-        isOverlappable: true
-      },
-      isOverlappable: true
-    };
-  }
-
-  // For machine-based treatments, find associated machines
-  let machines = [];
-
-  // Check if association exists and use it
   if (Machine.associations?.treatments) {
     try {
-      machines = await Machine.findAll({
+      const machines = await Machine.findAll({
         where: { is_active: true },
         include: [{
           model: ProductService,
@@ -413,130 +390,351 @@ async function getTreatmentSlots(clinicDb, treatmentId, date, duration = null, o
           where: { id: treatmentId },
           through: { attributes: [] },
           required: true
-        }]
+        }],
+        order: [['name', 'ASC']]
       });
+      if (machines.length > 0) return machines;
     } catch (assocError) {
       console.warn('[planningService] Association query failed, using fallback:', assocError.message);
-      machines = [];
     }
   }
 
   // Fallback: query via junction table manually if association failed or doesn't exist
-  if (machines.length === 0) {
-    try {
-      const results = await clinicDb.query(`
-        SELECT m.* FROM machines m
-        INNER JOIN machine_treatments mt ON m.id = mt.machine_id
-        WHERE mt.treatment_id = :treatmentId AND m.is_active = true
-      `, {
-        replacements: { treatmentId },
-        type: require('sequelize').QueryTypes.SELECT
-      });
+  try {
+    const results = await clinicDb.query(`
+      SELECT m.* FROM machines m
+      INNER JOIN machine_treatments mt ON m.id = mt.machine_id
+      WHERE mt.treatment_id = :treatmentId AND m.is_active = true
+      ORDER BY m.name ASC
+    `, {
+      replacements: { treatmentId },
+      type: QueryTypes.SELECT
+    });
+    return results || [];
+  } catch (queryError) {
+    console.error('[planningService] Fallback query failed:', queryError.message);
+    return [];
+  }
+}
+
+/**
+ * Load the resources a treatment needs at the same time
+ * - machine: any active machine of required_machine_type, otherwise the linked machines
+ *   (overlappable treatments never use a machine)
+ * - room: any active room of required_room_type with a free place
+ * - assistant: any active nurse / practitioner, when requires_assistant
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @param {Object} treatment - ProductService instance
+ * @returns {Object} { machines, rooms, assistants, machineRequired, roomType, requiresAssistant,
+ *   prepBefore, prepAfter, warnings }
+ */
+async function getTreatmentRequirements(clinicDb, treatment) {
+  const isOverlappable = treatment.is_overlappable === true;
+  const machineType = isOverlappable ? null : (treatment.required_machine_type || null);
+  const roomType = treatment.required_room_type || null;
+  const requiresAssistant = treatment.requires_assistant === true;
+
+  let machines = [];
+  if (machineType) {
+    const Machine = await getModel(clinicDb, 'Machine');
+    machines = await Machine.findAll({
+      where: { is_active: true, machine_type: machineType },
+      order: [['name', 'ASC']]
+    });
+  } else if (!isOverlappable) {
+    machines = await findTreatmentMachines(clinicDb, treatment.id);
+  }
+
+  let rooms = [];
+  if (roomType) {
+    const Room = await getModel(clinicDb, 'Room');
+    rooms = await Room.findAll({
+      where: { is_active: true, room_type: roomType },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  let assistants = [];
+  if (requiresAssistant) {
+    const HealthcareProvider = await getModel(clinicDb, 'HealthcareProvider');
+    assistants = await HealthcareProvider.findAll({
+      where: { is_active: true, role: { [Op.in]: ASSISTANT_ROLES } },
+      attributes: ['id', 'first_name', 'last_name'],
+      order: [['last_name', 'ASC'], ['first_name', 'ASC']]
+    });
+  }
 
-      if (results && results.length > 0) {
-        machines = results;
+  const warnings = [];
+  if (!isOverlappable && !machineType && machines.length === 0) {
+    // Configuration issue: the treatment is planned on clinic hours only
+    warnings.push({
+      type: 'noMachineConfig',
+      treatmentId: treatment.id,
+      treatmentTitle: treatment.title,
+      message: `Treatment "${treatment.title}" is not overlappable but has no machine configured`
+    });
+  }
+
+  const missing = [];
+  if (machineType && machines.length === 0) missing.push(`machine of type "${machineType}"`);
+  if (roomType && rooms.length === 0) missing.push(`room of type "${roomType}"`);
+  if (requiresAssistant && assistants.length === 0) missing.push('assistant');
+  if (missing.length > 0) {
+    warnings.push({
+      type: 'missingResource',
+      treatmentId: treatment.id,
+      treatmentTitle: treatment.title,
+      message: `Treatment "${treatment.title}" requires a ${missing.join(', a ')}, none is active`,
+      blocking: true
+    });
+  }
+
+  return {
+    machines,
+    rooms,
+    assistants,
+    machineRequired: machines.length > 0 || Boolean(machineType),
+    roomType,
+    requiresAssistant,
+    prepBefore: treatment.prep_before || 0,
+    prepAfter: treatment.prep_after || 0,
+    warnings
+  };
+}
+
+/**
+ * Get the busy intervals of machines, rooms and assistants on a date
+ * Intervals include the prep_before / prep_after of the booked treatment.
+ * An assistant is busy on any appointment they provide or assist.
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Object} resources - { machineIds, roomIds, assistantIds }
+ * @param {Array} excludeAppointmentIds - Appointment IDs to ignore (edit mode)
+ * @returns {Object} { machines, rooms, assistants } - { [resourceId]: [{ start, end }] } in minutes
+ */
+async function getResourceBookings(clinicDb, date, resources, excludeAppointmentIds = []) {
+  const machineIds = resources.machineIds || [];
+  const roomIds = resources.roomIds || [];
+  const assistantIds = resources.assistantIds || [];
+  const busy = { machines: {}, rooms: {}, assistants: {} };
+
+  const conditions = [];
+  if (machineIds.length > 0) conditions.push('a.machine_id IN (:machineIds)');
+  if (roomIds.length > 0) conditions.push('a.room_id IN (:roomIds)');
+  if (assistantIds.length > 0) conditions.push('a.provider_id IN (:assistantIds) OR a.assistant_id IN (:assistantIds)');
+  if (conditions.length === 0) return busy;
+
+  let sql = `
+    SELECT a.id, a.machine_id, a.room_id, a.provider_id, a.assistant_id, a.start_time, a.end_time,
+           COALESCE(ps.prep_before, 0) AS prep_before, COALESCE(ps.prep_after, 0) AS prep_after
+    FROM appointments a
+    LEFT JOIN products_services ps ON ps.id = a.service_id
+    WHERE a.appointment_date = :date
+      AND a.status NOT IN (:freedStatuses)
+      AND (${conditions.join(' OR ')})
+  `;
+  const replacements = {
+    date,
+    freedStatuses: FREED_STATUSES,
+    machineIds: machineIds.length > 0 ? machineIds : null,
+    roomIds: roomIds.length > 0 ? roomIds : null,
+    assistantIds: assistantIds.length > 0 ? assistantIds : null
+  };
+
+  if (excludeAppointmentIds.length > 0) {
+    sql += ' AND a.id NOT IN (:excludeIds)';
+    replacements.excludeIds = excludeAppointmentIds;
+  }
+
+  const appointments = await clinicDb.query(sql, { replacements, type: QueryTypes.SELECT });
+
+  const add = (map, id, interval) => {
+    if (!map[id]) map[id] = [];
+    map[id].push(interval);
+  };
+
+  for (const apt of appointments) {
+    const interval = occupiedInterval(
+      timeToMinutes(apt.start_time.substring(0, 5)),
+      timeToMinutes(apt.end_time.substring(0, 5)),
+      Number(apt.prep_before),
+      Number(apt.prep_after)
+    );
+
+    if (apt.machine_id && machineIds.includes(apt.machine_id)) {
+      add(busy.machines, apt.machine_id, interval);
+    }
+    if (apt.room_id && roomIds.includes(apt.room_id)) {
+      add(busy.rooms, apt.room_id, interval);
+    }
+    for (const personId of new Set([apt.provider_id, apt.assistant_id])) {
+      if (personId && assistantIds.includes(personId)) {
+        add(busy.assistants, personId, interval);
       }
-    } catch (queryError) {
-      console.error('[planningService] Fallback query failed:', queryError.message);
     }
   }
 
-  // If no machines found for a non-overlappable treatment, fall back to clinic hours
-  // This is a configuration issue — treatment should have machines assigned
-  if (machines.length === 0) {
-    console.warn(`[planningService] Non-overlappable treatment "${treatment.title}" has no machines configured — configuration issue`);
-    const clinicRanges = await getClinicHoursRanges(clinicDb, date);
-    if (!clinicRanges || clinicRanges.length === 0) {
-      return { slots: [], machines: [], message: 'Clinic closed on this date' };
+  return busy;
+}
+
+/**
+ * Allocate every resource a treatment needs for one occupied interval
+ * @param {Object} requirements - From getTreatmentRequirements()
+ * @param {Object} busy - From getResourceBookings()
+ * @param {Object} window - Occupied interval { start, end } (prep buffers included)
+ * @param {Array} allocations - [{ resourceId, start, end }] already taken by the slot being built
+ * @returns {Object|null} { machines (all free ones), room, assistant } or null if a requirement cannot be met
+ */
+function allocateResources(requirements, busy, window, allocations = []) {
+  let machines = [];
+  if (requirements.machineRequired) {
+    machines = findFreeResources(requirements.machines, busy.machines, window, allocations);
+    if (machines.length === 0) return null;
+  }
+
+  let room = null;
+  if (requirements.roomType) {
+    room = pickResource(requirements.rooms, busy.rooms, window, allocations);
+    if (!room) return null;
+  }
+
+  let assistant = null;
+  if (requirements.requiresAssistant) {
+    assistant = pickResource(requirements.assistants, busy.assistants, window, allocations);
+    if (!assistant) return null;
+  }
+
+  return { machines, room, assistant };
+}
+
+/**
+ * Room / assistant fields of a slot
+ */
+function formatAllocation(allocation) {
+  return {
+    roomId: allocation.room ? allocation.room.id : null,
+    roomName: allocation.room ? allocation.room.name : null,
+    assistantId: allocation.assistant ? allocation.assistant.id : null,
+    assistantName: allocation.assistant
+      ? `${allocation.assistant.first_name} ${allocation.assistant.last_name}`
+      : null
+  };
+}
+
+/**
+ * Candidate start times (minutes) of a treatment within opening ranges
+ * The occupied interval (prep buffers included) must fit in one range.
+ */
+function generateCandidateStarts(ranges, duration, prepBefore, prepAfter, step) {
+  const starts = [];
+  for (const range of ranges) {
+    const open = timeToMinutes(range.start || range.open);
+    const close = timeToMinutes(range.end || range.close);
+    if (open === null || close === null) continue;
+
+    for (let start = open + prepBefore; start + duration + prepAfter <= close; start += step) {
+      starts.push(start);
     }
+  }
+  return starts;
+}
+
+/**
+ * Get available slots for a treatment (machine, room and assistant requirements)
+ * A slot is offered only when every required resource is free at the same time,
+ * prep_before / prep_after buffers included (they must also fit in clinic hours).
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @param {string} treatmentId - Treatment ID (from products_services)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} duration - Appointment duration in minutes (optional, uses treatment duration)
+ * @returns {Array} Array of available slots with machine, room and assistant info
+ */
+async function getTreatmentSlots(clinicDb, treatmentId, date, duration = null, options = {}) {
+  const ProductService = await getModel(clinicDb, 'ProductService');
 
-    const extendedRanges2 = options.allowAfterHours
-      ? extendRangesAfterHours(clinicRanges, 180)
-      : clinicRanges;
-    const originalClose2 = clinicRanges[clinicRanges.length - 1].close;
+  // Get treatment info
+  const treatment = await ProductService.findByPk(treatmentId);
+  if (!treatment) {
+    throw new Error('Treatment not found');
+  }
 
-    const bookedSlots = [];
-    const availableSlots = calculateAvailableSlots(extendedRanges2, bookedSlots, slotDuration);
-    const slots = availableSlots.map(slot => ({
-      ...slot,
-      machineId: null,
-      machineName: null,
-      machineColor: null,
-      duration: slotDuration,
-      isOverlappable: false,
-      afterHours: timeToMinutes(slot.end) > timeToMinutes(originalClose2)
-    }));
+  const slotDuration = duration || treatment.duration || 30;
+  // Overlappable treatments don't block machines and can overlap with other appointments
+  const isOverlappable = treatment.is_overlappable === true;
+  const requirements = await getTreatmentRequirements(clinicDb, treatment);
+  const { prepBefore, prepAfter } = requirements;
+
+  const treatmentInfo = {
+    id: treatment.id,
+    title: treatment.title,
+    duration: slotDuration,
+    isOverlappable,
+    prepBefore,
+    prepAfter,
+    requiredRoomType: requirements.roomType,
+    requiredMachineType: treatment.required_machine_type || null,
+    requiresAssistant: requirements.requiresAssistant
+  };
+  const warnings = requirements.warnings.length > 0 ? requirements.warnings : undefined;
 
-    return {
-      slots,
-      allSlots: slots,
-      machines: [],
-      treatment: {
-        id: treatment.id,
-        title: treatment.title,
-        duration: slotDuration,
-        isOverlappable: false
-      },
-      isOverlappable: false,
-      warnings: [{
-        type: 'noMachineConfig',
-        treatmentId: treatment.id,
-        treatmentTitle: treatment.title,
-        message: `Treatment "${treatment.title}" is not overlappable but has no machine configured`
-      }]
-    };
+  const clinicRanges = await getClinicHoursRanges(clinicDb, date);
+  if (!clinicRanges || clinicRanges.length === 0) {
+    return { slots: [], machines: [], message: 'Clinic closed on this date', isOverlappable };
   }
 
-  // Determine original closing time for afterHours marking
-  const clinicRangesForClose = await getClinicHoursRanges(clinicDb, date);
-  const originalCloseTime = clinicRangesForClose && clinicRangesForClose.length > 0
-    ? clinicRangesForClose[clinicRangesForClose.length - 1].close
-    : '23:59';
+  // A required resource type has no active resource: nothing can be booked
+  if (requirements.warnings.some(w => w.blocking)) {
+    return { slots: [], allSlots: [], machines: [], treatment: treatmentInfo, isOverlappable, warnings };
+  }
 
-  const allSlots = [];
-  const machineInfo = [];
+  // Extend closing time if after-hours requested
+  const extendedRanges = options.allowAfterHours
+    ? extendRangesAfterHours(clinicRanges, 180)
+    : clinicRanges;
+  const originalClose = timeToMinutes(clinicRanges[clinicRanges.length - 1].close);
 
-  for (const machine of machines) {
-    // Get machine availability
-    const availability = await getMachineAvailability(clinicDb, machine.id, date);
-    if (availability.length === 0) continue;
+  const busy = await getResourceBookings(clinicDb, date, {
+    machineIds: requirements.machines.map(m => m.id),
+    roomIds: requirements.rooms.map(r => r.id),
+    assistantIds: requirements.assistants.map(a => a.id)
+  });
 
-    // Extend availability if after-hours requested
-    const extendedAvailability = options.allowAfterHours
-      ? extendRangesAfterHours(availability, 180)
-      : availability;
+  const allSlots = [];
+  const starts = generateCandidateStarts(extendedRanges, slotDuration, prepBefore, prepAfter, slotDuration);
 
-    // Get existing appointments for this machine (only non-overlappable ones block)
-    const bookedSlots = await getExistingAppointments(clinicDb, 'machine', machine.id, date);
+  for (const start of starts) {
+    const end = start + slotDuration;
+    const allocation = allocateResources(requirements, busy, occupiedInterval(start, end, prepBefore, prepAfter));
+    if (!allocation) continue;
 
-    // DEBUG: Log booked slots (excluding cancelled)
-    console.log(`[planningService] Machine ${machine.name} on ${date}:`);
-    console.log(`  Clinic hours:`, availability);
-    console.log(`  Booked slots (non-cancelled):`, bookedSlots.map(b => `${b.start}-${b.end}`).join(', ') || 'none');
+    const slot = {
+      start: minutesToTime(start),
+      end: minutesToTime(end),
+      duration: slotDuration,
+      afterHours: end > originalClose,
+      ...formatAllocation(allocation)
+    };
 
-    // Calculate available slots
-    const availableSlots = calculateAvailableSlots(extendedAvailability, bookedSlots, slotDuration);
-    console.log(`  Available ${slotDuration}min slots:`, availableSlots.length);
+    if (!requirements.machineRequired) {
+      allSlots.push({ ...slot, machineId: null, machineName: null, machineColor: null, isOverlappable });
+      continue;
+    }
 
-    // Add machine info to each slot
-    for (const slot of availableSlots) {
-      allSlots.push({
-        ...slot,
-        machineId: machine.id,
-        machineName: machine.name,
-        machineColor: machine.color,
-        duration: slotDuration,
-        afterHours: timeToMinutes(slot.end) > timeToMinutes(originalCloseTime)
-      });
+    // One slot per free machine (room and assistant are the same for all of them)
+    for (const machine of allocation.machines) {
+      allSlots.push({ ...slot, machineId: machine.id, machineName: machine.name, machineColor: machine.color });
     }
+  }
 
-    machineInfo.push({
-      id: machine.id,
-      name: machine.name,
-      color: machine.color,
-      location: machine.location,
-      availableSlots: availableSlots.length
-    });
+  if (!requirements.machineRequired) {
+    return {
+      slots: allSlots,
+      allSlots,
+      machines: [],
+      treatment: treatmentInfo,
+      isOverlappable,
+      warnings
+    };
   }
 
   // Sort by time, then by machine name
@@ -567,16 +765,21 @@ async function getTreatmentSlots(clinicDb, treatmentId, date, duration = null, o
     }
   }
 
+  const machineInfo = requirements.machines.map(machine => ({
+    id: machine.id,
+    name: machine.name,
+    color: machine.color,
+    location: machine.location,
+    availableSlots: allSlots.filter(s => s.machineId === machine.id).length
+  }));
+
   return {
     slots: uniqueSlots,
     allSlots, // Include all slots with machine details
     machines: machineInfo,
-    treatment: {
-      id: treatment.id,
-      title: treatment.title,
-      duration: slotDuration,
-      isOverlappable: false
-    }
+    treatment: treatmentInfo,
+    isOverlappable,
+    warnings
   };
 }
 
@@ -668,7 +871,9 @@ async function getAllSlots(clinicDb, date, filters = {}) {
 
 /**
  * Get available slots for multiple treatments (multi-treatment booking)
- * Finds time slots where ALL treatments can be scheduled sequentially
+ * Finds time slots where ALL treatments can be scheduled sequentially, each
+ * segment with all of its required resources (machine, room, assistant) free
+ * for its occupied interval, prep buffers included
  * @param {Sequelize} clinicDb - Clinic database connection
  * @param {string} date - Date string (YYYY-MM-DD)
  * @param {Array} treatments - Array of { treatmentId, duration } objects
@@ -693,19 +898,22 @@ async function getMultiTreatmentSlots(clinicDb, date, treatments, options = {})
           machineId: slot.machineId,
           machineName: slot.machineName,
           machineColor: slot.machineColor,
+          roomId: slot.roomId,
+          roomName: slot.roomName,
+          assistantId: slot.assistantId,
+          assistantName: slot.assistantName,
           startTime: slot.start,
           endTime: slot.end,
           duration: slot.duration
         }]
       })),
       totalDuration: treatments[0].duration,
-      treatments: [result.treatment]
+      treatments: [result.treatment],
+      warnings: result.warnings
     };
   }
 
   const ProductService = await getModel(clinicDb, 'ProductService');
-  const Machine = await getModel(clinicDb, 'Machine');
-  const Appointment = await getModel(clinicDb, 'Appointment');
 
   // Get clinic hours for the day
   const clinicHours = await getClinicHours(clinicDb, date);
@@ -716,190 +924,86 @@ async function getMultiTreatmentSlots(clinicDb, date, treatments, options = {})
   // Calculate total duration
   const totalDuration = treatments.reduce((sum, t) => sum + (t.duration || 30), 0);
 
-  // Load treatment info and their available machines
-  const warnings = [];
+  // Load treatment info and the resources each one needs
   const treatmentData = await Promise.all(treatments.map(async (t) => {
     const treatment = await ProductService.findByPk(t.treatmentId);
     if (!treatment) {
       throw new Error(`Treatment not found: ${t.treatmentId}`);
     }
 
-    // Overlappable treatments don't need a machine
-    if (treatment.is_overlappable === true) {
-      console.log(`[planningService] Treatment "${treatment.title}" is overlappable — no machine required`);
-      return {
-        id: t.treatmentId,
-        title: treatment.title,
-        duration: t.duration || treatment.duration || 30,
-        machines: [],
-        noMachineRequired: true,
-        isOverlappable: true
-      };
-    }
-
-    // Non-overlappable: find associated machines
-    let machines = [];
-
-    // Method 1: Try via Sequelize association
-    if (Machine.associations?.treatments) {
-      try {
-        machines = await Machine.findAll({
-          where: { is_active: true },
-          include: [{
-            model: ProductService,
-            as: 'treatments',
-            where: { id: t.treatmentId },
-            through: { attributes: [] },
-            required: true
-          }]
-        });
-        console.log(`[planningService] Found ${machines.length} machines via association for treatment: ${treatment.title}`);
-      } catch (assocError) {
-        console.warn('[planningService] Association query failed:', assocError.message);
-        machines = [];
-      }
-    }
-
-    // Method 2: Fallback to raw SQL query
-    if (machines.length === 0) {
-      try {
-        const results = await clinicDb.query(`
-          SELECT m.* FROM machines m
-          INNER JOIN machine_treatments mt ON m.id = mt.machine_id
-          WHERE mt.treatment_id = :treatmentId AND m.is_active = true
-        `, {
-          replacements: { treatmentId: t.treatmentId },
-          type: require('sequelize').QueryTypes.SELECT
-        });
-        machines = results || [];
-        console.log(`[planningService] Found ${machines.length} machines via SQL for treatment: ${treatment.title}`);
-      } catch (err) {
-        console.warn('[planningService] SQL query failed:', err.message);
-      }
-    }
-
-    // Non-overlappable with no machines = configuration issue
-    if (machines.length === 0) {
-      console.warn(`[planningService] Non-overlappable treatment "${treatment.title}" has no machines configured`);
-      warnings.push({
-        type: 'noMachineConfig',
-        treatmentId: t.treatmentId,
-        treatmentTitle: treatment.title,
-        message: `Treatment "${treatment.title}" is not overlappable but has no machine configured`
-      });
-    }
+    const requirements = await getTreatmentRequirements(clinicDb, treatment);
 
     return {
       id: t.treatmentId,
       title: treatment.title,
       duration: t.duration || treatment.duration || 30,
-      machines,
-      noMachineRequired: machines.length === 0,
-      isOverlappable: false
+      machines: requirements.machines,
+      noMachineRequired: !requirements.machineRequired,
+      isOverlappable: treatment.is_overlappable === true,
+      requirements
     };
   }));
 
-  // Filter out machine IDs only from treatments that actually need machines
-  // Treatments without machines use clinic hours (no machine blocking)
-
-  // Get all existing appointments for all relevant machines on this date
-  const allMachineIds = [...new Set(treatmentData.filter(t => !t.noMachineRequired).flatMap(t => t.machines.map(m => m.id)))];
-  let existingAppointments = [];
-  if (allMachineIds.length > 0) {
-    existingAppointments = await Appointment.findAll({
-      where: {
-        machine_id: { [Op.in]: allMachineIds },
-        appointment_date: date,
-        status: { [Op.notIn]: ['cancelled'] }
-      },
-      attributes: ['id', 'machine_id', 'start_time', 'end_time'],
-      order: [['start_time', 'ASC']]
-    });
-  }
-
-  // Build machine busy times map
-  const machineBusyTimes = {};
-  for (const apt of existingAppointments) {
-    if (!machineBusyTimes[apt.machine_id]) {
-      machineBusyTimes[apt.machine_id] = [];
-    }
-    machineBusyTimes[apt.machine_id].push({
-      start: apt.start_time.substring(0, 5),
-      end: apt.end_time.substring(0, 5)
-    });
-  }
+  const warnings = treatmentData.flatMap(t => t.requirements.warnings);
+  const unique = (ids) => [...new Set(ids)];
+  const busy = await getResourceBookings(clinicDb, date, {
+    machineIds: unique(treatmentData.flatMap(t => t.requirements.machines.map(m => m.id))),
+    roomIds: unique(treatmentData.flatMap(t => t.requirements.rooms.map(r => r.id))),
+    assistantIds: unique(treatmentData.flatMap(t => t.requirements.assistants.map(a => a.id)))
+  });
 
   // Generate potential start times (every 15 minutes during clinic hours)
   const startMinutes = timeToMinutes(clinicHours.open);
   const originalEndMinutes = timeToMinutes(clinicHours.close);
   const endMinutes = options.allowAfterHours ? originalEndMinutes + 180 : originalEndMinutes;
+  const dayRanges = [{ start: startMinutes, end: endMinutes }];
   const slotInterval = 15; // Check every 15 minutes
 
   const validSlots = [];
+  const isBlocked = warnings.some(w => w.blocking);
 
-  for (let currentStart = startMinutes; currentStart + totalDuration <= endMinutes; currentStart += slotInterval) {
-    // Try to find machines for all treatments starting at this time
+  for (let currentStart = startMinutes; !isBlocked && currentStart + totalDuration <= endMinutes; currentStart += slotInterval) {
+    // Try to find resources for all treatments starting at this time
     const segments = [];
+    // Resources taken by the previous segments of this slot
+    const allocations = [];
     let segmentStart = currentStart;
     let isValidSlot = true;
 
     for (const treatment of treatmentData) {
       const segmentEnd = segmentStart + treatment.duration;
-      const segmentStartTime = minutesToTime(segmentStart);
-      const segmentEndTime = minutesToTime(segmentEnd);
-
-      // Treatment without machine (overlappable or no config): always available during clinic hours
-      if (treatment.noMachineRequired) {
-        segments.push({
-          treatmentId: treatment.id,
-          treatmentTitle: treatment.title,
-          machineId: null,
-          machineName: null,
-          machineColor: null,
-          startTime: segmentStartTime,
-          endTime: segmentEndTime,
-          duration: treatment.duration,
-          isOverlappable: treatment.isOverlappable || false
-        });
-      } else {
-        // Find an available machine for this treatment at this time
-        let availableMachine = null;
-
-        for (const machine of treatment.machines) {
-          const busyTimes = machineBusyTimes[machine.id] || [];
-          const isAvailable = !busyTimes.some(busy =>
-            timeRangesOverlap(segmentStartTime, segmentEndTime, busy.start, busy.end)
-          );
-
-          // Also check against segments already allocated in this slot
-          const alreadyUsedInSlot = segments.some(seg =>
-            seg.machineId === machine.id &&
-            timeRangesOverlap(segmentStartTime, segmentEndTime, seg.startTime, seg.endTime)
-          );
-
-          if (isAvailable && !alreadyUsedInSlot) {
-            availableMachine = machine;
-            break;
-          }
-        }
+      const { prepBefore, prepAfter } = treatment.requirements;
+      const window = occupiedInterval(segmentStart, segmentEnd, prepBefore, prepAfter);
 
-        if (!availableMachine) {
-          isValidSlot = false;
-          break;
-        }
+      const allocation = fitsInRanges(window, dayRanges)
+        ? allocateResources(treatment.requirements, busy, window, allocations)
+        : null;
 
-        segments.push({
-          treatmentId: treatment.id,
-          treatmentTitle: treatment.title,
-          machineId: availableMachine.id,
-          machineName: availableMachine.name,
-          machineColor: availableMachine.color,
-          startTime: segmentStartTime,
-          endTime: segmentEndTime,
-          duration: treatment.duration
-        });
+      if (!allocation) {
+        isValidSlot = false;
+        break;
       }
 
+      const machine = allocation.machines[0] || null;
+      for (const resource of [machine, allocation.room, allocation.assistant]) {
+        if (resource) {
+          allocations.push({ resourceId: resource.id, ...window });
+        }
+      }
+
+      segments.push({
+        treatmentId: treatment.id,
+        treatmentTitle: treatment.title,
+        machineId: machine ? machine.id : null,
+        machineName: machine ? machine.name : null,
+        machineColor: machine ? machine.color : null,
+        ...formatAllocation(allocation),
+        startTime: minutesToTime(segmentStart),
+        endTime: minutesToTime(segmentEnd),
+        duration: treatment.duration,
+        ...(treatment.noMachineRequired ? { isOverlappable: treatment.isOverlappable } : {})
+      });
+
       segmentStart = segmentEnd;
     }
 
@@ -914,15 +1018,6 @@ async function getMultiTreatmentSlots(clinicDb, date, treatments, options = {})
     }
   }
 
-  console.log(`[planningService] Multi-treatment slots calculation:`, {
-    date,
-    treatmentsCount: treatments.length,
-    treatmentData: treatmentData.map(t => ({ title: t.title, machines: t.machines.length })),
-    totalDuration,
-    slotsFound: validSlots.length,
-    clinicHours
-  });
-
   return {
     slots: validSlots,
     totalDuration,
@@ -932,7 +1027,11 @@ async function getMultiTreatmentSlots(clinicDb, date, treatments, options = {})
       title: t.title,
       duration: t.duration,
       machinesCount: t.machines.length,
-      isOverlappable: t.isOverlappable || false
+      isOverlappable: t.isOverlappable,
+      prepBefore: t.requirements.prepBefore,
+      prepAfter: t.requirements.prepAfter,
+      requiredRoomType: t.requirements.roomType,
+      requiresAssistant: t.requirements.requiresAssistant
     })),
     debug: {
       clinicHours,
@@ -940,7 +1039,9 @@ async function getMultiTreatmentSlots(clinicDb, date, treatments, options = {})
         title: t.title,
         machinesCount: t.machines.length,
         machineNames: t.machines.map(m => m.name),
-        isOverlappable: t.isOverlappable || false
+        roomsCount: t.requirements.rooms.length,
+        assistantsCount: t.requirements.assistants.length,
+        isOverlappable: t.isOverlappable
       }))
     }
   };
@@ -965,7 +1066,7 @@ async function checkProviderConflicts(clinicDb, providerId, date, startTime, end
     LEFT JOIN patients p ON a.patient_id = p.id
     WHERE a.appointment_date = :date
       AND a.provider_id = :providerId
-      AND a.status NOT IN ('cancelled')
+      AND a.status NOT IN ('cancelled', 'no_show')
   `;
   const replacements = { date, providerId };
 
@@ -1040,7 +1141,7 @@ async function checkPatientConflicts(clinicDb, patientId, date, segments, exclud
     LEFT JOIN healthcare_providers hp ON a.provider_id = hp.id
     WHERE a.patient_id = :patientId
       AND a.appointment_date = :date
-      AND a.status NOT IN ('cancelled')
+      AND a.status NOT IN ('cancelled', 'no_show')
   `;
   const replacements = { patientId, date };
 
@@ -1089,18 +1190,189 @@ async function checkPatientConflicts(clinicDb, patientId, date, segments, exclud
   };
 }
 
+/**
+ * Check and complete the resources of a new appointment
+ * Given machine / room / assistant must be free for the occupied interval
+ * (prep buffers of the treatment included); the ones the treatment requires
+ * but the caller did not choose are allocated automatically.
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @param {Object} attributes - Appointment attributes (snake_case)
+ * @returns {Object} { resources: { machine_id, room_id, assistant_id } } or { conflict }
+ */
+async function resolveBookingResources(clinicDb, attributes) {
+  const {
+    category,
+    appointment_date: date,
+    start_time: startTime,
+    end_time: endTime,
+    service_id: serviceId
+  } = attributes;
+  const resources = {
+    machine_id: attributes.machine_id || null,
+    room_id: attributes.room_id || null,
+    assistant_id: attributes.assistant_id || null
+  };
+
+  let requirements = null;
+  if (serviceId) {
+    const ProductService = await getModel(clinicDb, 'ProductService');
+    const service = await ProductService.findByPk(serviceId);
+    if (service) {
+      requirements = await getTreatmentRequirements(clinicDb, service);
+    }
+  }
+
+  const isTreatment = category === 'treatment';
+  const checkMachine = isTreatment && (resources.machine_id || requirements?.machineRequired);
+  const checkRoom = Boolean(resources.room_id || requirements?.roomType);
+  const checkAssistant = Boolean(requirements?.requiresAssistant);
+  if (!checkMachine && !checkRoom && !checkAssistant) {
+    return { resources };
+  }
+
+  // Chosen resources are checked as they are, even outside the treatment requirements
+  let machines = requirements ? requirements.machines : [];
+  if (resources.machine_id) {
+    machines = [{ id: resources.machine_id }];
+  }
+
+  let rooms = requirements ? requirements.rooms : [];
+  if (resources.room_id) {
+    const Room = await getModel(clinicDb, 'Room');
+    const room = await Room.findByPk(resources.room_id);
+    if (!room || !room.is_active) {
+      return { conflict: { type: 'room', message: 'Room not found' } };
+    }
+    rooms = [room];
+  }
+
+  let assistants = requirements ? requirements.assistants : [];
+  if (resources.assistant_id) {
+    assistants = [{ id: resources.assistant_id }];
+  }
+
+  const window = occupiedInterval(
+    timeToMinutes(startTime),
+    timeToMinutes(endTime),
+    requirements ? requirements.prepBefore : 0,
+    requirements ? requirements.prepAfter : 0
+  );
+  const busy = await getResourceBookings(clinicDb, date, {
+    machineIds: checkMachine ? machines.map(m => m.id) : [],
+    roomIds: checkRoom ? rooms.map(r => r.id) : [],
+    assistantIds: checkAssistant ? assistants.map(a => a.id) : []
+  });
+
+  if (checkMachine) {
+    const machine = pickResource(machines, busy.machines, window);
+    if (!machine) {
+      return { conflict: { type: 'machine', message: 'Machine is not available at this time' } };
+    }
+    resources.machine_id = machine.id;
+  }
+
+  if (checkRoom) {
+    const room = pickResource(rooms, busy.rooms, window);
+    if (!room) {
+      return { conflict: { type: 'room', message: 'No room available at this time' } };
+    }
+    resources.room_id = room.id;
+  }
+
+  if (checkAssistant) {
+    const assistant = pickResource(assistants, busy.assistants, window);
+    if (!assistant) {
+      return { conflict: { type: 'assistant', message: 'No assistant available at this time' } };
+    }
+    resources.assistant_id = assistant.id;
+  }
+
+  return { resources };
+}
+
+/**
+ * Create a single appointment after checking machine and provider availability.
+ * Shared by POST /planning/appointments and bookings made outside the planning
+ * screen (waiting list offers), so every booking follows the same rules.
+ *
+ * @param {Sequelize} clinicDb - Clinic database connection
+ * @param {Object} attributes - Appointment attributes (snake_case, end_time included)
+ * @param {Object} options - { transaction, checkPatientOverlap }
+ * @returns {Object} { appointment } or { conflict: { type, message, conflicts } }
+ */
+async function bookAppointment(clinicDb, attributes, options = {}) {
+  const Appointment = await getModel(clinicDb, 'Appointment');
+  const {
+    category,
+    patient_id: patientId,
+    appointment_date: date,
+    start_time: startTime,
+    end_time: endTime,
+    provider_id: providerId
+  } = attributes;
+
+  const { resources, conflict: resourceConflict } = await resolveBookingResources(clinicDb, attributes);
+  if (resourceConflict) {
+    return { conflict: resourceConflict };
+  }
+
+  if (providerId) {
+    const providerConflict = await checkProviderConflicts(clinicDb, providerId, date, startTime, endTime);
+    // Consultation conflicts always block.
+    // Treatment conflicts only block if the NEW appointment is a consultation.
+    const shouldBlock = providerConflict.hasConsultationConflict ||
+      (category === 'consultation' && providerConflict.hasTreatmentConflict);
+    if (shouldBlock) {
+      return {
+        conflict: {
+          type: 'provider',
+          message: 'Provider is not available at this time',
+          conflicts: providerConflict.conflicts
+        }
+      };
+    }
+  }
+
+  if (options.checkPatientOverlap && patientId) {
+    const patientConflict = await checkPatientConflicts(clinicDb, patientId, date, [{ startTime, endTime }]);
+    if (patientConflict.hasConflict) {
+      return {
+        conflict: {
+          type: 'patient',
+          message: 'Patient already has an appointment at this time',
+          conflicts: patientConflict.conflicts
+        }
+      };
+    }
+  }
+
+  const appointment = await Appointment.create({
+    status: 'scheduled',
+    ...attributes,
+    ...resources
+  }, { transaction: options.transaction });
+
+  return { appointment };
+}
+
 module.exports = {
   getTreatmentSlots,
   getConsultationSlots,
   getAllSlots,
   getClinicHours,
   getClinicHoursRanges,
+  getClosedDates,
   getPractitionerAvailability,
   getMachineAvailability,
   generateTimeSlots,
   timeToMinutes,
   minutesToTime,
   getMultiTreatmentSlots,
+  getTreatmentRequirements,
+  getResourceBookings,
+  allocateResources,
   checkProviderConflicts,
-  checkPatientConflicts
+  checkPatientConflicts,
+  bookAppointment,
+  FREED_STATUSES
 };
@@ -0,0 +1,206 @@
+/**
+ * Prescription Print Service — Printable prescriptions and public verification
+ *
+ * - printPrescription(): renders the PDF of a prescription (French ordonnance,
+ *   bizone when medications are tied to the patient's ALD; Spanish receta) and
+ *   counts the print. Every print after the first one is a duplicata.
+ * - getVerificationUrl(): URL encoded in the QR code of the printed prescription
+ * - findByVerificationToken() / toPublicVerification(): what the public
+ *   endpoint discloses — number, dates, status and prescriber, never the
+ *   patient nor the medications
+ *
+ * The patient and the prescriber are printed from the snapshots taken when the
+ * prescription was written; older prescriptions without snapshot fall back on
+ * the current patient / provider / facility records.
+ */
+
+const crypto = require('crypto');
+const { getModel } = require('../base/ModelFactory');
+const pdfService = require('./pdfService');
+
+const TOKEN_PATTERN = /^[0-9a-f]{64}$/;
+
+// Statuses that can be printed: a draft can still change, a cancelled one must not circulate
+const PRINTABLE_STATUSES = ['active', 'finalized', 'printed', 'dispensed', 'expired'];
+
+/**
+ * Public verification URL of a token
+ */
+function getVerificationUrl(clinicId, token) {
+  const baseUrl = process.env.BACKEND_URL || process.env.APP_URL || 'http://localhost:3001';
+  return `${baseUrl}/api/v1/public/prescriptions/${clinicId}/${token}`;
+}
+
+/**
+ * Layout of the clinic: the facility country, else the request region
+ * @returns {'FR'|'ES'}
+ */
+function resolveCountry(facility, region) {
+  const country = String(facility?.country || region || '').toUpperCase();
+  return country === 'ES' ? 'ES' : 'FR';
+}
+
+/**
+ * Prescriber block: snapshot first, current records for what it lacks
+ * @param {object} snapshot - provider_snapshot { firstName, lastName, specialty, rpps, adeli, signature, clinic_info }
+ * @param {object|null} provider - healthcare_providers row
+ * @param {object|null} facility - medical_facilities row
+ */
+function buildPrescriber(snapshot = {}, provider = null, facility = null) {
+  const clinic = snapshot.clinic_info || snapshot.clinicInfo || {};
+  const name = [
+    snapshot.title || provider?.title,
+    snapshot.firstName || snapshot.first_name || provider?.first_name,
+    snapshot.lastName || snapshot.last_name || provider?.last_name
+  ].filter(Boolean).join(' ');
+
+  const facilityAddress = facility
+    ? { line1: facility.address_line1, line2: facility.address_line2, postalCode: facility.postal_code, city: facility.city }
+    : null;
+
+  return {
+    name,
+    specialty: snapshot.specialty || provider?.specialties?.[0] || provider?.profession || null,
+    rpps: snapshot.rpps || provider?.rpps || null,
+    adeli: snapshot.adeli || provider?.adeli || null,
+    orderNumber: snapshot.orderNumber || snapshot.order_number || provider?.order_number || null,
+    finess: clinic.finess || facility?.finess || null,
+    facilityName: clinic.name || facility?.name || null,
+    address: clinic.address || facilityAddress,
+    phone: clinic.phone || facility?.phone || null,
+    email: clinic.email || facility?.email || null,
+    signature: snapshot.signature || null
+  };
+}
+
+/**
+ * Patient block: snapshot first, current record for what it lacks
+ * @param {object} snapshot - patient_snapshot { firstName, lastName, birthDate, gender, ... }
+ * @param {object|null} patient - Patient record
+ * @param {object} vitalSigns - prescription vital_signs ({ weight })
+ */
+function buildPatient(snapshot = {}, patient = null, vitalSigns = {}) {
+  const weight = parseFloat(String(vitalSigns?.weight ?? '').replace(',', '.'));
+  return {
+    name: [
+      snapshot.firstName || snapshot.first_name || patient?.first_name,
+      snapshot.lastName || snapshot.last_name || patient?.last_name
+    ].filter(Boolean).join(' '),
+    birthDate: snapshot.birthDate || snapshot.birth_date || patient?.birth_date || null,
+    gender: snapshot.gender || patient?.gender || null,
+    idNumber: snapshot.idNumber || snapshot.id_number || patient?.id_number || null,
+    weightKg: weight > 0 ? weight : null
+  };
+}
+
+async function loadPrintRecords(clinicDb, prescription) {
+  const Patient = await getModel(clinicDb, 'Patient');
+
+  // provider_id holds the provider id, or the central user id of the prescriber
+  const [[provider], [facility], patient] = await Promise.all([
+    clinicDb.query(`
+      SELECT title, first_name, last_name, profession, specialties, rpps, adeli, order_number
+      FROM healthcare_providers
+      WHERE id = :providerId OR central_user_id = :providerId
+      LIMIT 1
+    `, { replacements: { providerId: prescription.provider_id } }).then(([rows]) => rows),
+    clinicDb.query(`
+      SELECT name, address_line1, address_line2, postal_code, city, country, phone, email, finess
+      FROM medical_facilities
+      WHERE id = :facilityId
+      LIMIT 1
+    `, { replacements: { facilityId: prescription.facility_id } }).then(([rows]) => rows),
+    Patient.findByPk(prescription.patient_id)
+  ]);
+
+  return { provider: provider || null, facility: facility || null, patient };
+}
+
+/**
+ * Render and count a print of the prescription
+ * The verification token is created at the first print; later prints are duplicata.
+ * @param {Sequelize} clinicDb
+ * @param {Model} prescription - Prescription (finalized or later)
+ * @param {object} options - { clinicId, region }
+ * @returns {Promise<{buffer: Buffer, filename: string, duplicate: boolean}>}
+ */
+async function printPrescription(clinicDb, prescription, { clinicId, region } = {}) {
+  if (!PRINTABLE_STATUSES.includes(prescription.status)) {
+    throw new Error(prescription.status === 'draft'
+      ? 'Prescription must be finalized before printing'
+      : 'Cancelled prescriptions cannot be printed');
+  }
+
+  const { provider, facility, patient } = await loadPrintRecords(clinicDb, prescription);
+  const duplicate = (prescription.print_count || 0) > 0;
+
+  if (!prescription.verification_token) {
+    prescription.verification_token = crypto.randomBytes(32).toString('hex');
+  }
+
+  const buffer = await pdfService.generatePrescriptionPDF(prescription, {
+    country: resolveCountry(facility, region),
+    prescriber: buildPrescriber(prescription.provider_snapshot || {}, provider, facility),
+    patient: buildPatient(prescription.patient_snapshot || {}, patient, prescription.vital_signs),
+    verificationUrl: getVerificationUrl(clinicId, prescription.verification_token),
+    duplicate
+  });
+
+  // Counted once the PDF exists (saves the verification token too)
+  await prescription.markPrinted();
+
+  return {
+    buffer,
+    filename: `${prescription.prescription_number}${duplicate ? '-duplicata' : ''}.pdf`,
+    duplicate
+  };
+}
+
+/**
+ * Prescription printed with a verification token
+ * @returns {Promise<Model|null>}
+ */
+async function findByVerificationToken(clinicDb, token) {
+  if (!TOKEN_PATTERN.test(token || '')) return null;
+  const Prescription = await getModel(clinicDb, 'Prescription');
+  return Prescription.findOne({ where: { verification_token: token } });
+}
+
+/**
+ * What a pharmacist scanning the QR code may learn: the prescription exists,
+ * who wrote it and when, and whether it is still valid
+ */
+function toPublicVerification(prescription, onDate = new Date()) {
+  const snapshot = prescription.provider_snapshot || {};
+  const today = new Date(onDate).toISOString().slice(0, 10);
+  const expired = prescription.status === 'expired' ||
+    Boolean(prescription.valid_until && String(prescription.valid_until).slice(0, 10) < today);
+  const valid = prescription.status !== 'cancelled' && !expired;
+
+  return {
+    valid,
+    status: prescription.status === 'cancelled' ? 'cancelled' : (expired ? 'expired' : 'valid'),
+    prescriptionNumber: prescription.prescription_number,
+    prescribedDate: prescription.prescribed_date,
+    validUntil: prescription.valid_until || null,
+    prescriber: {
+      name: [snapshot.firstName, snapshot.lastName].filter(Boolean).join(' ') || null,
+      rpps: snapshot.rpps || null,
+      orderNumber: snapshot.orderNumber || snapshot.order_number || null
+    },
+    medicationCount: (prescription.medications || []).length,
+    printCount: prescription.print_count || 0,
+    lastPrintedAt: prescription.last_printed_at || null
+  };
+}
+
+module.exports = {
+  PRINTABLE_STATUSES,
+  getVerificationUrl,
+  resolveCountry,
+  buildPrescriber,
+  buildPatient,
+  printPrescription,
+  findByVerificationToken,
+  toPublicVerification
+};
@@ -0,0 +1,488 @@
+/**
+ * Prescription Renewal Service — Chronic treatments
+ *
+ * - renewPrescription(): issues a renewal of a renewable prescription: a new,
+ *   finalized prescription linked to it (renewed_from_id) with the same
+ *   medications, valid until the end of the chronic treatment; the renewable
+ *   prescription loses one of its renewals_remaining
+ * - createRenewalRequest(): renewal asked by the patient (link of the printed
+ *   QR code) or recorded by the staff, queued for the prescriber
+ * - listRenewalRequests() / approveRenewalRequest() / rejectRenewalRequest():
+ *   the practitioner's queue; approving issues the renewal
+ * - processExpiryWarnings(): run by the job scheduler, emails each practitioner
+ *   the chronic prescriptions reaching their valid_until within
+ *   PRESCRIPTION_EXPIRY_WARNING_DAYS days (once per prescription)
+ *
+ * Refusals are returned as { rejected: { reason, message } }, not thrown.
+ * Renewals go through the safety checks again: the patient's allergies or
+ * conditions may have changed since the first prescription.
+ */
+
+const { getModel } = require('../base/ModelFactory');
+const { logger } = require('../utils/logger');
+const prescriptionSafetyService = require('./prescriptionSafetyService');
+const messageOutboxService = require('./messageOutboxService');
+const { TEMPLATE_TYPES } = require('./messagingService');
+const emailService = require('./emailService');
+
+// Prescriptions a renewal can be issued from
+const RENEWABLE_STATUSES = ['active', 'finalized', 'printed', 'dispensed'];
+
+const DEFAULT_EXPIRY_WARNING_DAYS = 14;
+
+// Chronic prescriptions warned per clinic and cycle, the remainder waits for the next cycle
+const EXPIRY_WARNING_BATCH_SIZE = 200;
+
+function parsePositiveInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : defaultValue;
+}
+
+function formatDay(value) {
+  const date = new Date(value);
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  const date = new Date(`${formatDay(day)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDay(date);
+}
+
+function rejection(reason, message) {
+  return { rejected: { reason, message } };
+}
+
+/**
+ * Why a prescription cannot be renewed (null when it can)
+ * @param {object} prescription
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{reason: string, message: string}|null}
+ */
+function getRenewalBlocker(prescription, today) {
+  if (!prescription.renewable) {
+    return { reason: 'not_renewable', message: 'Prescription is not renewable' };
+  }
+  if (!RENEWABLE_STATUSES.includes(prescription.status)) {
+    return { reason: 'invalid_status', message: `A ${prescription.status} prescription cannot be renewed` };
+  }
+  if (prescription.valid_until && formatDay(prescription.valid_until) < today) {
+    return { reason: 'expired', message: 'Prescription has expired, a new prescription is needed' };
+  }
+  if ((prescription.renewals_remaining || 0) <= 0) {
+    return { reason: 'no_renewals_left', message: 'No renewals left on this prescription' };
+  }
+  return null;
+}
+
+/**
+ * Fields of the renewal: the medications as they are on the renewable
+ * prescription today, valid until the end of the chronic treatment
+ */
+function buildRenewalData(source, { userId, today, now = new Date() }) {
+  return {
+    facility_id: source.facility_id,
+    patient_id: source.patient_id,
+    provider_id: source.provider_id,
+    medical_record_id: source.medical_record_id,
+    renewed_from_id: source.id,
+    medications: JSON.parse(JSON.stringify(source.medications || [])),
+    instructions: source.instructions,
+    additional_notes: source.additional_notes,
+    diagnosis: source.diagnosis,
+    vital_signs: source.vital_signs,
+    patient_snapshot: source.patient_snapshot,
+    provider_snapshot: source.provider_snapshot,
+    prescribed_date: today,
+    valid_until: source.valid_until,
+    renewable: false,
+    renewals_remaining: 0,
+    status: 'finalized',
+    finalized_at: now,
+    finalized_by: userId || null
+  };
+}
+
+/**
+ * Issue a renewal (caller owns the transaction)
+ * @param {Sequelize} clinicDb
+ * @param {string} prescriptionId - Renewable prescription
+ * @param {object} options - { userId, ipAddress, overrideReason, requestId, asOf }
+ * @param {Transaction} transaction
+ * @returns {Promise<object>} { renewal, prescription, warnings } or { rejected, warnings? }
+ */
+async function renewInTransaction(clinicDb, prescriptionId, options, transaction) {
+  const Prescription = await getModel(clinicDb, 'Prescription');
+  const PrescriptionRenewalRequest = await getModel(clinicDb, 'PrescriptionRenewalRequest');
+  const { userId = null, ipAddress = 'unknown', overrideReason = null, requestId = null } = options;
+  const today = formatDay(options.asOf || new Date());
+
+  // Row lock: two renewals at once must not both consume the last renewal
+  const source = await Prescription.findByPk(prescriptionId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!source) {
+    return rejection('not_found', 'Prescription not found');
+  }
+
+  const blocker = getRenewalBlocker(source, today);
+  if (blocker) {
+    return { rejected: blocker };
+  }
+
+  const safety = await prescriptionSafetyService.checkPrescription(clinicDb, {
+    patientId: source.patient_id,
+    medications: source.medications,
+    vitalSigns: source.vital_signs,
+    prescribedDate: today,
+    previous: source.medication_warnings,
+    overrideReason,
+    userId
+  });
+  if (safety.unresolved.length > 0) {
+    return {
+      ...rejection('safety_override_required', 'Blocking safety alerts need an override reason'),
+      warnings: safety.warnings
+    };
+  }
+
+  const timestamp = new Date().toISOString();
+  const renewal = await Prescription.create({
+    ...buildRenewalData(source, { userId, today }),
+    prescription_number: await Prescription.generatePrescriptionNumber(),
+    medication_warnings: safety.warnings,
+    access_log: [
+      { action: 'create', userId: userId || 'unknown', timestamp, ipAddress, renewedFrom: source.prescription_number, requestId },
+      ...(safety.overridden.length > 0
+        ? [{ action: 'safety_override', userId: userId || 'unknown', timestamp, ipAddress, reason: overrideReason, alerts: safety.overridden.map(w => w.code) }]
+        : [])
+    ]
+  }, { transaction });
+
+  source.renewals_remaining -= 1;
+  source.access_log = [...(source.access_log || []), {
+    action: 'renew',
+    userId: userId || 'unknown',
+    timestamp,
+    ipAddress,
+    renewalId: renewal.id,
+    renewalNumber: renewal.prescription_number,
+    renewalsRemaining: source.renewals_remaining
+  }];
+  await source.save({ transaction });
+
+  // A renewal issued directly answers the request waiting for this prescription
+  if (!requestId) {
+    const pending = await PrescriptionRenewalRequest.findOne({
+      where: { prescription_id: source.id, status: PrescriptionRenewalRequest.REQUEST_STATUS.PENDING },
+      transaction
+    });
+    if (pending) {
+      await pending.close(PrescriptionRenewalRequest.REQUEST_STATUS.APPROVED, { userId, renewalPrescriptionId: renewal.id }, { transaction });
+    }
+  }
+
+  logger.info(`Prescription ${source.prescription_number} renewed as ${renewal.prescription_number} (${source.renewals_remaining} renewals left)`);
+
+  return { renewal, prescription: source, warnings: safety.warnings };
+}
+
+/**
+ * Issue a renewal of a renewable prescription
+ * @param {Sequelize} clinicDb
+ * @param {string} prescriptionId
+ * @param {object} options - { userId, ipAddress, overrideReason, asOf }
+ * @returns {Promise<object>} { renewal, prescription, warnings } or { rejected, warnings? }
+ */
+async function renewPrescription(clinicDb, prescriptionId, options = {}) {
+  return clinicDb.transaction(transaction => renewInTransaction(clinicDb, prescriptionId, options, transaction));
+}
+
+// ============================================================================
+// Renewal requests
+// ============================================================================
+
+/**
+ * Queue a renewal request for the prescriber
+ * @param {Sequelize} clinicDb
+ * @param {Model} prescription - Renewable prescription
+ * @param {object} options - { source: 'patient' | 'staff', message, requestedBy, asOf }
+ * @returns {Promise<object>} { request } or { rejected }
+ */
+async function createRenewalRequest(clinicDb, prescription, options = {}) {
+  const PrescriptionRenewalRequest = await getModel(clinicDb, 'PrescriptionRenewalRequest');
+  const { REQUEST_STATUS, REQUEST_SOURCE } = PrescriptionRenewalRequest;
+
+  const blocker = getRenewalBlocker(prescription, formatDay(options.asOf || new Date()));
+  if (blocker) {
+    return { rejected: blocker };
+  }
+
+  const pending = await PrescriptionRenewalRequest.findOne({
+    where: { prescription_id: prescription.id, status: REQUEST_STATUS.PENDING }
+  });
+  if (pending) {
+    return rejection('already_requested', 'A renewal request is already waiting for this prescription');
+  }
+
+  try {
+    const request = await PrescriptionRenewalRequest.create({
+      prescription_id: prescription.id,
+      patient_id: prescription.patient_id,
+      provider_id: prescription.provider_id,
+      source: options.source || REQUEST_SOURCE.PATIENT,
+      message: options.message || null,
+      requested_by: options.requestedBy || null
+    });
+
+    logger.info(`Renewal requested for prescription ${prescription.prescription_number}`, { source: request.source });
+    return { request };
+  } catch (error) {
+    // Concurrent request caught by the unique pending index
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return rejection('already_requested', 'A renewal request is already waiting for this prescription');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Renewal requests with their prescription and patient
+ * @param {Sequelize} clinicDb
+ * @param {object} filters - { status, providerId, patientId, limit }
+ * @returns {Promise<Array>}
+ */
+async function listRenewalRequests(clinicDb, filters = {}) {
+  const conditions = ['r.status = :status'];
+  if (filters.providerId) conditions.push('r.provider_id = :providerId');
+  if (filters.patientId) conditions.push('r.patient_id = :patientId');
+
+  const [rows] = await clinicDb.query(`
+    SELECT r.id, r.prescription_id, r.patient_id, r.provider_id, r.status, r.source, r.message,
+           r.requested_by, r.reviewed_by, r.reviewed_at, r.review_note, r.renewal_prescription_id,
+           r.created_at,
+           p.prescription_number, p.prescribed_date, p.valid_until, p.renewals_remaining, p.medications,
+           pt.first_name AS patient_first_name, pt.last_name AS patient_last_name
+    FROM prescription_renewal_requests r
+    JOIN prescriptions p ON p.id = r.prescription_id
+    JOIN patients pt ON pt.id = r.patient_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY r.created_at ${filters.status === 'pending' || !filters.status ? 'ASC' : 'DESC'}
+    LIMIT :limit
+  `, {
+    replacements: {
+      status: filters.status || 'pending',
+      providerId: filters.providerId || null,
+      patientId: filters.patientId || null,
+      limit: filters.limit || 100
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Approve a pending request: the renewal is issued in the same transaction
+ * @param {Sequelize} clinicDb
+ * @param {string} requestId
+ * @param {object} options - { userId, ipAddress, overrideReason, note, asOf }
+ * @returns {Promise<object>} { request, renewal, prescription, warnings } or { rejected, warnings? }
+ */
+async function approveRenewalRequest(clinicDb, requestId, options = {}) {
+  const PrescriptionRenewalRequest = await getModel(clinicDb, 'PrescriptionRenewalRequest');
+  const { REQUEST_STATUS } = PrescriptionRenewalRequest;
+
+  return clinicDb.transaction(async (transaction) => {
+    const request = await PrescriptionRenewalRequest.findByPk(requestId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!request) {
+      return rejection('not_found', 'Renewal request not found');
+    }
+    if (request.status !== REQUEST_STATUS.PENDING) {
+      return rejection('not_pending', `Renewal request already ${request.status}`);
+    }
+
+    const result = await renewInTransaction(clinicDb, request.prescription_id, { ...options, requestId }, transaction);
+    if (result.rejected) {
+      return result;
+    }
+
+    await request.close(REQUEST_STATUS.APPROVED, {
+      userId: options.userId,
+      note: options.note,
+      renewalPrescriptionId: result.renewal.id
+    }, { transaction });
+
+    return { request, ...result };
+  });
+}
+
+/**
+ * Reject a pending request
+ * @param {Sequelize} clinicDb
+ * @param {string} requestId
+ * @param {object} options - { userId, note }
+ * @returns {Promise<object>} { request } or { rejected }
+ */
+async function rejectRenewalRequest(clinicDb, requestId, options = {}) {
+  const PrescriptionRenewalRequest = await getModel(clinicDb, 'PrescriptionRenewalRequest');
+  const { REQUEST_STATUS } = PrescriptionRenewalRequest;
+
+  const request = await PrescriptionRenewalRequest.findByPk(requestId);
+  if (!request) {
+    return rejection('not_found', 'Renewal request not found');
+  }
+  if (request.status !== REQUEST_STATUS.PENDING) {
+    return rejection('not_pending', `Renewal request already ${request.status}`);
+  }
+
+  await request.close(REQUEST_STATUS.REJECTED, { userId: options.userId, note: options.note });
+  return { request };
+}
+
+// ============================================================================
+// Scheduler: chronic prescriptions reaching their end
+// ============================================================================
+
+/**
+ * Chronic prescriptions ending within `days` days, not warned yet, with their prescriber
+ * @param {Sequelize} clinicDb
+ * @param {object} options - { days, asOf, limit }
+ * @returns {Promise<Array>}
+ */
+async function findExpiringPrescriptions(clinicDb, options = {}) {
+  const today = formatDay(options.asOf || new Date());
+
+  // provider_id holds the provider id, or the central user id of the prescriber
+  const [rows] = await clinicDb.query(`
+    SELECT p.id, p.prescription_number, p.valid_until, p.renewals_remaining, p.patient_id,
+           pt.first_name AS patient_first_name, pt.last_name AS patient_last_name,
+           hp.id AS provider_id, hp.first_name AS provider_first_name, hp.last_name AS provider_last_name,
+           hp.email AS provider_email
+    FROM prescriptions p
+    JOIN patients pt ON pt.id = p.patient_id
+    LEFT JOIN LATERAL (
+      SELECT id, first_name, last_name, email
+      FROM healthcare_providers
+      WHERE id = p.provider_id OR central_user_id = p.provider_id
+      LIMIT 1
+    ) hp ON true
+    WHERE p.renewable = true
+      AND p.expiry_warning_sent_at IS NULL
+      AND p.status IN (:statuses)
+      AND p.valid_until BETWEEN :today AND :until
+    ORDER BY p.valid_until ASC
+    LIMIT :limit
+  `, {
+    replacements: {
+      statuses: RENEWABLE_STATUSES,
+      today,
+      until: addDays(today, options.days),
+      limit: options.limit || EXPIRY_WARNING_BATCH_SIZE
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Group expiring prescriptions by prescriber
+ * @param {Array} rows - findExpiringPrescriptions() rows
+ * @returns {Array<{providerId, name, email, prescriptions: Array}>}
+ */
+function groupByPrescriber(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = row.provider_id || 'unknown';
+    if (!groups.has(key)) {
+      groups.set(key, {
+        providerId: row.provider_id || null,
+        name: [row.provider_first_name, row.provider_last_name].filter(Boolean).join(' '),
+        email: row.provider_email || null,
+        prescriptions: []
+      });
+    }
+    groups.get(key).prescriptions.push({
+      id: row.id,
+      prescriptionNumber: row.prescription_number,
+      patientName: [row.patient_first_name, row.patient_last_name].filter(Boolean).join(' '),
+      validUntil: formatDay(row.valid_until),
+      renewalsRemaining: row.renewals_remaining || 0
+    });
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Email each practitioner the chronic prescriptions ending soon
+ * Each prescription is warned once; prescriptions without a reachable
+ * prescriber are only logged.
+ * @param {Sequelize} clinicDb
+ * @param {object} context - { days, asOf }
+ * @returns {Promise<object>} { warned, practitioners, failed }
+ */
+async function processExpiryWarnings(clinicDb, context = {}) {
+  const days = context.days || parsePositiveInt(process.env.PRESCRIPTION_EXPIRY_WARNING_DAYS, DEFAULT_EXPIRY_WARNING_DAYS);
+  const summary = { warned: 0, practitioners: 0, failed: 0 };
+
+  const rows = await findExpiringPrescriptions(clinicDb, { days, asOf: context.asOf });
+  if (rows.length === 0) {
+    return summary;
+  }
+
+  // No patient: the company locale of the clinic
+  const [language, clinicInfo] = await Promise.all([
+    emailService.resolveLanguageForClinicPatient(null, clinicDb),
+    emailService.getClinicInfo(clinicDb)
+  ]);
+
+  for (const group of groupByPrescriber(rows)) {
+    try {
+      if (group.email) {
+        await messageOutboxService.enqueue(clinicDb, {
+          channel: 'email',
+          templateType: TEMPLATE_TYPES.PRESCRIPTION_EXPIRY,
+          recipient: { email: group.email, language, name: group.name },
+          data: {
+            clinicName: clinicInfo.clinicName,
+            practitionerName: group.name,
+            days,
+            count: group.prescriptions.length,
+            prescriptions: group.prescriptions.map(({ id, ...item }) => item),
+            logoUrl: clinicInfo.logoUrl
+          }
+        });
+        summary.practitioners++;
+      } else {
+        logger.warn(`Prescription expiry: no email for the prescriber of ${group.prescriptions.length} prescriptions`, {
+          providerId: group.providerId
+        });
+      }
+
+      await clinicDb.query(
+        'UPDATE prescriptions SET expiry_warning_sent_at = NOW() WHERE id IN (:ids)',
+        { replacements: { ids: group.prescriptions.map(p => p.id) } }
+      );
+      summary.warned += group.prescriptions.length;
+    } catch (error) {
+      logger.error(`Prescription expiry warning failed for provider ${group.providerId}: ${error.message}`);
+      summary.failed++;
+    }
+  }
+
+  if (summary.warned > 0 || summary.failed > 0) {
+    logger.info(`Prescription expiry: ${summary.warned} chronic prescriptions warned to ${summary.practitioners} practitioners, ${summary.failed} failed`);
+  }
+  return summary;
+}
+
+module.exports = {
+  RENEWABLE_STATUSES,
+  getRenewalBlocker,
+  buildRenewalData,
+  renewPrescription,
+  createRenewalRequest,
+  listRenewalRequests,
+  approveRenewalRequest,
+  rejectRenewalRequest,
+  findExpiringPrescriptions,
+  groupByPrescriber,
+  processExpiryWarnings
+};
@@ -0,0 +1,135 @@
+/**
+ * Dose parsing for the prescription safety checks
+ *
+ * Prescription lines are free text ("1 comprimido", "500 mg", "5 ml",
+ * "cada 8 horas", "3 fois par jour"): the amount of active ingredient per
+ * intake and the number of intakes per day are read when they can be,
+ * otherwise the dose checks are skipped for the line (null).
+ */
+
+const MASS_UNITS_MG = {
+  g: 1000,
+  gr: 1000,
+  mg: 1,
+  mcg: 0.001,
+  ug: 0.001,
+  'µg': 0.001
+};
+
+/**
+ * Read a number ("1", "1,5", "1/2", "½")
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseNumber(text) {
+  const value = String(text).trim().replace('½', '0.5').replace('¼', '0.25');
+  const fraction = value.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (fraction) {
+    return Number(fraction[2]) > 0 ? Number(fraction[1]) / Number(fraction[2]) : null;
+  }
+  const number = parseFloat(value.replace(',', '.'));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse the strength of an active ingredient ({ amount: '100', unit: 'mg/5 ml' })
+ * @param {object} ingredient - { amount, unit }
+ * @returns {{mg: number, perMl: number|null}|null} mg per unit (tablet, sachet…) or per perMl millilitres
+ */
+function parseStrength(ingredient) {
+  if (!ingredient) return null;
+  const amount = parseNumber(ingredient.amount || '');
+  const unit = String(ingredient.unit || '').toLowerCase().replace(/\s+/g, '');
+  const match = unit.match(/^(g|gr|mg|mcg|ug|µg)(?:\/(\d+(?:[.,]\d+)?)?ml)?$/);
+  if (amount === null || !match) return null;
+
+  return {
+    mg: amount * MASS_UNITS_MG[match[1]],
+    perMl: unit.includes('ml') ? (match[2] ? parseNumber(match[2]) : 1) : null
+  };
+}
+
+/**
+ * Parse the amount taken per intake ("500 mg", "2 comprimidos", "1/2", "5 ml")
+ * @param {string} dosage
+ * @returns {{value: number, unit: 'mg'|'ml'|'unit'}|null}
+ */
+function parseIntake(dosage) {
+  const text = String(dosage || '').toLowerCase().replace('½', '0.5').replace('¼', '0.25');
+  const match = text.match(/(\d+\s*\/\s*\d+|\d+(?:[.,]\d+)?)\s*(mg|mcg|µg|ug|gr?|ml)?(?![a-z])/);
+  if (!match) return null;
+
+  const value = parseNumber(match[1]);
+  if (value === null) return null;
+
+  const unit = match[2];
+  if (unit === 'ml') return { value, unit: 'ml' };
+  if (unit) return { value: value * MASS_UNITS_MG[unit], unit: 'mg' };
+  return { value, unit: 'unit' };
+}
+
+/**
+ * Number of intakes per day from a frequency ("cada 8 horas", "3 veces al día",
+ * "toutes les 12 heures", "twice daily", "1-0-1")
+ * @param {string} frequency
+ * @returns {number|null}
+ */
+function parseIntakesPerDay(frequency) {
+  const text = String(frequency || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+  if (!text.trim()) return null;
+
+  const interval = text.match(/(?:cada|every|toutes les|tous les|q)\s*(\d+(?:[.,]\d+)?)\s*(?:h\b|hr|hora|hour|heure)/);
+  if (interval) {
+    const hours = parseNumber(interval[1]);
+    return hours > 0 ? 24 / hours : null;
+  }
+
+  const perDay = text.match(/(\d+)\s*(?:x|veces|vez|times|fois|tomas|prises)?\s*(?:\/|al|a|por|par|per|each|cada)?\s*(?:dia|day|jour|j)\b/);
+  if (perDay) return Number(perDay[1]) || null;
+
+  // Morning-noon-evening notation ("1-0-1", "1-1-1-1")
+  const schedule = text.match(/^\s*(\d+(?:[.,]\d+)?(?:\s*-\s*\d+(?:[.,]\d+)?){2,3})\s*$/);
+  if (schedule) {
+    const count = schedule[1].split('-').filter(part => parseNumber(part) > 0).length;
+    return count || null;
+  }
+
+  if (/\b(twice|dos veces|deux fois|bid)\b/.test(text)) return 2;
+  if (/\b(tres veces|three times|trois fois|tid)\b/.test(text)) return 3;
+  if (/\b(cuatro veces|four times|quatre fois|qid)\b/.test(text)) return 4;
+  if (/\b(una vez|once|une fois|diario|diaria|daily|quotidien|al dia|par jour|cada dia|tous les jours|qd)\b/.test(text)) return 1;
+
+  return null;
+}
+
+/**
+ * Amount of one active ingredient per intake (mg)
+ * A mass dosage ("500 mg") only applies to single-ingredient medications.
+ * @param {object} intake - parseIntake() result
+ * @param {object} ingredient - { amount, unit }
+ * @param {number} ingredientCount - Active ingredients of the medication
+ * @returns {number|null}
+ */
+function ingredientMgPerIntake(intake, ingredient, ingredientCount) {
+  if (!intake) return null;
+  if (intake.unit === 'mg') return ingredientCount <= 1 ? intake.value : null;
+
+  const strength = parseStrength(ingredient);
+  if (!strength) return null;
+
+  if (intake.unit === 'ml') {
+    return strength.perMl ? (intake.value * strength.mg) / strength.perMl : null;
+  }
+  return strength.perMl ? null : intake.value * strength.mg;
+}
+
+module.exports = {
+  parseNumber,
+  parseStrength,
+  parseIntake,
+  parseIntakesPerDay,
+  ingredientMgPerIntake
+};
@@ -0,0 +1,435 @@
+/**
+ * Prescription safety rules
+ *
+ * Reference data of the prescription safety checks. Deliberately small: the
+ * most frequent and most dangerous situations of a general practice, not a
+ * full drug database. Matching is done on active ingredient names (Spanish,
+ * French or English, lower case without accents) and on ATC codes when the
+ * medication comes from CIMA / BDPM:
+ * - stems: the ingredient contains the stem ('amoxicil' → amoxicilina, amoxicilline)
+ * - suffixes: a word of the ingredient ends with it ('pril' → enalapril)
+ * - atc: the ATC code starts with it
+ *
+ * Condition, pregnancy and geriatric entries target either a drug class
+ * (drugClass) or specific ingredients (key, label, stems).
+ *
+ * Severities, from lowest to highest: info, moderate, high, contraindicated.
+ * Contraindicated alerts are blocking (an override reason is required).
+ */
+
+// ============================================================================
+// Drug classes
+// ============================================================================
+
+const DRUG_CLASSES = {
+  penicillins: {
+    label: 'pénicillines',
+    stems: ['penicil', 'amoxicil', 'ampicil', 'cloxacil', 'piperacil', 'flucloxacil', 'oxacil'],
+    atc: ['J01C']
+  },
+  cephalosporins: {
+    label: 'céphalosporines',
+    stems: ['cefa', 'cefu', 'cefi', 'cefo', 'cefp', 'ceft', 'cefe', 'cefd', 'cefx', 'cepha'],
+    atc: ['J01DB', 'J01DC', 'J01DD', 'J01DE', 'J01DI']
+  },
+  carbapenems: {
+    label: 'carbapénèmes',
+    stems: ['penem'],
+    atc: ['J01DH']
+  },
+  sulfonamides: {
+    label: 'sulfamides antibactériens',
+    stems: ['sulfametox', 'sulfamethox', 'sulfadiaz', 'sulfasalaz', 'cotrimox'],
+    atc: ['J01E']
+  },
+  macrolides: {
+    label: 'macrolides',
+    stems: ['romicin', 'romycin'],
+    atc: ['J01FA']
+  },
+  quinolones: {
+    label: 'fluoroquinolones',
+    stems: ['floxac'],
+    atc: ['J01M']
+  },
+  tetracyclines: {
+    label: 'tétracyclines',
+    stems: ['ciclin', 'cyclin'],
+    atc: ['J01AA']
+  },
+  nsaids: {
+    label: 'AINS',
+    stems: ['ibuprof', 'diclofenac', 'naproxen', 'ketoprof', 'dexketoprof', 'indometac', 'meloxicam',
+      'piroxicam', 'celecox', 'etoricox', 'aceclofenac', 'acetilsalicil', 'acetylsalicyl', 'aspirin'],
+    atc: ['M01A', 'N02BA']
+  },
+  opioids: {
+    label: 'opioïdes',
+    stems: ['codein', 'tramadol', 'morfin', 'morphin', 'oxicodon', 'oxycodon', 'fentanil', 'fentanyl', 'tapentadol'],
+    atc: ['N02A', 'R05DA']
+  },
+  aceInhibitors: {
+    label: 'IEC',
+    suffixes: ['pril'],
+    atc: ['C09A', 'C09B']
+  },
+  angiotensinReceptorBlockers: {
+    label: 'ARA II (sartans)',
+    suffixes: ['sartan', 'sartana'],
+    atc: ['C09C', 'C09D']
+  },
+  statins: {
+    label: 'statines',
+    stems: ['vastatin'],
+    atc: ['C10AA']
+  },
+  betaBlockers: {
+    label: 'bêtabloquants',
+    suffixes: ['olol'],
+    atc: ['C07', 'S01ED']
+  },
+  vitaminKAntagonists: {
+    label: 'antivitamines K',
+    stems: ['warfarin', 'acenocumarol', 'acenocoumarol', 'fluindion'],
+    atc: ['B01AA']
+  },
+  benzodiazepines: {
+    label: 'benzodiazépines',
+    suffixes: ['azepam', 'azolam', 'zepam'],
+    atc: ['N05BA', 'N05CD']
+  },
+  firstGenerationAntihistamines: {
+    label: 'antihistaminiques de 1re génération',
+    stems: ['hidroxicin', 'hydroxyzin', 'dexclorfeniram', 'dexchlorpheniram', 'difenhidram', 'diphenhydram', 'prometazin', 'promethazin'],
+    atc: ['R06AA', 'R06AB', 'R06AD']
+  },
+  retinoids: {
+    label: 'rétinoïdes oraux',
+    stems: ['isotretino', 'acitretin', 'alitretino'],
+    atc: ['D10BA', 'D05BB']
+  },
+  valproate: {
+    label: 'valproate',
+    stems: ['valpro'],
+    atc: ['N03AG01']
+  },
+  methotrexate: {
+    label: 'méthotrexate',
+    stems: ['metotrexat', 'methotrexat'],
+    atc: ['L01BA01', 'L04AX03']
+  },
+  misoprostol: {
+    label: 'misoprostol',
+    stems: ['misoprostol'],
+    atc: ['A02BB01']
+  },
+  metformin: {
+    label: 'metformine',
+    stems: ['metformin'],
+    atc: ['A10BA02', 'A10BD']
+  },
+  lithium: {
+    label: 'lithium',
+    stems: ['litio', 'lithium'],
+    atc: ['N05AN']
+  }
+};
+
+// ============================================================================
+// Allergies
+// ============================================================================
+
+/**
+ * Allergen classes: patient allergy keywords → drug class
+ * crossReactive: other classes raising a lower alert (cross-reactivity)
+ */
+const ALLERGY_CLASSES = {
+  penicillins: {
+    keywords: ['penicilina', 'penicilinas', 'penicilline', 'penicillines', 'penicillin', 'penicillins',
+      'betalactam', 'betalactamicos', 'betalactamines', 'beta-lactam', 'beta-lactamines', 'amoxicilina', 'amoxicilline', 'amoxicillin'],
+    crossReactive: [
+      { drugClass: 'cephalosporins', severity: 'moderate' },
+      { drugClass: 'carbapenems', severity: 'moderate' }
+    ]
+  },
+  cephalosporins: {
+    keywords: ['cefalosporina', 'cefalosporinas', 'cephalosporine', 'cephalosporines', 'cephalosporin', 'cephalosporins'],
+    crossReactive: [{ drugClass: 'penicillins', severity: 'moderate' }]
+  },
+  sulfonamides: {
+    keywords: ['sulfamida', 'sulfamidas', 'sulfamide', 'sulfamides', 'sulfonamide', 'sulfonamides', 'sulfa', 'cotrimoxazol', 'cotrimoxazole']
+  },
+  macrolides: {
+    keywords: ['macrolido', 'macrolidos', 'macrolide', 'macrolides']
+  },
+  quinolones: {
+    keywords: ['quinolona', 'quinolonas', 'quinolone', 'quinolones', 'fluoroquinolona', 'fluoroquinolone', 'fluoroquinolones']
+  },
+  tetracyclines: {
+    keywords: ['tetraciclina', 'tetraciclinas', 'tetracycline', 'tetracyclines']
+  },
+  nsaids: {
+    keywords: ['aine', 'aines', 'ains', 'nsaid', 'nsaids', 'antiinflamatorio', 'antiinflamatorios', 'anti-inflammatoire',
+      'anti-inflammatoires', 'aspirina', 'aspirine', 'aspirin', 'ibuprofeno', 'ibuprofene', 'ibuprofen']
+  },
+  opioids: {
+    keywords: ['opiaceo', 'opiaceos', 'opioide', 'opioides', 'opiace', 'opiaces', 'opioid', 'opioids', 'codeina', 'codeine', 'morfina', 'morphine']
+  }
+};
+
+// Free-text answers meaning "no known allergy"
+const NO_ALLERGY_VALUES = ['ninguna', 'ninguno', 'no', 'none', 'aucune', 'aucun', 'nkda', 'nka', 'rad', 'sin alergias', 'no conocidas', 'pas d allergie'];
+
+// ============================================================================
+// Chronic conditions
+// ============================================================================
+
+/**
+ * Conditions (patient keywords) and the drug classes to avoid with them
+ */
+const CONDITION_RULES = [
+  {
+    key: 'renal_failure',
+    label: 'insuffisance rénale',
+    keywords: ['insuficiencia renal', 'insuffisance renale', 'renal failure', 'renal insufficiency', 'enfermedad renal cronica',
+      'maladie renale chronique', 'chronic kidney disease', 'nefropatia', 'nephropathie', 'dialisis', 'dialyse', 'erc', 'irc', 'ckd'],
+    drugs: [
+      { drugClass: 'nsaids', severity: 'high', recommendation: 'Éviter les AINS ; préférer le paracétamol' },
+      { drugClass: 'metformin', severity: 'high', recommendation: 'Vérifier le DFG : contre-indiquée si < 30 ml/min' },
+      { drugClass: 'lithium', severity: 'high', recommendation: 'Adapter la dose et surveiller la lithémie' }
+    ]
+  },
+  {
+    key: 'hepatic_failure',
+    label: 'insuffisance hépatique',
+    keywords: ['insuficiencia hepatica', 'insuffisance hepatique', 'hepatic failure', 'liver failure', 'cirrosis', 'cirrhose', 'cirrhosis', 'hepatopatia', 'hepatopathie'],
+    drugs: [
+      { drugClass: 'methotrexate', severity: 'contraindicated', recommendation: 'Contre-indiqué en cas d\'atteinte hépatique' },
+      { drugClass: 'statins', severity: 'high', recommendation: 'Contre-indiquées en cas d\'atteinte hépatique évolutive' },
+      { drugClass: 'valproate', severity: 'contraindicated', recommendation: 'Contre-indiqué en cas d\'atteinte hépatique' },
+      { key: 'paracetamol', label: 'paracétamol', stems: ['paracetamol', 'acetaminophen'], severity: 'moderate', recommendation: 'Ne pas dépasser 2 g/jour' }
+    ]
+  },
+  {
+    key: 'peptic_ulcer',
+    label: 'ulcère gastroduodénal',
+    keywords: ['ulcera peptica', 'ulcera gastrica', 'ulcera duodenal', 'ulcere', 'peptic ulcer', 'ulcer', 'hemorragia digestiva', 'hemorragie digestive'],
+    drugs: [
+      { drugClass: 'nsaids', severity: 'contraindicated', recommendation: 'AINS contre-indiqués en cas d\'ulcère évolutif' }
+    ]
+  },
+  {
+    key: 'heart_failure',
+    label: 'insuffisance cardiaque',
+    keywords: ['insuficiencia cardiaca', 'insuffisance cardiaque', 'heart failure', 'cardiac failure', 'icc'],
+    drugs: [
+      { drugClass: 'nsaids', severity: 'high', recommendation: 'Les AINS aggravent la rétention hydrosodée' }
+    ]
+  },
+  {
+    key: 'asthma',
+    label: 'asthme',
+    keywords: ['asma', 'asthme', 'asthma', 'epoc', 'bpco', 'copd'],
+    drugs: [
+      { drugClass: 'betaBlockers', severity: 'high', recommendation: 'Risque de bronchospasme : préférer un bêtabloquant cardiosélectif' },
+      { drugClass: 'nsaids', severity: 'moderate', recommendation: 'Risque de bronchospasme chez l\'asthmatique sensible à l\'aspirine' }
+    ]
+  },
+  {
+    key: 'epilepsy',
+    label: 'épilepsie',
+    keywords: ['epilepsia', 'epilepsie', 'epilepsy', 'convulsiones', 'convulsions'],
+    drugs: [
+      { drugClass: 'quinolones', severity: 'moderate', recommendation: 'Abaissent le seuil épileptogène' },
+      { key: 'tramadol', label: 'tramadol', stems: ['tramadol'], severity: 'high', recommendation: 'Abaisse le seuil épileptogène' }
+    ]
+  },
+  {
+    key: 'myasthenia',
+    label: 'myasthénie',
+    keywords: ['miastenia', 'myasthenie', 'myasthenia'],
+    drugs: [
+      { drugClass: 'quinolones', severity: 'contraindicated', recommendation: 'Risque d\'aggravation de la myasthénie' },
+      { drugClass: 'macrolides', severity: 'high', recommendation: 'Risque d\'aggravation de la myasthénie' }
+    ]
+  }
+];
+
+// ============================================================================
+// Pregnancy and breastfeeding
+// ============================================================================
+
+const PREGNANCY_RULES = {
+  pregnant: [
+    { drugClass: 'retinoids', severity: 'contraindicated', recommendation: 'Tératogène : contre-indiqué pendant la grossesse' },
+    { drugClass: 'valproate', severity: 'contraindicated', recommendation: 'Tératogène : contre-indiqué sauf absence d\'alternative' },
+    { drugClass: 'methotrexate', severity: 'contraindicated', recommendation: 'Tératogène : contre-indiqué pendant la grossesse' },
+    { drugClass: 'misoprostol', severity: 'contraindicated', recommendation: 'Contre-indiqué pendant la grossesse' },
+    { drugClass: 'vitaminKAntagonists', severity: 'contraindicated', recommendation: 'Tératogènes : relais par héparine' },
+    { drugClass: 'aceInhibitors', severity: 'contraindicated', recommendation: 'Fœtotoxiques aux 2e et 3e trimestres' },
+    { drugClass: 'angiotensinReceptorBlockers', severity: 'contraindicated', recommendation: 'Fœtotoxiques aux 2e et 3e trimestres' },
+    { drugClass: 'statins', severity: 'contraindicated', recommendation: 'À interrompre pendant la grossesse' },
+    { drugClass: 'tetracyclines', severity: 'high', recommendation: 'Coloration dentaire et atteinte osseuse fœtale après le 1er trimestre' },
+    { drugClass: 'quinolones', severity: 'high', recommendation: 'À éviter pendant la grossesse' },
+    { drugClass: 'nsaids', severity: 'high', recommendation: 'Contre-indiqués à partir de la 24e semaine ; à éviter avant' },
+    { drugClass: 'lithium', severity: 'high', recommendation: 'Surveillance spécialisée nécessaire' }
+  ],
+  breastfeeding: [
+    { drugClass: 'retinoids', severity: 'contraindicated', recommendation: 'Contre-indiqué pendant l\'allaitement' },
+    { drugClass: 'methotrexate', severity: 'contraindicated', recommendation: 'Contre-indiqué pendant l\'allaitement' },
+    { drugClass: 'lithium', severity: 'high', recommendation: 'Passe dans le lait : allaitement déconseillé' },
+    { drugClass: 'tetracyclines', severity: 'moderate', recommendation: 'Traitement court uniquement' },
+    { key: 'codeine', label: 'codéine', stems: ['codein'], severity: 'contraindicated', recommendation: 'Risque de toxicité morphinique chez le nourrisson' },
+    { key: 'tramadol', label: 'tramadol', stems: ['tramadol'], severity: 'high', recommendation: 'Passe dans le lait : dose unique uniquement' }
+  ]
+};
+
+// ============================================================================
+// Dose ranges
+// ============================================================================
+
+/**
+ * Dose ranges per active ingredient (mg)
+ * - adult: maxSingleMg / maxDailyMg
+ * - paediatric (< 18 years): mg/kg per intake and per day, capped by the adult maximum
+ * - geriatric (≥ 65 years): lower daily maximum
+ * - minAgeYears / minAgeMonths: contraindicated below this age
+ */
+const DOSE_RULES = [
+  {
+    key: 'paracetamol',
+    label: 'paracétamol',
+    stems: ['paracetamol', 'acetaminophen'],
+    atc: ['N02BE01'],
+    adult: { maxSingleMg: 1000, maxDailyMg: 4000 },
+    paediatric: { mgPerKgDose: 15, mgPerKgDay: 60 },
+    geriatric: { maxDailyMg: 3000 }
+  },
+  {
+    key: 'ibuprofen',
+    label: 'ibuprofène',
+    stems: ['ibuprof'],
+    atc: ['M01AE01'],
+    minAgeMonths: 3,
+    adult: { maxSingleMg: 800, maxDailyMg: 2400 },
+    paediatric: { mgPerKgDose: 10, mgPerKgDay: 30 },
+    geriatric: { maxDailyMg: 1200 }
+  },
+  {
+    key: 'acetylsalicylic_acid',
+    label: 'acide acétylsalicylique',
+    stems: ['acetilsalicil', 'acetylsalicyl', 'aspirin'],
+    atc: ['N02BA01', 'B01AC06'],
+    minAgeYears: 16,
+    minAgeRecommendation: 'Risque de syndrome de Reye avant 16 ans',
+    adult: { maxSingleMg: 1000, maxDailyMg: 4000 },
+    geriatric: { maxDailyMg: 3000 }
+  },
+  {
+    key: 'metamizole',
+    label: 'métamizole',
+    stems: ['metamizol'],
+    atc: ['N02BB02'],
+    minAgeMonths: 3,
+    adult: { maxSingleMg: 2000, maxDailyMg: 6000 },
+    paediatric: { mgPerKgDose: 15, mgPerKgDay: 60 }
+  },
+  {
+    key: 'diclofenac',
+    label: 'diclofénac',
+    stems: ['diclofenac'],
+    atc: ['M01AB05'],
+    minAgeYears: 14,
+    adult: { maxSingleMg: 75, maxDailyMg: 150 },
+    geriatric: { maxDailyMg: 100 }
+  },
+  {
+    key: 'naproxen',
+    label: 'naproxène',
+    stems: ['naproxen'],
+    atc: ['M01AE02'],
+    adult: { maxSingleMg: 550, maxDailyMg: 1100 },
+    paediatric: { mgPerKgDose: 5, mgPerKgDay: 10 },
+    geriatric: { maxDailyMg: 550 }
+  },
+  {
+    key: 'amoxicillin',
+    label: 'amoxicilline',
+    stems: ['amoxicil'],
+    atc: ['J01CA04', 'J01CR02'],
+    adult: { maxSingleMg: 3000, maxDailyMg: 6000 },
+    paediatric: { mgPerKgDose: 50, mgPerKgDay: 100 }
+  },
+  {
+    key: 'codeine',
+    label: 'codéine',
+    stems: ['codein'],
+    atc: ['R05DA04', 'N02AJ06'],
+    minAgeYears: 12,
+    minAgeRecommendation: 'Risque de dépression respiratoire avant 12 ans',
+    adult: { maxSingleMg: 60, maxDailyMg: 240 }
+  },
+  {
+    key: 'tramadol',
+    label: 'tramadol',
+    stems: ['tramadol'],
+    atc: ['N02AX02', 'N02AJ13'],
+    minAgeYears: 12,
+    adult: { maxSingleMg: 100, maxDailyMg: 400 },
+    geriatric: { maxDailyMg: 300 }
+  },
+  {
+    key: 'metformin',
+    label: 'metformine',
+    stems: ['metformin'],
+    atc: ['A10BA02'],
+    minAgeYears: 10,
+    adult: { maxSingleMg: 1000, maxDailyMg: 3000 },
+    geriatric: { maxDailyMg: 2000 }
+  },
+  {
+    key: 'diazepam',
+    label: 'diazépam',
+    stems: ['diazepam'],
+    atc: ['N05BA01'],
+    adult: { maxSingleMg: 10, maxDailyMg: 40 },
+    geriatric: { maxDailyMg: 15 }
+  },
+  {
+    key: 'lorazepam',
+    label: 'lorazépam',
+    stems: ['lorazepam'],
+    atc: ['N05BA06'],
+    adult: { maxSingleMg: 4, maxDailyMg: 10 },
+    geriatric: { maxDailyMg: 3 }
+  }
+];
+
+/**
+ * Drug classes to avoid in elderly patients (Beers criteria, STOPP)
+ */
+const GERIATRIC_CAUTIONS = [
+  { drugClass: 'benzodiazepines', severity: 'moderate', recommendation: 'Risque de chute et de confusion : préférer une courte durée et une faible dose' },
+  { drugClass: 'firstGenerationAntihistamines', severity: 'moderate', recommendation: 'Effets anticholinergiques : préférer un antihistaminique de 2e génération' },
+  { drugClass: 'nsaids', severity: 'moderate', recommendation: 'Risque digestif et rénal : durée la plus courte possible, associer un IPP' }
+];
+
+// Ages (years)
+const PAEDIATRIC_AGE_LIMIT = 18;
+const GERIATRIC_AGE = 65;
+
+// A dose exceeding the maximum by this factor becomes blocking
+const BLOCKING_OVERDOSE_RATIO = 2;
+
+module.exports = {
+  DRUG_CLASSES,
+  ALLERGY_CLASSES,
+  NO_ALLERGY_VALUES,
+  CONDITION_RULES,
+  PREGNANCY_RULES,
+  DOSE_RULES,
+  GERIATRIC_CAUTIONS,
+  PAEDIATRIC_AGE_LIMIT,
+  GERIATRIC_AGE,
+  BLOCKING_OVERDOSE_RATIO
+};
@@ -0,0 +1,527 @@
+/**
+ * Prescription Safety Service
+ *
+ * Cross-checks the medications of a prescription against the patient:
+ * - allergies (same active ingredient, same drug class, cross-reactivity)
+ * - age: minimum age, paediatric (mg/kg) and geriatric dose ranges
+ * - chronic conditions the medication is contraindicated with
+ * - pregnancy and breastfeeding
+ *
+ * Alerts are graded (info, moderate, high, contraindicated); contraindicated
+ * alerts are blocking: the prescription is only saved / finalized with an
+ * override reason, kept on the alert in prescriptions.medication_warnings.
+ * The reference data lives in ./prescriptionSafety/rules.js.
+ */
+
+const { getModel } = require('../base/ModelFactory');
+const {
+  DRUG_CLASSES,
+  ALLERGY_CLASSES,
+  NO_ALLERGY_VALUES,
+  CONDITION_RULES,
+  PREGNANCY_RULES,
+  DOSE_RULES,
+  GERIATRIC_CAUTIONS,
+  PAEDIATRIC_AGE_LIMIT,
+  GERIATRIC_AGE,
+  BLOCKING_OVERDOSE_RATIO
+} = require('./prescriptionSafety/rules');
+const { parseIntake, parseIntakesPerDay, ingredientMgPerIntake } = require('./prescriptionSafety/dosage');
+
+const SEVERITIES = ['info', 'moderate', 'high', 'contraindicated'];
+
+const PREGNANCY_LABELS = {
+  pregnant: 'grossesse',
+  breastfeeding: 'allaitement'
+};
+
+// ============================================================================
+// Text matching
+// ============================================================================
+
+/**
+ * Lower case, without accents nor punctuation
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whole-word (or whole-phrase) match of a keyword in a normalized text
+ */
+function containsKeyword(text, keyword) {
+  const normalized = normalizeText(keyword);
+  return normalized.length > 0 && ` ${text} `.includes(` ${normalized} `);
+}
+
+/**
+ * Does an ingredient (or the ATC code of its medication) match a class / rule entry?
+ * @param {object} entry - { stems, suffixes, atc }
+ * @param {string} ingredient - Normalized ingredient name
+ * @param {string} atcCode
+ * @returns {boolean}
+ */
+function matchesEntry(entry, ingredient, atcCode) {
+  if (atcCode && (entry.atc || []).some(prefix => atcCode.startsWith(prefix))) return true;
+  if ((entry.stems || []).some(stem => ingredient.includes(stem))) return true;
+  const words = ingredient.split(' ');
+  return (entry.suffixes || []).some(suffix => words.some(word => word.length > suffix.length && word.endsWith(suffix)));
+}
+
+/**
+ * Active ingredients of a prescription line
+ * Without structured ingredients (free-text medication), the medication name is used.
+ * @param {object} item - Prescription medication
+ * @returns {Array<{name: string, normalized: string, amount?: string, unit?: string}>}
+ */
+function getIngredients(item) {
+  const ingredients = (item.activeIngredients || []).filter(i => i && i.name);
+  if (ingredients.length > 0) {
+    return ingredients.map(i => ({ ...i, normalized: normalizeText(i.name) }));
+  }
+  return [{ name: item.medication, normalized: normalizeText(item.medication) }];
+}
+
+/**
+ * First ingredient of a line matching a class / rule entry
+ * @returns {object|null} Matching ingredient
+ */
+function findMatchingIngredient(entry, item, ingredients) {
+  const atcCode = String(item.atcCode || '').toUpperCase();
+  return ingredients.find(ingredient => matchesEntry(entry, ingredient.normalized, atcCode)) || null;
+}
+
+/**
+ * Resolve a rule entry target: a drug class ({ drugClass }) or ingredients ({ key, label, stems })
+ */
+function resolveTarget(entry) {
+  if (entry.drugClass) {
+    return { key: entry.drugClass, ...DRUG_CLASSES[entry.drugClass] };
+  }
+  return entry;
+}
+
+function medicationKey(item) {
+  return item.nregistro || item.customMedicationId || normalizeText(item.medication).replace(/ /g, '_');
+}
+
+function buildAlert(type, severity, code, item, warning, recommendation, details = {}) {
+  return {
+    code,
+    type,
+    severity,
+    blocking: severity === 'contraindicated',
+    medications: [item.medication],
+    warning,
+    recommendation: recommendation || null,
+    details
+  };
+}
+
+// ============================================================================
+// Patient profile
+// ============================================================================
+
+/**
+ * Split a free-text list ("Penicilina, polen; AINE")
+ */
+function splitList(text) {
+  return String(text || '')
+    .split(/[,;\n]+/)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Allergen name without the "allergic to" wording
+ */
+function cleanAllergen(text) {
+  return normalizeText(text)
+    .replace(/^(alergia|alergico|alergica|allergie|allergique|allergy|allergic)( a| al| aux| au| to)?( la| las| los| el| les| le)? /, '')
+    .trim();
+}
+
+/**
+ * Age in full years and months on a date
+ */
+function computeAge(birthDate, onDate) {
+  if (!birthDate) return { years: null, months: null };
+  const birth = new Date(birthDate);
+  const day = onDate ? new Date(onDate) : new Date();
+  if (Number.isNaN(birth.getTime()) || Number.isNaN(day.getTime())) return { years: null, months: null };
+
+  let months = (day.getFullYear() - birth.getFullYear()) * 12 + (day.getMonth() - birth.getMonth());
+  if (day.getDate() < birth.getDate()) months--;
+  months = Math.max(0, months);
+  return { years: Math.floor(months / 12), months };
+}
+
+function parseWeight(value) {
+  const weight = parseFloat(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(weight) && weight > 0 ? weight : null;
+}
+
+/**
+ * Build the safety profile of a patient
+ * Allergies and chronic conditions come from the patient file (free text)
+ * and from the medical records (structured); the weight from the
+ * prescription vital signs, else the latest medical record.
+ * @param {object} params
+ * @param {object} params.patient - { birth_date, gender, allergies, chronic_conditions, pregnancy_status }
+ * @param {Array<object>} params.medicalRecords - Most recent first ({ allergies, chronic_conditions, vital_signs })
+ * @param {object} params.vitalSigns - Vital signs of the prescription
+ * @param {Date|string} params.onDate - Prescription date (age)
+ * @returns {object} Safety profile
+ */
+function buildSafetyProfile({ patient = {}, medicalRecords = [], vitalSigns = {}, onDate } = {}) {
+  const allergies = [];
+  const addAllergy = (label, severity = null) => {
+    const text = cleanAllergen(label);
+    if (!text || NO_ALLERGY_VALUES.includes(text) || allergies.some(a => a.text === text)) return;
+    allergies.push({ label: String(label).trim(), text, severity });
+  };
+
+  const conditions = [];
+  const addCondition = (label) => {
+    const text = normalizeText(label);
+    if (!text || conditions.some(c => c.text === text)) return;
+    conditions.push({ label: String(label).trim(), text });
+  };
+
+  splitList(patient.allergies).forEach(label => addAllergy(label));
+  splitList(patient.chronic_conditions).forEach(addCondition);
+
+  let recordWeight = null;
+  for (const record of medicalRecords) {
+    (record.allergies || []).forEach(a => a && a.allergen && addAllergy(a.allergen, a.severity || null));
+    (record.chronic_conditions || [])
+      .filter(c => c && c.condition && c.status !== 'resolved')
+      .forEach(c => addCondition(c.condition));
+    if (recordWeight === null) recordWeight = parseWeight(record.vital_signs?.weight);
+  }
+
+  const age = computeAge(patient.birth_date, onDate);
+  const pregnancyStatus = patient.gender !== 'M' && PREGNANCY_LABELS[patient.pregnancy_status]
+    ? patient.pregnancy_status
+    : null;
+
+  return {
+    ageYears: age.years,
+    ageMonths: age.months,
+    weightKg: parseWeight(vitalSigns?.weight) ?? recordWeight,
+    pregnancyStatus,
+    allergies,
+    conditions
+  };
+}
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+function checkAllergies(item, ingredients, profile) {
+  const alerts = [];
+  const key = medicationKey(item);
+  const medicationName = normalizeText(item.medication);
+
+  for (const allergy of profile.allergies) {
+    // Same active ingredient (or the allergen is the medication brand)
+    const direct = ingredients.find(i =>
+      allergy.text.length >= 4 && (i.normalized.includes(allergy.text) || containsKeyword(allergy.text, i.normalized))
+    ) || (allergy.text.length >= 4 && containsKeyword(medicationName, allergy.text) ? { name: item.medication, normalized: medicationName } : null);
+
+    if (direct) {
+      alerts.push(buildAlert('allergy', 'contraindicated', `allergy:direct:${allergy.text.replace(/ /g, '_')}:${key}`, item,
+        `Allergie connue (${allergy.label}) : ${item.medication} contient ${direct.name}`,
+        'Choisir une autre molécule',
+        { allergen: allergy.label, ingredient: direct.name }));
+      continue;
+    }
+
+    for (const [classKey, allergyClass] of Object.entries(ALLERGY_CLASSES)) {
+      if (!allergyClass.keywords.some(keyword => containsKeyword(allergy.text, keyword))) continue;
+
+      const drugClass = DRUG_CLASSES[classKey];
+      const ingredient = findMatchingIngredient(drugClass, item, ingredients);
+      if (ingredient) {
+        alerts.push(buildAlert('allergy', 'contraindicated', `allergy:${classKey}:${key}`, item,
+          `Allergie aux ${drugClass.label} (${allergy.label}) : ${item.medication} contient ${ingredient.name}`,
+          'Choisir une molécule d\'une autre classe',
+          { allergen: allergy.label, drugClass: classKey, ingredient: ingredient.name }));
+        continue;
+      }
+
+      for (const cross of allergyClass.crossReactive || []) {
+        const crossClass = DRUG_CLASSES[cross.drugClass];
+        const crossIngredient = findMatchingIngredient(crossClass, item, ingredients);
+        if (crossIngredient) {
+          alerts.push(buildAlert('allergy', cross.severity, `allergy:${classKey}:${cross.drugClass}:${key}`, item,
+            `Risque d'allergie croisée : ${item.medication} (${crossClass.label}) chez un patient allergique aux ${drugClass.label} (${allergy.label})`,
+            'Prescrire sous surveillance ou choisir une autre classe',
+            { allergen: allergy.label, drugClass: cross.drugClass, ingredient: crossIngredient.name }));
+        }
+      }
+    }
+  }
+
+  return alerts;
+}
+
+function checkConditions(item, ingredients, profile) {
+  const alerts = [];
+  const key = medicationKey(item);
+
+  for (const rule of CONDITION_RULES) {
+    const condition = profile.conditions.find(c => rule.keywords.some(keyword => containsKeyword(c.text, keyword)));
+    if (!condition) continue;
+
+    for (const entry of rule.drugs) {
+      const target = resolveTarget(entry);
+      const ingredient = findMatchingIngredient(target, item, ingredients);
+      if (!ingredient) continue;
+
+      alerts.push(buildAlert('condition', entry.severity, `condition:${rule.key}:${target.key}:${key}`, item,
+        `${item.medication} (${target.label}) chez un patient présentant : ${rule.label} (${condition.label})`,
+        entry.recommendation,
+        { condition: condition.label, ingredient: ingredient.name }));
+    }
+  }
+
+  return alerts;
+}
+
+function checkPregnancy(item, ingredients, profile) {
+  const status = profile.pregnancyStatus;
+  if (!status) return [];
+
+  const alerts = [];
+  const key = medicationKey(item);
+
+  for (const entry of PREGNANCY_RULES[status] || []) {
+    const target = resolveTarget(entry);
+    const ingredient = findMatchingIngredient(target, item, ingredients);
+    if (!ingredient) continue;
+
+    alerts.push(buildAlert(status === 'pregnant' ? 'pregnancy' : 'breastfeeding', entry.severity,
+      `${status}:${target.key}:${key}`, item,
+      `${item.medication} (${target.label}) : ${PREGNANCY_LABELS[status]} en cours`,
+      entry.recommendation,
+      { ingredient: ingredient.name }));
+  }
+
+  return alerts;
+}
+
+/**
+ * Dose limits for the patient age / weight
+ * @returns {{maxSingleMg: number|null, maxDailyMg: number|null, context: string}|null}
+ */
+function getDoseLimits(rule, profile) {
+  const adult = rule.adult || {};
+
+  if (profile.ageYears !== null && profile.ageYears < PAEDIATRIC_AGE_LIMIT && rule.paediatric) {
+    if (!profile.weightKg) return null;
+    const cap = (value, max) => (max ? Math.min(value, max) : value);
+    return {
+      maxSingleMg: cap(rule.paediatric.mgPerKgDose * profile.weightKg, adult.maxSingleMg),
+      maxDailyMg: cap(rule.paediatric.mgPerKgDay * profile.weightKg, adult.maxDailyMg),
+      context: `enfant de ${profile.weightKg} kg`
+    };
+  }
+
+  if (profile.ageYears !== null && profile.ageYears >= GERIATRIC_AGE && rule.geriatric) {
+    return {
+      maxSingleMg: adult.maxSingleMg || null,
+      maxDailyMg: rule.geriatric.maxDailyMg,
+      context: `patient de ${GERIATRIC_AGE} ans ou plus`
+    };
+  }
+
+  return { maxSingleMg: adult.maxSingleMg || null, maxDailyMg: adult.maxDailyMg || null, context: 'adulte' };
+}
+
+function checkAgeAndDoses(item, ingredients, profile) {
+  const alerts = [];
+  const key = medicationKey(item);
+  const intake = parseIntake(item.dosage);
+  const intakesPerDay = parseIntakesPerDay(item.frequency);
+
+  for (const rule of DOSE_RULES) {
+    const ingredient = findMatchingIngredient(rule, item, ingredients);
+    if (!ingredient) continue;
+
+    // Minimum age
+    const minMonths = rule.minAgeYears ? rule.minAgeYears * 12 : rule.minAgeMonths;
+    if (minMonths && profile.ageMonths !== null && profile.ageMonths < minMonths) {
+      const minLabel = rule.minAgeYears ? `${rule.minAgeYears} ans` : `${rule.minAgeMonths} mois`;
+      alerts.push(buildAlert('age', 'contraindicated', `age:${rule.key}:min:${key}`, item,
+        `${rule.label} : contre-indiqué avant ${minLabel}`,
+        rule.minAgeRecommendation || 'Choisir une alternative adaptée à l\'âge',
+        { ingredient: ingredient.name, minAgeMonths: minMonths, ageMonths: profile.ageMonths }));
+      continue;
+    }
+
+    const isChild = profile.ageYears !== null && profile.ageYears < PAEDIATRIC_AGE_LIMIT;
+    if (isChild && rule.paediatric && !profile.weightKg) {
+      alerts.push(buildAlert('dose', 'info', `dose:${rule.key}:weight:${key}`, item,
+        `Poids de l'enfant non renseigné : dose de ${rule.label} non vérifiée`,
+        'Renseigner le poids dans les constantes',
+        { ingredient: ingredient.name }));
+      continue;
+    }
+
+    const limits = getDoseLimits(rule, profile);
+    const mgPerIntake = ingredientMgPerIntake(intake, ingredient, ingredients.length);
+    if (!limits || mgPerIntake === null) continue;
+
+    const round = (value) => Math.round(value * 10) / 10;
+    const doses = [
+      { scope: 'single', label: 'par prise', value: mgPerIntake, max: limits.maxSingleMg },
+      { scope: 'daily', label: 'journalière', value: intakesPerDay ? mgPerIntake * intakesPerDay : null, max: limits.maxDailyMg }
+    ];
+
+    for (const dose of doses) {
+      if (dose.value === null || !dose.max || dose.value <= dose.max + 0.01) continue;
+
+      const severity = dose.value >= dose.max * BLOCKING_OVERDOSE_RATIO ? 'contraindicated' : 'high';
+      alerts.push(buildAlert('dose', severity, `dose:${rule.key}:${dose.scope}:${key}`, item,
+        `Dose ${dose.label} de ${rule.label} trop élevée : ${round(dose.value)} mg pour un maximum de ${round(dose.max)} mg (${limits.context})`,
+        'Vérifier la posologie',
+        { ingredient: ingredient.name, doseMg: round(dose.value), maxMg: round(dose.max), scope: dose.scope }));
+    }
+  }
+
+  if (profile.ageYears !== null && profile.ageYears >= GERIATRIC_AGE) {
+    for (const entry of GERIATRIC_CAUTIONS) {
+      const target = resolveTarget(entry);
+      const ingredient = findMatchingIngredient(target, item, ingredients);
+      if (!ingredient) continue;
+
+      alerts.push(buildAlert('age', entry.severity, `geriatric:${target.key}:${key}`, item,
+        `${item.medication} (${target.label}) chez un patient de ${profile.ageYears} ans`,
+        entry.recommendation,
+        { ingredient: ingredient.name }));
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Evaluate the medications of a prescription against a safety profile
+ * @param {Array<object>} medications - Prescription lines ({ medication, dosage, frequency, activeIngredients, atcCode })
+ * @param {object} profile - buildSafetyProfile() result
+ * @returns {Array<object>} Alerts, most severe first
+ */
+function evaluatePrescription(medications, profile) {
+  const alerts = [];
+
+  for (const item of medications || []) {
+    if (!item || !item.medication) continue;
+    const ingredients = getIngredients(item);
+
+    alerts.push(
+      ...checkAllergies(item, ingredients, profile),
+      ...checkConditions(item, ingredients, profile),
+      ...checkPregnancy(item, ingredients, profile),
+      ...checkAgeAndDoses(item, ingredients, profile)
+    );
+  }
+
+  // One alert per code (e.g. the same allergy listed in two records)
+  const unique = [...new Map(alerts.map(alert => [alert.code, alert])).values()];
+  return unique.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+}
+
+/**
+ * Apply the override reason to blocking alerts
+ * Overrides already given for the same alert (when the prescription was
+ * created) are kept, so finalizing does not ask for them again.
+ * @param {Array<object>} alerts - evaluatePrescription() result
+ * @param {object} options - { previous: stored medication_warnings, reason, userId, at }
+ * @returns {{warnings: Array<object>, unresolved: Array<object>, overridden: Array<object>}}
+ */
+function resolveOverrides(alerts, { previous = [], reason = null, userId = null, at = new Date() } = {}) {
+  const previousOverrides = new Map((previous || []).filter(w => w && w.override).map(w => [w.code, w.override]));
+  const trimmedReason = reason ? String(reason).trim() : '';
+  const overridden = [];
+
+  const warnings = alerts.map(alert => {
+    if (!alert.blocking) return alert;
+
+    const kept = previousOverrides.get(alert.code);
+    if (kept) return { ...alert, override: kept };
+
+    if (trimmedReason) {
+      const result = { ...alert, override: { reason: trimmedReason, userId, at: at.toISOString() } };
+      overridden.push(result);
+      return result;
+    }
+    return alert;
+  });
+
+  return {
+    warnings,
+    unresolved: warnings.filter(w => w.blocking && !w.override),
+    overridden
+  };
+}
+
+/**
+ * Load the safety profile of a patient from the clinic database
+ * @param {Sequelize} clinicDb
+ * @param {string} patientId
+ * @param {object} options - { vitalSigns, onDate }
+ * @returns {Promise<object>} Safety profile (empty when the patient is unknown)
+ */
+async function loadSafetyProfile(clinicDb, patientId, { vitalSigns, onDate } = {}) {
+  const Patient = await getModel(clinicDb, 'Patient');
+  const MedicalRecord = await getModel(clinicDb, 'MedicalRecord');
+
+  const patient = await Patient.findByPk(patientId, {
+    attributes: ['id', 'birth_date', 'gender', 'allergies', 'chronic_conditions', 'pregnancy_status']
+  });
+  const medicalRecords = patient
+    ? await MedicalRecord.findAll({
+      where: { patient_id: patientId, archived: false },
+      attributes: ['id', 'allergies', 'chronic_conditions', 'vital_signs', 'created_at'],
+      order: [['created_at', 'DESC']]
+    })
+    : [];
+
+  return buildSafetyProfile({
+    patient: patient ? patient.get({ plain: true }) : {},
+    medicalRecords: medicalRecords.map(record => record.get({ plain: true })),
+    vitalSigns,
+    onDate
+  });
+}
+
+/**
+ * Run the safety checks of a prescription
+ * @param {Sequelize} clinicDb
+ * @param {object} params - { patientId, medications, vitalSigns, prescribedDate, previous, overrideReason, userId }
+ * @returns {Promise<{warnings: Array, unresolved: Array, overridden: Array}>}
+ */
+async function checkPrescription(clinicDb, { patientId, medications, vitalSigns, prescribedDate, previous, overrideReason, userId }) {
+  const profile = await loadSafetyProfile(clinicDb, patientId, { vitalSigns, onDate: prescribedDate });
+  const alerts = evaluatePrescription(medications, profile);
+  return resolveOverrides(alerts, { previous, reason: overrideReason, userId });
+}
+
+module.exports = {
+  SEVERITIES,
+  normalizeText,
+  buildSafetyProfile,
+  evaluatePrescription,
+  resolveOverrides,
+  loadSafetyProfile,
+  checkPrescription
+};
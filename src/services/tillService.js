@@ -0,0 +1,404 @@
+/**
+ * Till Service — Front desk cash register sessions
+ *
+ * - openSession(): open a session on a register with a cash float
+ * - recordPayment() / voidPayment(): payments taken at the desk go through
+ *   the document payment ledger (documentService) with the session attached
+ * - closeSession(): compare the counted amounts with the expected amounts per
+ *   payment method, store the discrepancies and freeze the session
+ * - generateZReport(): PDF of a closed session (pdfService)
+ *
+ * Expected amounts come from the non-voided ledger rows of the session:
+ * payments - refunds per method, plus the opening float for cash.
+ * Every step is written to the audit trail (auditService).
+ */
+
+const { Op } = require('sequelize');
+const { getModel } = require('../base/ModelFactory');
+const { logger } = require('../utils/logger');
+const { round2 } = require('../utils/money');
+const documentService = require('./documentService');
+const pdfService = require('./pdfService');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('./auditService');
+const { PAYMENT_METHODS } = require('../models/clinic/DocumentPayment');
+
+// ============================================================================
+// Totals
+// ============================================================================
+
+/**
+ * Expected amounts of a session per payment method
+ * @param {number|string} openingFloat - Cash in the drawer at opening
+ * @param {Array} payments - Ledger rows { payment_type, payment_method, amount, voided_at }
+ * @returns {Object} - { byMethod: { [method]: { payments, refunds, net, count, expected } },
+ *   totalExpected, voided: { count, amount } }
+ */
+function summarizeSession(openingFloat, payments) {
+  const byMethod = {};
+  for (const method of PAYMENT_METHODS) {
+    byMethod[method] = { payments: 0, refunds: 0, net: 0, count: 0, expected: 0 };
+  }
+
+  const voided = { count: 0, amount: 0 };
+
+  for (const payment of payments) {
+    const amount = parseFloat(payment.amount) || 0;
+    if (payment.voided_at) {
+      voided.count += 1;
+      voided.amount = round2(voided.amount + amount);
+      continue;
+    }
+
+    const line = byMethod[payment.payment_method] || byMethod.other;
+    line.count += 1;
+    if (payment.payment_type === 'refund') {
+      line.refunds = round2(line.refunds + amount);
+    } else {
+      line.payments = round2(line.payments + amount);
+    }
+  }
+
+  let totalExpected = 0;
+  for (const method of PAYMENT_METHODS) {
+    const line = byMethod[method];
+    line.net = round2(line.payments - line.refunds);
+    line.expected = method === 'cash' ? round2(line.net + (parseFloat(openingFloat) || 0)) : line.net;
+    totalExpected = round2(totalExpected + line.expected);
+  }
+
+  return { byMethod, totalExpected, voided };
+}
+
+/**
+ * Compare counted amounts with the expected ones.
+ * Cash must always be counted, other methods whenever money was expected.
+ *
+ * @param {Object} byMethod - summarizeSession().byMethod
+ * @param {Object} counted - { [method]: amount }
+ * @returns {Object} - { counted, discrepancies, totalCounted, totalDiscrepancy, missing }
+ */
+function reconcile(byMethod, counted) {
+  const countedAmounts = {};
+  const discrepancies = {};
+  const missing = [];
+  let totalCounted = 0;
+  let totalExpected = 0;
+
+  for (const method of PAYMENT_METHODS) {
+    const expected = byMethod[method].expected;
+    const value = counted[method];
+    const required = method === 'cash' || expected !== 0 || byMethod[method].count > 0;
+
+    if (value === undefined || value === null) {
+      if (required) missing.push(method);
+      continue;
+    }
+
+    const amount = round2(parseFloat(value));
+    countedAmounts[method] = amount;
+    discrepancies[method] = round2(amount - expected);
+    totalCounted = round2(totalCounted + amount);
+    totalExpected = round2(totalExpected + expected);
+  }
+
+  return {
+    counted: countedAmounts,
+    discrepancies,
+    totalCounted,
+    totalDiscrepancy: round2(totalCounted - totalExpected),
+    missing
+  };
+}
+
+// ============================================================================
+// Audit
+// ============================================================================
+
+/**
+ * Write a till event to the audit trail
+ * @param {Object} actor - { userId, companyId, ip, userAgent }
+ */
+async function audit(actor, eventType, session, action, changes = null) {
+  if (!actor) return;
+  await auditService.logAudit({
+    userId: actor.userId,
+    companyId: actor.companyId,
+    eventType,
+    resourceType: 'TillSession',
+    resourceId: session.id,
+    action,
+    changes,
+    ip: actor.ip,
+    userAgent: actor.userAgent
+  });
+}
+
+// ============================================================================
+// Sessions
+// ============================================================================
+
+async function loadSession(clinicDb, facilityId, sessionId, options = {}) {
+  const TillSession = await getModel(clinicDb, 'TillSession');
+  const session = await TillSession.findOne({
+    where: { id: sessionId, facility_id: facilityId },
+    ...options
+  });
+  if (!session) throw new Error('Till session not found');
+  return session;
+}
+
+/**
+ * List sessions (newest first)
+ * @param {Object} filters - { status, registerName, dateFrom, dateTo, page, limit }
+ */
+async function listSessions(clinicDb, facilityId, filters = {}) {
+  const TillSession = await getModel(clinicDb, 'TillSession');
+
+  const where = { facility_id: facilityId };
+  if (filters.status) where.status = filters.status;
+  if (filters.registerName) where.register_name = filters.registerName;
+  if (filters.dateFrom || filters.dateTo) {
+    where.opened_at = {};
+    if (filters.dateFrom) where.opened_at[Op.gte] = new Date(filters.dateFrom);
+    if (filters.dateTo) where.opened_at[Op.lte] = new Date(`${filters.dateTo}T23:59:59.999`);
+  }
+
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+
+  const { count, rows } = await TillSession.findAndCountAll({
+    where,
+    order: [['session_number', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { sessions: rows, total: count, page, limit };
+}
+
+/**
+ * Open session of a register, or null
+ */
+async function getOpenSession(clinicDb, facilityId, registerName = 'main') {
+  const TillSession = await getModel(clinicDb, 'TillSession');
+  return TillSession.findOne({
+    where: { facility_id: facilityId, register_name: registerName, status: 'open' }
+  });
+}
+
+/**
+ * Open a session on a register
+ * @param {Object} data - { openingFloat, registerName, notes }
+ * @param {Object} actor - { userId, companyId, ip, userAgent }
+ */
+async function openSession(clinicDb, facilityId, data, actor) {
+  const TillSession = await getModel(clinicDb, 'TillSession');
+  const registerName = data.registerName || 'main';
+
+  const session = await clinicDb.transaction(async (t) => {
+    // Serialize openings of the facility (session number + one open session per register)
+    await clinicDb.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+      replacements: { key: `till_sessions:${facilityId}` },
+      transaction: t
+    });
+
+    const existing = await TillSession.findOne({
+      where: { facility_id: facilityId, register_name: registerName, status: 'open' },
+      transaction: t
+    });
+    if (existing) {
+      throw new Error(`A till session is already open on register "${registerName}" (#${existing.session_number})`);
+    }
+
+    const lastNumber = await TillSession.max('session_number', {
+      where: { facility_id: facilityId },
+      transaction: t
+    });
+
+    return TillSession.create({
+      facility_id: facilityId,
+      session_number: (lastNumber || 0) + 1,
+      register_name: registerName,
+      status: 'open',
+      opening_float: round2(parseFloat(data.openingFloat) || 0),
+      opened_at: new Date(),
+      opened_by: actor?.userId || null,
+      opening_notes: data.notes || null
+    }, { transaction: t });
+  });
+
+  logger.info('Till session opened', {
+    sessionId: session.id,
+    sessionNumber: session.session_number,
+    registerName,
+    openingFloat: session.opening_float
+  });
+
+  await audit(actor, AUDIT_EVENTS.TILL_SESSION_OPENED, session,
+    `Opened till session #${session.session_number}`,
+    { before: null, after: { registerName, openingFloat: session.opening_float } });
+
+  return session;
+}
+
+/**
+ * Session with its ledger rows (voided included) and the live totals
+ */
+async function getSessionDetail(clinicDb, facilityId, sessionId) {
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+  const Document = await getModel(clinicDb, 'Document');
+  const session = await loadSession(clinicDb, facilityId, sessionId);
+
+  const payments = await DocumentPayment.findAll({
+    where: { till_session_id: session.id },
+    include: [{
+      model: Document,
+      as: 'document',
+      attributes: ['id', 'document_number', 'document_type', 'buyer_name', 'total']
+    }],
+    order: [['created_at', 'ASC']]
+  });
+
+  return { session, payments, summary: summarizeSession(session.opening_float, payments) };
+}
+
+/**
+ * Record a payment (invoice) or a refund (credit note) at the desk
+ * @param {Object} data - { documentId, amount, paymentMethod, reference, payerType, payerName, notes }
+ */
+async function recordPayment(clinicDb, facilityId, sessionId, data, actor) {
+  const session = await loadSession(clinicDb, facilityId, sessionId);
+  if (!session.isOpen()) throw new Error('Cannot record a payment in a closed till session');
+
+  const { payment, document } = await documentService.addPayment(clinicDb, data.documentId, {
+    ...data,
+    paymentDate: new Date(),
+    tillSessionId: session.id
+  }, actor?.userId);
+
+  await audit(actor, AUDIT_EVENTS.TILL_PAYMENT_RECORDED, session,
+    `Recorded ${payment.payment_type} of ${payment.amount} (${payment.payment_method}) on ${document.document_number} in till session #${session.session_number}`,
+    { before: null, after: { paymentId: payment.id, documentId: document.id, amount: payment.amount, method: payment.payment_method } });
+
+  return { payment, document };
+}
+
+/**
+ * Void a payment of an open session (kept in the ledger and on the Z-report)
+ */
+async function voidPayment(clinicDb, facilityId, sessionId, paymentId, reason, actor) {
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+  const session = await loadSession(clinicDb, facilityId, sessionId);
+
+  const existing = await DocumentPayment.findOne({ where: { id: paymentId, till_session_id: session.id } });
+  if (!existing) throw new Error('Payment not found');
+
+  const { payment, document } = await documentService.voidPayment(clinicDb, existing.document_id, existing.id, {
+    reason,
+    voidedBy: actor?.userId
+  });
+
+  await audit(actor, AUDIT_EVENTS.TILL_PAYMENT_VOIDED, session,
+    `Voided ${payment.payment_type} of ${payment.amount} on ${document.document_number} in till session #${session.session_number}`,
+    { before: { voided: false }, after: { voided: true, paymentId: payment.id, reason } });
+
+  return { payment, document };
+}
+
+/**
+ * Close a session with the counted amounts
+ * @param {Object} data - { countedAmounts: { [method]: amount }, notes }
+ */
+async function closeSession(clinicDb, facilityId, sessionId, data, actor) {
+  const DocumentPayment = await getModel(clinicDb, 'DocumentPayment');
+
+  const closed = await clinicDb.transaction(async (t) => {
+    // Blocks new payments in the session until the commit (they take a share lock)
+    const session = await loadSession(clinicDb, facilityId, sessionId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!session.isOpen()) throw new Error('Till session is already closed');
+
+    const payments = await DocumentPayment.findAll({
+      where: { till_session_id: session.id },
+      attributes: ['payment_type', 'payment_method', 'amount', 'voided_at'],
+      transaction: t
+    });
+
+    const { byMethod, totalExpected, voided } = summarizeSession(session.opening_float, payments);
+    const result = reconcile(byMethod, data.countedAmounts || {});
+    if (result.missing.length > 0) {
+      throw new Error(`Counted amount is missing for: ${result.missing.join(', ')}`);
+    }
+
+    await session.update({
+      status: 'closed',
+      closed_at: new Date(),
+      closed_by: actor?.userId || null,
+      closing_notes: data.notes || null,
+      expected_amounts: { ...byMethod, voided },
+      counted_amounts: result.counted,
+      discrepancies: result.discrepancies,
+      total_expected: totalExpected,
+      total_counted: result.totalCounted,
+      total_discrepancy: result.totalDiscrepancy
+    }, { transaction: t });
+
+    return session;
+  });
+
+  logger.info('Till session closed', {
+    sessionId: closed.id,
+    sessionNumber: closed.session_number,
+    totalExpected: closed.total_expected,
+    totalCounted: closed.total_counted,
+    totalDiscrepancy: closed.total_discrepancy
+  });
+
+  await audit(actor, AUDIT_EVENTS.TILL_SESSION_CLOSED, closed,
+    `Closed till session #${closed.session_number} (discrepancy ${closed.total_discrepancy})`,
+    {
+      before: { status: 'open' },
+      after: {
+        status: 'closed',
+        countedAmounts: closed.counted_amounts,
+        discrepancies: closed.discrepancies,
+        totalDiscrepancy: closed.total_discrepancy
+      }
+    });
+
+  return closed;
+}
+
+/**
+ * Z-report PDF of a closed session
+ * @param {Object} options - { billingSettings }
+ * @returns {Promise<Object>} - { session, pdf }
+ */
+async function generateZReport(clinicDb, facilityId, sessionId, options = {}, actor = null) {
+  const { session, payments } = await getSessionDetail(clinicDb, facilityId, sessionId);
+  if (session.isOpen()) throw new Error('Cannot print the Z-report of an open till session');
+
+  const pdf = await pdfService.generateTillReportPDF(
+    session.toJSON(),
+    payments.map(p => p.toJSON()),
+    { billingSettings: options.billingSettings }
+  );
+
+  await audit(actor, AUDIT_EVENTS.TILL_REPORT_PRINTED, session,
+    `Printed Z-report of till session #${session.session_number}`);
+
+  return { session, pdf };
+}
+
+module.exports = {
+  summarizeSession,
+  reconcile,
+  listSessions,
+  getOpenSession,
+  openSession,
+  getSessionDetail,
+  recordPayment,
+  voidPayment,
+  closeSession,
+  generateZReport
+};
@@ -0,0 +1,314 @@
+/**
+ * UBL Service — UBL 2.1 XML generation (Peppol BIS Billing 3.0)
+ *
+ * Same EN 16931 semantic model as Factur-X (facturxService.normalizeDocument),
+ * serialized in the UBL syntax required by Spanish clinics and some insurers.
+ * Invoices (380) → <Invoice>, credit notes (381) → <CreditNote>.
+ *
+ * Standards: UBL 2.1, EN 16931, Peppol BIS Billing 3.0
+ */
+
+const { create } = require('xmlbuilder2');
+const { normalizeDocument } = require('./facturxService');
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+const PEPPOL_CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0';
+const PEPPOL_PROFILE_ID = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+
+const NAMESPACES = {
+  Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2',
+  cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+};
+
+// Peppol electronic address schemes (EAS) of VAT numbers, by VAT prefix
+const VAT_ENDPOINT_SCHEMES = {
+  FR: '9957',
+  ES: '9920',
+  BE: '9925',
+  DE: '9930',
+  AT: '9914',
+  LU: '9938',
+  NL: '9944',
+  PT: '9946'
+};
+
+const SIREN_SCHEME = '0002';
+const EMAIL_SCHEME = 'EM';
+
+// UNCL 4461: SEPA credit transfer
+const PAYMENT_MEANS_CREDIT_TRANSFER = '58';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Format a date as UBL format YYYY-MM-DD
+ */
+function formatDateUBL(dateInput) {
+  if (!dateInput) return null;
+  const d = new Date(dateInput);
+  if (isNaN(d.getTime())) return null;
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+function amt(n) {
+  return (Math.round((parseFloat(n) || 0) * 100) / 100).toFixed(2);
+}
+
+/**
+ * Peppol endpoint (BT-34 / BT-49) of a party:
+ * explicit Peppol id ("scheme:id"), else SIREN, else VAT number, else email
+ *
+ * @returns {{ scheme: string, id: string }|null}
+ */
+function resolveEndpoint(party) {
+  if (party.peppolId && party.peppolId.includes(':')) {
+    const [scheme, ...id] = party.peppolId.split(':');
+    return { scheme, id: id.join(':') };
+  }
+  if (party.siren && (!party.address || party.address.country === 'FR')) {
+    return { scheme: SIREN_SCHEME, id: party.siren };
+  }
+  const vatScheme = party.vatNumber && VAT_ENDPOINT_SCHEMES[party.vatNumber.slice(0, 2).toUpperCase()];
+  if (vatScheme) {
+    return { scheme: vatScheme, id: party.vatNumber };
+  }
+  if (party.email) {
+    return { scheme: EMAIL_SCHEME, id: party.email };
+  }
+  return null;
+}
+
+function buildTaxCategory(parent, elementName, categoryCode, rate) {
+  const category = parent.ele(`cac:${elementName}`);
+  category.ele('cbc:ID').txt(categoryCode);
+  // No rate for "not subject to VAT" (O)
+  if (categoryCode !== 'O') {
+    category.ele('cbc:Percent').txt(rate.toFixed(2));
+  }
+  category.ele('cac:TaxScheme').ele('cbc:ID').txt('VAT');
+  return category;
+}
+
+// ============================================================================
+// XML Builder Functions
+// ============================================================================
+
+function buildParty(parent, party) {
+  const node = parent.ele('cac:Party');
+
+  const endpoint = resolveEndpoint(party);
+  if (endpoint) {
+    node.ele('cbc:EndpointID').att('schemeID', endpoint.scheme).txt(endpoint.id);
+  }
+
+  node.ele('cac:PartyName').ele('cbc:Name').txt(party.name);
+
+  // BG-5 / BG-8: address, UBL element order
+  if (party.address) {
+    const address = node.ele('cac:PostalAddress');
+    if (party.address.line1) address.ele('cbc:StreetName').txt(party.address.line1);
+    if (party.address.line2) address.ele('cbc:AdditionalStreetName').txt(party.address.line2);
+    if (party.address.city) address.ele('cbc:CityName').txt(party.address.city);
+    if (party.address.postalCode) address.ele('cbc:PostalZone').txt(party.address.postalCode);
+    address.ele('cac:Country').ele('cbc:IdentificationCode').txt(party.address.country);
+  }
+
+  // BT-31 / BT-48: VAT identifier
+  if (party.vatNumber) {
+    const taxScheme = node.ele('cac:PartyTaxScheme');
+    taxScheme.ele('cbc:CompanyID').txt(party.vatNumber);
+    taxScheme.ele('cac:TaxScheme').ele('cbc:ID').txt('VAT');
+  }
+
+  // BT-27 / BT-44: legal name, BT-30 / BT-47: SIREN
+  const legalEntity = node.ele('cac:PartyLegalEntity');
+  legalEntity.ele('cbc:RegistrationName').txt(party.name);
+  if (party.siren) {
+    legalEntity.ele('cbc:CompanyID').att('schemeID', SIREN_SCHEME).txt(party.siren);
+  }
+
+  if (party.phone || party.email) {
+    const contact = node.ele('cac:Contact');
+    if (party.phone) contact.ele('cbc:Telephone').txt(party.phone);
+    if (party.email) contact.ele('cbc:ElectronicMail').txt(party.email);
+  }
+
+  return node;
+}
+
+function buildPaymentMeans(root, invoice, isCreditNote) {
+  const bank = invoice.bankDetails || {};
+  if (!bank.iban) return;
+
+  const means = root.ele('cac:PaymentMeans');
+  means.ele('cbc:PaymentMeansCode').txt(PAYMENT_MEANS_CREDIT_TRANSFER);
+  // Credit notes carry the due date here (no cbc:DueDate on CreditNote)
+  const dueDate = isCreditNote ? formatDateUBL(invoice.dueDate) : null;
+  if (dueDate) means.ele('cbc:PaymentDueDate').txt(dueDate);
+  // BT-83: remittance information
+  means.ele('cbc:PaymentID').txt(invoice.number);
+
+  const account = means.ele('cac:PayeeFinancialAccount');
+  account.ele('cbc:ID').txt(String(bank.iban).replace(/\s+/g, ''));
+  if (bank.accountName || bank.holder) account.ele('cbc:Name').txt(bank.accountName || bank.holder);
+  if (bank.bic) account.ele('cac:FinancialInstitutionBranch').ele('cbc:ID').txt(bank.bic);
+}
+
+function buildAllowances(root, invoice) {
+  // BG-20: global discount, one allowance per VAT group (BR-S-08)
+  invoice.taxGroups.forEach(group => {
+    const allowance = group.lineBasis - group.basisAmount;
+    if (allowance < 0.005) return;
+
+    const charge = root.ele('cac:AllowanceCharge');
+    charge.ele('cbc:ChargeIndicator').txt('false');
+    charge.ele('cbc:AllowanceChargeReason').txt('Remise');
+    charge.ele('cbc:Amount').att('currencyID', invoice.currency).txt(amt(allowance));
+    buildTaxCategory(charge, 'TaxCategory', group.categoryCode, group.rate);
+  });
+}
+
+function buildTaxTotal(root, invoice) {
+  const taxTotal = root.ele('cac:TaxTotal');
+  taxTotal.ele('cbc:TaxAmount').att('currencyID', invoice.currency).txt(amt(invoice.totals.taxTotal));
+
+  // BG-23: VAT breakdown
+  invoice.taxGroups.forEach(group => {
+    const subtotal = taxTotal.ele('cac:TaxSubtotal');
+    subtotal.ele('cbc:TaxableAmount').att('currencyID', invoice.currency).txt(amt(group.basisAmount));
+    subtotal.ele('cbc:TaxAmount').att('currencyID', invoice.currency).txt(amt(group.taxAmount));
+    buildTaxCategory(subtotal, 'TaxCategory', group.categoryCode, group.rate);
+  });
+}
+
+function buildMonetaryTotal(root, invoice) {
+  const { totals, currency } = invoice;
+  const total = root.ele('cac:LegalMonetaryTotal');
+
+  total.ele('cbc:LineExtensionAmount').att('currencyID', currency).txt(amt(totals.lineTotal));
+  total.ele('cbc:TaxExclusiveAmount').att('currencyID', currency).txt(amt(totals.taxBasisTotal));
+  total.ele('cbc:TaxInclusiveAmount').att('currencyID', currency).txt(amt(totals.grandTotal));
+  if (totals.allowanceTotal > 0) {
+    total.ele('cbc:AllowanceTotalAmount').att('currencyID', currency).txt(amt(totals.allowanceTotal));
+  }
+  if (totals.prepaidAmount > 0) {
+    total.ele('cbc:PrepaidAmount').att('currencyID', currency).txt(amt(totals.prepaidAmount));
+  }
+  total.ele('cbc:PayableAmount').att('currencyID', currency).txt(amt(totals.duePayableAmount));
+}
+
+function buildLines(root, invoice, isCreditNote) {
+  // BG-25: lines
+  invoice.lines.forEach(item => {
+    const line = root.ele(isCreditNote ? 'cac:CreditNoteLine' : 'cac:InvoiceLine');
+    line.ele('cbc:ID').txt(item.id);
+    line.ele(isCreditNote ? 'cbc:CreditedQuantity' : 'cbc:InvoicedQuantity')
+      .att('unitCode', item.unitCode)
+      .txt(item.quantity.toString());
+    line.ele('cbc:LineExtensionAmount').att('currencyID', invoice.currency).txt(amt(item.netAmount));
+
+    const product = line.ele('cac:Item');
+    product.ele('cbc:Name').txt(item.name);
+    buildTaxCategory(product, 'ClassifiedTaxCategory', item.taxCategory, item.taxRate);
+
+    line.ele('cac:Price').ele('cbc:PriceAmount').att('currencyID', invoice.currency).txt(amt(item.netPrice));
+  });
+}
+
+// ============================================================================
+// Main API
+// ============================================================================
+
+/**
+ * Generate Peppol BIS Billing 3.0 UBL XML from document + items
+ *
+ * @param {Object} document - Document record (snake_case or camelCase), enriched
+ *   with the billing settings (facturxService.applyBillingSettings)
+ * @param {Array}  items    - Document line items
+ * @returns {string} XML string
+ */
+function generateUBL(document, items) {
+  const invoice = normalizeDocument(document, items);
+  const isCreditNote = invoice.typeCode === '381';
+  const rootName = isCreditNote ? 'CreditNote' : 'Invoice';
+
+  const root = create({ version: '1.0', encoding: 'UTF-8' })
+    .ele(NAMESPACES[rootName], rootName, {
+      'xmlns:cac': NAMESPACES.cac,
+      'xmlns:cbc': NAMESPACES.cbc
+    });
+
+  // 1. Header
+  root.ele('cbc:CustomizationID').txt(PEPPOL_CUSTOMIZATION_ID);
+  root.ele('cbc:ProfileID').txt(PEPPOL_PROFILE_ID);
+  root.ele('cbc:ID').txt(invoice.number);
+
+  const issueDate = formatDateUBL(invoice.issueDate);
+  if (issueDate) root.ele('cbc:IssueDate').txt(issueDate);
+
+  const dueDate = formatDateUBL(invoice.dueDate);
+  if (dueDate && !isCreditNote) root.ele('cbc:DueDate').txt(dueDate);
+
+  root.ele(isCreditNote ? 'cbc:CreditNoteTypeCode' : 'cbc:InvoiceTypeCode').txt(invoice.typeCode);
+  if (invoice.notes) root.ele('cbc:Note').txt(invoice.notes);
+  root.ele('cbc:DocumentCurrencyCode').txt(invoice.currency);
+
+  // Peppol requires a buyer reference or an order reference (PEPPOL-EN16931-R003):
+  // patients have no purchase order, the invoice number is what they quote back
+  if (invoice.purchaseOrder) {
+    root.ele('cac:OrderReference').ele('cbc:ID').txt(invoice.purchaseOrder);
+  } else {
+    root.ele('cbc:BuyerReference').txt(invoice.number);
+  }
+
+  // BG-3: invoice corrected by the credit note
+  if (invoice.precedingInvoice && invoice.precedingInvoice.number) {
+    const reference = root.ele('cac:BillingReference').ele('cac:InvoiceDocumentReference');
+    reference.ele('cbc:ID').txt(invoice.precedingInvoice.number);
+    const precedingDate = formatDateUBL(invoice.precedingInvoice.issueDate);
+    if (precedingDate) reference.ele('cbc:IssueDate').txt(precedingDate);
+  }
+
+  // 2. Parties
+  buildParty(root.ele('cac:AccountingSupplierParty'), invoice.seller);
+  buildParty(root.ele('cac:AccountingCustomerParty'), invoice.buyer);
+
+  // 3. Delivery
+  const deliveryDate = formatDateUBL(invoice.deliveryDate);
+  if (deliveryDate) {
+    root.ele('cac:Delivery').ele('cbc:ActualDeliveryDate').txt(deliveryDate);
+  }
+
+  // 4. Payment
+  buildPaymentMeans(root, invoice, isCreditNote);
+  if (invoice.paymentTerms) {
+    root.ele('cac:PaymentTerms').ele('cbc:Note').txt(invoice.paymentTerms);
+  }
+
+  // 5. Allowances, VAT, totals
+  buildAllowances(root, invoice);
+  buildTaxTotal(root, invoice);
+  buildMonetaryTotal(root, invoice);
+
+  // 6. Lines
+  buildLines(root, invoice, isCreditNote);
+
+  return root.end({ prettyPrint: true });
+}
+
+module.exports = {
+  generateUBL,
+  formatDateUBL,
+  PEPPOL_CUSTOMIZATION_ID,
+  PEPPOL_PROFILE_ID
+};
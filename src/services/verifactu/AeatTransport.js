@@ -0,0 +1,77 @@
+'use strict';
+
+const fs = require('fs');
+const https = require('https');
+const VerifactuTransport = require('./VerifactuTransport');
+const { parseSubmissionResponse } = require('./registryRecord');
+
+const ENDPOINTS = {
+  test: 'https://prewww1.aeat.es/wlpl/TIKE-CONT/ws/SistemaFacturacion/VerifactuSOAP',
+  production: 'https://www1.agenciatributaria.gob.es/wlpl/TIKE-CONT/ws/SistemaFacturacion/VerifactuSOAP'
+};
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * AEAT VeriFactu web service (SOAP over mutual TLS).
+ * Authenticates with the electronic certificate of the issuer or of its
+ * representative (PKCS#12 file).
+ */
+class AeatTransport extends VerifactuTransport {
+  /**
+   * @param {object} config - { environment: 'test'|'production', certificatePath, certificatePassword, endpoint }
+   */
+  constructor(config = {}) {
+    super('aeat');
+    this.environment = config.environment || process.env.VERIFACTU_ENV || 'test';
+    this.endpoint = config.endpoint || ENDPOINTS[this.environment] || ENDPOINTS.test;
+    this.certificatePath = config.certificatePath || process.env.VERIFACTU_CERT_PATH || null;
+    this.certificatePassword = config.certificatePassword || process.env.VERIFACTU_CERT_PASSWORD || '';
+  }
+
+  isConfigured() {
+    return Boolean(this.certificatePath);
+  }
+
+  async submit({ xml }) {
+    if (!this.isConfigured()) {
+      return { success: false, provider: this.name, error: 'AEAT certificate not configured' };
+    }
+
+    const body = await this._post(xml);
+    const response = parseSubmissionResponse(body);
+    return { success: true, provider: this.name, ...response };
+  }
+
+  _post(xml) {
+    const url = new URL(this.endpoint);
+    const pfx = fs.readFileSync(this.certificatePath);
+
+    return new Promise((resolve, reject) => {
+      const request = https.request({
+        hostname: url.hostname,
+        port: url.port || 443,
+        path: url.pathname,
+        method: 'POST',
+        pfx,
+        passphrase: this.certificatePassword,
+        timeout: REQUEST_TIMEOUT_MS,
+        headers: {
+          'Content-Type': 'text/xml; charset=utf-8',
+          'Content-Length': Buffer.byteLength(xml),
+          SOAPAction: ''
+        }
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      });
+      request.on('timeout', () => request.destroy(new Error('AEAT request timed out')));
+      request.on('error', reject);
+      request.end(xml);
+    });
+  }
+}
+
+module.exports = AeatTransport;
+module.exports.ENDPOINTS = ENDPOINTS;
@@ -0,0 +1,69 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const VerifactuTransport = require('./VerifactuTransport');
+const { logger } = require('../../utils/logger');
+
+const DEFAULT_DIR = path.join(process.cwd(), 'tmp', 'verifactu');
+
+/**
+ * Local transport for development and testing.
+ * Nothing is sent to the AEAT: each batch is written as an XML file to
+ * VERIFACTU_LOOPBACK_DIR (default tmp/verifactu), kept in memory and every
+ * record is answered as accepted.
+ */
+class LoopbackTransport extends VerifactuTransport {
+  /**
+   * @param {object} options - { directory, writeFiles }
+   */
+  constructor(options = {}) {
+    super('loopback');
+    this.directory = options.directory || process.env.VERIFACTU_LOOPBACK_DIR || DEFAULT_DIR;
+    this.writeFiles = options.writeFiles !== false;
+    this.sent = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async submit({ batchId, xml, records }) {
+    this.sent.push({ batchId, xml, count: records.length, submittedAt: new Date().toISOString() });
+
+    if (this.writeFiles) {
+      try {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(path.join(this.directory, `${batchId}.xml`), xml);
+      } catch (error) {
+        logger.warn(`VeriFactu loopback transport could not write batch file: ${error.message}`);
+      }
+    }
+
+    logger.info(`[loopback] VeriFactu batch ${batchId}: ${records.length} record(s)`);
+
+    return {
+      success: true,
+      provider: this.name,
+      status: 'Correcto',
+      csv: `LB${batchId}`,
+      waitSeconds: null,
+      lines: records.map(record => ({
+        invoiceNumber: record.invoice_number,
+        status: 'accepted',
+        errorCode: null,
+        errorMessage: null
+      })),
+      testMode: true
+    };
+  }
+
+  /**
+   * Clear batches kept in memory
+   */
+  reset() {
+    this.sent = [];
+  }
+}
+
+module.exports = LoopbackTransport;
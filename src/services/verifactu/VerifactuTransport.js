@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Abstract VeriFactu submission transport.
+ * A transport sends a RegFactuSistemaFacturacion SOAP batch to the AEAT and
+ * returns the parsed response. Implementations: Aeat (web service), Loopback.
+ */
+class VerifactuTransport {
+  constructor(name) {
+    if (new.target === VerifactuTransport) {
+      throw new Error('VerifactuTransport is abstract and cannot be instantiated directly');
+    }
+    this.name = name;
+  }
+
+  /**
+   * Submit a batch
+   * @param {object} batch - { batchId, xml, records: [{ invoice_number }] }
+   * @returns {Promise<object>} { success, provider, status, csv, waitSeconds,
+   *   lines: [{ invoiceNumber, status, errorCode, errorMessage }], testMode }
+   */
+  async submit(batch) {
+    throw new Error('submit() must be implemented by subclass');
+  }
+
+  /**
+   * Check whether the transport has everything it needs to submit
+   * @returns {boolean}
+   */
+  isConfigured() {
+    throw new Error('isConfigured() must be implemented by subclass');
+  }
+
+  getName() {
+    return this.name;
+  }
+}
+
+module.exports = VerifactuTransport;
@@ -0,0 +1,460 @@
+/**
+ * VeriFactu registry records (pure JS)
+ *
+ * Builds the "RegistroAlta" of an issued invoice as defined by the AEAT
+ * (Orden HAC/1177/2024), computes its SHA-256 fingerprint (huella) chained to
+ * the previous record, the verification QR URL printed on the invoice and the
+ * SOAP batch submitted to the AEAT web service.
+ *
+ * The record content is stored as-is (record_data) and replayed in the XML:
+ * the fingerprint is never recomputed from the document afterwards.
+ *
+ * TicketBAI (Basque Country foral territories) is not covered: it requires
+ * XAdES signed invoice files with the territory certificate.
+ */
+
+const crypto = require('crypto');
+const { create, convert } = require('xmlbuilder2');
+const { normalizeDocument } = require('../facturxService');
+const { round2 } = require('../../utils/money');
+
+const ID_VERSION = '1.0';
+const TIMEZONE = 'Europe/Madrid';
+const MAX_BATCH_RECORDS = 1000;
+
+const NAMESPACES = {
+  soapenv: 'http://schemas.xmlsoap.org/soap/envelope/',
+  sum: 'https://www2.agenciatributaria.gob.es/static_files/common/internet/dep/aplicaciones/es/aeat/tike/cont/ws/SuministroLR.xsd',
+  sum1: 'https://www2.agenciatributaria.gob.es/static_files/common/internet/dep/aplicaciones/es/aeat/tike/cont/ws/SuministroInformacion.xsd'
+};
+
+const QR_BASE_URLS = {
+  test: 'https://prewww2.aeat.es/wlpl/TIKE-CONT/ValidarQR',
+  production: 'https://www2.agenciatributaria.gob.es/wlpl/TIKE-CONT/ValidarQR'
+};
+
+// Billing system identification (SistemaInformatico), overridable per clinic
+const DEFAULT_SYSTEM = {
+  name: 'MedicalPro',
+  id: 'MP',
+  version: '1.0'
+};
+
+// EN 16931 VAT category → VeriFactu breakdown
+const EXEMPT_CATEGORIES = ['E'];
+const NOT_SUBJECT_CATEGORIES = ['O'];
+
+function formatAmount(n) {
+  return round2(n).toFixed(2);
+}
+
+/**
+ * YYYY-MM-DD (or Date) → DD-MM-YYYY
+ */
+function formatDateES(date) {
+  if (!date) return '';
+  const iso = date instanceof Date ? date.toISOString().slice(0, 10) : String(date).slice(0, 10);
+  const [year, month, day] = iso.split('-');
+  return `${day}-${month}-${year}`;
+}
+
+/**
+ * Record generation timestamp in Spanish time with its offset (2026-05-04T10:15:30+02:00)
+ */
+function formatTimestamp(date = new Date()) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'longOffset'
+  }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+  const offset = parts.timeZoneName === 'GMT' ? '+00:00' : parts.timeZoneName.replace('GMT', '');
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+}
+
+/**
+ * Spanish NIF of a VAT number (ESB12345678 → B12345678)
+ */
+function toNif(vatNumber) {
+  if (!vatNumber) return null;
+  const compact = String(vatNumber).replace(/[\s.-]/g, '').toUpperCase();
+  return compact.startsWith('ES') ? compact.slice(2) : compact;
+}
+
+/**
+ * NIF of the invoice issuer: seller VAT number snapshot, then billing settings
+ */
+function resolveIssuerNif(document, billingSettings = {}) {
+  const vatNumber = document.seller_vat_number || document.sellerVatNumber;
+  if (vatNumber && (!/^[A-Z]{2}/i.test(vatNumber) || /^ES/i.test(vatNumber))) {
+    return toNif(vatNumber);
+  }
+  const seller = billingSettings.seller || {};
+  return toNif(seller.nif || seller.vatNumber) || null;
+}
+
+/**
+ * SHA-256 fingerprint of an alta record (uppercase hex)
+ *
+ * @param {Object} fields - { issuerNif, invoiceNumber, invoiceDate (DD-MM-YYYY), invoiceType,
+ *   taxTotal, grandTotal, previousHash, generatedAt }
+ */
+function computeHash(fields) {
+  const input = [
+    `IDEmisorFactura=${fields.issuerNif}`,
+    `NumSerieFactura=${fields.invoiceNumber}`,
+    `FechaExpedicionFactura=${fields.invoiceDate}`,
+    `TipoFactura=${fields.invoiceType}`,
+    `CuotaTotal=${fields.taxTotal}`,
+    `ImporteTotal=${fields.grandTotal}`,
+    `Huella=${fields.previousHash || ''}`,
+    `FechaHoraHusoGenRegistro=${fields.generatedAt}`
+  ].join('&');
+  return crypto.createHash('sha256').update(input, 'utf8').digest('hex').toUpperCase();
+}
+
+/**
+ * Recipient of the invoice: Spanish NIF, or foreign VAT number (IDOtro, type 02)
+ */
+function buildRecipient(buyer) {
+  const vatNumber = buyer.vatNumber ? String(buyer.vatNumber).replace(/[\s.-]/g, '').toUpperCase() : null;
+  if (!vatNumber) return null;
+
+  const country = /^[A-Z]{2}/.test(vatNumber) ? vatNumber.slice(0, 2) : 'ES';
+  if (country === 'ES') {
+    return { NombreRazon: buyer.name, NIF: toNif(vatNumber) };
+  }
+  return { NombreRazon: buyer.name, IDOtro: { CodigoPais: country, IDType: '02', ID: vatNumber } };
+}
+
+/**
+ * Tax breakdown (Desglose) from the document VAT groups, signed
+ */
+function buildBreakdown(taxGroups, sign) {
+  return taxGroups.map(group => {
+    const detail = { Impuesto: '01', ClaveRegimen: '01' };
+    if (EXEMPT_CATEGORIES.includes(group.categoryCode)) {
+      detail.OperacionExenta = 'E1';
+    } else if (NOT_SUBJECT_CATEGORIES.includes(group.categoryCode)) {
+      detail.CalificacionOperacion = 'N1';
+    } else {
+      detail.CalificacionOperacion = 'S1';
+      detail.TipoImpositivo = formatAmount(group.rate);
+    }
+    detail.BaseImponibleOimporteNoSujeto = formatAmount(sign * group.basisAmount);
+    if (detail.CalificacionOperacion === 'S1') {
+      detail.CuotaRepercutida = formatAmount(sign * group.taxAmount);
+    }
+    return detail;
+  });
+}
+
+/**
+ * Build the alta record of an issued invoice / credit note, chained to the previous record
+ *
+ * @param {Object} document - Issued document (snake_case record)
+ * @param {Array}  items    - Document lines
+ * @param {Object} options
+ * @param {string} options.issuerNif
+ * @param {Object} [options.previous]         - Previous record { invoice_number, invoice_date, hash, issuer_nif }
+ * @param {Object} [options.originalInvoice]  - Invoice corrected by a credit note { document_number, issue_date }
+ * @param {Object} [options.system]           - SistemaInformatico overrides { name, id, version, installation, vendorName, vendorNif }
+ * @param {Date}   [options.generatedAt]
+ * @returns {{ fields: Object, hash: string, generatedAt: string, recordData: Object }}
+ */
+function buildAltaRecord(document, items, options) {
+  const { issuerNif, previous = null, originalInvoice = null, system = {} } = options;
+  if (!issuerNif) {
+    throw new Error('The seller NIF is required to register the invoice');
+  }
+
+  const invoice = normalizeDocument(document, items);
+  const isCreditNote = invoice.documentType === 'credit_note';
+  const recipient = buildRecipient(invoice.buyer);
+
+  // Credit notes correct their invoice by difference: negative amounts
+  const sign = isCreditNote ? -1 : 1;
+  let invoiceType = recipient ? 'F1' : 'F2';
+  if (isCreditNote) invoiceType = recipient ? 'R1' : 'R5';
+
+  const generatedAt = formatTimestamp(options.generatedAt || new Date());
+  const fields = {
+    issuerNif,
+    invoiceNumber: invoice.number,
+    invoiceDate: formatDateES(invoice.issueDate),
+    invoiceType,
+    taxTotal: formatAmount(sign * invoice.totals.taxTotal),
+    grandTotal: formatAmount(sign * invoice.totals.grandTotal),
+    previousHash: previous ? previous.hash : null,
+    generatedAt
+  };
+  const hash = computeHash(fields);
+
+  const recordData = {
+    IDVersion: ID_VERSION,
+    IDFactura: {
+      IDEmisorFactura: issuerNif,
+      NumSerieFactura: fields.invoiceNumber,
+      FechaExpedicionFactura: fields.invoiceDate
+    },
+    NombreRazonEmisor: invoice.seller.name,
+    TipoFactura: invoiceType
+  };
+  if (isCreditNote) {
+    recordData.TipoRectificativa = 'I';
+    if (originalInvoice) {
+      recordData.FacturasRectificadas = {
+        IDFacturaRectificada: {
+          IDEmisorFactura: issuerNif,
+          NumSerieFactura: originalInvoice.document_number,
+          FechaExpedicionFactura: formatDateES(originalInvoice.issue_date)
+        }
+      };
+    }
+  }
+  recordData.DescripcionOperacion = (invoice.lines.map(line => line.name).filter(Boolean).join(', ') || 'Servicios')
+    .slice(0, 500);
+  if (recipient) {
+    recordData.Destinatarios = { IDDestinatario: recipient };
+  }
+  recordData.Desglose = { DetalleDesglose: buildBreakdown(invoice.taxGroups, sign) };
+  recordData.CuotaTotal = fields.taxTotal;
+  recordData.ImporteTotal = fields.grandTotal;
+  recordData.Encadenamiento = previous
+    ? {
+        RegistroAnterior: {
+          IDEmisorFactura: previous.issuer_nif,
+          NumSerieFactura: previous.invoice_number,
+          FechaExpedicionFactura: formatDateES(previous.invoice_date),
+          Huella: previous.hash
+        }
+      }
+    : { PrimerRegistro: 'S' };
+  recordData.SistemaInformatico = {
+    NombreRazon: system.vendorName || invoice.seller.name,
+    NIF: system.vendorNif || issuerNif,
+    NombreSistemaInformatico: system.name || DEFAULT_SYSTEM.name,
+    IdSistemaInformatico: system.id || DEFAULT_SYSTEM.id,
+    Version: system.version || DEFAULT_SYSTEM.version,
+    NumeroInstalacion: system.installation || issuerNif,
+    TipoUsoPosibleSoloVerifactu: 'S',
+    TipoUsoPosibleMultiOT: 'N',
+    IndicadorMultiplesOT: 'N'
+  };
+  recordData.FechaHoraHusoGenRegistro = generatedAt;
+  recordData.TipoHuella = '01';
+  recordData.Huella = hash;
+
+  return { fields, hash, generatedAt, recordData };
+}
+
+/**
+ * Recompute the fingerprints of a chain of records (ordered by chain_sequence)
+ *
+ * @param {Array} records - Stored records
+ * @returns {{ valid: boolean, checked: number, errors: Array<{ sequence, invoiceNumber, message }> }}
+ */
+function verifyChain(records) {
+  const errors = [];
+  let previous = null;
+
+  records.forEach(record => {
+    const sequence = record.chain_sequence;
+    const report = (message) => errors.push({ sequence, invoiceNumber: record.invoice_number, message });
+
+    if (!previous && sequence !== 1) {
+      report('The chain does not start with the first record');
+    }
+    if (previous && sequence !== previous.chain_sequence + 1) {
+      report(`Gap in the chain after record ${previous.chain_sequence}`);
+    }
+    if ((record.previous_hash || null) !== (previous ? previous.hash : null)) {
+      report('Previous fingerprint does not match the previous record');
+    }
+
+    const fields = {
+      issuerNif: record.issuer_nif,
+      invoiceNumber: record.invoice_number,
+      invoiceDate: formatDateES(record.invoice_date),
+      invoiceType: record.invoice_type,
+      taxTotal: formatAmount(parseFloat(record.tax_total)),
+      grandTotal: formatAmount(parseFloat(record.grand_total)),
+      previousHash: record.previous_hash,
+      generatedAt: record.generated_at
+    };
+    if (computeHash(fields) !== record.hash) {
+      report('Fingerprint does not match the record content');
+    }
+
+    // The XML replayed to the AEAT must carry the hashed values
+    const data = record.record_data || {};
+    const id = data.IDFactura || {};
+    if (data.Huella !== record.hash
+      || id.IDEmisorFactura !== fields.issuerNif
+      || id.NumSerieFactura !== fields.invoiceNumber
+      || id.FechaExpedicionFactura !== fields.invoiceDate
+      || data.TipoFactura !== fields.invoiceType
+      || data.CuotaTotal !== fields.taxTotal
+      || data.ImporteTotal !== fields.grandTotal
+      || data.FechaHoraHusoGenRegistro !== fields.generatedAt) {
+      report('Registry XML content does not match the fingerprinted fields');
+    }
+    previous = record;
+  });
+
+  return { valid: errors.length === 0, checked: records.length, errors };
+}
+
+/**
+ * URL encoded in the QR code printed on the invoice
+ */
+function buildQrUrl(record, environment = 'test') {
+  const base = QR_BASE_URLS[environment] || QR_BASE_URLS.test;
+  const params = new URLSearchParams({
+    nif: record.issuer_nif,
+    numserie: record.invoice_number,
+    fecha: formatDateES(record.invoice_date),
+    importe: formatAmount(parseFloat(record.grand_total))
+  });
+  return `${base}?${params.toString()}`;
+}
+
+// ============================================================================
+// SOAP batch (RegFactuSistemaFacturacion)
+// ============================================================================
+
+function appendNode(parent, name, value) {
+  if (value === undefined || value === null) return;
+  if (Array.isArray(value)) {
+    value.forEach(entry => appendNode(parent, name, entry));
+    return;
+  }
+  const node = parent.ele(NAMESPACES.sum1, `sum1:${name}`);
+  if (typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => appendNode(node, key, child));
+  } else {
+    node.txt(String(value));
+  }
+}
+
+/**
+ * SOAP envelope submitting up to 1000 alta records of one issuer
+ *
+ * @param {Array}  records - Stored records (record_data replayed as-is)
+ * @param {Object} issuer  - { nif, name }
+ * @returns {string} XML
+ */
+function buildBatchXml(records, issuer) {
+  if (records.length > MAX_BATCH_RECORDS) {
+    throw new Error(`A VeriFactu batch is limited to ${MAX_BATCH_RECORDS} records`);
+  }
+
+  const doc = create({ version: '1.0', encoding: 'UTF-8' });
+  const envelope = doc.ele(NAMESPACES.soapenv, 'soapenv:Envelope')
+    .att('xmlns:sum', NAMESPACES.sum)
+    .att('xmlns:sum1', NAMESPACES.sum1);
+  envelope.ele(NAMESPACES.soapenv, 'soapenv:Header');
+  const request = envelope.ele(NAMESPACES.soapenv, 'soapenv:Body')
+    .ele(NAMESPACES.sum, 'sum:RegFactuSistemaFacturacion');
+
+  const header = request.ele(NAMESPACES.sum, 'sum:Cabecera');
+  appendNode(header, 'ObligadoEmision', { NombreRazon: issuer.name, NIF: issuer.nif });
+
+  records.forEach(record => {
+    const entry = request.ele(NAMESPACES.sum, 'sum:RegistroFactura');
+    appendNode(entry, 'RegistroAlta', record.record_data);
+  });
+
+  return doc.end({ prettyPrint: true });
+}
+
+// ============================================================================
+// AEAT response
+// ============================================================================
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * First descendant by local name (prefix independent)
+ */
+function findNode(node, localName) {
+  if (!node || typeof node !== 'object') return null;
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@')) continue;
+    if (key.split(':').pop() === localName) return value;
+    for (const child of asArray(value)) {
+      const found = findNode(child, localName);
+      if (found !== null) return found;
+    }
+  }
+  return null;
+}
+
+function textOf(node) {
+  if (node === null || node === undefined) return null;
+  if (typeof node === 'object') return node['#'] !== undefined ? String(node['#']) : null;
+  return String(node);
+}
+
+// EstadoRegistro → submission_status
+const LINE_STATUS = {
+  Correcto: 'accepted',
+  AceptadoConErrores: 'accepted_with_errors',
+  Incorrecto: 'rejected'
+};
+
+/**
+ * Parse the RespuestaRegFactuSistemaFacturacion of the AEAT
+ *
+ * @returns {{ status: string, csv: string|null, waitSeconds: number|null,
+ *   lines: Array<{ invoiceNumber, status, errorCode, errorMessage }> }}
+ */
+function parseSubmissionResponse(xml) {
+  const tree = convert(xml, { format: 'object' });
+
+  const fault = findNode(tree, 'Fault');
+  if (fault) {
+    throw new Error(`AEAT SOAP fault: ${textOf(findNode(fault, 'faultstring')) || 'unknown error'}`);
+  }
+
+  const response = findNode(tree, 'RespuestaRegFactuSistemaFacturacion');
+  if (!response) {
+    throw new Error('Unexpected AEAT response');
+  }
+
+  const lines = asArray(findNode(response, 'RespuestaLinea')).map(line => ({
+    invoiceNumber: textOf(findNode(line, 'NumSerieFactura')),
+    status: LINE_STATUS[textOf(findNode(line, 'EstadoRegistro'))] || 'rejected',
+    errorCode: textOf(findNode(line, 'CodigoErrorRegistro')),
+    errorMessage: textOf(findNode(line, 'DescripcionErrorRegistro'))
+  }));
+
+  const waitSeconds = parseInt(textOf(findNode(response, 'TiempoEsperaEnvio')), 10);
+  return {
+    status: textOf(findNode(response, 'EstadoEnvio')),
+    csv: textOf(findNode(response, 'CSV')),
+    waitSeconds: Number.isNaN(waitSeconds) ? null : waitSeconds,
+    lines
+  };
+}
+
+module.exports = {
+  buildAltaRecord,
+  computeHash,
+  verifyChain,
+  buildQrUrl,
+  buildBatchXml,
+  parseSubmissionResponse,
+  resolveIssuerNif,
+  formatDateES,
+  formatTimestamp,
+  MAX_BATCH_RECORDS,
+  QR_BASE_URLS,
+  NAMESPACES
+};
@@ -0,0 +1,32 @@
+'use strict';
+
+const AeatTransport = require('./AeatTransport');
+const LoopbackTransport = require('./LoopbackTransport');
+
+// Loopback is shared so that batches stay inspectable across calls
+let loopbackInstance = null;
+
+function getLoopbackTransport() {
+  if (!loopbackInstance) {
+    loopbackInstance = new LoopbackTransport();
+  }
+  return loopbackInstance;
+}
+
+const transports = {
+  aeat: (settings) => new AeatTransport({ environment: settings.environment, ...(settings.aeat || {}) }),
+  loopback: () => getLoopbackTransport()
+};
+
+/**
+ * Get the transport configured in the VeriFactu billing settings
+ * @param {object} settings - billingSettings.verifactu ({ transport, environment, aeat: {...} })
+ * @returns {VerifactuTransport|null}
+ */
+function getVerifactuTransport(settings = {}) {
+  const name = settings.transport || process.env.VERIFACTU_TRANSPORT || 'loopback';
+  const factory = transports[name.toLowerCase()];
+  return factory ? factory(settings) : null;
+}
+
+module.exports = { getVerifactuTransport, getLoopbackTransport };
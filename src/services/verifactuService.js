@@ -0,0 +1,333 @@
+/**
+ * VeriFactu Service — Spanish invoice registry (AEAT)
+ *
+ * - appliesTo(): VeriFactu covers invoices and credit notes of Spanish clinics
+ * - registerIssuedDocument(): when a document is issued, creates its registry
+ *   record chained to the previous record of the facility, in the issuing
+ *   transaction (after documentService.assignIssuedNumber gave it its number)
+ * - exportBatch() / submitPending(): RegFactuSistemaFacturacion XML of the
+ *   pending records, sent through the configured transport (loopback by default)
+ * - verifyChain(): recompute every fingerprint of the facility chain
+ * - getQrCode(): verification URL printed on the invoice PDF
+ *
+ * Settings live in billing_settings.verifactu:
+ * { enabled, environment: 'test'|'production', transport: 'loopback'|'aeat', aeat: {...}, system: {...} }
+ */
+
+const crypto = require('crypto');
+const { getModel } = require('../base/ModelFactory');
+const { logger } = require('../utils/logger');
+const auditService = require('./auditService');
+const { AUDIT_EVENTS } = require('./auditService');
+const registry = require('./verifactu/registryRecord');
+const { getVerifactuTransport } = require('./verifactu/transportFactory');
+
+const REGISTERED_TYPES = ['invoice', 'credit_note'];
+
+function getSettings(billingSettings = {}) {
+  return billingSettings.verifactu || {};
+}
+
+function getEnvironment(billingSettings) {
+  return getSettings(billingSettings).environment || process.env.VERIFACTU_ENV || 'test';
+}
+
+/**
+ * Whether issuing this document creates a registry record
+ */
+function appliesTo(region, doc, billingSettings = {}) {
+  return region === 'es'
+    && REGISTERED_TYPES.includes(doc.document_type)
+    && getSettings(billingSettings).enabled !== false;
+}
+
+/**
+ * Write a registry event to the audit trail
+ * @param {Object} actor - { userId, companyId, ip, userAgent }
+ */
+async function audit(actor, eventType, resourceId, action, changes = null) {
+  if (!actor) return;
+  await auditService.logAudit({
+    userId: actor.userId,
+    companyId: actor.companyId,
+    eventType,
+    resourceType: 'InvoiceRegistryRecord',
+    resourceId,
+    action,
+    changes,
+    ip: actor.ip,
+    userAgent: actor.userAgent
+  });
+}
+
+// ============================================================================
+// Registration
+// ============================================================================
+
+/**
+ * Create the registry record of a document being issued.
+ * Must run in the transaction that moves the document out of draft.
+ *
+ * @param {Sequelize} clinicDb
+ * @param {string} facilityId
+ * @param {Object} doc - Document instance
+ * @param {Object} options - { transaction, billingSettings, actor }
+ * @returns {Promise<Object>} InvoiceRegistryRecord
+ */
+async function registerIssuedDocument(clinicDb, facilityId, doc, options) {
+  const { transaction, billingSettings = {}, actor = null } = options;
+  const Document = await getModel(clinicDb, 'Document');
+  const DocumentItem = await getModel(clinicDb, 'DocumentItem');
+  const InvoiceRegistryRecord = await getModel(clinicDb, 'InvoiceRegistryRecord');
+
+  const issuerNif = registry.resolveIssuerNif(doc, billingSettings);
+  if (!issuerNif) {
+    throw new Error('The seller NIF is missing: it is required to register invoices (VeriFactu)');
+  }
+
+  // Serialize the facility chain
+  await clinicDb.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+    replacements: { key: `invoice_registry:${facilityId}` },
+    transaction
+  });
+
+  const existing = await InvoiceRegistryRecord.findOne({
+    where: { document_id: doc.id },
+    transaction
+  });
+  if (existing) return existing;
+
+  const previous = await InvoiceRegistryRecord.findOne({
+    where: { facility_id: facilityId },
+    order: [['chain_sequence', 'DESC']],
+    transaction
+  });
+
+  const items = await DocumentItem.findAll({
+    where: { document_id: doc.id },
+    order: [['sort_order', 'ASC']],
+    transaction
+  });
+
+  let originalInvoice = null;
+  if (doc.document_type === 'credit_note' && doc.converted_from_id) {
+    originalInvoice = await Document.findByPk(doc.converted_from_id, {
+      attributes: ['document_number', 'issue_date'],
+      transaction
+    });
+  }
+
+  const { fields, hash, generatedAt, recordData } = registry.buildAltaRecord(
+    doc.toJSON(),
+    items.map(item => item.toJSON()),
+    { issuerNif, previous, originalInvoice, system: getSettings(billingSettings).system }
+  );
+
+  const record = await InvoiceRegistryRecord.create({
+    facility_id: facilityId,
+    document_id: doc.id,
+    chain_sequence: previous ? previous.chain_sequence + 1 : 1,
+    record_type: 'alta',
+    issuer_nif: issuerNif,
+    invoice_number: fields.invoiceNumber,
+    invoice_date: doc.issue_date,
+    invoice_type: fields.invoiceType,
+    tax_total: fields.taxTotal,
+    grand_total: fields.grandTotal,
+    previous_record_id: previous ? previous.id : null,
+    previous_hash: previous ? previous.hash : null,
+    generated_at: generatedAt,
+    hash,
+    record_data: recordData
+  }, { transaction });
+
+  logger.info('Invoice registered (VeriFactu)', {
+    documentId: doc.id,
+    number: record.invoice_number,
+    chainSequence: record.chain_sequence
+  });
+
+  await audit(actor, AUDIT_EVENTS.INVOICE_REGISTERED, record.id,
+    `Registered ${record.invoice_number} (VeriFactu record #${record.chain_sequence})`,
+    { before: null, after: { invoiceType: record.invoice_type, grandTotal: record.grand_total, hash } });
+
+  return record;
+}
+
+/**
+ * Registry record of a document, or null
+ */
+async function getRecordForDocument(clinicDb, documentId) {
+  const InvoiceRegistryRecord = await getModel(clinicDb, 'InvoiceRegistryRecord');
+  return InvoiceRegistryRecord.findOne({ where: { document_id: documentId } });
+}
+
+/**
+ * QR code data printed on the invoice
+ * @returns {{ url: string, environment: string }}
+ */
+function getQrCode(record, billingSettings = {}) {
+  const environment = getEnvironment(billingSettings);
+  return { url: registry.buildQrUrl(record, environment), environment };
+}
+
+/**
+ * List records (chain order, newest first)
+ * @param {Object} filters - { status, page, limit }
+ */
+async function listRecords(clinicDb, facilityId, filters = {}) {
+  const InvoiceRegistryRecord = await getModel(clinicDb, 'InvoiceRegistryRecord');
+
+  const where = { facility_id: facilityId };
+  if (filters.status) where.submission_status = filters.status;
+
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+
+  const { count, rows } = await InvoiceRegistryRecord.findAndCountAll({
+    where,
+    attributes: { exclude: ['record_data'] },
+    order: [['chain_sequence', 'DESC']],
+    limit,
+    offset: (page - 1) * limit
+  });
+
+  return { records: rows, total: count, page, limit };
+}
+
+// ============================================================================
+// Export & submission
+// ============================================================================
+
+/**
+ * Oldest records of a submission status, in chain order, one issuer per batch
+ */
+async function loadBatchRecords(clinicDb, facilityId, status, limit) {
+  const InvoiceRegistryRecord = await getModel(clinicDb, 'InvoiceRegistryRecord');
+
+  const records = await InvoiceRegistryRecord.findAll({
+    where: { facility_id: facilityId, submission_status: status },
+    order: [['chain_sequence', 'ASC']],
+    limit: Math.min(limit || registry.MAX_BATCH_RECORDS, registry.MAX_BATCH_RECORDS)
+  });
+
+  if (records.length === 0) return records;
+  const issuerNif = records[0].issuer_nif;
+  return records.filter(record => record.issuer_nif === issuerNif);
+}
+
+function batchIssuer(records) {
+  return { nif: records[0].issuer_nif, name: records[0].record_data.NombreRazonEmisor };
+}
+
+/**
+ * RegFactuSistemaFacturacion XML of the records of a status (pending by default)
+ * @param {Object} options - { status, limit }
+ * @returns {Promise<{ xml: string|null, count: number }>}
+ */
+async function exportBatch(clinicDb, facilityId, options = {}) {
+  const records = await loadBatchRecords(clinicDb, facilityId, options.status || 'pending', options.limit);
+  if (records.length === 0) return { xml: null, count: 0 };
+
+  return { xml: registry.buildBatchXml(records, batchIssuer(records)), count: records.length };
+}
+
+/**
+ * Submit the pending records through the configured transport and store the
+ * answer of each record. Records without an answer stay pending.
+ *
+ * @param {Object} options - { billingSettings, actor, limit }
+ * @returns {Promise<Object>} { batchId, provider, status, csv, submitted, accepted, rejected, testMode }
+ */
+async function submitPending(clinicDb, facilityId, options = {}) {
+  const { billingSettings = {}, actor = null } = options;
+
+  const transport = getVerifactuTransport(getSettings(billingSettings));
+  if (!transport) throw new Error('Unknown VeriFactu transport');
+  if (!transport.isConfigured()) throw new Error(`VeriFactu transport "${transport.getName()}" is not configured`);
+
+  const records = await loadBatchRecords(clinicDb, facilityId, 'pending', options.limit);
+  if (records.length === 0) {
+    return { batchId: null, provider: transport.getName(), status: null, submitted: 0, accepted: 0, rejected: 0 };
+  }
+
+  const batchId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const xml = registry.buildBatchXml(records, batchIssuer(records));
+  const response = await transport.submit({ batchId, xml, records });
+  if (!response.success) {
+    throw new Error(`VeriFactu submission failed: ${response.error}`);
+  }
+
+  const answers = new Map(response.lines.map(line => [line.invoiceNumber, line]));
+  const submittedAt = new Date();
+  let accepted = 0;
+  let rejected = 0;
+
+  await clinicDb.transaction(async (t) => {
+    for (const record of records) {
+      const answer = answers.get(record.invoice_number);
+      if (!answer) continue;
+
+      if (answer.status === 'rejected') rejected += 1;
+      else accepted += 1;
+
+      await record.update({
+        submission_status: answer.status,
+        submission_batch_id: batchId,
+        submitted_at: submittedAt,
+        submission_code: response.csv || null,
+        submission_errors: answer.errorCode
+          ? [{ code: answer.errorCode, message: answer.errorMessage }]
+          : null
+      }, { transaction: t });
+    }
+  });
+
+  logger.info('VeriFactu batch submitted', {
+    facilityId,
+    batchId,
+    provider: response.provider,
+    status: response.status,
+    records: records.length,
+    accepted,
+    rejected
+  });
+
+  await audit(actor, AUDIT_EVENTS.VERIFACTU_BATCH_SUBMITTED, records[0].id,
+    `Submitted VeriFactu batch ${batchId} (${records.length} record(s))`,
+    { before: null, after: { provider: response.provider, status: response.status, accepted, rejected } });
+
+  return {
+    batchId,
+    provider: response.provider,
+    status: response.status,
+    csv: response.csv || null,
+    submitted: records.length,
+    accepted,
+    rejected,
+    testMode: Boolean(response.testMode)
+  };
+}
+
+/**
+ * Recompute the whole chain of the facility
+ */
+async function verifyChain(clinicDb, facilityId) {
+  const InvoiceRegistryRecord = await getModel(clinicDb, 'InvoiceRegistryRecord');
+  const records = await InvoiceRegistryRecord.findAll({
+    where: { facility_id: facilityId },
+    order: [['chain_sequence', 'ASC']]
+  });
+  return registry.verifyChain(records.map(record => record.toJSON()));
+}
+
+module.exports = {
+  appliesTo,
+  registerIssuedDocument,
+  getRecordForDocument,
+  getQrCode,
+  listRecords,
+  exportBatch,
+  submitPending,
+  verifyChain
+};
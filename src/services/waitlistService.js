@@ -0,0 +1,574 @@
+/**
+ * Waitlist Service
+ *
+ * Refills slots freed by cancellations and no-shows:
+ * - handleFreedSlot(): find waiting list entries that fit the freed slot
+ *   (availability checked with planningService.getTreatmentSlots /
+ *   getConsultationSlots), create time-limited offers and send the links
+ * - acceptOffer(): first patient to accept gets the appointment, booked through
+ *   planningService.bookAppointment; the other offers of the group are superseded
+ * - declineOffer() / processExpirations(): when nobody is left on an offer,
+ *   the slot is offered to the next patients on the list
+ *
+ * Offers for one freed slot share an offer_group_id. Accepting locks the whole
+ * group (SELECT ... FOR UPDATE) so two patients can never get the same slot.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { logger } = require('../utils/logger');
+const ModelFactory = require('../base/ModelFactory');
+const planningService = require('./planningService');
+const stateMachineService = require('./appointmentStateMachineService');
+const messagingService = require('./messagingService');
+const { TEMPLATE_TYPES } = require('./messagingService');
+const messageOutboxService = require('./messageOutboxService');
+const emailService = require('./emailService');
+const actionExecutor = require('./appointmentActionExecutorService');
+const { getClinicIdForConnection } = require('../config/connectionManager');
+
+// Entries examined per freed slot (each one costs a slot calculation)
+const MAX_CANDIDATES = 50;
+
+function parsePositiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function getConfig() {
+  return {
+    offersPerSlot: parsePositiveInt(process.env.WAITLIST_OFFERS_PER_SLOT, 3),
+    offerTtlMinutes: parsePositiveInt(process.env.WAITLIST_OFFER_TTL_MINUTES, 120),
+    minNoticeMinutes: parsePositiveInt(process.env.WAITLIST_MIN_NOTICE_MINUTES, 60)
+  };
+}
+
+/**
+ * Local Date for a YYYY-MM-DD date and HH:MM time
+ */
+function slotStartDate(date, time) {
+  return new Date(`${date}T${time.substring(0, 5)}:00`);
+}
+
+/**
+ * Pick the slot to offer inside a freed time window
+ * Slots must start within the window; the freed machine is preferred, then the earliest start.
+ * @param {object[]} slots - Available slots ({ start, end, machineId? })
+ * @param {object} freed - { startTime, endTime, machineId }
+ * @returns {object|null}
+ */
+function pickSlotInWindow(slots, freed) {
+  const inWindow = slots.filter(slot => slot.start >= freed.startTime && slot.start < freed.endTime);
+  if (inWindow.length === 0) return null;
+
+  return [...inWindow].sort((a, b) => {
+    const aSame = freed.machineId && a.machineId === freed.machineId ? 0 : 1;
+    const bSame = freed.machineId && b.machineId === freed.machineId ? 0 : 1;
+    if (aSame !== bSame) return aSame - bSame;
+    return a.start.localeCompare(b.start);
+  })[0];
+}
+
+class WaitlistService {
+  /**
+   * Offer a freed slot to the waiting list
+   * Called when an appointment is cancelled or marked no_show. Never throws
+   * for a single entry: problems are logged and the next entry is tried.
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {Model} appointment - Cancelled / no_show appointment
+   * @param {object} options - { clinicId, baseUrl }
+   * @returns {Promise<{offers: Model[]}>}
+   */
+  async handleFreedSlot(clinicDb, appointment, options = {}) {
+    const WaitlistEntry = await ModelFactory.getModel(clinicDb, 'WaitlistEntry');
+    const WaitlistOffer = await ModelFactory.getModel(clinicDb, 'WaitlistOffer');
+    const Patient = await ModelFactory.getModel(clinicDb, 'Patient');
+    const config = getConfig();
+
+    const date = appointment.appointment_date;
+    const freed = {
+      startTime: appointment.start_time.substring(0, 5),
+      endTime: appointment.end_time.substring(0, 5),
+      machineId: appointment.machine_id
+    };
+
+    const slotStart = slotStartDate(date, freed.startTime);
+    if (slotStart.getTime() - Date.now() < config.minNoticeMinutes * 60 * 1000) {
+      return { offers: [] };
+    }
+
+    const clinicId = options.clinicId || getClinicIdForConnection(clinicDb);
+    if (!clinicId) {
+      logger.warn('Waitlist: cannot build offer links without a clinic ID', { appointmentId: appointment.id });
+      return { offers: [] };
+    }
+
+    // Entries already offered this slot are not asked again
+    const previousOffers = await WaitlistOffer.findAll({
+      where: { source_appointment_id: appointment.id },
+      attributes: ['waitlist_entry_id']
+    });
+    const excludedIds = previousOffers.map(o => o.waitlist_entry_id);
+
+    const where = {
+      status: WaitlistEntry.WAITLIST_STATUS.WAITING,
+      category: appointment.category,
+      date_from: { [Op.lte]: date },
+      date_to: { [Op.gte]: date },
+      patient_id: { [Op.ne]: appointment.patient_id }
+    };
+    if (excludedIds.length > 0) {
+      where.id = { [Op.notIn]: excludedIds };
+    }
+    if (appointment.category === 'consultation') {
+      // Consultations are offered with the same provider
+      where[Op.or] = [{ provider_id: null }, { provider_id: appointment.provider_id }];
+    }
+
+    // Highest priority first, then first come first served
+    const candidates = await WaitlistEntry.findAll({
+      where,
+      include: [{ model: Patient, as: 'patient' }],
+      order: WaitlistEntry.priorityOrder(),
+      limit: MAX_CANDIDATES
+    });
+
+    const settings = await messagingService.getMessagingSettings(clinicDb);
+    const slotCache = new Map();
+    const offers = [];
+    const offerGroupId = crypto.randomUUID();
+    const ttlEnd = Date.now() + config.offerTtlMinutes * 60 * 1000;
+    const expiresAt = new Date(Math.min(ttlEnd, slotStart.getTime()));
+
+    for (const entry of candidates) {
+      if (offers.length >= config.offersPerSlot) break;
+
+      try {
+        const channel = this.resolveChannel(entry.patient, settings);
+        if (!channel) continue;
+
+        const slot = await this.findSlotForEntry(clinicDb, entry, appointment, freed, slotCache);
+        if (!slot) continue;
+
+        const patientConflict = await planningService.checkPatientConflicts(
+          clinicDb, entry.patient_id, date, [{ startTime: slot.start, endTime: slot.end }]
+        );
+        if (patientConflict.hasConflict) continue;
+
+        const offer = await WaitlistOffer.create({
+          waitlist_entry_id: entry.id,
+          offer_group_id: offerGroupId,
+          source_appointment_id: appointment.id,
+          appointment_date: date,
+          start_time: slot.start,
+          end_time: slot.end,
+          machine_id: slot.machineId || null,
+          provider_id: slot.providerId || null,
+          service_id: entry.service_id || appointment.service_id || null,
+          channel,
+          expires_at: expiresAt
+        });
+
+        entry.status = WaitlistEntry.WAITLIST_STATUS.OFFERED;
+        await entry.save();
+
+        await this.sendOffer(clinicDb, offer, entry, { ...options, clinicId });
+        offers.push(offer);
+      } catch (error) {
+        logger.error(`Waitlist: could not offer slot to entry ${entry.id}: ${error.message}`);
+      }
+    }
+
+    if (offers.length > 0) {
+      logger.info(`Waitlist: slot ${date} ${freed.startTime} offered to ${offers.length} patient(s)`, {
+        appointmentId: appointment.id,
+        offerGroupId
+      });
+    }
+
+    return { offers };
+  }
+
+  /**
+   * Find an available slot for an entry inside the freed time window
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {Model} entry - Waiting list entry
+   * @param {Model} appointment - Freed appointment
+   * @param {object} freed - { startTime, endTime, machineId }
+   * @param {Map} slotCache - Slot results per service/provider and duration
+   * @returns {Promise<object|null>} { start, end, machineId, providerId }
+   */
+  async findSlotForEntry(clinicDb, entry, appointment, freed, slotCache = new Map()) {
+    const date = appointment.appointment_date;
+    const duration = entry.duration_minutes;
+    let slots;
+    let providerId = null;
+
+    if (entry.category === 'treatment') {
+      const serviceId = entry.service_id || appointment.service_id;
+      if (!serviceId) return null;
+      if (entry.provider_id && entry.provider_id !== appointment.provider_id) return null;
+
+      const key = `treatment:${serviceId}:${duration}`;
+      if (!slotCache.has(key)) {
+        const result = await planningService.getTreatmentSlots(clinicDb, serviceId, date, duration);
+        slotCache.set(key, result.allSlots || result.slots || []);
+      }
+      slots = slotCache.get(key);
+      providerId = entry.provider_id || null;
+    } else {
+      providerId = appointment.provider_id;
+      if (!providerId) return null;
+
+      const key = `consultation:${providerId}:${duration}`;
+      if (!slotCache.has(key)) {
+        const result = await planningService.getConsultationSlots(clinicDb, providerId, date, duration);
+        slotCache.set(key, result.slots || []);
+      }
+      slots = slotCache.get(key);
+    }
+
+    const fitting = slots.filter(slot => entry.acceptsSlot(date, slot.start, slot.end));
+    const slot = pickSlotInWindow(fitting, freed);
+
+    return slot ? { ...slot, providerId } : null;
+  }
+
+  /**
+   * Channel used to reach a patient: email, or SMS when there is no email
+   * @param {Model} patient - Patient
+   * @param {object} settings - Clinic messaging settings
+   * @returns {string|null} 'email' | 'sms' | null when the patient cannot be reached
+   */
+  resolveChannel(patient, settings) {
+    if (!patient) return null;
+    if (patient.email) return 'email';
+    if (patient.phone && messagingService.isChannelAvailable('sms', settings)) return 'sms';
+    return null;
+  }
+
+  /**
+   * Send the offer link through the message outbox
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {Model} offer - Waitlist offer (channel set)
+   * @param {Model} entry - Waiting list entry (with patient)
+   * @param {object} options - { clinicId, baseUrl }
+   */
+  async sendOffer(clinicDb, offer, entry, options = {}) {
+    const patient = entry.patient;
+    const baseUrl = options.baseUrl || process.env.FRONTEND_URL || 'http://localhost:3000';
+    const offerUrl = `${baseUrl}/waitlist/offer/${options.clinicId}/${offer.token}`;
+    const language = await emailService.resolveLanguageForClinicPatient(patient, clinicDb);
+    const clinicInfo = await emailService.getClinicInfo(clinicDb);
+
+    let serviceName = null;
+    if (offer.service_id) {
+      const ProductService = await ModelFactory.getModel(clinicDb, 'ProductService');
+      const service = await ProductService.findByPk(offer.service_id);
+      serviceName = service ? service.title : null;
+    }
+
+    const expiresAt = new Date(offer.expires_at);
+    const message = await messageOutboxService.enqueue(clinicDb, {
+      channel: offer.channel,
+      templateType: TEMPLATE_TYPES.WAITLIST_OFFER,
+      recipient: {
+        email: patient.email,
+        phone: patient.phone,
+        language,
+        patientName: `${patient.first_name} ${patient.last_name}`
+      },
+      data: {
+        clinicName: clinicInfo.clinicName,
+        logoUrl: clinicInfo.logoUrl,
+        appointmentDate: actionExecutor.formatDate(offer.appointment_date, language),
+        appointmentTime: actionExecutor.formatTime(offer.start_time, language),
+        serviceName,
+        offerUrl,
+        expiresAt: `${actionExecutor.formatDate(expiresAt, language)} ${actionExecutor.formatTime(expiresAt.toTimeString(), language)}`
+      },
+      related: {
+        patientId: patient.id,
+        appointmentId: offer.source_appointment_id
+      }
+    });
+
+    offer.message_id = message.id;
+    await offer.save();
+  }
+
+  /**
+   * Get an offer by its public token, with the entry
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} token - Offer token
+   * @returns {Promise<Model|null>}
+   */
+  async getOfferByToken(clinicDb, token) {
+    const WaitlistOffer = await ModelFactory.getModel(clinicDb, 'WaitlistOffer');
+    const WaitlistEntry = await ModelFactory.getModel(clinicDb, 'WaitlistEntry');
+
+    return await WaitlistOffer.findByToken(token, {
+      include: [{ model: WaitlistEntry, as: 'entry' }]
+    });
+  }
+
+  /**
+   * Accept an offer: book the slot for the patient (first to accept wins)
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} token - Offer token
+   * @returns {Promise<object>} { appointment, offer } or
+   *   { rejected: { reason: 'not_found'|'taken'|'closed'|'expired'|'unavailable', message } }
+   */
+  async acceptOffer(clinicDb, token) {
+    const WaitlistOffer = await ModelFactory.getModel(clinicDb, 'WaitlistOffer');
+    const WaitlistEntry = await ModelFactory.getModel(clinicDb, 'WaitlistEntry');
+    const { OFFER_STATUS } = WaitlistOffer;
+
+    const found = await WaitlistOffer.findByToken(token);
+    if (!found) {
+      return { rejected: { reason: 'not_found', message: 'Offer not found' } };
+    }
+
+    const transaction = await clinicDb.transaction();
+    let appointment;
+    let offer;
+
+    try {
+      // Lock every offer of the group, always in the same order
+      const group = await WaitlistOffer.findAll({
+        where: { offer_group_id: found.offer_group_id },
+        order: [['id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      offer = group.find(o => o.id === found.id);
+
+      const winner = group.find(o => o.status === OFFER_STATUS.ACCEPTED);
+      if (winner || offer.status === OFFER_STATUS.SUPERSEDED) {
+        await transaction.rollback();
+        return { rejected: { reason: 'taken', message: 'This slot has already been booked by another patient' } };
+      }
+
+      if (offer.status !== OFFER_STATUS.PENDING) {
+        await transaction.rollback();
+        return { rejected: { reason: 'closed', message: `Offer is ${offer.status}` } };
+      }
+
+      const entry = await WaitlistEntry.findByPk(offer.waitlist_entry_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!offer.isOpen()) {
+        await offer.close(OFFER_STATUS.EXPIRED, { transaction });
+        await this.releaseEntry(entry, { transaction });
+        await transaction.commit();
+        return { rejected: { reason: 'expired', message: 'Offer has expired' } };
+      }
+
+      const durationMinutes = planningService.timeToMinutes(offer.end_time.substring(0, 5)) -
+        planningService.timeToMinutes(offer.start_time.substring(0, 5));
+
+      // Entries always record the facility; the freed appointment's is a fallback
+      let facilityId = entry.facility_id;
+      if (!facilityId && offer.source_appointment_id) {
+        const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+        const source = await Appointment.findByPk(offer.source_appointment_id, { transaction });
+        facilityId = source ? source.facility_id : null;
+      }
+
+      const booking = await planningService.bookAppointment(clinicDb, {
+        facility_id: facilityId,
+        patient_id: entry.patient_id,
+        category: entry.category,
+        type: entry.category === 'treatment' ? 'procedure' : 'consultation',
+        appointment_date: offer.appointment_date,
+        start_time: offer.start_time.substring(0, 5),
+        end_time: offer.end_time.substring(0, 5),
+        duration_minutes: durationMinutes,
+        machine_id: offer.machine_id,
+        provider_id: offer.provider_id,
+        service_id: offer.service_id,
+        priority: entry.priority,
+        notes: entry.notes || null
+      }, { transaction, checkPatientOverlap: true });
+
+      if (booking.conflict) {
+        await offer.close(OFFER_STATUS.EXPIRED, { transaction });
+        await this.releaseEntry(entry, { transaction });
+        await transaction.commit();
+        return { rejected: { reason: 'unavailable', message: 'This slot is no longer available' } };
+      }
+
+      appointment = booking.appointment;
+
+      offer.appointment_id = appointment.id;
+      await offer.close(OFFER_STATUS.ACCEPTED, { transaction });
+
+      entry.status = WaitlistEntry.WAITLIST_STATUS.BOOKED;
+      entry.appointment_id = appointment.id;
+      await entry.save({ transaction });
+
+      // The other patients of the group go back to the waiting list
+      for (const other of group) {
+        if (other.id === offer.id || other.status !== OFFER_STATUS.PENDING) continue;
+        await other.close(OFFER_STATUS.SUPERSEDED, { transaction });
+        const otherEntry = await WaitlistEntry.findByPk(other.waitlist_entry_id, { transaction });
+        await this.releaseEntry(otherEntry, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Waitlist offer ${offer.id} accepted, appointment ${appointment.id} booked`);
+
+    try {
+      await stateMachineService.scheduleTimedActions(clinicDb, appointment, null);
+    } catch (scheduleError) {
+      logger.warn(`Waitlist: could not schedule timed actions: ${scheduleError.message}`);
+    }
+
+    return { appointment, offer };
+  }
+
+  /**
+   * Decline an offer; the slot goes to the next patients once nobody is left on it
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} token - Offer token
+   * @param {object} options - { clinicId, baseUrl }
+   * @returns {Promise<object>} { offer } or { rejected: { reason, message } }
+   */
+  async declineOffer(clinicDb, token, options = {}) {
+    const WaitlistOffer = await ModelFactory.getModel(clinicDb, 'WaitlistOffer');
+    const WaitlistEntry = await ModelFactory.getModel(clinicDb, 'WaitlistEntry');
+
+    const offer = await WaitlistOffer.findByToken(token);
+    if (!offer) {
+      return { rejected: { reason: 'not_found', message: 'Offer not found' } };
+    }
+    if (offer.status !== WaitlistOffer.OFFER_STATUS.PENDING) {
+      return { rejected: { reason: 'closed', message: `Offer is ${offer.status}` } };
+    }
+
+    await offer.close(WaitlistOffer.OFFER_STATUS.DECLINED);
+    await this.releaseEntry(await WaitlistEntry.findByPk(offer.waitlist_entry_id));
+
+    await this.reofferIfUnanswered(clinicDb, offer.offer_group_id, options);
+
+    return { offer };
+  }
+
+  /**
+   * Expire offers past their deadline and waiting list entries past their window
+   * Run by the job scheduler on every cycle.
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {object} context - { clinicId, baseUrl }
+   * @returns {Promise<object>} { expiredOffers, expiredEntries }
+   */
+  async processExpirations(clinicDb, context = {}) {
+    const WaitlistOffer = await ModelFactory.getModel(clinicDb, 'WaitlistOffer');
+    const WaitlistEntry = await ModelFactory.getModel(clinicDb, 'WaitlistEntry');
+
+    const expired = await WaitlistOffer.findExpired();
+    const groups = new Set();
+
+    for (const offer of expired) {
+      await offer.close(WaitlistOffer.OFFER_STATUS.EXPIRED);
+      await this.releaseEntry(await WaitlistEntry.findByPk(offer.waitlist_entry_id));
+      groups.add(offer.offer_group_id);
+    }
+
+    for (const groupId of groups) {
+      try {
+        await this.reofferIfUnanswered(clinicDb, groupId, context);
+      } catch (error) {
+        logger.error(`Waitlist: could not re-offer slot of group ${groupId}: ${error.message}`);
+      }
+    }
+
+    const today = new Date().toISOString().substring(0, 10);
+    const [expiredEntries] = await WaitlistEntry.update(
+      { status: WaitlistEntry.WAITLIST_STATUS.EXPIRED },
+      {
+        where: {
+          status: WaitlistEntry.WAITLIST_STATUS.WAITING,
+          date_to: { [Op.lt]: today }
+        }
+      }
+    );
+
+    return { expiredOffers: expired.length, expiredEntries };
+  }
+
+  /**
+   * Offer the slot of a group to the next patients when no offer is pending or accepted
+   */
+  async reofferIfUnanswered(clinicDb, offerGroupId, options = {}) {
+    const WaitlistOffer = await ModelFactory.getModel(clinicDb, 'WaitlistOffer');
+    const Appointment = await ModelFactory.getModel(clinicDb, 'Appointment');
+    const { OFFER_STATUS } = WaitlistOffer;
+
+    const group = await WaitlistOffer.findAll({ where: { offer_group_id: offerGroupId } });
+    const stillOpen = group.some(o => [OFFER_STATUS.PENDING, OFFER_STATUS.ACCEPTED].includes(o.status));
+    const sourceId = group[0] && group[0].source_appointment_id;
+
+    if (stillOpen || !sourceId) {
+      return { offers: [] };
+    }
+
+    const source = await Appointment.findByPk(sourceId);
+    if (!source || !planningService.FREED_STATUSES.includes(source.status)) {
+      return { offers: [] };
+    }
+
+    return await this.handleFreedSlot(clinicDb, source, options);
+  }
+
+  /**
+   * Remove a patient from the waiting list; pending offers are withdrawn
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} entryId - Waiting list entry ID
+   * @returns {Promise<Model>} Cancelled entry
+   */
+  async cancelEntry(clinicDb, entryId) {
+    const WaitlistEntry = await ModelFactory.getModel(clinicDb, 'WaitlistEntry');
+    const WaitlistOffer = await ModelFactory.getModel(clinicDb, 'WaitlistOffer');
+
+    const entry = await WaitlistEntry.findByPk(entryId);
+    if (!entry) {
+      throw new Error(`Waiting list entry not found: ${entryId}`);
+    }
+
+    const pendingOffers = await WaitlistOffer.findAll({
+      where: { waitlist_entry_id: entry.id, status: WaitlistOffer.OFFER_STATUS.PENDING }
+    });
+    for (const offer of pendingOffers) {
+      await offer.close(WaitlistOffer.OFFER_STATUS.EXPIRED);
+    }
+
+    await entry.cancel();
+
+    for (const offer of pendingOffers) {
+      await this.reofferIfUnanswered(clinicDb, offer.offer_group_id);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Put an entry back on the waiting list after an unanswered offer
+   */
+  async releaseEntry(entry, options = {}) {
+    if (entry && entry.status === 'offered') {
+      entry.status = 'waiting';
+      await entry.save(options);
+    }
+    return entry;
+  }
+}
+
+module.exports = new WaitlistService();
+module.exports.pickSlotInWindow = pickSlotInWindow;
@@ -0,0 +1,230 @@
+/**
+ * Workflow Rules Service
+ *
+ * Per-clinic rules deciding which appointment actions are created:
+ * - on_enter: when the appointment enters a state (e.g. send_consent on confirmed)
+ * - before_appointment: X hours before the appointment (e.g. 48h + 2h reminders)
+ *
+ * Rules are stored in clinic_settings.workflow_rules. While a clinic has not
+ * customised anything (NULL), DEFAULT_WORKFLOW_RULES apply. Conditions restrict
+ * a rule to some appointment types, categories or services.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+/**
+ * Built-in rules (previous hard-coded behaviour of the state machine)
+ */
+const DEFAULT_WORKFLOW_RULES = [
+  {
+    id: 'default-confirmation-email',
+    name: 'Confirmation request 24h before',
+    enabled: true,
+    trigger: 'before_appointment',
+    state: 'scheduled',
+    action: 'confirmation_email',
+    beforeHours: 24,
+    requiresValidation: false,
+    conditions: {}
+  },
+  {
+    id: 'default-send-consent',
+    name: 'Send consent on confirmation',
+    enabled: true,
+    trigger: 'on_enter',
+    state: 'confirmed',
+    action: 'send_consent',
+    requiresValidation: false,
+    conditions: {}
+  },
+  {
+    id: 'default-send-quote',
+    name: 'Send quote on confirmation',
+    enabled: true,
+    trigger: 'on_enter',
+    state: 'confirmed',
+    action: 'send_quote',
+    requiresValidation: true,
+    conditions: {}
+  },
+  {
+    id: 'default-prepare-invoice',
+    name: 'Prepare invoice on completion',
+    enabled: true,
+    trigger: 'on_enter',
+    state: 'completed',
+    action: 'prepare_invoice',
+    requiresValidation: true,
+    conditions: {}
+  }
+];
+
+/**
+ * Check whether a rule's conditions match an appointment
+ * Empty or missing lists match anything.
+ * @param {object} rule - Workflow rule
+ * @param {object} appointment - Appointment (type, category, service_id)
+ * @returns {boolean}
+ */
+function matchesConditions(rule, appointment) {
+  const conditions = rule.conditions || {};
+  const checks = [
+    ['appointmentTypes', 'excludeAppointmentTypes', appointment.type],
+    ['categories', 'excludeCategories', appointment.category],
+    ['serviceIds', 'excludeServiceIds', appointment.service_id]
+  ];
+
+  for (const [includeKey, excludeKey, value] of checks) {
+    const include = conditions[includeKey];
+    const exclude = conditions[excludeKey];
+
+    if (include && include.length > 0 && !include.includes(value)) {
+      return false;
+    }
+    if (exclude && exclude.length > 0 && exclude.includes(value)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+class WorkflowRulesService {
+  /**
+   * Get the clinic's workflow rules
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @returns {Promise<{rules: object[], isDefault: boolean}>}
+   */
+  async getRules(clinicDb) {
+    try {
+      const [rows] = await clinicDb.query(
+        'SELECT workflow_rules FROM clinic_settings LIMIT 1'
+      );
+      const stored = rows.length > 0 ? rows[0].workflow_rules : null;
+
+      if (Array.isArray(stored)) {
+        return { rules: stored, isDefault: false };
+      }
+    } catch (error) {
+      logger.warn(`Could not load workflow rules, using defaults: ${error.message}`);
+    }
+
+    return { rules: DEFAULT_WORKFLOW_RULES, isDefault: true };
+  }
+
+  /**
+   * Get enabled rules applying to an appointment for a state and trigger
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {Model} appointment - Appointment instance
+   * @param {string} state - Appointment status
+   * @param {string} trigger - 'on_enter' | 'before_appointment'
+   * @returns {Promise<object[]>}
+   */
+  async getMatchingRules(clinicDb, appointment, state, trigger) {
+    const { rules } = await this.getRules(clinicDb);
+
+    return rules.filter(rule =>
+      rule.enabled !== false &&
+      rule.state === state &&
+      rule.trigger === trigger &&
+      matchesConditions(rule, appointment)
+    );
+  }
+
+  /**
+   * Add a rule (the first change copies the default rules into the clinic settings)
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} clinicId - Facility ID of the clinic settings row
+   * @param {object} rule - Validated rule (workflowRuleSchema)
+   * @returns {Promise<object>} Created rule
+   */
+  async addRule(clinicDb, clinicId, rule) {
+    const { rules } = await this.getRules(clinicDb);
+    const created = { id: crypto.randomUUID(), ...rule };
+
+    await this.saveRules(clinicDb, clinicId, [...rules, created]);
+
+    return created;
+  }
+
+  /**
+   * Replace a rule
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} clinicId - Facility ID
+   * @param {string} ruleId - Rule ID
+   * @param {object} rule - Validated rule (workflowRuleSchema)
+   * @returns {Promise<object>} Updated rule
+   */
+  async updateRule(clinicDb, clinicId, ruleId, rule) {
+    const { rules } = await this.getRules(clinicDb);
+    const index = rules.findIndex(r => r.id === ruleId);
+
+    if (index === -1) {
+      throw new Error(`Workflow rule not found: ${ruleId}`);
+    }
+
+    const updated = { id: ruleId, ...rule };
+    const nextRules = [...rules];
+    nextRules[index] = updated;
+
+    await this.saveRules(clinicDb, clinicId, nextRules);
+
+    return updated;
+  }
+
+  /**
+   * Delete a rule
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} clinicId - Facility ID
+   * @param {string} ruleId - Rule ID
+   */
+  async deleteRule(clinicDb, clinicId, ruleId) {
+    const { rules } = await this.getRules(clinicDb);
+    const nextRules = rules.filter(r => r.id !== ruleId);
+
+    if (nextRules.length === rules.length) {
+      throw new Error(`Workflow rule not found: ${ruleId}`);
+    }
+
+    await this.saveRules(clinicDb, clinicId, nextRules);
+  }
+
+  /**
+   * Go back to the built-in default rules
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} clinicId - Facility ID
+   */
+  async resetRules(clinicDb, clinicId) {
+    await this.saveRules(clinicDb, clinicId, null);
+    return { rules: DEFAULT_WORKFLOW_RULES, isDefault: true };
+  }
+
+  /**
+   * Persist the full rule list
+   * @param {Sequelize} clinicDb - Clinic database connection
+   * @param {string} clinicId - Facility ID
+   * @param {object[]|null} rules - Rules (null = defaults)
+   */
+  async saveRules(clinicDb, clinicId, rules) {
+    const [result] = await clinicDb.query(`
+      UPDATE clinic_settings
+      SET workflow_rules = :workflow_rules, updated_at = CURRENT_TIMESTAMP
+      WHERE facility_id = :clinicId
+      RETURNING id
+    `, {
+      replacements: {
+        clinicId,
+        workflow_rules: rules === null ? null : JSON.stringify(rules)
+      }
+    });
+
+    if (result.length === 0) {
+      throw new Error('Clinic settings not found');
+    }
+  }
+}
+
+module.exports = new WorkflowRulesService();
+module.exports.DEFAULT_WORKFLOW_RULES = DEFAULT_WORKFLOW_RULES;
+module.exports.matchesConditions = matchesConditions;
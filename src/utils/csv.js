@@ -0,0 +1,41 @@
+/**
+ * CSV Utility
+ * Minimal RFC 4180 writer for accounting exports:
+ * - fields quoted only when they contain the separator, a quote or a line break
+ * - CRLF line endings
+ * - optional UTF-8 BOM so spreadsheet software detects the encoding
+ *
+ * The default separator is ";" (French spreadsheet locale, decimal comma safe).
+ */
+
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Escape one field
+ */
+function escapeField(value, separator) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (text.includes(separator) || text.includes('"') || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} headers - Column titles
+ * @param {Array<Array>} rows - One array of values per line
+ * @param {Object} [options] - { separator: ';', bom: false }
+ * @returns {string}
+ */
+function toCsv(headers, rows, options = {}) {
+  const separator = options.separator || ';';
+  const lines = [headers, ...rows].map(row => row.map(value => escapeField(value, separator)).join(separator));
+  return `${options.bom ? UTF8_BOM : ''}${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  toCsv,
+  escapeField
+};
@@ -0,0 +1,179 @@
+/**
+ * iCalendar Utility
+ * Minimal RFC 5545 writer for appointment feeds and .ics email attachments:
+ * - VCALENDAR with METHOD (PUBLISH for feeds, REQUEST / CANCEL for invitations)
+ * - VEVENT with UID, SEQUENCE, STATUS, optional ORGANIZER / ATTENDEE
+ *
+ * Appointments are stored as local date + time of the clinic. They are written
+ * in UTC (DTSTART:...Z) so no VTIMEZONE component is needed.
+ */
+
+const PRODUCT_ID = '-//MedicalPro//Planning//FR';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1), never splitting a UTF-8 character
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  // Continuation lines start with a space, which counts in the 75 octets
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as UTC date-time (20260309T083000Z)
+ */
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Offset (ms) of a time zone at an instant: local wall time - UTC
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+
+  const values = {};
+  for (const part of parts) {
+    values[part.type] = part.value;
+  }
+
+  const asUtc = Date.UTC(
+    Number(values.year), Number(values.month) - 1, Number(values.day),
+    Number(values.hour), Number(values.minute), Number(values.second)
+  );
+  return asUtc - timestamp;
+}
+
+/**
+ * Convert a clinic wall-clock date + time to a UTC Date
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM or HH:MM:SS
+ * @param {string} timeZone - IANA zone (Europe/Paris)
+ * @returns {Date}
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Second pass handles instants next to a DST change
+  const offset = getTimeZoneOffset(wallClock, timeZone);
+  const corrected = getTimeZoneOffset(wallClock - offset, timeZone);
+  return new Date(wallClock - corrected);
+}
+
+/**
+ * Build the lines of one VEVENT
+ * @param {object} event - { uid, sequence, start, end, summary, description, location,
+ *   status, stamp, organizer: { email, name }, attendee: { email, name } }
+ * @returns {string[]}
+ */
+function buildEventLines(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(event.stamp || new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.status) {
+    lines.push(`STATUS:${event.status}`);
+  }
+  if (event.organizer && event.organizer.email) {
+    lines.push(`ORGANIZER;CN="${String(event.organizer.name || '').replace(/"/g, '')}":mailto:${event.organizer.email}`);
+  }
+  if (event.attendee && event.attendee.email) {
+    lines.push(`ATTENDEE;CN="${String(event.attendee.name || '').replace(/"/g, '')}";ROLE=REQ-PARTICIPANT;RSVP=FALSE:mailto:${event.attendee.email}`);
+  }
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a complete iCalendar document
+ * @param {object} calendar - { method, name, events }
+ * @returns {string} CRLF-separated, folded iCalendar text
+ */
+function buildCalendar({ method = 'PUBLISH', name = null, events = [] }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const event of events) {
+    lines.push(...buildEventLines(event));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  zonedTimeToUtc,
+  buildCalendar
+};
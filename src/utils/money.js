@@ -0,0 +1,21 @@
+/**
+ * Money Utility
+ * Rounding of amounts to the cent, shared by the billing services (totals,
+ * ledger, till, dunning, exports, Factur-X, VeriFactu) so that every amount
+ * is rounded the same way.
+ */
+
+/**
+ * Round an amount to 2 decimals
+ * Number.EPSILON absorbs binary float drift (1.005 → 1.01).
+ * @param {number|string} n - Amount; numeric strings (DECIMAL columns) are parsed,
+ *   anything that is not a number counts as 0
+ * @returns {number}
+ */
+function round2(n) {
+  return Math.round(((parseFloat(n) || 0) + Number.EPSILON) * 100) / 100;
+}
+
+module.exports = {
+  round2
+};
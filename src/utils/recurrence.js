@@ -0,0 +1,250 @@
+/**
+ * Recurrence Utility
+ * RRULE subset (RFC 5545) for recurring appointment series:
+ * - FREQ=DAILY | WEEKLY | MONTHLY
+ * - INTERVAL, COUNT, UNTIL
+ * - BYDAY (weekly only, e.g. BYDAY=MO,TH)
+ * Exceptions (EXDATE) are passed separately as YYYY-MM-DD dates.
+ *
+ * All dates are handled as YYYY-MM-DD strings in UTC to avoid timezone drift.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Hard limits so a bad rule cannot create thousands of appointments
+const MAX_OCCURRENCES = 200;
+const MAX_SPAN_DAYS = 2 * 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse YYYY-MM-DD to a UTC Date
+ */
+function toUtcDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a UTC Date as YYYY-MM-DD
+ */
+function formatDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+function addDays(dateStr, days) {
+  const date = toUtcDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+/**
+ * Parse an RRULE string into a recurrence object
+ * @param {string} rrule - e.g. "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,TH;COUNT=10"
+ * @returns {Object} { frequency, interval, byWeekday, count, until }
+ */
+function parseRRule(rrule) {
+  const rule = { interval: 1 };
+  const body = String(rrule).trim().replace(/^RRULE:/i, '');
+
+  for (const part of body.split(';').filter(Boolean)) {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        rule.frequency = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInt(value, 10);
+        break;
+      case 'COUNT':
+        rule.count = parseInt(value, 10);
+        break;
+      case 'UNTIL': {
+        // 20250630 or 20250630T235959Z
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!match) {
+          throw new Error(`Invalid UNTIL value: ${rawValue}`);
+        }
+        rule.until = `${match[1]}-${match[2]}-${match[3]}`;
+        break;
+      }
+      case 'BYDAY':
+        rule.byWeekday = value.split(',').map(code => {
+          const index = WEEKDAY_CODES.indexOf(code.trim());
+          if (index === -1) {
+            throw new Error(`Unsupported BYDAY value: ${code}`);
+          }
+          return index;
+        });
+        break;
+      case 'WKST':
+        // Weeks always start on Monday
+        break;
+      default:
+        throw new Error(`Unsupported RRULE part: ${key}`);
+    }
+  }
+
+  return normalizeRecurrence(rule);
+}
+
+/**
+ * Validate and normalize a recurrence object
+ * @param {Object} recurrence - { frequency, interval, byWeekday, count, until }
+ * @returns {Object} Normalized recurrence
+ */
+function normalizeRecurrence(recurrence) {
+  const frequency = recurrence.frequency && recurrence.frequency.toLowerCase();
+
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`Unsupported recurrence frequency: ${recurrence.frequency}`);
+  }
+
+  const interval = recurrence.interval || 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Recurrence interval must be a positive integer');
+  }
+
+  if (!recurrence.count && !recurrence.until) {
+    throw new Error('Recurrence requires COUNT or UNTIL');
+  }
+
+  if (recurrence.count && (!Number.isInteger(recurrence.count) || recurrence.count < 1)) {
+    throw new Error('Recurrence count must be a positive integer');
+  }
+
+  if (recurrence.until && !DATE_PATTERN.test(recurrence.until)) {
+    throw new Error('Recurrence until must be a YYYY-MM-DD date');
+  }
+
+  const normalized = { frequency, interval };
+
+  if (frequency === 'weekly' && recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    normalized.byWeekday = [...new Set(recurrence.byWeekday)].sort((a, b) => a - b);
+  }
+  if (recurrence.count) normalized.count = recurrence.count;
+  if (recurrence.until) normalized.until = recurrence.until;
+
+  return normalized;
+}
+
+/**
+ * Format a recurrence object as an RRULE string
+ * @param {Object} recurrence - Normalized recurrence
+ * @returns {string}
+ */
+function formatRRule(recurrence) {
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+
+  if (recurrence.interval && recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.byWeekday && recurrence.byWeekday.length > 0) {
+    parts.push(`BYDAY=${recurrence.byWeekday.map(day => WEEKDAY_CODES[day]).join(',')}`);
+  }
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  }
+  if (recurrence.until) {
+    parts.push(`UNTIL=${recurrence.until.replace(/-/g, '')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Candidate dates for a rule, in order (before COUNT/UNTIL/exceptions)
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {Object} recurrence - Normalized recurrence
+ * @returns {Generator<string>}
+ */
+function* candidateDates(startDate, recurrence) {
+  const start = toUtcDate(startDate);
+  const { frequency, interval } = recurrence;
+
+  if (frequency === 'daily') {
+    for (let i = 0; ; i++) {
+      yield addDays(startDate, i * interval);
+    }
+  }
+
+  if (frequency === 'weekly') {
+    const byWeekday = recurrence.byWeekday || [start.getUTCDay()];
+    // Monday-based offsets (Sunday = 6)
+    const offsets = byWeekday.map(day => (day + 6) % 7).sort((a, b) => a - b);
+    const weekStart = addDays(startDate, -((start.getUTCDay() + 6) % 7));
+
+    for (let week = 0; ; week += interval) {
+      for (const offset of offsets) {
+        const date = addDays(weekStart, week * 7 + offset);
+        if (date >= startDate) {
+          yield date;
+        }
+      }
+    }
+  }
+
+  if (frequency === 'monthly') {
+    const day = start.getUTCDate();
+    for (let i = 0; ; i += interval) {
+      const candidate = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, day));
+      // Months without this day (e.g. the 31st) are skipped, as in RFC 5545
+      if (candidate.getUTCDate() === day) {
+        yield formatDate(candidate);
+      }
+    }
+  }
+}
+
+/**
+ * Expand a recurrence into occurrence dates
+ * Occurrences are the dates matching the rule on or after the start date.
+ * As in RFC 5545, COUNT is applied before exceptions are removed.
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {Object} recurrence - Recurrence (normalized or raw)
+ * @param {string[]} exceptions - Dates to exclude (YYYY-MM-DD)
+ * @returns {string[]} Occurrence dates (YYYY-MM-DD)
+ */
+function expandOccurrences(startDate, recurrence, exceptions = []) {
+  const rule = normalizeRecurrence(recurrence);
+  const lastAllowed = addDays(startDate, MAX_SPAN_DAYS);
+  const excluded = new Set(exceptions);
+  const dates = [];
+  let generated = 0;
+
+  for (const date of candidateDates(startDate, rule)) {
+    if (rule.until && date > rule.until) break;
+    if (rule.count && generated >= rule.count) break;
+
+    if (date > lastAllowed) {
+      throw new Error(`Recurrence cannot span more than ${MAX_SPAN_DAYS} days`);
+    }
+
+    generated++;
+    if (!excluded.has(date)) {
+      dates.push(date);
+    }
+
+    if (dates.length > MAX_OCCURRENCES) {
+      throw new Error(`Recurrence cannot generate more than ${MAX_OCCURRENCES} occurrences`);
+    }
+  }
+
+  return dates;
+}
+
+module.exports = {
+  parseRRule,
+  normalizeRecurrence,
+  formatRRule,
+  expandOccurrences,
+  addDays,
+  MAX_OCCURRENCES
+};
@@ -0,0 +1,113 @@
+/**
+ * Resource Capacity Utility
+ * Availability of planning resources with a capacity:
+ * - machines and assistants: capacity 1 (exclusive)
+ * - rooms: capacity N (e.g. infusion room with 3 chairs)
+ *
+ * All times are minutes since midnight. An appointment occupies its resources
+ * from (start - prep_before) to (end + prep_after): installation and cleaning
+ * time is not usable by another patient.
+ */
+
+/**
+ * Interval during which an appointment occupies its resources
+ * @param {number} start - Appointment start (minutes)
+ * @param {number} end - Appointment end (minutes)
+ * @param {number} prepBefore - Preparation before (minutes)
+ * @param {number} prepAfter - Time after (minutes)
+ * @returns {Object} { start, end }
+ */
+function occupiedInterval(start, end, prepBefore = 0, prepAfter = 0) {
+  return {
+    start: start - (prepBefore || 0),
+    end: end + (prepAfter || 0)
+  };
+}
+
+/**
+ * Check if two intervals overlap (touching intervals do not)
+ */
+function intervalsOverlap(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Check if an interval lies entirely within one of the opening ranges
+ * @param {Object} interval - { start, end }
+ * @param {Array} ranges - [{ start, end }] in minutes
+ */
+function fitsInRanges(interval, ranges) {
+  return ranges.some(range => interval.start >= range.start && interval.end <= range.end);
+}
+
+/**
+ * Highest number of intervals in use at the same instant within a window
+ * @param {Array} intervals - [{ start, end }]
+ * @param {Object} window - { start, end }
+ * @returns {number}
+ */
+function maxConcurrent(intervals, window) {
+  const events = [];
+  for (const interval of intervals) {
+    if (!intervalsOverlap(interval, window)) continue;
+    events.push({ at: Math.max(interval.start, window.start), delta: 1 });
+    events.push({ at: Math.min(interval.end, window.end), delta: -1 });
+  }
+
+  // At the same instant, an interval ending frees its place before the next one starts
+  events.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+  let current = 0;
+  let max = 0;
+  for (const event of events) {
+    current += event.delta;
+    max = Math.max(max, current);
+  }
+  return max;
+}
+
+/**
+ * Check if a resource can host one more appointment during the window
+ * @param {Array} intervals - Intervals already using the resource
+ * @param {Object} window - { start, end }
+ * @param {number} capacity - Simultaneous appointments allowed
+ */
+function hasCapacity(intervals, window, capacity = 1) {
+  return maxConcurrent(intervals, window) < (capacity || 1);
+}
+
+/**
+ * Resources able to host the window, in the given order
+ * @param {Array} resources - [{ id, capacity }] (capacity defaults to 1)
+ * @param {Object} busyById - { [resourceId]: [{ start, end }] } existing bookings
+ * @param {Object} window - { start, end }
+ * @param {Array} allocations - [{ resourceId, start, end }] already taken by the
+ *   slot being built (e.g. previous segments of a multi-treatment session)
+ * @returns {Array}
+ */
+function findFreeResources(resources, busyById, window, allocations = []) {
+  return resources.filter(resource => {
+    const busy = (busyById[resource.id] || []).concat(
+      allocations.filter(allocation => allocation.resourceId === resource.id)
+    );
+    return hasCapacity(busy, window, resource.capacity || 1);
+  });
+}
+
+/**
+ * First resource able to host the window, or null
+ * @see findFreeResources
+ */
+function pickResource(resources, busyById, window, allocations = []) {
+  return findFreeResources(resources, busyById, window, allocations)[0] || null;
+}
+
+module.exports = {
+  occupiedInterval,
+  intervalsOverlap,
+  fitsInRanges,
+  maxConcurrent,
+  hasCapacity,
+  findFreeResources,
+  pickResource
+};
@@ -0,0 +1,127 @@
+/**
+ * Tests - Export comptable (FEC et journal CSV)
+ *
+ * Vérifie les écritures générées à partir des factures, avoirs et règlements
+ * (ventilation par taux de TVA, comptes de trésorerie par mode de paiement,
+ * équilibre débit / crédit), le format du FEC et l'exercice comptable.
+ */
+
+const {
+  resolveAccountingSettings, buildDocumentEntry, buildPaymentEntry, buildEntries, buildFec, buildJournalCsv,
+  getFiscalPeriod, FEC_COLUMNS
+} = require('../../src/services/accountingExportService');
+
+const settings = resolveAccountingSettings({
+  accounting: {
+    revenueAccounts: { 20: { number: '706200', label: 'Prestations TVA 20 %' } },
+    vatAccounts: { 20: { number: '445712', label: 'TVA collectée 20 %' } },
+    paymentAccounts: { card: { number: '512100', label: 'Banque CB' } }
+  }
+});
+
+const invoice = {
+  document_type: 'invoice',
+  document_number: 'FA-2026-000010',
+  issue_date: '2026-03-02',
+  buyer_name: 'Jean Dupont',
+  patient_number: 'P000123',
+  total: '150.00',
+  // Exempt consultation + taxable product (base not rounded, as stored)
+  tax_details: [
+    { rate: 0, categoryCode: 'E', base: 100, amount: 0 },
+    { rate: 20, categoryCode: 'S', base: 41.666666, amount: 8.33 }
+  ]
+};
+
+const sum = (lines, side) => Math.round(lines.reduce((s, l) => s + l[side], 0) * 100) / 100;
+
+describe('Accounting export - settings', () => {
+  it('keeps the PCG defaults for whatever the clinic did not map', () => {
+    expect(settings.customerAccount.number).toBe('411000');
+    expect(settings.revenueAccounts.default.number).toBe('706000');
+    expect(settings.revenueAccounts['20'].number).toBe('706200');
+    expect(settings.paymentAccounts.cash.number).toBe('530000');
+    expect(settings.paymentAccounts.card.number).toBe('512100');
+    expect(settings.journals.sales.code).toBe('VT');
+  });
+
+  it('spans the fiscal year from its first month', () => {
+    expect(getFiscalPeriod(2026)).toEqual({ from: '2026-01-01', to: '2026-12-31' });
+    expect(getFiscalPeriod(2026, 7)).toEqual({ from: '2026-07-01', to: '2027-06-30' });
+    expect(getFiscalPeriod(2027, 3)).toEqual({ from: '2027-03-01', to: '2028-02-29' });
+  });
+});
+
+describe('Accounting export - entries', () => {
+  it('debits the customer and credits revenue and VAT per rate', () => {
+    const entry = buildDocumentEntry(invoice, settings);
+    expect(entry.journal.code).toBe('VT');
+    expect(entry.lines.map(l => [l.account, l.debit, l.credit])).toEqual([
+      ['411000', 150, 0],
+      ['706000', 0, 100],
+      ['706200', 0, 41.67],
+      ['445712', 0, 8.33]
+    ]);
+    expect(entry.lines[0]).toMatchObject({ auxNumber: 'P000123', auxLabel: 'Jean Dupont' });
+  });
+
+  it('puts the rounding cent on the largest revenue line', () => {
+    const entry = buildDocumentEntry({ ...invoice, total: '150.01' }, settings);
+    expect(sum(entry.lines, 'debit')).toBe(sum(entry.lines, 'credit'));
+    expect(entry.lines[1]).toMatchObject({ account: '706000', credit: 100.01 });
+  });
+
+  it('reverses every line of a credit note', () => {
+    const entry = buildDocumentEntry({ ...invoice, document_type: 'credit_note', document_number: 'AV-2026-000001' }, settings);
+    expect(entry.label).toBe('Avoir AV-2026-000001 Jean Dupont');
+    expect(entry.lines[0]).toMatchObject({ account: '411000', debit: 0, credit: 150 });
+    expect(entry.lines[3]).toMatchObject({ account: '445712', debit: 8.33, credit: 0 });
+  });
+
+  it('records payments in the bank or cash journal of their method', () => {
+    const payment = { payment_type: 'payment', payment_date: '2026-03-05', amount: '150.00', document_number: 'FA-2026-000010', buyer_name: 'Jean Dupont', patient_number: 'P000123' };
+
+    const card = buildPaymentEntry({ ...payment, payment_method: 'card' }, settings);
+    expect(card.journal.code).toBe('BQ');
+    expect(card.lines.map(l => [l.account, l.debit, l.credit])).toEqual([['512100', 150, 0], ['411000', 0, 150]]);
+
+    const cash = buildPaymentEntry({ ...payment, payment_method: 'cash' }, settings);
+    expect(cash.journal.code).toBe('CA');
+    expect(cash.lines[0].account).toBe('530000');
+
+    const refund = buildPaymentEntry({ ...payment, payment_type: 'refund', payment_method: 'transfer' }, settings);
+    expect(refund.lines.map(l => [l.account, l.debit, l.credit])).toEqual([['512000', 0, 150], ['411000', 150, 0]]);
+  });
+
+  it('sorts entries by date and numbers them per journal', () => {
+    const payment = { payment_type: 'payment', payment_method: 'card', payment_date: '2026-03-01', amount: '20', document_number: 'FA-2026-000001' };
+    const entries = buildEntries([invoice, { ...invoice, document_number: 'FA-2026-000011', issue_date: '2026-03-04' }], [payment], settings);
+    expect(entries.map(e => e.number)).toEqual(['BQ000001', 'VT000001', 'VT000002']);
+  });
+});
+
+describe('Accounting export - files', () => {
+  const entries = buildEntries([invoice], [], settings);
+
+  it('writes the 18 FEC columns with decimal commas and compact dates', () => {
+    const { filename, content } = buildFec(entries, { siren: '123 456 789', closingDate: '2026-12-31' });
+    expect(filename).toBe('123456789FEC20261231.txt');
+
+    const lines = content.trim().split('\r\n');
+    expect(lines[0]).toBe(FEC_COLUMNS.join('|'));
+    expect(lines).toHaveLength(5);
+    expect(lines[1]).toBe('VT|Journal des ventes|VT000001|20260302|411000|Clients|P000123|Jean Dupont|FA-2026-000010|20260302|Facture FA-2026-000010 Jean Dupont|150,00|0,00|||20260302||');
+    expect(lines.every(line => line.split('|').length === 18)).toBe(true);
+  });
+
+  it('keeps separators out of free text', () => {
+    const { content } = buildFec(buildEntries([{ ...invoice, buyer_name: 'Dupont | Martin\nSCM' }], [], settings), { siren: '123456789', closingDate: '2026-12-31' });
+    expect(content.trim().split('\r\n')[1].split('|')).toHaveLength(18);
+  });
+
+  it('exports the journal as CSV', () => {
+    const lines = buildJournalCsv(entries).replace(/^﻿/, '').trim().split('\r\n');
+    expect(lines[0]).toBe('Journal;N° écriture;Date;Pièce;Compte;Libellé compte;Compte auxiliaire;Tiers;Libellé;Débit;Crédit');
+    expect(lines[2]).toBe('VT;VT000001;2026-03-02;FA-2026-000010;706000;Prestations de services;;;Facture FA-2026-000010 Jean Dupont;;100,00');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests - Fournisseur médicaments France (BDPM)
+ *
+ * Vérifie l'indexation des fichiers plats de la BDPM (spécialités,
+ * composition, présentations, groupes génériques), la recherche par nom,
+ * substance ou code CIP, le détail normalisé et l'extraction des sections
+ * du RCP.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BdpmProvider, buildBdpmIndex, extractRcpSection, BDPM_FILES } = require('../../src/services/medication/BdpmProvider');
+const { getMedicationProvider, getMedicationProviderForSource } = require('../../src/services/medication/medicationProviderFactory');
+
+const row = (...fields) => fields.join('\t');
+
+const files = {
+  specialties: [
+    row('60234100', 'DOLIPRANE 1000 mg, comprimé', 'comprimé', 'orale', 'Autorisation active', 'Procédure nationale', 'Commercialisée', '09/07/2002', '', '', ' OPELLA HEALTHCARE FRANCE', 'Non'),
+    row('64793681', 'PARACETAMOL BIOGARAN 1000 mg, comprimé', 'comprimé', 'orale', 'Autorisation active', 'Procédure nationale', 'Commercialisée', '18/03/2004', '', '', ' BIOGARAN', 'Non'),
+    row('61266250', 'AMOXICILLINE ARROW 500 mg, gélule', 'gélule', 'orale', 'Autorisation active', 'Procédure nationale', 'Non commercialisée', '12/01/1998', '', '', ' ARROW GENERIQUES', 'Non'),
+    row('69126985', 'ACTIFED RHUME, comprimé', 'comprimé', 'orale;nasale', 'Autorisation active', 'Procédure nationale', 'Commercialisée', '01/01/1990', '', '', ' JOHNSON', 'Oui')
+  ].join('\r\n'),
+  compositions: [
+    row('60234100', 'comprimé', '02202', 'PARACÉTAMOL', '1000 mg', 'un comprimé', 'SA', '1'),
+    row('64793681', 'comprimé', '02202', 'PARACÉTAMOL', '1000 mg', 'un comprimé', 'SA', '1'),
+    row('61266250', 'gélule', '00331', 'AMOXICILLINE TRIHYDRATÉE', '573,90 mg', 'une gélule', 'SA', '1'),
+    row('61266250', 'gélule', '00330', 'AMOXICILLINE', '500 mg', 'une gélule', 'FT', '1'),
+    row('69126985', 'comprimé', '02202', 'PARACÉTAMOL', '500 mg', 'un comprimé', 'SA', '1'),
+    row('69126985', 'comprimé', '03035', 'PSEUDOÉPHÉDRINE (CHLORHYDRATE DE)', '60 mg', 'un comprimé', 'SA', '2')
+  ].join('\n'),
+  presentations: [
+    row('60234100', '3400936', 'plaquette(s) PVC aluminium de 8 comprimé(s)', 'Présentation active', 'Déclaration de commercialisation', '16/03/2011', '3400933989120', 'oui', '65%', '1,16', '2,18', '1,02', ''),
+    row('64793681', '3585614', 'plaquette(s) de 8 comprimé(s)', 'Présentation active', "Déclaration d'arrêt de commercialisation", '01/06/2020', '3400935856147', 'non', '', '', '', '', '')
+  ].join('\n'),
+  generics: [
+    row('1368', 'PARACETAMOL 1000 mg - DOLIPRANE 1000 mg, comprimé', '60234100', '0', '1'),
+    row('1368', 'PARACETAMOL 1000 mg - DOLIPRANE 1000 mg, comprimé', '64793681', '1', '2')
+  ].join('\n')
+};
+
+describe('BDPM - index', () => {
+  const index = buildBdpmIndex(files);
+
+  it('indexes every medication with its presentations and generic group', () => {
+    expect(index.medications.size).toBe(4);
+    expect(index.byCip.get('3400933989120')).toBe('60234100');
+    expect(index.byCip.get('3400936')).toBe('60234100');
+
+    const doliprane = index.medications.get('60234100');
+    expect(doliprane.labName).toBe('OPELLA HEALTHCARE FRANCE');
+    expect(doliprane.authorizationDate).toBe('2002-07-09');
+    expect(doliprane.presentations[0]).toMatchObject({ cip13: '3400933989120', reimbursementRate: '65%', price: 1.16, isMarketed: true });
+    expect(doliprane.genericGroup).toEqual({ id: '1368', label: 'PARACETAMOL 1000 mg - DOLIPRANE 1000 mg, comprimé', type: 'princeps' });
+    expect(index.medications.get('64793681').presentations[0].isMarketed).toBe(false);
+  });
+
+  it('keeps the therapeutic fraction rather than the salt', () => {
+    expect(index.medications.get('61266250').components).toEqual([
+      { name: 'AMOXICILLINE', amount: '500', unit: 'mg', reference: 'une gélule', substanceCode: '00330' }
+    ]);
+  });
+
+  it('splits administration routes and reads the marketing status', () => {
+    const actifed = index.medications.get('69126985');
+    expect(actifed.administrationRoutes).toEqual(['orale', 'nasale']);
+    expect(actifed.enhancedMonitoring).toBe(true);
+    expect(index.medications.get('61266250').isMarketed).toBe(false);
+  });
+});
+
+describe('BDPM - provider', () => {
+  let dataDir;
+  let provider;
+
+  beforeAll(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bdpm-'));
+    // Official exports are Windows-1252 encoded
+    for (const [key, file] of Object.entries(BDPM_FILES)) {
+      fs.writeFileSync(path.join(dataDir, file), Buffer.from(files[key], 'latin1'));
+    }
+    provider = new BdpmProvider({ dataDir });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('finds medications by name or substance without accents, marketed first', async () => {
+    const byName = await provider.search('doliprane');
+    expect(byName.map(m => m.cis)).toEqual(['60234100']);
+
+    const bySubstance = await provider.search('paracetamol');
+    expect(bySubstance.map(m => m.cis)).toEqual(['64793681', '69126985', '60234100']);
+
+    const byStrength = await provider.search('paracetamol 1000');
+    expect(byStrength.map(m => m.cis)).toEqual(['60234100', '64793681']);
+    expect(byStrength[0]).toMatchObject({
+      source: 'bdpm',
+      nregistro: '60234100',
+      name: 'DOLIPRANE 1000 mg, comprimé',
+      activeIngredients: [{ name: 'PARACÉTAMOL', amount: '1000', unit: 'mg' }],
+      dosage: '1000 mg',
+      isMarketed: true
+    });
+
+    expect((await provider.search('pseudoéphéd')).map(m => m.cis)).toEqual(['69126985']);
+  });
+
+  it('finds a medication by CIP13 or CIS code', async () => {
+    expect((await provider.search('3400933989120'))[0].cis).toBe('60234100');
+    expect((await provider.search('61266250'))[0].name).toBe('AMOXICILLINE ARROW 500 mg, gélule');
+  });
+
+  it('returns the detail with the other members of the generic group', async () => {
+    const detail = await provider.getDetail('60234100');
+    expect(detail.labName).toBe('OPELLA HEALTHCARE FRANCE');
+    expect(detail.genericGroup.members).toEqual([{ cis: '64793681', type: 'generic' }]);
+    expect(detail.docs[0].url).toContain('specid=60234100&typedoc=R');
+    expect(await provider.getDetail('00000000')).toBeNull();
+  });
+
+  it('reports the size of the index after a refresh', async () => {
+    const stats = await provider.refresh();
+    expect(stats).toMatchObject({ medications: 4, presentations: 2, genericGroups: 1 });
+  });
+
+  it('returns no result when the files are missing', async () => {
+    const empty = new BdpmProvider({ dataDir: path.join(dataDir, 'missing') });
+    expect(await empty.search('doliprane')).toEqual([]);
+    await expect(empty.refresh()).rejects.toThrow('BDPM files not found');
+  });
+});
+
+describe('BDPM - RCP sections', () => {
+  const html = `
+    <p class="AmmAnnexeTitre1">4. DONNEES CLINIQUES</p>
+    <p class="AmmAnnexeTitre2"><a name="RcpIndicTherap"></a>4.1. Indications thérapeutiques</p>
+    <p class="AmmCorpsTexte">Traitement symptomatique des douleurs.</p>
+    <p class="AmmAnnexeTitre2"><a name="RcpPosoAdmin"></a>4.2. Posologie et mode d'administration</p>
+    <p class="AmmCorpsTexte">1 comprimé par prise, à renouveler au bout de 4 heures.</p>
+    <p class="AmmAnnexeTitre2"><a name="RcpContreindications"></a>4.3. Contre-indications</p>
+    <p class="AmmCorpsTexte">Insuffisance hépatocellulaire.</p>
+    <p class="AmmAnnexeTitre2">4.4. Mises en garde spéciales</p>`;
+
+  it('extracts a section up to the next heading', () => {
+    expect(extractRcpSection(html, '4.2')).toBe('<p class="AmmCorpsTexte">1 comprimé par prise, à renouveler au bout de 4 heures.</p>');
+    expect(extractRcpSection(html, '4.3')).toContain('Insuffisance hépatocellulaire');
+    expect(extractRcpSection(html, '4.5')).toBeNull();
+  });
+});
+
+describe('BDPM - provider factory', () => {
+  it('serves France with the BDPM and Spain with CIMA', () => {
+    expect(getMedicationProvider('fr')).toBeInstanceOf(BdpmProvider);
+    expect(getMedicationProvider('ES').countryCode).toBe('ES');
+    expect(getMedicationProviderForSource('bdpm')).toBe(getMedicationProvider('FR'));
+    expect(getMedicationProviderForSource('custom')).toBeNull();
+  });
+});
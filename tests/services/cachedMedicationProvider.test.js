@@ -0,0 +1,200 @@
+/**
+ * Tests - Catalogue local des médicaments (CIMA)
+ *
+ * Vérifie que la recherche et le détail sont servis depuis le catalogue,
+ * que les fiches expirées sont renvoyées puis rafraîchies en arrière-plan,
+ * que la recherche continue de fonctionner quand CIMA est indisponible et
+ * que le préchargement parcourt toutes les pages.
+ */
+
+const { CachedMedicationProvider } = require('../../src/services/medication/CachedMedicationProvider');
+const { tokenize } = require('../../src/services/medication/medicationCatalogStore');
+
+const HOUR = 3600 * 1000;
+
+const medication = (nregistro, name, extra = {}) => ({
+  source: 'cima',
+  nregistro,
+  name,
+  activeIngredients: [],
+  isMarketed: true,
+  ...extra
+});
+
+// In-memory stand-in for the medication_catalog table
+function createStore() {
+  const rows = new Map();
+  return {
+    rows,
+    available: true,
+    put(summary, expiresAt, values = {}) {
+      rows.set(summary.nregistro, { summary, expiresAt, detail: null, detailExpiresAt: null, sections: {}, ...values });
+    },
+    async search(source, query, { limit }) {
+      if (!this.available) throw new Error('connect ECONNREFUSED');
+      const tokens = tokenize(query.toLowerCase());
+      return [...rows.values()]
+        .filter(row => tokens.every(token => row.summary.name.toLowerCase().includes(token)))
+        .slice(0, limit);
+    },
+    async get(source, id) {
+      if (!this.available) throw new Error('connect ECONNREFUSED');
+      return rows.get(id) || null;
+    },
+    upsertSummaries: jest.fn(async function (source, medications) {
+      medications.forEach(m => this.put(m, new Date(Date.now() + HOUR)));
+      return medications.length;
+    }),
+    saveDetail: jest.fn(async function (source, detail) {
+      this.put(detail, new Date(Date.now() + HOUR), { detail, detailExpiresAt: new Date(Date.now() + HOUR) });
+    }),
+    saveSection: jest.fn(async function (source, id, section, html) {
+      rows.get(id).sections[section] = { html, fetchedAt: new Date().toISOString() };
+    })
+  };
+}
+
+function createUpstream() {
+  return {
+    countryCode: 'ES',
+    fetchSearch: jest.fn(async () => []),
+    fetchDetail: jest.fn(async () => null),
+    fetchSection: jest.fn(async () => null),
+    fetchPage: jest.fn(),
+    search: jest.fn(async () => []),
+    getDetail: jest.fn(async () => null)
+  };
+}
+
+// Let background refreshes settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Medication catalog - search', () => {
+  let store;
+  let upstream;
+  let provider;
+
+  beforeEach(() => {
+    store = createStore();
+    upstream = createUpstream();
+    provider = new CachedMedicationProvider(upstream, { source: 'cima', store });
+  });
+
+  it('fetches an unknown query from CIMA once and serves it from the catalog afterwards', async () => {
+    upstream.fetchSearch.mockResolvedValue([
+      medication('62825', 'IBUPROFENO CINFA 600 mg'),
+      medication('64741', 'IBUPROFENO KERN 400 mg')
+    ]);
+
+    const first = await provider.search('ibuprofeno', { limit: 1 });
+    expect(first.map(m => m.nregistro)).toEqual(['62825']);
+    expect(upstream.fetchSearch).toHaveBeenCalledWith('ibuprofeno', { limit: 50 });
+    expect(store.rows.size).toBe(2);
+
+    const second = await provider.search('ibuprofeno');
+    await flush();
+    expect(second.map(m => m.nregistro)).toEqual(['62825', '64741']);
+    expect(upstream.fetchSearch).toHaveBeenCalledTimes(1);
+
+    // A new query is answered locally, CIMA is only asked in the background
+    const third = await provider.search('ibuprofeno 400');
+    await flush();
+    expect(third.map(m => m.nregistro)).toEqual(['64741']);
+    expect(upstream.fetchSearch).toHaveBeenLastCalledWith('ibuprofeno 400', { limit: 50 });
+  });
+
+  it('returns stale records at once and refreshes them in the background', async () => {
+    store.put(medication('62825', 'IBUPROFENO CINFA 600 mg'), new Date(Date.now() - HOUR));
+    let release;
+    upstream.fetchSearch.mockReturnValue(new Promise(resolve => { release = resolve; }));
+
+    const [first, second] = await Promise.all([provider.search('ibuprofeno'), provider.search('Ibuprofeno')]);
+    expect(first.map(m => m.nregistro)).toEqual(['62825']);
+    expect(second).toEqual(first);
+    expect(upstream.fetchSearch).toHaveBeenCalledTimes(1);
+
+    release([medication('62825', 'IBUPROFENO CINFA 600 mg comprimidos')]);
+    await flush();
+    expect(store.rows.get('62825').summary.name).toBe('IBUPROFENO CINFA 600 mg comprimidos');
+  });
+
+  it('keeps answering from the catalog when CIMA is down', async () => {
+    store.put(medication('62825', 'IBUPROFENO CINFA 600 mg'), new Date(Date.now() - HOUR));
+    upstream.fetchSearch.mockRejectedValue(new Error('network timeout'));
+
+    const results = await provider.search('ibuprofeno');
+    await flush();
+    expect(results.map(m => m.nregistro)).toEqual(['62825']);
+
+    expect(await provider.search('paracetamol')).toEqual([]);
+    expect(await provider.search('paracetamol')).toEqual([]);
+    // The failed query is not sent again on every keystroke
+    expect(upstream.fetchSearch.mock.calls.filter(([q]) => q === 'paracetamol')).toHaveLength(1);
+  });
+
+  it('searches CIMA live when the catalog database is unavailable', async () => {
+    store.available = false;
+    upstream.search.mockResolvedValue([medication('62825', 'IBUPROFENO CINFA 600 mg')]);
+
+    const results = await provider.search('ibuprofeno', { limit: 10 });
+    expect(results).toHaveLength(1);
+    expect(upstream.search).toHaveBeenCalledWith('ibuprofeno', { limit: 10 });
+  });
+});
+
+describe('Medication catalog - detail and sections', () => {
+  let store;
+  let upstream;
+  let provider;
+
+  beforeEach(() => {
+    store = createStore();
+    upstream = createUpstream();
+    provider = new CachedMedicationProvider(upstream, { source: 'cima', store });
+  });
+
+  it('stores a fetched detail and serves it from the catalog afterwards', async () => {
+    upstream.fetchDetail.mockResolvedValue(medication('62825', 'IBUPROFENO CINFA 600 mg', { labName: 'Cinfa' }));
+
+    expect((await provider.getDetail('62825')).labName).toBe('Cinfa');
+    expect((await provider.getDetail('62825')).labName).toBe('Cinfa');
+    expect(upstream.fetchDetail).toHaveBeenCalledTimes(1);
+    expect(store.saveDetail).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not store medications unknown to CIMA', async () => {
+    expect(await provider.getDetail('00000')).toBeNull();
+    expect(store.saveDetail).not.toHaveBeenCalled();
+  });
+
+  it('keeps a section next to its medication', async () => {
+    upstream.fetchDetail.mockResolvedValue(medication('62825', 'IBUPROFENO CINFA 600 mg'));
+    upstream.fetchSection.mockResolvedValue('<p>Adultos: 600 mg cada 8 horas</p>');
+
+    expect(await provider.getPosology('62825')).toBe('<p>Adultos: 600 mg cada 8 horas</p>');
+    expect(store.rows.get('62825').sections['4.2'].html).toBe('<p>Adultos: 600 mg cada 8 horas</p>');
+
+    upstream.fetchSection.mockRejectedValue(new Error('network timeout'));
+    expect(await provider.getPosology('62825')).toBe('<p>Adultos: 600 mg cada 8 horas</p>');
+    expect(upstream.fetchSection).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Medication catalog - warm-up', () => {
+  it('loads every page of the marketed medications', async () => {
+    const store = createStore();
+    const upstream = createUpstream();
+    upstream.fetchPage.mockImplementation(async (page) => ({
+      results: page < 3 ? [medication(`${page}1`, `MED ${page}A`), medication(`${page}2`, `MED ${page}B`)] : [medication('31', 'MED 3A')],
+      total: 5,
+      page,
+      pageSize: 2
+    }));
+    const provider = new CachedMedicationProvider(upstream, { source: 'cima', store });
+
+    const result = await provider.warmUp({ delayMs: 0 });
+    expect(result).toMatchObject({ pages: 3, medications: 5, total: 5 });
+    expect(upstream.fetchPage).toHaveBeenCalledTimes(3);
+    expect(store.rows.size).toBe(5);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests - Validation Factur-X
+ *
+ * Vérifie le XML CII généré contre les XSD officiels de chaque profil, les
+ * règles métier EN 16931 (totaux BR-CO, ventilation TVA, règles BR-S) et le
+ * conteneur PDF/A-3 (pièce jointe factur-x.xml, métadonnées XMP).
+ */
+
+const facturxService = require('../../src/services/facturxService');
+const pdfService = require('../../src/services/pdfService');
+const { validateAgainstXsd } = require('../../src/services/facturx/xsdValidator');
+const { checkBusinessRules, parseInvoice } = require('../../src/services/facturx/businessRules');
+const { checkPdfContainer } = require('../../src/services/facturx/pdfContainer');
+
+const PROFILES = ['MINIMUM', 'BASIC', 'EN16931', 'EXTENDED'];
+
+function buildInvoice(overrides = {}) {
+  return {
+    document_type: 'invoice',
+    document_number: 'FA-2026-0042',
+    issue_date: '2026-03-12',
+    due_date: '2026-04-11',
+    currency: 'EUR',
+    seller_name: 'Cabinet Médical des Lilas',
+    seller_address: { line1: '12 rue des Lilas', postalCode: '75019', city: 'Paris', country: 'FR' },
+    seller_siren: '123456789',
+    seller_vat_number: 'FR12123456789',
+    seller_email: 'facturation@lilas.example',
+    buyer_name: 'Jeanne Martin',
+    buyer_address: { line1: '3 avenue Simon Bolivar', postalCode: '75019', city: 'Paris', country: 'FR' },
+    subtotal: '150.00',
+    discount_amount: '0',
+    tax_amount: '30.00',
+    total: '180.00',
+    amount_paid: '0',
+    ...overrides
+  };
+}
+
+const items = [
+  { description: 'Séance de kinésithérapie', quantity: 2, unit_price: '50.00', tax_rate: '20', line_net_amount: '100.00' },
+  { description: 'Bilan postural', quantity: 1, unit_price: '50.00', tax_rate: '20', line_net_amount: '50.00' }
+];
+
+const ruleIds = (report) => report.errors.map(e => e.rule);
+
+describe('Factur-X - XSD validation', () => {
+  it.each(PROFILES)('accepts the generated XML for the %s profile', async (profile) => {
+    const xml = facturxService.generateXML(buildInvoice(), items, profile);
+    const result = await validateAgainstXsd(xml, profile);
+
+    expect(result.errors).toEqual([]);
+    expect(result.valid).toBe(true);
+    expect(result.schema).toBe(`Factur-X_1.07.3_${profile}.xsd`);
+  });
+
+  it('accepts a credit note with a global discount and a partial payment', async () => {
+    const creditNote = buildInvoice({
+      document_type: 'credit_note',
+      discount_amount: '15.00',
+      subtotal: '150.00',
+      tax_amount: '27.00',
+      total: '162.00',
+      amount_paid: '50.00',
+      tax_details: [{ rate: 20, base: 135, amount: 27 }]
+    });
+    const xml = facturxService.generateXML(creditNote, items, 'EN16931');
+
+    expect((await validateAgainstXsd(xml, 'EN16931')).valid).toBe(true);
+    expect(checkBusinessRules(xml, 'EN16931').errors).toEqual([]);
+  });
+
+  it('reports schema errors with prefixed element names and line numbers', async () => {
+    const xml = facturxService.generateXML(buildInvoice(), items, 'EN16931')
+      .replace('<ram:TypeCode>380</ram:TypeCode>', '<ram:Kind>380</ram:Kind>');
+    const result = await validateAgainstXsd(xml, 'EN16931');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors[0].message).toContain("'ram:Kind'");
+    expect(result.errors[0].line).toEqual(expect.any(Number));
+  });
+
+  it('rejects an unknown profile', async () => {
+    await expect(validateAgainstXsd('<x/>', 'XRECHNUNG')).rejects.toThrow('Unsupported Factur-X profile');
+  });
+});
+
+describe('Factur-X - EN 16931 business rules', () => {
+  it('passes a consistent invoice on every profile', () => {
+    for (const profile of PROFILES) {
+      const xml = facturxService.generateXML(buildInvoice(), items, profile);
+      expect(checkBusinessRules(xml, profile)).toMatchObject({ valid: true, errors: [] });
+    }
+  });
+
+  it('only checks the header and total rules on MINIMUM', () => {
+    const xml = facturxService.generateXML(buildInvoice(), items, 'MINIMUM');
+    const { checked } = checkBusinessRules(xml, 'MINIMUM');
+
+    expect(checked).toContain('BR-CO-15');
+    expect(checked).not.toContain('BR-CO-10');
+    expect(checked).not.toContain('BR-S-08');
+  });
+
+  it('reads the semantic model back from the XML', () => {
+    const invoice = parseInvoice(facturxService.generateXML(buildInvoice(), items, 'EN16931'));
+
+    expect(invoice.number).toBe('FA-2026-0042');
+    expect(invoice.typeCode).toBe('380');
+    expect(invoice.seller.vatId).toBe('FR12123456789');
+    expect(invoice.lines.map(l => l.netAmount)).toEqual([100, 50]);
+    expect(invoice.vatBreakdown).toEqual([
+      expect.objectContaining({ category: 'S', rate: 20, taxableAmount: 150, taxAmount: 30 })
+    ]);
+  });
+
+  it('flags BR-CO-10 when the line total does not match the lines', () => {
+    const xml = facturxService.generateXML(buildInvoice({ subtotal: '160.00', total: '190.00' }), items, 'EN16931');
+    const report = checkBusinessRules(xml, 'EN16931');
+
+    expect(report.valid).toBe(false);
+    expect(ruleIds(report)).toContain('BR-CO-10');
+  });
+
+  it('flags the VAT breakdown when the stored tax details disagree with the lines', () => {
+    const invoice = buildInvoice({ tax_details: [{ rate: 20, base: 150, amount: 25 }] });
+    const report = checkBusinessRules(facturxService.generateXML(invoice, items, 'EN16931'), 'EN16931');
+
+    expect(ruleIds(report)).toEqual(expect.arrayContaining(['BR-CO-14', 'BR-CO-17', 'BR-S-09']));
+    expect(report.errors.find(e => e.rule === 'BR-S-09').location).toBe('VAT S 20.00%');
+  });
+
+  it('flags BR-S-05 on a standard rated line at 0%', () => {
+    const zeroRated = [{ ...items[0], tax_rate: '0' }, items[1]];
+    const invoice = buildInvoice({ tax_amount: '10.00', total: '160.00' });
+    const report = checkBusinessRules(facturxService.generateXML(invoice, zeroRated, 'EN16931'), 'EN16931');
+
+    expect(report.errors).toContainEqual(expect.objectContaining({ rule: 'BR-S-05', location: 'Line 1' }));
+  });
+
+  it('flags BR-S-02 when the seller has no VAT identifier', () => {
+    const invoice = buildInvoice({ seller_vat_number: null });
+    const report = checkBusinessRules(facturxService.generateXML(invoice, items, 'EN16931'), 'EN16931');
+
+    expect(ruleIds(report)).toEqual(['BR-S-02']);
+  });
+
+  it('flags BR-S-08 when the discount is not spread on the VAT breakdown', () => {
+    const xml = facturxService.generateXML(buildInvoice({
+      discount_amount: '15.00',
+      tax_amount: '27.00',
+      total: '162.00',
+      tax_details: [{ rate: 20, base: 135, amount: 27 }]
+    }), items, 'EN16931')
+      // drop the allowance but keep the totals
+      .replace(/<ram:SpecifiedTradeAllowanceCharge>[\s\S]*<\/ram:SpecifiedTradeAllowanceCharge>/, '');
+    const report = checkBusinessRules(xml, 'EN16931');
+
+    expect(ruleIds(report)).toEqual(expect.arrayContaining(['BR-CO-11', 'BR-S-08']));
+  });
+
+  it('reports unreadable XML instead of throwing', () => {
+    const report = checkBusinessRules('<Invoice/>', 'EN16931');
+
+    expect(report.valid).toBe(false);
+    expect(report.errors[0].rule).toBe('XML');
+  });
+});
+
+describe('Factur-X - PDF/A-3 container and full report', () => {
+  let pdfBuffer;
+  const invoice = buildInvoice();
+
+  beforeAll(async () => {
+    const basePdf = await pdfService.generateDocumentPDF(invoice, items, {});
+    pdfBuffer = await pdfService.embedFacturX(basePdf, facturxService.generateXML(invoice, items, 'BASIC'), 'BASIC');
+  });
+
+  it('finds the embedded XML and the XMP identification', async () => {
+    const result = await checkPdfContainer(pdfBuffer, 'BASIC');
+
+    expect(result.errors).toEqual([]);
+    expect(result.xml).toContain('urn:factur-x.eu:1p0:basic');
+  });
+
+  it('flags a conformance level that does not match the profile', async () => {
+    const result = await checkPdfContainer(pdfBuffer, 'EN16931');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors.map(e => e.rule)).toEqual(['FX-XMP-LEVEL']);
+  });
+
+  it('flags a PDF without Factur-X attachment', async () => {
+    const plainPdf = await pdfService.generateDocumentPDF(invoice, items, {});
+    const rules = (await checkPdfContainer(plainPdf, 'BASIC')).errors.map(e => e.rule);
+
+    expect(rules).toEqual(expect.arrayContaining(['PDFA-XMP', 'FX-ATTACHMENT']));
+  });
+
+  it('builds a valid report for the invoice as it is sent', async () => {
+    const report = await facturxService.validateInvoice(invoice, items, 'BASIC', { pdfBuffer });
+
+    expect(report).toMatchObject({ valid: true, profile: 'BASIC' });
+    expect(report.xsd).toMatchObject({ valid: true, schema: 'Factur-X_1.07.3_BASIC.xsd' });
+    expect(report.rules.valid).toBe(true);
+    expect(report.pdf).toEqual({ valid: true, errors: [] });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests - Réponses patients entrantes (SMS / WhatsApp / email)
+ *
+ * Vérifie l'interprétation des réponses, l'extraction du texte d'une réponse
+ * email, la signature des webhooks Twilio et qu'une annulation par le patient
+ * ne déclenche aucune action du workflow. Aucun accès base de données.
+ */
+
+const inboundMessageService = require('../../src/services/inboundMessageService');
+const ModelFactory = require('../../src/base/ModelFactory');
+const stateMachineService = require('../../src/services/appointmentStateMachineService');
+const workflowRulesService = require('../../src/services/workflowRulesService');
+const calendarService = require('../../src/services/calendarService');
+const packageService = require('../../src/services/packageService');
+const { computeTwilioSignature } = require('../../src/routes/public-inbound-messages');
+
+describe('Inbound messages - intent parsing', () => {
+  it.each([
+    ['OUI', 'confirm'],
+    ['oui merci !', 'confirm'],
+    ['Sí', 'confirm'],
+    ['yes', 'confirm'],
+    ['NO', 'cancel'],
+    ['non', 'cancel'],
+    ['Annuler svp', 'cancel'],
+    ['ANULAR', 'cancel'],
+    ['Bonjour, je serai en retard', 'unknown'],
+    ['', 'unknown']
+  ])('parses "%s" as %s', (text, expected) => {
+    expect(inboundMessageService.parseIntent(text)).toBe(expected);
+  });
+});
+
+describe('Inbound messages - email replies', () => {
+  const token = '123e4567-e89b-12d3-a456-426614174000';
+  const body = [
+    'Oui',
+    '',
+    'Le lun. 3 mars 2026, Clinique Test a écrit :',
+    `> Merci de confirmer : https://app.medicalpro.local/appointment/confirm/${token}`
+  ].join('\n');
+
+  it('keeps only the patient reply above the quoted message', () => {
+    expect(inboundMessageService.extractReplyText(body)).toBe('Oui');
+  });
+
+  it('finds the confirmation token in the quoted link', () => {
+    expect(inboundMessageService.extractToken(body)).toBe(token);
+  });
+});
+
+describe('Inbound messages - Twilio signature', () => {
+  it('matches the signature documented by Twilio', () => {
+    const signature = computeTwilioSignature('12345', 'https://mycompany.com/myapp.php?foo=1&bar=2', {
+      CallSid: 'CA1234567890ABCDE',
+      Caller: '+12349013030',
+      Digits: '1234',
+      From: '+12349013030',
+      To: '+18005551212'
+    });
+    expect(signature).toBe('0/KCTR6DLpKmkAf8muzZqo1nDgQ=');
+  });
+});
+
+describe('Inbound messages - patient cancellation', () => {
+  const created = [];
+  const appointment = {
+    id: 'appt-1',
+    status: 'confirmed',
+    appointment_date: '2099-03-02',
+    start_time: '10:00:00',
+    notes: null,
+    save: async () => {},
+    reload: async () => {}
+  };
+
+  beforeEach(() => {
+    created.length = 0;
+    const models = {
+      Appointment: { findByPk: async () => appointment },
+      AppointmentAction: {
+        create: async (values) => { created.push(values); return { id: `action-${created.length}`, ...values }; },
+        update: async () => [0]
+      },
+      ScheduledJob: { cancelForReference: async () => 0, create: async (values) => values }
+    };
+    jest.spyOn(ModelFactory, 'getModel').mockImplementation(async (clinicDb, name) => models[name]);
+    jest.spyOn(workflowRulesService, 'getMatchingRules').mockImplementation(async (clinicDb, appt, status, trigger) => (
+      trigger === 'on_enter'
+        ? [{ id: 'rule-1', action: 'send_cancellation_notice', requiresValidation: false }]
+        : [{ id: 'rule-2', action: 'cancellation_follow_up', beforeHours: 24, requiresValidation: false }]
+    ));
+    jest.spyOn(packageService, 'syncAppointmentCredit').mockResolvedValue(null);
+    jest.spyOn(calendarService, 'notifyPatientOfChange').mockImplementation(() => {});
+    jest.spyOn(stateMachineService, 'offerFreedSlot').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('cancels the appointment without triggering any workflow action', async () => {
+    const result = await inboundMessageService.applyIntent({}, appointment, 'cancel', 'sms');
+
+    expect(result).toMatchObject({ action: 'cancel', previousStatus: 'confirmed', newStatus: 'cancelled' });
+    expect(appointment.status).toBe('cancelled');
+    expect(created).toEqual([]);
+  });
+
+  it('still skips only the listed actions otherwise', () => {
+    expect(stateMachineService.isActionSkipped(['*'], 'send_consent')).toBe(true);
+    expect(stateMachineService.isActionSkipped(['send_quote'], 'send_consent')).toBe(false);
+    expect(stateMachineService.isActionSkipped(undefined, 'send_consent')).toBe(false);
+  });
+});
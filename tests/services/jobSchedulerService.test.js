@@ -0,0 +1,151 @@
+/**
+ * Tests - Planificateur de tâches
+ *
+ * Vérifie la limite de concurrence utilisée pour traiter les cliniques
+ * et les tâches d'une clinique, le parcours des cliniques provisionnées,
+ * le verrou par clinique et l'isolation des traitements périodiques
+ * (liste d'attente, relances, ordonnances, messages) entre eux.
+ */
+
+// Central and clinic connections are replaced: no database is opened
+jest.mock('../../src/config/connectionManager', () => ({
+  initializeCentralConnection: jest.fn(),
+  getClinicConnection: jest.fn()
+}));
+
+const { initializeCentralConnection, getClinicConnection } = require('../../src/config/connectionManager');
+const ModelFactory = require('../../src/base/ModelFactory');
+const jobScheduler = require('../../src/services/jobSchedulerService');
+const { runWithConcurrency } = require('../../src/services/jobSchedulerService');
+const waitlistService = require('../../src/services/waitlistService');
+const dunningService = require('../../src/services/dunningService');
+const prescriptionRenewalService = require('../../src/services/prescriptionRenewalService');
+const messageOutboxService = require('../../src/services/messageOutboxService');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Job scheduler - runWithConcurrency', () => {
+  it('never runs more workers than the limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    await runWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+      running += 1;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(5);
+      running -= 1;
+    });
+
+    expect(maxRunning).toBe(3);
+  });
+
+  it('returns results in item order', async () => {
+    const results = await runWithConcurrency([30, 10, 20], 2, async (ms) => {
+      await delay(ms);
+      return ms * 2;
+    });
+
+    expect(results).toEqual([60, 20, 40]);
+  });
+
+  it('handles an empty list', async () => {
+    const worker = jest.fn();
+    await expect(runWithConcurrency([], 3, worker)).resolves.toEqual([]);
+    expect(worker).not.toHaveBeenCalled();
+  });
+});
+
+describe('Job scheduler - clinics', () => {
+  const clinics = [
+    { id: 'clinic-a', name: 'Clinique A' },
+    { id: 'clinic-b', name: 'Clinique B' },
+    { id: 'clinic-c', name: 'Clinique C' }
+  ];
+  let centralDb;
+  let clinicDbs;
+
+  // Clinic database: the advisory lock query answers `locked`
+  const buildClinicDb = (id, locked = true) => ({
+    id,
+    transaction: jest.fn(async (work) => work({ id: `tx-${id}` })),
+    query: jest.fn(async () => [{ locked }])
+  });
+
+  beforeEach(() => {
+    centralDb = { query: jest.fn(async () => clinics) };
+    clinicDbs = Object.fromEntries(clinics.map(clinic => [clinic.id, buildClinicDb(clinic.id)]));
+    initializeCentralConnection.mockResolvedValue(centralDb);
+    getClinicConnection.mockImplementation(async (id) => clinicDbs[id]);
+
+    jest.spyOn(ModelFactory, 'getModel').mockResolvedValue({
+      releaseStale: jest.fn(async () => [0]),
+      findDueJobs: jest.fn(async () => [])
+    });
+    jest.spyOn(waitlistService, 'processExpirations').mockResolvedValue({ expiredOffers: 0, expiredEntries: 0 });
+    jest.spyOn(dunningService, 'processDunning').mockResolvedValue({ markedOverdue: 0, sent: 0, stopped: 0, failed: 0 });
+    jest.spyOn(prescriptionRenewalService, 'processExpiryWarnings').mockResolvedValue({ warned: 0, practitioners: 0, failed: 0 });
+    jest.spyOn(messageOutboxService, 'processDue').mockResolvedValue({ processed: 0, sent: 0, failed: 0, retrying: 0, skipped: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('processes every provisioned and active clinic of the central database', async () => {
+    const summary = await jobScheduler.processAllClinics();
+
+    expect(centralDb.query.mock.calls[0][0]).toMatch(/clinic_db_provisioned = true\s+AND is_active = true/);
+    expect(getClinicConnection.mock.calls.map(call => call[0])).toEqual(['clinic-a', 'clinic-b', 'clinic-c']);
+    expect(summary).toMatchObject({ clinics: 3, skipped: 0, errors: 0 });
+    expect(messageOutboxService.processDue).toHaveBeenCalledTimes(3);
+  });
+
+  it('goes on with the other clinics when one cannot be reached', async () => {
+    getClinicConnection.mockImplementation(async (id) => {
+      if (id === 'clinic-b') throw new Error('connection refused');
+      return clinicDbs[id];
+    });
+
+    const summary = await jobScheduler.processAllClinics();
+
+    expect(summary).toMatchObject({ clinics: 3, errors: 1 });
+    expect(messageOutboxService.processDue.mock.calls.map(call => call[0].id)).toEqual(['clinic-a', 'clinic-c']);
+  });
+
+  it('skips a clinic whose scheduler lock is held by another instance', async () => {
+    clinicDbs['clinic-b'] = buildClinicDb('clinic-b', false);
+
+    const summary = await jobScheduler.processAllClinics();
+
+    expect(summary).toMatchObject({ clinics: 3, skipped: 1, errors: 0 });
+    expect(clinicDbs['clinic-b'].query.mock.calls[0][0]).toContain('pg_try_advisory_xact_lock');
+    expect(clinicDbs['clinic-b'].query.mock.calls[0][1].transaction).toEqual({ id: 'tx-clinic-b' });
+    expect(dunningService.processDunning.mock.calls.map(call => call[0].id)).toEqual(['clinic-a', 'clinic-c']);
+  });
+
+  it('runs every periodic task of a clinic even when another one fails', async () => {
+    waitlistService.processExpirations.mockRejectedValue(new Error('waitlist down'));
+    dunningService.processDunning.mockRejectedValue(new Error('dunning down'));
+
+    const result = await jobScheduler.processDueJobs(clinicDbs['clinic-a'], { clinicId: 'clinic-a' });
+
+    expect(result.waitlist).toMatchObject({ error: 'waitlist down' });
+    expect(result.dunning).toMatchObject({ error: 'dunning down' });
+    expect(result.prescriptionExpiry).toEqual({ warned: 0, practitioners: 0, failed: 0 });
+    expect(result.outbox).toMatchObject({ processed: 0 });
+    expect(messageOutboxService.processDue).toHaveBeenCalledWith(clinicDbs['clinic-a']);
+  });
+
+  it('still delivers the outbox when the prescription warnings fail', async () => {
+    prescriptionRenewalService.processExpiryWarnings.mockRejectedValue(new Error('smtp down'));
+    messageOutboxService.processDue.mockRejectedValue(new Error('outbox down'));
+
+    const result = await jobScheduler.processDueJobs(clinicDbs['clinic-a']);
+
+    expect(result.prescriptionExpiry).toMatchObject({ warned: 0, error: 'smtp down' });
+    expect(result.outbox).toMatchObject({ processed: 0, error: 'outbox down' });
+    expect(result.waitlist).toEqual({ expiredOffers: 0, expiredEntries: 0 });
+    expect(messageOutboxService.processDue).toHaveBeenCalledTimes(1);
+  });
+});
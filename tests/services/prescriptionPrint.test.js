@@ -0,0 +1,112 @@
+/**
+ * Tests - Impression des ordonnances
+ *
+ * Vérifie le rendu PDF (ordonnance française bizone, receta espagnole,
+ * duplicata), la reprise des données depuis les instantanés patient /
+ * praticien et ce que l'endpoint public de vérification laisse paraître.
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const pdfService = require('../../src/services/pdfService');
+const {
+  buildPrescriber,
+  buildPatient,
+  resolveCountry,
+  getVerificationUrl,
+  toPublicVerification
+} = require('../../src/services/prescriptionPrintService');
+
+const prescription = {
+  prescription_number: 'ORD-2026-03-0042',
+  prescribed_date: '2026-03-15',
+  valid_until: '2026-06-15',
+  status: 'finalized',
+  renewable: true,
+  renewals_remaining: 2,
+  instructions: 'Contrôle de la glycémie à jeun dans 3 mois',
+  medications: [
+    { medication: 'Metformine 1000 mg comprimé', dosage: '1 comprimé', frequency: 'matin et soir', duration: '3 mois', quantity: '3 boîtes', ald: true },
+    { medication: 'Paracétamol 1 g comprimé', dosage: '1 comprimé', frequency: 'si douleur, 3 fois par jour maximum', duration: '5 jours', route: 'oral' }
+  ],
+  provider_snapshot: { firstName: 'Marie', lastName: 'Curie', specialty: 'Médecine générale', rpps: '10001234567' },
+  patient_snapshot: { firstName: 'Jean', lastName: 'Dupont', birthDate: '1958-07-12', gender: 'M' },
+  print_count: 1,
+  last_printed_at: '2026-03-15T10:12:00.000Z'
+};
+
+describe('Prescription print - PDF', () => {
+  const options = {
+    prescriber: buildPrescriber(prescription.provider_snapshot, null, { name: 'Cabinet Médical Test', address_line1: '1 rue de la Paix', postal_code: '75002', city: 'Paris' }),
+    patient: buildPatient(prescription.patient_snapshot, null, { weight: 82 }),
+    verificationUrl: getVerificationUrl('0b9c4f3e-4b7a-4a53-9f43-1d2c3b4a5e6f', 'a'.repeat(64))
+  };
+
+  it('renders a bizone ordonnance with the verification QR code', async () => {
+    const pdf = await pdfService.generatePrescriptionPDF(prescription, { ...options, country: 'FR' });
+    expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+    expect((await PDFDocument.load(pdf)).getTitle()).toBe('ORDONNANCE ORD-2026-03-0042');
+  });
+
+  it('renders a Spanish receta marked as duplicate on every page', async () => {
+    const long = {
+      ...prescription,
+      medications: Array.from({ length: 12 }, (_, i) => ({ ...prescription.medications[1], medication: `Paracetamol Kern ${i + 1}` }))
+    };
+    const pdf = await pdfService.generatePrescriptionPDF(long, { ...options, country: 'ES', duplicate: true });
+    const document = await PDFDocument.load(pdf);
+    expect(document.getTitle()).toBe('RECETA MÉDICA ORD-2026-03-0042');
+    expect(document.getPageCount()).toBeGreaterThan(1);
+  });
+});
+
+describe('Prescription print - snapshots', () => {
+  const provider = { title: 'Dr', first_name: 'Marie', last_name: 'Sklodowska', profession: 'Médecin', specialties: [], adeli: '751234567', order_number: null };
+  const facility = { name: 'Centro Médico', address_line1: 'Calle Mayor 1', postal_code: '28013', city: 'Madrid', country: 'ES', phone: '910000000', finess: null };
+
+  it('prefers the snapshot and completes it with the current records', () => {
+    const prescriber = buildPrescriber({ firstName: 'Marie', lastName: 'Curie', rpps: '10001234567', clinic_info: { name: 'Cabinet Curie' } }, provider, facility);
+    expect(prescriber).toMatchObject({
+      name: 'Dr Marie Curie',
+      specialty: 'Médecin',
+      rpps: '10001234567',
+      adeli: '751234567',
+      facilityName: 'Cabinet Curie',
+      address: { line1: 'Calle Mayor 1', postalCode: '28013', city: 'Madrid' },
+      phone: '910000000'
+    });
+  });
+
+  it('prints older prescriptions from the patient record', () => {
+    const patient = buildPatient({}, { first_name: 'Lucía', last_name: 'García', birth_date: '2019-04-02', gender: 'female', id_number: '12345678Z' }, { weight: '18,5' });
+    expect(patient).toEqual({ name: 'Lucía García', birthDate: '2019-04-02', gender: 'female', idNumber: '12345678Z', weightKg: 18.5 });
+  });
+
+  it('uses the facility country for the layout', () => {
+    expect(resolveCountry(facility, 'fr')).toBe('ES');
+    expect(resolveCountry(null, 'es')).toBe('ES');
+    expect(resolveCountry({ country: null }, undefined)).toBe('FR');
+  });
+});
+
+describe('Prescription print - public verification', () => {
+  it('confirms the prescription without the patient nor the medications', () => {
+    const result = toPublicVerification(prescription, '2026-04-01');
+    expect(result).toEqual({
+      valid: true,
+      status: 'valid',
+      prescriptionNumber: 'ORD-2026-03-0042',
+      prescribedDate: '2026-03-15',
+      validUntil: '2026-06-15',
+      prescriber: { name: 'Marie Curie', rpps: '10001234567', orderNumber: null },
+      medicationCount: 2,
+      printCount: 1,
+      lastPrintedAt: '2026-03-15T10:12:00.000Z'
+    });
+    expect(JSON.stringify(result)).not.toMatch(/Dupont|Metformine/);
+  });
+
+  it('reports expired and cancelled prescriptions as invalid', () => {
+    expect(toPublicVerification(prescription, '2026-07-01')).toMatchObject({ valid: false, status: 'expired' });
+    expect(toPublicVerification({ ...prescription, status: 'cancelled' }, '2026-04-01')).toMatchObject({ valid: false, status: 'cancelled' });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests - Contrôles de sécurité des ordonnances
+ *
+ * Vérifie les alertes levées par le moteur de sécurité : allergies (molécule,
+ * classe, allergie croisée), âge minimum et doses pédiatriques / gériatriques,
+ * pathologies chroniques, grossesse, ainsi que le motif de dérogation exigé
+ * pour les alertes bloquantes.
+ */
+
+const {
+  buildSafetyProfile,
+  evaluatePrescription,
+  resolveOverrides
+} = require('../../src/services/prescriptionSafetyService');
+const { parseIntake, parseIntakesPerDay, ingredientMgPerIntake } = require('../../src/services/prescriptionSafety/dosage');
+
+const ON_DATE = '2026-03-15';
+
+const amoxicillin = {
+  medication: 'Amoxicilina Normon 500 mg cápsulas',
+  nregistro: '62954',
+  atcCode: 'J01CA04',
+  activeIngredients: [{ name: 'AMOXICILINA TRIHIDRATO', amount: '500', unit: 'mg' }],
+  dosage: '1 cápsula',
+  frequency: 'cada 8 horas'
+};
+
+const cefuroxime = {
+  medication: 'Cefuroxima Aurobindo 500 mg',
+  nregistro: '71234',
+  atcCode: 'J01DC02',
+  activeIngredients: [{ name: 'CEFUROXIMA AXETILO', amount: '500', unit: 'mg' }],
+  dosage: '1 comprimido',
+  frequency: 'cada 12 horas'
+};
+
+const ibuprofen = (dosage, frequency) => ({
+  medication: 'Ibuprofeno Cinfa 600 mg',
+  nregistro: '62825',
+  activeIngredients: [{ name: 'IBUPROFENO', amount: '600', unit: 'mg' }],
+  dosage,
+  frequency
+});
+
+const profile = (patient, options = {}) => buildSafetyProfile({ patient, onDate: ON_DATE, ...options });
+
+describe('Prescription safety - patient profile', () => {
+  it('merges free-text and structured allergies and conditions', () => {
+    const result = profile(
+      { birth_date: '1950-06-01', gender: 'F', allergies: 'Alergia a la penicilina; polen, ninguna', chronic_conditions: 'Asma' },
+      {
+        medicalRecords: [
+          { allergies: [{ allergen: 'Penicilina', severity: 'severe' }], chronic_conditions: [{ condition: 'Insuficiencia renal crónica', status: 'active' }], vital_signs: { weight: '62,5' } },
+          { chronic_conditions: [{ condition: 'Úlcera duodenal', status: 'resolved' }], vital_signs: { weight: 70 } }
+        ]
+      }
+    );
+
+    expect(result.allergies.map(a => a.text)).toEqual(['penicilina', 'polen']);
+    expect(result.conditions.map(c => c.text)).toEqual(['asma', 'insuficiencia renal cronica']);
+    expect(result.ageYears).toBe(75);
+    expect(result.weightKg).toBe(62.5);
+  });
+
+  it('ignores the pregnancy status of male patients', () => {
+    expect(profile({ gender: 'M', pregnancy_status: 'pregnant' }).pregnancyStatus).toBeNull();
+    expect(profile({ gender: 'F', pregnancy_status: 'breastfeeding' }).pregnancyStatus).toBe('breastfeeding');
+  });
+});
+
+describe('Prescription safety - allergies', () => {
+  const allergic = profile({ birth_date: '1980-01-01', allergies: 'Penicilina' });
+
+  it('blocks a medication of the allergen class', () => {
+    const [alert] = evaluatePrescription([amoxicillin], allergic);
+    expect(alert).toMatchObject({
+      type: 'allergy',
+      severity: 'contraindicated',
+      blocking: true,
+      code: 'allergy:penicillins:62954',
+      medications: ['Amoxicilina Normon 500 mg cápsulas']
+    });
+  });
+
+  it('warns about cross-reactivity without blocking', () => {
+    const [alert] = evaluatePrescription([cefuroxime], allergic);
+    expect(alert).toMatchObject({ type: 'allergy', severity: 'moderate', blocking: false });
+  });
+
+  it('matches an allergy to the molecule itself on a free-text line', () => {
+    const alerts = evaluatePrescription(
+      [{ medication: 'Metamizol 575 mg', dosage: '1', frequency: 'cada 8 horas' }],
+      profile({ birth_date: '1980-01-01', allergies: 'Metamizol' })
+    );
+    expect(alerts.map(a => a.code)).toEqual(['allergy:direct:metamizol:metamizol_575_mg']);
+  });
+});
+
+describe('Prescription safety - age and doses', () => {
+  it('checks paediatric doses against the weight', () => {
+    const child = profile({ birth_date: '2019-01-10' }, { vitalSigns: { weight: 20 } });
+    const paracetamol = {
+      medication: 'Apiretal 100 mg/ml solución oral',
+      activeIngredients: [{ name: 'PARACETAMOL', amount: '100', unit: 'mg/ml' }],
+      dosage: '5 ml',
+      frequency: 'cada 6 horas'
+    };
+
+    // 500 mg per intake for 20 kg: maximum 300 mg per intake, 1200 mg per day
+    const alerts = evaluatePrescription([paracetamol], child);
+    expect(alerts.map(a => [a.code, a.severity])).toEqual([
+      ['dose:paracetamol:single:apiretal_100_mg_ml_solucion_oral', 'high'],
+      ['dose:paracetamol:daily:apiretal_100_mg_ml_solucion_oral', 'high']
+    ]);
+    expect(alerts[1].details).toMatchObject({ doseMg: 2000, maxMg: 1200 });
+
+    expect(evaluatePrescription([{ ...paracetamol, dosage: '3 ml' }], child)).toEqual([]);
+  });
+
+  it('asks for the weight of a child instead of guessing', () => {
+    const [alert] = evaluatePrescription([ibuprofen('200 mg', 'cada 8 horas')], profile({ birth_date: '2019-01-10' }));
+    expect(alert).toMatchObject({ type: 'dose', severity: 'info', blocking: false });
+  });
+
+  it('blocks medications below their minimum age', () => {
+    const codeine = {
+      medication: 'Codeisan 28,7 mg',
+      atcCode: 'R05DA04',
+      activeIngredients: [{ name: 'CODEINA FOSFATO', amount: '28.7', unit: 'mg' }],
+      dosage: '1 comprimido',
+      frequency: 'cada 6 horas'
+    };
+    const [alert] = evaluatePrescription([codeine], profile({ birth_date: '2018-05-01' }, { vitalSigns: { weight: 25 } }));
+    expect(alert).toMatchObject({ type: 'age', severity: 'contraindicated', code: 'age:codeine:min:codeisan_28_7_mg' });
+  });
+
+  it('applies the geriatric daily maximum and cautions', () => {
+    const elderly = profile({ birth_date: '1940-02-01' });
+    const alerts = evaluatePrescription([ibuprofen('1 comprimido', '3 veces al día')], elderly);
+
+    expect(alerts.map(a => [a.type, a.severity])).toEqual([['dose', 'high'], ['age', 'moderate']]);
+    expect(alerts[0].warning).toContain('1800 mg pour un maximum de 1200 mg');
+  });
+
+  it('blocks a dose twice above the adult maximum', () => {
+    const [alert] = evaluatePrescription([ibuprofen('2 comprimidos', 'cada 6 horas')], profile({ birth_date: '1980-01-01' }));
+    expect(alert).toMatchObject({ severity: 'contraindicated', details: { scope: 'daily', doseMg: 4800, maxMg: 2400 } });
+  });
+});
+
+describe('Prescription safety - conditions and pregnancy', () => {
+  it('raises graded alerts for contraindicated conditions', () => {
+    const patient = profile({ birth_date: '1970-01-01', chronic_conditions: 'Úlcera péptica, insuficiencia renal' });
+    const alerts = evaluatePrescription([ibuprofen('1 comprimido', 'cada 8 horas')], patient);
+
+    expect(alerts.map(a => [a.code, a.severity])).toEqual([
+      ['condition:peptic_ulcer:nsaids:62825', 'contraindicated'],
+      ['condition:renal_failure:nsaids:62825', 'high']
+    ]);
+  });
+
+  it('blocks teratogenic medications during pregnancy', () => {
+    const isotretinoin = { medication: 'Isotretinoína 20 mg', activeIngredients: [{ name: 'ISOTRETINOINA', amount: '20', unit: 'mg' }], dosage: '1', frequency: '1 vez al día' };
+    const [alert] = evaluatePrescription([isotretinoin], profile({ gender: 'F', pregnancy_status: 'pregnant' }));
+    expect(alert).toMatchObject({ type: 'pregnancy', severity: 'contraindicated', blocking: true });
+  });
+});
+
+describe('Prescription safety - overrides', () => {
+  const alerts = evaluatePrescription([amoxicillin, cefuroxime], profile({ birth_date: '1980-01-01', allergies: 'Penicilina' }));
+
+  it('leaves blocking alerts unresolved without a reason', () => {
+    const { unresolved, overridden } = resolveOverrides(alerts, {});
+    expect(unresolved.map(a => a.code)).toEqual(['allergy:penicillins:62954']);
+    expect(overridden).toEqual([]);
+  });
+
+  it('records the reason on blocking alerts and keeps it at finalization', () => {
+    const at = new Date('2026-03-15T10:00:00Z');
+    const created = resolveOverrides(alerts, { reason: ' Tolerancia documentada ', userId: 'u-1', at });
+    expect(created.unresolved).toEqual([]);
+    expect(created.overridden).toHaveLength(1);
+    expect(created.warnings[0].override).toEqual({ reason: 'Tolerancia documentada', userId: 'u-1', at: '2026-03-15T10:00:00.000Z' });
+    expect(created.warnings[1].override).toBeUndefined();
+
+    const finalized = resolveOverrides(alerts, { previous: created.warnings });
+    expect(finalized.unresolved).toEqual([]);
+    expect(finalized.overridden).toEqual([]);
+  });
+});
+
+describe('Prescription safety - dose parsing', () => {
+  it('reads doses and frequencies written in Spanish, French or English', () => {
+    expect(parseIntake('½ comprimido')).toEqual({ value: 0.5, unit: 'unit' });
+    expect(parseIntake('1 g')).toEqual({ value: 1000, unit: 'mg' });
+    expect(parseIntakesPerDay('toutes les 12 heures')).toBe(2);
+    expect(parseIntakesPerDay('3x/día')).toBe(3);
+    expect(parseIntakesPerDay('1-0-1')).toBe(2);
+    expect(parseIntakesPerDay('twice daily')).toBe(2);
+    expect(parseIntakesPerDay('si dolor')).toBeNull();
+  });
+
+  it('converts syrup volumes with the strength per millilitre', () => {
+    expect(ingredientMgPerIntake({ value: 10, unit: 'ml' }, { amount: '100', unit: 'mg/5 ml' }, 1)).toBe(200);
+    expect(ingredientMgPerIntake({ value: 500, unit: 'mg' }, { amount: '400', unit: 'mg' }, 2)).toBeNull();
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests - Export UBL 2.1 (Peppol BIS Billing 3.0)
+ *
+ * Vérifie la structure Invoice / CreditNote, le routage Peppol (EndpointID)
+ * et la cohérence des montants avec le modèle normalisé partagé avec Factur-X.
+ */
+
+const { convert } = require('xmlbuilder2');
+const { generateUBL, PEPPOL_CUSTOMIZATION_ID } = require('../../src/services/ublService');
+const { normalizeDocument } = require('../../src/services/facturxService');
+
+function buildInvoice(overrides = {}) {
+  return {
+    document_type: 'invoice',
+    document_number: 'FA-2026-0107',
+    issue_date: '2026-05-04',
+    due_date: '2026-06-03',
+    currency: 'EUR',
+    seller_name: 'Clínica Dental Sol',
+    seller_address: { line1: 'Calle Mayor 1', postalCode: '28013', city: 'Madrid', country: 'ES' },
+    seller_vat_number: 'ESB12345678',
+    buyer_name: 'Ana García',
+    buyer_address: { line1: 'Calle Luna 8', postalCode: '28004', city: 'Madrid', country: 'ES' },
+    buyer_email: 'ana@example.es',
+    subtotal: '150.00',
+    discount_amount: '15.00',
+    tax_amount: '28.35',
+    total: '163.35',
+    amount_paid: '50.00',
+    tax_details: [{ rate: 21, base: 135, amount: 28.35 }],
+    payment_terms: 'Transferencia a 30 días',
+    bank_details: { iban: 'ES91 2100 0418 4502 0005 1332', bic: 'CAIXESBBXXX' },
+    ...overrides
+  };
+}
+
+const items = [
+  { description: 'Limpieza dental', quantity: 1, unit_price: '60.00', tax_rate: '21', line_net_amount: '60.00', unit: 'unit' },
+  { description: 'Sesión de ortodoncia', quantity: 2, unit_price: '45.00', tax_rate: '21', line_net_amount: '90.00', unit: 'session' }
+];
+
+// Parsed XML; repeated elements are arrays
+const parse = (xml) => convert(xml, { format: 'object' });
+
+describe('UBL export - invoice', () => {
+  const xml = generateUBL(buildInvoice(), items);
+  const { Invoice: invoice } = parse(xml);
+
+  it('produces a Peppol BIS 3.0 Invoice', () => {
+    expect(invoice['@xmlns']).toBe('urn:oasis:names:specification:ubl:schema:xsd:Invoice-2');
+    expect(invoice['cbc:CustomizationID']).toBe(PEPPOL_CUSTOMIZATION_ID);
+    expect(invoice['cbc:InvoiceTypeCode']).toBe('380');
+    expect(invoice['cbc:IssueDate']).toBe('2026-05-04');
+    expect(invoice['cbc:DueDate']).toBe('2026-06-03');
+    expect(invoice['cbc:BuyerReference']).toBe('FA-2026-0107');
+  });
+
+  it('routes the seller by VAT number and the buyer by email', () => {
+    const seller = invoice['cac:AccountingSupplierParty']['cac:Party'];
+    const buyer = invoice['cac:AccountingCustomerParty']['cac:Party'];
+
+    expect(seller['cbc:EndpointID']).toEqual({ '@schemeID': '9920', '#': 'ESB12345678' });
+    expect(buyer['cbc:EndpointID']).toEqual({ '@schemeID': 'EM', '#': 'ana@example.es' });
+  });
+
+  it('carries the same totals as the normalized document', () => {
+    const { totals } = normalizeDocument(buildInvoice(), items);
+    const monetary = invoice['cac:LegalMonetaryTotal'];
+    const value = (node) => parseFloat(node['#']);
+
+    expect(value(monetary['cbc:LineExtensionAmount'])).toBe(totals.lineTotal);
+    expect(value(monetary['cbc:AllowanceTotalAmount'])).toBe(15);
+    expect(value(monetary['cbc:TaxExclusiveAmount'])).toBe(135);
+    expect(value(monetary['cbc:TaxInclusiveAmount'])).toBe(163.35);
+    expect(value(monetary['cbc:PrepaidAmount'])).toBe(50);
+    expect(value(monetary['cbc:PayableAmount'])).toBe(113.35);
+    expect(value(invoice['cac:TaxTotal']['cac:TaxSubtotal']['cbc:TaxableAmount'])).toBe(135);
+  });
+
+  it('writes the lines with UN/ECE unit codes and the SEPA payment means', () => {
+    const lines = invoice['cac:InvoiceLine'];
+
+    expect(lines).toHaveLength(2);
+    expect(lines[1]['cbc:InvoicedQuantity']).toEqual({ '@unitCode': 'C62', '#': '2' });
+    expect(lines[1]['cac:Item']['cac:ClassifiedTaxCategory']['cbc:Percent']).toBe('21.00');
+    expect(invoice['cac:PaymentMeans']['cbc:PaymentMeansCode']).toBe('58');
+    expect(invoice['cac:PaymentMeans']['cac:PayeeFinancialAccount']['cbc:ID']).toBe('ES9121000418450200051332');
+  });
+
+  it('prefers the Peppol id of the billing settings, then the SIREN', () => {
+    const withPeppolId = parse(generateUBL(buildInvoice({ seller_peppol_id: '0088:5790000435944' }), items));
+    const french = parse(generateUBL(buildInvoice({
+      seller_siren: '123456789',
+      seller_vat_number: 'FR12123456789',
+      seller_address: { line1: '12 rue des Lilas', postalCode: '75019', city: 'Paris', country: 'FR' }
+    }), items));
+
+    expect(withPeppolId.Invoice['cac:AccountingSupplierParty']['cac:Party']['cbc:EndpointID'])
+      .toEqual({ '@schemeID': '0088', '#': '5790000435944' });
+    expect(french.Invoice['cac:AccountingSupplierParty']['cac:Party']['cbc:EndpointID'])
+      .toEqual({ '@schemeID': '0002', '#': '123456789' });
+  });
+});
+
+describe('UBL export - credit note', () => {
+  const creditNote = buildInvoice({
+    document_type: 'credit_note',
+    document_number: 'AV-2026-0003',
+    purchase_order: 'PO-889',
+    preceding_invoice: { number: 'FA-2026-0107', issueDate: '2026-05-04' }
+  });
+  const { CreditNote: xml } = parse(generateUBL(creditNote, items));
+
+  it('maps type 381 to a UBL CreditNote', () => {
+    expect(xml['cbc:CreditNoteTypeCode']).toBe('381');
+    expect(xml['cac:CreditNoteLine']).toHaveLength(2);
+    expect(xml['cac:CreditNoteLine'][0]['cbc:CreditedQuantity']).toEqual({ '@unitCode': 'C62', '#': '1' });
+    expect(xml['cac:InvoiceLine']).toBeUndefined();
+  });
+
+  it('moves the due date to the payment means and references the corrected invoice', () => {
+    expect(xml['cbc:DueDate']).toBeUndefined();
+    expect(xml['cac:PaymentMeans']['cbc:PaymentDueDate']).toBe('2026-06-03');
+    expect(xml['cac:BillingReference']['cac:InvoiceDocumentReference']).toEqual({
+      'cbc:ID': 'FA-2026-0107',
+      'cbc:IssueDate': '2026-05-04'
+    });
+  });
+
+  it('uses the purchase order instead of the buyer reference', () => {
+    expect(xml['cac:OrderReference']['cbc:ID']).toBe('PO-889');
+    expect(xml['cbc:BuyerReference']).toBeUndefined();
+  });
+});
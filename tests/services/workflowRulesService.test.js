@@ -0,0 +1,86 @@
+/**
+ * Tests - Règles de workflow des rendez-vous
+ *
+ * Vérifie la sélection des règles par statut, déclencheur et conditions
+ * (type, catégorie, prestation) ainsi que le repli sur les règles par défaut.
+ */
+
+const workflowRulesService = require('../../src/services/workflowRulesService');
+const { DEFAULT_WORKFLOW_RULES, matchesConditions } = require('../../src/services/workflowRulesService');
+
+const SERVICE_ID = '2b1c6c1e-5a43-4a8e-9d55-0f6f0b7a1c11';
+
+// Minimal clinicDb stub returning the given workflow_rules column
+const clinicDbWith = (workflowRules) => ({
+  query: jest.fn().mockResolvedValue([[{ workflow_rules: workflowRules }]])
+});
+
+const appointment = (overrides = {}) => ({
+  type: 'consultation',
+  category: 'consultation',
+  service_id: SERVICE_ID,
+  ...overrides
+});
+
+describe('Workflow rules - conditions', () => {
+  it('matches any appointment when no condition is set', () => {
+    expect(matchesConditions({ conditions: {} }, appointment())).toBe(true);
+    expect(matchesConditions({}, appointment())).toBe(true);
+  });
+
+  it('requires every include list to contain the appointment value', () => {
+    const rule = { conditions: { appointmentTypes: ['followup'], categories: ['consultation'] } };
+    expect(matchesConditions(rule, appointment({ type: 'followup' }))).toBe(true);
+    expect(matchesConditions(rule, appointment())).toBe(false);
+  });
+
+  it('rejects appointments listed in an exclude list', () => {
+    const rule = { conditions: { excludeAppointmentTypes: ['consultation'] } };
+    expect(matchesConditions(rule, appointment())).toBe(false);
+    expect(matchesConditions(rule, appointment({ type: 'procedure' }))).toBe(true);
+  });
+
+  it('filters on service', () => {
+    const rule = { conditions: { serviceIds: [SERVICE_ID] } };
+    expect(matchesConditions(rule, appointment())).toBe(true);
+    expect(matchesConditions(rule, appointment({ service_id: null }))).toBe(false);
+  });
+});
+
+describe('Workflow rules - rule selection', () => {
+  it('falls back to the default rules when the clinic has none', async () => {
+    const { rules, isDefault } = await workflowRulesService.getRules(clinicDbWith(null));
+    expect(isDefault).toBe(true);
+    expect(rules).toBe(DEFAULT_WORKFLOW_RULES);
+  });
+
+  it('keeps the previous behaviour by default', async () => {
+    const clinicDb = clinicDbWith(null);
+
+    const confirmed = await workflowRulesService.getMatchingRules(clinicDb, appointment(), 'confirmed', 'on_enter');
+    expect(confirmed.map(r => r.action)).toEqual(['send_consent', 'send_quote']);
+
+    const timed = await workflowRulesService.getMatchingRules(clinicDb, appointment(), 'scheduled', 'before_appointment');
+    expect(timed).toHaveLength(1);
+    expect(timed[0].beforeHours).toBe(24);
+  });
+
+  it('applies clinic rules with conditions and skips disabled ones', async () => {
+    const clinicDb = clinicDbWith([
+      { id: 'r1', trigger: 'before_appointment', state: 'scheduled', action: 'confirmation_email', beforeHours: 48, conditions: {} },
+      { id: 'r2', trigger: 'before_appointment', state: 'scheduled', action: 'sms_reminder', beforeHours: 2, conditions: {} },
+      { id: 'r3', trigger: 'on_enter', state: 'confirmed', action: 'send_quote', requiresValidation: true, conditions: { excludeAppointmentTypes: ['consultation'] } },
+      { id: 'r4', trigger: 'on_enter', state: 'completed', action: 'prepare_invoice', requiresValidation: false, conditions: { appointmentTypes: ['followup'] } },
+      { id: 'r5', enabled: false, trigger: 'on_enter', state: 'confirmed', action: 'send_consent', conditions: {} }
+    ]);
+
+    const timed = await workflowRulesService.getMatchingRules(clinicDb, appointment(), 'scheduled', 'before_appointment');
+    expect(timed.map(r => r.beforeHours)).toEqual([48, 2]);
+
+    const confirmed = await workflowRulesService.getMatchingRules(clinicDb, appointment(), 'confirmed', 'on_enter');
+    expect(confirmed).toEqual([]);
+
+    const completedFollowup = await workflowRulesService.getMatchingRules(clinicDb, appointment({ type: 'followup' }), 'completed', 'on_enter');
+    expect(completedFollowup.map(r => r.id)).toEqual(['r4']);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Tests - Utilitaire CSV (exports comptables)
+ */
+
+const { toCsv, escapeField } = require('../../src/utils/csv');
+
+describe('CSV - fields', () => {
+  it('leaves plain values untouched', () => {
+    expect(escapeField('FA-2026-000001', ';')).toBe('FA-2026-000001');
+    expect(escapeField(12.5, ';')).toBe('12.5');
+    expect(escapeField(null, ';')).toBe('');
+  });
+
+  it('quotes values with the separator, quotes or line breaks', () => {
+    expect(escapeField('Dupont; Jean', ';')).toBe('"Dupont; Jean"');
+    expect(escapeField('Mutuelle "La Santé"', ';')).toBe('"Mutuelle ""La Santé"""');
+    expect(escapeField('ligne 1\nligne 2', ';')).toBe('"ligne 1\nligne 2"');
+  });
+});
+
+describe('CSV - document', () => {
+  it('joins lines with CRLF and the separator', () => {
+    expect(toCsv(['a', 'b'], [[1, 2], ['x,y', 'z']], { separator: ',' })).toBe('a,b\r\n1,2\r\n"x,y",z\r\n');
+  });
+
+  it('starts with a BOM when asked', () => {
+    expect(toCsv(['a'], [], { bom: true }).charCodeAt(0)).toBe(0xFEFF);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests - Export iCalendar
+ *
+ * Vérifie l'échappement, le pliage des lignes (RFC 5545), la conversion
+ * heure locale clinique -> UTC et la génération d'un VCALENDAR.
+ */
+
+const {
+  escapeText,
+  foldLine,
+  formatUtc,
+  zonedTimeToUtc,
+  buildCalendar
+} = require('../../src/utils/icalendar');
+
+describe('iCalendar - text values', () => {
+  it('escapes separators and newlines', () => {
+    expect(escapeText('Dupont, Jean; suivi\nkiné\\')).toBe('Dupont\\, Jean\\; suivi\\nkiné\\\\');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldLine(line);
+    const parts = folded.split('\r\n');
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach(part => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+    expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join('')).toBe(line);
+  });
+
+  it('leaves short lines untouched', () => {
+    expect(foldLine('VERSION:2.0')).toBe('VERSION:2.0');
+  });
+});
+
+describe('iCalendar - dates', () => {
+  it('formats UTC date-times', () => {
+    expect(formatUtc(new Date('2026-03-09T08:30:00.000Z'))).toBe('20260309T083000Z');
+  });
+
+  it('converts clinic local time to UTC across DST', () => {
+    expect(zonedTimeToUtc('2026-01-15', '09:00', 'Europe/Paris').toISOString()).toBe('2026-01-15T08:00:00.000Z');
+    expect(zonedTimeToUtc('2026-07-15', '09:00:00', 'Europe/Paris').toISOString()).toBe('2026-07-15T07:00:00.000Z');
+    expect(zonedTimeToUtc('2026-03-29', '10:00', 'Europe/Paris').toISOString()).toBe('2026-03-29T08:00:00.000Z');
+    expect(zonedTimeToUtc('2026-07-15', '09:00', 'UTC').toISOString()).toBe('2026-07-15T09:00:00.000Z');
+  });
+});
+
+describe('iCalendar - calendar', () => {
+  const event = {
+    uid: 'a1b2@medicalpro',
+    sequence: 2,
+    start: new Date('2026-03-09T08:30:00Z'),
+    end: new Date('2026-03-09T09:00:00Z'),
+    stamp: new Date('2026-03-01T12:00:00Z'),
+    summary: 'Consultation',
+    status: 'CANCELLED',
+    organizer: { email: 'rdv@clinic.test', name: 'Clinique' },
+    attendee: { email: 'jean@example.com', name: 'Jean Dupont' }
+  };
+
+  it('builds a CRLF-separated VCALENDAR with the event', () => {
+    const ics = buildCalendar({ method: 'CANCEL', events: [event] });
+    const lines = ics.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('METHOD:CANCEL');
+    expect(lines).toContain('UID:a1b2@medicalpro');
+    expect(lines).toContain('SEQUENCE:2');
+    expect(lines).toContain('DTSTART:20260309T083000Z');
+    expect(lines).toContain('STATUS:CANCELLED');
+    expect(lines).toContain('ORGANIZER;CN="Clinique":mailto:rdv@clinic.test');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('builds an empty published calendar', () => {
+    const ics = buildCalendar({ name: 'Dr Martin' });
+    expect(ics).toContain('METHOD:PUBLISH');
+    expect(ics).toContain('X-WR-CALNAME:Dr Martin');
+    expect(ics).not.toContain('BEGIN:VEVENT');
+  });
+});
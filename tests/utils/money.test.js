@@ -0,0 +1,26 @@
+/**
+ * Tests - Arrondi des montants
+ *
+ * Vérifie l'arrondi au centime partagé par les services de facturation.
+ */
+
+const { round2 } = require('../../src/utils/money');
+
+describe('Money - round2', () => {
+  it('rounds to the cent without binary float drift', () => {
+    expect(round2(0.1 + 0.2)).toBe(0.3);
+    expect(round2(1.005)).toBe(1.01);
+    expect(round2(12.344)).toBe(12.34);
+  });
+
+  it('reads DECIMAL columns returned as strings', () => {
+    expect(round2('180.00')).toBe(180);
+    expect(round2('40.125')).toBe(40.13);
+  });
+
+  it('counts missing amounts as 0', () => {
+    expect(round2(null)).toBe(0);
+    expect(round2(undefined)).toBe(0);
+    expect(round2('')).toBe(0);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests - Récurrence des rendez-vous
+ *
+ * Vérifie l'interprétation du sous-ensemble RRULE (DAILY / WEEKLY / MONTHLY,
+ * INTERVAL, COUNT, UNTIL, BYDAY) et l'expansion des occurrences.
+ */
+
+const {
+  parseRRule,
+  formatRRule,
+  expandOccurrences,
+  MAX_OCCURRENCES
+} = require('../../src/utils/recurrence');
+
+describe('Recurrence - RRULE parsing', () => {
+  it('parses a weekly rule with BYDAY and COUNT', () => {
+    expect(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TH,MO;COUNT=6')).toEqual({
+      frequency: 'weekly',
+      interval: 2,
+      byWeekday: [1, 4],
+      count: 6
+    });
+  });
+
+  it('parses UNTIL in date and date-time form', () => {
+    expect(parseRRule('FREQ=DAILY;UNTIL=20250310').until).toBe('2025-03-10');
+    expect(parseRRule('FREQ=DAILY;UNTIL=20250310T235959Z').until).toBe('2025-03-10');
+  });
+
+  it('rejects unsupported parts and open-ended rules', () => {
+    expect(() => parseRRule('FREQ=YEARLY;COUNT=2')).toThrow(/frequency/);
+    expect(() => parseRRule('FREQ=WEEKLY;BYMONTH=3;COUNT=2')).toThrow(/BYMONTH/);
+    expect(() => parseRRule('FREQ=WEEKLY')).toThrow(/COUNT or UNTIL/);
+  });
+
+  it('formats back to an RRULE string', () => {
+    const rule = parseRRule('FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=20250630');
+    expect(formatRRule(rule)).toBe('FREQ=WEEKLY;BYDAY=MO,TH;UNTIL=20250630');
+  });
+});
+
+describe('Recurrence - occurrences', () => {
+  it('expands a daily rule with an interval', () => {
+    expect(expandOccurrences('2025-03-03', { frequency: 'daily', interval: 2, count: 3 }))
+      .toEqual(['2025-03-03', '2025-03-05', '2025-03-07']);
+  });
+
+  it('expands a weekly rule on several weekdays', () => {
+    // 2025-03-03 is a Monday
+    expect(expandOccurrences('2025-03-03', { frequency: 'weekly', byWeekday: [1, 4], count: 4 }))
+      .toEqual(['2025-03-03', '2025-03-06', '2025-03-10', '2025-03-13']);
+  });
+
+  it('starts a weekly rule at the first matching day on or after the start date', () => {
+    // Wednesday start, Monday/Thursday rule
+    expect(expandOccurrences('2025-03-05', { frequency: 'weekly', byWeekday: [1, 4], until: '2025-03-11' }))
+      .toEqual(['2025-03-06', '2025-03-10']);
+  });
+
+  it('skips months without the start day', () => {
+    expect(expandOccurrences('2025-01-31', { frequency: 'monthly', count: 3 }))
+      .toEqual(['2025-01-31', '2025-03-31', '2025-05-31']);
+  });
+
+  it('removes exceptions after applying COUNT', () => {
+    expect(expandOccurrences('2025-03-03', { frequency: 'weekly', count: 4 }, ['2025-03-10']))
+      .toEqual(['2025-03-03', '2025-03-17', '2025-03-24']);
+  });
+
+  it('stops at UNTIL', () => {
+    expect(expandOccurrences('2025-03-03', { frequency: 'weekly', until: '2025-03-24' }))
+      .toHaveLength(4);
+  });
+
+  it('refuses series that are too long', () => {
+    expect(() => expandOccurrences('2025-01-01', { frequency: 'daily', count: MAX_OCCURRENCES + 1 }))
+      .toThrow(/occurrences/);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests - Capacité des ressources de planning
+ *
+ * Vérifie les intervalles occupés (temps de préparation inclus), la capacité
+ * des salles (plusieurs rendez-vous simultanés) et l'allocation combinée
+ * machine + salle + assistant d'un soin.
+ */
+
+const {
+  occupiedInterval,
+  fitsInRanges,
+  maxConcurrent,
+  hasCapacity,
+  findFreeResources,
+  pickResource
+} = require('../../src/utils/resourceCapacity');
+const { allocateResources } = require('../../src/services/planningService');
+
+// 09:00 = 540, 10:00 = 600
+const at = (hours, minutes = 0) => hours * 60 + minutes;
+
+describe('Resource capacity - occupied interval', () => {
+  it('adds preparation before and time after', () => {
+    expect(occupiedInterval(at(9), at(10), 15, 10)).toEqual({ start: at(8, 45), end: at(10, 10) });
+    expect(occupiedInterval(at(9), at(10))).toEqual({ start: at(9), end: at(10) });
+  });
+
+  it('must fit in a single opening range', () => {
+    const ranges = [{ start: at(8), end: at(12) }, { start: at(14), end: at(18) }];
+    expect(fitsInRanges({ start: at(11), end: at(12) }, ranges)).toBe(true);
+    expect(fitsInRanges({ start: at(11, 30), end: at(12, 10) }, ranges)).toBe(false);
+    expect(fitsInRanges({ start: at(7, 50), end: at(9) }, ranges)).toBe(false);
+  });
+});
+
+describe('Resource capacity - simultaneous use', () => {
+  const busy = [
+    { start: at(9), end: at(10) },
+    { start: at(9, 30), end: at(11) },
+    { start: at(10), end: at(10, 30) }
+  ];
+
+  it('counts the peak of simultaneous appointments in the window', () => {
+    expect(maxConcurrent(busy, { start: at(9), end: at(11) })).toBe(2);
+    expect(maxConcurrent(busy, { start: at(11), end: at(12) })).toBe(0);
+  });
+
+  it('frees the place of an appointment ending when the next one starts', () => {
+    expect(maxConcurrent(busy, { start: at(10), end: at(10, 15) })).toBe(2);
+  });
+
+  it('accepts one more appointment while under capacity', () => {
+    const window = { start: at(9, 30), end: at(10, 30) };
+    expect(hasCapacity(busy, window, 2)).toBe(false);
+    expect(hasCapacity(busy, window, 3)).toBe(true);
+    expect(hasCapacity([], window)).toBe(true);
+  });
+
+  it('takes allocations of the slot being built into account', () => {
+    const rooms = [{ id: 'room-a', capacity: 1 }, { id: 'room-b', capacity: 2 }];
+    const window = { start: at(9), end: at(10) };
+    const allocations = [{ resourceId: 'room-a', start: at(9), end: at(9, 30) }];
+
+    expect(pickResource(rooms, {}, window).id).toBe('room-a');
+    expect(pickResource(rooms, {}, window, allocations).id).toBe('room-b');
+    expect(findFreeResources(rooms, { 'room-b': [window, window] }, window, allocations)).toEqual([]);
+  });
+});
+
+describe('Resource capacity - treatment requirements', () => {
+  const requirements = {
+    machineRequired: true,
+    machines: [{ id: 'laser-1', name: 'Laser 1' }, { id: 'laser-2', name: 'Laser 2' }],
+    roomType: 'infusion',
+    rooms: [{ id: 'infusion-room', name: 'Infusion', capacity: 3 }],
+    requiresAssistant: true,
+    assistants: [{ id: 'nurse-1', first_name: 'Anne', last_name: 'Martin' }]
+  };
+  const window = { start: at(9), end: at(10) };
+
+  it('allocates every required resource at the same time', () => {
+    const allocation = allocateResources(requirements, { machines: {}, rooms: {}, assistants: {} }, window);
+    expect(allocation.machines.map(m => m.id)).toEqual(['laser-1', 'laser-2']);
+    expect(allocation.room.id).toBe('infusion-room');
+    expect(allocation.assistant.id).toBe('nurse-1');
+  });
+
+  it('fails when one requirement is not free', () => {
+    const fullRoom = { 'infusion-room': [window, window, window] };
+    expect(allocateResources(requirements, { machines: {}, rooms: fullRoom, assistants: {} }, window)).toBeNull();
+
+    const busyNurse = { 'nurse-1': [{ start: at(9, 50), end: at(10, 20) }] };
+    expect(allocateResources(requirements, { machines: {}, rooms: {}, assistants: busyNurse }, window)).toBeNull();
+  });
+
+  it('keeps only the free machines', () => {
+    const busyMachines = { 'laser-1': [{ start: at(8, 30), end: at(9, 15) }] };
+    const allocation = allocateResources(requirements, { machines: busyMachines, rooms: {}, assistants: {} }, window);
+    expect(allocation.machines.map(m => m.id)).toEqual(['laser-2']);
+  });
+
+  it('needs nothing for an overlappable treatment without requirements', () => {
+    const allocation = allocateResources(
+      { machineRequired: false, machines: [], roomType: null, rooms: [], requiresAssistant: false, assistants: [] },
+      { machines: {}, rooms: {}, assistants: {} },
+      window
+    );
+    expect(allocation).toEqual({ machines: [], room: null, assistant: null });
+  });
+});